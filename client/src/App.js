@@ -4,6 +4,10 @@ import { Routes, Route, Navigate } from "react-router-dom";
 
 import LoginPage from "./pages/LoginPage";
 import RegisterPage from "./pages/RegisterPage";
+import ForgotPasswordPage from "./pages/ForgotPasswordPage";
+import ResetPasswordPage from "./pages/ResetPasswordPage";
+import ChangePasswordPage from "./pages/ChangePasswordPage";
+import NotificationSettingsPage from "./pages/NotificationSettingsPage";
 import DesignerDashboard from "./pages/DesignerDashboard";
 import ClientDashboard from "./pages/ClientDashboard";
 import ProjectMenu from "./pages/ProjectMenu";
@@ -14,6 +18,21 @@ import DesignerOptionsPage from "./pages/DesignerOptionsPage";
 import QuestionnaireTemplatesPage from "./pages/QuestionnaireTemplatesPage";
 import ProjectQuestionnairesPage from "./pages/ProjectQuestionnairesPage";
 import ProjectColorsPage from "./pages/ProjectColorsPage";
+import StudioPage from "./pages/StudioPage";
+import ProjectTeamPage from "./pages/ProjectTeamPage";
+import ProjectActivityPage from "./pages/ProjectActivityPage";
+import ProjectBudgetPage from "./pages/ProjectBudgetPage";
+import ProjectInvoicesPage from "./pages/ProjectInvoicesPage";
+import ProjectTimelinePage from "./pages/ProjectTimelinePage";
+import ProjectBoardPage from "./pages/ProjectBoardPage";
+import ProjectAppointmentsPage from "./pages/ProjectAppointmentsPage";
+import ProjectMessagesPage from "./pages/ProjectMessagesPage";
+import ProjectApprovalsPage from "./pages/ProjectApprovalsPage";
+import ProjectRoomsPage from "./pages/ProjectRoomsPage";
+import RoomOverviewPage from "./pages/RoomOverviewPage";
+import ProjectMoodBoardsPage from "./pages/ProjectMoodBoardsPage";
+import MoodBoardPage from "./pages/MoodBoardPage";
+import ProjectDocumentsPage from "./pages/ProjectDocumentsPage";
 import ProtectedRoute from "./components/ProtectedRoute";
 
 function App() {
@@ -25,6 +44,26 @@ function App() {
       {/* Auth pages (public) */}
       <Route path="/login" element={<LoginPage />} />
       <Route path="/register" element={<RegisterPage />} />
+      <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+      <Route path="/reset-password" element={<ResetPasswordPage />} />
+
+      {/* Account settings – any logged-in user */}
+      <Route
+        path="/account/password"
+        element={
+          <ProtectedRoute allowedRoles={["designer", "client", "contractor"]}>
+            <ChangePasswordPage />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/account/notifications"
+        element={
+          <ProtectedRoute allowedRoles={["designer", "client", "contractor"]}>
+            <NotificationSettingsPage />
+          </ProtectedRoute>
+        }
+      />
 
       {/* Designer area – only for role "designer" */}
       <Route
@@ -56,31 +95,87 @@ function App() {
         }
       />
 
-      {/* Client dashboard – only for role "client" */}
+      {/* Studio members (shared projects) – only designer */}
+      <Route
+        path="/designer/studio"
+        element={
+          <ProtectedRoute allowedRoles={["designer"]}>
+            <StudioPage />
+          </ProtectedRoute>
+        }
+      />
+
+      {/* Client dashboard – clients + contractors (their assigned projects) */}
       <Route
         path="/client"
         element={
-          <ProtectedRoute allowedRoles={["client"]}>
+          <ProtectedRoute allowedRoles={["client", "contractor"]}>
             <ClientDashboard />
           </ProtectedRoute>
         }
       />
 
-      {/* Project main menu – shared (designer + client) */}
+      {/* Project main menu – shared (designer + client + contractor) */}
       <Route
         path="/project/:projectId/menu"
         element={
-          <ProtectedRoute allowedRoles={["designer", "client"]}>
+          <ProtectedRoute allowedRoles={["designer", "client", "contractor"]}>
             <ProjectMenu />
           </ProtectedRoute>
         }
       />
 
+      {/* Rooms of a project + room overview – shared */}
+      <Route
+        path="/project/:projectId/rooms"
+        element={
+          <ProtectedRoute allowedRoles={["designer", "client", "contractor"]}>
+            <ProjectRoomsPage />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/project/:projectId/rooms/:roomId"
+        element={
+          <ProtectedRoute allowedRoles={["designer", "client", "contractor"]}>
+            <RoomOverviewPage />
+          </ProtectedRoute>
+        }
+      />
+
+      {/* Mood boards (per project / room) – shared */}
+      <Route
+        path="/project/:projectId/moodboards"
+        element={
+          <ProtectedRoute allowedRoles={["designer", "client"]}>
+            <ProjectMoodBoardsPage />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/project/:projectId/moodboards/:boardId"
+        element={
+          <ProtectedRoute allowedRoles={["designer", "client"]}>
+            <MoodBoardPage />
+          </ProtectedRoute>
+        }
+      />
+
+      {/* Documents (project files) – shared */}
+      <Route
+        path="/project/:projectId/documents"
+        element={
+          <ProtectedRoute allowedRoles={["designer", "client", "contractor"]}>
+            <ProjectDocumentsPage />
+          </ProtectedRoute>
+        }
+      />
+
       {/* Workers page – per project, shared */}
       <Route
         path="/project/:projectId/workers"
         element={
-          <ProtectedRoute allowedRoles={["designer", "client"]}>
+          <ProtectedRoute allowedRoles={["designer", "client", "contractor"]}>
             <WorkersPage />
           </ProtectedRoute>
         }
@@ -90,7 +185,7 @@ function App() {
       <Route
         path="/project/:projectId/suppliers"
         element={
-          <ProtectedRoute allowedRoles={["designer", "client"]}>
+          <ProtectedRoute allowedRoles={["designer", "client", "contractor"]}>
             <SuppliersPage />
           </ProtectedRoute>
         }
@@ -126,6 +221,96 @@ function App() {
         }
       />
 
+      {/* Project team (per-project roles) – shared */}
+      <Route
+        path="/project/:projectId/team"
+        element={
+          <ProtectedRoute allowedRoles={["designer", "client", "contractor"]}>
+            <ProjectTeamPage />
+          </ProtectedRoute>
+        }
+      />
+
+      {/* Budget lines + planned vs. actual summary – shared */}
+      <Route
+        path="/project/:projectId/budget"
+        element={
+          <ProtectedRoute allowedRoles={["designer", "client"]}>
+            <ProjectBudgetPage />
+          </ProtectedRoute>
+        }
+      />
+
+      {/* Timeline (phases, tasks, Gantt view) – shared */}
+      <Route
+        path="/project/:projectId/timeline"
+        element={
+          <ProtectedRoute allowedRoles={["designer", "client", "contractor"]}>
+            <ProjectTimelinePage />
+          </ProtectedRoute>
+        }
+      />
+
+      {/* Task board (kanban to-dos) – shared */}
+      <Route
+        path="/project/:projectId/board"
+        element={
+          <ProtectedRoute allowedRoles={["designer", "client", "contractor"]}>
+            <ProjectBoardPage />
+          </ProtectedRoute>
+        }
+      />
+
+      {/* Appointments (site visits / meetings) – shared */}
+      <Route
+        path="/project/:projectId/appointments"
+        element={
+          <ProtectedRoute allowedRoles={["designer", "client", "contractor"]}>
+            <ProjectAppointmentsPage />
+          </ProtectedRoute>
+        }
+      />
+
+      {/* Messages (designer <-> client threads) – shared */}
+      <Route
+        path="/project/:projectId/messages"
+        element={
+          <ProtectedRoute allowedRoles={["designer", "client"]}>
+            <ProjectMessagesPage />
+          </ProtectedRoute>
+        }
+      />
+
+      {/* Approvals (client sign-off on design decisions) – shared */}
+      <Route
+        path="/project/:projectId/approvals"
+        element={
+          <ProtectedRoute allowedRoles={["designer", "client"]}>
+            <ProjectApprovalsPage />
+          </ProtectedRoute>
+        }
+      />
+
+      {/* Invoices (designer bills, client views sent / paid) – shared */}
+      <Route
+        path="/project/:projectId/invoices"
+        element={
+          <ProtectedRoute allowedRoles={["designer", "client"]}>
+            <ProjectInvoicesPage />
+          </ProtectedRoute>
+        }
+      />
+
+      {/* Project activity log (audit trail) – shared */}
+      <Route
+        path="/project/:projectId/activity"
+        element={
+          <ProtectedRoute allowedRoles={["designer", "client"]}>
+            <ProjectActivityPage />
+          </ProtectedRoute>
+        }
+      />
+
       {/* Fallback for unknown routes */}
       <Route path="*" element={<div>Page not found</div>} />
     </Routes>
@@ -5,128 +5,1075 @@
  *
  * apiFetch:
  * - Attaches Authorization token automatically
+ * - On 401 (expired token) refreshes the session once and retries
  * - Assumes JSON responses for most endpoints
- * - Throws Error for non-2xx responses
+ * - Throws Error for non-2xx responses (err.status + err.data = response body)
  */
 
 const API = process.env.REACT_APP_API_URL || "";
 
+/* =====================================================
+ * Session (access token + refresh token)
+ * ===================================================== */
+
+function authHeader() {
+  const token = localStorage.getItem("token");
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+// Shared promise so parallel 401s trigger only one refresh call
+let refreshPromise = null;
+
+/**
+ * Exchange the stored refresh token for a new token pair.
+ * Returns true on success, false if the session cannot be renewed.
+ */
+export function refreshSession() {
+  const refreshToken = localStorage.getItem("refreshToken");
+  if (!refreshToken) return Promise.resolve(false);
+
+  if (!refreshPromise) {
+    refreshPromise = fetch(`${API}/api/token/refresh`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ refreshToken }),
+    })
+      .then(async (res) => {
+        if (!res.ok) return false;
+
+        const data = await res.json();
+        localStorage.setItem("token", data.token);
+        localStorage.setItem("refreshToken", data.refreshToken);
+        return true;
+      })
+      .catch(() => false)
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+}
+
+/**
+ * Revoke the current refresh token on the server.
+ * Used by utils/logout.js before local state is cleared.
+ */
+export function revokeSession() {
+  const refreshToken = localStorage.getItem("refreshToken");
+  if (!refreshToken) return Promise.resolve();
+
+  return fetch(`${API}/api/logout`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ refreshToken }),
+  });
+}
+
+/**
+ * fetch() with the Authorization header.
+ * If the access token expired (401), refresh once and retry the request.
+ */
+async function fetchWithAuth(url, options = {}) {
+  const send = () =>
+    fetch(url, {
+      ...options,
+      headers: { ...(options.headers || {}), ...authHeader() },
+    });
+
+  const res = await send();
+  if (res.status !== 401) return res;
+
+  const refreshed = await refreshSession();
+  return refreshed ? send() : res;
+}
+
 /* =====================================================
  * Core fetch wrapper
  * ===================================================== */
 
 /**
- * Generic JSON API wrapper.
- * Use for all JSON endpoints.
+ * Generic JSON API wrapper.
+ * Use for all JSON endpoints.
+ */
+export async function apiFetch(path, options = {}) {
+  const res = await fetchWithAuth(`${API}${path}`, {
+    ...options,
+    headers: {
+      "Content-Type": "application/json",
+      ...(options.headers || {}),
+    },
+  });
+
+  let data = {};
+  try {
+    data = await res.json();
+  } catch {
+    // Some endpoints may return no JSON body
+  }
+
+  if (!res.ok) {
+    const error = new Error(data.message || "Request failed");
+    error.status = res.status;
+    error.data = data;
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * If-Match header for a project version (project.__v).
+ * The server answers 409 (err.status) if the project changed since;
+ * err.data then holds { project, version } as they are now.
+ */
+function versionHeader(version) {
+  return version === undefined || version === null ? {} : { "If-Match": `"${version}"` };
+}
+
+/** True if err is a 409 "changed by someone else" response */
+export function isVersionConflict(err) {
+  return err?.status === 409;
+}
+
+/* =====================================================
+ * Projects
+ * ===================================================== */
+
+/** Fetch all projects for current user */
+export function fetchProjects() {
+  return apiFetch("/api/projects");
+}
+
+/** Create a new project */
+export function createProject(payload) {
+  return apiFetch("/api/projects", {
+    method: "POST",
+    body: JSON.stringify(payload),
+  });
+}
+
+/** Update a project by id (version: project.__v that was edited) */
+export function updateProject(projectId, payload, version) {
+  return apiFetch(`/api/projects/${projectId}`, {
+    method: "PUT",
+    headers: versionHeader(version),
+    body: JSON.stringify(payload),
+  });
+}
+
+/** Delete a project by id */
+export function deleteProject(projectId) {
+  return apiFetch(`/api/projects/${projectId}`, { method: "DELETE" });
+}
+
+/** Fetch single project */
+export function fetchProjectById(projectId) {
+  return apiFetch(`/api/projects/${projectId}`);
+}
+
+/** Update only colorSelections */
+export function updateProjectColorSelections(projectId, colorSelections, version) {
+  return apiFetch(`/api/projects/${projectId}`, {
+    method: "PUT",
+    headers: versionHeader(version),
+    body: JSON.stringify({ colorSelections }),
+  });
+}
+
+/** Update only design plan + notes */
+export function updateProjectPlan(projectId, { designPlan, notes }, version) {
+  return apiFetch(`/api/projects/${projectId}`, {
+    method: "PUT",
+    headers: versionHeader(version),
+    body: JSON.stringify({ designPlan, notes }),
+  });
+}
+
+/* =====================================================
+ * Design plan version history
+ * ===================================================== */
+
+/** List plan revisions (newest first, without texts) */
+export function fetchPlanRevisions(projectId) {
+  return apiFetch(`/api/projects/${projectId}/plan/revisions`);
+}
+
+/**
+ * Line diff of a revision against another revision number
+ * (default: the current plan). Returns { from, to, designPlan, notes }.
+ */
+export function fetchPlanRevisionDiff(projectId, number, against = "current") {
+  return apiFetch(`/api/projects/${projectId}/plan/revisions/${number}/diff?against=${against}`);
+}
+
+/** Restore a revision (saved as a new revision) */
+export function restorePlanRevision(projectId, number) {
+  return apiFetch(`/api/projects/${projectId}/plan/revisions/${number}/restore`, {
+    method: "POST",
+  });
+}
+
+/* =====================================================
+ * Studio (designers sharing projects / templates / options)
+ * ===================================================== */
+
+/** Fetch current designer's studio: { studio, myRole } */
+export function fetchStudio() {
+  return apiFetch("/api/studio");
+}
+
+/** Studio owner: rename studio */
+export function updateStudio(payload) {
+  return apiFetch("/api/studio", {
+    method: "PUT",
+    body: JSON.stringify(payload),
+  });
+}
+
+/** Studio owner: add a designer by username */
+export function addStudioMember(username, role) {
+  return apiFetch("/api/studio/members", {
+    method: "POST",
+    body: JSON.stringify({ username, role }),
+  });
+}
+
+/** Studio owner: change a member's role */
+export function updateStudioMember(userId, role) {
+  return apiFetch(`/api/studio/members/${userId}`, {
+    method: "PUT",
+    body: JSON.stringify({ role }),
+  });
+}
+
+/** Studio owner: remove member (or any member: leave with own id) */
+export function removeStudioMember(userId) {
+  return apiFetch(`/api/studio/members/${userId}`, { method: "DELETE" });
+}
+
+/**
+ * Studio exchange-rate table (manually maintained):
+ * { baseCurrency, currencies, rates: [{ currency, rate, updatedAt }] }
+ */
+export function fetchExchangeRates() {
+  return apiFetch("/api/studio/exchange-rates");
+}
+
+/** Replace the table: rates = [{ currency, rate }] (1 unit = rate in base currency) */
+export function updateExchangeRates(rates) {
+  return apiFetch("/api/studio/exchange-rates", {
+    method: "PUT",
+    body: JSON.stringify({ rates }),
+  });
+}
+
+/**
+ * Notification email templates of the studio:
+ * { templates: [{ type, subject, text, custom, default, placeholders }] }
+ */
+export function fetchEmailTemplates() {
+  return apiFetch("/api/studio/email-templates");
+}
+
+export function updateEmailTemplate(type, { subject, text }) {
+  return apiFetch(`/api/studio/email-templates/${encodeURIComponent(type)}`, {
+    method: "PUT",
+    body: JSON.stringify({ subject, text }),
+  });
+}
+
+/** Back to the default wording */
+export function resetEmailTemplate(type) {
+  return apiFetch(`/api/studio/email-templates/${encodeURIComponent(type)}`, {
+    method: "DELETE",
+  });
+}
+
+/* =====================================================
+ * Invitations (client approval flow)
+ * ===================================================== */
+
+/** Client: fetch pending invites */
+export function fetchClientInvites() {
+  return apiFetch("/api/invites");
+}
+
+/** Client: accept invite */
+export function acceptProjectInvite(projectId) {
+  return apiFetch(`/api/projects/${projectId}/invite/accept`, {
+    method: "POST",
+  });
+}
+
+/** Client: reject invite */
+export function rejectProjectInvite(projectId) {
+  return apiFetch(`/api/projects/${projectId}/invite/reject`, {
+    method: "POST",
+  });
+}
+
+/** Designer: send/resend invite */
+export function inviteClientToProject(projectId, clientUsername) {
+  return apiFetch(`/api/projects/${projectId}/invite`, {
+    method: "POST",
+    body: JSON.stringify({ clientUsername }),
+  });
+}
+
+/* =====================================================
+ * Project team (per-project roles)
+ * ===================================================== */
+
+/** Fetch team + my role/permissions: { team, myRole, myPermissions } */
+export function fetchProjectTeam(projectId) {
+  return apiFetch(`/api/projects/${projectId}/team`);
+}
+
+/** Lead designer: add a user to the team (or change their role) */
+export function addProjectTeamMember(projectId, username, role) {
+  return apiFetch(`/api/projects/${projectId}/team`, {
+    method: "POST",
+    body: JSON.stringify({ username, role }),
+  });
+}
+
+/** Lead designer: change a team member's role */
+export function updateProjectTeamMember(projectId, userId, role) {
+  return apiFetch(`/api/projects/${projectId}/team/${userId}`, {
+    method: "PUT",
+    body: JSON.stringify({ role }),
+  });
+}
+
+/** Lead designer: remove explicit role (back to default / no access) */
+export function removeProjectTeamMember(projectId, userId) {
+  return apiFetch(`/api/projects/${projectId}/team/${userId}`, {
+    method: "DELETE",
+  });
+}
+
+/* =====================================================
+ * Project activity log
+ * ===================================================== */
+
+/**
+ * Fetch one page of the project's activity log (newest first).
+ * Returns { entries, page, limit, total, hasMore }.
+ * action: optional filter, e.g. "worker" or "questionnaire.answers".
+ */
+export function fetchProjectActivity(projectId, { page = 1, limit = 20, action = "" } = {}) {
+  const params = new URLSearchParams({ page, limit });
+  if (action) params.set("action", action);
+  return apiFetch(`/api/projects/${projectId}/activity?${params}`);
+}
+
+/* =====================================================
+ * Rooms (per project)
+ * ===================================================== */
+
+/**
+ * Rooms of a project with what uses them: { rooms, unlinkedNames, canEdit }
+ */
+export function fetchProjectRooms(projectId) {
+  return apiFetch(`/api/projects/${projectId}/rooms`);
+}
+
+/** Add a room: { name, roomType, floor, dimensions: { length, width, height }, notes } */
+export function createRoom(projectId, payload) {
+  return apiFetch(`/api/projects/${projectId}/rooms`, {
+    method: "POST",
+    body: JSON.stringify(payload),
+  });
+}
+
+export function updateRoom(projectId, roomId, payload) {
+  return apiFetch(`/api/projects/${projectId}/rooms/${roomId}`, {
+    method: "PUT",
+    body: JSON.stringify(payload),
+  });
+}
+
+/** Delete a room (what used it is kept, only unlinked) */
+export function deleteRoom(projectId, roomId) {
+  return apiFetch(`/api/projects/${projectId}/rooms/${roomId}`, {
+    method: "DELETE",
+  });
+}
+
+/**
+ * Create + link rooms for the room names colors / budget lines used before
+ * rooms existed. Returns the rooms list (like fetchProjectRooms).
+ */
+export function linkRoomNames(projectId) {
+  return apiFetch(`/api/projects/${projectId}/rooms/link`, { method: "POST" });
+}
+
+/**
+ * Everything about one room:
+ * { room, currency, colorSelections, questionnaires, budget, suppliers, moodBoards,
+ *   threads, canEdit }
+ * (parts the project role cannot view are null)
+ */
+export function fetchRoomOverview(projectId, roomId) {
+  return apiFetch(`/api/projects/${projectId}/rooms/${roomId}`);
+}
+
+/* =====================================================
+ * Budget (lines + server-side summary)
+ * ===================================================== */
+
+/**
+ * Fetch budget categories + summary:
+ * { categories, summary: { totals, lines, categories, unassigned, warnings } }
+ */
+export function fetchProjectBudget(projectId) {
+  return apiFetch(`/api/projects/${projectId}/budget`);
+}
+
+/**
+ * Cost totals computed by the server in the project currency:
+ * { currency, vatRate, workers, suppliers, total, budget, remaining, warnings }
+ */
+export function fetchProjectTotals(projectId) {
+  return apiFetch(`/api/projects/${projectId}/totals`);
+}
+
+/** Add a budget line: { category, room, roomId, description, planned } */
+export function addBudgetLine(projectId, payload) {
+  return apiFetch(`/api/projects/${projectId}/budget/lines`, {
+    method: "POST",
+    body: JSON.stringify(payload),
+  });
+}
+
+export function updateBudgetLine(projectId, lineId, payload) {
+  return apiFetch(`/api/projects/${projectId}/budget/lines/${lineId}`, {
+    method: "PUT",
+    body: JSON.stringify(payload),
+  });
+}
+
+/** Delete a budget line (linked costs become unassigned) */
+export function deleteBudgetLine(projectId, lineId) {
+  return apiFetch(`/api/projects/${projectId}/budget/lines/${lineId}`, {
+    method: "DELETE",
+  });
+}
+
+/* =====================================================
+ * Payments (per worker / supplier, incl. installments)
+ * ===================================================== */
+
+/**
+ * Fetch payments + paid / outstanding totals:
+ * { payments, payees, totals, methods, canEdit }
+ * payeeType: "worker" | "supplier" | undefined (all)
+ */
+export function fetchProjectPayments(projectId, payeeType) {
+  const query = payeeType ? `?payeeType=${payeeType}` : "";
+  return apiFetch(`/api/projects/${projectId}/payments${query}`);
+}
+
+/**
+ * Record a payment or schedule an installment:
+ * { payeeType, payee, amount, dueDate, status, paidAt, method, reference, attachmentUrl, note }
+ */
+export function createPayment(projectId, payload) {
+  return apiFetch(`/api/projects/${projectId}/payments`, {
+    method: "POST",
+    body: JSON.stringify(payload),
+  });
+}
+
+export function updatePayment(projectId, paymentId, payload) {
+  return apiFetch(`/api/projects/${projectId}/payments/${paymentId}`, {
+    method: "PUT",
+    body: JSON.stringify(payload),
+  });
+}
+
+export function deletePayment(projectId, paymentId) {
+  return apiFetch(`/api/projects/${projectId}/payments/${paymentId}`, {
+    method: "DELETE",
+  });
+}
+
+/* =====================================================
+ * Timeline (phases, tasks, dependencies)
+ * ===================================================== */
+
+/**
+ * Fetch the project timeline for the Gantt view:
+ * { range, phases, tasks, workers, statuses, canEdit }
+ */
+export function fetchProjectTimeline(projectId) {
+  return apiFetch(`/api/projects/${projectId}/timeline`);
+}
+
+/**
+ * Add a phase: { name, color, order }
+ */
+export function createPhase(projectId, payload) {
+  return apiFetch(`/api/projects/${projectId}/timeline/phases`, {
+    method: "POST",
+    body: JSON.stringify(payload),
+  });
+}
+
+export function updatePhase(projectId, phaseId, payload) {
+  return apiFetch(`/api/projects/${projectId}/timeline/phases/${phaseId}`, {
+    method: "PUT",
+    body: JSON.stringify(payload),
+  });
+}
+
+export function deletePhase(projectId, phaseId) {
+  return apiFetch(`/api/projects/${projectId}/timeline/phases/${phaseId}`, {
+    method: "DELETE",
+  });
+}
+
+/**
+ * Add a task or milestone:
+ * { title, startDate, endDate, milestone, phase, dependsOn, assignee, status, description }
+ */
+export function createTimelineTask(projectId, payload) {
+  return apiFetch(`/api/projects/${projectId}/timeline/tasks`, {
+    method: "POST",
+    body: JSON.stringify(payload),
+  });
+}
+
+export function updateTimelineTask(projectId, taskId, payload) {
+  return apiFetch(`/api/projects/${projectId}/timeline/tasks/${taskId}`, {
+    method: "PUT",
+    body: JSON.stringify(payload),
+  });
+}
+
+export function deleteTimelineTask(projectId, taskId) {
+  return apiFetch(`/api/projects/${projectId}/timeline/tasks/${taskId}`, {
+    method: "DELETE",
+  });
+}
+
+/* =====================================================
+ * Task board (kanban columns + cards)
+ * ===================================================== */
+
+/**
+ * Fetch the project board:
+ * { columns: [{ ...column, cards }], assignees: { users, workers }, canEdit, canComment, myUserId }
+ */
+export function fetchProjectBoard(projectId) {
+  return apiFetch(`/api/projects/${projectId}/board`);
+}
+
+export function createBoardColumn(projectId, payload) {
+  return apiFetch(`/api/projects/${projectId}/board/columns`, {
+    method: "POST",
+    body: JSON.stringify(payload),
+  });
+}
+
+export function updateBoardColumn(projectId, columnId, payload) {
+  return apiFetch(`/api/projects/${projectId}/board/columns/${columnId}`, {
+    method: "PUT",
+    body: JSON.stringify(payload),
+  });
+}
+
+export function deleteBoardColumn(projectId, columnId) {
+  return apiFetch(`/api/projects/${projectId}/board/columns/${columnId}`, {
+    method: "DELETE",
+  });
+}
+
+/**
+ * Add a card:
+ * { title, description, column, assigneeType, assignee, dueDate, checklist: [{ text, done }] }
+ */
+export function createBoardCard(projectId, payload) {
+  return apiFetch(`/api/projects/${projectId}/board/cards`, {
+    method: "POST",
+    body: JSON.stringify(payload),
+  });
+}
+
+/**
+ * Update a card; send { column, position } to move it.
+ */
+export function updateBoardCard(projectId, cardId, payload) {
+  return apiFetch(`/api/projects/${projectId}/board/cards/${cardId}`, {
+    method: "PUT",
+    body: JSON.stringify(payload),
+  });
+}
+
+export function deleteBoardCard(projectId, cardId) {
+  return apiFetch(`/api/projects/${projectId}/board/cards/${cardId}`, {
+    method: "DELETE",
+  });
+}
+
+/**
+ * Complete (or re-open) a card - editors and the card's assignee.
+ */
+export function completeBoardCard(projectId, cardId, completed = true) {
+  return apiFetch(`/api/projects/${projectId}/board/cards/${cardId}/complete`, {
+    method: "POST",
+    body: JSON.stringify({ completed }),
+  });
+}
+
+export function toggleBoardChecklistItem(projectId, cardId, itemId, done) {
+  return apiFetch(`/api/projects/${projectId}/board/cards/${cardId}/checklist/${itemId}`, {
+    method: "PUT",
+    body: JSON.stringify({ done }),
+  });
+}
+
+export function addBoardCardComment(projectId, cardId, text) {
+  return apiFetch(`/api/projects/${projectId}/board/cards/${cardId}/comments`, {
+    method: "POST",
+    body: JSON.stringify({ text }),
+  });
+}
+
+export function deleteBoardCardComment(projectId, cardId, commentId) {
+  return apiFetch(`/api/projects/${projectId}/board/cards/${cardId}/comments/${commentId}`, {
+    method: "DELETE",
+  });
+}
+
+/**
+ * Cards assigned to the current user across all their projects.
+ */
+export function fetchMyBoardCards() {
+  return apiFetch("/api/board/my-cards");
+}
+
+/* =====================================================
+ * Appointments + calendar (.ics)
+ * ===================================================== */
+
+function rangeQuery(from, to) {
+  const params = new URLSearchParams();
+  if (from) params.set("from", new Date(from).toISOString());
+  if (to) params.set("to", new Date(to).toISOString());
+  const query = params.toString();
+  return query ? `?${query}` : "";
+}
+
+/**
+ * Fetch appointments of a project (+ possible attendees):
+ * { appointments, types, clients, workers, canEdit }
+ */
+export function fetchProjectAppointments(projectId, from, to) {
+  return apiFetch(`/api/projects/${projectId}/appointments${rangeQuery(from, to)}`);
+}
+
+/**
+ * Schedule an appointment:
+ * { type, title, start, end, location, clients: [userId], workers: [workerId], notes }
+ */
+export function createAppointment(projectId, payload) {
+  return apiFetch(`/api/projects/${projectId}/appointments`, {
+    method: "POST",
+    body: JSON.stringify(payload),
+  });
+}
+
+export function updateAppointment(projectId, appointmentId, payload) {
+  return apiFetch(`/api/projects/${projectId}/appointments/${appointmentId}`, {
+    method: "PUT",
+    body: JSON.stringify(payload),
+  });
+}
+
+export function deleteAppointment(projectId, appointmentId) {
+  return apiFetch(`/api/projects/${projectId}/appointments/${appointmentId}`, {
+    method: "DELETE",
+  });
+}
+
+/**
+ * The current user's appointments across all projects (calendar view).
+ */
+export function fetchMyAppointments(from, to) {
+  return apiFetch(`/api/appointments${rangeQuery(from, to)}`);
+}
+
+/**
+ * Download all my appointments as an .ics file.
+ */
+export async function downloadCalendarExport() {
+  const res = await fetchWithAuth(`${API}/api/calendar/export.ics`);
+  if (!res.ok) throw new Error("Failed to export calendar");
+  return res.blob();
+}
+
+/**
+ * Create a new personal feed link: { url } (the previous link stops working).
+ */
+export function createCalendarFeed() {
+  return apiFetch("/api/calendar/feed", { method: "POST" });
+}
+
+export function disableCalendarFeed() {
+  return apiFetch("/api/calendar/feed", { method: "DELETE" });
+}
+
+/* =====================================================
+ * Messages (project conversation threads)
+ * ===================================================== */
+
+/**
+ * Fetch the threads of a project: { threads, unreadCount, anchors, canSend }
  */
-export async function apiFetch(path, options = {}) {
-  const token = localStorage.getItem("token");
+export function fetchMessageThreads(projectId) {
+  return apiFetch(`/api/projects/${projectId}/threads`);
+}
 
-  const res = await fetch(`${API}${path}`, {
-    ...options,
-    headers: {
-      "Content-Type": "application/json",
-      ...(options.headers || {}),
-      ...(token ? { Authorization: `Bearer ${token}` } : {}),
-    },
+/**
+ * Start a thread with its first message:
+ * { subject, anchor: { kind, roomName?, questionnaire?, question? }, text, attachments }
+ */
+export function createMessageThread(projectId, payload) {
+  return apiFetch(`/api/projects/${projectId}/threads`, {
+    method: "POST",
+    body: JSON.stringify(payload),
   });
+}
 
-  let data = {};
-  try {
-    data = await res.json();
-  } catch {
-    // Some endpoints may return no JSON body
-  }
+export function fetchMessageThread(projectId, threadId) {
+  return apiFetch(`/api/projects/${projectId}/threads/${threadId}`);
+}
 
-  if (!res.ok) {
-    throw new Error(data.message || "Request failed");
-  }
+/**
+ * Reply in a thread: { text, attachments: [{ url, name }] } -> updated thread
+ */
+export function sendMessage(projectId, threadId, payload) {
+  return apiFetch(`/api/projects/${projectId}/threads/${threadId}/messages`, {
+    method: "POST",
+    body: JSON.stringify(payload),
+  });
+}
 
-  return data;
+/**
+ * Comment threads of a questionnaire (about its questions / options):
+ * { comments: [thread + questionKey + optionKey], canComment }
+ */
+export function fetchQuestionnaireComments(projectId, instanceId) {
+  return apiFetch(`/api/projects/${projectId}/questionnaires/${instanceId}/comments`);
+}
+
+export function markThreadRead(projectId, threadId) {
+  return apiFetch(`/api/projects/${projectId}/threads/${threadId}/read`, {
+    method: "POST",
+  });
 }
 
 /* =====================================================
- * Projects
+ * Approvals (client sign-off on design decisions)
  * ===================================================== */
 
-/** Fetch all projects for current user */
-export function fetchProjects() {
-  return apiFetch("/api/projects");
+/**
+ * Approvals of a project, newest first:
+ * { approvals, suppliers, approvers, canSubmit, canDecide }
+ */
+export function fetchProjectApprovals(projectId) {
+  return apiFetch(`/api/projects/${projectId}/approvals`);
 }
 
-/** Create a new project */
-export function createProject(payload) {
-  return apiFetch("/api/projects", {
+/**
+ * Submit the current colors / plan / a supplier quote for approval:
+ * { kind: "colors" | "plan" | "supplier_quote", supplier?, note? }
+ */
+export function submitApproval(projectId, payload) {
+  return apiFetch(`/api/projects/${projectId}/approvals`, {
     method: "POST",
     body: JSON.stringify(payload),
   });
 }
 
-/** Update a project by id */
-export function updateProject(projectId, payload) {
-  return apiFetch(`/api/projects/${projectId}`, {
+/**
+ * Approve / reject: { decision: "approved" | "rejected", comment? }
+ */
+export function decideApproval(projectId, approvalId, payload) {
+  return apiFetch(`/api/projects/${projectId}/approvals/${approvalId}/decision`, {
+    method: "POST",
+    body: JSON.stringify(payload),
+  });
+}
+
+export function withdrawApproval(projectId, approvalId) {
+  return apiFetch(`/api/projects/${projectId}/approvals/${approvalId}/withdraw`, {
+    method: "POST",
+  });
+}
+
+/**
+ * Lift the lock of an approved item: { reason? }
+ */
+export function reopenApproval(projectId, approvalId, payload) {
+  return apiFetch(`/api/projects/${projectId}/approvals/${approvalId}/reopen`, {
+    method: "POST",
+    body: JSON.stringify(payload),
+  });
+}
+
+/**
+ * Pending approvals across my projects (client dashboard)
+ */
+export function fetchPendingApprovals() {
+  return apiFetch("/api/approvals/pending");
+}
+
+/* =====================================================
+ * Mood boards (per project / per room)
+ * ===================================================== */
+
+/**
+ * Mood boards of a project (clients: shared ones only):
+ * { boards, canEdit, canReact } - roomId limits the list to one room
+ */
+export function fetchMoodBoards(projectId, roomId) {
+  const query = roomId ? `?room=${roomId}` : "";
+  return apiFetch(`/api/projects/${projectId}/moodboards${query}`);
+}
+
+/** Create a board: { title, description?, roomId?, shared? } */
+export function createMoodBoard(projectId, payload) {
+  return apiFetch(`/api/projects/${projectId}/moodboards`, {
+    method: "POST",
+    body: JSON.stringify(payload),
+  });
+}
+
+/**
+ * One board with its items (like / dislike counts + my reaction), the
+ * canvas size and swatches from the project's colors (designers)
+ */
+export function fetchMoodBoard(projectId, boardId) {
+  return apiFetch(`/api/projects/${projectId}/moodboards/${boardId}`);
+}
+
+export function updateMoodBoard(projectId, boardId, payload) {
+  return apiFetch(`/api/projects/${projectId}/moodboards/${boardId}`, {
     method: "PUT",
     body: JSON.stringify(payload),
   });
 }
 
-/** Delete a project by id */
-export function deleteProject(projectId) {
-  return apiFetch(`/api/projects/${projectId}`, { method: "DELETE" });
+export function deleteMoodBoard(projectId, boardId) {
+  return apiFetch(`/api/projects/${projectId}/moodboards/${boardId}`, {
+    method: "DELETE",
+  });
 }
 
-/** Fetch single project */
-export function fetchProjectById(projectId) {
-  return apiFetch(`/api/projects/${projectId}`);
+/**
+ * Add an item: { kind: "image" | "color" | "note", imageUrl? | color? | text?, caption? }
+ */
+export function addMoodBoardItem(projectId, boardId, payload) {
+  return apiFetch(`/api/projects/${projectId}/moodboards/${boardId}/items`, {
+    method: "POST",
+    body: JSON.stringify(payload),
+  });
 }
 
-/** Update only colorSelections */
-export function updateProjectColorSelections(projectId, colorSelections) {
-  return apiFetch(`/api/projects/${projectId}`, {
+export function updateMoodBoardItem(projectId, boardId, itemId, payload) {
+  return apiFetch(`/api/projects/${projectId}/moodboards/${boardId}/items/${itemId}`, {
     method: "PUT",
-    body: JSON.stringify({ colorSelections }),
+    body: JSON.stringify(payload),
   });
 }
 
-/** Update only design plan + notes */
-export function updateProjectPlan(projectId, { designPlan, notes }) {
-  return apiFetch(`/api/projects/${projectId}`, {
+export function deleteMoodBoardItem(projectId, boardId, itemId) {
+  return apiFetch(`/api/projects/${projectId}/moodboards/${boardId}/items/${itemId}`, {
+    method: "DELETE",
+  });
+}
+
+/** Save item positions: [{ _id, x, y, width, height, z }] */
+export function saveMoodBoardLayout(projectId, boardId, items) {
+  return apiFetch(`/api/projects/${projectId}/moodboards/${boardId}/layout`, {
     method: "PUT",
-    body: JSON.stringify({ designPlan, notes }),
+    body: JSON.stringify({ items }),
   });
 }
 
+/** Client reaction to an item: "like" | "dislike" | null (take it back) */
+export function reactToMoodBoardItem(projectId, boardId, itemId, value) {
+  return apiFetch(
+    `/api/projects/${projectId}/moodboards/${boardId}/items/${itemId}/reaction`,
+    {
+      method: "PUT",
+      body: JSON.stringify({ value }),
+    }
+  );
+}
+
 /* =====================================================
- * Invitations (client approval flow)
+ * Documents (project files, folders, versions)
  * ===================================================== */
 
-/** Client: fetch pending invites */
-export function fetchClientInvites() {
-  return apiFetch("/api/invites");
+/**
+ * Documents + folders of a project (clients: shared ones only):
+ * { documents, folders, canEdit, limits: { maxFileSize, quota, used } }
+ */
+export function fetchProjectDocuments(projectId) {
+  return apiFetch(`/api/projects/${projectId}/documents`);
 }
 
-/** Client: accept invite */
-export function acceptProjectInvite(projectId) {
-  return apiFetch(`/api/projects/${projectId}/invite/accept`, {
-    method: "POST",
+// Multipart upload (no JSON Content-Type, the browser sets the boundary)
+async function sendDocumentForm(path, formData) {
+  const res = await fetchWithAuth(`${API}${path}`, { method: "POST", body: formData });
+
+  let data = {};
+  try {
+    data = await res.json();
+  } catch {
+    // e.g. a proxy error page
+  }
+
+  if (!res.ok) {
+    const error = new Error(data.message || "Upload failed");
+    error.status = res.status;
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * Upload a file: { file, folder, visibility, note }.
+ * A file with the same name in the same folder becomes a new version.
+ * Returns { document, versioned }.
+ */
+export function uploadDocument(projectId, { file, folder, visibility, note }) {
+  const formData = new FormData();
+  formData.append("file", file);
+  formData.append("folder", folder || "");
+  formData.append("visibility", visibility || "team");
+  formData.append("note", note || "");
+  return sendDocumentForm(`/api/projects/${projectId}/documents`, formData);
+}
+
+/**
+ * Upload a new version of a document: { file, note }.
+ */
+export function uploadDocumentVersion(projectId, documentId, { file, note }) {
+  const formData = new FormData();
+  formData.append("file", file);
+  formData.append("note", note || "");
+  return sendDocumentForm(`/api/projects/${projectId}/documents/${documentId}/versions`, formData);
+}
+
+/**
+ * Rename / move a document or change its visibility: { name?, folder?, visibility? }
+ */
+export function updateDocument(projectId, documentId, updates) {
+  return apiFetch(`/api/projects/${projectId}/documents/${documentId}`, {
+    method: "PUT",
+    body: JSON.stringify(updates),
   });
 }
 
-/** Client: reject invite */
-export function rejectProjectInvite(projectId) {
-  return apiFetch(`/api/projects/${projectId}/invite/reject`, {
+export function deleteDocument(projectId, documentId) {
+  return apiFetch(`/api/projects/${projectId}/documents/${documentId}`, {
+    method: "DELETE",
+  });
+}
+
+/**
+ * Download a document (version: number, default the current one) as a Blob.
+ */
+export async function downloadDocument(projectId, documentId, version) {
+  const query = version ? `?version=${version}` : "";
+  const res = await fetchWithAuth(
+    `${API}/api/projects/${projectId}/documents/${documentId}/download${query}`
+  );
+  if (!res.ok) throw new Error("Failed to download document");
+  return res.blob();
+}
+
+/**
+ * Folders: create ("Plans/Kitchen"), rename / move (from -> to) and delete
+ * (empty folders only). All return { folders }.
+ */
+export function createDocumentFolder(projectId, path) {
+  return apiFetch(`/api/projects/${projectId}/documents/folders`, {
     method: "POST",
+    body: JSON.stringify({ path }),
   });
 }
 
-/** Designer: send/resend invite */
-export function inviteClientToProject(projectId, clientUsername) {
-  return apiFetch(`/api/projects/${projectId}/invite`, {
+export function renameDocumentFolder(projectId, from, to) {
+  return apiFetch(`/api/projects/${projectId}/documents/folders`, {
+    method: "PUT",
+    body: JSON.stringify({ from, to }),
+  });
+}
+
+export function deleteDocumentFolder(projectId, path) {
+  return apiFetch(
+    `/api/projects/${projectId}/documents/folders?path=${encodeURIComponent(path)}`,
+    { method: "DELETE" }
+  );
+}
+
+/* =====================================================
+ * Invoices
+ * ===================================================== */
+
+/**
+ * Fetch invoices of a project: { invoices, canEdit, statuses?, sources? }
+ * (clients only get sent / paid invoices)
+ */
+export function fetchProjectInvoices(projectId) {
+  return apiFetch(`/api/projects/${projectId}/invoices`);
+}
+
+/**
+ * Create a draft invoice:
+ * { workerIds, supplierIds, designerFee: { description, amount }, items, taxes, dueDate, notes }
+ */
+export function createInvoice(projectId, payload) {
+  return apiFetch(`/api/projects/${projectId}/invoices`, {
     method: "POST",
-    body: JSON.stringify({ clientUsername }),
+    body: JSON.stringify(payload),
+  });
+}
+
+/** Edit a draft ({ items, taxes, dueDate, notes }) or change its status ({ status }) */
+export function updateInvoice(projectId, invoiceId, payload) {
+  return apiFetch(`/api/projects/${projectId}/invoices/${invoiceId}`, {
+    method: "PUT",
+    body: JSON.stringify(payload),
+  });
+}
+
+export function deleteInvoice(projectId, invoiceId) {
+  return apiFetch(`/api/projects/${projectId}/invoices/${invoiceId}`, {
+    method: "DELETE",
   });
 }
 
+/** Client: sent / paid invoices of all linked projects */
+export function fetchClientInvoices() {
+  return apiFetch("/api/invoices");
+}
+
+/**
+ * Printable HTML of an invoice (text, not JSON).
+ */
+export async function fetchInvoiceHtml(projectId, invoiceId) {
+  const res = await fetchWithAuth(`${API}/api/projects/${projectId}/invoices/${invoiceId}/html`);
+  if (!res.ok) throw new Error("Failed to load invoice");
+  return res.text();
+}
+
 /* =====================================================
  * Suppliers
  * ===================================================== */
@@ -220,10 +1167,42 @@ export function loginUser({ username, password }) {
   });
 }
 
-export function registerUser({ username, password, role }) {
+export function registerUser({ username, password, role, email }) {
   return apiFetch("/api/register", {
     method: "POST",
-    body: JSON.stringify({ username, password, role }),
+    body: JSON.stringify({ username, password, role, email }),
+  });
+}
+
+/** Logged-in user: change password (returns a fresh token pair) */
+export function changePassword({ currentPassword, newPassword }) {
+  return apiFetch("/api/password", {
+    method: "PUT",
+    body: JSON.stringify({ currentPassword, newPassword }),
+  });
+}
+
+/** Logged-in user: change email address (needs the current password) */
+export function changeEmail({ currentPassword, email }) {
+  return apiFetch("/api/email", {
+    method: "PUT",
+    body: JSON.stringify({ currentPassword, email }),
+  });
+}
+
+/** Public: ask for a reset link by email */
+export function requestPasswordReset(username) {
+  return apiFetch("/api/password/forgot", {
+    method: "POST",
+    body: JSON.stringify({ username }),
+  });
+}
+
+/** Public: set a new password with the token from the email */
+export function resetPassword({ token, newPassword }) {
+  return apiFetch("/api/password/reset", {
+    method: "POST",
+    body: JSON.stringify({ token, newPassword }),
   });
 }
 
@@ -263,9 +1242,10 @@ export function saveProjectQuestionnaireAnswers(projectId, templateId, answers)
 }
 
 /** Project-only edit of a questionnaire instance (designer) */
-export function updateProjectQuestionnaireInstance(projectId, instanceId, payload) {
+export function updateProjectQuestionnaireInstance(projectId, instanceId, payload, version) {
   return apiFetch(`/api/projects/${projectId}/questionnaires/${instanceId}`, {
     method: "PUT",
+    headers: versionHeader(version),
     body: JSON.stringify(payload),
   });
 }
@@ -299,15 +1279,12 @@ export function deleteQuestionnaireTemplate(templateId) {
  * ===================================================== */
 
 /**
- * Upload an image file to the server (Cloudinary).
+ * Upload an image file to the server (stored on Cloudinary or the server disk).
  * Expects: FormData with field "image"
  */
 export async function uploadImage(formData) {
-  const token = localStorage.getItem("token");
-
-  const res = await fetch(`${API}/upload-image`, {
+  const res = await fetchWithAuth(`${API}/upload-image`, {
     method: "POST",
-    headers: token ? { Authorization: `Bearer ${token}` } : {},
     body: formData,
   });
 
@@ -326,3 +1303,90 @@ export function syncTemplateToProjects(templateId, mode = "safe") {
     body: JSON.stringify({ mode }),
   });
 }
+
+/* =====================================================
+ * Notifications
+ * ===================================================== */
+
+/**
+ * Fetch my notifications (newest first): { notifications, unreadCount }
+ * options: { unread: true } for unread only, { limit }
+ */
+export function fetchNotifications({ unread = false, limit } = {}) {
+  const params = new URLSearchParams();
+  if (unread) params.set("unread", "true");
+  if (limit) params.set("limit", String(limit));
+  const query = params.toString();
+  return apiFetch(`/api/notifications${query ? `?${query}` : ""}`);
+}
+
+export function markNotificationRead(notificationId) {
+  return apiFetch(`/api/notifications/${notificationId}/read`, { method: "POST" });
+}
+
+export function markAllNotificationsRead() {
+  return apiFetch("/api/notifications/read-all", { method: "POST" });
+}
+
+/**
+ * My email settings: { email, mode, mutedTypes, modes, types }
+ */
+export function fetchNotificationPreferences() {
+  return apiFetch("/api/notifications/preferences");
+}
+
+/** payload: { mode?: "instant" | "digest" | "off", mutedTypes? } (email: changeEmail) */
+export function updateNotificationPreferences(payload) {
+  return apiFetch("/api/notifications/preferences", {
+    method: "PUT",
+    body: JSON.stringify(payload),
+  });
+}
+
+/* =====================================================
+ * Live project updates (Server-Sent Events)
+ * ===================================================== */
+
+/**
+ * Read the project's event stream until it ends or `signal` aborts.
+ * Calls onEvent({ type, data }) for every event ("ready", "change").
+ * Uses fetch (not EventSource) so the Authorization header and the token
+ * refresh work like for every other request.
+ */
+export async function streamProjectEvents(projectId, { onEvent, signal }) {
+  const res = await fetchWithAuth(`${API}/api/projects/${projectId}/events`, {
+    headers: { Accept: "text/event-stream" },
+    signal,
+  });
+  if (!res.ok || !res.body) {
+    const error = new Error("Failed to open live updates");
+    error.status = res.status;
+    throw error;
+  }
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line; ": ping" lines are heartbeats
+    let end;
+    while ((end = buffer.indexOf("\n\n")) >= 0) {
+      const block = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+
+      let type = "message";
+      let data = "";
+      for (const line of block.split("\n")) {
+        if (line.startsWith("event:")) type = line.slice(6).trim();
+        else if (line.startsWith("data:")) data += line.slice(5).trim();
+      }
+      if (data) onEvent({ type, data: JSON.parse(data) });
+    }
+  }
+}
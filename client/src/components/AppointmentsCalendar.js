@@ -0,0 +1,287 @@
+// client/src/components/AppointmentsCalendar.js
+
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import {
+  fetchMyAppointments,
+  downloadCalendarExport,
+  createCalendarFeed,
+  disableCalendarFeed,
+} from "../api";
+
+/**
+ * AppointmentsCalendar
+ *
+ * Month calendar of the current user's appointments across all projects
+ * (site visits, meetings, deliveries...).
+ * - Click a day to list its appointments (each links to its project)
+ * - "Export .ics" downloads every appointment as one file
+ * - "Subscribe" creates a private feed URL for calendar apps
+ *   (Google / Apple / Outlook); creating a new one turns the old one off
+ */
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const TYPE_COLORS = {
+  site_visit: "#ff9eb5",
+  client_meeting: "#b39ddb",
+  worker_meeting: "#90caf9",
+  measurement: "#ffcc80",
+  delivery: "#a5d6a7",
+  other: "#e0e0e0",
+};
+
+function sameDay(a, b) {
+  return (
+    a.getFullYear() === b.getFullYear() &&
+    a.getMonth() === b.getMonth() &&
+    a.getDate() === b.getDate()
+  );
+}
+
+function formatTime(value) {
+  return new Date(value).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+}
+
+export function typeLabel(type) {
+  return (type || "other").replace(/_/g, " ");
+}
+
+export default function AppointmentsCalendar() {
+  const [month, setMonth] = useState(() => {
+    const d = new Date();
+    return new Date(d.getFullYear(), d.getMonth(), 1);
+  });
+  const [appointments, setAppointments] = useState([]);
+  const [selectedDay, setSelectedDay] = useState(() => new Date());
+  const [feedUrl, setFeedUrl] = useState("");
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+
+  // Grid starts on the Sunday before the 1st and always shows 6 weeks
+  const gridStart = new Date(month);
+  gridStart.setDate(1 - month.getDay());
+  const days = Array.from({ length: 42 }, (_, i) => {
+    const d = new Date(gridStart);
+    d.setDate(gridStart.getDate() + i);
+    return d;
+  });
+
+  async function loadAppointments() {
+    setError("");
+
+    const from = days[0];
+    const to = new Date(days[days.length - 1]);
+    to.setHours(23, 59, 59, 999);
+
+    try {
+      const data = await fetchMyAppointments(from, to);
+      setAppointments(Array.isArray(data) ? data : []);
+    } catch (err) {
+      console.error("Failed to load appointments:", err);
+      setError(err.message || "Failed to load appointments");
+    }
+  }
+
+  useEffect(() => {
+    loadAppointments();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [month]);
+
+  function changeMonth(delta) {
+    setMonth((prev) => new Date(prev.getFullYear(), prev.getMonth() + delta, 1));
+  }
+
+  const appointmentsOn = (day) => appointments.filter((a) => sameDay(new Date(a.start), day));
+
+  async function handleExport() {
+    setError("");
+    try {
+      const blob = await downloadCalendarExport();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = "appointments.ics";
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error("Failed to export calendar:", err);
+      setError(err.message || "Failed to export calendar");
+    }
+  }
+
+  async function handleSubscribe() {
+    if (feedUrl || message) {
+      if (!window.confirm("Create a new link? Calendars using the old link stop updating.")) {
+        return;
+      }
+    }
+    setError("");
+    try {
+      const data = await createCalendarFeed();
+      setFeedUrl(data.url);
+      setMessage("Copy this link now and add it to your calendar app as a subscription.");
+    } catch (err) {
+      console.error("Failed to create calendar feed:", err);
+      setError(err.message || "Failed to create calendar feed");
+    }
+  }
+
+  async function handleDisableFeed() {
+    if (!window.confirm("Turn off your calendar feed? Subscribed calendars stop updating.")) {
+      return;
+    }
+    setError("");
+    try {
+      await disableCalendarFeed();
+      setFeedUrl("");
+      setMessage("Calendar feed turned off.");
+    } catch (err) {
+      console.error("Failed to disable calendar feed:", err);
+      setError(err.message || "Failed to disable calendar feed");
+    }
+  }
+
+  /* ---------- Styles ---------- */
+
+  const buttonStyle = {
+    padding: "4px 10px",
+    borderRadius: 10,
+    border: "none",
+    cursor: "pointer",
+    fontSize: 12,
+    fontWeight: 600,
+    background: "#eee",
+  };
+
+  const gridStyle = {
+    display: "grid",
+    gridTemplateColumns: "repeat(7, 1fr)",
+    gap: 4,
+  };
+
+  const dayStyle = (day) => {
+    const inMonth = day.getMonth() === month.getMonth();
+    const selected = sameDay(day, selectedDay);
+    return {
+      minHeight: 62,
+      padding: 4,
+      borderRadius: 8,
+      cursor: "pointer",
+      fontSize: 11,
+      background: selected ? "rgba(255,158,181,0.35)" : "rgba(255,240,244,0.6)",
+      border: sameDay(day, new Date()) ? "2px solid #ff6f91" : "1px solid transparent",
+      opacity: inMonth ? 1 : 0.45,
+      overflow: "hidden",
+    };
+  };
+
+  const chipStyle = (appointment) => ({
+    display: "block",
+    marginTop: 2,
+    padding: "1px 4px",
+    borderRadius: 4,
+    background: TYPE_COLORS[appointment.type] || TYPE_COLORS.other,
+    textDecoration: appointment.status === "cancelled" ? "line-through" : "none",
+    whiteSpace: "nowrap",
+    overflow: "hidden",
+    textOverflow: "ellipsis",
+  });
+
+  const selectedAppointments = appointmentsOn(selectedDay);
+
+  return (
+    <div>
+      <div
+        style={{
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "space-between",
+          marginBottom: 8,
+          flexWrap: "wrap",
+          gap: 8,
+        }}
+      >
+        <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+          <button type="button" style={buttonStyle} onClick={() => changeMonth(-1)}>
+            ←
+          </button>
+          <strong style={{ fontSize: 15, minWidth: 130, textAlign: "center" }}>
+            {month.toLocaleDateString(undefined, { month: "long", year: "numeric" })}
+          </strong>
+          <button type="button" style={buttonStyle} onClick={() => changeMonth(1)}>
+            →
+          </button>
+        </div>
+        <div style={{ display: "flex", gap: 6 }}>
+          <button type="button" style={buttonStyle} onClick={handleExport}>
+            Export .ics
+          </button>
+          <button type="button" style={buttonStyle} onClick={handleSubscribe}>
+            Subscribe
+          </button>
+          <button type="button" style={buttonStyle} onClick={handleDisableFeed}>
+            Turn Off Feed
+          </button>
+        </div>
+      </div>
+
+      {error && <div style={{ color: "#b00020", fontSize: 13, marginBottom: 8 }}>{error}</div>}
+      {message && (
+        <div style={{ fontSize: 13, marginBottom: 8 }}>
+          {message}
+          {feedUrl && (
+            <input
+              readOnly
+              value={feedUrl}
+              onFocus={(e) => e.target.select()}
+              style={{ display: "block", width: "100%", marginTop: 4, fontSize: 12 }}
+            />
+          )}
+        </div>
+      )}
+
+      <div style={gridStyle}>
+        {WEEKDAYS.map((d) => (
+          <div key={d} style={{ fontSize: 11, fontWeight: 600, textAlign: "center" }}>
+            {d}
+          </div>
+        ))}
+        {days.map((day) => (
+          <div key={day.toISOString()} style={dayStyle(day)} onClick={() => setSelectedDay(day)}>
+            <div style={{ fontWeight: 600 }}>{day.getDate()}</div>
+            {appointmentsOn(day).map((a) => (
+              <span key={a._id} style={chipStyle(a)} title={`${a.title || typeLabel(a.type)}`}>
+                {formatTime(a.start)} {a.project?.name || ""}
+              </span>
+            ))}
+          </div>
+        ))}
+      </div>
+
+      <div style={{ marginTop: 12, fontSize: 13 }}>
+        <strong>{selectedDay.toLocaleDateString()}</strong>
+        {selectedAppointments.length === 0 ? (
+          <p style={{ color: "#777" }}>No appointments.</p>
+        ) : (
+          <ul style={{ paddingLeft: 18 }}>
+            {selectedAppointments.map((a) => (
+              <li key={a._id} style={{ marginBottom: 4 }}>
+                {formatTime(a.start)}–{formatTime(a.end)}{" "}
+                <strong>{a.title || typeLabel(a.type)}</strong>
+                {a.status === "cancelled" && " (cancelled)"}
+                {a.project && (
+                  <>
+                    {" – "}
+                    <Link to={`/project/${a.project._id}/appointments`}>{a.project.name}</Link>
+                  </>
+                )}
+                {a.location && <span style={{ color: "#777" }}> · {a.location}</span>}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,127 @@
+// client/src/components/ApprovalNotice.js
+
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { fetchProjectApprovals, submitApproval } from "../api";
+import { useProjectEvents } from "../utils/useProjectEvents";
+import {
+  latestApproval,
+  approvalStatusText,
+  APPROVAL_STATUS_COLORS,
+} from "../utils/approvals";
+
+/**
+ * ApprovalNotice
+ *
+ * Approval state of the project's colors or design plan, shown on top of
+ * their page: waiting / approved (locked) / rejected with the client's
+ * comment. Designers can ask for approval of the saved version from here.
+ * Roles without decisions:view see nothing.
+ *
+ * Props:
+ * - projectId
+ * - kind:          "colors" | "plan"
+ * - onLockChange?: (locked: boolean) => void - the item is approved and
+ *                  locked (the page should not allow edits)
+ */
+export default function ApprovalNotice({ projectId, kind, onLockChange }) {
+  const [data, setData] = useState(null);
+  const [error, setError] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const approval = latestApproval(data?.approvals, kind);
+  const locked = Boolean(approval?.locked);
+
+  async function load() {
+    try {
+      setData(await fetchProjectApprovals(projectId));
+    } catch (err) {
+      // No decisions:view on this project: nothing to show
+      if (err.status !== 403) console.error("Failed to load approvals:", err);
+      setData(null);
+    }
+  }
+
+  useEffect(() => {
+    if (projectId) load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [projectId]);
+
+  useEffect(() => {
+    if (onLockChange) onLockChange(locked);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [locked]);
+
+  // Saves of the item itself can make a pending approval outdated
+  useProjectEvents(projectId, ["decisions", kind], () => load());
+
+  async function handleSubmit() {
+    setError("");
+    setSaving(true);
+
+    try {
+      await submitApproval(projectId, { kind });
+      await load();
+    } catch (err) {
+      console.error("Failed to request approval:", err);
+      setError(err.message || "Failed to request approval");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  if (!data) return null;
+
+  const open = approval && (approval.status === "pending" || locked);
+
+  const boxStyle = {
+    marginBottom: 16,
+    padding: "10px 12px",
+    borderRadius: 10,
+    background: locked ? "#e8f5e9" : "#fff8e1",
+    border: `1px solid ${locked ? "#a5d6a7" : "#ffe082"}`,
+    fontSize: 13,
+  };
+
+  const buttonStyle = {
+    marginTop: 8,
+    marginRight: 8,
+    padding: "6px 10px",
+    borderRadius: 10,
+    border: "1px solid rgba(255,192,203,0.9)",
+    background: "#ff9eb5",
+    cursor: "pointer",
+    fontSize: 12,
+    fontWeight: 600,
+  };
+
+  return (
+    <div style={boxStyle}>
+      <strong style={{ color: APPROVAL_STATUS_COLORS[approval?.status] || "#333" }}>
+        {approvalStatusText(approval)}
+      </strong>
+
+      {approval?.outdated && (
+        <div>Changed after it was submitted - the client cannot approve this version.</div>
+      )}
+      {locked && <div>Approved items cannot be changed until they are reopened.</div>}
+      {approval?.comment && (
+        <div style={{ marginTop: 4 }}>
+          Client comment: <em>{approval.comment}</em>
+        </div>
+      )}
+      {error && <div style={{ color: "#b00020", marginTop: 4 }}>{error}</div>}
+
+      <div>
+        {data.canSubmit && !open && (
+          <button type="button" style={buttonStyle} onClick={handleSubmit} disabled={saving}>
+            {saving ? "Submitting..." : "Request client approval of the saved version"}
+          </button>
+        )}
+        <Link to={`/project/${projectId}/approvals`} style={{ fontSize: 12 }}>
+          All approvals
+        </Link>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,66 @@
+// client/src/components/ConflictNotice.js
+
+import React from "react";
+
+/**
+ * ConflictNotice
+ *
+ * Shown when saving failed with 409 because someone else changed the
+ * project in the meantime. Lets the user decide what happens to their
+ * unsaved changes instead of silently overwriting the other person's.
+ *
+ * Props:
+ * - message?:     string      Text from the server (optional)
+ * - onReload:     () => void  Discard my changes, load the latest version
+ * - onOverwrite?: () => void  Save my changes on top of the latest version
+ * - onMerge?:     () => void  Combine both versions (only where the page supports it)
+ * - children?:    ReactNode   Extra content, e.g. the other person's version
+ */
+export default function ConflictNotice({ message, onReload, onOverwrite, onMerge, children }) {
+  const boxStyle = {
+    marginBottom: 16,
+    padding: "10px 12px",
+    borderRadius: 10,
+    background: "#fff4e5",
+    border: "1px solid #ffb74d",
+    color: "#7a4100",
+    fontSize: 13,
+  };
+
+  const buttonStyle = {
+    marginRight: 8,
+    marginTop: 8,
+    padding: "6px 10px",
+    borderRadius: 10,
+    border: "1px solid #ffb74d",
+    background: "#fff",
+    cursor: "pointer",
+    fontSize: 12,
+    fontWeight: 600,
+  };
+
+  return (
+    <div style={boxStyle}>
+      <strong>Someone else changed this project while you were editing.</strong>
+      <div>{message || "Choose what to do with your unsaved changes."}</div>
+
+      {children}
+
+      <div>
+        <button type="button" style={buttonStyle} onClick={onReload}>
+          Reload latest (discard mine)
+        </button>
+        {onMerge && (
+          <button type="button" style={buttonStyle} onClick={onMerge}>
+            Merge both
+          </button>
+        )}
+        {onOverwrite && (
+          <button type="button" style={buttonStyle} onClick={onOverwrite}>
+            Keep mine (overwrite)
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
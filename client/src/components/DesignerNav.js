@@ -2,13 +2,15 @@
 import React from "react";
 import { Link, useNavigate } from "react-router-dom";
 import { logout } from "../utils/logout";
+import NotificationsBell from "./NotificationsBell";
 
 /**
  * Sidebar navigation for the designer dashboard.
- * Shows links to main designer sections + logout button.
+ * Shows links to main designer sections, the notifications bell
+ * (unread badge) + logout button.
  *
  * Props:
- * - active: string ("projects" | "options" | "questionnaires")
+ * - active: string ("projects" | "options" | "questionnaires" | "studio" | "account")
  *           used to highlight the current page in the sidebar.
  */
 export default function DesignerNav({ active }) {
@@ -95,6 +97,11 @@ export default function DesignerNav({ active }) {
       <div style={cardStyle}>
         <div style={logoStyle}>Designer Panel</div>
 
+        {/* Notifications center with unread badge */}
+        <div style={{ marginBottom: 14 }}>
+          <NotificationsBell />
+        </div>
+
         <div style={navTitleStyle}>Navigation</div>
 
         {/* Main navigation links for the designer */}
@@ -119,6 +126,20 @@ export default function DesignerNav({ active }) {
           >
             Questionnaires
           </Link>
+
+          <Link
+            to="/designer/studio"
+            style={active === "studio" ? navActiveStyle : navLinkStyle}
+          >
+            Studio
+          </Link>
+
+          <Link
+            to="/account/password"
+            style={active === "account" ? navActiveStyle : navLinkStyle}
+          >
+            Change Password
+          </Link>
         </nav>
 
         {/* Logout clears auth and returns to login / home */}
@@ -0,0 +1,55 @@
+// client/src/components/LiveUpdateNotice.js
+
+import React from "react";
+
+/**
+ * LiveUpdateNotice
+ *
+ * Shown when someone else saved this part of the project while the user
+ * has unsaved changes on the page (live updates never replace those).
+ * Saving anyway still goes through the normal 409 conflict handling.
+ *
+ * Props:
+ * - actorName?: string      Who made the change
+ * - onReload:   () => void  Discard my changes, load the latest version
+ * - onDismiss:  () => void  Keep editing
+ */
+export default function LiveUpdateNotice({ actorName, onReload, onDismiss }) {
+  const boxStyle = {
+    marginBottom: 16,
+    padding: "10px 12px",
+    borderRadius: 10,
+    background: "#e8f4fd",
+    border: "1px solid #90caf9",
+    color: "#0d47a1",
+    fontSize: 13,
+  };
+
+  const buttonStyle = {
+    marginRight: 8,
+    marginTop: 8,
+    padding: "6px 10px",
+    borderRadius: 10,
+    border: "1px solid #90caf9",
+    background: "#fff",
+    cursor: "pointer",
+    fontSize: 12,
+    fontWeight: 600,
+  };
+
+  return (
+    <div style={boxStyle}>
+      <strong>{actorName || "Someone"} just saved changes here.</strong>
+      <div>You have unsaved changes, so the page was not refreshed.</div>
+
+      <div>
+        <button type="button" style={buttonStyle} onClick={onReload}>
+          Load latest (discard mine)
+        </button>
+        <button type="button" style={buttonStyle} onClick={onDismiss}>
+          Keep editing
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,223 @@
+// client/src/components/NotificationsBell.js
+
+import React, { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import {
+  fetchNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+} from "../api";
+
+/**
+ * NotificationsBell
+ *
+ * "Notifications" button with the unread count badge; opens a panel with
+ * the latest notifications (invites, saved answers, plan / color updates,
+ * questionnaire syncs).
+ * - Clicking a notification marks it read and opens its page
+ * - "Mark all read" clears the badge, "Email settings" opens the email preferences
+ * - The count is refreshed every minute while the page is open
+ *
+ * Props:
+ * - align: "left" | "right" - which edge of the button the panel lines up with
+ */
+
+const REFRESH_MS = 60 * 1000;
+
+export default function NotificationsBell({ align = "left" }) {
+  const navigate = useNavigate();
+
+  const [open, setOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [error, setError] = useState("");
+
+  async function loadNotifications() {
+    try {
+      const data = await fetchNotifications({ limit: 20 });
+      setNotifications(data.notifications || []);
+      setUnreadCount(data.unreadCount || 0);
+      setError("");
+    } catch (err) {
+      console.error("Failed to load notifications:", err);
+      setError(err.message || "Failed to load notifications");
+    }
+  }
+
+  useEffect(() => {
+    loadNotifications();
+    const timer = setInterval(loadNotifications, REFRESH_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  async function handleOpen(notification) {
+    try {
+      if (!notification.readAt) {
+        await markNotificationRead(notification._id);
+        setNotifications((prev) =>
+          prev.map((n) =>
+            n._id === notification._id ? { ...n, readAt: new Date().toISOString() } : n
+          )
+        );
+        setUnreadCount((prev) => Math.max(prev - 1, 0));
+      }
+    } catch (err) {
+      console.error("Failed to mark notification read:", err);
+    }
+
+    setOpen(false);
+    if (notification.link) navigate(notification.link);
+  }
+
+  async function handleMarkAllRead() {
+    try {
+      await markAllNotificationsRead();
+      const now = new Date().toISOString();
+      setNotifications((prev) => prev.map((n) => (n.readAt ? n : { ...n, readAt: now })));
+      setUnreadCount(0);
+    } catch (err) {
+      console.error("Failed to mark notifications read:", err);
+      setError(err.message || "Failed to mark notifications read");
+    }
+  }
+
+  /* ---------- Styles ---------- */
+
+  const buttonStyle = {
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "space-between",
+    gap: 8,
+    width: "100%",
+    padding: "8px 10px",
+    borderRadius: 10,
+    border: "1px solid rgba(255,192,203,0.9)",
+    background: open ? "rgba(255,145,175,0.18)" : "#fff",
+    cursor: "pointer",
+    fontSize: 13,
+    fontWeight: 600,
+  };
+
+  const badgeStyle = {
+    minWidth: 18,
+    padding: "1px 6px",
+    borderRadius: 999,
+    background: "#d81b60",
+    color: "#fff",
+    fontSize: 11,
+    textAlign: "center",
+  };
+
+  const panelStyle = {
+    position: "absolute",
+    top: "calc(100% + 6px)",
+    [align === "right" ? "right" : "left"]: 0,
+    zIndex: 20,
+    width: 320,
+    maxHeight: 420,
+    overflowY: "auto",
+    background: "#fff",
+    borderRadius: 12,
+    boxShadow: "0 12px 30px rgba(0,0,0,0.18)",
+    border: "1px solid rgba(255,192,203,0.7)",
+    padding: 8,
+    textAlign: "left",
+  };
+
+  const itemStyle = (notification) => ({
+    display: "block",
+    width: "100%",
+    textAlign: "left",
+    padding: "8px 8px",
+    marginBottom: 2,
+    borderRadius: 8,
+    border: "none",
+    cursor: "pointer",
+    fontSize: 13,
+    background: notification.readAt ? "transparent" : "rgba(255,240,244,0.9)",
+    fontWeight: notification.readAt ? 400 : 600,
+  });
+
+  const metaStyle = { display: "block", fontSize: 11, color: "#777", fontWeight: 400 };
+
+  return (
+    <div style={{ position: "relative" }}>
+      <button type="button" style={buttonStyle} onClick={() => setOpen((prev) => !prev)}>
+        Notifications
+        {unreadCount > 0 && <span style={badgeStyle}>{unreadCount}</span>}
+      </button>
+
+      {open && (
+        <div style={panelStyle}>
+          <div
+            style={{
+              display: "flex",
+              justifyContent: "space-between",
+              alignItems: "center",
+              marginBottom: 6,
+            }}
+          >
+            <strong style={{ fontSize: 14 }}>Notifications</strong>
+            <button
+              type="button"
+              onClick={handleMarkAllRead}
+              disabled={unreadCount === 0}
+              style={{
+                border: "none",
+                background: "none",
+                color: unreadCount === 0 ? "#aaa" : "#d81b60",
+                cursor: unreadCount === 0 ? "default" : "pointer",
+                fontSize: 12,
+                fontWeight: 600,
+              }}
+            >
+              Mark all read
+            </button>
+          </div>
+
+          {error && <div style={{ color: "#b00020", fontSize: 12, marginBottom: 6 }}>{error}</div>}
+
+          {notifications.length === 0 ? (
+            <p style={{ fontSize: 13, color: "#777", margin: "6px 4px" }}>
+              No notifications yet.
+            </p>
+          ) : (
+            notifications.map((n) => (
+              <button
+                key={n._id}
+                type="button"
+                style={itemStyle(n)}
+                onClick={() => handleOpen(n)}
+              >
+                {n.actorName || "Someone"} {n.message}
+                <span style={metaStyle}>
+                  {n.projectName ? `${n.projectName} · ` : ""}
+                  {new Date(n.createdAt).toLocaleString()}
+                </span>
+              </button>
+            ))
+          )}
+
+          <button
+            type="button"
+            onClick={() => {
+              setOpen(false);
+              navigate("/account/notifications");
+            }}
+            style={{
+              marginTop: 6,
+              border: "none",
+              background: "none",
+              color: "#1e88e5",
+              cursor: "pointer",
+              fontSize: 12,
+              padding: "4px 8px",
+            }}
+          >
+            Email settings
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
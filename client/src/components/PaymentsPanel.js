@@ -0,0 +1,335 @@
+// client/src/components/PaymentsPanel.js
+
+import React, { useState } from "react";
+import { createPayment, updatePayment, deletePayment, uploadImage } from "../api";
+import { CURRENCIES, formatMoney } from "../utils/currency";
+
+/**
+ * PaymentsPanel
+ *
+ * Payments and installment schedule of one worker / supplier.
+ * - Lists recorded payments and open installments (scheduled / overdue)
+ * - Designers with budget rights can add an installment or a payment,
+ *   mark installments as paid and delete entries
+ *
+ * Props:
+ * - projectId: string
+ * - payee:     { payeeType, payee, name, costCurrency, cost, paid, outstanding }
+ * - payments:  payments of this payee (from GET /payments)
+ * - currency:  project currency, in which the payee totals are given
+ * - methods:   allowed payment methods
+ * - canEdit:   boolean
+ * - onChange:  (data) => void  Called with the server's new payments summary
+ */
+
+const STATUS_COLORS = {
+  paid: { background: "#e5ffe8", color: "#1b5e20" },
+  scheduled: { background: "#eef3ff", color: "#1a3e8a" },
+  overdue: { background: "#ffe5e5", color: "#b00020" },
+};
+
+const EMPTY_FORM = {
+  amount: "",
+  currency: "",
+  dueDate: "",
+  status: "scheduled",
+  method: "bank_transfer",
+  reference: "",
+  attachmentUrl: "",
+  note: "",
+};
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleDateString() : "—";
+}
+
+function methodLabel(method) {
+  return (method || "").replace(/_/g, " ");
+}
+
+export default function PaymentsPanel({
+  projectId,
+  payee,
+  payments,
+  currency,
+  methods,
+  canEdit,
+  onChange,
+}) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState("");
+
+  function handleChange(e) {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  }
+
+  async function handleUpload(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    setUploading(true);
+    setError("");
+    try {
+      const formData = new FormData();
+      formData.append("image", file);
+      const data = await uploadImage(formData);
+      setForm((prev) => ({ ...prev, attachmentUrl: data.imageUrl }));
+    } catch (err) {
+      console.error("Failed to upload receipt:", err);
+      setError(err.message || "Failed to upload receipt");
+    } finally {
+      setUploading(false);
+    }
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setSaving(true);
+    setError("");
+
+    try {
+      const data = await createPayment(projectId, {
+        ...form,
+        payeeType: payee.payeeType,
+        payee: payee.payee,
+        amount: Number(form.amount),
+        currency: form.currency || payee.costCurrency,
+      });
+      setForm(EMPTY_FORM);
+      onChange(data);
+    } catch (err) {
+      console.error("Failed to save payment:", err);
+      setError(err.message || "Failed to save payment");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleMarkPaid(payment) {
+    setError("");
+    try {
+      onChange(await updatePayment(projectId, payment._id, { status: "paid" }));
+    } catch (err) {
+      console.error("Failed to update payment:", err);
+      setError(err.message || "Failed to update payment");
+    }
+  }
+
+  async function handleDelete(payment) {
+    if (!window.confirm("Delete this payment?")) return;
+
+    setError("");
+    try {
+      onChange(await deletePayment(projectId, payment._id));
+    } catch (err) {
+      console.error("Failed to delete payment:", err);
+      setError(err.message || "Failed to delete payment");
+    }
+  }
+
+  /* ---------- Styles ---------- */
+
+  const boxStyle = {
+    padding: "10px 12px",
+    borderRadius: 10,
+    background: "rgba(255,240,244,0.6)",
+    fontSize: 13,
+  };
+
+  const badgeStyle = (status) => ({
+    ...STATUS_COLORS[status],
+    padding: "2px 8px",
+    borderRadius: 999,
+    fontSize: 11,
+    fontWeight: 600,
+  });
+
+  const cellStyle = { padding: "4px 8px", borderBottom: "1px solid #f2f2f2", textAlign: "left" };
+  const inputStyle = { fontSize: 12, padding: "4px 6px", width: "100%" };
+  const smallLabelStyle = { fontSize: 11, color: "#777" };
+
+  const buttonStyle = {
+    marginRight: 6,
+    padding: "4px 8px",
+    borderRadius: 8,
+    border: "1px solid #f0b6c4",
+    background: "#fff",
+    cursor: "pointer",
+    fontSize: 11,
+    fontWeight: 600,
+  };
+
+  return (
+    <div style={boxStyle}>
+      <strong>Payments – {payee.name}</strong>
+      <div style={smallLabelStyle}>
+        Cost {formatMoney(payee.cost, currency)} · Paid {formatMoney(payee.paid, currency)} ·
+        Outstanding {formatMoney(payee.outstanding, currency)}
+      </div>
+
+      {error && <div style={{ color: "#b00020", marginTop: 6 }}>{error}</div>}
+
+      {payments.length === 0 ? (
+        <p style={{ margin: "8px 0" }}>No payments or installments yet.</p>
+      ) : (
+        <table style={{ width: "100%", borderCollapse: "collapse", margin: "8px 0" }}>
+          <thead>
+            <tr>
+              <th style={cellStyle}>Amount</th>
+              <th style={cellStyle}>Due</th>
+              <th style={cellStyle}>Paid on</th>
+              <th style={cellStyle}>Status</th>
+              <th style={cellStyle}>Method</th>
+              <th style={cellStyle}>Reference</th>
+              {canEdit && <th style={cellStyle}>Actions</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {payments.map((p) => (
+              <tr key={p._id}>
+                <td style={cellStyle}>{formatMoney(p.amount, p.currency)}</td>
+                <td style={cellStyle}>{formatDate(p.dueDate)}</td>
+                <td style={cellStyle}>{formatDate(p.paidAt)}</td>
+                <td style={cellStyle}>
+                  <span style={badgeStyle(p.status)}>{p.status}</span>
+                </td>
+                <td style={cellStyle}>{methodLabel(p.method)}</td>
+                <td style={cellStyle}>
+                  {p.reference}
+                  {p.attachmentUrl && (
+                    <>
+                      {" "}
+                      <a href={p.attachmentUrl} target="_blank" rel="noreferrer">
+                        receipt
+                      </a>
+                    </>
+                  )}
+                  {p.note && <div style={smallLabelStyle}>{p.note}</div>}
+                </td>
+                {canEdit && (
+                  <td style={cellStyle}>
+                    {p.status !== "paid" && (
+                      <button type="button" style={buttonStyle} onClick={() => handleMarkPaid(p)}>
+                        Mark paid
+                      </button>
+                    )}
+                    <button type="button" style={buttonStyle} onClick={() => handleDelete(p)}>
+                      Delete
+                    </button>
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {canEdit && (
+        <form
+          onSubmit={handleSubmit}
+          style={{
+            display: "grid",
+            gridTemplateColumns: "repeat(auto-fit, minmax(130px, 1fr))",
+            gap: "6px 10px",
+            alignItems: "flex-end",
+          }}
+        >
+          <div>
+            <div style={smallLabelStyle}>Amount</div>
+            <input
+              type="number"
+              name="amount"
+              value={form.amount}
+              onChange={handleChange}
+              min="0.01"
+              step="0.01"
+              required
+              style={inputStyle}
+            />
+          </div>
+          <div>
+            <div style={smallLabelStyle}>Currency</div>
+            <select
+              name="currency"
+              value={form.currency || payee.costCurrency}
+              onChange={handleChange}
+              style={inputStyle}
+            >
+              {CURRENCIES.map((c) => (
+                <option key={c} value={c}>
+                  {c}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <div style={smallLabelStyle}>Status</div>
+            <select name="status" value={form.status} onChange={handleChange} style={inputStyle}>
+              <option value="scheduled">Installment (to pay)</option>
+              <option value="paid">Paid</option>
+            </select>
+          </div>
+          <div>
+            <div style={smallLabelStyle}>Due date</div>
+            <input
+              type="date"
+              name="dueDate"
+              value={form.dueDate}
+              onChange={handleChange}
+              style={inputStyle}
+            />
+          </div>
+          <div>
+            <div style={smallLabelStyle}>Method</div>
+            <select name="method" value={form.method} onChange={handleChange} style={inputStyle}>
+              {methods.map((m) => (
+                <option key={m} value={m}>
+                  {methodLabel(m)}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <div style={smallLabelStyle}>Reference</div>
+            <input
+              type="text"
+              name="reference"
+              value={form.reference}
+              onChange={handleChange}
+              style={inputStyle}
+            />
+          </div>
+          <div>
+            <div style={smallLabelStyle}>
+              Receipt image (JPEG, PNG, GIF, WebP) {form.attachmentUrl && "✓"}
+            </div>
+            <input
+              type="file"
+              accept="image/jpeg,image/png,image/gif,image/webp"
+              onChange={handleUpload}
+              style={inputStyle}
+            />
+          </div>
+          <div style={{ gridColumn: "1 / -1" }}>
+            <div style={smallLabelStyle}>Note</div>
+            <input
+              type="text"
+              name="note"
+              value={form.note}
+              onChange={handleChange}
+              style={inputStyle}
+            />
+          </div>
+          <div>
+            <button type="submit" style={buttonStyle} disabled={saving || uploading}>
+              {saving ? "Saving..." : "Add"}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
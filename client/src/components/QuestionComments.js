@@ -0,0 +1,263 @@
+// client/src/components/QuestionComments.js
+
+import React, { useEffect, useState } from "react";
+import { createMessageThread, sendMessage, markThreadRead } from "../api";
+
+/**
+ * QuestionComments
+ *
+ * Comment threads shown under a questionnaire question, e.g. the designer
+ * asking "why did you pick this?" about a selected option. Threads are
+ * normal project message threads anchored to the question or one option,
+ * so they also appear under Messages and notify the other side.
+ * - While the comments are open, unread messages (also ones arriving
+ *   live) are marked read
+ *
+ * Props:
+ * - projectId, instanceId
+ * - question:        the project question (with _id + options)
+ * - comments:        threads of this question (from fetchQuestionnaireComments)
+ * - selectedOptions: option keys currently picked for this question
+ * - getOptionKey:    (option) => stable option key (same as the page)
+ * - canComment:      may start threads / reply (messages:send)
+ * - onChange:        () => void - reload the comments of the questionnaire
+ */
+export default function QuestionComments({
+  projectId,
+  instanceId,
+  question,
+  comments,
+  selectedOptions,
+  getOptionKey,
+  canComment,
+  onChange,
+}) {
+  const [open, setOpen] = useState(false);
+  const [target, setTarget] = useState("");
+  const [text, setText] = useState("");
+  const [replies, setReplies] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const unreadThreads = comments.filter((thread) => thread.messages.some((m) => m.unread));
+  const unreadCount = unreadThreads.reduce(
+    (sum, thread) => sum + thread.messages.filter((m) => m.unread).length,
+    0
+  );
+  const unreadKey = unreadThreads.map((thread) => thread._id).join(",");
+
+  function optionByKey(key) {
+    return (question.options || []).find((opt) => getOptionKey(opt) === key);
+  }
+
+  async function markRead(threadIds) {
+    try {
+      await Promise.all(threadIds.map((threadId) => markThreadRead(projectId, threadId)));
+      onChange();
+    } catch (err) {
+      console.error("Failed to mark comments read:", err);
+    }
+  }
+
+  useEffect(() => {
+    if (open && unreadKey) markRead(unreadKey.split(","));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [open, unreadKey]);
+
+  async function handleComment(e) {
+    e.preventDefault();
+    setError("");
+    setSaving(true);
+
+    const option = target ? optionByKey(target) : null;
+
+    try {
+      await createMessageThread(projectId, {
+        anchor: {
+          kind: option ? "option" : "question",
+          questionnaire: instanceId,
+          question: question._id,
+          option: option?._id,
+        },
+        text,
+      });
+      setText("");
+      setTarget("");
+      onChange();
+    } catch (err) {
+      console.error("Failed to add comment:", err);
+      setError(err.message || "Failed to add comment");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleReply(e, thread) {
+    e.preventDefault();
+    setError("");
+    setSaving(true);
+
+    try {
+      await sendMessage(projectId, thread._id, { text: replies[thread._id] || "" });
+      setReplies((prev) => ({ ...prev, [thread._id]: "" }));
+      onChange();
+    } catch (err) {
+      console.error("Failed to reply:", err);
+      setError(err.message || "Failed to reply");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  /* ---------- Styles ---------- */
+
+  const toggleStyle = {
+    border: "none",
+    background: "none",
+    color: "#d81b60",
+    cursor: "pointer",
+    fontSize: 13,
+    fontWeight: 600,
+    padding: 0,
+  };
+
+  const badgeStyle = {
+    marginLeft: 6,
+    padding: "1px 6px",
+    borderRadius: 999,
+    background: "#d81b60",
+    color: "#fff",
+    fontSize: 11,
+  };
+
+  const threadStyle = {
+    marginTop: 8,
+    padding: "8px 10px",
+    borderRadius: 10,
+    background: "rgba(255,240,244,0.6)",
+    border: "1px solid #f6d3dc",
+    fontSize: 13,
+  };
+
+  const metaStyle = { fontSize: 11, color: "#777" };
+  const inputStyle = { fontSize: 13, padding: "4px 6px", boxSizing: "border-box" };
+
+  const buttonStyle = {
+    padding: "4px 10px",
+    borderRadius: 10,
+    border: "none",
+    cursor: "pointer",
+    fontSize: 12,
+    fontWeight: 600,
+    background: "#ff9eb5",
+  };
+
+  return (
+    <div style={{ marginTop: 10 }}>
+      <button type="button" style={toggleStyle} onClick={() => setOpen((prev) => !prev)}>
+        {open ? "Hide comments" : `Comments (${comments.length})`}
+        {!open && unreadCount > 0 && <span style={badgeStyle}>{unreadCount} new</span>}
+      </button>
+
+      {open && (
+        <div>
+          {error && <div style={{ color: "#b00020", fontSize: 12, marginTop: 6 }}>{error}</div>}
+
+          {comments.map((thread) => {
+            const option = thread.optionKey ? optionByKey(thread.optionKey) : null;
+            return (
+              <div key={thread._id} style={threadStyle}>
+                <div style={{ ...metaStyle, marginBottom: 4 }}>
+                  About:{" "}
+                  {thread.anchor.kind === "option"
+                    ? `"${option?.text || thread.anchor.label}"`
+                    : "the question"}
+                </div>
+
+                {thread.messages.map((m) => (
+                  <div key={m._id} style={{ marginBottom: 6 }}>
+                    <span style={metaStyle}>
+                      {m.mine ? "You" : m.authorName || "Someone"} ·{" "}
+                      {new Date(m.createdAt).toLocaleString()}
+                    </span>
+                    {m.text && <div style={{ whiteSpace: "pre-wrap" }}>{m.text}</div>}
+                    {m.attachments.map((a) => (
+                      <a key={a.url} href={a.url} target="_blank" rel="noreferrer">
+                        <img
+                          src={a.url}
+                          alt={a.name || "Attachment"}
+                          style={{ width: 80, height: 60, objectFit: "cover", marginRight: 4 }}
+                        />
+                      </a>
+                    ))}
+                  </div>
+                ))}
+
+                {canComment && (
+                  <form
+                    onSubmit={(e) => handleReply(e, thread)}
+                    style={{ display: "flex", gap: 6 }}
+                  >
+                    <input
+                      placeholder="Reply..."
+                      value={replies[thread._id] || ""}
+                      onChange={(e) => {
+                        const { value } = e.target;
+                        setReplies((prev) => ({ ...prev, [thread._id]: value }));
+                      }}
+                      style={{ ...inputStyle, flex: 1 }}
+                    />
+                    <button
+                      type="submit"
+                      style={buttonStyle}
+                      disabled={saving || !(replies[thread._id] || "").trim()}
+                    >
+                      Reply
+                    </button>
+                  </form>
+                )}
+              </div>
+            );
+          })}
+
+          {comments.length === 0 && (
+            <div style={{ ...metaStyle, marginTop: 6 }}>No comments on this question yet.</div>
+          )}
+
+          {canComment && (
+            <form onSubmit={handleComment} style={{ marginTop: 10 }}>
+              <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginBottom: 6 }}>
+                <select
+                  value={target}
+                  onChange={(e) => setTarget(e.target.value)}
+                  style={inputStyle}
+                >
+                  <option value="">About the whole question</option>
+                  {(question.options || []).map((opt) => {
+                    const key = getOptionKey(opt);
+                    return (
+                      <option key={key} value={key}>
+                        About "{opt.text || "Option"}"
+                        {selectedOptions.includes(key) ? " (selected)" : ""}
+                      </option>
+                    );
+                  })}
+                </select>
+              </div>
+              <textarea
+                rows={2}
+                placeholder="Ask or explain something about this question..."
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                style={{ ...inputStyle, width: "100%", marginBottom: 6 }}
+              />
+              <button type="submit" style={buttonStyle} disabled={saving || !text.trim()}>
+                {saving ? "Saving..." : "Add Comment"}
+              </button>
+            </form>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
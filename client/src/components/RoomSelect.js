@@ -0,0 +1,50 @@
+// client/src/components/RoomSelect.js
+
+import React from "react";
+
+/**
+ * RoomSelect
+ *
+ * Picks one of the project's rooms (project.rooms) for colors, budget
+ * lines, suppliers and questionnaires. Value is the room _id ("" = none).
+ * Renders nothing when the project has no rooms yet.
+ *
+ * Props:
+ * - rooms:       project.rooms
+ * - value:       selected room _id or ""
+ * - onChange:    (roomId, room | null) => void
+ * - emptyLabel?: text of the "no room" option
+ * - style?, className?, disabled?
+ */
+export default function RoomSelect({
+  rooms,
+  value,
+  onChange,
+  emptyLabel = "No room",
+  style,
+  className,
+  disabled,
+}) {
+  if (!rooms || rooms.length === 0) return null;
+
+  return (
+    <select
+      value={value || ""}
+      onChange={(e) => {
+        const roomId = e.target.value;
+        onChange(roomId, rooms.find((room) => room._id === roomId) || null);
+      }}
+      style={style}
+      className={className}
+      disabled={disabled}
+    >
+      <option value="">{emptyLabel}</option>
+      {rooms.map((room) => (
+        <option key={room._id} value={room._id}>
+          {room.name}
+          {room.floor ? ` (${room.floor})` : ""}
+        </option>
+      ))}
+    </select>
+  );
+}
@@ -0,0 +1,209 @@
+// client/src/pages/ChangePasswordPage.js
+
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import { changePassword } from "../api";
+
+/**
+ * ChangePasswordPage
+ *
+ * Lets a logged-in user (designer or client) change their password.
+ * The backend revokes all other sessions and returns a fresh token pair,
+ * which we store so the user stays logged in on this device.
+ */
+
+export default function ChangePasswordPage() {
+  const role = localStorage.getItem("role");
+  const backHref = role === "designer" ? "/designer" : "/client";
+
+  const [form, setForm] = useState({
+    currentPassword: "",
+    newPassword: "",
+    confirmPassword: "",
+  });
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  function handleChange(e) {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setError("");
+    setMessage("");
+
+    if (form.newPassword !== form.confirmPassword) {
+      setError("Passwords do not match");
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const data = await changePassword({
+        currentPassword: form.currentPassword,
+        newPassword: form.newPassword,
+      });
+
+      if (data.token) localStorage.setItem("token", data.token);
+      if (data.refreshToken) localStorage.setItem("refreshToken", data.refreshToken);
+
+      setMessage(data.message || "Password changed");
+      setForm({ currentPassword: "", newPassword: "", confirmPassword: "" });
+    } catch (err) {
+      console.error("Change password failed:", err);
+      setError(err.message || "Failed to change password");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  /* ---------- Simple inline styles ---------- */
+
+  const pageStyle = {
+    minHeight: "100vh",
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    padding: "40px 16px",
+  };
+
+  const cardStyle = {
+    width: "100%",
+    maxWidth: 420,
+    background: "rgba(255, 255, 255, 0.92)",
+    borderRadius: 18,
+    padding: 32,
+    boxShadow: "0 18px 45px rgba(0,0,0,0.18)",
+    border: "1px solid rgba(255,192,203,0.7)",
+  };
+
+  const titleStyle = {
+    fontSize: "26px",
+    fontWeight: "700",
+    marginBottom: 20,
+    textAlign: "center",
+  };
+
+  const labelStyle = {
+    display: "block",
+    fontSize: "14px",
+    marginBottom: 6,
+    fontWeight: 500,
+  };
+
+  const inputStyle = {
+    width: "100%",
+    padding: "10px 12px",
+    borderRadius: 10,
+    border: "1px solid #ccc",
+    fontSize: "14px",
+    boxSizing: "border-box",
+  };
+
+  const buttonStyle = {
+    width: "100%",
+    marginTop: 12,
+    padding: "10px 16px",
+    borderRadius: 12,
+    border: "none",
+    background: "#ff9eb5",
+    color: "#222",
+    fontWeight: 600,
+    fontSize: "15px",
+    cursor: "pointer",
+  };
+
+  const bannerStyle = {
+    marginBottom: 16,
+    padding: "8px 10px",
+    borderRadius: 10,
+    fontSize: "13px",
+  };
+
+  const linkRowStyle = {
+    marginTop: 16,
+    textAlign: "center",
+    fontSize: "13px",
+  };
+
+  return (
+    <div style={pageStyle}>
+      <div style={cardStyle}>
+        <h1 style={titleStyle}>Change Password</h1>
+
+        {error && (
+          <div style={{ ...bannerStyle, background: "#ffe5e5", color: "#b00020" }}>
+            {error}
+          </div>
+        )}
+
+        {message && (
+          <div style={{ ...bannerStyle, background: "#e8f5e9", color: "#1b5e20" }}>
+            {message}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit}>
+          <div style={{ marginBottom: 14 }}>
+            <label style={labelStyle} htmlFor="currentPassword">
+              Current password
+            </label>
+            <input
+              id="currentPassword"
+              name="currentPassword"
+              type="password"
+              style={inputStyle}
+              value={form.currentPassword}
+              onChange={handleChange}
+              required
+            />
+          </div>
+
+          <div style={{ marginBottom: 14 }}>
+            <label style={labelStyle} htmlFor="newPassword">
+              New password
+            </label>
+            <input
+              id="newPassword"
+              name="newPassword"
+              type="password"
+              style={inputStyle}
+              value={form.newPassword}
+              onChange={handleChange}
+              required
+            />
+          </div>
+
+          <div style={{ marginBottom: 6 }}>
+            <label style={labelStyle} htmlFor="confirmPassword">
+              Confirm new password
+            </label>
+            <input
+              id="confirmPassword"
+              name="confirmPassword"
+              type="password"
+              style={inputStyle}
+              value={form.confirmPassword}
+              onChange={handleChange}
+              required
+            />
+          </div>
+
+          <button type="submit" style={buttonStyle} disabled={loading}>
+            {loading ? "Saving..." : "Change Password"}
+          </button>
+        </form>
+
+        <div style={linkRowStyle}>
+          <Link to={backHref} style={{ color: "#ff6f91", fontWeight: 600 }}>
+            Back to Dashboard
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
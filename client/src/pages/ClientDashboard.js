@@ -7,28 +7,50 @@ import {
   fetchClientInvites,
   acceptProjectInvite,
   rejectProjectInvite,
+  fetchClientInvoices,
+  fetchMyBoardCards,
+  completeBoardCard,
+  fetchPendingApprovals,
+  decideApproval,
 } from "../api"; // API helpers
+import { printInvoice } from "../utils/printInvoice";
+import { formatMoney } from "../utils/currency";
+import AppointmentsCalendar from "../components/AppointmentsCalendar";
+import NotificationsBell from "../components/NotificationsBell";
 
 import { logout } from "../utils/logout";
 
 /**
  * ClientDashboard
  *
- * This page is the main home screen for a logged-in client.
+ * This page is the main home screen for a logged-in client
+ * (contractors use it too, without the invitations section).
  * It shows:
  * - A list of projects assigned to the current client.
  * - Links to open the project menu (workers / suppliers / plan).
  * - A direct link to view the design plan.
- * - A logout button.
+ * - Design decisions waiting for the client's approval (clients only):
+ *   approvers can approve / reject them here (with a comment).
+ * - Invoices the designer sent (clients only), printable.
+ * - Task board cards assigned to the user, which they can complete here.
+ * - Calendar of the user's appointments (+ .ics export / feed).
+ * - Notifications (unread badge in the header) and a logout button.
  */
 export default function ClientDashboard() {
   const [projects, setProjects] = useState([]);
   const [invites, setInvites] = useState([]);
   const [invitesLoading, setInvitesLoading] = useState(true);
+  const [invoices, setInvoices] = useState([]);
+  const [myCards, setMyCards] = useState([]);
+  const [approvals, setApprovals] = useState([]);
+  const [approvalComments, setApprovalComments] = useState({});
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
   const navigate = useNavigate();
 
+  // Contractors see the projects they were added to, but get no invites
+  const isContractor = localStorage.getItem("role") === "contractor";
+
   /**
    * Load all projects for the current client from the backend.
    * Uses the shared API helper (fetchProjects) which already
@@ -74,10 +96,91 @@ async function loadInvites() {
   }
 }
 
+  /**
+   * Load sent / paid invoices of all the client's projects.
+   */
+  async function loadInvoices() {
+    try {
+      const data = await fetchClientInvoices();
+      setInvoices(Array.isArray(data) ? data : []);
+    } catch (err) {
+      console.error("Failed to load invoices:", err);
+      setError(err.message || "Failed to load invoices");
+    }
+  }
+
+  /**
+   * Load task board cards assigned to me (all projects).
+   */
+  async function loadMyCards() {
+    try {
+      const data = await fetchMyBoardCards();
+      setMyCards(Array.isArray(data) ? data : []);
+    } catch (err) {
+      console.error("Failed to load tasks:", err);
+      setError(err.message || "Failed to load tasks");
+    }
+  }
+
+  async function handleToggleCard(card) {
+    setError("");
+    try {
+      await completeBoardCard(card.project._id, card._id, !card.completed);
+      await loadMyCards();
+    } catch (err) {
+      console.error("Failed to update task:", err);
+      setError(err.message || "Failed to update task");
+    }
+  }
+
+  /**
+   * Load approvals waiting for a decision (all projects).
+   */
+  async function loadApprovals() {
+    try {
+      const data = await fetchPendingApprovals();
+      setApprovals(Array.isArray(data) ? data : []);
+    } catch (err) {
+      console.error("Failed to load approvals:", err);
+      setError(err.message || "Failed to load approvals");
+    }
+  }
+
+  async function handleDecision(approval, decision) {
+    setError("");
+    try {
+      await decideApproval(approval.project._id, approval._id, {
+        decision,
+        comment: approvalComments[approval._id] || "",
+      });
+      setApprovalComments((prev) => ({ ...prev, [approval._id]: "" }));
+      await loadApprovals();
+    } catch (err) {
+      console.error("Failed to save decision:", err);
+      setError(err.message || "Failed to save decision");
+    }
+  }
+
+  async function handlePrintInvoice(invoice) {
+    setError("");
+    try {
+      await printInvoice(invoice.project._id, invoice._id);
+    } catch (err) {
+      console.error("Failed to print invoice:", err);
+      setError(err.message || "Failed to print invoice");
+    }
+  }
+
   // Load projects once when the component mounts
 useEffect(() => {
-  loadInvites();
+  if (!isContractor) {
+    loadInvites();
+    loadApprovals();
+    loadInvoices();
+  }
   loadProjects();
+  loadMyCards();
+  // eslint-disable-next-line react-hooks/exhaustive-deps
 }, []);
 
 /**
@@ -149,14 +252,20 @@ async function handleReject(projectId) {
   return (
     <div style={pageStyle}>
       <div style={cardStyle}>
-        {/* Top-right logout button */}
+        {/* Top-right notifications, account links + logout button */}
         <div
           style={{
             display: "flex",
             justifyContent: "flex-end",
+            alignItems: "center",
+            gap: 12,
             marginBottom: 12,
           }}
         >
+          <NotificationsBell align="right" />
+          <Link to="/account/password" style={{ fontSize: 13, color: "#1e88e5" }}>
+            Change Password
+          </Link>
           <button
             type="button"
             onClick={() => logout(navigate)}
@@ -174,9 +283,13 @@ async function handleReject(projectId) {
           </button>
         </div>
 
-        <h1 style={titleStyle}>Client Dashboard</h1>
+        <h1 style={titleStyle}>
+          {isContractor ? "Contractor Dashboard" : "Client Dashboard"}
+        </h1>
         <p style={subtitleStyle}>
-          Here you can see the projects your designer created for you.
+          {isContractor
+            ? "Here you can see the projects you were added to."
+            : "Here you can see the projects your designer created for you."}
         </p>
 
         {/* Error message banner */}
@@ -194,13 +307,146 @@ async function handleReject(projectId) {
             {error}
           </div>
         )}
+        {!isContractor && (
+          <section>
+            <h2 style={sectionTitleStyle}>Invitations</h2>
+
+            {invitesLoading ? (
+              <p>Loading invites...</p>
+            ) : invites.length === 0 ? (
+              <p>No pending invitations.</p>
+            ) : (
+              <div style={{ overflowX: "auto" }}>
+                <table
+                  border="1"
+                  cellPadding="8"
+                  style={{
+                    width: "100%",
+                    borderCollapse: "collapse",
+                    fontSize: 14,
+                    marginBottom: 16,
+                  }}
+                >
+                  <thead>
+                    <tr>
+                      <th>Project Name</th>
+                      <th>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {invites.map((p) => (
+                      <tr key={p._id}>
+                        <td>{p.name}</td>
+                        <td>
+                          <button type="button" onClick={() => handleAccept(p._id)}>
+                            Accept
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => handleReject(p._id)}
+                            style={{ marginLeft: 8 }}
+                          >
+                            Reject
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </section>
+        )}
+
+        {!isContractor && (
+          <section>
+            <h2 style={sectionTitleStyle}>Approvals</h2>
+
+            {approvals.length === 0 ? (
+              <p>Nothing is waiting for your approval.</p>
+            ) : (
+              <div style={{ overflowX: "auto" }}>
+                <table
+                  border="1"
+                  cellPadding="8"
+                  style={{
+                    width: "100%",
+                    borderCollapse: "collapse",
+                    fontSize: 14,
+                    marginBottom: 16,
+                  }}
+                >
+                  <thead>
+                    <tr>
+                      <th>Item</th>
+                      <th>Project</th>
+                      <th>Submitted</th>
+                      <th>Your decision</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {approvals.map((a) => (
+                      <tr key={a._id}>
+                        <td>
+                          <Link to={`/project/${a.project._id}/approvals`}>{a.title}</Link>
+                          {a.note && <div style={{ fontSize: 12, color: "#555" }}>{a.note}</div>}
+                        </td>
+                        <td>{a.project.name}</td>
+                        <td>
+                          {a.createdAt ? a.createdAt.slice(0, 10) : ""}
+                          {a.submittedBy?.username ? ` by ${a.submittedBy.username}` : ""}
+                        </td>
+                        <td>
+                          {!a.canDecide ? (
+                            <span style={{ fontSize: 12, color: "#777" }}>
+                              Waiting for the project's approver
+                            </span>
+                          ) : a.outdated ? (
+                            <span style={{ fontSize: 12, color: "#b00020" }}>
+                              Changed after it was submitted - ask your designer to resubmit
+                            </span>
+                          ) : (
+                            <>
+                              <input
+                                placeholder="Comment (required to reject)"
+                                value={approvalComments[a._id] || ""}
+                                onChange={(e) => {
+                                  const { value } = e.target;
+                                  setApprovalComments((prev) => ({ ...prev, [a._id]: value }));
+                                }}
+                                style={{ width: "100%", marginBottom: 6 }}
+                              />
+                              <button type="button" onClick={() => handleDecision(a, "approved")}>
+                                Approve
+                              </button>
+                              <button
+                                type="button"
+                                onClick={() => handleDecision(a, "rejected")}
+                                disabled={!(approvalComments[a._id] || "").trim()}
+                                style={{ marginLeft: 8 }}
+                              >
+                                Reject
+                              </button>
+                            </>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </section>
+        )}
+
         <section>
-          <h2 style={sectionTitleStyle}>Invitations</h2>
+          <h2 style={sectionTitleStyle}>Your Projects</h2>
 
-          {invitesLoading ? (
-            <p>Loading invites...</p>
-          ) : invites.length === 0 ? (
-            <p>No pending invitations.</p>
+          {/* Loading / empty / table states */}
+          {loading ? (
+            <p>Loading projects...</p>
+          ) : projects.length === 0 ? (
+            <p>No projects assigned to you yet.</p>
           ) : (
             <div style={{ overflowX: "auto" }}>
               <table
@@ -210,30 +456,34 @@ async function handleReject(projectId) {
                   width: "100%",
                   borderCollapse: "collapse",
                   fontSize: 14,
-                  marginBottom: 16,
                 }}
               >
                 <thead>
                   <tr>
                     <th>Project Name</th>
-                    <th>Actions</th>
+                    <th>Designer</th>
+                    <th>Start</th>
+                    <th>End</th>
+                    <th>Budget</th>
+                    <th>Open</th>
+                    <th>Plan</th>
                   </tr>
                 </thead>
                 <tbody>
-                  {invites.map((p) => (
+                  {projects.map((p) => (
                     <tr key={p._id}>
                       <td>{p.name}</td>
+                      <td>{p.createdByUsername || ""}</td>
+                      <td>{p.startDate ? p.startDate.slice(0, 10) : ""}</td>
+                      <td>{p.endDate ? p.endDate.slice(0, 10) : ""}</td>
+                      <td>{p.budget != null ? p.budget : ""}</td>
                       <td>
-                        <button type="button" onClick={() => handleAccept(p._id)}>
-                          Accept
-                        </button>
-                        <button
-                          type="button"
-                          onClick={() => handleReject(p._id)}
-                          style={{ marginLeft: 8 }}
-                        >
-                          Reject
-                        </button>
+                        {/* Navigate to the project menu (workers / suppliers / plan etc.) */}
+                        <Link to={`/project/${p._id}/menu`}>Open Project</Link>
+                      </td>
+                      <td>
+                        {/* Direct read-only view of the project plan */}
+                        <Link to={`/project/${p._id}/plan`}>View Plan</Link>
                       </td>
                     </tr>
                   ))}
@@ -241,16 +491,13 @@ async function handleReject(projectId) {
               </table>
             </div>
           )}
-       </section>
+        </section>
 
         <section>
-          <h2 style={sectionTitleStyle}>Your Projects</h2>
+          <h2 style={sectionTitleStyle}>My Tasks</h2>
 
-          {/* Loading / empty / table states */}
-          {loading ? (
-            <p>Loading projects...</p>
-          ) : projects.length === 0 ? (
-            <p>No projects assigned to you yet.</p>
+          {myCards.length === 0 ? (
+            <p>No tasks assigned to you.</p>
           ) : (
             <div style={{ overflowX: "auto" }}>
               <table
@@ -264,30 +511,37 @@ async function handleReject(projectId) {
               >
                 <thead>
                   <tr>
-                    <th>Project Name</th>
-                    <th>Designer</th>
-                    <th>Start</th>
-                    <th>End</th>
-                    <th>Budget</th>
-                    <th>Open</th>
-                    <th>Plan</th>
+                    <th>Task</th>
+                    <th>Project</th>
+                    <th>Due</th>
+                    <th>Checklist</th>
+                    <th>Status</th>
                   </tr>
                 </thead>
                 <tbody>
-                  {projects.map((p) => (
-                    <tr key={p._id}>
-                      <td>{p.name}</td>
-                      <td>{p.createdByUsername || ""}</td>
-                      <td>{p.startDate ? p.startDate.slice(0, 10) : ""}</td>
-                      <td>{p.endDate ? p.endDate.slice(0, 10) : ""}</td>
-                      <td>{p.budget != null ? p.budget : ""}</td>
+                  {myCards.map((card) => (
+                    <tr key={card._id}>
                       <td>
-                        {/* Navigate to the project menu (workers / suppliers / plan etc.) */}
-                        <Link to={`/project/${p._id}/menu`}>Open Project</Link>
+                        <Link to={`/project/${card.project._id}/board`}>{card.title}</Link>
+                      </td>
+                      <td>{card.project.name}</td>
+                      <td style={{ color: card.overdue ? "#b00020" : "inherit" }}>
+                        {card.dueDate ? card.dueDate.slice(0, 10) : ""}
                       </td>
                       <td>
-                        {/* Direct read-only view of the project plan */}
-                        <Link to={`/project/${p._id}/plan`}>View Plan</Link>
+                        {card.checklistTotal > 0
+                          ? `${card.checklistDone}/${card.checklistTotal}`
+                          : ""}
+                      </td>
+                      <td>
+                        <label>
+                          <input
+                            type="checkbox"
+                            checked={card.completed}
+                            onChange={() => handleToggleCard(card)}
+                          />{" "}
+                          {card.completed ? "Done" : "Mark complete"}
+                        </label>
                       </td>
                     </tr>
                   ))}
@@ -296,6 +550,64 @@ async function handleReject(projectId) {
             </div>
           )}
         </section>
+
+        <section>
+          <h2 style={sectionTitleStyle}>My Appointments</h2>
+          <AppointmentsCalendar />
+        </section>
+
+        {!isContractor && (
+          <section>
+            <h2 style={sectionTitleStyle}>Invoices</h2>
+
+            {invoices.length === 0 ? (
+              <p>No invoices yet.</p>
+            ) : (
+              <div style={{ overflowX: "auto" }}>
+                <table
+                  border="1"
+                  cellPadding="8"
+                  style={{
+                    width: "100%",
+                    borderCollapse: "collapse",
+                    fontSize: 14,
+                  }}
+                >
+                  <thead>
+                    <tr>
+                      <th>Number</th>
+                      <th>Project</th>
+                      <th>Issued</th>
+                      <th>Due</th>
+                      <th>Total</th>
+                      <th>Status</th>
+                      <th>Invoice</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {invoices.map((inv) => (
+                      <tr key={inv._id}>
+                        <td>{inv.number}</td>
+                        <td>{inv.project?.name || ""}</td>
+                        <td>{inv.issuedAt ? inv.issuedAt.slice(0, 10) : ""}</td>
+                        <td>{inv.dueDate ? inv.dueDate.slice(0, 10) : ""}</td>
+                        <td>{formatMoney(inv.total, inv.currency)}</td>
+                        <td style={{ color: inv.status === "paid" ? "#1b5e20" : "#b00020" }}>
+                          {inv.status === "paid" ? "Paid" : "Awaiting payment"}
+                        </td>
+                        <td>
+                          <button type="button" onClick={() => handlePrintInvoice(inv)}>
+                            View / Print
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </section>
+        )}
       </div>
     </div>
   );
@@ -5,10 +5,15 @@ import { Link, useNavigate } from "react-router-dom";
 import DesignerNav from "../components/DesignerNav";
 import {
   fetchProjects,
+  fetchStudio,
   createProject,
   updateProject,
   deleteProject,
+  isVersionConflict,
 } from "../api";
+import ConflictNotice from "../components/ConflictNotice";
+import AppointmentsCalendar from "../components/AppointmentsCalendar";
+import { CURRENCIES, formatMoney } from "../utils/currency";
 
 /**
  * DesignerDashboard
@@ -16,28 +21,44 @@ import {
  * Main dashboard for the designer (organizer).
  * Features:
  * - Create / edit / delete projects.
- * - List all projects created by the designer.
+ * - List all projects of the designer's studio (with who created them).
  * - Quick navigation to workers, suppliers, and project plan pages.
+ * - Studio viewers see the list read-only.
+ * - Calendar of the studio's appointments across projects (+ .ics export / feed).
+ * - Edits send the project version; if someone else changed the project
+ *   meanwhile the designer can reload it or overwrite with their changes.
  */
 export default function DesignerDashboard() {
   const [projects, setProjects] = useState([]);
+  const [studio, setStudio] = useState(null);
+  const [studioRole, setStudioRole] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
 
   // Form + state for create / edit
   const [creating, setCreating] = useState(false);
   const [editingId, setEditingId] = useState(null);
+  const [editingVersion, setEditingVersion] = useState(null);
+
+  // 409 response body ({ project, version }) + the body we tried to save
+  const [conflict, setConflict] = useState(null);
 
   const [createForm, setCreateForm] = useState({
     name: "",
     startDate: "",
     endDate: "",
     budget: "",
+    currency: "ILS",
+    vatRate: "18",
+    budgetIncludesVat: true,
     clientUsername: "",
   });
 
   const navigate = useNavigate();
 
+  // Studio viewers can open projects but not change them
+  const canEdit = studioRole !== "viewer";
+
   /* ---------- Load projects on mount ---------- */
 
   useEffect(() => {
@@ -46,10 +67,12 @@ export default function DesignerDashboard() {
       setError("");
 
       try {
-        // Backend returns only projects for the current designer
-        const data = await fetchProjects();
+        // Backend returns all projects of the designer's studio
+        const [data, studioData] = await Promise.all([fetchProjects(), fetchStudio()]);
         const normalized = Array.isArray(data) ? data : data.projects || [];
         setProjects(normalized);
+        setStudio(studioData.studio || null);
+        setStudioRole(studioData.myRole || null);
       } catch (err) {
         console.error("Failed to load projects:", err);
         setError(err.message || "Failed to load projects");
@@ -64,8 +87,8 @@ export default function DesignerDashboard() {
   /* ---------- Create / Update project ---------- */
 
   function handleCreateChange(e) {
-    const { name, value } = e.target;
-    setCreateForm((prev) => ({ ...prev, [name]: value }));
+    const { name, value, type, checked } = e.target;
+    setCreateForm((prev) => ({ ...prev, [name]: type === "checkbox" ? checked : value }));
   }
 
   /**
@@ -82,13 +105,16 @@ export default function DesignerDashboard() {
       startDate: createForm.startDate || null,
       endDate: createForm.endDate || null,
       budget: createForm.budget ? Number(createForm.budget) : null,
+      currency: createForm.currency,
+      vatRate: createForm.vatRate === "" ? 0 : Number(createForm.vatRate),
+      budgetIncludesVat: createForm.budgetIncludesVat,
       clientUsername: createForm.clientUsername,
     };
 
     try {
       if (editingId) {
-        // Update existing project
-        const res = await updateProject(editingId, body);
+        // Update existing project (only if nobody changed it meanwhile)
+        const res = await updateProject(editingId, body, editingVersion);
         const updated = res.project || res;
 
         setProjects((prev) =>
@@ -108,10 +134,19 @@ export default function DesignerDashboard() {
         startDate: "",
         endDate: "",
         budget: "",
+        currency: "ILS",
+        vatRate: "18",
+        budgetIncludesVat: true,
         clientUsername: "",
       });
       setEditingId(null);
+      setEditingVersion(null);
     } catch (err) {
+      if (isVersionConflict(err)) {
+        setConflict({ ...err.data, body });
+        return;
+      }
+
       console.error("Create/update project error:", err);
       setError(err.message || "Failed to save project");
     } finally {
@@ -119,13 +154,48 @@ export default function DesignerDashboard() {
     }
   }
 
+  /* ---------- Edit conflicts (someone else saved first) ---------- */
+
+  // Show the latest saved project in the list + form, drop our edits
+  function handleConflictReload() {
+    const latest = conflict.project;
+    setProjects((prev) => prev.map((p) => (p._id === latest._id ? latest : p)));
+    handleEdit(latest);
+  }
+
+  // Save our edits on top of the latest version
+  async function handleConflictOverwrite() {
+    setError("");
+
+    try {
+      const res = await updateProject(editingId, conflict.body, conflict.version);
+      const updated = res.project || res;
+
+      setProjects((prev) => prev.map((p) => (p._id === updated._id ? updated : p)));
+      handleCancelEdit();
+    } catch (err) {
+      if (isVersionConflict(err)) {
+        setConflict({ ...err.data, body: conflict.body });
+        return;
+      }
+
+      console.error("Overwrite project error:", err);
+      setError(err.message || "Failed to save project");
+    }
+  }
+
   function handleCancelEdit() {
     setEditingId(null);
+    setEditingVersion(null);
+    setConflict(null);
     setCreateForm({
       name: "",
       startDate: "",
       endDate: "",
       budget: "",
+      currency: "ILS",
+      vatRate: "18",
+      budgetIncludesVat: true,
       clientUsername: "",
     });
   }
@@ -153,6 +223,8 @@ export default function DesignerDashboard() {
    */
   function handleEdit(project) {
     setEditingId(project._id);
+    setEditingVersion(project.__v);
+    setConflict(null);
     setCreateForm({
       name: project.name || "",
       clientUsername: project.clientUsername || "",
@@ -162,6 +234,9 @@ export default function DesignerDashboard() {
         project.budget !== null && project.budget !== undefined
           ? String(project.budget)
           : "",
+      currency: project.currency || "ILS",
+      vatRate: project.vatRate != null ? String(project.vatRate) : "18",
+      budgetIncludesVat: project.budgetIncludesVat !== false,
     });
     // Optional: scroll into view
     // window.scrollTo({ top: 0, behavior: "smooth" });
@@ -294,6 +369,12 @@ export default function DesignerDashboard() {
           <h1 style={titleStyle}>Designer Dashboard</h1>
           <p style={subStyle}>
             Manage interior design projects for your clients.
+            {studio && (
+              <>
+                {" "}
+                Studio: <strong>{studio.name}</strong>
+              </>
+            )}
           </p>
 
           {/* Error banner */}
@@ -312,106 +393,160 @@ export default function DesignerDashboard() {
             </div>
           )}
 
-          {/* Create / edit project form */}
-          <section style={{ marginBottom: 20 }}>
-            <div style={{ ...smallLabelStyle, marginBottom: 6 }}>
-              {editingId ? "Edit Project" : "Create New Project"}
-            </div>
-            <form
-              onSubmit={handleCreateOrUpdateProject}
-              style={{
-                display: "grid",
-                gridTemplateColumns: "2fr 1fr 1fr 1fr 1fr auto auto",
-                gap: 8,
-                alignItems: "end",
-              }}
-            >
-              <div>
-                <label style={smallLabelStyle}>Project Name:</label>
-                <input
-                  type="text"
-                  name="name"
-                  value={createForm.name}
-                  onChange={handleCreateChange}
-                  required
-                  style={inputStyle}
-                />
-              </div>
-              <div>
-                <label style={smallLabelStyle}>Client Username:</label>
-                <input
-                  type="text"
-                  name="clientUsername"
-                  value={createForm.clientUsername}
-                  onChange={handleCreateChange}
-                  required
-                  style={inputStyle}
-                />
-              </div>
-              <div>
-                <label style={smallLabelStyle}>Start Date:</label>
-                <input
-                  type="date"
-                  name="startDate"
-                  value={createForm.startDate}
-                  onChange={handleCreateChange}
-                  style={inputStyle}
-                />
-              </div>
-              <div>
-                <label style={smallLabelStyle}>End Date:</label>
-                <input
-                  type="date"
-                  name="endDate"
-                  value={createForm.endDate}
-                  onChange={handleCreateChange}
-                  style={inputStyle}
-                />
-              </div>
-              <div>
-                <label style={smallLabelStyle}>Budget:</label>
-                <input
-                  type="number"
-                  name="budget"
-                  value={createForm.budget}
-                  onChange={handleCreateChange}
-                  min="0"
-                  style={inputStyle}
-                />
-              </div>
-              <div>
-                <button
-                  type="submit"
-                  disabled={creating}
-                  style={primaryButtonStyle}
-                >
-                  {creating
-                    ? editingId
-                      ? "Saving..."
-                      : "Creating..."
-                    : editingId
-                    ? "Save Changes"
-                    : "Create Project"}
-                </button>
+          {conflict && (
+            <ConflictNotice
+              onReload={handleConflictReload}
+              onOverwrite={handleConflictOverwrite}
+            />
+          )}
+
+          {/* Create / edit project form (not for studio viewers) */}
+          {canEdit && (
+            <section style={{ marginBottom: 20 }}>
+              <div style={{ ...smallLabelStyle, marginBottom: 6 }}>
+                {editingId ? "Edit Project" : "Create New Project"}
               </div>
-              {editingId && (
+              <form
+                onSubmit={handleCreateOrUpdateProject}
+                style={{
+                  display: "grid",
+                  gridTemplateColumns: "2fr 1fr 1fr 1fr 1fr auto auto",
+                  gap: 8,
+                  alignItems: "end",
+                }}
+              >
+                <div>
+                  <label style={smallLabelStyle}>Project Name:</label>
+                  <input
+                    type="text"
+                    name="name"
+                    value={createForm.name}
+                    onChange={handleCreateChange}
+                    required
+                    style={inputStyle}
+                  />
+                </div>
+                <div>
+                  <label style={smallLabelStyle}>Client Username:</label>
+                  <input
+                    type="text"
+                    name="clientUsername"
+                    value={createForm.clientUsername}
+                    onChange={handleCreateChange}
+                    required
+                    style={inputStyle}
+                  />
+                </div>
+                <div>
+                  <label style={smallLabelStyle}>Start Date:</label>
+                  <input
+                    type="date"
+                    name="startDate"
+                    value={createForm.startDate}
+                    onChange={handleCreateChange}
+                    style={inputStyle}
+                  />
+                </div>
+                <div>
+                  <label style={smallLabelStyle}>End Date:</label>
+                  <input
+                    type="date"
+                    name="endDate"
+                    value={createForm.endDate}
+                    onChange={handleCreateChange}
+                    style={inputStyle}
+                  />
+                </div>
+                <div>
+                  <label style={smallLabelStyle}>Budget:</label>
+                  <input
+                    type="number"
+                    name="budget"
+                    value={createForm.budget}
+                    onChange={handleCreateChange}
+                    min="0"
+                    style={inputStyle}
+                  />
+                </div>
+                <div>
+                  <label style={smallLabelStyle}>Currency:</label>
+                  <select
+                    name="currency"
+                    value={createForm.currency}
+                    onChange={handleCreateChange}
+                    style={inputStyle}
+                  >
+                    {CURRENCIES.map((c) => (
+                      <option key={c} value={c}>
+                        {c}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label style={smallLabelStyle}>VAT %:</label>
+                  <input
+                    type="number"
+                    name="vatRate"
+                    value={createForm.vatRate}
+                    onChange={handleCreateChange}
+                    min="0"
+                    max="100"
+                    step="0.01"
+                    style={inputStyle}
+                  />
+                </div>
+                <div>
+                  <label style={smallLabelStyle}>
+                    <input
+                      type="checkbox"
+                      name="budgetIncludesVat"
+                      checked={createForm.budgetIncludesVat}
+                      onChange={handleCreateChange}
+                    />{" "}
+                    Budget includes VAT
+                  </label>
+                </div>
                 <div>
                   <button
-                    type="button"
-                    onClick={handleCancelEdit}
-                    style={secondaryButtonStyle}
+                    type="submit"
+                    disabled={creating}
+                    style={primaryButtonStyle}
                   >
-                    Cancel
+                    {creating
+                      ? editingId
+                        ? "Saving..."
+                        : "Creating..."
+                      : editingId
+                      ? "Save Changes"
+                      : "Create Project"}
                   </button>
                 </div>
-              )}
-            </form>
+                {editingId && (
+                  <div>
+                    <button
+                      type="button"
+                      onClick={handleCancelEdit}
+                      style={secondaryButtonStyle}
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                )}
+              </form>
+            </section>
+          )}
+
+          {/* Appointments across all projects */}
+          <section style={{ marginBottom: 20 }}>
+            <div style={{ ...smallLabelStyle, marginBottom: 6 }}>Calendar</div>
+            <AppointmentsCalendar />
           </section>
 
           {/* Projects list */}
           <section>
             <div style={{ ...smallLabelStyle, marginBottom: 6 }}>
-              Your Projects
+              Studio Projects
             </div>
 
             {loading ? (
@@ -427,12 +562,13 @@ export default function DesignerDashboard() {
                     <tr>
                       <th style={thStyle}>Name</th>
                       <th style={thStyle}>Client</th>
+                      <th style={thStyle}>Created By</th>
                       <th style={thStyle}>Start</th>
                       <th style={thStyle}>End</th>
                       <th style={thStyle}>Budget</th>
                       <th style={thStyle}>Workers</th>
                       <th style={thStyle}>Suppliers</th>
-                      <th style={thStyle}>Actions</th>
+                      {canEdit && <th style={thStyle}>Actions</th>}
                       <th style={thStyle}>Plan</th>
                     </tr>
                   </thead>
@@ -450,6 +586,7 @@ export default function DesignerDashboard() {
                           </button>
                         </td>
                         <td style={tdStyle}>{p.clientUsername}</td>
+                        <td style={tdStyle}>{p.createdBy?.username || "-"}</td>
                         <td style={tdStyle}>
                           {p.startDate ? p.startDate.slice(0, 10) : "-"}
                         </td>
@@ -457,7 +594,7 @@ export default function DesignerDashboard() {
                           {p.endDate ? p.endDate.slice(0, 10) : "-"}
                         </td>
                         <td style={tdStyle}>
-                          {p.budget != null ? `${p.budget} ₪` : "-"}
+                          {p.budget != null ? formatMoney(p.budget, p.currency) : "-"}
                         </td>
                         <td style={tdStyle}>
                           {(p.workers || [])
@@ -479,22 +616,24 @@ export default function DesignerDashboard() {
                             )
                             .join(" | ") || "-"}
                         </td>
-                        <td style={actionsCellStyle}>
-                          <button
-                            type="button"
-                            style={primaryButtonStyle}
-                            onClick={() => handleEdit(p)}
-                          >
-                            Edit
-                          </button>
-                          <button
-                            type="button"
-                            style={secondaryButtonStyle}
-                            onClick={() => handleDelete(p._id)}
-                          >
-                            Delete
-                          </button>
-                        </td>
+                        {canEdit && (
+                          <td style={actionsCellStyle}>
+                            <button
+                              type="button"
+                              style={primaryButtonStyle}
+                              onClick={() => handleEdit(p)}
+                            >
+                              Edit
+                            </button>
+                            <button
+                              type="button"
+                              style={secondaryButtonStyle}
+                              onClick={() => handleDelete(p._id)}
+                            >
+                              Delete
+                            </button>
+                          </td>
+                        )}
                         <td style={actionsCellStyle}>
                           {/* Open Plan – design plan page */}
                           <Link
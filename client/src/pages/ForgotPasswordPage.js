@@ -0,0 +1,163 @@
+// client/src/pages/ForgotPasswordPage.js
+
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import { requestPasswordReset } from "../api";
+
+/**
+ * ForgotPasswordPage
+ *
+ * First step of the password reset flow:
+ *  1. User types their username.
+ *  2. Backend emails a one-time reset link (if the account has an email).
+ *  3. We always show the same confirmation message.
+ */
+
+export default function ForgotPasswordPage() {
+  const [username, setUsername] = useState("");
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setError("");
+    setMessage("");
+    setLoading(true);
+
+    try {
+      const data = await requestPasswordReset(username);
+      setMessage(data.message || "Check your email for a reset link.");
+    } catch (err) {
+      console.error("Password reset request failed:", err);
+      setError(err.message || "Failed to request password reset");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  /* ---------- Simple inline styles ---------- */
+
+  const pageStyle = {
+    minHeight: "100vh",
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    padding: "40px 16px",
+  };
+
+  const cardStyle = {
+    width: "100%",
+    maxWidth: 420,
+    background: "rgba(255, 255, 255, 0.92)",
+    borderRadius: 18,
+    padding: 32,
+    boxShadow: "0 18px 45px rgba(0,0,0,0.18)",
+    border: "1px solid rgba(255,192,203,0.7)",
+  };
+
+  const titleStyle = {
+    fontSize: "26px",
+    fontWeight: "700",
+    marginBottom: 8,
+    textAlign: "center",
+  };
+
+  const subtitleStyle = {
+    fontSize: "14px",
+    marginBottom: 24,
+    textAlign: "center",
+    color: "#555",
+  };
+
+  const labelStyle = {
+    display: "block",
+    fontSize: "14px",
+    marginBottom: 6,
+    fontWeight: 500,
+  };
+
+  const inputStyle = {
+    width: "100%",
+    padding: "10px 12px",
+    borderRadius: 10,
+    border: "1px solid #ccc",
+    fontSize: "14px",
+    boxSizing: "border-box",
+  };
+
+  const buttonStyle = {
+    width: "100%",
+    marginTop: 12,
+    padding: "10px 16px",
+    borderRadius: 12,
+    border: "none",
+    background: "#ff9eb5",
+    color: "#222",
+    fontWeight: 600,
+    fontSize: "15px",
+    cursor: "pointer",
+  };
+
+  const bannerStyle = {
+    marginBottom: 16,
+    padding: "8px 10px",
+    borderRadius: 10,
+    fontSize: "13px",
+  };
+
+  const linkRowStyle = {
+    marginTop: 16,
+    textAlign: "center",
+    fontSize: "13px",
+  };
+
+  return (
+    <div style={pageStyle}>
+      <div style={cardStyle}>
+        <h1 style={titleStyle}>Forgot Password</h1>
+        <p style={subtitleStyle}>
+          Enter your username and we will email you a link to reset your
+          password.
+        </p>
+
+        {error && (
+          <div style={{ ...bannerStyle, background: "#ffe5e5", color: "#b00020" }}>
+            {error}
+          </div>
+        )}
+
+        {message && (
+          <div style={{ ...bannerStyle, background: "#e8f5e9", color: "#1b5e20" }}>
+            {message}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit}>
+          <label style={labelStyle} htmlFor="username">
+            Username
+          </label>
+          <input
+            id="username"
+            name="username"
+            type="text"
+            style={inputStyle}
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            required
+          />
+
+          <button type="submit" style={buttonStyle} disabled={loading}>
+            {loading ? "Sending..." : "Send Reset Link"}
+          </button>
+        </form>
+
+        <div style={linkRowStyle}>
+          <Link to="/login" style={{ color: "#ff6f91", fontWeight: 600 }}>
+            Back to login
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
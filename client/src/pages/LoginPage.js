@@ -7,9 +7,10 @@ import { loginUser } from "../api";
 /**
  * LoginPage
  *
- * Handles user login for both roles:
+ * Handles user login for all roles:
  * - designer → redirected to /designer
  * - client   → redirected to /client
+ * - contractor → redirected to /client (projects they were added to)
  *
  * Flow:
  *  1. User types username + password.
@@ -47,7 +48,7 @@ export default function LoginPage() {
     setLoading(true);
 
     try {
-      // Expecting: { message, token, role }
+      // Expecting: { message, token, refreshToken, role }
       const data = await loginUser({
         username: form.username,
         password: form.password,
@@ -57,14 +58,15 @@ export default function LoginPage() {
         throw new Error("Invalid server response");
       }
 
-      // Store token + role for later API calls and routing
+      // Store tokens + role for later API calls and routing
       localStorage.setItem("token", data.token);
+      localStorage.setItem("refreshToken", data.refreshToken || "");
       localStorage.setItem("role", data.role);
 
       // Navigate according to role
       if (data.role === "designer") {
         navigate("/designer");
-      } else if (data.role === "client") {
+      } else if (data.role === "client" || data.role === "contractor") {
         navigate("/client");
       } else {
         navigate("/");
@@ -202,6 +204,12 @@ export default function LoginPage() {
             />
           </div>
 
+          <div style={{ textAlign: "right", fontSize: "13px" }}>
+            <Link to="/forgot-password" style={{ color: "#ff6f91" }}>
+              Forgot password?
+            </Link>
+          </div>
+
           <button type="submit" style={buttonStyle} disabled={loading}>
             {loading ? "Signing in..." : "Login"}
           </button>
@@ -0,0 +1,840 @@
+// client/src/pages/MoodBoardPage.js
+
+import React, { useEffect, useRef, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import {
+  fetchProjectById,
+  fetchMoodBoard,
+  updateMoodBoard,
+  deleteMoodBoard,
+  addMoodBoardItem,
+  updateMoodBoardItem,
+  deleteMoodBoardItem,
+  saveMoodBoardLayout,
+  reactToMoodBoardItem,
+  uploadImage,
+} from "../api";
+import LiveUpdateNotice from "../components/LiveUpdateNotice";
+import RoomSelect from "../components/RoomSelect";
+import { useProjectEvents } from "../utils/useProjectEvents";
+
+/**
+ * MoodBoardPage
+ *
+ * One mood board: a canvas of images, color swatches and notes.
+ * - Designers add items (images through /upload-image, swatches from the
+ *   project's colors or any color, notes), drag them around / resize them
+ *   and save the layout; they also share the board with the client.
+ * - Clients see shared boards read-only and like / dislike single items;
+ *   designers see who reacted.
+ * - Live updates: changes by others reload the board, unless there is an
+ *   unsaved layout (then a notice is shown).
+ */
+
+const MIN_ITEM_SIZE = 40;
+const PLACEMENT_FIELDS = ["x", "y", "width", "height", "z"];
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+// Keep an item inside the canvas (same rules as the server)
+function fitPlacement(placement, size) {
+  const width = clamp(placement.width, MIN_ITEM_SIZE, size.width);
+  const height = clamp(placement.height, MIN_ITEM_SIZE, size.height);
+  return {
+    ...placement,
+    width,
+    height,
+    x: clamp(placement.x, 0, size.width - width),
+    y: clamp(placement.y, 0, size.height - height),
+  };
+}
+
+function namesOf(reactions, value) {
+  return reactions
+    .filter((r) => r.value === value)
+    .map((r) => r.username || "someone")
+    .join(", ");
+}
+
+export default function MoodBoardPage() {
+  const { projectId, boardId } = useParams();
+  const navigate = useNavigate();
+
+  const [project, setProject] = useState(null);
+  const [board, setBoard] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [uploading, setUploading] = useState(false);
+
+  // Unsaved placements by item id (drag / resize / bring to front)
+  const [layout, setLayout] = useState({});
+  const [selectedId, setSelectedId] = useState(null);
+  const dragRef = useRef(null);
+
+  // Board settings form (null = closed)
+  const [settings, setSettings] = useState(null);
+
+  // New items
+  const [imageCaption, setImageCaption] = useState("");
+  const [swatch, setSwatch] = useState({ color: "#d8c3a5", caption: "" });
+  const [note, setNote] = useState("");
+
+  // Caption / text of the selected item
+  const [itemForm, setItemForm] = useState({ caption: "", text: "" });
+
+  // Latest change by someone else while the layout was not saved
+  const [liveUpdate, setLiveUpdate] = useState(null);
+
+  /* ---------- Load ---------- */
+
+  async function load() {
+    try {
+      const [proj, data] = await Promise.all([
+        fetchProjectById(projectId),
+        fetchMoodBoard(projectId, boardId),
+      ]);
+      setProject(proj);
+      setBoard(data);
+      setError("");
+    } catch (err) {
+      console.error("Failed to load mood board:", err);
+      setError(err.message || "Failed to load mood board");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load();
+    setLayout({});
+    setSelectedId(null);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [projectId, boardId]);
+
+  const dirty = Object.keys(layout).length > 0;
+
+  useProjectEvents(projectId, ["moodboards"], (event) => {
+    if (event.entityId && event.entityId !== boardId) return;
+    if (dirty) {
+      setLiveUpdate({ actorName: event.actorName });
+      return;
+    }
+    load();
+  });
+
+  function handleLiveReload() {
+    setLayout({});
+    setLiveUpdate(null);
+    load();
+  }
+
+  const selected = board?.items.find((item) => item._id === selectedId) || null;
+
+  useEffect(() => {
+    setItemForm({ caption: selected?.caption || "", text: selected?.text || "" });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [selectedId, selected?.caption, selected?.text]);
+
+  // Run an action that returns the updated board; errors go to the banner
+  async function run(action, failure) {
+    setError("");
+    setSaving(true);
+
+    try {
+      const updated = await action();
+      if (updated) setBoard(updated);
+      return true;
+    } catch (err) {
+      console.error(`${failure}:`, err);
+      setError(err.message || failure);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  /* ---------- Arranging (designers) ---------- */
+
+  function placementOf(item) {
+    if (layout[item._id]) return layout[item._id];
+    const placement = {};
+    for (const key of PLACEMENT_FIELDS) placement[key] = item[key];
+    return placement;
+  }
+
+  function handlePointerDown(e, item, mode) {
+    if (!board.canEdit) return;
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setSelectedId(item._id);
+    dragRef.current = {
+      itemId: item._id,
+      mode,
+      startX: e.clientX,
+      startY: e.clientY,
+      start: placementOf(item),
+    };
+  }
+
+  function handlePointerMove(e) {
+    const drag = dragRef.current;
+    if (!drag) return;
+
+    const dx = e.clientX - drag.startX;
+    const dy = e.clientY - drag.startY;
+    if (dx === 0 && dy === 0) return;
+
+    const next =
+      drag.mode === "move"
+        ? { ...drag.start, x: drag.start.x + dx, y: drag.start.y + dy }
+        : { ...drag.start, width: drag.start.width + dx, height: drag.start.height + dy };
+
+    setLayout((prev) => ({ ...prev, [drag.itemId]: fitPlacement(next, board.size) }));
+  }
+
+  function handlePointerUp() {
+    dragRef.current = null;
+  }
+
+  function handleBringToFront(item) {
+    const topZ = Math.max(0, ...board.items.map((i) => placementOf(i).z));
+    setLayout((prev) => ({ ...prev, [item._id]: { ...placementOf(item), z: topZ + 1 } }));
+  }
+
+  async function handleSaveLayout() {
+    const items = Object.entries(layout).map(([_id, placement]) => ({ _id, ...placement }));
+    const ok = await run(
+      () => saveMoodBoardLayout(projectId, boardId, items),
+      "Failed to save the layout"
+    );
+    if (ok) {
+      setLayout({});
+      setLiveUpdate(null);
+    }
+  }
+
+  /* ---------- Items (designers) ---------- */
+
+  async function handleImageUpload(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    setError("");
+    setUploading(true);
+
+    try {
+      const formData = new FormData();
+      formData.append("image", file);
+      const { imageUrl } = await uploadImage(formData);
+
+      const ok = await run(
+        () =>
+          addMoodBoardItem(projectId, boardId, { kind: "image", imageUrl, caption: imageCaption }),
+        "Failed to add the image"
+      );
+      if (ok) setImageCaption("");
+    } catch (err) {
+      console.error("Image upload failed:", err);
+      setError(err.message || "Failed to upload image");
+    } finally {
+      setUploading(false);
+    }
+  }
+
+  async function handleAddSwatch(e) {
+    e.preventDefault();
+    const ok = await run(
+      () => addMoodBoardItem(projectId, boardId, { kind: "color", ...swatch }),
+      "Failed to add the color"
+    );
+    if (ok) setSwatch((prev) => ({ ...prev, caption: "" }));
+  }
+
+  async function handleAddNote(e) {
+    e.preventDefault();
+    const ok = await run(
+      () => addMoodBoardItem(projectId, boardId, { kind: "note", text: note }),
+      "Failed to add the note"
+    );
+    if (ok) setNote("");
+  }
+
+  function handleSaveItem(e) {
+    e.preventDefault();
+    const payload = { caption: itemForm.caption };
+    if (selected.kind === "note") payload.text = itemForm.text;
+    run(
+      () => updateMoodBoardItem(projectId, boardId, selected._id, payload),
+      "Failed to save the item"
+    );
+  }
+
+  async function handleDeleteItem(item) {
+    if (!window.confirm("Remove this item from the board?")) return;
+    const ok = await run(
+      () => deleteMoodBoardItem(projectId, boardId, item._id),
+      "Failed to remove the item"
+    );
+    if (ok) {
+      setSelectedId(null);
+      setLayout((prev) => {
+        const { [item._id]: removed, ...rest } = prev;
+        return rest;
+      });
+    }
+  }
+
+  /* ---------- Board settings (designers) ---------- */
+
+  function openSettings() {
+    setSettings({
+      title: board.title,
+      description: board.description || "",
+      roomId: board.roomId || "",
+    });
+  }
+
+  async function handleSaveSettings(e) {
+    e.preventDefault();
+    const ok = await run(
+      () => updateMoodBoard(projectId, boardId, { ...settings, roomId: settings.roomId || null }),
+      "Failed to save the board"
+    );
+    if (ok) setSettings(null);
+  }
+
+  function handleToggleShared() {
+    if (
+      !board.shared &&
+      !window.confirm("Share this board with the client? They will be notified.")
+    ) {
+      return;
+    }
+    run(
+      () => updateMoodBoard(projectId, boardId, { shared: !board.shared }),
+      "Failed to change sharing"
+    );
+  }
+
+  async function handleDeleteBoard() {
+    if (!window.confirm(`Delete the mood board "${board.title}" with all its items?`)) return;
+
+    setError("");
+    try {
+      await deleteMoodBoard(projectId, boardId);
+      navigate(`/project/${projectId}/moodboards`);
+    } catch (err) {
+      console.error("Failed to delete mood board:", err);
+      setError(err.message || "Failed to delete mood board");
+    }
+  }
+
+  /* ---------- Reactions (clients) ---------- */
+
+  function handleReact(item, value) {
+    run(
+      () =>
+        reactToMoodBoardItem(
+          projectId,
+          boardId,
+          item._id,
+          item.myReaction === value ? null : value
+        ),
+      "Failed to save your reaction"
+    );
+  }
+
+  /* ---------- Styles (simple inline for now) ---------- */
+
+  const pageStyle = {
+    minHeight: "100vh",
+    padding: "40px 16px 60px",
+    display: "flex",
+    justifyContent: "center",
+  };
+
+  const cardStyle = {
+    background: "rgba(255, 255, 255, 0.95)",
+    borderRadius: 18,
+    padding: "24px 28px 30px",
+    boxShadow: "0 18px 45px rgba(0,0,0,0.18)",
+    border: "1px solid rgba(255,192,203,0.7)",
+    width: "100%",
+    maxWidth: 1100,
+  };
+
+  const titleStyle = { fontSize: 30, fontWeight: 700, marginBottom: 6 };
+  const subStyle = { fontSize: 14, color: "#555", marginBottom: 14 };
+  const sectionTitleStyle = { fontSize: 16, fontWeight: 600, margin: "0 0 8px" };
+  const smallLabelStyle = { fontSize: 12, color: "#777" };
+
+  const labelStyleBack = {
+    display: "inline-block",
+    marginBottom: 12,
+    color: "#ff6f91",
+    fontWeight: 600,
+    fontSize: 13,
+  };
+
+  const inputStyle = {
+    fontSize: 13,
+    padding: "4px 6px",
+    boxSizing: "border-box",
+  };
+
+  const primaryButtonStyle = {
+    padding: "6px 10px",
+    borderRadius: 10,
+    border: "none",
+    cursor: "pointer",
+    fontSize: 12,
+    fontWeight: 600,
+    background: "#ff9eb5",
+  };
+
+  const secondaryButtonStyle = {
+    ...primaryButtonStyle,
+    background: "#eee",
+  };
+
+  const panelStyle = {
+    padding: "10px 12px",
+    borderRadius: 12,
+    border: "1px solid #f2f2f2",
+    background: "#fff",
+    fontSize: 13,
+  };
+
+  const canvasStyle = (size) => ({
+    position: "relative",
+    width: size.width,
+    height: size.height,
+    borderRadius: 14,
+    background: "#faf7f5",
+    border: "1px solid #eee",
+    overflow: "hidden",
+    touchAction: "none",
+    userSelect: "none",
+  });
+
+  const itemStyle = (placement, isSelected) => ({
+    position: "absolute",
+    left: placement.x,
+    top: placement.y,
+    width: placement.width,
+    height: placement.height,
+    zIndex: placement.z,
+    borderRadius: 10,
+    overflow: "hidden",
+    background: "#fff",
+    boxShadow: isSelected ? "0 0 0 2px #ff6f91" : "0 4px 14px rgba(0,0,0,0.12)",
+    cursor: board?.canEdit ? "move" : "default",
+    display: "flex",
+    flexDirection: "column",
+  });
+
+  const captionStyle = {
+    padding: "3px 6px",
+    fontSize: 11,
+    background: "rgba(255,255,255,0.9)",
+    whiteSpace: "nowrap",
+    overflow: "hidden",
+    textOverflow: "ellipsis",
+  };
+
+  const resizeHandleStyle = {
+    position: "absolute",
+    right: 0,
+    bottom: 0,
+    width: 14,
+    height: 14,
+    cursor: "nwse-resize",
+    background: "linear-gradient(135deg, transparent 50%, #ff6f91 50%)",
+  };
+
+  const reactionButtonStyle = (active) => ({
+    border: "none",
+    borderRadius: 8,
+    padding: "1px 6px",
+    marginRight: 4,
+    fontSize: 11,
+    cursor: board?.canReact ? "pointer" : "default",
+    background: active ? "#ff9eb5" : "#f3f3f3",
+  });
+
+  /* ---------- Rendering ---------- */
+
+  function renderItemContent(item) {
+    if (item.kind === "image") {
+      return (
+        <img
+          src={item.imageUrl}
+          alt={item.caption || "Inspiration"}
+          draggable={false}
+          style={{ flex: 1, minHeight: 0, width: "100%", objectFit: "cover" }}
+        />
+      );
+    }
+    if (item.kind === "color") {
+      return (
+        <div style={{ flex: 1, background: item.color, position: "relative" }}>
+          <span style={{ ...captionStyle, position: "absolute", left: 4, top: 4 }}>
+            {item.color}
+          </span>
+        </div>
+      );
+    }
+    return (
+      <div
+        style={{
+          flex: 1,
+          padding: 8,
+          background: "#fff8dc",
+          fontSize: 13,
+          whiteSpace: "pre-wrap",
+          overflow: "auto",
+        }}
+      >
+        {item.text}
+      </div>
+    );
+  }
+
+  function renderReactions(item) {
+    if (!board.shared && !item.likes && !item.dislikes) return null;
+    return (
+      <div style={{ padding: "2px 4px", background: "#fff" }}>
+        {[
+          ["like", "👍", item.likes],
+          ["dislike", "👎", item.dislikes],
+        ].map(([value, icon, count]) => (
+          <button
+            key={value}
+            type="button"
+            style={reactionButtonStyle(item.myReaction === value)}
+            disabled={!board.canReact || saving}
+            onPointerDown={(e) => e.stopPropagation()}
+            onClick={() => handleReact(item, value)}
+          >
+            {icon} {count}
+          </button>
+        ))}
+      </div>
+    );
+  }
+
+  const items = board?.items || [];
+  const swatches = board?.swatches || [];
+
+  return (
+    <div style={pageStyle}>
+      <div style={cardStyle}>
+        <Link to={`/project/${projectId}/moodboards`} style={labelStyleBack}>
+          ← Back to Mood Boards
+        </Link>
+
+        {error && (
+          <div
+            style={{
+              marginBottom: 16,
+              padding: "8px 10px",
+              borderRadius: 10,
+              background: "#ffe5e5",
+              color: "#b00020",
+              fontSize: 13,
+            }}
+          >
+            {error}
+          </div>
+        )}
+
+        {liveUpdate && (
+          <LiveUpdateNotice
+            actorName={liveUpdate.actorName}
+            onReload={handleLiveReload}
+            onDismiss={() => setLiveUpdate(null)}
+          />
+        )}
+
+        {loading ? (
+          <p>Loading mood board...</p>
+        ) : (
+          board && (
+            <>
+              <h1 style={titleStyle}>{board.title}</h1>
+              <p style={subStyle}>
+                {project ? `${project.name} – ` : ""}
+                {board.roomId ? (
+                  <Link to={`/project/${projectId}/rooms/${board.roomId}`}>{board.roomName}</Link>
+                ) : (
+                  "whole project"
+                )}
+                {board.canEdit &&
+                  (board.shared ? " · shared with the client" : " · designers only")}
+                {board.description && (
+                  <span style={{ display: "block", marginTop: 4 }}>{board.description}</span>
+                )}
+              </p>
+
+              {board.canEdit && (
+                <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 12 }}>
+                  <button
+                    type="button"
+                    style={primaryButtonStyle}
+                    disabled={!dirty || saving}
+                    onClick={handleSaveLayout}
+                  >
+                    {dirty ? "Save layout" : "Layout saved"}
+                  </button>
+                  {dirty && (
+                    <button
+                      type="button"
+                      style={secondaryButtonStyle}
+                      onClick={() => setLayout({})}
+                    >
+                      Undo moves
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    style={secondaryButtonStyle}
+                    disabled={saving}
+                    onClick={handleToggleShared}
+                  >
+                    {board.shared ? "Stop sharing" : "Share with client"}
+                  </button>
+                  <button type="button" style={secondaryButtonStyle} onClick={openSettings}>
+                    Edit board
+                  </button>
+                  <button type="button" style={secondaryButtonStyle} onClick={handleDeleteBoard}>
+                    Delete board
+                  </button>
+                </div>
+              )}
+
+              {settings && (
+                <form onSubmit={handleSaveSettings} style={{ ...panelStyle, marginBottom: 12 }}>
+                  <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 6 }}>
+                    <input
+                      value={settings.title}
+                      onChange={(e) => setSettings({ ...settings, title: e.target.value })}
+                      style={{ ...inputStyle, flex: "1 1 220px" }}
+                      required
+                    />
+                    <RoomSelect
+                      rooms={project?.rooms}
+                      value={settings.roomId}
+                      emptyLabel="Whole project"
+                      onChange={(roomId) => setSettings({ ...settings, roomId })}
+                      style={inputStyle}
+                    />
+                  </div>
+                  <textarea
+                    rows={2}
+                    placeholder="Description (optional)"
+                    value={settings.description}
+                    onChange={(e) => setSettings({ ...settings, description: e.target.value })}
+                    style={{ ...inputStyle, width: "100%", marginBottom: 6 }}
+                  />
+                  <button
+                    type="submit"
+                    style={{ ...primaryButtonStyle, marginRight: 8 }}
+                    disabled={saving}
+                  >
+                    Save
+                  </button>
+                  <button
+                    type="button"
+                    style={secondaryButtonStyle}
+                    onClick={() => setSettings(null)}
+                  >
+                    Cancel
+                  </button>
+                </form>
+              )}
+
+              {board.canReact && (
+                <p style={smallLabelStyle}>
+                  Tell your designer what you think: 👍 what you love, 👎 what is not for you.
+                </p>
+              )}
+
+              <div style={{ overflowX: "auto", marginBottom: 16 }}>
+                <div
+                  style={canvasStyle(board.size)}
+                  onPointerDown={() => setSelectedId(null)}
+                >
+                  {items.length === 0 && (
+                    <p style={{ ...smallLabelStyle, padding: 16 }}>
+                      {board.canEdit
+                        ? "Add images, colors and notes below, then drag them into place."
+                        : "This board is empty."}
+                    </p>
+                  )}
+
+                  {items.map((item) => {
+                    const placement = placementOf(item);
+                    return (
+                      <div
+                        key={item._id}
+                        style={itemStyle(placement, item._id === selectedId)}
+                        onPointerDown={(e) => handlePointerDown(e, item, "move")}
+                        onPointerMove={handlePointerMove}
+                        onPointerUp={handlePointerUp}
+                      >
+                        {renderItemContent(item)}
+                        {item.caption && <div style={captionStyle}>{item.caption}</div>}
+                        {renderReactions(item)}
+                        {board.canEdit && (
+                          <div
+                            style={resizeHandleStyle}
+                            onPointerDown={(e) => handlePointerDown(e, item, "resize")}
+                            onPointerMove={handlePointerMove}
+                            onPointerUp={handlePointerUp}
+                          />
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+
+              {board.canEdit && selected && (
+                <form onSubmit={handleSaveItem} style={{ ...panelStyle, marginBottom: 16 }}>
+                  <h2 style={sectionTitleStyle}>Selected {selected.kind}</h2>
+                  {selected.kind === "note" && (
+                    <textarea
+                      rows={3}
+                      value={itemForm.text}
+                      onChange={(e) => setItemForm({ ...itemForm, text: e.target.value })}
+                      style={{ ...inputStyle, width: "100%", marginBottom: 6 }}
+                    />
+                  )}
+                  <input
+                    placeholder="Caption (optional)"
+                    value={itemForm.caption}
+                    onChange={(e) => setItemForm({ ...itemForm, caption: e.target.value })}
+                    style={{ ...inputStyle, width: "100%", marginBottom: 6 }}
+                  />
+                  <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+                    <button type="submit" style={primaryButtonStyle} disabled={saving}>
+                      Save
+                    </button>
+                    <button
+                      type="button"
+                      style={secondaryButtonStyle}
+                      onClick={() => handleBringToFront(selected)}
+                    >
+                      Bring to front
+                    </button>
+                    <button
+                      type="button"
+                      style={secondaryButtonStyle}
+                      onClick={() => handleDeleteItem(selected)}
+                    >
+                      Remove
+                    </button>
+                  </div>
+                  {(selected.reactions || []).length > 0 && (
+                    <div style={{ ...smallLabelStyle, marginTop: 8 }}>
+                      {selected.likes > 0 && <div>👍 {namesOf(selected.reactions, "like")}</div>}
+                      {selected.dislikes > 0 && (
+                        <div>👎 {namesOf(selected.reactions, "dislike")}</div>
+                      )}
+                    </div>
+                  )}
+                </form>
+              )}
+
+              {board.canEdit && (
+                <div
+                  style={{
+                    display: "grid",
+                    gridTemplateColumns: "repeat(auto-fit, minmax(240px, 1fr))",
+                    gap: 12,
+                  }}
+                >
+                  <div style={panelStyle}>
+                    <h2 style={sectionTitleStyle}>Add an image</h2>
+                    <input
+                      placeholder="Caption (optional)"
+                      value={imageCaption}
+                      onChange={(e) => setImageCaption(e.target.value)}
+                      style={{ ...inputStyle, width: "100%", marginBottom: 6 }}
+                    />
+                    <input
+                      type="file"
+                      accept="image/*"
+                      onChange={handleImageUpload}
+                      disabled={uploading || saving}
+                    />
+                    {uploading && <div style={smallLabelStyle}>Uploading...</div>}
+                  </div>
+
+                  <form onSubmit={handleAddSwatch} style={panelStyle}>
+                    <h2 style={sectionTitleStyle}>Add a color</h2>
+                    {swatches.length > 0 && (
+                      <select
+                        value=""
+                        onChange={(e) => {
+                          const picked = swatches[Number(e.target.value)];
+                          if (picked) setSwatch(picked);
+                        }}
+                        style={{ ...inputStyle, width: "100%", marginBottom: 6 }}
+                      >
+                        <option value="">From the project's colors...</option>
+                        {swatches.map((s, index) => (
+                          <option key={`${s.caption}-${s.color}`} value={index}>
+                            {s.caption} ({s.color})
+                          </option>
+                        ))}
+                      </select>
+                    )}
+                    <div style={{ display: "flex", gap: 6, marginBottom: 6 }}>
+                      <input
+                        type="color"
+                        value={swatch.color}
+                        onChange={(e) => setSwatch({ ...swatch, color: e.target.value })}
+                      />
+                      <input
+                        placeholder="Label (optional)"
+                        value={swatch.caption}
+                        onChange={(e) => setSwatch({ ...swatch, caption: e.target.value })}
+                        style={{ ...inputStyle, flex: 1 }}
+                      />
+                    </div>
+                    <button type="submit" style={primaryButtonStyle} disabled={saving}>
+                      Add color
+                    </button>
+                  </form>
+
+                  <form onSubmit={handleAddNote} style={panelStyle}>
+                    <h2 style={sectionTitleStyle}>Add a note</h2>
+                    <textarea
+                      rows={3}
+                      placeholder="e.g. Warm, natural materials; no glossy finishes"
+                      value={note}
+                      onChange={(e) => setNote(e.target.value)}
+                      style={{ ...inputStyle, width: "100%", marginBottom: 6 }}
+                    />
+                    <button
+                      type="submit"
+                      style={primaryButtonStyle}
+                      disabled={saving || !note.trim()}
+                    >
+                      Add note
+                    </button>
+                  </form>
+                </div>
+              )}
+            </>
+          )
+        )}
+      </div>
+    </div>
+  );
+}
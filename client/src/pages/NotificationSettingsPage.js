@@ -0,0 +1,266 @@
+// client/src/pages/NotificationSettingsPage.js
+
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import {
+  changeEmail,
+  fetchNotificationPreferences,
+  updateNotificationPreferences,
+} from "../api";
+import { notificationTypeLabel } from "../utils/notificationTypes";
+
+/**
+ * NotificationSettingsPage
+ *
+ * Lets a logged-in user choose how notifications reach them by email:
+ * - instant: one email per notification
+ * - digest:  one summary email a day
+ * - off:     in-app notifications only
+ * Single notification types can be muted, and the email address used
+ * for notifications (and password reset) can be changed here - that
+ * needs the current password.
+ */
+
+const MODE_LABELS = {
+  instant: "Instant – one email per notification",
+  digest: "Digest – one summary email a day",
+  off: "Off – in-app notifications only",
+};
+
+export default function NotificationSettingsPage() {
+  const role = localStorage.getItem("role");
+  const backHref = role === "designer" ? "/designer" : "/client";
+
+  const [prefs, setPrefs] = useState(null);
+  const [form, setForm] = useState({
+    email: "",
+    currentPassword: "",
+    mode: "instant",
+    mutedTypes: [],
+  });
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  function applyPreferences(data) {
+    setPrefs(data);
+    setForm({
+      email: data.email,
+      currentPassword: "",
+      mode: data.mode,
+      mutedTypes: data.mutedTypes,
+    });
+  }
+
+  useEffect(() => {
+    fetchNotificationPreferences()
+      .then(applyPreferences)
+      .catch((err) => {
+        console.error("Failed to load notification settings:", err);
+        setError(err.message || "Failed to load notification settings");
+      });
+  }, []);
+
+  function toggleType(type) {
+    setForm((prev) => ({
+      ...prev,
+      mutedTypes: prev.mutedTypes.includes(type)
+        ? prev.mutedTypes.filter((t) => t !== type)
+        : [...prev.mutedTypes, type],
+    }));
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setError("");
+    setMessage("");
+    setSaving(true);
+
+    try {
+      if (form.email.trim().toLowerCase() !== prefs.email) {
+        await changeEmail({ currentPassword: form.currentPassword, email: form.email });
+      }
+      applyPreferences(
+        await updateNotificationPreferences({ mode: form.mode, mutedTypes: form.mutedTypes })
+      );
+      setMessage("Notification settings saved");
+    } catch (err) {
+      console.error("Failed to save notification settings:", err);
+      setError(err.message || "Failed to save notification settings");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  /* ---------- Simple inline styles ---------- */
+
+  const pageStyle = {
+    minHeight: "100vh",
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    padding: "40px 16px",
+  };
+
+  const cardStyle = {
+    width: "100%",
+    maxWidth: 480,
+    background: "rgba(255, 255, 255, 0.92)",
+    borderRadius: 18,
+    padding: 32,
+    boxShadow: "0 18px 45px rgba(0,0,0,0.18)",
+    border: "1px solid rgba(255,192,203,0.7)",
+  };
+
+  const titleStyle = {
+    fontSize: "26px",
+    fontWeight: "700",
+    marginBottom: 20,
+    textAlign: "center",
+  };
+
+  const labelStyle = {
+    display: "block",
+    fontSize: "14px",
+    marginBottom: 6,
+    fontWeight: 500,
+  };
+
+  const inputStyle = {
+    width: "100%",
+    padding: "10px 12px",
+    borderRadius: 10,
+    border: "1px solid #ccc",
+    fontSize: "14px",
+    boxSizing: "border-box",
+  };
+
+  const optionStyle = { display: "block", fontSize: "14px", marginBottom: 6 };
+
+  const buttonStyle = {
+    width: "100%",
+    marginTop: 12,
+    padding: "10px 16px",
+    borderRadius: 12,
+    border: "none",
+    background: "#ff9eb5",
+    color: "#222",
+    fontWeight: 600,
+    fontSize: "15px",
+    cursor: "pointer",
+  };
+
+  const bannerStyle = {
+    marginBottom: 16,
+    padding: "8px 10px",
+    borderRadius: 10,
+    fontSize: "13px",
+  };
+
+  const linkRowStyle = {
+    marginTop: 16,
+    textAlign: "center",
+    fontSize: "13px",
+  };
+
+  return (
+    <div style={pageStyle}>
+      <div style={cardStyle}>
+        <h1 style={titleStyle}>Email Notifications</h1>
+
+        {error && (
+          <div style={{ ...bannerStyle, background: "#ffe5e5", color: "#b00020" }}>
+            {error}
+          </div>
+        )}
+
+        {message && (
+          <div style={{ ...bannerStyle, background: "#e8f5e9", color: "#1b5e20" }}>
+            {message}
+          </div>
+        )}
+
+        {!prefs ? (
+          !error && <p>Loading settings...</p>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <div style={{ marginBottom: 14 }}>
+              <label style={labelStyle} htmlFor="email">
+                Email address
+              </label>
+              <input
+                id="email"
+                type="email"
+                style={inputStyle}
+                value={form.email}
+                onChange={(e) => setForm((prev) => ({ ...prev, email: e.target.value }))}
+                placeholder="No email - notifications stay in the app"
+              />
+            </div>
+
+            {form.email.trim().toLowerCase() !== prefs.email && (
+              <div style={{ marginBottom: 14 }}>
+                <label style={labelStyle} htmlFor="currentPassword">
+                  Current password (to change the email)
+                </label>
+                <input
+                  id="currentPassword"
+                  type="password"
+                  style={inputStyle}
+                  value={form.currentPassword}
+                  onChange={(e) =>
+                    setForm((prev) => ({ ...prev, currentPassword: e.target.value }))
+                  }
+                  autoComplete="current-password"
+                  required
+                />
+              </div>
+            )}
+
+            <div style={{ marginBottom: 14 }}>
+              <div style={labelStyle}>Send emails</div>
+              {prefs.modes.map((mode) => (
+                <label key={mode} style={optionStyle}>
+                  <input
+                    type="radio"
+                    name="mode"
+                    value={mode}
+                    checked={form.mode === mode}
+                    onChange={() => setForm((prev) => ({ ...prev, mode }))}
+                  />{" "}
+                  {MODE_LABELS[mode] || mode}
+                </label>
+              ))}
+            </div>
+
+            {form.mode !== "off" && (
+              <div style={{ marginBottom: 6 }}>
+                <div style={labelStyle}>Email me about</div>
+                {prefs.types.map((type) => (
+                  <label key={type} style={optionStyle}>
+                    <input
+                      type="checkbox"
+                      checked={!form.mutedTypes.includes(type)}
+                      onChange={() => toggleType(type)}
+                    />{" "}
+                    {notificationTypeLabel(type)}
+                  </label>
+                ))}
+              </div>
+            )}
+
+            <button type="submit" style={buttonStyle} disabled={saving}>
+              {saving ? "Saving..." : "Save Settings"}
+            </button>
+          </form>
+        )}
+
+        <div style={linkRowStyle}>
+          <Link to={backHref} style={{ color: "#ff6f91", fontWeight: 600 }}>
+            Back to Dashboard
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,352 @@
+// client/src/pages/ProjectActivityPage.js
+
+import React, { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { fetchProjectActivity } from "../api";
+
+/**
+ * ProjectActivityPage
+ *
+ * Audit trail of a project: who changed what and when.
+ * - Entries come from the server's append-only activity log, newest first.
+ * - Each entry lists the changed fields with their old and new values
+ *   (full values can be expanded).
+ * - Can be filtered by area (workers, plan, questionnaires...) and paged.
+ */
+
+const ACTION_LABELS = {
+  "project.create": "Created the project",
+  "project.update": "Updated project details",
+  "project.delete": "Deleted the project",
+  "workers.update": "Replaced the workers list",
+  "suppliers.update": "Replaced the suppliers list",
+  "plan.update": "Updated the design plan",
+  "plan.restore": "Restored an older plan version",
+  "colors.update": "Updated colors & materials",
+  "budget.create": "Added a budget line",
+  "budget.update": "Updated a budget line",
+  "budget.delete": "Removed a budget line",
+  "payment.create": "Recorded a payment",
+  "payment.update": "Updated a payment",
+  "payment.delete": "Deleted a payment",
+  "invoice.create": "Created an invoice",
+  "invoice.update": "Edited an invoice",
+  "invoice.status": "Changed an invoice status",
+  "invoice.delete": "Deleted a draft invoice",
+  "timeline.phase_create": "Added a timeline phase",
+  "timeline.phase_update": "Updated a timeline phase",
+  "timeline.phase_delete": "Removed a timeline phase",
+  "timeline.task_create": "Added a timeline task",
+  "timeline.task_update": "Updated a timeline task",
+  "timeline.task_delete": "Removed a timeline task",
+  "board.column_create": "Added a board column",
+  "board.column_update": "Updated a board column",
+  "board.column_delete": "Removed a board column",
+  "board.card_create": "Added a task card",
+  "board.card_update": "Updated a task card",
+  "board.card_complete": "Completed a task card",
+  "board.card_reopen": "Re-opened a task card",
+  "board.card_delete": "Removed a task card",
+  "board.comment": "Commented on a task card",
+  "appointment.create": "Scheduled an appointment",
+  "appointment.update": "Updated an appointment",
+  "appointment.cancel": "Cancelled an appointment",
+  "appointment.delete": "Deleted an appointment",
+  "message.thread_create": "Started a conversation",
+  "message.send": "Sent a message",
+  "approval.submit": "Asked for client approval",
+  "approval.approve": "Approved",
+  "approval.reject": "Rejected",
+  "approval.withdraw": "Withdrew an approval request",
+  "approval.reopen": "Reopened an approved item",
+  "moodboard.create": "Created a mood board",
+  "moodboard.update": "Updated a mood board",
+  "moodboard.delete": "Deleted a mood board",
+  "moodboard.item_add": "Added to a mood board",
+  "moodboard.item_update": "Edited a mood board item",
+  "moodboard.item_remove": "Removed from a mood board",
+  "moodboard.arrange": "Arranged a mood board",
+  "moodboard.react": "Reacted to a mood board item",
+  "document.upload": "Uploaded a document",
+  "document.version": "Uploaded a new document version",
+  "document.update": "Updated a document",
+  "document.delete": "Deleted a document",
+  "document.folder_create": "Created a document folder",
+  "document.folder_rename": "Renamed a document folder",
+  "document.folder_delete": "Deleted a document folder",
+  "room.create": "Added a room",
+  "room.update": "Updated a room",
+  "room.delete": "Removed a room",
+  "room.link": "Linked room names to rooms",
+  "worker.create": "Added a worker",
+  "worker.update": "Updated a worker",
+  "worker.delete": "Removed a worker",
+  "supplier.create": "Added a supplier",
+  "supplier.update": "Updated a supplier",
+  "supplier.delete": "Removed a supplier",
+  "invite.send": "Invited a client",
+  "invite.accept": "Accepted the invite",
+  "invite.reject": "Rejected the invite",
+  "team.add": "Added a team member",
+  "team.update": "Changed a team role",
+  "team.remove": "Removed a team role",
+  "questionnaire.assign": "Assigned a questionnaire",
+  "questionnaire.reassign": "Re-applied a questionnaire template",
+  "questionnaire.update": "Edited a questionnaire",
+  "questionnaire.answers": "Saved questionnaire answers",
+  "questionnaire.remove": "Removed a questionnaire",
+  "questionnaire.clear": "Removed all questionnaires",
+  "questionnaire.sync": "Synced a questionnaire from its template",
+};
+
+const FILTERS = [
+  { value: "", label: "All activity" },
+  { value: "project", label: "Project details" },
+  { value: "plan", label: "Design plan" },
+  { value: "colors", label: "Colors & materials" },
+  { value: "budget", label: "Budget" },
+  { value: "payment", label: "Payments" },
+  { value: "invoice", label: "Invoices" },
+  { value: "timeline", label: "Timeline" },
+  { value: "board", label: "Task board" },
+  { value: "appointment", label: "Appointments" },
+  { value: "message", label: "Messages" },
+  { value: "approval", label: "Approvals" },
+  { value: "room", label: "Rooms" },
+  { value: "moodboard", label: "Mood boards" },
+  { value: "document", label: "Documents" },
+  { value: "worker", label: "Workers" },
+  { value: "supplier", label: "Suppliers" },
+  { value: "questionnaire", label: "Questionnaires" },
+  { value: "invite", label: "Invitations" },
+  { value: "team", label: "Team" },
+];
+
+const PAGE_SIZE = 20;
+
+/**
+ * Short, readable version of a logged value.
+ */
+function formatValue(value) {
+  if (value === null || value === undefined || value === "") return "—";
+  if (Array.isArray(value)) return `${value.length} item${value.length === 1 ? "" : "s"}`;
+
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return text.length > 80 ? `${text.slice(0, 80)}…` : text;
+}
+
+export default function ProjectActivityPage() {
+  const { projectId } = useParams();
+
+  const [entries, setEntries] = useState([]);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [total, setTotal] = useState(0);
+  const [action, setAction] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  /* ---------- Load one page ---------- */
+
+  useEffect(() => {
+    async function loadActivity() {
+      setLoading(true);
+      setError("");
+
+      try {
+        const data = await fetchProjectActivity(projectId, {
+          page,
+          limit: PAGE_SIZE,
+          action,
+        });
+        setEntries(data.entries || []);
+        setHasMore(Boolean(data.hasMore));
+        setTotal(data.total || 0);
+      } catch (err) {
+        console.error("Failed to load activity:", err);
+        setError(err.message || "Failed to load activity");
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    loadActivity();
+  }, [projectId, page, action]);
+
+  function handleFilterChange(e) {
+    setAction(e.target.value);
+    setPage(1);
+  }
+
+  /* ---------- Styles (simple inline for now) ---------- */
+
+  const pageStyle = {
+    minHeight: "100vh",
+    padding: "40px 16px 60px",
+    display: "flex",
+    justifyContent: "center",
+  };
+
+  const cardStyle = {
+    background: "rgba(255, 255, 255, 0.95)",
+    borderRadius: 18,
+    padding: "24px 28px 30px",
+    boxShadow: "0 18px 45px rgba(0,0,0,0.18)",
+    border: "1px solid rgba(255,192,203,0.7)",
+    width: "100%",
+    maxWidth: 1000,
+  };
+
+  const titleStyle = { fontSize: 30, fontWeight: 700, marginBottom: 6 };
+  const subStyle = { fontSize: 14, color: "#555", marginBottom: 18 };
+  const smallLabelStyle = { fontSize: 12, color: "#777" };
+
+  const labelStyleBack = {
+    display: "inline-block",
+    marginBottom: 12,
+    color: "#ff6f91",
+    fontWeight: 600,
+    fontSize: 13,
+  };
+
+  const buttonStyle = {
+    padding: "6px 10px",
+    borderRadius: 10,
+    border: "none",
+    cursor: "pointer",
+    fontSize: 12,
+    fontWeight: 600,
+    background: "#eee",
+  };
+
+  const tableStyle = { width: "100%", borderCollapse: "collapse", fontSize: 13 };
+
+  const thStyle = {
+    textAlign: "left",
+    padding: "8px 10px",
+    borderBottom: "2px solid #f0b6c4",
+    background: "rgba(255,240,244,0.8)",
+  };
+
+  const tdStyle = {
+    padding: "7px 10px",
+    borderBottom: "1px solid #f2f2f2",
+    verticalAlign: "top",
+  };
+
+  const preStyle = {
+    margin: "4px 0 0",
+    padding: 8,
+    maxHeight: 240,
+    overflow: "auto",
+    background: "#fafafa",
+    borderRadius: 8,
+    fontSize: 11,
+    whiteSpace: "pre-wrap",
+  };
+
+  return (
+    <div style={pageStyle}>
+      <main style={cardStyle}>
+        <Link to={`/project/${projectId}/menu`} style={labelStyleBack}>
+          Back to Project
+        </Link>
+
+        <h1 style={titleStyle}>Activity</h1>
+        <p style={subStyle}>Every change made to this project, newest first.</p>
+
+        <div style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 14 }}>
+          <span style={smallLabelStyle}>Show</span>
+          <select value={action} onChange={handleFilterChange} style={{ fontSize: 13 }}>
+            {FILTERS.map((f) => (
+              <option key={f.value} value={f.value}>
+                {f.label}
+              </option>
+            ))}
+          </select>
+          <span style={smallLabelStyle}>{total} entries</span>
+        </div>
+
+        {error && (
+          <div
+            style={{
+              marginBottom: 14,
+              padding: "8px 10px",
+              borderRadius: 10,
+              background: "#ffe5e5",
+              color: "#b00020",
+              fontSize: 13,
+            }}
+          >
+            {error}
+          </div>
+        )}
+
+        {loading ? (
+          <p>Loading activity...</p>
+        ) : entries.length === 0 ? (
+          <p>No activity yet.</p>
+        ) : (
+          <table style={tableStyle}>
+            <thead>
+              <tr>
+                <th style={thStyle}>When</th>
+                <th style={thStyle}>Who</th>
+                <th style={thStyle}>What</th>
+                <th style={thStyle}>Changes</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((entry) => (
+                <tr key={entry._id}>
+                  <td style={{ ...tdStyle, whiteSpace: "nowrap" }}>
+                    {new Date(entry.createdAt).toLocaleString()}
+                  </td>
+                  <td style={tdStyle}>
+                    {entry.actor?.username || "Unknown user"}
+                    <div style={smallLabelStyle}>{(entry.actorRole || "").replace(/_/g, " ")}</div>
+                  </td>
+                  <td style={tdStyle}>{ACTION_LABELS[entry.action] || entry.action}</td>
+                  <td style={tdStyle}>
+                    {(entry.changes || []).map((change) => (
+                      <details key={change.field} style={{ marginBottom: 4 }}>
+                        <summary style={{ cursor: "pointer" }}>
+                          <strong>{change.field}</strong>: {formatValue(change.before)} →{" "}
+                          {formatValue(change.after)}
+                        </summary>
+                        <div style={smallLabelStyle}>Before</div>
+                        <pre style={preStyle}>{JSON.stringify(change.before, null, 2)}</pre>
+                        <div style={smallLabelStyle}>After</div>
+                        <pre style={preStyle}>{JSON.stringify(change.after, null, 2)}</pre>
+                      </details>
+                    ))}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <div style={{ display: "flex", gap: 8, alignItems: "center", marginTop: 16 }}>
+          <button
+            type="button"
+            style={buttonStyle}
+            disabled={page === 1 || loading}
+            onClick={() => setPage((p) => p - 1)}
+          >
+            Newer
+          </button>
+          <span style={smallLabelStyle}>Page {page}</span>
+          <button
+            type="button"
+            style={buttonStyle}
+            disabled={!hasMore || loading}
+            onClick={() => setPage((p) => p + 1)}
+          >
+            Older
+          </button>
+        </div>
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,487 @@
+// client/src/pages/ProjectAppointmentsPage.js
+
+import React, { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import {
+  fetchProjectById,
+  fetchProjectAppointments,
+  createAppointment,
+  updateAppointment,
+  deleteAppointment,
+} from "../api";
+import { typeLabel } from "../components/AppointmentsCalendar";
+
+/**
+ * ProjectAppointmentsPage
+ *
+ * Site visits, meetings and deliveries of a single project.
+ * - Attendees are the project's linked clients and its workers.
+ * - appointments:edit (lead designer / assistant) schedules, reschedules,
+ *   cancels and deletes; everyone else with a project role views the list.
+ * - Cancelled appointments stay listed so subscribed calendars (.ics feed)
+ *   show them as cancelled.
+ */
+
+const EMPTY_FORM = {
+  type: "site_visit",
+  title: "",
+  start: "",
+  end: "",
+  location: "",
+  clients: [],
+  workers: [],
+  notes: "",
+};
+
+// Date -> value for <input type="datetime-local"> (local time)
+function toLocalInput(value) {
+  if (!value) return "";
+  const d = new Date(value);
+  const pad = (n) => String(n).padStart(2, "0");
+  return (
+    `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}` +
+    `T${pad(d.getHours())}:${pad(d.getMinutes())}`
+  );
+}
+
+function formatDateTime(value) {
+  return new Date(value).toLocaleString([], {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+}
+
+export default function ProjectAppointmentsPage() {
+  const { projectId } = useParams();
+
+  const [project, setProject] = useState(null);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [showPast, setShowPast] = useState(false);
+
+  // Add / edit form (editingId null = add new)
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+
+  const canEdit = Boolean(data?.canEdit);
+
+  /* ---------- Load project + appointments ---------- */
+
+  async function loadAppointments() {
+    setError("");
+
+    try {
+      const [proj, list] = await Promise.all([
+        fetchProjectById(projectId),
+        fetchProjectAppointments(projectId),
+      ]);
+      setProject(proj);
+      setData(list);
+    } catch (err) {
+      console.error("Failed to load appointments:", err);
+      setError(err.message || "Failed to load appointments");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    loadAppointments();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [projectId]);
+
+  /* ---------- Form ---------- */
+
+  function handleChange(e) {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  }
+
+  function toggleAttendee(list, id) {
+    setForm((prev) => ({
+      ...prev,
+      [list]: prev[list].includes(id)
+        ? prev[list].filter((x) => x !== id)
+        : [...prev[list], id],
+    }));
+  }
+
+  function resetForm() {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+  }
+
+  async function handleSave(e) {
+    e.preventDefault();
+    setError("");
+
+    const payload = {
+      ...form,
+      start: form.start ? new Date(form.start).toISOString() : null,
+      end: form.end ? new Date(form.end).toISOString() : null,
+    };
+
+    try {
+      if (editingId) {
+        await updateAppointment(projectId, editingId, payload);
+      } else {
+        await createAppointment(projectId, payload);
+      }
+      resetForm();
+      await loadAppointments();
+    } catch (err) {
+      console.error("Failed to save appointment:", err);
+      setError(err.message || "Failed to save appointment");
+    }
+  }
+
+  function handleEdit(appointment) {
+    setEditingId(appointment._id);
+    setForm({
+      type: appointment.type,
+      title: appointment.title || "",
+      start: toLocalInput(appointment.start),
+      end: toLocalInput(appointment.end),
+      location: appointment.location || "",
+      clients: appointment.clients.map((c) => c._id),
+      workers: appointment.workers.map(String),
+      notes: appointment.notes || "",
+    });
+  }
+
+  async function handleSetStatus(appointment, status) {
+    if (status === "cancelled" && !window.confirm("Cancel this appointment?")) return;
+    setError("");
+
+    try {
+      await updateAppointment(projectId, appointment._id, { status });
+      await loadAppointments();
+    } catch (err) {
+      console.error("Failed to update appointment:", err);
+      setError(err.message || "Failed to update appointment");
+    }
+  }
+
+  async function handleDelete(appointment) {
+    if (!window.confirm("Delete this appointment? Use Cancel to keep it in calendars.")) return;
+    setError("");
+
+    try {
+      await deleteAppointment(projectId, appointment._id);
+      if (editingId === appointment._id) resetForm();
+      await loadAppointments();
+    } catch (err) {
+      console.error("Failed to delete appointment:", err);
+      setError(err.message || "Failed to delete appointment");
+    }
+  }
+
+  /* ---------- Styles (simple inline for now) ---------- */
+
+  const pageStyle = {
+    minHeight: "100vh",
+    padding: "40px 16px 60px",
+    display: "flex",
+    justifyContent: "center",
+  };
+
+  const cardStyle = {
+    background: "rgba(255, 255, 255, 0.95)",
+    borderRadius: 18,
+    padding: "24px 28px 30px",
+    boxShadow: "0 18px 45px rgba(0,0,0,0.18)",
+    border: "1px solid rgba(255,192,203,0.7)",
+    width: "100%",
+    maxWidth: 1000,
+  };
+
+  const titleStyle = { fontSize: 30, fontWeight: 700, marginBottom: 6 };
+  const subStyle = { fontSize: 14, color: "#555", marginBottom: 18 };
+  const sectionTitleStyle = { fontSize: 18, fontWeight: 600, margin: "22px 0 10px" };
+  const smallLabelStyle = { fontSize: 12, color: "#777" };
+
+  const labelStyleBack = {
+    display: "inline-block",
+    marginBottom: 12,
+    color: "#ff6f91",
+    fontWeight: 600,
+    fontSize: 13,
+  };
+
+  const inputStyle = {
+    fontSize: 13,
+    padding: "4px 6px",
+    boxSizing: "border-box",
+  };
+
+  const primaryButtonStyle = {
+    padding: "6px 10px",
+    borderRadius: 10,
+    border: "none",
+    cursor: "pointer",
+    fontSize: 12,
+    fontWeight: 600,
+    background: "#ff9eb5",
+  };
+
+  const secondaryButtonStyle = {
+    ...primaryButtonStyle,
+    background: "#eee",
+  };
+
+  const tableStyle = { width: "100%", borderCollapse: "collapse", fontSize: 13 };
+
+  const thStyle = {
+    textAlign: "left",
+    padding: "8px 10px",
+    borderBottom: "2px solid #f0b6c4",
+    background: "rgba(255,240,244,0.8)",
+  };
+
+  const tdStyle = { padding: "7px 10px", borderBottom: "1px solid #f2f2f2" };
+
+  const now = new Date();
+  const appointments = (data?.appointments || []).filter((a) =>
+    showPast ? new Date(a.end) < now : new Date(a.end) >= now
+  );
+  if (showPast) appointments.reverse();
+
+  return (
+    <div style={pageStyle}>
+      <main style={cardStyle}>
+        <Link to={`/project/${projectId}/menu`} style={labelStyleBack}>
+          Back to Project
+        </Link>
+
+        <h1 style={titleStyle}>Appointments</h1>
+        <p style={subStyle}>
+          {project?.name ? `${project.name} – ` : ""}site visits, meetings and deliveries.
+        </p>
+
+        {error && (
+          <div
+            style={{
+              marginBottom: 14,
+              padding: "8px 10px",
+              borderRadius: 10,
+              background: "#ffe5e5",
+              color: "#b00020",
+              fontSize: 13,
+            }}
+          >
+            {error}
+          </div>
+        )}
+
+        {loading || !data ? (
+          <p>{loading ? "Loading appointments..." : "Appointments not available."}</p>
+        ) : (
+          <>
+            {canEdit && (
+              <form onSubmit={handleSave} style={{ marginBottom: 16 }}>
+                <h2 style={sectionTitleStyle}>
+                  {editingId ? "Edit Appointment" : "New Appointment"}
+                </h2>
+                <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 8 }}>
+                  <select name="type" value={form.type} onChange={handleChange} style={inputStyle}>
+                    {data.types.map((t) => (
+                      <option key={t} value={t}>
+                        {typeLabel(t)}
+                      </option>
+                    ))}
+                  </select>
+                  <input
+                    name="title"
+                    placeholder="Title (optional)"
+                    value={form.title}
+                    onChange={handleChange}
+                    style={{ ...inputStyle, flex: 1, minWidth: 160 }}
+                  />
+                  <label style={smallLabelStyle}>
+                    Start{" "}
+                    <input
+                      name="start"
+                      type="datetime-local"
+                      value={form.start}
+                      onChange={handleChange}
+                      required
+                      style={inputStyle}
+                    />
+                  </label>
+                  <label style={smallLabelStyle}>
+                    End{" "}
+                    <input
+                      name="end"
+                      type="datetime-local"
+                      value={form.end}
+                      min={form.start || undefined}
+                      onChange={handleChange}
+                      style={inputStyle}
+                    />
+                  </label>
+                </div>
+                <input
+                  name="location"
+                  placeholder="Location (address, showroom...)"
+                  value={form.location}
+                  onChange={handleChange}
+                  style={{ ...inputStyle, width: "100%", marginBottom: 8 }}
+                />
+
+                <div style={{ display: "flex", gap: 24, flexWrap: "wrap", marginBottom: 8 }}>
+                  <div>
+                    <div style={smallLabelStyle}>Clients</div>
+                    {data.clients.length === 0 && (
+                      <div style={smallLabelStyle}>No linked clients yet.</div>
+                    )}
+                    {data.clients.map((c) => (
+                      <label key={c._id} style={{ display: "block", fontSize: 13 }}>
+                        <input
+                          type="checkbox"
+                          checked={form.clients.includes(c._id)}
+                          onChange={() => toggleAttendee("clients", c._id)}
+                        />{" "}
+                        {c.username}
+                      </label>
+                    ))}
+                  </div>
+                  <div>
+                    <div style={smallLabelStyle}>Workers</div>
+                    {data.workers.length === 0 && (
+                      <div style={smallLabelStyle}>No workers yet.</div>
+                    )}
+                    {data.workers.map((w) => (
+                      <label key={w._id} style={{ display: "block", fontSize: 13 }}>
+                        <input
+                          type="checkbox"
+                          checked={form.workers.includes(w._id)}
+                          onChange={() => toggleAttendee("workers", w._id)}
+                        />{" "}
+                        {w.workerName || "Worker"}
+                        {w.role ? ` (${w.role})` : ""}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+
+                <textarea
+                  name="notes"
+                  placeholder="Notes (optional)"
+                  value={form.notes}
+                  onChange={handleChange}
+                  rows={2}
+                  style={{ ...inputStyle, width: "100%", marginBottom: 8 }}
+                />
+
+                <button type="submit" style={primaryButtonStyle}>
+                  {editingId ? "Save Appointment" : "Schedule"}
+                </button>
+                {editingId && (
+                  <button
+                    type="button"
+                    style={{ ...secondaryButtonStyle, marginLeft: 6 }}
+                    onClick={resetForm}
+                  >
+                    Cancel Editing
+                  </button>
+                )}
+              </form>
+            )}
+
+            <div style={{ display: "flex", gap: 6, marginBottom: 8 }}>
+              <button
+                type="button"
+                style={showPast ? secondaryButtonStyle : primaryButtonStyle}
+                onClick={() => setShowPast(false)}
+              >
+                Upcoming
+              </button>
+              <button
+                type="button"
+                style={showPast ? primaryButtonStyle : secondaryButtonStyle}
+                onClick={() => setShowPast(true)}
+              >
+                Past
+              </button>
+            </div>
+
+            {appointments.length === 0 ? (
+              <p style={{ fontSize: 13 }}>
+                {showPast ? "No past appointments." : "No upcoming appointments."}
+              </p>
+            ) : (
+              <table style={tableStyle}>
+                <thead>
+                  <tr>
+                    <th style={thStyle}>When</th>
+                    <th style={thStyle}>What</th>
+                    <th style={thStyle}>Where</th>
+                    <th style={thStyle}>Attendees</th>
+                    {canEdit && <th style={thStyle}>Actions</th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {appointments.map((a) => (
+                    <tr
+                      key={a._id}
+                      style={{ opacity: a.status === "cancelled" ? 0.55 : 1 }}
+                    >
+                      <td style={tdStyle}>
+                        {formatDateTime(a.start)}
+                        <div style={smallLabelStyle}>until {formatDateTime(a.end)}</div>
+                      </td>
+                      <td style={tdStyle}>
+                        <strong>{a.title || typeLabel(a.type)}</strong>
+                        {a.status === "cancelled" && (
+                          <span style={{ color: "#b00020" }}> (cancelled)</span>
+                        )}
+                        <div style={smallLabelStyle}>{typeLabel(a.type)}</div>
+                        {a.notes && <div style={smallLabelStyle}>{a.notes}</div>}
+                      </td>
+                      <td style={tdStyle}>{a.location || "-"}</td>
+                      <td style={tdStyle}>
+                        {[...a.clients.map((c) => c.username), ...a.workerNames].join(", ") ||
+                          "-"}
+                      </td>
+                      {canEdit && (
+                        <td style={tdStyle}>
+                          <button
+                            type="button"
+                            style={secondaryButtonStyle}
+                            onClick={() => handleEdit(a)}
+                          >
+                            Edit
+                          </button>
+                          <button
+                            type="button"
+                            style={{ ...secondaryButtonStyle, marginLeft: 6 }}
+                            onClick={() =>
+                              handleSetStatus(
+                                a,
+                                a.status === "cancelled" ? "scheduled" : "cancelled"
+                              )
+                            }
+                          >
+                            {a.status === "cancelled" ? "Restore" : "Cancel"}
+                          </button>
+                          <button
+                            type="button"
+                            style={{ ...secondaryButtonStyle, marginLeft: 6 }}
+                            onClick={() => handleDelete(a)}
+                          >
+                            Delete
+                          </button>
+                        </td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,483 @@
+// client/src/pages/ProjectApprovalsPage.js
+
+import React, { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import {
+  fetchProjectById,
+  fetchProjectApprovals,
+  submitApproval,
+  decideApproval,
+  withdrawApproval,
+  reopenApproval,
+} from "../api";
+import { useProjectEvents } from "../utils/useProjectEvents";
+import { formatMoney } from "../utils/currency";
+import {
+  APPROVAL_KIND_LABELS,
+  APPROVAL_STATUS_COLORS,
+  approvalStatusText,
+} from "../utils/approvals";
+
+/**
+ * ProjectApprovalsPage
+ *
+ * Client sign-off on design decisions of a project.
+ * - Designers submit the current colors & materials, design plan or a
+ *   supplier quote; a copy is kept, so it is always clear what the client
+ *   agreed to.
+ * - Clients with the "Client approver" project role approve or reject
+ *   (with a comment) - here or from their dashboard.
+ * - Approved items are locked until a designer reopens them; submissions
+ *   that changed before the decision cannot be approved.
+ * - Changes by others show up live.
+ */
+
+const EMPTY_SUBMISSION = { kind: "colors", supplier: "", note: "" };
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString([], { dateStyle: "medium" }) : "";
+}
+
+export default function ProjectApprovalsPage() {
+  const { projectId } = useParams();
+
+  const [project, setProject] = useState(null);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const [submission, setSubmission] = useState(EMPTY_SUBMISSION);
+
+  // Decision comment per approval id, approvals with their snapshot shown
+  const [comments, setComments] = useState({});
+  const [openSnapshots, setOpenSnapshots] = useState([]);
+
+  /* ---------- Load ---------- */
+
+  async function load() {
+    try {
+      const [proj, list] = await Promise.all([
+        fetchProjectById(projectId),
+        fetchProjectApprovals(projectId),
+      ]);
+      setProject(proj);
+      setData(list);
+    } catch (err) {
+      console.error("Failed to load approvals:", err);
+      setError(err.message || "Failed to load approvals");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [projectId]);
+
+  // Decisions by others, and edits that make pending submissions outdated
+  useProjectEvents(projectId, ["decisions", "colors", "plan", "suppliers"], () => load());
+
+  /* ---------- Actions ---------- */
+
+  // Run an action, then reload; errors go to the banner
+  async function run(action, failure) {
+    setError("");
+    setSaving(true);
+
+    try {
+      await action();
+      await load();
+      return true;
+    } catch (err) {
+      console.error(`${failure}:`, err);
+      setError(err.message || failure);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+
+    const ok = await run(
+      () =>
+        submitApproval(projectId, {
+          kind: submission.kind,
+          supplier: submission.kind === "supplier_quote" ? submission.supplier : undefined,
+          note: submission.note,
+        }),
+      "Failed to request approval"
+    );
+    if (ok) setSubmission(EMPTY_SUBMISSION);
+  }
+
+  async function handleDecision(approval, decision) {
+    const ok = await run(
+      () => decideApproval(projectId, approval._id, { decision, comment: comments[approval._id] }),
+      "Failed to save the decision"
+    );
+    if (ok) setComments((prev) => ({ ...prev, [approval._id]: "" }));
+  }
+
+  function handleWithdraw(approval) {
+    if (!window.confirm(`Withdraw "${approval.title}"?`)) return;
+    run(() => withdrawApproval(projectId, approval._id), "Failed to withdraw");
+  }
+
+  function handleReopen(approval) {
+    const reason = window.prompt(
+      `Reopen "${approval.title}" for changes? The client has to approve it again.\n` +
+        "Reason (optional):"
+    );
+    if (reason === null) return;
+    run(() => reopenApproval(projectId, approval._id, { reason }), "Failed to reopen");
+  }
+
+  function toggleSnapshot(approvalId) {
+    setOpenSnapshots((prev) =>
+      prev.includes(approvalId) ? prev.filter((id) => id !== approvalId) : [...prev, approvalId]
+    );
+  }
+
+  /* ---------- Styles (simple inline for now) ---------- */
+
+  const pageStyle = {
+    minHeight: "100vh",
+    padding: "40px 16px 60px",
+    display: "flex",
+    justifyContent: "center",
+  };
+
+  const cardStyle = {
+    background: "rgba(255, 255, 255, 0.95)",
+    borderRadius: 18,
+    padding: "24px 28px 30px",
+    boxShadow: "0 18px 45px rgba(0,0,0,0.18)",
+    border: "1px solid rgba(255,192,203,0.7)",
+    width: "100%",
+    maxWidth: 1000,
+  };
+
+  const titleStyle = { fontSize: 30, fontWeight: 700, marginBottom: 6 };
+  const subStyle = { fontSize: 14, color: "#555", marginBottom: 18 };
+  const sectionTitleStyle = { fontSize: 18, fontWeight: 600, margin: "0 0 10px" };
+  const smallLabelStyle = { fontSize: 12, color: "#777" };
+
+  const labelStyleBack = {
+    display: "inline-block",
+    marginBottom: 12,
+    color: "#ff6f91",
+    fontWeight: 600,
+    fontSize: 13,
+  };
+
+  const inputStyle = {
+    fontSize: 13,
+    padding: "4px 6px",
+    boxSizing: "border-box",
+  };
+
+  const primaryButtonStyle = {
+    padding: "6px 10px",
+    borderRadius: 10,
+    border: "none",
+    cursor: "pointer",
+    fontSize: 12,
+    fontWeight: 600,
+    background: "#ff9eb5",
+  };
+
+  const secondaryButtonStyle = {
+    ...primaryButtonStyle,
+    background: "#eee",
+  };
+
+  const itemStyle = {
+    marginBottom: 12,
+    padding: "10px 12px",
+    borderRadius: 12,
+    border: "1px solid #f2f2f2",
+    background: "#fff",
+    fontSize: 13,
+  };
+
+  const snapshotStyle = {
+    marginTop: 8,
+    padding: "8px 10px",
+    borderRadius: 10,
+    background: "rgba(255,240,244,0.6)",
+    border: "1px solid #f6d3dc",
+  };
+
+  const swatchStyle = (color) => ({
+    display: "inline-block",
+    width: 14,
+    height: 14,
+    marginRight: 4,
+    verticalAlign: "middle",
+    borderRadius: 4,
+    border: "1px solid #ccc",
+    background: color || "#fff",
+  });
+
+  /* ---------- What was submitted ---------- */
+
+  function renderSnapshot(approval) {
+    const snapshot = approval.snapshot || {};
+
+    if (approval.kind === "colors") {
+      return (snapshot.colorSelections || []).map((sel, index) => (
+        <div key={index} style={{ marginBottom: 4 }}>
+          <strong>{sel.roomName}</strong>: <span style={swatchStyle(sel.wallColor)} />
+          wall <span style={swatchStyle(sel.furnitureColor)} />
+          furniture <span style={swatchStyle(sel.floorColor)} />
+          floor · {sel.materialType || "-"}, {sel.finishType || "-"}
+        </div>
+      ));
+    }
+
+    if (approval.kind === "plan") {
+      return (
+        <>
+          <div style={smallLabelStyle}>Design plan</div>
+          <div style={{ whiteSpace: "pre-wrap" }}>{snapshot.designPlan || "-"}</div>
+          <div style={{ ...smallLabelStyle, marginTop: 6 }}>Notes</div>
+          <div style={{ whiteSpace: "pre-wrap" }}>{snapshot.notes || "-"}</div>
+        </>
+      );
+    }
+
+    return (
+      <div>
+        {[snapshot.storeName, snapshot.supplierName, snapshot.product]
+          .filter(Boolean)
+          .join(" · ")}
+        <div>
+          <strong>
+            {formatMoney(snapshot.price, snapshot.currency || project?.currency)}
+          </strong>{" "}
+          {snapshot.vatIncluded === false ? "+ VAT" : "incl. VAT"}
+        </div>
+      </div>
+    );
+  }
+
+  const approvals = data?.approvals || [];
+  const suppliers = data?.suppliers || [];
+
+  return (
+    <div style={pageStyle}>
+      <div style={cardStyle}>
+        <Link to={`/project/${projectId}/menu`} style={labelStyleBack}>
+          ← Back to Project
+        </Link>
+
+        <h1 style={titleStyle}>Approvals</h1>
+        <p style={subStyle}>
+          {project ? `${project.name} – ` : ""}
+          client sign-off on colors & materials, the design plan and supplier quotes.
+          Approved items are locked until they are reopened.
+        </p>
+
+        {error && (
+          <div
+            style={{
+              marginBottom: 16,
+              padding: "8px 10px",
+              borderRadius: 10,
+              background: "#ffe5e5",
+              color: "#b00020",
+              fontSize: 13,
+            }}
+          >
+            {error}
+          </div>
+        )}
+
+        {loading ? (
+          <p>Loading approvals...</p>
+        ) : (
+          <>
+            {data?.canSubmit && (
+              <section style={{ marginBottom: 24 }}>
+                <h2 style={sectionTitleStyle}>Ask for approval</h2>
+
+                {data.approvers.length === 0 && (
+                  <p style={{ ...smallLabelStyle, color: "#b00020" }}>
+                    Nobody on this project can approve yet. Give the client the "Client
+                    approver" role on the <Link to={`/project/${projectId}/team`}>Project
+                    Team</Link> page.
+                  </p>
+                )}
+
+                <form onSubmit={handleSubmit}>
+                  <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 6 }}>
+                    <select
+                      value={submission.kind}
+                      onChange={(e) => setSubmission({ ...submission, kind: e.target.value })}
+                      style={inputStyle}
+                    >
+                      {Object.entries(APPROVAL_KIND_LABELS).map(([kind, label]) => (
+                        <option key={kind} value={kind}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+
+                    {submission.kind === "supplier_quote" && (
+                      <select
+                        value={submission.supplier}
+                        onChange={(e) => setSubmission({ ...submission, supplier: e.target.value })}
+                        style={inputStyle}
+                        required
+                      >
+                        <option value="">Choose a supplier...</option>
+                        {suppliers.map((s) => (
+                          <option key={s._id} value={s._id}>
+                            {s.label}
+                          </option>
+                        ))}
+                      </select>
+                    )}
+                  </div>
+
+                  <textarea
+                    rows={2}
+                    placeholder="Note for the client (optional)"
+                    value={submission.note}
+                    onChange={(e) => setSubmission({ ...submission, note: e.target.value })}
+                    style={{ ...inputStyle, width: "100%", marginBottom: 6 }}
+                  />
+                  <div style={{ ...smallLabelStyle, marginBottom: 6 }}>
+                    The saved version is submitted - save your changes first.
+                  </div>
+                  <button type="submit" style={primaryButtonStyle} disabled={saving}>
+                    {saving ? "Submitting..." : "Request approval"}
+                  </button>
+                </form>
+              </section>
+            )}
+
+            <section>
+              <h2 style={sectionTitleStyle}>History</h2>
+
+              {approvals.length === 0 && (
+                <p style={smallLabelStyle}>Nothing was submitted for approval yet.</p>
+              )}
+
+              {approvals.map((approval) => (
+                <div key={approval._id} style={itemStyle}>
+                  <div style={{ display: "flex", justifyContent: "space-between", gap: 8 }}>
+                    <strong>{approval.title}</strong>
+                    <span style={{ color: APPROVAL_STATUS_COLORS[approval.status] }}>
+                      {approvalStatusText(approval)}
+                    </span>
+                  </div>
+
+                  <div style={smallLabelStyle}>
+                    {APPROVAL_KIND_LABELS[approval.kind]} · submitted by{" "}
+                    {approval.submittedBy?.username || "someone"} on{" "}
+                    {formatDate(approval.createdAt)}
+                  </div>
+
+                  {approval.note && <div style={{ marginTop: 4 }}>{approval.note}</div>}
+
+                  {approval.outdated && (
+                    <div style={{ marginTop: 4, color: "#b00020" }}>
+                      Changed after it was submitted - this version can no longer be approved.
+                    </div>
+                  )}
+
+                  {approval.comment && (
+                    <div style={{ marginTop: 4 }}>
+                      {approval.decidedBy?.username || "Client"}: <em>{approval.comment}</em>
+                    </div>
+                  )}
+
+                  {approval.unlockedAt && (
+                    <div style={{ ...smallLabelStyle, marginTop: 4 }}>
+                      Reopened by {approval.unlockedBy?.username || "someone"} on{" "}
+                      {formatDate(approval.unlockedAt)}
+                      {approval.unlockReason ? `: ${approval.unlockReason}` : ""}
+                    </div>
+                  )}
+
+                  <button
+                    type="button"
+                    style={{ ...secondaryButtonStyle, marginTop: 8 }}
+                    onClick={() => toggleSnapshot(approval._id)}
+                  >
+                    {openSnapshots.includes(approval._id) ? "Hide" : "Show what was submitted"}
+                  </button>
+
+                  {openSnapshots.includes(approval._id) && (
+                    <div style={snapshotStyle}>{renderSnapshot(approval)}</div>
+                  )}
+
+                  {approval.status === "pending" && data.canDecide && (
+                    <div style={{ marginTop: 8 }}>
+                      <textarea
+                        rows={2}
+                        placeholder="Comment (required to reject)"
+                        value={comments[approval._id] || ""}
+                        onChange={(e) => {
+                          const { value } = e.target;
+                          setComments((prev) => ({ ...prev, [approval._id]: value }));
+                        }}
+                        style={{ ...inputStyle, width: "100%", marginBottom: 6 }}
+                      />
+                      <button
+                        type="button"
+                        style={{ ...primaryButtonStyle, marginRight: 8 }}
+                        disabled={saving || approval.outdated}
+                        onClick={() => handleDecision(approval, "approved")}
+                      >
+                        Approve
+                      </button>
+                      <button
+                        type="button"
+                        style={secondaryButtonStyle}
+                        disabled={saving || !(comments[approval._id] || "").trim()}
+                        onClick={() => handleDecision(approval, "rejected")}
+                      >
+                        Reject
+                      </button>
+                    </div>
+                  )}
+
+                  {data.canSubmit && (
+                    <div style={{ marginTop: 8 }}>
+                      {approval.status === "pending" && (
+                        <button
+                          type="button"
+                          style={secondaryButtonStyle}
+                          disabled={saving}
+                          onClick={() => handleWithdraw(approval)}
+                        >
+                          Withdraw
+                        </button>
+                      )}
+                      {approval.locked && (
+                        <button
+                          type="button"
+                          style={secondaryButtonStyle}
+                          disabled={saving}
+                          onClick={() => handleReopen(approval)}
+                        >
+                          Reopen for changes
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </div>
+              ))}
+            </section>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,794 @@
+// client/src/pages/ProjectBoardPage.js
+
+import React, { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import {
+  fetchProjectById,
+  fetchProjectBoard,
+  createBoardColumn,
+  updateBoardColumn,
+  deleteBoardColumn,
+  createBoardCard,
+  updateBoardCard,
+  deleteBoardCard,
+  completeBoardCard,
+  toggleBoardChecklistItem,
+  addBoardCardComment,
+  deleteBoardCardComment,
+} from "../api";
+
+/**
+ * ProjectBoardPage
+ *
+ * Kanban-style task board of a single project (replaces to-dos in the
+ * free-text notes).
+ * - Columns hold cards; cards in a "done" column count as completed.
+ * - Cards have an assignee (team member or worker), a due date,
+ *   a checklist and comments.
+ * - board:edit (lead designer / assistant) manages columns and cards and
+ *   can drag cards between columns.
+ * - The assignee of a card can complete it, tick its checklist and comment,
+ *   even without board:edit (e.g. a client).
+ */
+
+const EMPTY_CARD = {
+  title: "",
+  description: "",
+  assignee: "",
+  dueDate: "",
+  checklist: [],
+};
+
+function toDateInput(value) {
+  return value ? String(value).slice(0, 10) : "";
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleDateString() : "";
+}
+
+// "user:<id>" / "worker:<id>" <-> { assigneeType, assignee }
+function assigneeKey(card) {
+  return card.assigneeType && card.assignee ? `${card.assigneeType}:${card.assignee}` : "";
+}
+
+function splitAssigneeKey(key) {
+  const [assigneeType, assignee] = key ? key.split(":") : [null, null];
+  return { assigneeType: assigneeType || null, assignee: assignee || null };
+}
+
+export default function ProjectBoardPage() {
+  const { projectId } = useParams();
+
+  const [project, setProject] = useState(null);
+  const [board, setBoard] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  const [newColumnName, setNewColumnName] = useState("");
+  const [newCardTitles, setNewCardTitles] = useState({}); // columnId -> title
+
+  // Open card (detail panel) + its edit form
+  const [openCardId, setOpenCardId] = useState(null);
+  const [cardForm, setCardForm] = useState(EMPTY_CARD);
+  const [newChecklistItem, setNewChecklistItem] = useState("");
+  const [commentText, setCommentText] = useState("");
+
+  const [draggedCardId, setDraggedCardId] = useState(null);
+
+  const canEdit = Boolean(board?.canEdit);
+  const columns = board?.columns || [];
+  const allCards = columns.flatMap((c) => c.cards);
+  const openCard = allCards.find((c) => c._id === openCardId) || null;
+
+  const isAssignee = (card) =>
+    card.assigneeType === "user" && String(card.assignee) === String(board?.myUserId);
+  const canWork = (card) => canEdit || isAssignee(card);
+
+  /* ---------- Load project + board ---------- */
+
+  async function loadBoard() {
+    setError("");
+
+    try {
+      const [proj, data] = await Promise.all([
+        fetchProjectById(projectId),
+        fetchProjectBoard(projectId),
+      ]);
+      setProject(proj);
+      setBoard(data);
+    } catch (err) {
+      console.error("Failed to load board:", err);
+      setError(err.message || "Failed to load board");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    loadBoard();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [projectId]);
+
+  /**
+   * Run a board request; responses that carry the board replace it,
+   * others (single card) reload it.
+   */
+  async function runBoardAction(action, failMessage) {
+    setError("");
+
+    try {
+      const res = await action();
+      if (res?.columns) {
+        setBoard(res);
+      } else {
+        setBoard(await fetchProjectBoard(projectId));
+      }
+      return res;
+    } catch (err) {
+      console.error(`${failMessage}:`, err);
+      setError(err.message || failMessage);
+      return null;
+    }
+  }
+
+  /* ---------- Columns ---------- */
+
+  async function handleAddColumn(e) {
+    e.preventDefault();
+    if (!newColumnName.trim()) return;
+
+    const res = await runBoardAction(
+      () => createBoardColumn(projectId, { name: newColumnName }),
+      "Failed to add column"
+    );
+    if (res) setNewColumnName("");
+  }
+
+  function handleRenameColumn(column) {
+    const name = window.prompt("Column name", column.name);
+    if (!name || name === column.name) return;
+    runBoardAction(
+      () => updateBoardColumn(projectId, column._id, { name }),
+      "Failed to rename column"
+    );
+  }
+
+  function handleToggleDoneColumn(column) {
+    runBoardAction(
+      () => updateBoardColumn(projectId, column._id, { done: !column.done }),
+      "Failed to update column"
+    );
+  }
+
+  async function handleMoveColumn(column, direction) {
+    const index = columns.findIndex((c) => c._id === column._id);
+    const other = columns[index + direction];
+    if (!other) return;
+
+    await runBoardAction(async () => {
+      await updateBoardColumn(projectId, column._id, { order: other.order });
+      return updateBoardColumn(projectId, other._id, { order: column.order });
+    }, "Failed to reorder columns");
+  }
+
+  function handleDeleteColumn(column) {
+    if (!window.confirm(`Delete the column "${column.name}"?`)) return;
+    runBoardAction(() => deleteBoardColumn(projectId, column._id), "Failed to delete column");
+  }
+
+  /* ---------- Cards ---------- */
+
+  async function handleQuickAddCard(e, column) {
+    e.preventDefault();
+    const title = (newCardTitles[column._id] || "").trim();
+    if (!title) return;
+
+    const res = await runBoardAction(
+      () => createBoardCard(projectId, { title, column: column._id }),
+      "Failed to add card"
+    );
+    if (res) setNewCardTitles((prev) => ({ ...prev, [column._id]: "" }));
+  }
+
+  function handleOpenCard(card) {
+    setOpenCardId(card._id);
+    setCardForm({
+      title: card.title,
+      description: card.description || "",
+      assignee: assigneeKey(card),
+      dueDate: toDateInput(card.dueDate),
+      checklist: card.checklist || [],
+    });
+    setNewChecklistItem("");
+    setCommentText("");
+  }
+
+  function closeCard() {
+    setOpenCardId(null);
+    setCardForm(EMPTY_CARD);
+  }
+
+  function handleCardFormChange(e) {
+    const { name, value } = e.target;
+    setCardForm((prev) => ({ ...prev, [name]: value }));
+  }
+
+  async function handleSaveCard(e) {
+    e.preventDefault();
+
+    await runBoardAction(
+      () =>
+        updateBoardCard(projectId, openCard._id, {
+          title: cardForm.title,
+          description: cardForm.description,
+          dueDate: cardForm.dueDate || null,
+          checklist: cardForm.checklist,
+          ...splitAssigneeKey(cardForm.assignee),
+        }),
+      "Failed to save card"
+    );
+  }
+
+  function handleAddChecklistItem() {
+    const text = newChecklistItem.trim();
+    if (!text) return;
+    setCardForm((prev) => ({ ...prev, checklist: [...prev.checklist, { text, done: false }] }));
+    setNewChecklistItem("");
+  }
+
+  function handleRemoveChecklistItem(index) {
+    setCardForm((prev) => ({
+      ...prev,
+      checklist: prev.checklist.filter((_, i) => i !== index),
+    }));
+  }
+
+  async function handleToggleChecklistItem(card, item) {
+    const res = await runBoardAction(
+      () => toggleBoardChecklistItem(projectId, card._id, item._id, !item.done),
+      "Failed to update checklist"
+    );
+    if (res?.card) {
+      setCardForm((prev) => ({ ...prev, checklist: res.card.checklist }));
+    }
+  }
+
+  function handleToggleComplete(card) {
+    runBoardAction(
+      () => completeBoardCard(projectId, card._id, !card.completed),
+      "Failed to update card"
+    );
+  }
+
+  async function handleDeleteCard(card) {
+    if (!window.confirm("Delete this card?")) return;
+    const res = await runBoardAction(
+      () => deleteBoardCard(projectId, card._id),
+      "Failed to delete card"
+    );
+    if (res) closeCard();
+  }
+
+  async function handleAddComment(e) {
+    e.preventDefault();
+    if (!commentText.trim()) return;
+
+    const res = await runBoardAction(
+      () => addBoardCardComment(projectId, openCard._id, commentText),
+      "Failed to add comment"
+    );
+    if (res) setCommentText("");
+  }
+
+  function handleDeleteComment(comment) {
+    runBoardAction(
+      () => deleteBoardCardComment(projectId, openCard._id, comment._id),
+      "Failed to delete comment"
+    );
+  }
+
+  /* ---------- Drag & drop (editors) ---------- */
+
+  function handleDrop(e, column, position) {
+    e.preventDefault();
+    e.stopPropagation();
+    const cardId = draggedCardId;
+    setDraggedCardId(null);
+    if (!cardId) return;
+
+    runBoardAction(
+      () => updateBoardCard(projectId, cardId, { column: column._id, position }),
+      "Failed to move card"
+    );
+  }
+
+  function assigneeName(card) {
+    if (!card.assigneeType || !card.assignee) return "";
+    const assignees = board?.assignees || { users: [], workers: [] };
+
+    if (card.assigneeType === "worker") {
+      const worker = assignees.workers.find((w) => w._id === card.assignee);
+      return worker ? worker.workerName || "Worker" : "Worker";
+    }
+    const user = assignees.users.find((u) => u._id === card.assignee);
+    return user ? user.username : "Former team member";
+  }
+
+  /* ---------- Styles (simple inline for now) ---------- */
+
+  const pageStyle = {
+    minHeight: "100vh",
+    padding: "40px 16px 60px",
+    display: "flex",
+    justifyContent: "center",
+  };
+
+  const cardStyle = {
+    background: "rgba(255, 255, 255, 0.95)",
+    borderRadius: 18,
+    padding: "24px 28px 30px",
+    boxShadow: "0 18px 45px rgba(0,0,0,0.18)",
+    border: "1px solid rgba(255,192,203,0.7)",
+    width: "100%",
+    maxWidth: 1300,
+  };
+
+  const titleStyle = { fontSize: 30, fontWeight: 700, marginBottom: 6 };
+  const subStyle = { fontSize: 14, color: "#555", marginBottom: 18 };
+  const sectionTitleStyle = { fontSize: 18, fontWeight: 600, margin: "22px 0 10px" };
+  const smallLabelStyle = { fontSize: 12, color: "#777" };
+
+  const labelStyleBack = {
+    display: "inline-block",
+    marginBottom: 12,
+    color: "#ff6f91",
+    fontWeight: 600,
+    fontSize: 13,
+  };
+
+  const inputStyle = {
+    fontSize: 13,
+    padding: "4px 6px",
+    boxSizing: "border-box",
+  };
+
+  const primaryButtonStyle = {
+    padding: "6px 10px",
+    borderRadius: 10,
+    border: "none",
+    cursor: "pointer",
+    fontSize: 12,
+    fontWeight: 600,
+    background: "#ff9eb5",
+  };
+
+  const secondaryButtonStyle = {
+    ...primaryButtonStyle,
+    background: "#eee",
+  };
+
+  const linkButtonStyle = {
+    border: "none",
+    background: "none",
+    padding: 0,
+    cursor: "pointer",
+    fontSize: 12,
+    color: "#777",
+  };
+
+  const columnStyle = (column) => ({
+    flex: "0 0 260px",
+    background: column.done ? "rgba(232,245,233,0.8)" : "rgba(255,240,244,0.8)",
+    borderRadius: 14,
+    padding: 10,
+    minHeight: 120,
+  });
+
+  const boardCardStyle = (card) => ({
+    background: "#fff",
+    borderRadius: 10,
+    padding: "8px 10px",
+    marginBottom: 8,
+    boxShadow: "0 2px 6px rgba(0,0,0,0.08)",
+    borderLeft: `4px solid ${card.overdue ? "#b00020" : card.completed ? "#1b5e20" : "#ff9eb5"}`,
+    cursor: "pointer",
+    opacity: draggedCardId === card._id ? 0.5 : 1,
+  });
+
+  const panelStyle = {
+    marginTop: 20,
+    padding: "16px 18px",
+    borderRadius: 14,
+    border: "1px solid rgba(255,192,203,0.7)",
+    background: "#fff",
+  };
+
+  return (
+    <div style={pageStyle}>
+      <main style={cardStyle}>
+        <Link to={`/project/${projectId}/menu`} style={labelStyleBack}>
+          Back to Project
+        </Link>
+
+        <h1 style={titleStyle}>Task Board</h1>
+        <p style={subStyle}>
+          {project?.name ? `${project.name} – ` : ""}to-dos for the designer, clients and
+          workers.
+        </p>
+
+        {error && (
+          <div
+            style={{
+              marginBottom: 14,
+              padding: "8px 10px",
+              borderRadius: 10,
+              background: "#ffe5e5",
+              color: "#b00020",
+              fontSize: 13,
+            }}
+          >
+            {error}
+          </div>
+        )}
+
+        {loading || !board ? (
+          <p>{loading ? "Loading board..." : "Board not available."}</p>
+        ) : (
+          <>
+            {/* Columns + cards */}
+            <div style={{ display: "flex", gap: 12, overflowX: "auto", paddingBottom: 8 }}>
+              {columns.map((column, index) => (
+                <section
+                  key={column._id}
+                  style={columnStyle(column)}
+                  onDragOver={canEdit ? (e) => e.preventDefault() : undefined}
+                  onDrop={canEdit ? (e) => handleDrop(e, column, column.cards.length) : undefined}
+                >
+                  <div
+                    style={{
+                      display: "flex",
+                      justifyContent: "space-between",
+                      alignItems: "baseline",
+                      marginBottom: 8,
+                    }}
+                  >
+                    <strong style={{ fontSize: 14 }}>
+                      {column.name}{" "}
+                      <span style={smallLabelStyle}>
+                        ({column.cards.length}){column.done ? " · done" : ""}
+                      </span>
+                    </strong>
+                    {canEdit && (
+                      <span style={{ display: "flex", gap: 6 }}>
+                        <button
+                          type="button"
+                          style={linkButtonStyle}
+                          disabled={index === 0}
+                          onClick={() => handleMoveColumn(column, -1)}
+                          title="Move left"
+                        >
+                          ←
+                        </button>
+                        <button
+                          type="button"
+                          style={linkButtonStyle}
+                          disabled={index === columns.length - 1}
+                          onClick={() => handleMoveColumn(column, 1)}
+                          title="Move right"
+                        >
+                          →
+                        </button>
+                        <button
+                          type="button"
+                          style={linkButtonStyle}
+                          onClick={() => handleRenameColumn(column)}
+                        >
+                          Rename
+                        </button>
+                        <button
+                          type="button"
+                          style={linkButtonStyle}
+                          onClick={() => handleToggleDoneColumn(column)}
+                          title="Cards in a done column count as completed"
+                        >
+                          {column.done ? "Not done" : "Done"}
+                        </button>
+                        <button
+                          type="button"
+                          style={linkButtonStyle}
+                          onClick={() => handleDeleteColumn(column)}
+                        >
+                          ✕
+                        </button>
+                      </span>
+                    )}
+                  </div>
+
+                  {column.cards.map((card, cardIndex) => (
+                    <div
+                      key={card._id}
+                      style={boardCardStyle(card)}
+                      draggable={canEdit}
+                      onDragStart={() => setDraggedCardId(card._id)}
+                      onDragEnd={() => setDraggedCardId(null)}
+                      onDragOver={canEdit ? (e) => e.preventDefault() : undefined}
+                      onDrop={canEdit ? (e) => handleDrop(e, column, cardIndex) : undefined}
+                      onClick={() => handleOpenCard(card)}
+                    >
+                      <div
+                        style={{
+                          fontSize: 13,
+                          fontWeight: 600,
+                          textDecoration: card.completed ? "line-through" : "none",
+                        }}
+                      >
+                        {card.title}
+                      </div>
+                      <div style={smallLabelStyle}>
+                        {[
+                          assigneeName(card),
+                          card.dueDate &&
+                            `${card.overdue ? "Overdue · " : "Due "}${formatDate(card.dueDate)}`,
+                          card.checklistTotal > 0 &&
+                            `☑ ${card.checklistDone}/${card.checklistTotal}`,
+                          card.comments.length > 0 && `💬 ${card.comments.length}`,
+                        ]
+                          .filter(Boolean)
+                          .join(" · ")}
+                      </div>
+                    </div>
+                  ))}
+
+                  {canEdit && (
+                    <form onSubmit={(e) => handleQuickAddCard(e, column)}>
+                      <input
+                        placeholder="+ Add a card"
+                        value={newCardTitles[column._id] || ""}
+                        onChange={(e) =>
+                          setNewCardTitles((prev) => ({ ...prev, [column._id]: e.target.value }))
+                        }
+                        style={{ ...inputStyle, width: "100%" }}
+                      />
+                    </form>
+                  )}
+                </section>
+              ))}
+
+              {canEdit && (
+                <form onSubmit={handleAddColumn} style={{ flex: "0 0 200px" }}>
+                  <input
+                    placeholder="New column"
+                    value={newColumnName}
+                    onChange={(e) => setNewColumnName(e.target.value)}
+                    style={{ ...inputStyle, width: "100%", marginBottom: 6 }}
+                  />
+                  <button type="submit" style={primaryButtonStyle}>
+                    Add Column
+                  </button>
+                </form>
+              )}
+            </div>
+
+            {/* Card details */}
+            {openCard && (
+              <section style={panelStyle}>
+                <div style={{ display: "flex", justifyContent: "space-between" }}>
+                  <h2 style={{ ...sectionTitleStyle, margin: 0 }}>{openCard.title}</h2>
+                  <button type="button" style={secondaryButtonStyle} onClick={closeCard}>
+                    Close
+                  </button>
+                </div>
+                <p style={smallLabelStyle}>
+                  {openCard.completed
+                    ? `Completed ${formatDate(openCard.completedAt)}`
+                    : openCard.overdue
+                    ? "Overdue"
+                    : "Open"}
+                </p>
+
+                {canEdit ? (
+                  <form onSubmit={handleSaveCard}>
+                    <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 8 }}>
+                      <input
+                        name="title"
+                        value={cardForm.title}
+                        onChange={handleCardFormChange}
+                        required
+                        style={{ ...inputStyle, flex: 1, minWidth: 200 }}
+                      />
+                      <select
+                        name="assignee"
+                        value={cardForm.assignee}
+                        onChange={handleCardFormChange}
+                        style={inputStyle}
+                      >
+                        <option value="">Unassigned</option>
+                        <optgroup label="Team">
+                          {board.assignees.users.map((u) => (
+                            <option key={u._id} value={`user:${u._id}`}>
+                              {u.username} ({u.role})
+                            </option>
+                          ))}
+                        </optgroup>
+                        {board.assignees.workers.length > 0 && (
+                          <optgroup label="Workers">
+                            {board.assignees.workers.map((w) => (
+                              <option key={w._id} value={`worker:${w._id}`}>
+                                {w.workerName || "Worker"}
+                                {w.role ? ` (${w.role})` : ""}
+                              </option>
+                            ))}
+                          </optgroup>
+                        )}
+                      </select>
+                      <input
+                        name="dueDate"
+                        type="date"
+                        value={cardForm.dueDate}
+                        onChange={handleCardFormChange}
+                        style={inputStyle}
+                      />
+                    </div>
+                    <textarea
+                      name="description"
+                      placeholder="Description"
+                      value={cardForm.description}
+                      onChange={handleCardFormChange}
+                      rows={3}
+                      style={{ ...inputStyle, width: "100%" }}
+                    />
+
+                    <h3 style={{ fontSize: 14, margin: "12px 0 6px" }}>Checklist</h3>
+                    {cardForm.checklist.map((item, idx) => (
+                      <div key={item._id || idx} style={{ fontSize: 13, marginBottom: 4 }}>
+                        <label>
+                          <input
+                            type="checkbox"
+                            checked={item.done}
+                            onChange={() =>
+                              setCardForm((prev) => ({
+                                ...prev,
+                                checklist: prev.checklist.map((it, i) =>
+                                  i === idx ? { ...it, done: !it.done } : it
+                                ),
+                              }))
+                            }
+                          />{" "}
+                          {item.text}
+                        </label>{" "}
+                        <button
+                          type="button"
+                          style={linkButtonStyle}
+                          onClick={() => handleRemoveChecklistItem(idx)}
+                        >
+                          ✕
+                        </button>
+                      </div>
+                    ))}
+                    <div style={{ display: "flex", gap: 6, marginBottom: 12 }}>
+                      <input
+                        placeholder="New checklist item"
+                        value={newChecklistItem}
+                        onChange={(e) => setNewChecklistItem(e.target.value)}
+                        onKeyDown={(e) => {
+                          if (e.key === "Enter") {
+                            e.preventDefault();
+                            handleAddChecklistItem();
+                          }
+                        }}
+                        style={{ ...inputStyle, flex: 1 }}
+                      />
+                      <button
+                        type="button"
+                        style={secondaryButtonStyle}
+                        onClick={handleAddChecklistItem}
+                      >
+                        Add Item
+                      </button>
+                    </div>
+
+                    <button type="submit" style={primaryButtonStyle}>
+                      Save Card
+                    </button>
+                    <button
+                      type="button"
+                      style={{ ...secondaryButtonStyle, marginLeft: 6 }}
+                      onClick={() => handleToggleComplete(openCard)}
+                    >
+                      {openCard.completed ? "Re-open" : "Mark Complete"}
+                    </button>
+                    <button
+                      type="button"
+                      style={{ ...secondaryButtonStyle, marginLeft: 6 }}
+                      onClick={() => handleDeleteCard(openCard)}
+                    >
+                      Delete
+                    </button>
+                  </form>
+                ) : (
+                  <>
+                    <p style={{ fontSize: 13 }}>
+                      Assignee: {assigneeName(openCard) || "-"}
+                      {openCard.dueDate && ` · Due ${formatDate(openCard.dueDate)}`}
+                    </p>
+                    {openCard.description && (
+                      <p style={{ fontSize: 13, whiteSpace: "pre-wrap" }}>
+                        {openCard.description}
+                      </p>
+                    )}
+                    {openCard.checklist.length > 0 && (
+                      <>
+                        <h3 style={{ fontSize: 14, margin: "12px 0 6px" }}>Checklist</h3>
+                        {openCard.checklist.map((item) => (
+                          <div key={item._id} style={{ fontSize: 13, marginBottom: 4 }}>
+                            <label>
+                              <input
+                                type="checkbox"
+                                checked={item.done}
+                                disabled={!canWork(openCard)}
+                                onChange={() => handleToggleChecklistItem(openCard, item)}
+                              />{" "}
+                              {item.text}
+                            </label>
+                          </div>
+                        ))}
+                      </>
+                    )}
+                    {canWork(openCard) && (
+                      <button
+                        type="button"
+                        style={primaryButtonStyle}
+                        onClick={() => handleToggleComplete(openCard)}
+                      >
+                        {openCard.completed ? "Re-open" : "Mark Complete"}
+                      </button>
+                    )}
+                  </>
+                )}
+
+                {/* Comments */}
+                <h3 style={{ fontSize: 14, margin: "16px 0 6px" }}>Comments</h3>
+                {openCard.comments.length === 0 ? (
+                  <p style={smallLabelStyle}>No comments yet.</p>
+                ) : (
+                  openCard.comments.map((comment) => (
+                    <div key={comment._id} style={{ fontSize: 13, marginBottom: 8 }}>
+                      <strong>{comment.authorName}</strong>{" "}
+                      <span style={smallLabelStyle}>
+                        {new Date(comment.createdAt).toLocaleString()}
+                      </span>
+                      {(canEdit || String(comment.author) === String(board.myUserId)) && (
+                        <button
+                          type="button"
+                          style={{ ...linkButtonStyle, marginLeft: 6 }}
+                          onClick={() => handleDeleteComment(comment)}
+                        >
+                          Delete
+                        </button>
+                      )}
+                      <div style={{ whiteSpace: "pre-wrap" }}>{comment.text}</div>
+                    </div>
+                  ))
+                )}
+                {(board.canComment || isAssignee(openCard)) && (
+                  <form onSubmit={handleAddComment} style={{ display: "flex", gap: 6 }}>
+                    <input
+                      placeholder="Write a comment..."
+                      value={commentText}
+                      onChange={(e) => setCommentText(e.target.value)}
+                      style={{ ...inputStyle, flex: 1 }}
+                    />
+                    <button type="submit" style={primaryButtonStyle}>
+                      Comment
+                    </button>
+                  </form>
+                )}
+              </section>
+            )}
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
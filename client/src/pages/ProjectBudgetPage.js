@@ -0,0 +1,531 @@
+// client/src/pages/ProjectBudgetPage.js
+
+import React, { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import {
+  fetchProjectById,
+  fetchProjectBudget,
+  addBudgetLine,
+  updateBudgetLine,
+  deleteBudgetLine,
+  updateProjectWorker,
+  updateProjectSupplier,
+} from "../api";
+import { formatMoney } from "../utils/currency";
+import RoomSelect from "../components/RoomSelect";
+
+/**
+ * ProjectBudgetPage
+ *
+ * Budget of a single project, split into lines per category / room.
+ * - All totals and warnings come from the server (GET /budget):
+ *   planned vs. actual vs. remaining, per line and per category.
+ * - Actual costs are the project's workers + suppliers; each cost can be
+ *   linked to a budget line.
+ * - A line can be linked to one of the project's rooms (its name is then
+ *   used as the room); a free room name still works.
+ * - budget:edit (lead designer / assistant) manages lines; linking a cost
+ *   needs workers:edit / suppliers:edit.
+ */
+
+const EMPTY_LINE = { category: "other", room: "", roomId: "", description: "", planned: "" };
+
+const WARNING_COLORS = {
+  over: { background: "#ffe5e5", color: "#b00020" },
+  near: { background: "#fff4e5", color: "#7a4100" },
+  info: { background: "#f3f3f3", color: "#555" },
+};
+
+export default function ProjectBudgetPage() {
+  const { projectId } = useParams();
+
+  const [project, setProject] = useState(null);
+  const [categories, setCategories] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  // Add / edit line form (editingLineId null = add new)
+  const [lineForm, setLineForm] = useState(EMPTY_LINE);
+  const [editingLineId, setEditingLineId] = useState(null);
+
+  const permissions = project?.myPermissions || [];
+  const canEdit = permissions.includes("budget:edit");
+  const canLink = (type) =>
+    permissions.includes(type === "worker" ? "workers:edit" : "suppliers:edit");
+
+  /* ---------- Load project + budget summary ---------- */
+
+  async function loadBudget() {
+    setError("");
+
+    try {
+      const [proj, budget] = await Promise.all([
+        fetchProjectById(projectId),
+        fetchProjectBudget(projectId),
+      ]);
+      setProject(proj);
+      setCategories(budget.categories || []);
+      setSummary(budget.summary || null);
+    } catch (err) {
+      console.error("Failed to load budget:", err);
+      setError(err.message || "Failed to load budget");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    loadBudget();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [projectId]);
+
+  /* ---------- Budget lines ---------- */
+
+  function handleLineChange(e) {
+    const { name, value } = e.target;
+    setLineForm((prev) => ({ ...prev, [name]: value }));
+  }
+
+  function resetLineForm() {
+    setLineForm(EMPTY_LINE);
+    setEditingLineId(null);
+  }
+
+  async function handleSaveLine(e) {
+    e.preventDefault();
+    setError("");
+
+    const payload = { ...lineForm, planned: Number(lineForm.planned) || 0 };
+
+    try {
+      const res = editingLineId
+        ? await updateBudgetLine(projectId, editingLineId, payload)
+        : await addBudgetLine(projectId, payload);
+
+      setSummary(res.summary);
+      resetLineForm();
+    } catch (err) {
+      console.error("Failed to save budget line:", err);
+      setError(err.message || "Failed to save budget line");
+    }
+  }
+
+  function handleEditLine(line) {
+    setEditingLineId(line._id);
+    setLineForm({
+      category: line.category,
+      room: line.room || "",
+      roomId: line.roomId || "",
+      description: line.description || "",
+      planned: String(line.planned ?? ""),
+    });
+  }
+
+  async function handleDeleteLine(line) {
+    if (!window.confirm("Delete this budget line? Linked costs become unassigned.")) return;
+    setError("");
+
+    try {
+      const res = await deleteBudgetLine(projectId, line._id);
+      setSummary(res.summary);
+      if (editingLineId === line._id) resetLineForm();
+    } catch (err) {
+      console.error("Failed to delete budget line:", err);
+      setError(err.message || "Failed to delete budget line");
+    }
+  }
+
+  /* ---------- Link a cost (worker / supplier) to a line ---------- */
+
+  async function handleLinkCost(cost, budgetLine) {
+    setError("");
+
+    try {
+      if (cost.type === "worker") {
+        await updateProjectWorker(projectId, cost._id, { budgetLine });
+      } else {
+        await updateProjectSupplier(projectId, cost._id, { budgetLine });
+      }
+
+      const budget = await fetchProjectBudget(projectId);
+      setSummary(budget.summary || null);
+    } catch (err) {
+      console.error("Failed to link cost:", err);
+      setError(err.message || "Failed to link cost");
+    }
+  }
+
+  function lineLabel(line) {
+    return line.room ? `${line.category} – ${line.room}` : line.category;
+  }
+
+  /* ---------- Styles (simple inline for now) ---------- */
+
+  const pageStyle = {
+    minHeight: "100vh",
+    padding: "40px 16px 60px",
+    display: "flex",
+    justifyContent: "center",
+  };
+
+  const cardStyle = {
+    background: "rgba(255, 255, 255, 0.95)",
+    borderRadius: 18,
+    padding: "24px 28px 30px",
+    boxShadow: "0 18px 45px rgba(0,0,0,0.18)",
+    border: "1px solid rgba(255,192,203,0.7)",
+    width: "100%",
+    maxWidth: 1100,
+  };
+
+  const titleStyle = { fontSize: 30, fontWeight: 700, marginBottom: 6 };
+  const subStyle = { fontSize: 14, color: "#555", marginBottom: 18 };
+  const sectionTitleStyle = { fontSize: 18, fontWeight: 600, margin: "22px 0 10px" };
+  const smallLabelStyle = { fontSize: 12, color: "#777" };
+
+  const labelStyleBack = {
+    display: "inline-block",
+    marginBottom: 12,
+    color: "#ff6f91",
+    fontWeight: 600,
+    fontSize: 13,
+  };
+
+  const totalsGridStyle = {
+    display: "grid",
+    gridTemplateColumns: "repeat(5, 1fr)",
+    gap: 12,
+  };
+
+  const totalBoxStyle = {
+    padding: "10px 12px",
+    borderRadius: 12,
+    background: "rgba(255,240,244,0.8)",
+  };
+
+  const inputStyle = {
+    fontSize: 13,
+    padding: "4px 6px",
+    boxSizing: "border-box",
+  };
+
+  const primaryButtonStyle = {
+    padding: "6px 10px",
+    borderRadius: 10,
+    border: "none",
+    cursor: "pointer",
+    fontSize: 12,
+    fontWeight: 600,
+    background: "#ff9eb5",
+  };
+
+  const secondaryButtonStyle = {
+    ...primaryButtonStyle,
+    background: "#eee",
+  };
+
+  const tableStyle = { width: "100%", borderCollapse: "collapse", fontSize: 13 };
+
+  const thStyle = {
+    textAlign: "left",
+    padding: "8px 10px",
+    borderBottom: "2px solid #f0b6c4",
+    background: "rgba(255,240,244,0.8)",
+  };
+
+  const tdStyle = { padding: "7px 10px", borderBottom: "1px solid #f2f2f2" };
+
+  const amountStyle = (value) => ({ ...tdStyle, color: value < 0 ? "#b00020" : "inherit" });
+
+  const money = (amount) => formatMoney(amount, project?.currency);
+
+  const totals = summary?.totals;
+  const lines = summary?.lines || [];
+  const allCosts = [
+    ...lines.flatMap((line) => line.items || []),
+    ...(summary?.unassigned?.items || []),
+  ];
+
+  return (
+    <div style={pageStyle}>
+      <main style={cardStyle}>
+        <Link to={`/project/${projectId}/menu`} style={labelStyleBack}>
+          Back to Project
+        </Link>
+
+        <h1 style={titleStyle}>Budget</h1>
+        <p style={subStyle}>
+          {project?.name ? `${project.name} – ` : ""}planned vs. actual costs per category.
+        </p>
+
+        {error && (
+          <div
+            style={{
+              marginBottom: 14,
+              padding: "8px 10px",
+              borderRadius: 10,
+              background: "#ffe5e5",
+              color: "#b00020",
+              fontSize: 13,
+            }}
+          >
+            {error}
+          </div>
+        )}
+
+        {loading || !summary ? (
+          <p>{loading ? "Loading budget..." : "Budget not available."}</p>
+        ) : (
+          <>
+            {/* Totals */}
+            <div style={totalsGridStyle}>
+              {[
+                ["Project budget", totals.budget],
+                ["Planned (lines)", totals.planned],
+                ["Actual costs", totals.actual],
+                ["Remaining", totals.remaining],
+                ["Not yet planned", totals.unplanned],
+              ].map(([label, value]) => (
+                <div key={label} style={totalBoxStyle}>
+                  <div style={smallLabelStyle}>{label}</div>
+                  <div
+                    style={{
+                      fontSize: 18,
+                      fontWeight: 700,
+                      color: value < 0 ? "#b00020" : "#222",
+                    }}
+                  >
+                    {money(value)}
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            {/* Warnings */}
+            {summary.warnings.length > 0 && (
+              <div style={{ marginTop: 16 }}>
+                {summary.warnings.map((w, idx) => (
+                  <div
+                    key={idx}
+                    style={{
+                      ...WARNING_COLORS[w.level],
+                      marginBottom: 6,
+                      padding: "6px 10px",
+                      borderRadius: 10,
+                      fontSize: 13,
+                    }}
+                  >
+                    {w.message}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {/* Per category */}
+            <h2 style={sectionTitleStyle}>By Category</h2>
+            {summary.categories.length === 0 ? (
+              <p style={{ fontSize: 13 }}>No budget lines yet.</p>
+            ) : (
+              <table style={tableStyle}>
+                <thead>
+                  <tr>
+                    <th style={thStyle}>Category</th>
+                    <th style={thStyle}>Planned</th>
+                    <th style={thStyle}>Actual</th>
+                    <th style={thStyle}>Remaining</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {summary.categories.map((c) => (
+                    <tr key={c.category}>
+                      <td style={tdStyle}>{c.category}</td>
+                      <td style={tdStyle}>{money(c.planned)}</td>
+                      <td style={tdStyle}>{money(c.actual)}</td>
+                      <td style={amountStyle(c.remaining)}>{money(c.remaining)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+
+            {/* Budget lines */}
+            <h2 style={sectionTitleStyle}>Budget Lines</h2>
+
+            {canEdit && (
+              <form
+                onSubmit={handleSaveLine}
+                style={{ display: "flex", gap: 8, marginBottom: 12, flexWrap: "wrap" }}
+              >
+                <select
+                  name="category"
+                  value={lineForm.category}
+                  onChange={handleLineChange}
+                  style={inputStyle}
+                >
+                  {categories.map((c) => (
+                    <option key={c} value={c}>
+                      {c}
+                    </option>
+                  ))}
+                </select>
+                <RoomSelect
+                  rooms={project?.rooms}
+                  value={lineForm.roomId}
+                  emptyLabel="Other / no room"
+                  onChange={(roomId, room) =>
+                    setLineForm((prev) => ({ ...prev, roomId, room: room ? room.name : "" }))
+                  }
+                  style={inputStyle}
+                />
+                {!lineForm.roomId && (
+                  <input
+                    name="room"
+                    placeholder="Room (optional)"
+                    value={lineForm.room}
+                    onChange={handleLineChange}
+                    style={inputStyle}
+                  />
+                )}
+                <input
+                  name="description"
+                  placeholder="Description"
+                  value={lineForm.description}
+                  onChange={handleLineChange}
+                  style={{ ...inputStyle, flex: 1 }}
+                />
+                <input
+                  name="planned"
+                  type="number"
+                  min="0"
+                  placeholder="Planned"
+                  value={lineForm.planned}
+                  onChange={handleLineChange}
+                  required
+                  style={{ ...inputStyle, width: 110 }}
+                />
+                <button type="submit" style={primaryButtonStyle}>
+                  {editingLineId ? "Save Line" : "Add Line"}
+                </button>
+                {editingLineId && (
+                  <button type="button" style={secondaryButtonStyle} onClick={resetLineForm}>
+                    Cancel
+                  </button>
+                )}
+              </form>
+            )}
+
+            {lines.length === 0 ? (
+              <p style={{ fontSize: 13 }}>No budget lines yet.</p>
+            ) : (
+              <table style={tableStyle}>
+                <thead>
+                  <tr>
+                    <th style={thStyle}>Category</th>
+                    <th style={thStyle}>Room</th>
+                    <th style={thStyle}>Description</th>
+                    <th style={thStyle}>Planned</th>
+                    <th style={thStyle}>Actual</th>
+                    <th style={thStyle}>Remaining</th>
+                    {canEdit && <th style={thStyle}>Actions</th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {lines.map((line) => (
+                    <tr key={line._id}>
+                      <td style={tdStyle}>{line.category}</td>
+                      <td style={tdStyle}>
+                        {line.roomId ? (
+                          <Link to={`/project/${projectId}/rooms/${line.roomId}`}>
+                            {line.room}
+                          </Link>
+                        ) : (
+                          line.room || "-"
+                        )}
+                      </td>
+                      <td style={tdStyle}>
+                        {line.description || "-"}
+                        {line.items.length > 0 && (
+                          <div style={smallLabelStyle}>
+                            {line.items.map((item) => item.name).join(", ")}
+                          </div>
+                        )}
+                      </td>
+                      <td style={tdStyle}>{money(line.planned)}</td>
+                      <td style={tdStyle}>{money(line.actual)}</td>
+                      <td style={amountStyle(line.remaining)}>{money(line.remaining)}</td>
+                      {canEdit && (
+                        <td style={tdStyle}>
+                          <button
+                            type="button"
+                            style={secondaryButtonStyle}
+                            onClick={() => handleEditLine(line)}
+                          >
+                            Edit
+                          </button>
+                          <button
+                            type="button"
+                            style={{ ...secondaryButtonStyle, marginLeft: 6 }}
+                            onClick={() => handleDeleteLine(line)}
+                          >
+                            Delete
+                          </button>
+                        </td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+
+            {/* Actual costs (workers + suppliers) */}
+            <h2 style={sectionTitleStyle}>Actual Costs</h2>
+            {allCosts.length === 0 ? (
+              <p style={{ fontSize: 13 }}>No workers or suppliers with costs yet.</p>
+            ) : (
+              <table style={tableStyle}>
+                <thead>
+                  <tr>
+                    <th style={thStyle}>Type</th>
+                    <th style={thStyle}>Name</th>
+                    <th style={thStyle}>Amount</th>
+                    <th style={thStyle}>Budget Line</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {allCosts.map((cost) => (
+                    <tr key={`${cost.type}-${cost._id}`}>
+                      <td style={tdStyle}>{cost.type}</td>
+                      <td style={tdStyle}>{cost.name}</td>
+                      <td style={tdStyle}>{money(cost.amount)}</td>
+                      <td style={tdStyle}>
+                        {canLink(cost.type) ? (
+                          <select
+                            value={cost.budgetLine || ""}
+                            onChange={(e) => handleLinkCost(cost, e.target.value || null)}
+                            style={inputStyle}
+                          >
+                            <option value="">Unassigned</option>
+                            {lines.map((line) => (
+                              <option key={line._id} value={line._id}>
+                                {lineLabel(line)}
+                              </option>
+                            ))}
+                          </select>
+                        ) : (
+                          lineLabel(lines.find((l) => l._id === cost.budgetLine) || {
+                            category: "Unassigned",
+                          })
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
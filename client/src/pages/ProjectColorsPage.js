@@ -5,7 +5,13 @@ import { useParams, Link } from "react-router-dom";
 import {
   fetchProjectById,
   updateProjectColorSelections,
+  isVersionConflict,
 } from "../api";
+import ConflictNotice from "../components/ConflictNotice";
+import LiveUpdateNotice from "../components/LiveUpdateNotice";
+import ApprovalNotice from "../components/ApprovalNotice";
+import RoomSelect from "../components/RoomSelect";
+import { useProjectEvents } from "../utils/useProjectEvents";
 
 /**
  * ProjectColorsPage
@@ -13,8 +19,16 @@ import {
  * Per-project color & material configuration.
  * - Loads a specific project (by projectId from the URL).
  * - Manages a list of room/area selections (color + material per room).
+ * - A selection can be linked to one of the project's rooms (then the
+ *   room's name is used); free names still work for areas without a room.
  * - Allows adding, editing, deleting rooms locally.
  * - Saves the entire list to the project (MongoDB) by PUT /api/projects/:id.
+ * - If someone else saved the project meanwhile (409), the user can reload,
+ *   merge both lists (by room name, own edits win) or overwrite.
+ * - Live updates: when someone else saves the colors, the list refreshes by
+ *   itself unless there are unsaved local changes (then a notice is shown).
+ * - Once the client approved the selections they are locked: saving is
+ *   disabled until a designer reopens them (see ApprovalNotice).
  */
 
 export default function ProjectColorsPage() {
@@ -25,11 +39,15 @@ export default function ProjectColorsPage() {
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState("");
 
+  // 409 response body ({ project, version }) when someone else saved first
+  const [conflict, setConflict] = useState(null);
+
   // List of rooms/areas and their selections in this project
   const [selections, setSelections] = useState([]);
 
   // Local form state for adding/editing a single room
   const [roomName, setRoomName] = useState("");
+  const [roomId, setRoomId] = useState("");
   const [wallColor, setWallColor] = useState("#ffffff");
   const [furnitureColor, setFurnitureColor] = useState("#ffffff");
   const [floorColor, setFloorColor] = useState("#ffffff");
@@ -39,6 +57,12 @@ export default function ProjectColorsPage() {
   // Index of the currently edited item in `selections` (-1 means "add new")
   const [editingIndex, setEditingIndex] = useState(-1);
 
+  // Latest project saved by someone else while we had unsaved changes
+  const [liveUpdate, setLiveUpdate] = useState(null);
+
+  // Selections are approved by the client and locked
+  const [locked, setLocked] = useState(false);
+
   /* -------------------------------------------------
    * Load project + color selections
    * ------------------------------------------------- */
@@ -66,11 +90,57 @@ export default function ProjectColorsPage() {
     load();
   }, [projectId]);
 
+  /* -------------------------------------------------
+   * Live updates from other viewers of the project
+   * ------------------------------------------------- */
+  function hasUnsavedChanges() {
+    const fields = (list) =>
+      JSON.stringify(
+        (list || []).map((sel) => [
+          sel.roomName,
+          sel.roomId || "",
+          sel.wallColor,
+          sel.furnitureColor,
+          sel.floorColor,
+          sel.materialType,
+          sel.finishType,
+        ])
+      );
+    return (
+      fields(selections) !== fields(project?.colorSelections) ||
+      editingIndex >= 0 ||
+      roomName.trim() !== ""
+    );
+  }
+
+  useProjectEvents(projectId, ["colors"], async (event) => {
+    try {
+      const latest = await fetchProjectById(projectId);
+      if (hasUnsavedChanges()) {
+        setLiveUpdate({ project: latest, actorName: event.actorName });
+        return;
+      }
+      setProject(latest);
+      setSelections(Array.isArray(latest.colorSelections) ? latest.colorSelections : []);
+    } catch (err) {
+      console.error("Error refreshing project colors:", err);
+    }
+  });
+
+  function handleLiveReload() {
+    const latest = liveUpdate.project;
+    setProject(latest);
+    setSelections(Array.isArray(latest.colorSelections) ? latest.colorSelections : []);
+    setLiveUpdate(null);
+    resetForm();
+  }
+
   /* -------------------------------------------------
    * Helper: reset local form
    * ------------------------------------------------- */
   function resetForm() {
     setRoomName("");
+    setRoomId("");
     setWallColor("#ffffff");
     setFurnitureColor("#ffffff");
     setFloorColor("#ffffff");
@@ -90,6 +160,7 @@ export default function ProjectColorsPage() {
 
     const item = {
       roomName: roomName.trim(),
+      roomId: roomId || null,
       wallColor,
       furnitureColor,
       floorColor,
@@ -120,6 +191,7 @@ export default function ProjectColorsPage() {
     if (!sel) return;
 
     setRoomName(sel.roomName || "");
+    setRoomId(sel.roomId || "");
     setWallColor(sel.wallColor || "#ffffff");
     setFurnitureColor(sel.furnitureColor || "#ffffff");
     setFloorColor(sel.floorColor || "#ffffff");
@@ -138,14 +210,15 @@ export default function ProjectColorsPage() {
   /* -------------------------------------------------
    * Save all selections to the project (server)
    * ------------------------------------------------- */
-async function handleSaveAllToProject() {
+async function handleSaveAllToProject(list = selections, version = project?.__v) {
   if (!projectId) return;
 
   setSaving(true);
   setError("");
+  setConflict(null);
 
   try {
-    const result = await updateProjectColorSelections(projectId, selections);
+    const result = await updateProjectColorSelections(projectId, list, version);
 
     // כי השרת מחזיר { project: {...} }
     const updatedProject = result.project || result;
@@ -156,9 +229,15 @@ async function handleSaveAllToProject() {
         ? updatedProject.colorSelections
         : []
     );
+    setLiveUpdate(null);
 
     alert("Color & material selections saved to project!");
   } catch (err) {
+    if (isVersionConflict(err)) {
+      setConflict(err.data);
+      return;
+    }
+
     console.error("Error saving color selections:", err);
     setError(err.message || "Failed to save color selections");
   } finally {
@@ -167,6 +246,31 @@ async function handleSaveAllToProject() {
 }
 
 
+  /* -------------------------------------------------
+   * Conflict handling (someone else saved first)
+   * ------------------------------------------------- */
+  function handleConflictReload() {
+    const latest = conflict.project;
+    setProject(latest);
+    setSelections(Array.isArray(latest.colorSelections) ? latest.colorSelections : []);
+    setConflict(null);
+    resetForm();
+  }
+
+  // Their rooms + ours; for the same room name our version wins
+  function handleConflictMerge() {
+    const merged = [...(conflict.project.colorSelections || [])];
+
+    for (const mine of selections) {
+      const idx = merged.findIndex((sel) => sel.roomName === mine.roomName);
+      if (idx >= 0) merged[idx] = mine;
+      else merged.push(mine);
+    }
+
+    setSelections(merged);
+    handleSaveAllToProject(merged, conflict.version);
+  }
+
   /* -------------------------------------------------
    * Styles
    * ------------------------------------------------- */
@@ -317,6 +421,24 @@ async function handleSaveAllToProject() {
           </div>
         )}
 
+        <ApprovalNotice projectId={projectId} kind="colors" onLockChange={setLocked} />
+
+        {liveUpdate && !conflict && (
+          <LiveUpdateNotice
+            actorName={liveUpdate.actorName}
+            onReload={handleLiveReload}
+            onDismiss={() => setLiveUpdate(null)}
+          />
+        )}
+
+        {conflict && (
+          <ConflictNotice
+            onReload={handleConflictReload}
+            onMerge={handleConflictMerge}
+            onOverwrite={() => handleSaveAllToProject(selections, conflict.version)}
+          />
+        )}
+
         {loading ? (
           <p>Loading color selections...</p>
         ) : (
@@ -331,12 +453,23 @@ async function handleSaveAllToProject() {
                 <label style={labelStyle} htmlFor="roomName">
                   Room / Area name:
                 </label>
+                <RoomSelect
+                  rooms={project?.rooms}
+                  value={roomId}
+                  emptyLabel="Other area (type a name below)"
+                  onChange={(id, room) => {
+                    setRoomId(id);
+                    setRoomName(room ? room.name : "");
+                  }}
+                  style={{ ...inputStyle, marginBottom: 6 }}
+                />
                 <input
                   id="roomName"
                   type="text"
                   placeholder="e.g. Living room, Master bedroom"
                   style={inputStyle}
                   value={roomName}
+                  readOnly={Boolean(roomId)}
                   onChange={(e) => setRoomName(e.target.value)}
                 />
               </div>
@@ -553,8 +686,8 @@ async function handleSaveAllToProject() {
 
               <button
                 type="button"
-                onClick={handleSaveAllToProject}
-                disabled={saving}
+                onClick={() => handleSaveAllToProject()}
+                disabled={saving || locked}
                 style={{
                   marginTop: 14,
                   padding: "10px 16px",
@@ -567,6 +700,8 @@ async function handleSaveAllToProject() {
               >
                 {saving
                   ? "Saving selections..."
+                  : locked
+                  ? "Approved selections are locked"
                   : "Save all selections to project"}
               </button>
             </section>
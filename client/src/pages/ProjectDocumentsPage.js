@@ -0,0 +1,729 @@
+// client/src/pages/ProjectDocumentsPage.js
+
+import React, { useEffect, useState } from "react";
+import { Link, useParams, useSearchParams } from "react-router-dom";
+import {
+  fetchProjectById,
+  fetchProjectDocuments,
+  uploadDocument,
+  uploadDocumentVersion,
+  updateDocument,
+  deleteDocument,
+  downloadDocument,
+  createDocumentFolder,
+  renameDocumentFolder,
+  deleteDocumentFolder,
+} from "../api";
+import { useProjectEvents } from "../utils/useProjectEvents";
+
+/**
+ * ProjectDocumentsPage
+ *
+ * The document area of a project: contracts, floor plans, quotes, permits...
+ * - Files of any type are organized in folders (?folder=<path>).
+ * - Every document is either for the design team only or shared with the
+ *   client (and contractors); clients only see shared documents.
+ * - Uploading a file with the same name in the same folder (or "New version")
+ *   keeps the previous versions, which can still be downloaded.
+ * - Downloads go through the API (no public links).
+ * - Changes by others show up live.
+ */
+
+const EMPTY_UPLOAD = { file: null, visibility: "team", note: "" };
+
+function formatSize(bytes) {
+  if (!bytes && bytes !== 0) return "";
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${Math.round((bytes / (1024 * 1024)) * 10) / 10} MB`;
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString([], { dateStyle: "medium" }) : "";
+}
+
+// "Plans/Kitchen" -> "Plans" ("" for top level folders)
+function parentFolder(folder) {
+  return folder.includes("/") ? folder.slice(0, folder.lastIndexOf("/")) : "";
+}
+
+function folderName(folder) {
+  return folder.slice(folder.lastIndexOf("/") + 1);
+}
+
+function saveBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+export default function ProjectDocumentsPage() {
+  const { projectId } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const currentFolder = searchParams.get("folder") || "";
+
+  const [project, setProject] = useState(null);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const [upload, setUpload] = useState(EMPTY_UPLOAD);
+  const [fileInputKey, setFileInputKey] = useState(0);
+  const [newFolder, setNewFolder] = useState("");
+  const [renamingFolder, setRenamingFolder] = useState(null); // { from, to }
+  const [editing, setEditing] = useState(null); // { _id, name, folder, visibility }
+  const [openVersions, setOpenVersions] = useState(null); // document id
+
+  /* ---------- Load ---------- */
+
+  async function load() {
+    try {
+      const [proj, list] = await Promise.all([
+        fetchProjectById(projectId),
+        fetchProjectDocuments(projectId),
+      ]);
+      setProject(proj);
+      setData(list);
+    } catch (err) {
+      console.error("Failed to load documents:", err);
+      setError(err.message || "Failed to load documents");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [projectId]);
+
+  useProjectEvents(projectId, ["documents"], () => load());
+
+  function openFolder(folder) {
+    setSearchParams(folder ? { folder } : {});
+    setEditing(null);
+    setRenamingFolder(null);
+  }
+
+  async function run(action, failure) {
+    setError("");
+    setSaving(true);
+    try {
+      await action();
+      await load();
+      return true;
+    } catch (err) {
+      console.error(`${failure}:`, err);
+      setError(err.message || failure);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  /* ---------- Files ---------- */
+
+  function tooLarge(file) {
+    if (!data?.limits || file.size <= data.limits.maxFileSize) return false;
+    setError(`Files can be up to ${formatSize(data.limits.maxFileSize)}`);
+    return true;
+  }
+
+  async function handleUpload(e) {
+    e.preventDefault();
+    if (!upload.file || tooLarge(upload.file)) return;
+
+    const done = await run(
+      () => uploadDocument(projectId, { ...upload, folder: currentFolder }),
+      "Failed to upload document"
+    );
+    if (done) {
+      setUpload(EMPTY_UPLOAD);
+      setFileInputKey((key) => key + 1);
+    }
+  }
+
+  async function handleNewVersion(doc, file) {
+    if (!file || tooLarge(file)) return;
+    await run(
+      () => uploadDocumentVersion(projectId, doc._id, { file }),
+      "Failed to upload the new version"
+    );
+  }
+
+  async function handleDownload(doc, version) {
+    setError("");
+    try {
+      const blob = await downloadDocument(projectId, doc._id, version?.number);
+      saveBlob(blob, version?.originalName || doc.name);
+    } catch (err) {
+      console.error("Failed to download document:", err);
+      setError(err.message || "Failed to download document");
+    }
+  }
+
+  async function handleSaveEdit(e) {
+    e.preventDefault();
+    const { _id, ...updates } = editing;
+    const done = await run(
+      () => updateDocument(projectId, _id, updates),
+      "Failed to update document"
+    );
+    if (done) setEditing(null);
+  }
+
+  async function handleToggleVisibility(doc) {
+    const visibility = doc.visibility === "client" ? "team" : "client";
+    await run(
+      () => updateDocument(projectId, doc._id, { visibility }),
+      "Failed to change visibility"
+    );
+  }
+
+  async function handleDelete(doc) {
+    const versions = doc.versions.length;
+    if (
+      !window.confirm(
+        `Delete "${doc.name}"` +
+          (versions > 1 ? ` and all of its ${versions} versions?` : "?")
+      )
+    ) {
+      return;
+    }
+    await run(() => deleteDocument(projectId, doc._id), "Failed to delete document");
+  }
+
+  /* ---------- Folders ---------- */
+
+  async function handleCreateFolder(e) {
+    e.preventDefault();
+    const name = newFolder.trim();
+    if (!name) return;
+
+    const path = currentFolder ? `${currentFolder}/${name}` : name;
+    const done = await run(
+      () => createDocumentFolder(projectId, path),
+      "Failed to create folder"
+    );
+    if (done) setNewFolder("");
+  }
+
+  async function handleRenameFolder(e) {
+    e.preventDefault();
+    const { from, to } = renamingFolder;
+    const done = await run(
+      () => renameDocumentFolder(projectId, from, to),
+      "Failed to rename folder"
+    );
+    if (done) {
+      setRenamingFolder(null);
+      if (currentFolder === from) openFolder(to);
+    }
+  }
+
+  async function handleDeleteFolder(folder) {
+    if (!window.confirm(`Delete the empty folder "${folder}"?`)) return;
+    await run(() => deleteDocumentFolder(projectId, folder), "Failed to delete folder");
+  }
+
+  /* ---------- Styles (simple inline for now) ---------- */
+
+  const pageStyle = {
+    minHeight: "100vh",
+    padding: "40px 16px 60px",
+    display: "flex",
+    justifyContent: "center",
+  };
+
+  const cardStyle = {
+    background: "rgba(255, 255, 255, 0.95)",
+    borderRadius: 18,
+    padding: "24px 28px 30px",
+    boxShadow: "0 18px 45px rgba(0,0,0,0.18)",
+    border: "1px solid rgba(255,192,203,0.7)",
+    width: "100%",
+    maxWidth: 1000,
+  };
+
+  const titleStyle = { fontSize: 30, fontWeight: 700, marginBottom: 6 };
+  const subStyle = { fontSize: 14, color: "#555", marginBottom: 18 };
+  const sectionTitleStyle = { fontSize: 18, fontWeight: 600, margin: "0 0 10px" };
+  const smallLabelStyle = { fontSize: 12, color: "#777" };
+
+  const labelStyleBack = {
+    display: "inline-block",
+    marginBottom: 12,
+    color: "#ff6f91",
+    fontWeight: 600,
+    fontSize: 13,
+  };
+
+  const inputStyle = {
+    fontSize: 13,
+    padding: "4px 6px",
+    boxSizing: "border-box",
+  };
+
+  const primaryButtonStyle = {
+    padding: "6px 10px",
+    borderRadius: 10,
+    border: "none",
+    cursor: "pointer",
+    fontSize: 12,
+    fontWeight: 600,
+    background: "#ff9eb5",
+  };
+
+  const smallButtonStyle = {
+    padding: "3px 8px",
+    marginRight: 4,
+    borderRadius: 8,
+    border: "1px solid #ddd",
+    background: "#fff",
+    cursor: "pointer",
+    fontSize: 12,
+  };
+
+  const linkButtonStyle = {
+    padding: 0,
+    border: "none",
+    background: "none",
+    color: "#ff6f91",
+    cursor: "pointer",
+    fontSize: 13,
+    fontWeight: 600,
+  };
+
+  const tableStyle = {
+    width: "100%",
+    borderCollapse: "collapse",
+    fontSize: 13,
+    marginBottom: 20,
+  };
+
+  const thStyle = {
+    textAlign: "left",
+    padding: "6px 8px",
+    borderBottom: "1px solid #f2c4d0",
+  };
+
+  const tdStyle = {
+    padding: "6px 8px",
+    borderBottom: "1px solid #f7e0e7",
+    verticalAlign: "top",
+  };
+
+  const badgeStyle = (shared) => ({
+    display: "inline-block",
+    padding: "1px 6px",
+    borderRadius: 999,
+    fontSize: 11,
+    background: shared ? "#e8f5e9" : "#eee",
+    color: shared ? "#2e7d32" : "#555",
+  });
+
+  const canEdit = Boolean(data?.canEdit);
+  const folders = data?.folders || [];
+  const documents = (data?.documents || []).filter((doc) => doc.folder === currentFolder);
+  const subfolders = folders.filter((folder) => parentFolder(folder) === currentFolder);
+  const limits = data?.limits;
+
+  const breadcrumbs = currentFolder
+    ? currentFolder.split("/").map((name, index, parts) => ({
+        name,
+        path: parts.slice(0, index + 1).join("/"),
+      }))
+    : [];
+
+  function documentCount(folder) {
+    return (data?.documents || []).filter(
+      (doc) => doc.folder === folder || doc.folder.startsWith(`${folder}/`)
+    ).length;
+  }
+
+  return (
+    <div style={pageStyle}>
+      <div style={cardStyle}>
+        <Link to={`/project/${projectId}/menu`} style={labelStyleBack}>
+          ← Back to Project
+        </Link>
+
+        <h1 style={titleStyle}>Documents</h1>
+        <p style={subStyle}>
+          {project ? `${project.name} – ` : ""}
+          {canEdit
+            ? "contracts, plans, quotes and other files. Choose for every file whether the " +
+              "client sees it."
+            : "files your designer shared with you."}
+        </p>
+
+        {error && (
+          <div
+            style={{
+              marginBottom: 16,
+              padding: "8px 10px",
+              borderRadius: 10,
+              background: "#ffe5e5",
+              color: "#b00020",
+              fontSize: 13,
+            }}
+          >
+            {error}
+          </div>
+        )}
+
+        {loading ? (
+          <p>Loading documents...</p>
+        ) : (
+          <>
+            <div style={{ marginBottom: 12, fontSize: 13 }}>
+              <button type="button" style={linkButtonStyle} onClick={() => openFolder("")}>
+                All documents
+              </button>
+              {breadcrumbs.map((crumb) => (
+                <span key={crumb.path}>
+                  {" / "}
+                  <button
+                    type="button"
+                    style={linkButtonStyle}
+                    onClick={() => openFolder(crumb.path)}
+                  >
+                    {crumb.name}
+                  </button>
+                </span>
+              ))}
+            </div>
+
+            {subfolders.length > 0 && (
+              <div style={{ marginBottom: 16 }}>
+                {subfolders.map((folder) =>
+                  renamingFolder?.from === folder ? (
+                    <form
+                      key={folder}
+                      onSubmit={handleRenameFolder}
+                      style={{ marginBottom: 6, fontSize: 13 }}
+                    >
+                      📁{" "}
+                      <input
+                        value={renamingFolder.to}
+                        onChange={(e) =>
+                          setRenamingFolder({ ...renamingFolder, to: e.target.value })
+                        }
+                        style={{ ...inputStyle, width: 280 }}
+                        title="Use / to move it into another folder"
+                        required
+                      />{" "}
+                      <button type="submit" style={smallButtonStyle} disabled={saving}>
+                        Save
+                      </button>
+                      <button
+                        type="button"
+                        style={smallButtonStyle}
+                        onClick={() => setRenamingFolder(null)}
+                      >
+                        Cancel
+                      </button>
+                    </form>
+                  ) : (
+                    <div key={folder} style={{ marginBottom: 6, fontSize: 13 }}>
+                      📁{" "}
+                      <button
+                        type="button"
+                        style={linkButtonStyle}
+                        onClick={() => openFolder(folder)}
+                      >
+                        {folderName(folder)}
+                      </button>
+                      <span style={smallLabelStyle}> · {documentCount(folder)} files </span>
+                      {canEdit && (
+                        <>
+                          <button
+                            type="button"
+                            style={smallButtonStyle}
+                            onClick={() => setRenamingFolder({ from: folder, to: folder })}
+                          >
+                            Rename / move
+                          </button>
+                          {documentCount(folder) === 0 && (
+                            <button
+                              type="button"
+                              style={smallButtonStyle}
+                              onClick={() => handleDeleteFolder(folder)}
+                              disabled={saving}
+                            >
+                              Delete
+                            </button>
+                          )}
+                        </>
+                      )}
+                    </div>
+                  )
+                )}
+              </div>
+            )}
+
+            {documents.length === 0 ? (
+              <p style={smallLabelStyle}>
+                {canEdit ? "No files in this folder yet." : "Nothing was shared with you here."}
+              </p>
+            ) : (
+              <table style={tableStyle}>
+                <thead>
+                  <tr>
+                    <th style={thStyle}>Name</th>
+                    <th style={thStyle}>Version</th>
+                    <th style={thStyle}>Size</th>
+                    <th style={thStyle}>Updated</th>
+                    {canEdit && <th style={thStyle}>Visible to</th>}
+                    <th style={thStyle} />
+                  </tr>
+                </thead>
+                <tbody>
+                  {documents.map((doc) =>
+                    editing?._id === doc._id ? (
+                      <tr key={doc._id}>
+                        <td style={tdStyle} colSpan={6}>
+                          <form
+                            onSubmit={handleSaveEdit}
+                            style={{ display: "flex", gap: 6, flexWrap: "wrap" }}
+                          >
+                            <input
+                              value={editing.name}
+                              onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                              style={{ ...inputStyle, flex: "1 1 200px" }}
+                              required
+                            />
+                            <select
+                              value={editing.folder}
+                              onChange={(e) => setEditing({ ...editing, folder: e.target.value })}
+                              style={inputStyle}
+                            >
+                              <option value="">Top level</option>
+                              {folders.map((folder) => (
+                                <option key={folder} value={folder}>
+                                  {folder}
+                                </option>
+                              ))}
+                            </select>
+                            <select
+                              value={editing.visibility}
+                              onChange={(e) =>
+                                setEditing({ ...editing, visibility: e.target.value })
+                              }
+                              style={inputStyle}
+                            >
+                              <option value="team">Design team only</option>
+                              <option value="client">Shared with client</option>
+                            </select>
+                            <button type="submit" style={smallButtonStyle} disabled={saving}>
+                              Save
+                            </button>
+                            <button
+                              type="button"
+                              style={smallButtonStyle}
+                              onClick={() => setEditing(null)}
+                            >
+                              Cancel
+                            </button>
+                          </form>
+                        </td>
+                      </tr>
+                    ) : (
+                      <React.Fragment key={doc._id}>
+                        <tr>
+                          <td style={tdStyle}>
+                            <button
+                              type="button"
+                              style={linkButtonStyle}
+                              onClick={() => handleDownload(doc)}
+                            >
+                              {doc.name}
+                            </button>
+                          </td>
+                          <td style={tdStyle}>
+                            {doc.versions.length > 1 ? (
+                              <button
+                                type="button"
+                                style={linkButtonStyle}
+                                onClick={() =>
+                                  setOpenVersions(openVersions === doc._id ? null : doc._id)
+                                }
+                              >
+                                v{doc.currentVersion} ({doc.versions.length})
+                              </button>
+                            ) : (
+                              `v${doc.currentVersion}`
+                            )}
+                          </td>
+                          <td style={tdStyle}>{formatSize(doc.size)}</td>
+                          <td style={tdStyle}>
+                            {formatDate(doc.updatedAt)}
+                            {doc.versions[0]?.uploadedBy?.username && (
+                              <div style={smallLabelStyle}>
+                                by {doc.versions[0].uploadedBy.username}
+                              </div>
+                            )}
+                          </td>
+                          {canEdit && (
+                            <td style={tdStyle}>
+                              <button
+                                type="button"
+                                style={{ ...badgeStyle(doc.visibility === "client"), border: 0 }}
+                                onClick={() => handleToggleVisibility(doc)}
+                                disabled={saving}
+                                title="Click to change"
+                              >
+                                {doc.visibility === "client" ? "Client" : "Design team"}
+                              </button>
+                            </td>
+                          )}
+                          <td style={{ ...tdStyle, whiteSpace: "nowrap" }}>
+                            <button
+                              type="button"
+                              style={smallButtonStyle}
+                              onClick={() => handleDownload(doc)}
+                            >
+                              Download
+                            </button>
+                            {canEdit && (
+                              <>
+                                <label style={smallButtonStyle}>
+                                  New version
+                                  <input
+                                    type="file"
+                                    style={{ display: "none" }}
+                                    onChange={(e) => {
+                                      handleNewVersion(doc, e.target.files[0]);
+                                      e.target.value = "";
+                                    }}
+                                    disabled={saving}
+                                  />
+                                </label>
+                                <button
+                                  type="button"
+                                  style={smallButtonStyle}
+                                  onClick={() =>
+                                    setEditing({
+                                      _id: doc._id,
+                                      name: doc.name,
+                                      folder: doc.folder,
+                                      visibility: doc.visibility,
+                                    })
+                                  }
+                                >
+                                  Edit
+                                </button>
+                                <button
+                                  type="button"
+                                  style={smallButtonStyle}
+                                  onClick={() => handleDelete(doc)}
+                                  disabled={saving}
+                                >
+                                  Delete
+                                </button>
+                              </>
+                            )}
+                          </td>
+                        </tr>
+
+                        {openVersions === doc._id &&
+                          doc.versions.map((version) => (
+                            <tr key={version.number} style={{ background: "#fff8fa" }}>
+                              <td style={{ ...tdStyle, paddingLeft: 24 }}>
+                                <button
+                                  type="button"
+                                  style={linkButtonStyle}
+                                  onClick={() => handleDownload(doc, version)}
+                                >
+                                  {version.originalName || doc.name}
+                                </button>
+                                {version.note && (
+                                  <div style={smallLabelStyle}>{version.note}</div>
+                                )}
+                              </td>
+                              <td style={tdStyle}>v{version.number}</td>
+                              <td style={tdStyle}>{formatSize(version.size)}</td>
+                              <td style={tdStyle} colSpan={canEdit ? 3 : 2}>
+                                {formatDate(version.uploadedAt)}
+                                {version.uploadedBy?.username &&
+                                  ` by ${version.uploadedBy.username}`}
+                              </td>
+                            </tr>
+                          ))}
+                      </React.Fragment>
+                    )
+                  )}
+                </tbody>
+              </table>
+            )}
+
+            {canEdit && (
+              <section style={{ marginBottom: 20 }}>
+                <h2 style={sectionTitleStyle}>
+                  Upload to {currentFolder ? `"${currentFolder}"` : "the top level"}
+                </h2>
+
+                <form onSubmit={handleUpload}>
+                  <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 6 }}>
+                    <input
+                      key={fileInputKey}
+                      type="file"
+                      onChange={(e) => setUpload({ ...upload, file: e.target.files[0] || null })}
+                      style={inputStyle}
+                      required
+                    />
+                    <select
+                      value={upload.visibility}
+                      onChange={(e) => setUpload({ ...upload, visibility: e.target.value })}
+                      style={inputStyle}
+                    >
+                      <option value="team">Design team only</option>
+                      <option value="client">Shared with client</option>
+                    </select>
+                    <input
+                      placeholder="Note (optional, e.g. signed copy)"
+                      value={upload.note}
+                      onChange={(e) => setUpload({ ...upload, note: e.target.value })}
+                      style={{ ...inputStyle, flex: "1 1 200px" }}
+                    />
+                    <button type="submit" style={primaryButtonStyle} disabled={saving}>
+                      {saving ? "Saving..." : "Upload"}
+                    </button>
+                  </div>
+                  {limits && (
+                    <div style={smallLabelStyle}>
+                      Up to {formatSize(limits.maxFileSize)} per file ·{" "}
+                      {formatSize(limits.used)} of {formatSize(limits.quota)} used. A file with
+                      the same name as an existing one is added as its new version.
+                    </div>
+                  )}
+                </form>
+              </section>
+            )}
+
+            {canEdit && (
+              <section>
+                <h2 style={sectionTitleStyle}>New folder</h2>
+                <form onSubmit={handleCreateFolder} style={{ display: "flex", gap: 8 }}>
+                  <input
+                    placeholder={currentFolder ? `Inside "${currentFolder}"` : "e.g. Contracts"}
+                    value={newFolder}
+                    onChange={(e) => setNewFolder(e.target.value)}
+                    style={{ ...inputStyle, flex: "0 1 280px" }}
+                  />
+                  <button type="submit" style={primaryButtonStyle} disabled={saving}>
+                    Create folder
+                  </button>
+                </form>
+              </section>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,521 @@
+// client/src/pages/ProjectInvoicesPage.js
+
+import React, { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { fetchProjectInvoices, createInvoice, updateInvoice, deleteInvoice } from "../api";
+import { printInvoice } from "../utils/printInvoice";
+import { formatMoney } from "../utils/currency";
+
+/**
+ * ProjectInvoicesPage
+ *
+ * Invoices that bill the client for a project.
+ * - invoices:edit (lead designer / assistant) builds a draft from selected
+ *   workers / suppliers plus a designer fee and tax lines, then sends it
+ *   and marks it paid (draft -> sent -> paid)
+ * - Numbers, line amounts and totals come from the server (in the project
+ *   currency; worker / supplier costs are converted and billed before VAT)
+ * - Clients see sent / paid invoices only
+ * - Every invoice has a printable version (print / save as PDF)
+ */
+
+const STATUS_COLORS = {
+  draft: { background: "#f3f3f3", color: "#555" },
+  sent: { background: "#eef3ff", color: "#1a3e8a" },
+  paid: { background: "#e5ffe8", color: "#1b5e20" },
+};
+
+const EMPTY_FORM = {
+  workerIds: [],
+  supplierIds: [],
+  feeDescription: "Design fee",
+  feeAmount: "",
+  taxes: [{ label: "VAT", rate: "18" }],
+  dueDate: "",
+  notes: "",
+};
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleDateString() : "—";
+}
+
+export default function ProjectInvoicesPage() {
+  const { projectId } = useParams();
+
+  const [invoices, setInvoices] = useState([]);
+  const [sources, setSources] = useState({ workers: [], suppliers: [] });
+  const [canEdit, setCanEdit] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+
+  /* ---------- Load invoices ---------- */
+
+  async function loadInvoices() {
+    setError("");
+
+    try {
+      const data = await fetchProjectInvoices(projectId);
+      setInvoices(data.invoices || []);
+      setCanEdit(Boolean(data.canEdit));
+      setSources(data.sources || { workers: [], suppliers: [] });
+    } catch (err) {
+      console.error("Failed to load invoices:", err);
+      setError(err.message || "Failed to load invoices");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    loadInvoices();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [projectId]);
+
+  /* ---------- New invoice form ---------- */
+
+  function toggleSource(field, id) {
+    setForm((prev) => ({
+      ...prev,
+      [field]: prev[field].includes(id)
+        ? prev[field].filter((x) => x !== id)
+        : [...prev[field], id],
+    }));
+  }
+
+  function handleChange(e) {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  }
+
+  function handleTaxChange(index, field, value) {
+    setForm((prev) => ({
+      ...prev,
+      taxes: prev.taxes.map((tax, i) => (i === index ? { ...tax, [field]: value } : tax)),
+    }));
+  }
+
+  function addTaxLine() {
+    setForm((prev) => ({ ...prev, taxes: [...prev.taxes, { label: "", rate: "" }] }));
+  }
+
+  function removeTaxLine(index) {
+    setForm((prev) => ({ ...prev, taxes: prev.taxes.filter((_, i) => i !== index) }));
+  }
+
+  /**
+   * Invoice numbers that already bill a worker / supplier (hint only,
+   * billing the same cost twice is allowed, e.g. in parts).
+   */
+  function invoicedOn(sourceId) {
+    return invoices
+      .filter((inv) => inv.items.some((item) => item.sourceId === sourceId))
+      .map((inv) => inv.number || "draft");
+  }
+
+  async function handleCreate(e) {
+    e.preventDefault();
+    setSaving(true);
+    setError("");
+    setMessage("");
+
+    try {
+      await createInvoice(projectId, {
+        workerIds: form.workerIds,
+        supplierIds: form.supplierIds,
+        designerFee: { description: form.feeDescription, amount: Number(form.feeAmount) || 0 },
+        taxes: form.taxes
+          .filter((tax) => tax.rate !== "")
+          .map((tax) => ({ label: tax.label, rate: Number(tax.rate) })),
+        dueDate: form.dueDate || null,
+        notes: form.notes,
+      });
+      setForm(EMPTY_FORM);
+      setMessage("Draft created. It gets its invoice number when you send it.");
+      await loadInvoices();
+    } catch (err) {
+      console.error("Failed to create invoice:", err);
+      setError(err.message || "Failed to create invoice");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  /* ---------- Invoice actions ---------- */
+
+  async function handleStatus(invoice, status) {
+    setError("");
+    setMessage("");
+
+    try {
+      await updateInvoice(projectId, invoice._id, { status });
+      await loadInvoices();
+    } catch (err) {
+      console.error("Failed to update invoice:", err);
+      setError(err.message || "Failed to update invoice");
+    }
+  }
+
+  async function handleDelete(invoice) {
+    if (!window.confirm("Delete this draft invoice?")) return;
+    setError("");
+    setMessage("");
+
+    try {
+      await deleteInvoice(projectId, invoice._id);
+      await loadInvoices();
+    } catch (err) {
+      console.error("Failed to delete invoice:", err);
+      setError(err.message || "Failed to delete invoice");
+    }
+  }
+
+  async function handlePrint(invoice) {
+    setError("");
+    try {
+      await printInvoice(projectId, invoice._id);
+    } catch (err) {
+      console.error("Failed to print invoice:", err);
+      setError(err.message || "Failed to print invoice");
+    }
+  }
+
+  /* ---------- Styles (simple inline for now) ---------- */
+
+  const pageStyle = {
+    minHeight: "100vh",
+    padding: "40px 16px 60px",
+    display: "flex",
+    justifyContent: "center",
+  };
+
+  const cardStyle = {
+    background: "rgba(255, 255, 255, 0.95)",
+    borderRadius: 18,
+    padding: "24px 28px 30px",
+    boxShadow: "0 18px 45px rgba(0,0,0,0.18)",
+    border: "1px solid rgba(255,192,203,0.7)",
+    width: "100%",
+    maxWidth: 1100,
+  };
+
+  const titleStyle = { fontSize: 30, fontWeight: 700, marginBottom: 6 };
+  const subStyle = { fontSize: 14, color: "#555", marginBottom: 18 };
+  const sectionTitleStyle = { fontSize: 18, fontWeight: 600, margin: "22px 0 10px" };
+  const smallLabelStyle = { fontSize: 12, color: "#777" };
+
+  const labelStyleBack = {
+    display: "inline-block",
+    marginBottom: 12,
+    color: "#ff6f91",
+    fontWeight: 600,
+    fontSize: 13,
+  };
+
+  const inputStyle = {
+    fontSize: 13,
+    padding: "4px 6px",
+    boxSizing: "border-box",
+  };
+
+  const primaryButtonStyle = {
+    padding: "6px 10px",
+    borderRadius: 10,
+    border: "none",
+    cursor: "pointer",
+    fontSize: 12,
+    fontWeight: 600,
+    background: "#ff9eb5",
+  };
+
+  const secondaryButtonStyle = {
+    ...primaryButtonStyle,
+    background: "#eee",
+    marginRight: 6,
+  };
+
+  const tableStyle = { width: "100%", borderCollapse: "collapse", fontSize: 13 };
+
+  const thStyle = {
+    textAlign: "left",
+    padding: "8px 10px",
+    borderBottom: "2px solid #f0b6c4",
+    background: "rgba(255,240,244,0.8)",
+  };
+
+  const tdStyle = { padding: "7px 10px", borderBottom: "1px solid #f2f2f2" };
+
+  const badgeStyle = (status) => ({
+    ...STATUS_COLORS[status],
+    padding: "2px 8px",
+    borderRadius: 999,
+    fontSize: 11,
+    fontWeight: 600,
+  });
+
+  const sourceList = (field, items, amountOf) =>
+    items.length === 0 ? (
+      <p style={smallLabelStyle}>Nothing to bill yet.</p>
+    ) : (
+      items.map((item) => {
+        const billed = invoicedOn(item._id);
+        return (
+          <label key={item._id} style={{ display: "block", fontSize: 13, marginBottom: 4 }}>
+            <input
+              type="checkbox"
+              checked={form[field].includes(item._id)}
+              onChange={() => toggleSource(field, item._id)}
+            />{" "}
+            {item.name || "—"} ({formatMoney(amountOf(item), item.currency)})
+            {billed.length > 0 && <span style={smallLabelStyle}> · on {billed.join(", ")}</span>}
+          </label>
+        );
+      })
+    );
+
+  return (
+    <div style={pageStyle}>
+      <main style={cardStyle}>
+        <Link to={`/project/${projectId}/menu`} style={labelStyleBack}>
+          Back to Project
+        </Link>
+
+        <h1 style={titleStyle}>Invoices</h1>
+        <p style={subStyle}>
+          {canEdit
+            ? "Bill the client for workers, suppliers and your design fee."
+            : "Invoices your designer sent for this project."}
+        </p>
+
+        {error && (
+          <div
+            style={{
+              marginBottom: 14,
+              padding: "8px 10px",
+              borderRadius: 10,
+              background: "#ffe5e5",
+              color: "#b00020",
+              fontSize: 13,
+            }}
+          >
+            {error}
+          </div>
+        )}
+        {message && (
+          <div
+            style={{
+              marginBottom: 14,
+              padding: "8px 10px",
+              borderRadius: 10,
+              background: "#e5ffe8",
+              color: "#1b5e20",
+              fontSize: 13,
+            }}
+          >
+            {message}
+          </div>
+        )}
+
+        {loading ? (
+          <p>Loading invoices...</p>
+        ) : (
+          <>
+            {invoices.length === 0 ? (
+              <p style={{ fontSize: 13 }}>No invoices yet.</p>
+            ) : (
+              <table style={tableStyle}>
+                <thead>
+                  <tr>
+                    <th style={thStyle}>Number</th>
+                    <th style={thStyle}>Issued</th>
+                    <th style={thStyle}>Due</th>
+                    <th style={thStyle}>Status</th>
+                    <th style={thStyle}>Subtotal</th>
+                    <th style={thStyle}>Tax</th>
+                    <th style={thStyle}>Total</th>
+                    <th style={thStyle}>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {invoices.map((inv) => (
+                    <tr key={inv._id}>
+                      <td style={tdStyle}>
+                        <strong>{inv.number || "Draft"}</strong>
+                        <div style={smallLabelStyle}>
+                          {inv.items.map((item) => item.description).join(", ")}
+                        </div>
+                      </td>
+                      <td style={tdStyle}>
+                        {inv.status === "draft" ? "—" : formatDate(inv.issuedAt)}
+                      </td>
+                      <td style={tdStyle}>{formatDate(inv.dueDate)}</td>
+                      <td style={tdStyle}>
+                        <span style={badgeStyle(inv.status)}>{inv.status}</span>
+                      </td>
+                      <td style={tdStyle}>{formatMoney(inv.subtotal, inv.currency)}</td>
+                      <td style={tdStyle}>{formatMoney(inv.taxTotal, inv.currency)}</td>
+                      <td style={tdStyle}>
+                        <strong>{formatMoney(inv.total, inv.currency)}</strong>
+                      </td>
+                      <td style={tdStyle}>
+                        <button
+                          type="button"
+                          style={secondaryButtonStyle}
+                          onClick={() => handlePrint(inv)}
+                        >
+                          Print / PDF
+                        </button>
+                        {canEdit && inv.status === "draft" && (
+                          <>
+                            <button
+                              type="button"
+                              style={secondaryButtonStyle}
+                              onClick={() => handleStatus(inv, "sent")}
+                            >
+                              Send
+                            </button>
+                            <button
+                              type="button"
+                              style={secondaryButtonStyle}
+                              onClick={() => handleDelete(inv)}
+                            >
+                              Delete
+                            </button>
+                          </>
+                        )}
+                        {canEdit && inv.status === "sent" && (
+                          <button
+                            type="button"
+                            style={secondaryButtonStyle}
+                            onClick={() => handleStatus(inv, "paid")}
+                          >
+                            Mark Paid
+                          </button>
+                        )}
+                        {canEdit && inv.status === "paid" && (
+                          <button
+                            type="button"
+                            style={secondaryButtonStyle}
+                            onClick={() => handleStatus(inv, "sent")}
+                          >
+                            Undo Paid
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+
+            {canEdit && (
+              <>
+                <h2 style={sectionTitleStyle}>New Invoice</h2>
+                <form onSubmit={handleCreate}>
+                  <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 16 }}>
+                    <div>
+                      <div style={smallLabelStyle}>Workers</div>
+                      {sourceList("workerIds", sources.workers, (w) => w.cost)}
+                    </div>
+                    <div>
+                      <div style={smallLabelStyle}>Suppliers</div>
+                      {sourceList("supplierIds", sources.suppliers, (s) => s.price)}
+                    </div>
+                  </div>
+
+                  <div style={{ display: "flex", gap: 8, marginTop: 12, flexWrap: "wrap" }}>
+                    <input
+                      name="feeDescription"
+                      placeholder="Designer fee description"
+                      value={form.feeDescription}
+                      onChange={handleChange}
+                      style={{ ...inputStyle, flex: 1 }}
+                    />
+                    <input
+                      name="feeAmount"
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      placeholder="Fee"
+                      value={form.feeAmount}
+                      onChange={handleChange}
+                      style={{ ...inputStyle, width: 110 }}
+                    />
+                  </div>
+
+                  <div style={{ marginTop: 12 }}>
+                    <div style={smallLabelStyle}>Tax lines (% of the subtotal)</div>
+                    {form.taxes.map((tax, index) => (
+                      <div key={index} style={{ display: "flex", gap: 8, marginTop: 4 }}>
+                        <input
+                          placeholder="Label"
+                          value={tax.label}
+                          onChange={(e) => handleTaxChange(index, "label", e.target.value)}
+                          style={inputStyle}
+                        />
+                        <input
+                          type="number"
+                          min="0"
+                          max="100"
+                          step="0.01"
+                          placeholder="Rate %"
+                          value={tax.rate}
+                          onChange={(e) => handleTaxChange(index, "rate", e.target.value)}
+                          style={{ ...inputStyle, width: 90 }}
+                        />
+                        <button
+                          type="button"
+                          style={secondaryButtonStyle}
+                          onClick={() => removeTaxLine(index)}
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    ))}
+                    <button
+                      type="button"
+                      style={{ ...secondaryButtonStyle, marginTop: 6 }}
+                      onClick={addTaxLine}
+                    >
+                      Add Tax Line
+                    </button>
+                  </div>
+
+                  <div style={{ display: "flex", gap: 8, marginTop: 12, flexWrap: "wrap" }}>
+                    <label style={smallLabelStyle}>
+                      Due date{" "}
+                      <input
+                        name="dueDate"
+                        type="date"
+                        value={form.dueDate}
+                        onChange={handleChange}
+                        style={inputStyle}
+                      />
+                    </label>
+                    <input
+                      name="notes"
+                      placeholder="Notes (payment details, terms...)"
+                      value={form.notes}
+                      onChange={handleChange}
+                      style={{ ...inputStyle, flex: 1 }}
+                    />
+                  </div>
+
+                  <button
+                    type="submit"
+                    style={{ ...primaryButtonStyle, marginTop: 14 }}
+                    disabled={saving}
+                  >
+                    {saving ? "Creating..." : "Create Draft"}
+                  </button>
+                </form>
+              </>
+            )}
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
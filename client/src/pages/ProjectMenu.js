@@ -3,6 +3,7 @@
 import React, { useEffect, useState } from "react";
 import { useParams, Link } from "react-router-dom";
 import { fetchProjectById } from "../api";
+import { formatMoney } from "../utils/currency";
 
 /**
  * ProjectMenu
@@ -11,11 +12,24 @@ import { fetchProjectById } from "../api";
  * - Loads the project by id from the URL.
  * - Shows a short summary (name, client, dates, budget).
  * - Provides navigation to sub-pages:
+ *   - Rooms (and everything linked to each room)
  *   - Workers management
  *   - Suppliers management
  *   - Project plan
+ *   - Messages (designer <-> client threads)
+ *   - Approvals (client sign-off on colors, plan, quotes)
  *   - Client questionnaire
  *   - Color & material selection
+ *   - Mood boards (inspiration per room, shared with the client)
+ *   - Documents (contracts, plans, quotes - with versions)
+ *   - Budget (lines per category, planned vs. actual)
+ *   - Invoices (billing the client)
+ *   - Project team (per-project roles)
+ *   - Activity (audit trail of all changes)
+ *
+ * Links and the budget are shown according to the user's project role
+ * (project.myPermissions from the backend), e.g. contractors only see
+ * rooms + workers + suppliers and never the budget.
  */
 
 export default function ProjectMenu() {
@@ -29,6 +43,9 @@ export default function ProjectMenu() {
   const role = localStorage.getItem("role") || "client";
   const backHref = role === "designer" ? "/designer" : "/client";
 
+  // Project-role permissions (sent by the backend with the project)
+  const can = (permission) => (project?.myPermissions || []).includes(permission);
+
   /* -------------------------------------------------
    * Load project details
    * ------------------------------------------------- */
@@ -160,7 +177,7 @@ export default function ProjectMenu() {
     <div style={pageStyle}>
       <div style={cardStyle}>
       <div style={{display:"flex",justifyContent:"flex-end"}}>
-        <Link to={`/designer`} style={labelStyleBack}>Back to Dashbord</Link>
+        <Link to={backHref} style={labelStyleBack}>Back to Dashbord</Link>
       </div>
         <h1 style={titleStyle}>Project Menu</h1>
         <p style={subStyle}>
@@ -204,47 +221,159 @@ export default function ProjectMenu() {
                   {project.endDate?.slice(0, 10)}
                 </span>
               </div>
+              {can("budget:view") && (
+                <div style={summaryItemStyle}>
+                  <span style={labelStyle}>Budget</span>
+                  <span style={valueStyle}>
+                    {project.budget != null ? formatMoney(project.budget, project.currency) : "-"}
+                  </span>
+                </div>
+              )}
               <div style={summaryItemStyle}>
-                <span style={labelStyle}>Budget</span>
+                <span style={labelStyle}>Your Role</span>
                 <span style={valueStyle}>
-                  {project.budget != null ? `${project.budget} ₪` : "-"}
+                  {(project.myRole || "").replace(/_/g, " ")}
                 </span>
               </div>
             </div>
 
             {/* Navigation buttons to sub-pages */}
             <div style={menuContainerStyle}>
-              <Link
-                to={`/project/${projectId}/workers`}
-                style={menuButtonStyle}
-              >
-                Manage / View Workers
-              </Link>
+              {can("rooms:view") && (
+                <Link to={`/project/${projectId}/rooms`} style={menuButtonStyle}>
+                  Rooms
+                </Link>
+              )}
 
-              <Link
-                to={`/project/${projectId}/suppliers`}
-                style={menuButtonStyle}
-              >
-                Manage / View Suppliers
-              </Link>
+              {can("workers:view") && (
+                <Link
+                  to={`/project/${projectId}/workers`}
+                  style={menuButtonStyle}
+                >
+                  Manage / View Workers
+                </Link>
+              )}
 
-              <Link to={`/project/${projectId}/plan`} style={menuButtonStyle}>
-                Project Plan
-              </Link>
+              {can("suppliers:view") && (
+                <Link
+                  to={`/project/${projectId}/suppliers`}
+                  style={menuButtonStyle}
+                >
+                  Manage / View Suppliers
+                </Link>
+              )}
 
-              <Link
-                to={`/project/${projectId}/questionnaire`}
-                style={menuButtonStyle}
-              >
-                Client Questionnaire
-              </Link>
+              {can("plan:view") && (
+                <Link to={`/project/${projectId}/plan`} style={menuButtonStyle}>
+                  Project Plan
+                </Link>
+              )}
+
+              {can("timeline:view") && (
+                <Link
+                  to={`/project/${projectId}/timeline`}
+                  style={menuButtonStyle}
+                >
+                  Timeline
+                </Link>
+              )}
+
+              {can("board:view") && (
+                <Link
+                  to={`/project/${projectId}/board`}
+                  style={menuButtonStyle}
+                >
+                  Task Board
+                </Link>
+              )}
+
+              {can("appointments:view") && (
+                <Link
+                  to={`/project/${projectId}/appointments`}
+                  style={menuButtonStyle}
+                >
+                  Appointments
+                </Link>
+              )}
 
-              <Link
-                to={`/project/${projectId}/colors`}
-                style={menuButtonStyle}
-              >
-                Color &amp; Material Selection
+              {can("messages:view") && (
+                <Link
+                  to={`/project/${projectId}/messages`}
+                  style={menuButtonStyle}
+                >
+                  Messages
+                </Link>
+              )}
+
+              {can("decisions:view") && (
+                <Link
+                  to={`/project/${projectId}/approvals`}
+                  style={menuButtonStyle}
+                >
+                  Approvals
+                </Link>
+              )}
+
+              {can("questionnaires:view") && (
+                <Link
+                  to={`/project/${projectId}/questionnaire`}
+                  style={menuButtonStyle}
+                >
+                  Client Questionnaire
+                </Link>
+              )}
+
+              {can("colors:view") && (
+                <Link
+                  to={`/project/${projectId}/colors`}
+                  style={menuButtonStyle}
+                >
+                  Color &amp; Material Selection
+                </Link>
+              )}
+
+              {can("moodboards:view") && (
+                <Link to={`/project/${projectId}/moodboards`} style={menuButtonStyle}>
+                  Mood Boards
+                </Link>
+              )}
+
+              {can("documents:view") && (
+                <Link to={`/project/${projectId}/documents`} style={menuButtonStyle}>
+                  Documents
+                </Link>
+              )}
+
+              {can("budget:view") && (
+                <Link
+                  to={`/project/${projectId}/budget`}
+                  style={menuButtonStyle}
+                >
+                  Budget
+                </Link>
+              )}
+
+              {can("invoices:view") && (
+                <Link
+                  to={`/project/${projectId}/invoices`}
+                  style={menuButtonStyle}
+                >
+                  Invoices
+                </Link>
+              )}
+
+              <Link to={`/project/${projectId}/team`} style={menuButtonStyle}>
+                Project Team
               </Link>
+
+              {can("activity:view") && (
+                <Link
+                  to={`/project/${projectId}/activity`}
+                  style={menuButtonStyle}
+                >
+                  Activity
+                </Link>
+              )}
             </div>
           </>
         )}
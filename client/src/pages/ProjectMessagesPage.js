@@ -0,0 +1,625 @@
+// client/src/pages/ProjectMessagesPage.js
+
+import React, { useEffect, useState } from "react";
+import { Link, useParams, useSearchParams } from "react-router-dom";
+import {
+  fetchProjectById,
+  fetchMessageThreads,
+  fetchMessageThread,
+  createMessageThread,
+  sendMessage,
+  markThreadRead,
+  uploadImage,
+} from "../api";
+import { useProjectEvents } from "../utils/useProjectEvents";
+
+/**
+ * ProjectMessagesPage
+ *
+ * Conversations between the design team and the client of a project.
+ * - A thread can be about the whole project, a room, a questionnaire
+ *   question or the color selection of a room.
+ * - Messages have text and/or images (uploaded through /upload-image).
+ * - Opening a thread marks it read; "Seen by ..." under my latest message
+ *   shows who has read it since.
+ * - New messages and read receipts show up live; ?thread=<id> opens a
+ *   thread directly (links from notifications).
+ */
+
+const EMPTY_MESSAGE = { text: "", attachments: [] };
+
+const ANCHOR_KIND_LABELS = {
+  project: "General",
+  room: "Room",
+  question: "Question",
+  option: "Option",
+  color: "Colors",
+};
+
+// Thread anchor <-> value of the topic <select>
+function anchorValue(anchor) {
+  if (anchor.kind === "question") return `question:${anchor.questionnaire}:${anchor.question}`;
+  if (anchor.kind === "room" || anchor.kind === "color") return `${anchor.kind}:${anchor.roomName}`;
+  return "project";
+}
+
+function parseAnchorValue(value) {
+  const [kind, ...rest] = value.split(":");
+  if (kind === "question") return { kind, questionnaire: rest[0], question: rest[1] };
+  if (kind === "room" || kind === "color") return { kind, roomName: rest.join(":") };
+  return { kind: "project" };
+}
+
+function formatDateTime(value) {
+  return new Date(value).toLocaleString([], {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+}
+
+export default function ProjectMessagesPage() {
+  const { projectId } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const selectedId = searchParams.get("thread");
+
+  const [project, setProject] = useState(null);
+  const [data, setData] = useState(null);
+  const [thread, setThread] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  // Reply in the open thread / first message of a new thread
+  const [reply, setReply] = useState(EMPTY_MESSAGE);
+  const [newThread, setNewThread] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  const [sending, setSending] = useState(false);
+
+  const canSend = Boolean(data?.canSend);
+
+  /* ---------- Load project + threads ---------- */
+
+  async function loadThreads() {
+    try {
+      const [proj, list] = await Promise.all([
+        fetchProjectById(projectId),
+        fetchMessageThreads(projectId),
+      ]);
+      setProject(proj);
+      setData(list);
+    } catch (err) {
+      console.error("Failed to load messages:", err);
+      setError(err.message || "Failed to load messages");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // Load the open thread and mark it read
+  async function loadThread(threadId) {
+    try {
+      setThread(await fetchMessageThread(projectId, threadId));
+      await markThreadRead(projectId, threadId);
+      setData((prev) =>
+        prev
+          ? {
+              ...prev,
+              unreadCount:
+                prev.unreadCount -
+                (prev.threads.find((t) => t._id === threadId)?.unreadCount || 0),
+              threads: prev.threads.map((t) =>
+                t._id === threadId ? { ...t, unreadCount: 0 } : t
+              ),
+            }
+          : prev
+      );
+    } catch (err) {
+      console.error("Failed to load thread:", err);
+      setThread(null);
+      setError(err.message || "Failed to load thread");
+    }
+  }
+
+  useEffect(() => {
+    loadThreads();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [projectId]);
+
+  useEffect(() => {
+    setReply(EMPTY_MESSAGE);
+    if (selectedId) loadThread(selectedId);
+    else setThread(null);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [projectId, selectedId]);
+
+  // Someone else wrote (or read) a message: refresh the list + open thread
+  useProjectEvents(projectId, ["messages"], (event) => {
+    if (event.action !== "message.read") loadThreads();
+    if (selectedId && (event.resync || String(event.entityId) === selectedId)) {
+      loadThread(selectedId);
+    }
+  });
+
+  /* ---------- Threads ---------- */
+
+  function openThread(threadId) {
+    setError("");
+    setNewThread(null);
+    setSearchParams({ thread: threadId });
+  }
+
+  function startNewThread() {
+    setError("");
+    setSearchParams({});
+    setNewThread({ subject: "", anchor: "project", ...EMPTY_MESSAGE });
+  }
+
+  async function handleCreateThread(e) {
+    e.preventDefault();
+    setError("");
+    setSending(true);
+
+    try {
+      const created = await createMessageThread(projectId, {
+        subject: newThread.subject,
+        anchor: parseAnchorValue(newThread.anchor),
+        text: newThread.text,
+        attachments: newThread.attachments,
+      });
+      setNewThread(null);
+      await loadThreads();
+      setSearchParams({ thread: created._id });
+    } catch (err) {
+      console.error("Failed to start thread:", err);
+      setError(err.message || "Failed to start thread");
+    } finally {
+      setSending(false);
+    }
+  }
+
+  async function handleSendReply(e) {
+    e.preventDefault();
+    setError("");
+    setSending(true);
+
+    try {
+      setThread(await sendMessage(projectId, thread._id, reply));
+      setReply(EMPTY_MESSAGE);
+      await loadThreads();
+    } catch (err) {
+      console.error("Failed to send message:", err);
+      setError(err.message || "Failed to send message");
+    } finally {
+      setSending(false);
+    }
+  }
+
+  /* ---------- Image attachments ---------- */
+
+  // setMessage: setReply or (for a new thread) a setter on newThread
+  async function handleAttach(e, setMessage) {
+    const files = Array.from(e.target.files || []);
+    e.target.value = "";
+    if (files.length === 0) return;
+
+    setError("");
+    setUploading(true);
+
+    try {
+      for (const file of files) {
+        const formData = new FormData();
+        formData.append("image", file);
+
+        const { imageUrl } = await uploadImage(formData);
+        setMessage((prev) => ({
+          ...prev,
+          attachments: [...prev.attachments, { url: imageUrl, name: file.name }],
+        }));
+      }
+    } catch (err) {
+      console.error("Image upload failed:", err);
+      setError(err.message || "Failed to upload image");
+    } finally {
+      setUploading(false);
+    }
+  }
+
+  function removeAttachment(setMessage, index) {
+    setMessage((prev) => ({
+      ...prev,
+      attachments: prev.attachments.filter((_, i) => i !== index),
+    }));
+  }
+
+  /* ---------- Styles (simple inline for now) ---------- */
+
+  const pageStyle = {
+    minHeight: "100vh",
+    padding: "40px 16px 60px",
+    display: "flex",
+    justifyContent: "center",
+  };
+
+  const cardStyle = {
+    background: "rgba(255, 255, 255, 0.95)",
+    borderRadius: 18,
+    padding: "24px 28px 30px",
+    boxShadow: "0 18px 45px rgba(0,0,0,0.18)",
+    border: "1px solid rgba(255,192,203,0.7)",
+    width: "100%",
+    maxWidth: 1000,
+  };
+
+  const titleStyle = { fontSize: 30, fontWeight: 700, marginBottom: 6 };
+  const subStyle = { fontSize: 14, color: "#555", marginBottom: 18 };
+  const sectionTitleStyle = { fontSize: 18, fontWeight: 600, margin: "0 0 10px" };
+  const smallLabelStyle = { fontSize: 12, color: "#777" };
+
+  const labelStyleBack = {
+    display: "inline-block",
+    marginBottom: 12,
+    color: "#ff6f91",
+    fontWeight: 600,
+    fontSize: 13,
+  };
+
+  const inputStyle = {
+    fontSize: 13,
+    padding: "4px 6px",
+    boxSizing: "border-box",
+  };
+
+  const primaryButtonStyle = {
+    padding: "6px 10px",
+    borderRadius: 10,
+    border: "none",
+    cursor: "pointer",
+    fontSize: 12,
+    fontWeight: 600,
+    background: "#ff9eb5",
+  };
+
+  const secondaryButtonStyle = {
+    ...primaryButtonStyle,
+    background: "#eee",
+  };
+
+  const threadItemStyle = (t) => ({
+    display: "block",
+    width: "100%",
+    textAlign: "left",
+    padding: "8px 10px",
+    marginBottom: 4,
+    borderRadius: 10,
+    border: "1px solid #f2f2f2",
+    cursor: "pointer",
+    fontSize: 13,
+    background: t._id === selectedId ? "rgba(255,145,175,0.18)" : "#fff",
+    fontWeight: t.unreadCount > 0 ? 600 : 400,
+  });
+
+  const chipStyle = {
+    display: "inline-block",
+    marginRight: 6,
+    padding: "1px 6px",
+    borderRadius: 999,
+    background: "rgba(255,240,244,0.9)",
+    border: "1px solid #f0b6c4",
+    fontSize: 11,
+    fontWeight: 400,
+  };
+
+  const badgeStyle = {
+    float: "right",
+    minWidth: 18,
+    padding: "1px 6px",
+    borderRadius: 999,
+    background: "#d81b60",
+    color: "#fff",
+    fontSize: 11,
+    textAlign: "center",
+  };
+
+  const bubbleStyle = (message) => ({
+    maxWidth: "80%",
+    marginLeft: message.mine ? "auto" : 0,
+    marginBottom: 10,
+    padding: "8px 12px",
+    borderRadius: 12,
+    background: message.mine ? "rgba(255,158,181,0.25)" : "#f5f5f5",
+    fontSize: 13,
+  });
+
+  const thumbStyle = {
+    width: 120,
+    height: 90,
+    objectFit: "cover",
+    borderRadius: 8,
+    border: "1px solid #eee",
+    marginRight: 6,
+    marginTop: 6,
+  };
+
+  /* ---------- Shared bits ---------- */
+
+  function anchorChip(anchor) {
+    if (!anchor || anchor.kind === "project") return null;
+    return (
+      <span style={chipStyle}>
+        {ANCHOR_KIND_LABELS[anchor.kind]}: {anchor.label}
+      </span>
+    );
+  }
+
+  // Text + images fields of a message being written
+  function composer(message, setMessage) {
+    return (
+      <>
+        <textarea
+          placeholder="Write a message..."
+          value={message.text}
+          onChange={(e) => {
+            const { value } = e.target;
+            setMessage((prev) => ({ ...prev, text: value }));
+          }}
+          rows={3}
+          style={{ ...inputStyle, width: "100%", marginBottom: 6 }}
+        />
+
+        {message.attachments.length > 0 && (
+          <div style={{ marginBottom: 6 }}>
+            {message.attachments.map((a, index) => (
+              <span key={a.url} style={{ display: "inline-block", position: "relative" }}>
+                <img src={a.url} alt={a.name || "Attachment"} style={thumbStyle} />
+                <button
+                  type="button"
+                  title="Remove image"
+                  onClick={() => removeAttachment(setMessage, index)}
+                  style={{
+                    position: "absolute",
+                    top: 8,
+                    right: 8,
+                    border: "none",
+                    borderRadius: 999,
+                    background: "rgba(0,0,0,0.55)",
+                    color: "#fff",
+                    cursor: "pointer",
+                    fontSize: 11,
+                  }}
+                >
+                  ×
+                </button>
+              </span>
+            ))}
+          </div>
+        )}
+
+        <label style={{ ...smallLabelStyle, marginRight: 10 }}>
+          {uploading ? "Uploading..." : "Add images "}
+          <input
+            type="file"
+            accept="image/*"
+            multiple
+            disabled={uploading}
+            onChange={(e) => handleAttach(e, setMessage)}
+          />
+        </label>
+      </>
+    );
+  }
+
+  // Uploads can finish after the new thread form was closed
+  const setNewThreadMessage = (update) => setNewThread((prev) => prev && update(prev));
+
+  const threads = data?.threads || [];
+  const anchors = data?.anchors || { rooms: [], questions: [], colors: [] };
+
+  // "Seen by" goes under my latest message only
+  const messages = thread?.messages || [];
+  const lastMineIndex = messages.map((m) => m.mine).lastIndexOf(true);
+
+  return (
+    <div style={pageStyle}>
+      <main style={cardStyle}>
+        <Link to={`/project/${projectId}/menu`} style={labelStyleBack}>
+          Back to Project
+        </Link>
+
+        <h1 style={titleStyle}>Messages</h1>
+        <p style={subStyle}>
+          {project?.name ? `${project.name} – ` : ""}conversations between the design team and
+          the client.
+        </p>
+
+        {error && (
+          <div
+            style={{
+              marginBottom: 14,
+              padding: "8px 10px",
+              borderRadius: 10,
+              background: "#ffe5e5",
+              color: "#b00020",
+              fontSize: 13,
+            }}
+          >
+            {error}
+          </div>
+        )}
+
+        {loading || !data ? (
+          <p>{loading ? "Loading messages..." : "Messages not available."}</p>
+        ) : (
+          <div style={{ display: "flex", gap: 20, flexWrap: "wrap", alignItems: "flex-start" }}>
+            {/* Thread list */}
+            <div style={{ flex: "1 1 260px", maxWidth: 320 }}>
+              {canSend && (
+                <button
+                  type="button"
+                  style={{ ...primaryButtonStyle, marginBottom: 10 }}
+                  onClick={startNewThread}
+                >
+                  New Thread
+                </button>
+              )}
+
+              {threads.length === 0 && <p style={{ fontSize: 13 }}>No conversations yet.</p>}
+
+              {threads.map((t) => (
+                <button
+                  key={t._id}
+                  type="button"
+                  style={threadItemStyle(t)}
+                  onClick={() => openThread(t._id)}
+                >
+                  {t.unreadCount > 0 && <span style={badgeStyle}>{t.unreadCount}</span>}
+                  {t.subject}
+                  <div style={{ marginTop: 2 }}>{anchorChip(t.anchor)}</div>
+                  {t.lastMessage && (
+                    <div style={{ ...smallLabelStyle, fontWeight: 400, marginTop: 2 }}>
+                      {t.lastMessage.authorName || "Someone"}:{" "}
+                      {t.lastMessage.text
+                        ? t.lastMessage.text.slice(0, 80)
+                        : `${t.lastMessage.attachmentCount} image(s)`}
+                      <div>{formatDateTime(t.lastMessageAt)}</div>
+                    </div>
+                  )}
+                </button>
+              ))}
+            </div>
+
+            {/* Conversation / new thread */}
+            <div style={{ flex: "2 1 400px" }}>
+              {newThread ? (
+                <form onSubmit={handleCreateThread}>
+                  <h2 style={sectionTitleStyle}>New Thread</h2>
+                  <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 8 }}>
+                    <select
+                      value={newThread.anchor}
+                      onChange={(e) => {
+                        const { value } = e.target;
+                        setNewThread((prev) => ({ ...prev, anchor: value }));
+                      }}
+                      style={inputStyle}
+                    >
+                      <option value="project">General (whole project)</option>
+                      {anchors.rooms.length > 0 && (
+                        <optgroup label="Rooms">
+                          {anchors.rooms.map((room) => (
+                            <option
+                              key={room}
+                              value={anchorValue({ kind: "room", roomName: room })}
+                            >
+                              {room}
+                            </option>
+                          ))}
+                        </optgroup>
+                      )}
+                      {anchors.colors.length > 0 && (
+                        <optgroup label="Color selections">
+                          {anchors.colors.map((room) => (
+                            <option
+                              key={room}
+                              value={anchorValue({ kind: "color", roomName: room })}
+                            >
+                              Colors – {room}
+                            </option>
+                          ))}
+                        </optgroup>
+                      )}
+                      {anchors.questions.length > 0 && (
+                        <optgroup label="Questionnaire questions">
+                          {anchors.questions.map((q) => {
+                            const value = anchorValue({ kind: "question", ...q });
+                            return (
+                              <option key={value} value={value}>
+                                {q.label}
+                              </option>
+                            );
+                          })}
+                        </optgroup>
+                      )}
+                    </select>
+                    <input
+                      placeholder="Subject (defaults to the topic)"
+                      value={newThread.subject}
+                      onChange={(e) => {
+                        const { value } = e.target;
+                        setNewThread((prev) => ({ ...prev, subject: value }));
+                      }}
+                      style={{ ...inputStyle, flex: 1, minWidth: 160 }}
+                    />
+                  </div>
+
+                  {composer(newThread, setNewThreadMessage)}
+
+                  <div style={{ marginTop: 8 }}>
+                    <button
+                      type="submit"
+                      style={primaryButtonStyle}
+                      disabled={sending || uploading}
+                    >
+                      {sending ? "Sending..." : "Start Thread"}
+                    </button>
+                    <button
+                      type="button"
+                      style={{ ...secondaryButtonStyle, marginLeft: 6 }}
+                      onClick={() => setNewThread(null)}
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </form>
+              ) : !thread ? (
+                <p style={{ fontSize: 13, color: "#777" }}>
+                  {selectedId && !error ? "Loading thread..." : "Select a conversation."}
+                </p>
+              ) : (
+                <>
+                  <h2 style={sectionTitleStyle}>{thread.subject}</h2>
+                  <div style={{ marginBottom: 12 }}>{anchorChip(thread.anchor)}</div>
+
+                  {messages.map((m, index) => {
+                    const seenBy = m.readBy
+                      .filter((r) => String(r.user) !== String(m.author))
+                      .map((r) => r.username);
+                    return (
+                      <div key={m._id} style={bubbleStyle(m)}>
+                        <div style={smallLabelStyle}>
+                          {m.mine ? "You" : m.authorName || "Someone"} ·{" "}
+                          {formatDateTime(m.createdAt)}
+                        </div>
+                        {m.text && <div style={{ whiteSpace: "pre-wrap" }}>{m.text}</div>}
+                        {m.attachments.map((a) => (
+                          <a key={a.url} href={a.url} target="_blank" rel="noreferrer">
+                            <img src={a.url} alt={a.name || "Attachment"} style={thumbStyle} />
+                          </a>
+                        ))}
+                        {index === lastMineIndex && (
+                          <div style={{ ...smallLabelStyle, textAlign: "right", marginTop: 4 }}>
+                            {seenBy.length > 0 ? `Seen by ${seenBy.join(", ")}` : "Not seen yet"}
+                          </div>
+                        )}
+                      </div>
+                    );
+                  })}
+
+                  {canSend && (
+                    <form onSubmit={handleSendReply} style={{ marginTop: 12 }}>
+                      {composer(reply, setReply)}
+                      <button
+                        type="submit"
+                        style={primaryButtonStyle}
+                        disabled={sending || uploading}
+                      >
+                        {sending ? "Sending..." : "Send"}
+                      </button>
+                    </form>
+                  )}
+                </>
+              )}
+            </div>
+          </div>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,311 @@
+// client/src/pages/ProjectMoodBoardsPage.js
+
+import React, { useEffect, useState } from "react";
+import { Link, useParams, useSearchParams } from "react-router-dom";
+import { fetchProjectById, fetchMoodBoards, createMoodBoard } from "../api";
+import RoomSelect from "../components/RoomSelect";
+import { useProjectEvents } from "../utils/useProjectEvents";
+
+/**
+ * ProjectMoodBoardsPage
+ *
+ * The mood boards of a project: collections of inspiration images, color
+ * swatches and notes, for the whole project or for one room.
+ * - Designers create boards and decide which ones the client sees (shared).
+ * - Clients see the shared boards read-only and like / dislike items.
+ * - ?room=<roomId> shows the boards of one room.
+ * - Changes by others show up live.
+ */
+
+const EMPTY_BOARD = { title: "", description: "", roomId: "", shared: false };
+
+export default function ProjectMoodBoardsPage() {
+  const { projectId } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const roomFilter = searchParams.get("room") || "";
+
+  const [project, setProject] = useState(null);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const [form, setForm] = useState(() => ({ ...EMPTY_BOARD, roomId: roomFilter }));
+
+  /* ---------- Load ---------- */
+
+  async function load() {
+    try {
+      const [proj, list] = await Promise.all([
+        fetchProjectById(projectId),
+        fetchMoodBoards(projectId, roomFilter),
+      ]);
+      setProject(proj);
+      setData(list);
+    } catch (err) {
+      console.error("Failed to load mood boards:", err);
+      setError(err.message || "Failed to load mood boards");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [projectId, roomFilter]);
+
+  useProjectEvents(projectId, ["moodboards", "rooms"], () => load());
+
+  function handleRoomFilter(roomId) {
+    setSearchParams(roomId ? { room: roomId } : {});
+  }
+
+  /* ---------- Create ---------- */
+
+  async function handleCreate(e) {
+    e.preventDefault();
+    setError("");
+    setSaving(true);
+
+    try {
+      await createMoodBoard(projectId, { ...form, roomId: form.roomId || null });
+      setForm({ ...EMPTY_BOARD, roomId: roomFilter });
+      await load();
+    } catch (err) {
+      console.error("Failed to create mood board:", err);
+      setError(err.message || "Failed to create mood board");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  /* ---------- Styles (simple inline for now) ---------- */
+
+  const pageStyle = {
+    minHeight: "100vh",
+    padding: "40px 16px 60px",
+    display: "flex",
+    justifyContent: "center",
+  };
+
+  const cardStyle = {
+    background: "rgba(255, 255, 255, 0.95)",
+    borderRadius: 18,
+    padding: "24px 28px 30px",
+    boxShadow: "0 18px 45px rgba(0,0,0,0.18)",
+    border: "1px solid rgba(255,192,203,0.7)",
+    width: "100%",
+    maxWidth: 1000,
+  };
+
+  const titleStyle = { fontSize: 30, fontWeight: 700, marginBottom: 6 };
+  const subStyle = { fontSize: 14, color: "#555", marginBottom: 18 };
+  const sectionTitleStyle = { fontSize: 18, fontWeight: 600, margin: "0 0 10px" };
+  const smallLabelStyle = { fontSize: 12, color: "#777" };
+
+  const labelStyleBack = {
+    display: "inline-block",
+    marginBottom: 12,
+    color: "#ff6f91",
+    fontWeight: 600,
+    fontSize: 13,
+  };
+
+  const inputStyle = {
+    fontSize: 13,
+    padding: "4px 6px",
+    boxSizing: "border-box",
+  };
+
+  const primaryButtonStyle = {
+    padding: "6px 10px",
+    borderRadius: 10,
+    border: "none",
+    cursor: "pointer",
+    fontSize: 12,
+    fontWeight: 600,
+    background: "#ff9eb5",
+  };
+
+  const gridStyle = {
+    display: "grid",
+    gridTemplateColumns: "repeat(auto-fill, minmax(220px, 1fr))",
+    gap: 14,
+  };
+
+  const boardCardStyle = {
+    display: "block",
+    padding: 10,
+    borderRadius: 14,
+    border: "1px solid #f2f2f2",
+    background: "#fff",
+    color: "inherit",
+    textDecoration: "none",
+    fontSize: 13,
+  };
+
+  const previewStyle = {
+    display: "grid",
+    gridTemplateColumns: "repeat(2, 1fr)",
+    gap: 4,
+    height: 120,
+    marginBottom: 8,
+    borderRadius: 10,
+    overflow: "hidden",
+    background: "#fafafa",
+  };
+
+  const badgeStyle = (shared) => ({
+    display: "inline-block",
+    padding: "1px 6px",
+    borderRadius: 999,
+    fontSize: 11,
+    background: shared ? "#e8f5e9" : "#eee",
+    color: shared ? "#2e7d32" : "#555",
+  });
+
+  const boards = data?.boards || [];
+  const rooms = project?.rooms || [];
+
+  return (
+    <div style={pageStyle}>
+      <div style={cardStyle}>
+        <Link to={`/project/${projectId}/menu`} style={labelStyleBack}>
+          ← Back to Project
+        </Link>
+
+        <h1 style={titleStyle}>Mood Boards</h1>
+        <p style={subStyle}>
+          {project ? `${project.name} – ` : ""}
+          {data?.canEdit
+            ? "collect images, colors and notes per room. Shared boards are visible to the " +
+              "client, who can like or dislike every item."
+            : "inspiration from your designer. Like or dislike items to tell them what you think."}
+        </p>
+
+        {error && (
+          <div
+            style={{
+              marginBottom: 16,
+              padding: "8px 10px",
+              borderRadius: 10,
+              background: "#ffe5e5",
+              color: "#b00020",
+              fontSize: 13,
+            }}
+          >
+            {error}
+          </div>
+        )}
+
+        {rooms.length > 0 && (
+          <div style={{ marginBottom: 16, fontSize: 13 }}>
+            Room:{" "}
+            <RoomSelect
+              rooms={rooms}
+              value={roomFilter}
+              emptyLabel="All rooms"
+              onChange={handleRoomFilter}
+              style={inputStyle}
+            />
+          </div>
+        )}
+
+        {loading ? (
+          <p>Loading mood boards...</p>
+        ) : (
+          <>
+            <section style={{ marginBottom: 24 }}>
+              {boards.length === 0 && (
+                <p style={smallLabelStyle}>
+                  {data?.canEdit ? "No mood boards yet." : "Nothing was shared with you yet."}
+                </p>
+              )}
+
+              <div style={gridStyle}>
+                {boards.map((board) => (
+                  <Link
+                    key={board._id}
+                    to={`/project/${projectId}/moodboards/${board._id}`}
+                    style={boardCardStyle}
+                  >
+                    <div style={previewStyle}>
+                      {board.preview.map((item, index) =>
+                        item.kind === "image" ? (
+                          <img
+                            key={index}
+                            src={item.imageUrl}
+                            alt=""
+                            style={{ width: "100%", height: "100%", objectFit: "cover" }}
+                          />
+                        ) : (
+                          <div key={index} style={{ background: item.color }} />
+                        )
+                      )}
+                    </div>
+                    <strong>{board.title}</strong>
+                    <div style={smallLabelStyle}>
+                      {board.roomName || "Whole project"} · {board.itemCount} item
+                      {board.itemCount === 1 ? "" : "s"}
+                      {board.likes + board.dislikes > 0 &&
+                        ` · 👍 ${board.likes} 👎 ${board.dislikes}`}
+                    </div>
+                    {data.canEdit && (
+                      <span style={badgeStyle(board.shared)}>
+                        {board.shared ? "Shared with client" : "Designers only"}
+                      </span>
+                    )}
+                  </Link>
+                ))}
+              </div>
+            </section>
+
+            {data?.canEdit && (
+              <section>
+                <h2 style={sectionTitleStyle}>New mood board</h2>
+
+                <form onSubmit={handleCreate}>
+                  <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 6 }}>
+                    <input
+                      placeholder="Title (e.g. Calm bedroom)"
+                      value={form.title}
+                      onChange={(e) => setForm({ ...form, title: e.target.value })}
+                      style={{ ...inputStyle, flex: "1 1 220px" }}
+                      required
+                    />
+                    <RoomSelect
+                      rooms={rooms}
+                      value={form.roomId}
+                      emptyLabel="Whole project"
+                      onChange={(roomId) => setForm({ ...form, roomId })}
+                      style={inputStyle}
+                    />
+                  </div>
+                  <textarea
+                    rows={2}
+                    placeholder="Description (optional)"
+                    value={form.description}
+                    onChange={(e) => setForm({ ...form, description: e.target.value })}
+                    style={{ ...inputStyle, width: "100%", marginBottom: 6 }}
+                  />
+                  <label style={{ display: "block", fontSize: 13, marginBottom: 8 }}>
+                    <input
+                      type="checkbox"
+                      checked={form.shared}
+                      onChange={(e) => setForm({ ...form, shared: e.target.checked })}
+                    />{" "}
+                    Share with the client right away
+                  </label>
+                  <button type="submit" style={primaryButtonStyle} disabled={saving}>
+                    {saving ? "Creating..." : "Create board"}
+                  </button>
+                </form>
+              </section>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -2,16 +2,39 @@
 
 import React, { useEffect, useState } from "react";
 import { useParams, Link } from "react-router-dom";
-import { fetchProjectById, updateProjectPlan } from "../api";
+import {
+  fetchProjectById,
+  fetchProjectTotals,
+  updateProjectPlan,
+  fetchPlanRevisions,
+  fetchPlanRevisionDiff,
+  restorePlanRevision,
+  isVersionConflict,
+} from "../api";
+import ConflictNotice from "../components/ConflictNotice";
+import LiveUpdateNotice from "../components/LiveUpdateNotice";
+import ApprovalNotice from "../components/ApprovalNotice";
+import { useProjectEvents } from "../utils/useProjectEvents";
+import { formatMoney } from "../utils/currency";
 
 /**
  * ProjectPlanPage
  *
  * This page shows the high-level design plan and notes for a single project,
- * plus a simple cost summary based on workers and suppliers.
+ * plus a cost summary based on workers and suppliers. The totals are
+ * computed by the server in the project currency (exchange rates + VAT).
  *
- * - Both designer and client can view the plan and cost summary.
- * - Only the designer can edit and save the plan / notes.
+ * - Anyone with plan:view can see the plan (cost summary needs budget:view).
+ * - Only roles with plan:edit (lead designer / assistant) can save it.
+ * - Every save is kept as a revision: past versions can be viewed side by
+ *   side with the current plan (changed lines highlighted) and restored.
+ * - Saving sends the project version we loaded; if someone else saved in
+ *   the meantime we show their text and let the user reload or overwrite.
+ * - Live updates: plan, worker and supplier changes made by others show up
+ *   without a reload (unsaved plan edits are never replaced - a notice is
+ *   shown instead).
+ * - Designers can ask the client to approve the plan; once approved it is
+ *   locked (read-only, no restores) until it is reopened.
  */
 
 export default function ProjectPlanPage() {
@@ -24,17 +47,32 @@ export default function ProjectPlanPage() {
   const [designPlan, setDesignPlan] = useState("");
   const [notes, setNotes] = useState("");
 
-  // Calculated summary fields
-  const [totalWorkersCost, setTotalWorkersCost] = useState(0);
-  const [totalSuppliersCost, setTotalSuppliersCost] = useState(0);
+  // Cost totals from the server (GET /totals), null until loaded
+  const [totals, setTotals] = useState(null);
 
   // UI state
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState("");
 
-  // Role-based permissions
-  const role = localStorage.getItem("role");
-  const isDesigner = role === "designer";
+  // 409 response body ({ project, version }) when someone else saved first
+  const [conflict, setConflict] = useState(null);
+
+  // Version history: revision list + the revision opened for comparison
+  const [revisions, setRevisions] = useState([]);
+  const [comparison, setComparison] = useState(null);
+  const [historyError, setHistoryError] = useState("");
+
+  // { actorName } when someone else saved the plan while we were editing
+  const [liveUpdate, setLiveUpdate] = useState(null);
+
+  // The plan is approved by the client and locked (see ApprovalNotice)
+  const [locked, setLocked] = useState(false);
+
+  // Project-role permissions (sent by the backend with the project)
+  const permissions = project?.myPermissions || [];
+  const isDesigner = permissions.includes("plan:edit");
+  const canEdit = isDesigner && !locked;
+  const canSeeBudget = permissions.includes("budget:view");
 
   /* -------------------------------------------------
    * Load project + initialize plan/notes/costs
@@ -51,63 +89,119 @@ export default function ProjectPlanPage() {
       setDesignPlan(data?.designPlan || "");
       setNotes(data?.notes || "");
 
-      // Calculate workers & suppliers totals from the project data
-      const workersCost = (data?.workers || []).reduce(
-        (sum, w) => sum + (Number(w.cost) || 0),
-        0
-      );
-      const suppliersCost = (data?.suppliers || []).reduce(
-        (sum, s) => sum + (Number(s.price) || 0),
-        0
-      );
-
-      setTotalWorkersCost(workersCost);
-      setTotalSuppliersCost(suppliersCost);
+      if ((data?.myPermissions || []).includes("budget:view")) await loadTotals();
     } catch (err) {
       console.error("Failed to load project:", err);
       setError(err.message || "Failed to load project");
     }
   }
 
+  /* -------------------------------------------------
+   * Version history
+   * ------------------------------------------------- */
+  async function loadRevisions() {
+    if (!projectId) return;
+
+    try {
+      const data = await fetchPlanRevisions(projectId);
+      setRevisions(Array.isArray(data) ? data : []);
+    } catch (err) {
+      console.error("Failed to load plan history:", err);
+      setHistoryError(err.message || "Failed to load plan history");
+    }
+  }
+
   useEffect(() => {
     loadProject();
+    loadRevisions();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [projectId]);
 
-  /* -------------------------------------------------
-   * Recalculate totals manually (if project changed)
-   * ------------------------------------------------- */
-  function calculateTotals() {
-    if (!project) return;
+  // Live updates: costs follow worker / supplier changes; the plan text is
+  // only replaced when there are no unsaved edits
+  useProjectEvents(projectId, ["plan", "workers", "suppliers"], async (event) => {
+    const unsaved =
+      designPlan !== (project?.designPlan || "") || notes !== (project?.notes || "");
 
-    const workersCost = (project.workers || []).reduce(
-      (sum, w) => sum + (Number(w.cost) || 0),
-      0
-    );
-    const suppliersCost = (project.suppliers || []).reduce(
-      (sum, s) => sum + (Number(s.price) || 0),
-      0
-    );
+    if (event.area !== "plan" && !event.resync) {
+      if (canSeeBudget) await loadTotals();
+      return;
+    }
+    if (unsaved) {
+      setLiveUpdate({ actorName: event.actorName });
+      if (canSeeBudget) await loadTotals();
+      return;
+    }
+    await loadProject();
+    await loadRevisions();
+  });
+
+  // Compare a past revision with the current plan
+  async function handleViewRevision(number) {
+    setHistoryError("");
 
-    setTotalWorkersCost(workersCost);
-    setTotalSuppliersCost(suppliersCost);
+    try {
+      setComparison(await fetchPlanRevisionDiff(projectId, number));
+    } catch (err) {
+      console.error("Failed to load revision:", err);
+      setHistoryError(err.message || "Failed to load revision");
+    }
+  }
+
+  async function handleRestoreRevision(number) {
+    if (!isDesigner) return;
+    if (!window.confirm(`Restore version ${number}? The current plan stays in the history.`)) {
+      return;
+    }
+
+    setHistoryError("");
+
+    try {
+      await restorePlanRevision(projectId, number);
+      setComparison(null);
+      await loadProject();
+      await loadRevisions();
+    } catch (err) {
+      console.error("Failed to restore revision:", err);
+      setHistoryError(err.message || "Failed to restore revision");
+    }
+  }
+
+  /* -------------------------------------------------
+   * Cost totals (server-side, project currency)
+   * ------------------------------------------------- */
+  async function loadTotals() {
+    try {
+      setTotals(await fetchProjectTotals(projectId));
+    } catch (err) {
+      console.error("Failed to load cost totals:", err);
+      setError(err.message || "Failed to load cost totals");
+    }
   }
 
   /* -------------------------------------------------
    * Save plan & notes (designer only)
    * ------------------------------------------------- */
-  async function handleSavePlan() {
+  async function handleSavePlan(version = project?.__v) {
     if (!isDesigner) return; // safety: client cannot save
 
     setSaving(true);
     setError("");
+    setConflict(null);
+    setLiveUpdate(null);
 
     try {
-      await updateProjectPlan(projectId, { designPlan, notes });
+      await updateProjectPlan(projectId, { designPlan, notes }, version);
 
       // Reload project to be sure we see the updated version
       await loadProject();
+      await loadRevisions();
     } catch (err) {
+      if (isVersionConflict(err)) {
+        setConflict(err.data);
+        return;
+      }
+
       console.error("Failed to save plan:", err);
       setError(err.message || "Failed to save plan");
     } finally {
@@ -115,12 +209,8 @@ export default function ProjectPlanPage() {
     }
   }
 
-  /* -------------------------------------------------
-   * Derived values: total & remaining budget
-   * ------------------------------------------------- */
-  const totalProjectCost = totalWorkersCost + totalSuppliersCost;
-  const budget = Number(project?.budget || 0);
-  const remaining = budget - totalProjectCost;
+  const money = (amount) => formatMoney(amount, totals?.currency);
+  const remaining = totals?.remaining ?? 0;
 
   /* -------------------------------------------------
    * Styles (inline for now, can be moved to CSS later)
@@ -192,6 +282,61 @@ export default function ProjectPlanPage() {
     boxShadow: "0 4px 12px rgba(0, 0, 0, 0.08)",
     width:"110px",
   };
+  const tableStyle = {
+    width: "100%",
+    borderCollapse: "collapse",
+    fontSize: 13,
+  };
+
+  const cellStyle = {
+    padding: "6px 8px",
+    borderBottom: "1px solid #eee",
+    textAlign: "left",
+  };
+
+  const compareGridStyle = {
+    display: "grid",
+    gridTemplateColumns: "1fr 1fr",
+    gap: 16,
+    marginTop: 16,
+  };
+
+  const diffBoxStyle = {
+    border: "1px solid #ddd",
+    borderRadius: 8,
+    padding: 8,
+    fontFamily: "monospace",
+    fontSize: 12,
+    whiteSpace: "pre-wrap",
+    minHeight: 40,
+    background: "#fff",
+  };
+
+  const diffLineStyle = (type) => ({
+    background: type === "removed" ? "#ffe5e5" : type === "added" ? "#e5ffe8" : "transparent",
+    textDecoration: type === "removed" ? "line-through" : "none",
+  });
+
+  // One side of the comparison: old side hides "added", new side hides "removed"
+  function renderDiffSide(lines, hiddenType) {
+    return (
+      <div style={diffBoxStyle}>
+        {(lines || [])
+          .filter((line) => line.type !== hiddenType)
+          .map((line, idx) => (
+            <div key={idx} style={diffLineStyle(line.type)}>
+              {line.text || " "}
+            </div>
+          ))}
+      </div>
+    );
+  }
+
+  function revisionLabel(rev) {
+    if (!rev || rev.current) return "Current version";
+    return `Version ${rev.number}`;
+  }
+
   /* -------------------------------------------------
    * Render
    * ------------------------------------------------- */
@@ -215,60 +360,136 @@ export default function ProjectPlanPage() {
 
       {error && <div style={errorStyle}>{error}</div>}
 
+      <ApprovalNotice projectId={projectId} kind="plan" onLockChange={setLocked} />
+
+      {liveUpdate && !conflict && (
+        <LiveUpdateNotice
+          actorName={liveUpdate.actorName}
+          onReload={() => {
+            setLiveUpdate(null);
+            loadProject();
+            loadRevisions();
+          }}
+          onDismiss={() => setLiveUpdate(null)}
+        />
+      )}
+
+      {conflict && (
+        <ConflictNotice
+          onReload={() => {
+            setConflict(null);
+            loadProject();
+            loadRevisions();
+          }}
+          onOverwrite={() => handleSavePlan(conflict.version)}
+        >
+          <div style={{ marginTop: 8 }}>Their design plan:</div>
+          <textarea
+            value={conflict.project?.designPlan || ""}
+            readOnly
+            rows={4}
+            style={textareaStyle}
+          />
+          <div style={{ marginTop: 8 }}>Their notes:</div>
+          <textarea value={conflict.project?.notes || ""} readOnly rows={3} style={textareaStyle} />
+        </ConflictNotice>
+      )}
+
       {/* Design Plan / Notes section */}
       <section style={sectionStyle}>
         <h2>Design Plan</h2>
         <textarea
           value={designPlan}
-          onChange={(e) => isDesigner && setDesignPlan(e.target.value)}
+          onChange={(e) => canEdit && setDesignPlan(e.target.value)}
           placeholder="Enter the detailed design plan here..."
           rows={8}
           style={textareaStyle}
-          readOnly={!isDesigner}
+          readOnly={!canEdit}
         />
 
         <h2 style={{ marginTop: 24 }}>Notes</h2>
+        <p style={{ fontSize: 13, color: "#555", marginTop: -6 }}>
+          To-dos for the team and the client are tracked on the{" "}
+          <Link to={`/project/${projectId}/board`}>Task Board</Link>.
+        </p>
         <textarea
           value={notes}
-          onChange={(e) => isDesigner && setNotes(e.target.value)}
+          onChange={(e) => canEdit && setNotes(e.target.value)}
           placeholder="Add any additional notes or comments..."
           rows={5}
           style={textareaStyle}
-          readOnly={!isDesigner}
+          readOnly={!canEdit}
         />
       </section>
 
       {/* Cost summary section */}
       <section style={sectionStyle}>
-        <h2>Cost Summary</h2>
-        <p>Total cost of suppliers: {totalSuppliersCost} ₪</p>
-        <p>Total cost of workers: {totalWorkersCost} ₪</p>
-        <p>
-          <span style={costHighlightStyle}>
-            Total project cost: {totalProjectCost} ₪
-          </span>
-        </p>
-        <p>Project budget: {budget} ₪</p>
-        <p>
-          Remaining budget:{" "}
-          <span style={remainingStyle}>{remaining} ₪</span>
-        </p>
+        {canSeeBudget && totals && (
+          <>
+            <h2>Cost Summary</h2>
+            <p style={{ fontSize: 13, color: "#777" }}>
+              All amounts in {totals.currency}, VAT {totals.vatRate}%.
+            </p>
+            <table style={tableStyle}>
+              <thead>
+                <tr>
+                  <th style={cellStyle} />
+                  <th style={cellStyle}>Before VAT</th>
+                  <th style={cellStyle}>VAT</th>
+                  <th style={cellStyle}>Incl. VAT</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[
+                  ["Suppliers", totals.suppliers],
+                  ["Workers", totals.workers],
+                  ["Total project cost", totals.total],
+                  [
+                    `Project budget (${totals.budget.includesVat ? "incl." : "excl."} VAT)`,
+                    totals.budget,
+                  ],
+                ].map(([label, row]) => (
+                  <tr
+                    key={label}
+                    style={label.startsWith("Total") ? costHighlightStyle : undefined}
+                  >
+                    <td style={cellStyle}>{label}</td>
+                    <td style={cellStyle}>{money(row.net)}</td>
+                    <td style={cellStyle}>{money(row.vat)}</td>
+                    <td style={cellStyle}>{money(row.gross)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p>
+              Remaining budget (incl. VAT):{" "}
+              <span style={remainingStyle}>{money(remaining)}</span>
+            </p>
+            {totals.warnings.map((w) => (
+              <div key={w} style={{ color: "#b00020", fontSize: 13 }}>
+                {w} – set it on the Studio page.
+              </div>
+            ))}
+          </>
+        )}
 
         <div style={{ marginTop: 10 }}>
-          <button
-            type="button"
-            onClick={calculateTotals}
-            style={secondaryButtonStyle}
-          >
-            Recalculate Total Costs
-          </button>
+          {canSeeBudget && (
+            <button
+              type="button"
+              onClick={loadTotals}
+              style={secondaryButtonStyle}
+            >
+              Recalculate Total Costs
+            </button>
+          )}
 
           {/* Save button – visible only to designer */}
           {isDesigner && (
             <button
               type="button"
-              onClick={handleSavePlan}
-              disabled={saving}
+              onClick={() => handleSavePlan()}
+              disabled={saving || locked}
               style={{ ...buttonStyle, marginLeft: 8 }}
             >
               {saving ? "Saving..." : "Save Plan"}
@@ -276,13 +497,114 @@ export default function ProjectPlanPage() {
           )}
         </div>
 
-        {!isDesigner && (
+        {project && !isDesigner && (
           <p style={{ marginTop: 8, fontStyle: "italic", fontSize: 13 }}>
             You can view the plan and notes. Changes can be made by your
             designer only.
           </p>
         )}
       </section>
+
+      {/* Version history section */}
+      <section style={sectionStyle}>
+        <h2>Version History</h2>
+
+        {historyError && <div style={errorStyle}>{historyError}</div>}
+
+        {revisions.length === 0 ? (
+          <p style={{ fontSize: 13 }}>No saved versions yet.</p>
+        ) : (
+          <table style={tableStyle}>
+            <thead>
+              <tr>
+                <th style={cellStyle}>Version</th>
+                <th style={cellStyle}>Saved</th>
+                <th style={cellStyle}>By</th>
+                <th style={cellStyle}>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {revisions.map((rev, idx) => (
+                <tr key={rev._id}>
+                  <td style={cellStyle}>
+                    {rev.number}
+                    {idx === 0 && " (current)"}
+                    {rev.restoredFrom && (
+                      <span style={{ color: "#777" }}> – restored from {rev.restoredFrom}</span>
+                    )}
+                  </td>
+                  <td style={cellStyle}>{new Date(rev.createdAt).toLocaleString()}</td>
+                  <td style={cellStyle}>
+                    {rev.author?.username || "Before version history"}
+                  </td>
+                  <td style={cellStyle}>
+                    <button
+                      type="button"
+                      onClick={() => handleViewRevision(rev.number)}
+                      style={secondaryButtonStyle}
+                    >
+                      Compare
+                    </button>
+                    {canEdit && idx > 0 && (
+                      <button
+                        type="button"
+                        onClick={() => handleRestoreRevision(rev.number)}
+                        style={{ ...buttonStyle, marginLeft: 8 }}
+                      >
+                        Restore
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {comparison && (
+          <div style={{ marginTop: 16 }}>
+            <div style={{ display: "flex", justifyContent: "space-between" }}>
+              <strong>
+                {revisionLabel(comparison.from)} compared with {revisionLabel(comparison.to)}
+              </strong>
+              <button
+                type="button"
+                onClick={() => setComparison(null)}
+                style={secondaryButtonStyle}
+              >
+                Close
+              </button>
+            </div>
+
+            <div style={compareGridStyle}>
+              <div>
+                <h3>{revisionLabel(comparison.from)}</h3>
+                <h4>Design Plan</h4>
+                {renderDiffSide(comparison.designPlan, "added")}
+                <h4>Notes</h4>
+                {renderDiffSide(comparison.notes, "added")}
+              </div>
+              <div>
+                <h3>{revisionLabel(comparison.to)}</h3>
+                <h4>Design Plan</h4>
+                {renderDiffSide(comparison.designPlan, "removed")}
+                <h4>Notes</h4>
+                {renderDiffSide(comparison.notes, "removed")}
+              </div>
+            </div>
+
+            {canEdit && (
+              <button
+                type="button"
+                onClick={() => handleRestoreRevision(comparison.from.number)}
+                style={{ ...buttonStyle, marginTop: 12 }}
+              >
+                Restore {revisionLabel(comparison.from)}
+              </button>
+            )}
+          </div>
+        )}
+      </section>
     </div>
   );
 }
@@ -5,7 +5,14 @@ import {
   apiFetch,
   uploadImage,
   updateProjectQuestionnaireInstance,
+  fetchQuestionnaireComments,
+  isVersionConflict,
 } from "../api";
+import ConflictNotice from "../components/ConflictNotice";
+import LiveUpdateNotice from "../components/LiveUpdateNotice";
+import QuestionComments from "../components/QuestionComments";
+import RoomSelect from "../components/RoomSelect";
+import { useProjectEvents } from "../utils/useProjectEvents";
 
 /**
  * ProjectQuestionnairesPage
@@ -16,6 +23,14 @@ import {
  * Key idea:
  * - Answers are stored by sourceQuestionId/sourceOptionId when available (stable across sync).
  * - Project-only edits do NOT affect the template or other projects.
+ * - Project-only edits send the project version; if someone else saved the
+ *   project meanwhile (409) the designer can reload or overwrite.
+ * - Live updates: questionnaires assigned / edited / synced and answers saved
+ *   by others appear without a reload, unless there are unsaved answers or
+ *   project-only edits on the page (then a notice is shown).
+ * - Comments: both sides can discuss a question or a single option
+ *   (message threads shown inline under the question, live as well).
+ * - A questionnaire can be linked to one of the project's rooms (designer).
  */
 export default function ProjectQuestionnairesPage() {
   const { projectId } = useParams();
@@ -43,6 +58,9 @@ export default function ProjectQuestionnairesPage() {
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState("");
 
+  // 409 response body ({ project, instance, version }) when someone else saved first
+  const [conflict, setConflict] = useState(null);
+
   // Modal image preview
   const [modalImage, setModalImage] = useState(null);
 
@@ -50,6 +68,13 @@ export default function ProjectQuestionnairesPage() {
   const [editingInstance, setEditingInstance] = useState(false);
   const [draftQuestions, setDraftQuestions] = useState([]);
 
+  // Latest project saved by someone else while we had unsaved changes
+  const [liveUpdate, setLiveUpdate] = useState(null);
+
+  // Comment threads of the current questionnaire (questionKey / optionKey set)
+  const [comments, setComments] = useState([]);
+  const [canComment, setCanComment] = useState(false);
+
   /* =========================================================
    * Helpers (stable keys + deep copy)
    * ========================================================= */
@@ -125,10 +150,11 @@ export default function ProjectQuestionnairesPage() {
 
   // Convert instance.answers array to UI state map keyed by sourceQuestionId (preferred)
   function loadAnswersFromInstance(instance) {
-    if (!instance || !Array.isArray(instance.answers)) {
-      setAnswers({});
-      return;
-    }
+    setAnswers(answersFromInstance(instance));
+  }
+
+  function answersFromInstance(instance) {
+    if (!instance || !Array.isArray(instance.answers)) return {};
 
     const map = {};
 
@@ -151,9 +177,64 @@ export default function ProjectQuestionnairesPage() {
       };
     });
 
-    setAnswers(map);
+    return map;
+  }
+
+  // Same answers? (ignores empty entries and option order)
+  function sameAnswers(a, b) {
+    const normalize = (map) =>
+      JSON.stringify(
+        Object.keys(map)
+          .filter((key) => map[key].selectedOptions.length > 0 || map[key].freeText)
+          .sort()
+          .map((key) => [key, [...map[key].selectedOptions].sort(), map[key].freeText || ""])
+      );
+    return normalize(a) === normalize(b);
+  }
+
+  /* =========================================================
+   * Live updates (someone else changed the questionnaires)
+   * ========================================================= */
+
+  // Show the latest project, staying on the selected questionnaire if it still exists
+  function applyLatestProject(proj) {
+    setProject(proj);
+
+    const instances = Array.isArray(proj.designQuestionnaires) ? proj.designQuestionnaires : [];
+    const instance =
+      instances.find((q) => String(q._id) === String(selectedInstanceId)) || instances[0];
+
+    if (!instance) {
+      setSelectedInstanceId("");
+      setAnswers({});
+      if (isDesigner) setDraftQuestions([]);
+    } else {
+      setSelectedInstanceId(String(instance._id));
+      loadAnswersFromInstance(instance);
+      if (isDesigner) setDraftQuestions(deepCopy(instance.questions || []));
+    }
+    setEditingInstance(false);
   }
 
+  useProjectEvents(projectId, ["questionnaires", "messages"], async (event) => {
+    if (event.area === "messages" || event.resync) loadComments();
+    if (event.area === "messages") return;
+
+    try {
+      const latest = await apiFetch(`/api/projects/${projectId}`);
+      const unsaved =
+        editingInstance || !sameAnswers(answers, answersFromInstance(currentInstance));
+
+      if (unsaved) {
+        setLiveUpdate({ project: latest, actorName: event.actorName });
+        return;
+      }
+      applyLatestProject(latest);
+    } catch (err) {
+      console.error("Error refreshing questionnaire:", err);
+    }
+  });
+
   /* =========================================================
    * Instance selection + template assignment (Designer)
    * ========================================================= */
@@ -357,6 +438,7 @@ export default function ProjectQuestionnairesPage() {
 
       const updatedProject = res.project || res;
       setProject(updatedProject);
+      setLiveUpdate(null);
 
       // Reload answers from backend version to keep UI in sync
       const updatedInstance = (updatedProject.designQuestionnaires || []).find(
@@ -394,17 +476,19 @@ export default function ProjectQuestionnairesPage() {
   }
 
   // Save draftQuestions as the project-only questionnaire version (Designer)
-  async function saveProjectVersion() {
+  async function saveProjectVersion(version = project?.__v) {
     if (!projectId || !selectedInstanceId) return;
 
     setSaving(true);
     setError("");
+    setConflict(null);
 
     try {
       const res = await updateProjectQuestionnaireInstance(
         projectId,
         selectedInstanceId,
-        { questions: draftQuestions }
+        { questions: draftQuestions },
+        version
       );
 
       const updatedProject = res.project || res;
@@ -421,7 +505,13 @@ export default function ProjectQuestionnairesPage() {
       }
 
       setEditingInstance(false);
+      setLiveUpdate(null);
     } catch (err) {
+      if (isVersionConflict(err)) {
+        setConflict(err.data);
+        return;
+      }
+
       console.error("Failed to save project version:", err);
       setError(err.message || "Failed to save project version");
     } finally {
@@ -429,6 +519,45 @@ export default function ProjectQuestionnairesPage() {
     }
   }
 
+  // Link the current questionnaire to a room (Designer, "" = no room)
+  async function handleRoomChange(roomId) {
+    if (!projectId || !selectedInstanceId) return;
+
+    setError("");
+    setConflict(null);
+
+    try {
+      const res = await updateProjectQuestionnaireInstance(
+        projectId,
+        selectedInstanceId,
+        { roomId: roomId || null },
+        project?.__v
+      );
+      setProject(res.project || res);
+    } catch (err) {
+      if (isVersionConflict(err)) {
+        setConflict(err.data);
+        return;
+      }
+
+      console.error("Failed to link questionnaire to room:", err);
+      setError(err.message || "Failed to link questionnaire to room");
+    }
+  }
+
+  // Conflict: drop the draft and continue from the latest saved version
+  function reloadAfterConflict() {
+    setProject(conflict.project);
+
+    if (conflict.instance) {
+      loadAnswersFromInstance(conflict.instance);
+      setDraftQuestions(deepCopy(conflict.instance.questions || []));
+    }
+
+    setEditingInstance(false);
+    setConflict(null);
+  }
+
   /* =========================================================
    * Draft editing helpers (Designer)
    * ========================================================= */
@@ -530,6 +659,36 @@ export default function ProjectQuestionnairesPage() {
     return currentInstance?.questions || [];
   }, [isDesigner, editingInstance, draftQuestions, currentInstance]);
 
+  /* =========================================================
+   * Comments (threads about a question / option)
+   * ========================================================= */
+
+  const canViewComments = (project?.myPermissions || []).includes("messages:view");
+  const currentInstanceId = currentInstance ? String(currentInstance._id) : "";
+
+  const currentRoom =
+    (project?.rooms || []).find((room) => room._id === currentInstance?.roomId) || null;
+
+  async function loadComments() {
+    if (!currentInstanceId || !canViewComments) {
+      setComments([]);
+      return;
+    }
+
+    try {
+      const data = await fetchQuestionnaireComments(projectId, currentInstanceId);
+      setComments(data.comments || []);
+      setCanComment(Boolean(data.canComment));
+    } catch (err) {
+      console.error("Error loading questionnaire comments:", err);
+    }
+  }
+
+  useEffect(() => {
+    loadComments();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [projectId, currentInstanceId, canViewComments]);
+
   /* =========================================================
    * Styles
    * ========================================================= */
@@ -657,6 +816,24 @@ export default function ProjectQuestionnairesPage() {
           </div>
         )}
 
+        {liveUpdate && !conflict && (
+          <LiveUpdateNotice
+            actorName={liveUpdate.actorName}
+            onReload={() => {
+              applyLatestProject(liveUpdate.project);
+              setLiveUpdate(null);
+            }}
+            onDismiss={() => setLiveUpdate(null)}
+          />
+        )}
+
+        {conflict && (
+          <ConflictNotice
+            onReload={reloadAfterConflict}
+            onOverwrite={() => saveProjectVersion(conflict.version)}
+          />
+        )}
+
         {loading ? (
           <p>Loading questionnaire...</p>
         ) : (
@@ -736,8 +913,37 @@ export default function ProjectQuestionnairesPage() {
 
                 <p style={{ fontSize: 13, color: "#666", marginBottom: 12 }}>
                   Choose options and add optional comments.
+                  {!isDesigner && currentRoom && (
+                    <>
+                      {" "}
+                      Room:{" "}
+                      <Link to={`/project/${projectId}/rooms/${currentRoom._id}`}>
+                        {currentRoom.name}
+                      </Link>
+                    </>
+                  )}
                 </p>
 
+                {isDesigner && (project?.rooms || []).length > 0 && (
+                  <div style={{ marginBottom: 12, fontSize: 13 }}>
+                    Room:{" "}
+                    <RoomSelect
+                      rooms={project.rooms}
+                      value={currentInstance.roomId || ""}
+                      onChange={handleRoomChange}
+                      style={{ padding: "4px 6px" }}
+                    />
+                    {currentRoom && (
+                      <>
+                        {" "}
+                        <Link to={`/project/${projectId}/rooms/${currentRoom._id}`}>
+                          Room overview
+                        </Link>
+                      </>
+                    )}
+                  </div>
+                )}
+
                 {/* Designer project-only edit toolbar */}
                 {isDesigner && (
                   <div style={{ marginBottom: 12 }}>
@@ -753,7 +959,7 @@ export default function ProjectQuestionnairesPage() {
                           <button
                             type="button"
                             disabled={saving}
-                            onClick={saveProjectVersion}
+                            onClick={() => saveProjectVersion()}
                           >
                             {saving ? "Saving..." : "Save project-only version"}
                           </button>
@@ -778,6 +984,7 @@ export default function ProjectQuestionnairesPage() {
                   const qKey = getQuestionKey(q);
                   const selected = answers[qKey]?.selectedOptions || [];
                   const freeText = answers[qKey]?.freeText || "";
+                  const questionComments = comments.filter((c) => c.questionKey === qKey);
 
                   return (
                     <div
@@ -880,6 +1087,9 @@ export default function ProjectQuestionnairesPage() {
                         {(q.options || []).map((opt, optIndex) => {
                           const optKey = getOptionKey(opt);
                           const isSelected = selected.includes(optKey);
+                          const optionComments = questionComments.filter(
+                            (c) => c.optionKey === optKey
+                          ).length;
 
                           return (
                             <div
@@ -906,6 +1116,11 @@ export default function ProjectQuestionnairesPage() {
                               )}
                               <div style={{ padding: "6px 8px", fontSize: 13, textAlign: "center" }}>
                                 {opt.text}
+                                {optionComments > 0 && (
+                                  <div style={{ fontSize: 11, color: "#d81b60" }}>
+                                    {optionComments} comment{optionComments === 1 ? "" : "s"}
+                                  </div>
+                                )}
                               </div>
                             </div>
                           );
@@ -924,6 +1139,20 @@ export default function ProjectQuestionnairesPage() {
                           />
                         </label>
                       </div>
+
+                      {/* Comments (hidden while editing the project-only version) */}
+                      {canViewComments && !editingInstance && (
+                        <QuestionComments
+                          projectId={projectId}
+                          instanceId={currentInstanceId}
+                          question={q}
+                          comments={questionComments}
+                          selectedOptions={selected}
+                          getOptionKey={getOptionKey}
+                          canComment={canComment}
+                          onChange={loadComments}
+                        />
+                      )}
                     </div>
                   );
                 })}
@@ -0,0 +1,461 @@
+// client/src/pages/ProjectRoomsPage.js
+
+import React, { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import {
+  fetchProjectById,
+  fetchProjectRooms,
+  createRoom,
+  updateRoom,
+  deleteRoom,
+  linkRoomNames,
+} from "../api";
+import { useProjectEvents } from "../utils/useProjectEvents";
+
+/**
+ * ProjectRoomsPage
+ *
+ * The rooms of a project (name, type, floor, dimensions, notes).
+ * - Colors, questionnaires, budget lines and suppliers link to a room;
+ *   each room has an overview page with everything about it.
+ * - Room names typed before rooms existed can be turned into rooms
+ *   (and linked) with one click.
+ * - Designers add / edit / delete rooms; clients and contractors only view.
+ * - Changes by others show up live.
+ */
+
+const EMPTY_ROOM = {
+  name: "",
+  roomType: "",
+  floor: "",
+  length: "",
+  width: "",
+  height: "",
+  notes: "",
+};
+
+const DIMENSION_FIELDS = ["length", "width", "height"];
+
+function formatMeters(value) {
+  return value === null || value === undefined ? "?" : `${value}`;
+}
+
+function roomArea(room) {
+  const { length, width } = room.dimensions || {};
+  if (!length || !width) return null;
+  return Math.round(length * width * 100) / 100;
+}
+
+function usageText(usage) {
+  const parts = [
+    [usage.colorSelections, "color selection"],
+    [usage.questionnaires, "questionnaire"],
+    [usage.budgetLines, "budget line"],
+    [usage.suppliers, "supplier"],
+  ]
+    .filter(([count]) => count > 0)
+    .map(([count, label]) => `${count} ${label}${count === 1 ? "" : "s"}`);
+
+  return parts.length > 0 ? parts.join(", ") : "Not used yet";
+}
+
+export default function ProjectRoomsPage() {
+  const { projectId } = useParams();
+
+  const [project, setProject] = useState(null);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const [form, setForm] = useState(EMPTY_ROOM);
+  const [editingId, setEditingId] = useState(null);
+
+  /* ---------- Load ---------- */
+
+  async function load() {
+    try {
+      const [proj, list] = await Promise.all([
+        fetchProjectById(projectId),
+        fetchProjectRooms(projectId),
+      ]);
+      setProject(proj);
+      setData(list);
+    } catch (err) {
+      console.error("Failed to load rooms:", err);
+      setError(err.message || "Failed to load rooms");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [projectId]);
+
+  // Room edits by others, and colors linked on the colors page
+  useProjectEvents(projectId, ["rooms", "colors"], () => load());
+
+  /* ---------- Form ---------- */
+
+  function handleChange(e) {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  }
+
+  function handleEdit(room) {
+    setEditingId(room._id);
+    setForm({
+      name: room.name,
+      roomType: room.roomType || "",
+      floor: room.floor || "",
+      length: room.dimensions?.length ?? "",
+      width: room.dimensions?.width ?? "",
+      height: room.dimensions?.height ?? "",
+      notes: room.notes || "",
+    });
+  }
+
+  function handleCancel() {
+    setEditingId(null);
+    setForm(EMPTY_ROOM);
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setError("");
+    setSaving(true);
+
+    const payload = {
+      name: form.name,
+      roomType: form.roomType,
+      floor: form.floor,
+      notes: form.notes,
+      dimensions: {
+        length: form.length,
+        width: form.width,
+        height: form.height,
+      },
+    };
+
+    try {
+      if (editingId) {
+        await updateRoom(projectId, editingId, payload);
+      } else {
+        await createRoom(projectId, payload);
+      }
+      handleCancel();
+      await load();
+    } catch (err) {
+      console.error("Failed to save room:", err);
+      setError(err.message || "Failed to save room");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleDelete(room) {
+    if (
+      !window.confirm(
+        `Delete the room "${room.name}"? Colors, budget lines and suppliers of it are kept, ` +
+          "they are just no longer linked to a room."
+      )
+    ) {
+      return;
+    }
+
+    setError("");
+    try {
+      await deleteRoom(projectId, room._id);
+      if (editingId === room._id) handleCancel();
+      await load();
+    } catch (err) {
+      console.error("Failed to delete room:", err);
+      setError(err.message || "Failed to delete room");
+    }
+  }
+
+  async function handleLink() {
+    setError("");
+    setSaving(true);
+
+    try {
+      setData(await linkRoomNames(projectId));
+    } catch (err) {
+      console.error("Failed to link room names:", err);
+      setError(err.message || "Failed to link room names");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  /* ---------- Styles (simple inline for now) ---------- */
+
+  const pageStyle = {
+    minHeight: "100vh",
+    padding: "40px 16px 60px",
+    display: "flex",
+    justifyContent: "center",
+  };
+
+  const cardStyle = {
+    background: "rgba(255, 255, 255, 0.95)",
+    borderRadius: 18,
+    padding: "24px 28px 30px",
+    boxShadow: "0 18px 45px rgba(0,0,0,0.18)",
+    border: "1px solid rgba(255,192,203,0.7)",
+    width: "100%",
+    maxWidth: 1000,
+  };
+
+  const titleStyle = { fontSize: 30, fontWeight: 700, marginBottom: 6 };
+  const subStyle = { fontSize: 14, color: "#555", marginBottom: 18 };
+  const sectionTitleStyle = { fontSize: 18, fontWeight: 600, margin: "0 0 10px" };
+  const smallLabelStyle = { fontSize: 12, color: "#777" };
+
+  const labelStyleBack = {
+    display: "inline-block",
+    marginBottom: 12,
+    color: "#ff6f91",
+    fontWeight: 600,
+    fontSize: 13,
+  };
+
+  const inputStyle = {
+    fontSize: 13,
+    padding: "4px 6px",
+    boxSizing: "border-box",
+  };
+
+  const primaryButtonStyle = {
+    padding: "6px 10px",
+    borderRadius: 10,
+    border: "none",
+    cursor: "pointer",
+    fontSize: 12,
+    fontWeight: 600,
+    background: "#ff9eb5",
+  };
+
+  const secondaryButtonStyle = {
+    ...primaryButtonStyle,
+    background: "#eee",
+  };
+
+  const tableStyle = {
+    width: "100%",
+    borderCollapse: "collapse",
+    fontSize: 13,
+  };
+
+  const thStyle = {
+    textAlign: "left",
+    padding: "6px 8px",
+    borderBottom: "1px solid #f2c4d0",
+  };
+
+  const tdStyle = {
+    padding: "6px 8px",
+    borderBottom: "1px solid #f7e0e7",
+    verticalAlign: "top",
+  };
+
+  const noticeStyle = {
+    marginBottom: 18,
+    padding: "8px 10px",
+    borderRadius: 10,
+    background: "rgba(255,240,244,0.6)",
+    border: "1px solid #f6d3dc",
+    fontSize: 13,
+  };
+
+  const rooms = data?.rooms || [];
+  const unlinkedNames = data?.unlinkedNames || [];
+
+  return (
+    <div style={pageStyle}>
+      <div style={cardStyle}>
+        <Link to={`/project/${projectId}/menu`} style={labelStyleBack}>
+          ← Back to Project
+        </Link>
+
+        <h1 style={titleStyle}>Rooms</h1>
+        <p style={subStyle}>
+          {project ? `${project.name} – ` : ""}
+          the rooms of this project. Colors, questionnaires, budget lines and suppliers can be
+          linked to a room; open a room to see everything about it.
+        </p>
+
+        {error && (
+          <div
+            style={{
+              marginBottom: 16,
+              padding: "8px 10px",
+              borderRadius: 10,
+              background: "#ffe5e5",
+              color: "#b00020",
+              fontSize: 13,
+            }}
+          >
+            {error}
+          </div>
+        )}
+
+        {loading ? (
+          <p>Loading rooms...</p>
+        ) : (
+          <>
+            {data?.canEdit && unlinkedNames.length > 0 && (
+              <div style={noticeStyle}>
+                Colors or budget lines use room names that are not rooms yet:{" "}
+                <strong>{unlinkedNames.join(", ")}</strong>.{" "}
+                <button
+                  type="button"
+                  style={primaryButtonStyle}
+                  disabled={saving}
+                  onClick={handleLink}
+                >
+                  Create & link these rooms
+                </button>
+              </div>
+            )}
+
+            <section style={{ marginBottom: 24 }}>
+              {rooms.length === 0 ? (
+                <p style={smallLabelStyle}>No rooms yet.</p>
+              ) : (
+                <table style={tableStyle}>
+                  <thead>
+                    <tr>
+                      <th style={thStyle}>Room</th>
+                      <th style={thStyle}>Type</th>
+                      <th style={thStyle}>Floor</th>
+                      <th style={thStyle}>L × W × H (m)</th>
+                      <th style={thStyle}>Area</th>
+                      <th style={thStyle}>Used by</th>
+                      {data?.canEdit && <th style={thStyle} />}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rooms.map((room) => {
+                      const area = roomArea(room);
+                      return (
+                        <tr key={room._id}>
+                          <td style={tdStyle}>
+                            <Link to={`/project/${projectId}/rooms/${room._id}`}>
+                              <strong>{room.name}</strong>
+                            </Link>
+                            {room.notes && <div style={smallLabelStyle}>{room.notes}</div>}
+                          </td>
+                          <td style={tdStyle}>{room.roomType || "-"}</td>
+                          <td style={tdStyle}>{room.floor || "-"}</td>
+                          <td style={tdStyle}>
+                            {DIMENSION_FIELDS.map((key) =>
+                              formatMeters(room.dimensions?.[key])
+                            ).join(" × ")}
+                          </td>
+                          <td style={tdStyle}>{area === null ? "-" : `${area} m²`}</td>
+                          <td style={tdStyle}>{usageText(room.usage)}</td>
+                          {data?.canEdit && (
+                            <td style={{ ...tdStyle, whiteSpace: "nowrap" }}>
+                              <button
+                                type="button"
+                                style={{ ...secondaryButtonStyle, marginRight: 6 }}
+                                onClick={() => handleEdit(room)}
+                              >
+                                Edit
+                              </button>
+                              <button
+                                type="button"
+                                style={secondaryButtonStyle}
+                                onClick={() => handleDelete(room)}
+                              >
+                                Delete
+                              </button>
+                            </td>
+                          )}
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              )}
+            </section>
+
+            {data?.canEdit && (
+              <section>
+                <h2 style={sectionTitleStyle}>{editingId ? "Edit room" : "Add a room"}</h2>
+
+                <form onSubmit={handleSubmit}>
+                  <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 6 }}>
+                    <input
+                      name="name"
+                      placeholder="Name (e.g. Master bedroom)"
+                      value={form.name}
+                      onChange={handleChange}
+                      style={{ ...inputStyle, flex: "1 1 200px" }}
+                      required
+                    />
+                    <input
+                      name="roomType"
+                      placeholder="Type (e.g. bedroom)"
+                      value={form.roomType}
+                      onChange={handleChange}
+                      style={inputStyle}
+                    />
+                    <input
+                      name="floor"
+                      placeholder="Floor"
+                      value={form.floor}
+                      onChange={handleChange}
+                      style={{ ...inputStyle, width: 90 }}
+                    />
+                  </div>
+
+                  <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 6 }}>
+                    {DIMENSION_FIELDS.map((key) => (
+                      <input
+                        key={key}
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        name={key}
+                        placeholder={`${key[0].toUpperCase()}${key.slice(1)} (m)`}
+                        value={form[key]}
+                        onChange={handleChange}
+                        style={{ ...inputStyle, width: 110 }}
+                      />
+                    ))}
+                  </div>
+
+                  <textarea
+                    name="notes"
+                    rows={2}
+                    placeholder="Notes (optional)"
+                    value={form.notes}
+                    onChange={handleChange}
+                    style={{ ...inputStyle, width: "100%", marginBottom: 6 }}
+                  />
+
+                  <button
+                    type="submit"
+                    style={{ ...primaryButtonStyle, marginRight: 8 }}
+                    disabled={saving}
+                  >
+                    {saving ? "Saving..." : editingId ? "Save room" : "Add room"}
+                  </button>
+                  {editingId && (
+                    <button type="button" style={secondaryButtonStyle} onClick={handleCancel}>
+                      Cancel
+                    </button>
+                  )}
+                </form>
+              </section>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,318 @@
+// client/src/pages/ProjectTeamPage.js
+
+import React, { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import {
+  fetchProjectTeam,
+  addProjectTeamMember,
+  updateProjectTeamMember,
+  removeProjectTeamMember,
+} from "../api";
+
+/**
+ * ProjectTeamPage
+ *
+ * Shows everyone who has a role on a project and what that role is.
+ * - Studio designers default to lead designer, linked clients to client.
+ * - The lead designer (team:manage) can add assistants, contractors and
+ *   client approvers by username, change roles and remove explicit roles.
+ * - Everyone else sees the team read-only.
+ */
+
+const ROLE_LABELS = {
+  lead_designer: "Lead designer",
+  assistant: "Assistant",
+  contractor: "Contractor (read-only)",
+  client: "Client",
+  client_approver: "Client (approver)",
+  studio_viewer: "Studio viewer (read-only)",
+};
+
+// Roles that can be assigned explicitly (studio_viewer comes from the studio)
+const ASSIGNABLE_ROLES = [
+  "lead_designer",
+  "assistant",
+  "contractor",
+  "client",
+  "client_approver",
+];
+
+export default function ProjectTeamPage() {
+  const { projectId } = useParams();
+
+  const [team, setTeam] = useState([]);
+  const [myPermissions, setMyPermissions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+
+  const [memberForm, setMemberForm] = useState({ username: "", role: "assistant" });
+
+  const canManage = myPermissions.includes("team:manage");
+
+  /* ---------- Load team ---------- */
+
+  async function loadTeam() {
+    setLoading(true);
+    setError("");
+
+    try {
+      const data = await fetchProjectTeam(projectId);
+      setTeam(data.team || []);
+      setMyPermissions(data.myPermissions || []);
+    } catch (err) {
+      console.error("Failed to load project team:", err);
+      setError(err.message || "Failed to load project team");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    loadTeam();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [projectId]);
+
+  /* ---------- Lead designer actions ---------- */
+
+  async function runAction(action, successMessage) {
+    setError("");
+    setMessage("");
+
+    try {
+      const data = await action();
+      if (data?.team) setTeam(data.team);
+      setMessage(successMessage);
+      return true;
+    } catch (err) {
+      console.error("Team action failed:", err);
+      setError(err.message || "Action failed");
+      return false;
+    }
+  }
+
+  async function handleAddMember(e) {
+    e.preventDefault();
+    const ok = await runAction(
+      () => addProjectTeamMember(projectId, memberForm.username, memberForm.role),
+      `${memberForm.username} was added to the project.`
+    );
+    if (ok) setMemberForm({ username: "", role: "assistant" });
+  }
+
+  function handleRoleChange(userId, role) {
+    runAction(() => updateProjectTeamMember(projectId, userId, role), "Role updated.");
+  }
+
+  function handleRemove(member) {
+    if (!window.confirm(`Remove the project role of ${member.user?.username}?`)) return;
+    runAction(() => removeProjectTeamMember(projectId, member.user?._id), "Project role removed.");
+  }
+
+  /* ---------- Styles (simple inline for now) ---------- */
+
+  const pageStyle = {
+    minHeight: "100vh",
+    padding: "40px 16px 60px",
+    display: "flex",
+    justifyContent: "center",
+  };
+
+  const cardStyle = {
+    background: "rgba(255, 255, 255, 0.95)",
+    borderRadius: 18,
+    padding: "24px 28px 30px",
+    boxShadow: "0 18px 45px rgba(0,0,0,0.18)",
+    border: "1px solid rgba(255,192,203,0.7)",
+    width: "100%",
+    maxWidth: 900,
+  };
+
+  const titleStyle = { fontSize: 30, fontWeight: 700, marginBottom: 6 };
+  const subStyle = { fontSize: 14, color: "#555", marginBottom: 22 };
+  const smallLabelStyle = { fontSize: 12, color: "#777" };
+
+  const inputStyle = {
+    fontSize: 13,
+    padding: "4px 6px",
+    boxSizing: "border-box",
+  };
+
+  const primaryButtonStyle = {
+    padding: "6px 10px",
+    borderRadius: 10,
+    border: "none",
+    cursor: "pointer",
+    fontSize: 12,
+    fontWeight: 600,
+    background: "#ff9eb5",
+  };
+
+  const secondaryButtonStyle = {
+    ...primaryButtonStyle,
+    background: "#eee",
+  };
+
+  const tableStyle = { width: "100%", borderCollapse: "collapse", fontSize: 13 };
+
+  const thStyle = {
+    textAlign: "left",
+    padding: "8px 10px",
+    borderBottom: "2px solid #f0b6c4",
+    background: "rgba(255,240,244,0.8)",
+  };
+
+  const tdStyle = { padding: "7px 10px", borderBottom: "1px solid #f2f2f2" };
+
+  const labelStyleBack = {
+    display: "inline-block",
+    marginBottom: 12,
+    color: "#ff6f91",
+    fontWeight: 600,
+    fontSize: 13,
+  };
+
+  return (
+    <div style={pageStyle}>
+      <main style={cardStyle}>
+        <Link to={`/project/${projectId}/menu`} style={labelStyleBack}>
+          Back to Project
+        </Link>
+
+        <h1 style={titleStyle}>Project Team</h1>
+        <p style={subStyle}>
+          Who works on this project and what each person is allowed to do.
+        </p>
+
+        {error && (
+          <div
+            style={{
+              marginBottom: 14,
+              padding: "8px 10px",
+              borderRadius: 10,
+              background: "#ffe5e5",
+              color: "#b00020",
+              fontSize: 13,
+            }}
+          >
+            {error}
+          </div>
+        )}
+
+        {message && (
+          <div
+            style={{
+              marginBottom: 14,
+              padding: "6px 10px",
+              borderRadius: 10,
+              background: "#e5ffe8",
+              color: "#1b5e20",
+              fontSize: 13,
+            }}
+          >
+            {message}
+          </div>
+        )}
+
+        {loading ? (
+          <p>Loading team...</p>
+        ) : (
+          <>
+            {/* Add member (lead designer only) */}
+            {canManage && (
+              <section style={{ marginBottom: 20 }}>
+                <div style={{ ...smallLabelStyle, marginBottom: 6 }}>Add Team Member</div>
+                <form onSubmit={handleAddMember} style={{ display: "flex", gap: 8 }}>
+                  <input
+                    type="text"
+                    placeholder="Username"
+                    value={memberForm.username}
+                    onChange={(e) =>
+                      setMemberForm((prev) => ({ ...prev, username: e.target.value }))
+                    }
+                    required
+                    style={{ ...inputStyle, flex: 1 }}
+                  />
+                  <select
+                    value={memberForm.role}
+                    onChange={(e) =>
+                      setMemberForm((prev) => ({ ...prev, role: e.target.value }))
+                    }
+                    style={inputStyle}
+                  >
+                    {ASSIGNABLE_ROLES.map((value) => (
+                      <option key={value} value={value}>
+                        {ROLE_LABELS[value]}
+                      </option>
+                    ))}
+                  </select>
+                  <button type="submit" style={primaryButtonStyle}>
+                    Add
+                  </button>
+                </form>
+                <div style={{ ...smallLabelStyle, marginTop: 6 }}>
+                  Clients must accept the project invite before they can become approvers.
+                </div>
+              </section>
+            )}
+
+            {/* Team list */}
+            <section>
+              <table style={tableStyle}>
+                <thead>
+                  <tr>
+                    <th style={thStyle}>Username</th>
+                    <th style={thStyle}>Account</th>
+                    <th style={thStyle}>Project Role</th>
+                    {canManage && <th style={thStyle}>Actions</th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {team.map((m) => (
+                    <tr key={m.user?._id}>
+                      <td style={tdStyle}>{m.user?.username}</td>
+                      <td style={tdStyle}>{m.user?.accountRole}</td>
+                      <td style={tdStyle}>
+                        {canManage && m.role !== "studio_viewer" ? (
+                          <select
+                            value={m.role}
+                            onChange={(e) => handleRoleChange(m.user?._id, e.target.value)}
+                            style={inputStyle}
+                          >
+                            {ASSIGNABLE_ROLES.map((value) => (
+                              <option key={value} value={value}>
+                                {ROLE_LABELS[value]}
+                              </option>
+                            ))}
+                          </select>
+                        ) : (
+                          ROLE_LABELS[m.role] || m.role
+                        )}
+                        {!m.explicit && (
+                          <span style={{ ...smallLabelStyle, marginLeft: 6 }}>(default)</span>
+                        )}
+                      </td>
+                      {canManage && (
+                        <td style={tdStyle}>
+                          {m.explicit && (
+                            <button
+                              type="button"
+                              style={secondaryButtonStyle}
+                              onClick={() => handleRemove(m)}
+                            >
+                              Remove Role
+                            </button>
+                          )}
+                        </td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </section>
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
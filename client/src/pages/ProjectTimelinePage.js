@@ -0,0 +1,895 @@
+// client/src/pages/ProjectTimelinePage.js
+
+import React, { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import {
+  fetchProjectById,
+  fetchProjectTimeline,
+  createPhase,
+  updatePhase,
+  deletePhase,
+  createTimelineTask,
+  updateTimelineTask,
+  deleteTimelineTask,
+} from "../api";
+
+/**
+ * ProjectTimelinePage
+ *
+ * Schedule of a single project as a Gantt chart.
+ * - Phases (demolition, electrical, carpentry...) group the tasks; a phase
+ *   spans from its first task to its last one.
+ * - Tasks have start / end dates, a status, an assignee (one of the
+ *   project's workers) and dependencies on other tasks.
+ * - Milestones are single-day tasks, drawn as a diamond.
+ * - Late tasks, dependency conflicts and "waiting on" come from the server.
+ * - timeline:edit (lead designer / assistant) manages phases and tasks;
+ *   everyone else with a project role only views the chart.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EMPTY_PHASE = { name: "", color: "#ff6f91" };
+
+const EMPTY_TASK = {
+  title: "",
+  phase: "",
+  startDate: "",
+  endDate: "",
+  milestone: false,
+  assignee: "",
+  status: "not_started",
+  dependsOn: [],
+  description: "",
+};
+
+const STATUS_LABELS = {
+  not_started: "Not started",
+  in_progress: "In progress",
+  done: "Done",
+  blocked: "Blocked",
+};
+
+function toDateInput(value) {
+  return value ? String(value).slice(0, 10) : "";
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleDateString() : "-";
+}
+
+export default function ProjectTimelinePage() {
+  const { projectId } = useParams();
+
+  const [project, setProject] = useState(null);
+  const [timeline, setTimeline] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  // Add / edit forms (editing id null = add new)
+  const [phaseForm, setPhaseForm] = useState(EMPTY_PHASE);
+  const [editingPhaseId, setEditingPhaseId] = useState(null);
+  const [taskForm, setTaskForm] = useState(EMPTY_TASK);
+  const [editingTaskId, setEditingTaskId] = useState(null);
+
+  const canEdit = Boolean(timeline?.canEdit);
+
+  /* ---------- Load project + timeline ---------- */
+
+  async function loadTimeline() {
+    setError("");
+
+    try {
+      const [proj, data] = await Promise.all([
+        fetchProjectById(projectId),
+        fetchProjectTimeline(projectId),
+      ]);
+      setProject(proj);
+      setTimeline(data);
+    } catch (err) {
+      console.error("Failed to load timeline:", err);
+      setError(err.message || "Failed to load timeline");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    loadTimeline();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [projectId]);
+
+  /* ---------- Phases ---------- */
+
+  function handlePhaseChange(e) {
+    const { name, value } = e.target;
+    setPhaseForm((prev) => ({ ...prev, [name]: value }));
+  }
+
+  function resetPhaseForm() {
+    setPhaseForm(EMPTY_PHASE);
+    setEditingPhaseId(null);
+  }
+
+  async function handleSavePhase(e) {
+    e.preventDefault();
+    setError("");
+
+    try {
+      const res = editingPhaseId
+        ? await updatePhase(projectId, editingPhaseId, phaseForm)
+        : await createPhase(projectId, phaseForm);
+
+      setTimeline(res);
+      resetPhaseForm();
+    } catch (err) {
+      console.error("Failed to save phase:", err);
+      setError(err.message || "Failed to save phase");
+    }
+  }
+
+  function handleEditPhase(phase) {
+    setEditingPhaseId(phase._id);
+    setPhaseForm({ name: phase.name, color: phase.color || "#ff6f91" });
+  }
+
+  async function handleMovePhase(phase, direction) {
+    const phases = timeline.phases;
+    const index = phases.findIndex((p) => p._id === phase._id);
+    const other = phases[index + direction];
+    if (!other) return;
+    setError("");
+
+    try {
+      await updatePhase(projectId, phase._id, { order: other.order });
+      const res = await updatePhase(projectId, other._id, { order: phase.order });
+      setTimeline(res);
+    } catch (err) {
+      console.error("Failed to reorder phases:", err);
+      setError(err.message || "Failed to reorder phases");
+    }
+  }
+
+  async function handleDeletePhase(phase) {
+    if (!window.confirm("Delete this phase? Its tasks stay on the timeline.")) return;
+    setError("");
+
+    try {
+      const res = await deletePhase(projectId, phase._id);
+      setTimeline(res);
+      if (editingPhaseId === phase._id) resetPhaseForm();
+    } catch (err) {
+      console.error("Failed to delete phase:", err);
+      setError(err.message || "Failed to delete phase");
+    }
+  }
+
+  /* ---------- Tasks ---------- */
+
+  function handleTaskChange(e) {
+    const { name, value, type, checked, selectedOptions } = e.target;
+
+    if (name === "dependsOn") {
+      const ids = Array.from(selectedOptions).map((o) => o.value);
+      setTaskForm((prev) => ({ ...prev, dependsOn: ids }));
+      return;
+    }
+
+    setTaskForm((prev) => ({ ...prev, [name]: type === "checkbox" ? checked : value }));
+  }
+
+  function resetTaskForm() {
+    setTaskForm(EMPTY_TASK);
+    setEditingTaskId(null);
+  }
+
+  async function handleSaveTask(e) {
+    e.preventDefault();
+    setError("");
+
+    const payload = {
+      ...taskForm,
+      phase: taskForm.phase || null,
+      assignee: taskForm.assignee || null,
+      endDate: taskForm.milestone ? taskForm.startDate : taskForm.endDate,
+    };
+
+    try {
+      const res = editingTaskId
+        ? await updateTimelineTask(projectId, editingTaskId, payload)
+        : await createTimelineTask(projectId, payload);
+
+      setTimeline(res);
+      resetTaskForm();
+    } catch (err) {
+      console.error("Failed to save task:", err);
+      setError(err.message || "Failed to save task");
+    }
+  }
+
+  function handleEditTask(task) {
+    setEditingTaskId(task._id);
+    setTaskForm({
+      title: task.title,
+      phase: task.phase || "",
+      startDate: toDateInput(task.startDate),
+      endDate: toDateInput(task.endDate),
+      milestone: Boolean(task.milestone),
+      assignee: task.assignee || "",
+      status: task.status,
+      dependsOn: task.dependsOn || [],
+      description: task.description || "",
+    });
+  }
+
+  async function handleStatusChange(task, status) {
+    setError("");
+
+    try {
+      const res = await updateTimelineTask(projectId, task._id, { status });
+      setTimeline(res);
+    } catch (err) {
+      console.error("Failed to update task status:", err);
+      setError(err.message || "Failed to update task status");
+    }
+  }
+
+  async function handleDeleteTask(task) {
+    if (!window.confirm("Delete this task? Tasks that depend on it lose that link.")) return;
+    setError("");
+
+    try {
+      const res = await deleteTimelineTask(projectId, task._id);
+      setTimeline(res);
+      if (editingTaskId === task._id) resetTaskForm();
+    } catch (err) {
+      console.error("Failed to delete task:", err);
+      setError(err.message || "Failed to delete task");
+    }
+  }
+
+  /* ---------- Gantt geometry ---------- */
+
+  const rangeStart = timeline ? new Date(toDateInput(timeline.range.start)).getTime() : 0;
+  const rangeEnd = timeline ? new Date(toDateInput(timeline.range.end)).getTime() : 0;
+  const totalDays = Math.max(Math.round((rangeEnd - rangeStart) / DAY_MS) + 1, 1);
+
+  // Left offset + width of a bar, in % of the chart width
+  function barPosition(start, end) {
+    const from = (new Date(toDateInput(start)).getTime() - rangeStart) / DAY_MS;
+    const to = (new Date(toDateInput(end)).getTime() - rangeStart) / DAY_MS + 1;
+    return {
+      left: `${(from / totalDays) * 100}%`,
+      width: `${(Math.max(to - from, 1) / totalDays) * 100}%`,
+    };
+  }
+
+  // One tick per month (or per week for short schedules); dates are UTC days
+  function axisTicks() {
+    const ticks = [];
+    const weekly = totalDays <= 70;
+    const date = new Date(rangeStart);
+
+    if (weekly) {
+      while (date.getTime() <= rangeEnd) {
+        ticks.push({
+          time: date.getTime(),
+          label: date.toLocaleDateString(undefined, { timeZone: "UTC" }),
+        });
+        date.setUTCDate(date.getUTCDate() + 7);
+      }
+      return ticks;
+    }
+
+    date.setUTCDate(1);
+    if (date.getTime() < rangeStart) date.setUTCMonth(date.getUTCMonth() + 1);
+    while (date.getTime() <= rangeEnd) {
+      ticks.push({
+        time: date.getTime(),
+        label: date.toLocaleDateString(undefined, {
+          month: "short",
+          year: "numeric",
+          timeZone: "UTC",
+        }),
+      });
+      date.setUTCMonth(date.getUTCMonth() + 1);
+    }
+    return ticks;
+  }
+
+  const phaseById = (id) => (timeline?.phases || []).find((p) => p._id === id);
+  const taskById = (id) => (timeline?.tasks || []).find((t) => t._id === id);
+  const workerName = (id) => {
+    const worker = (timeline?.workers || []).find((w) => w._id === id);
+    return worker ? worker.workerName || worker.role || "Worker" : "";
+  };
+
+  /* ---------- Styles (simple inline for now) ---------- */
+
+  const pageStyle = {
+    minHeight: "100vh",
+    padding: "40px 16px 60px",
+    display: "flex",
+    justifyContent: "center",
+  };
+
+  const cardStyle = {
+    background: "rgba(255, 255, 255, 0.95)",
+    borderRadius: 18,
+    padding: "24px 28px 30px",
+    boxShadow: "0 18px 45px rgba(0,0,0,0.18)",
+    border: "1px solid rgba(255,192,203,0.7)",
+    width: "100%",
+    maxWidth: 1200,
+  };
+
+  const titleStyle = { fontSize: 30, fontWeight: 700, marginBottom: 6 };
+  const subStyle = { fontSize: 14, color: "#555", marginBottom: 18 };
+  const sectionTitleStyle = { fontSize: 18, fontWeight: 600, margin: "22px 0 10px" };
+  const smallLabelStyle = { fontSize: 12, color: "#777" };
+
+  const labelStyleBack = {
+    display: "inline-block",
+    marginBottom: 12,
+    color: "#ff6f91",
+    fontWeight: 600,
+    fontSize: 13,
+  };
+
+  const inputStyle = {
+    fontSize: 13,
+    padding: "4px 6px",
+    boxSizing: "border-box",
+  };
+
+  const primaryButtonStyle = {
+    padding: "6px 10px",
+    borderRadius: 10,
+    border: "none",
+    cursor: "pointer",
+    fontSize: 12,
+    fontWeight: 600,
+    background: "#ff9eb5",
+  };
+
+  const secondaryButtonStyle = {
+    ...primaryButtonStyle,
+    background: "#eee",
+  };
+
+  const tableStyle = { width: "100%", borderCollapse: "collapse", fontSize: 13 };
+
+  const thStyle = {
+    textAlign: "left",
+    padding: "8px 10px",
+    borderBottom: "2px solid #f0b6c4",
+    background: "rgba(255,240,244,0.8)",
+  };
+
+  const tdStyle = { padding: "7px 10px", borderBottom: "1px solid #f2f2f2" };
+
+  const ganttRowStyle = {
+    display: "flex",
+    alignItems: "center",
+    minHeight: 30,
+    borderBottom: "1px solid #f2f2f2",
+  };
+
+  const ganttLabelStyle = {
+    width: 220,
+    flexShrink: 0,
+    fontSize: 13,
+    paddingRight: 10,
+    overflow: "hidden",
+    textOverflow: "ellipsis",
+    whiteSpace: "nowrap",
+  };
+
+  const ganttTrackStyle = { position: "relative", flex: 1, height: 30 };
+
+  const barStyle = (task) => {
+    const color = phaseById(task.phase)?.color || "#b39ddb";
+    return {
+      position: "absolute",
+      top: 7,
+      height: 16,
+      borderRadius: 6,
+      background: color,
+      opacity: task.status === "done" ? 0.45 : 1,
+      border: task.late ? "2px solid #b00020" : "none",
+      boxSizing: "border-box",
+      ...barPosition(task.startDate, task.endDate),
+    };
+  };
+
+  const milestoneStyle = (task) => ({
+    position: "absolute",
+    top: 8,
+    width: 14,
+    height: 14,
+    marginLeft: -7,
+    transform: "rotate(45deg)",
+    background: task.status === "done" ? "#9e9e9e" : "#ff6f91",
+    border: task.late ? "2px solid #b00020" : "none",
+    boxSizing: "border-box",
+    left: barPosition(task.startDate, task.startDate).left,
+  });
+
+  const todayTime = new Date(toDateInput(new Date().toISOString())).getTime();
+  const showToday = timeline && todayTime >= rangeStart && todayTime <= rangeEnd;
+
+  const todayLineStyle = {
+    position: "absolute",
+    top: 0,
+    bottom: 0,
+    width: 0,
+    borderLeft: "2px dashed rgba(176,0,32,0.5)",
+    left: showToday ? barPosition(new Date(todayTime), new Date(todayTime)).left : 0,
+  };
+
+  const tasks = timeline?.tasks || [];
+  const phases = timeline?.phases || [];
+  const unphased = tasks.filter((t) => !t.phase || !phaseById(t.phase));
+
+  function renderTaskRow(task) {
+    const warnings = [];
+    if (task.late) warnings.push("late");
+    if (task.conflicts.length > 0) {
+      warnings.push(
+        `starts before ${task.conflicts.map((id) => taskById(id)?.title).join(", ")} ends`
+      );
+    }
+
+    return (
+      <div key={task._id} style={ganttRowStyle}>
+        <div style={{ ...ganttLabelStyle, paddingLeft: 14 }} title={task.title}>
+          {task.milestone ? "◆ " : ""}
+          {task.title}
+          {task.assignee && <span style={smallLabelStyle}> · {workerName(task.assignee)}</span>}
+        </div>
+        <div style={ganttTrackStyle}>
+          {showToday && <div style={todayLineStyle} />}
+          <div
+            style={task.milestone ? milestoneStyle(task) : barStyle(task)}
+            title={`${task.title}: ${formatDate(task.startDate)} – ${formatDate(task.endDate)}${
+              warnings.length ? ` (${warnings.join("; ")})` : ""
+            }`}
+          />
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div style={pageStyle}>
+      <main style={cardStyle}>
+        <Link to={`/project/${projectId}/menu`} style={labelStyleBack}>
+          Back to Project
+        </Link>
+
+        <h1 style={titleStyle}>Timeline</h1>
+        <p style={subStyle}>
+          {project?.name ? `${project.name} – ` : ""}phases, tasks and milestones.
+        </p>
+
+        {error && (
+          <div
+            style={{
+              marginBottom: 14,
+              padding: "8px 10px",
+              borderRadius: 10,
+              background: "#ffe5e5",
+              color: "#b00020",
+              fontSize: 13,
+            }}
+          >
+            {error}
+          </div>
+        )}
+
+        {loading || !timeline ? (
+          <p>{loading ? "Loading timeline..." : "Timeline not available."}</p>
+        ) : (
+          <>
+            {/* Gantt chart */}
+            <p style={smallLabelStyle}>
+              {formatDate(timeline.range.start)} – {formatDate(timeline.range.end)}
+              {showToday && " · dashed line = today"}
+            </p>
+
+            {tasks.length === 0 ? (
+              <p style={{ fontSize: 13 }}>No tasks on the timeline yet.</p>
+            ) : (
+              <div style={{ overflowX: "auto" }}>
+                <div style={{ minWidth: 760 }}>
+                  <div style={{ ...ganttRowStyle, borderBottom: "2px solid #f0b6c4" }}>
+                    <div style={{ ...ganttLabelStyle, fontWeight: 600 }}>Task</div>
+                    <div style={ganttTrackStyle}>
+                      {axisTicks().map((tick) => (
+                        <span
+                          key={tick.time}
+                          style={{
+                            position: "absolute",
+                            top: 8,
+                            fontSize: 11,
+                            color: "#777",
+                            whiteSpace: "nowrap",
+                            left: barPosition(new Date(tick.time), new Date(tick.time)).left,
+                          }}
+                        >
+                          {tick.label}
+                        </span>
+                      ))}
+                    </div>
+                  </div>
+
+                  {phases.map((phase) => (
+                    <React.Fragment key={phase._id}>
+                      <div style={{ ...ganttRowStyle, background: "rgba(255,240,244,0.6)" }}>
+                        <div style={{ ...ganttLabelStyle, fontWeight: 600 }} title={phase.name}>
+                          {phase.name}
+                          <span style={smallLabelStyle}>
+                            {" "}
+                            ({phase.done}/{phase.taskCount})
+                          </span>
+                        </div>
+                        <div style={ganttTrackStyle}>
+                          {phase.start && (
+                            <div
+                              style={{
+                                position: "absolute",
+                                top: 11,
+                                height: 8,
+                                borderRadius: 4,
+                                background: phase.color,
+                                opacity: 0.35,
+                                ...barPosition(phase.start, phase.end),
+                              }}
+                            />
+                          )}
+                        </div>
+                      </div>
+                      {tasks.filter((t) => t.phase === phase._id).map(renderTaskRow)}
+                    </React.Fragment>
+                  ))}
+
+                  {unphased.length > 0 && (
+                    <>
+                      {phases.length > 0 && (
+                        <div style={{ ...ganttRowStyle, background: "#f7f7f7" }}>
+                          <div style={{ ...ganttLabelStyle, fontWeight: 600 }}>No phase</div>
+                        </div>
+                      )}
+                      {unphased.map(renderTaskRow)}
+                    </>
+                  )}
+                </div>
+              </div>
+            )}
+
+            {/* Phases */}
+            {canEdit && (
+              <>
+                <h2 style={sectionTitleStyle}>Phases</h2>
+                <form
+                  onSubmit={handleSavePhase}
+                  style={{ display: "flex", gap: 8, marginBottom: 12, flexWrap: "wrap" }}
+                >
+                  <input
+                    name="name"
+                    placeholder="Phase name (e.g. Electrical)"
+                    value={phaseForm.name}
+                    onChange={handlePhaseChange}
+                    required
+                    style={{ ...inputStyle, flex: 1 }}
+                  />
+                  <input
+                    name="color"
+                    type="color"
+                    value={phaseForm.color}
+                    onChange={handlePhaseChange}
+                    style={{ ...inputStyle, width: 50, padding: 0 }}
+                  />
+                  <button type="submit" style={primaryButtonStyle}>
+                    {editingPhaseId ? "Save Phase" : "Add Phase"}
+                  </button>
+                  {editingPhaseId && (
+                    <button type="button" style={secondaryButtonStyle} onClick={resetPhaseForm}>
+                      Cancel
+                    </button>
+                  )}
+                </form>
+
+                {phases.length === 0 ? (
+                  <p style={{ fontSize: 13 }}>No phases yet.</p>
+                ) : (
+                  <table style={tableStyle}>
+                    <thead>
+                      <tr>
+                        <th style={thStyle}>Phase</th>
+                        <th style={thStyle}>From</th>
+                        <th style={thStyle}>To</th>
+                        <th style={thStyle}>Tasks</th>
+                        <th style={thStyle}>Actions</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {phases.map((phase, index) => (
+                        <tr key={phase._id}>
+                          <td style={tdStyle}>
+                            <span
+                              style={{
+                                display: "inline-block",
+                                width: 10,
+                                height: 10,
+                                borderRadius: 3,
+                                marginRight: 6,
+                                background: phase.color,
+                              }}
+                            />
+                            {phase.name}
+                          </td>
+                          <td style={tdStyle}>{formatDate(phase.start)}</td>
+                          <td style={tdStyle}>{formatDate(phase.end)}</td>
+                          <td style={tdStyle}>
+                            {phase.done}/{phase.taskCount} done
+                          </td>
+                          <td style={tdStyle}>
+                            <button
+                              type="button"
+                              style={secondaryButtonStyle}
+                              disabled={index === 0}
+                              onClick={() => handleMovePhase(phase, -1)}
+                            >
+                              ↑
+                            </button>
+                            <button
+                              type="button"
+                              style={{ ...secondaryButtonStyle, marginLeft: 6 }}
+                              disabled={index === phases.length - 1}
+                              onClick={() => handleMovePhase(phase, 1)}
+                            >
+                              ↓
+                            </button>
+                            <button
+                              type="button"
+                              style={{ ...secondaryButtonStyle, marginLeft: 6 }}
+                              onClick={() => handleEditPhase(phase)}
+                            >
+                              Edit
+                            </button>
+                            <button
+                              type="button"
+                              style={{ ...secondaryButtonStyle, marginLeft: 6 }}
+                              onClick={() => handleDeletePhase(phase)}
+                            >
+                              Delete
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </>
+            )}
+
+            {/* Tasks */}
+            <h2 style={sectionTitleStyle}>Tasks</h2>
+
+            {canEdit && (
+              <form
+                onSubmit={handleSaveTask}
+                style={{ display: "flex", gap: 8, marginBottom: 12, flexWrap: "wrap" }}
+              >
+                <input
+                  name="title"
+                  placeholder="Task title"
+                  value={taskForm.title}
+                  onChange={handleTaskChange}
+                  required
+                  style={{ ...inputStyle, flex: 1, minWidth: 180 }}
+                />
+                <select
+                  name="phase"
+                  value={taskForm.phase}
+                  onChange={handleTaskChange}
+                  style={inputStyle}
+                >
+                  <option value="">No phase</option>
+                  {phases.map((p) => (
+                    <option key={p._id} value={p._id}>
+                      {p.name}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  name="startDate"
+                  type="date"
+                  value={taskForm.startDate}
+                  onChange={handleTaskChange}
+                  required
+                  style={inputStyle}
+                />
+                {!taskForm.milestone && (
+                  <input
+                    name="endDate"
+                    type="date"
+                    value={taskForm.endDate}
+                    min={taskForm.startDate || undefined}
+                    onChange={handleTaskChange}
+                    style={inputStyle}
+                  />
+                )}
+                <label style={{ fontSize: 13, display: "flex", alignItems: "center", gap: 4 }}>
+                  <input
+                    name="milestone"
+                    type="checkbox"
+                    checked={taskForm.milestone}
+                    onChange={handleTaskChange}
+                  />
+                  Milestone
+                </label>
+                <select
+                  name="assignee"
+                  value={taskForm.assignee}
+                  onChange={handleTaskChange}
+                  style={inputStyle}
+                >
+                  <option value="">Unassigned</option>
+                  {timeline.workers.map((w) => (
+                    <option key={w._id} value={w._id}>
+                      {w.workerName || "Worker"}
+                      {w.role ? ` (${w.role})` : ""}
+                    </option>
+                  ))}
+                </select>
+                <select
+                  name="status"
+                  value={taskForm.status}
+                  onChange={handleTaskChange}
+                  style={inputStyle}
+                >
+                  {timeline.statuses.map((s) => (
+                    <option key={s} value={s}>
+                      {STATUS_LABELS[s] || s}
+                    </option>
+                  ))}
+                </select>
+
+                <div style={{ width: "100%", display: "flex", gap: 8, flexWrap: "wrap" }}>
+                  <label style={{ ...smallLabelStyle, display: "flex", flexDirection: "column" }}>
+                    Depends on (Ctrl / Cmd + click for several)
+                    <select
+                      name="dependsOn"
+                      multiple
+                      value={taskForm.dependsOn}
+                      onChange={handleTaskChange}
+                      style={{ ...inputStyle, minWidth: 220, height: 70 }}
+                    >
+                      {tasks
+                        .filter((t) => t._id !== editingTaskId)
+                        .map((t) => (
+                          <option key={t._id} value={t._id}>
+                            {t.title}
+                          </option>
+                        ))}
+                    </select>
+                  </label>
+                  <textarea
+                    name="description"
+                    placeholder="Description (optional)"
+                    value={taskForm.description}
+                    onChange={handleTaskChange}
+                    style={{ ...inputStyle, flex: 1, minHeight: 70 }}
+                  />
+                </div>
+
+                <button type="submit" style={primaryButtonStyle}>
+                  {editingTaskId ? "Save Task" : "Add Task"}
+                </button>
+                {editingTaskId && (
+                  <button type="button" style={secondaryButtonStyle} onClick={resetTaskForm}>
+                    Cancel
+                  </button>
+                )}
+              </form>
+            )}
+
+            {tasks.length === 0 ? (
+              <p style={{ fontSize: 13 }}>No tasks yet.</p>
+            ) : (
+              <table style={tableStyle}>
+                <thead>
+                  <tr>
+                    <th style={thStyle}>Task</th>
+                    <th style={thStyle}>Phase</th>
+                    <th style={thStyle}>Dates</th>
+                    <th style={thStyle}>Assignee</th>
+                    <th style={thStyle}>Depends on</th>
+                    <th style={thStyle}>Status</th>
+                    {canEdit && <th style={thStyle}>Actions</th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {tasks.map((task) => (
+                    <tr key={task._id}>
+                      <td style={tdStyle}>
+                        {task.milestone ? "◆ " : ""}
+                        {task.title}
+                        {task.description && (
+                          <div style={smallLabelStyle}>{task.description}</div>
+                        )}
+                      </td>
+                      <td style={tdStyle}>{phaseById(task.phase)?.name || "-"}</td>
+                      <td style={tdStyle}>
+                        {task.milestone
+                          ? formatDate(task.startDate)
+                          : `${formatDate(task.startDate)} – ${formatDate(task.endDate)}`}
+                        {task.late && (
+                          <div style={{ ...smallLabelStyle, color: "#b00020" }}>Late</div>
+                        )}
+                      </td>
+                      <td style={tdStyle}>{workerName(task.assignee) || "-"}</td>
+                      <td style={tdStyle}>
+                        {task.dependsOn.length === 0
+                          ? "-"
+                          : task.dependsOn.map((id) => taskById(id)?.title).join(", ")}
+                        {task.conflicts.length > 0 && (
+                          <div style={{ ...smallLabelStyle, color: "#b00020" }}>
+                            Starts before a dependency ends
+                          </div>
+                        )}
+                        {task.waitingOn.length > 0 && task.conflicts.length === 0 && (
+                          <div style={smallLabelStyle}>
+                            Waiting on {task.waitingOn.length} task
+                            {task.waitingOn.length === 1 ? "" : "s"}
+                          </div>
+                        )}
+                      </td>
+                      <td style={tdStyle}>
+                        {canEdit ? (
+                          <select
+                            value={task.status}
+                            onChange={(e) => handleStatusChange(task, e.target.value)}
+                            style={inputStyle}
+                          >
+                            {timeline.statuses.map((s) => (
+                              <option key={s} value={s}>
+                                {STATUS_LABELS[s] || s}
+                              </option>
+                            ))}
+                          </select>
+                        ) : (
+                          STATUS_LABELS[task.status] || task.status
+                        )}
+                      </td>
+                      {canEdit && (
+                        <td style={tdStyle}>
+                          <button
+                            type="button"
+                            style={secondaryButtonStyle}
+                            onClick={() => handleEditTask(task)}
+                          >
+                            Edit
+                          </button>
+                          <button
+                            type="button"
+                            style={{ ...secondaryButtonStyle, marginLeft: 6 }}
+                            onClick={() => handleDeleteTask(task)}
+                          >
+                            Delete
+                          </button>
+                        </td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
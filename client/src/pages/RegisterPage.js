@@ -14,6 +14,7 @@ export default function RegisterPage() {
   // Registration form state
   const [form, setForm] = useState({
     username: "",
+    email: "",
     password: "",
     role: "designer",
   });
@@ -141,6 +142,21 @@ export default function RegisterPage() {
             />
           </div>
 
+          <div>
+            <label style={labelStyle} htmlFor="email">
+              Email (for password reset)
+            </label>
+            <input
+              id="email"
+              name="email"
+              type="email"
+              placeholder="you@example.com"
+              value={form.email}
+              onChange={handleChange}
+              style={inputStyle}
+            />
+          </div>
+
           <div>
             <label style={labelStyle} htmlFor="password">
               Password
@@ -170,6 +186,7 @@ export default function RegisterPage() {
             >
               <option value="designer">Designer</option>
               <option value="client">Client</option>
+              <option value="contractor">Contractor</option>
             </select>
           </div>
 
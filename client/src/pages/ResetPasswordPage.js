@@ -0,0 +1,193 @@
+// client/src/pages/ResetPasswordPage.js
+
+import React, { useState } from "react";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
+import { resetPassword } from "../api";
+
+/**
+ * ResetPasswordPage
+ *
+ * Second step of the password reset flow.
+ * Opened from the email link: /reset-password?token=...
+ * - User picks a new password (typed twice).
+ * - On success → back to the login page.
+ */
+
+export default function ResetPasswordPage() {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token") || "";
+
+  const [form, setForm] = useState({ newPassword: "", confirmPassword: "" });
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  function handleChange(e) {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setError("");
+
+    if (form.newPassword !== form.confirmPassword) {
+      setError("Passwords do not match");
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const data = await resetPassword({ token, newPassword: form.newPassword });
+      alert(data.message || "Password has been reset");
+      navigate("/login");
+    } catch (err) {
+      console.error("Password reset failed:", err);
+      setError(err.message || "Password reset failed");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  /* ---------- Simple inline styles ---------- */
+
+  const pageStyle = {
+    minHeight: "100vh",
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    padding: "40px 16px",
+  };
+
+  const cardStyle = {
+    width: "100%",
+    maxWidth: 420,
+    background: "rgba(255, 255, 255, 0.92)",
+    borderRadius: 18,
+    padding: 32,
+    boxShadow: "0 18px 45px rgba(0,0,0,0.18)",
+    border: "1px solid rgba(255,192,203,0.7)",
+  };
+
+  const titleStyle = {
+    fontSize: "26px",
+    fontWeight: "700",
+    marginBottom: 8,
+    textAlign: "center",
+  };
+
+  const subtitleStyle = {
+    fontSize: "14px",
+    marginBottom: 24,
+    textAlign: "center",
+    color: "#555",
+  };
+
+  const labelStyle = {
+    display: "block",
+    fontSize: "14px",
+    marginBottom: 6,
+    fontWeight: 500,
+  };
+
+  const inputStyle = {
+    width: "100%",
+    padding: "10px 12px",
+    borderRadius: 10,
+    border: "1px solid #ccc",
+    fontSize: "14px",
+    boxSizing: "border-box",
+  };
+
+  const buttonStyle = {
+    width: "100%",
+    marginTop: 12,
+    padding: "10px 16px",
+    borderRadius: 12,
+    border: "none",
+    background: "#ff9eb5",
+    color: "#222",
+    fontWeight: 600,
+    fontSize: "15px",
+    cursor: "pointer",
+  };
+
+  const linkRowStyle = {
+    marginTop: 16,
+    textAlign: "center",
+    fontSize: "13px",
+  };
+
+  return (
+    <div style={pageStyle}>
+      <div style={cardStyle}>
+        <h1 style={titleStyle}>Choose a New Password</h1>
+        <p style={subtitleStyle}>The reset link can be used only once.</p>
+
+        {!token && (
+          <p style={{ textAlign: "center", color: "#b00020" }}>
+            This reset link is missing its token.
+          </p>
+        )}
+
+        {error && (
+          <div
+            style={{
+              marginBottom: 16,
+              padding: "8px 10px",
+              borderRadius: 10,
+              background: "#ffe5e5",
+              color: "#b00020",
+              fontSize: "13px",
+            }}
+          >
+            {error}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit}>
+          <div style={{ marginBottom: 14 }}>
+            <label style={labelStyle} htmlFor="newPassword">
+              New password
+            </label>
+            <input
+              id="newPassword"
+              name="newPassword"
+              type="password"
+              style={inputStyle}
+              value={form.newPassword}
+              onChange={handleChange}
+              required
+            />
+          </div>
+
+          <div style={{ marginBottom: 6 }}>
+            <label style={labelStyle} htmlFor="confirmPassword">
+              Confirm new password
+            </label>
+            <input
+              id="confirmPassword"
+              name="confirmPassword"
+              type="password"
+              style={inputStyle}
+              value={form.confirmPassword}
+              onChange={handleChange}
+              required
+            />
+          </div>
+
+          <button type="submit" style={buttonStyle} disabled={loading || !token}>
+            {loading ? "Saving..." : "Reset Password"}
+          </button>
+        </form>
+
+        <div style={linkRowStyle}>
+          <Link to="/login" style={{ color: "#ff6f91", fontWeight: 600 }}>
+            Back to login
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
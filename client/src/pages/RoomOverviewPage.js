@@ -0,0 +1,345 @@
+// client/src/pages/RoomOverviewPage.js
+
+import React, { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { fetchRoomOverview } from "../api";
+import { useProjectEvents } from "../utils/useProjectEvents";
+import { formatMoney } from "../utils/currency";
+
+/**
+ * RoomOverviewPage
+ *
+ * Everything about one room of a project: its dimensions and notes, the
+ * colors & materials, questionnaires, budget lines, suppliers, mood boards
+ * and conversations linked to it.
+ * - Sections the project role cannot see (e.g. the budget for
+ *   contractors) are left out.
+ * - Changes by others show up live.
+ */
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString([], { dateStyle: "medium" }) : "";
+}
+
+export default function RoomOverviewPage() {
+  const { projectId, roomId } = useParams();
+
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  /* ---------- Load ---------- */
+
+  async function load() {
+    try {
+      setData(await fetchRoomOverview(projectId, roomId));
+      setError("");
+    } catch (err) {
+      console.error("Failed to load room:", err);
+      setError(err.message || "Failed to load room");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [projectId, roomId]);
+
+  useProjectEvents(
+    projectId,
+    ["rooms", "colors", "questionnaires", "suppliers", "moodboards", "messages"],
+    () => load()
+  );
+
+  /* ---------- Styles (simple inline for now) ---------- */
+
+  const pageStyle = {
+    minHeight: "100vh",
+    padding: "40px 16px 60px",
+    display: "flex",
+    justifyContent: "center",
+  };
+
+  const cardStyle = {
+    background: "rgba(255, 255, 255, 0.95)",
+    borderRadius: 18,
+    padding: "24px 28px 30px",
+    boxShadow: "0 18px 45px rgba(0,0,0,0.18)",
+    border: "1px solid rgba(255,192,203,0.7)",
+    width: "100%",
+    maxWidth: 1000,
+  };
+
+  const titleStyle = { fontSize: 30, fontWeight: 700, marginBottom: 6 };
+  const subStyle = { fontSize: 14, color: "#555", marginBottom: 18 };
+  const sectionStyle = { marginBottom: 22 };
+  const sectionTitleStyle = { fontSize: 18, fontWeight: 600, margin: "0 0 8px" };
+  const smallLabelStyle = { fontSize: 12, color: "#777" };
+
+  const labelStyleBack = {
+    display: "inline-block",
+    marginBottom: 12,
+    color: "#ff6f91",
+    fontWeight: 600,
+    fontSize: 13,
+  };
+
+  const itemStyle = {
+    marginBottom: 8,
+    padding: "8px 12px",
+    borderRadius: 12,
+    border: "1px solid #f2f2f2",
+    background: "#fff",
+    fontSize: 13,
+  };
+
+  const tableStyle = {
+    width: "100%",
+    borderCollapse: "collapse",
+    fontSize: 13,
+  };
+
+  const thStyle = {
+    textAlign: "left",
+    padding: "6px 8px",
+    borderBottom: "1px solid #f2c4d0",
+  };
+
+  const tdStyle = {
+    padding: "6px 8px",
+    borderBottom: "1px solid #f7e0e7",
+  };
+
+  const swatchStyle = (color) => ({
+    display: "inline-block",
+    width: 14,
+    height: 14,
+    marginRight: 4,
+    verticalAlign: "middle",
+    borderRadius: 4,
+    border: "1px solid #ccc",
+    background: color || "#fff",
+  });
+
+  const room = data?.room;
+  const dimensions = room?.dimensions || {};
+  const area =
+    dimensions.length && dimensions.width
+      ? Math.round(dimensions.length * dimensions.width * 100) / 100
+      : null;
+
+  function renderSection(title, items, emptyText, renderItems, link) {
+    if (items === null || items === undefined) return null;
+    return (
+      <section style={sectionStyle}>
+        <h2 style={sectionTitleStyle}>
+          {title}{" "}
+          {link && (
+            <Link to={link} style={{ fontSize: 12, fontWeight: 400 }}>
+              open
+            </Link>
+          )}
+        </h2>
+        {items.length === 0 ? <p style={smallLabelStyle}>{emptyText}</p> : renderItems()}
+      </section>
+    );
+  }
+
+  return (
+    <div style={pageStyle}>
+      <div style={cardStyle}>
+        <Link to={`/project/${projectId}/rooms`} style={labelStyleBack}>
+          ← Back to Rooms
+        </Link>
+
+        {error && (
+          <div
+            style={{
+              marginBottom: 16,
+              padding: "8px 10px",
+              borderRadius: 10,
+              background: "#ffe5e5",
+              color: "#b00020",
+              fontSize: 13,
+            }}
+          >
+            {error}
+          </div>
+        )}
+
+        {loading ? (
+          <p>Loading room...</p>
+        ) : (
+          room && (
+            <>
+              <h1 style={titleStyle}>{room.name}</h1>
+              <p style={subStyle}>
+                {[room.roomType, room.floor && `floor ${room.floor}`].filter(Boolean).join(" · ")}
+                {dimensions.length || dimensions.width || dimensions.height ? (
+                  <>
+                    {room.roomType || room.floor ? " · " : ""}
+                    {["length", "width", "height"]
+                      .map((key) => (dimensions[key] === null ? "?" : dimensions[key]))
+                      .join(" × ")}{" "}
+                    m{area !== null ? ` (${area} m²)` : ""}
+                  </>
+                ) : null}
+              </p>
+              {room.notes && (
+                <p style={{ fontSize: 13, whiteSpace: "pre-wrap", marginBottom: 18 }}>
+                  {room.notes}
+                </p>
+              )}
+
+              {renderSection(
+                "Colors & materials",
+                data.colorSelections,
+                "No colors chosen for this room yet.",
+                () =>
+                  data.colorSelections.map((sel) => (
+                    <div key={sel._id} style={itemStyle}>
+                      <span style={swatchStyle(sel.wallColor)} />
+                      wall <span style={swatchStyle(sel.furnitureColor)} />
+                      furniture <span style={swatchStyle(sel.floorColor)} />
+                      floor · {sel.materialType || "-"}, {sel.finishType || "-"}
+                    </div>
+                  )),
+                `/project/${projectId}/colors`
+              )}
+
+              {renderSection(
+                "Questionnaires",
+                data.questionnaires,
+                "No questionnaires for this room.",
+                () =>
+                  data.questionnaires.map((q) => (
+                    <div key={q._id} style={itemStyle}>
+                      <strong>{q.title}</strong>
+                      <span style={smallLabelStyle}>
+                        {" "}
+                        · {q.answerCount} of {q.questionCount} answered
+                      </span>
+                    </div>
+                  )),
+                `/project/${projectId}/questionnaire`
+              )}
+
+              {data.budget &&
+                renderSection(
+                  "Budget",
+                  data.budget.lines,
+                  "No budget lines for this room.",
+                  () => (
+                    <table style={tableStyle}>
+                      <thead>
+                        <tr>
+                          <th style={thStyle}>Category</th>
+                          <th style={thStyle}>Description</th>
+                          <th style={thStyle}>Planned</th>
+                          <th style={thStyle}>Actual</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {data.budget.lines.map((line) => (
+                          <tr key={line._id}>
+                            <td style={tdStyle}>{line.category}</td>
+                            <td style={tdStyle}>{line.description || "-"}</td>
+                            <td style={tdStyle}>
+                              {formatMoney(line.planned, data.currency)}
+                            </td>
+                            <td style={tdStyle}>
+                              {formatMoney(line.actual, data.currency)}
+                            </td>
+                          </tr>
+                        ))}
+                        <tr>
+                          <td style={tdStyle} colSpan={2}>
+                            <strong>Total</strong>
+                          </td>
+                          <td style={tdStyle}>
+                            <strong>{formatMoney(data.budget.planned, data.currency)}</strong>
+                          </td>
+                          <td style={tdStyle}>
+                            <strong>{formatMoney(data.budget.actual, data.currency)}</strong>
+                          </td>
+                        </tr>
+                      </tbody>
+                    </table>
+                  ),
+                  `/project/${projectId}/budget`
+                )}
+
+              {renderSection(
+                "Suppliers",
+                data.suppliers,
+                "No suppliers for this room.",
+                () =>
+                  data.suppliers.map((s) => (
+                    <div key={s._id} style={itemStyle}>
+                      <strong>{s.storeName || s.supplierName || "Supplier"}</strong>
+                      {s.product ? ` · ${s.product}` : ""}
+                      {s.price ? ` · ${formatMoney(s.price, s.currency || data.currency)}` : ""}
+                    </div>
+                  )),
+                `/project/${projectId}/suppliers`
+              )}
+
+              {renderSection(
+                "Mood boards",
+                data.moodBoards,
+                "No mood boards for this room yet.",
+                () =>
+                  data.moodBoards.map((board) => (
+                    <div key={board._id} style={itemStyle}>
+                      <Link to={`/project/${projectId}/moodboards/${board._id}`}>
+                        {board.title}
+                      </Link>
+                      <span style={smallLabelStyle}>
+                        {" "}
+                        · {board.itemCount} item{board.itemCount === 1 ? "" : "s"}
+                      </span>
+                      {board.preview.length > 0 && (
+                        <div style={{ display: "flex", gap: 4, marginTop: 6 }}>
+                          {board.preview.map((item, index) =>
+                            item.kind === "image" ? (
+                              <img
+                                key={index}
+                                src={item.imageUrl}
+                                alt=""
+                                style={{ width: 48, height: 36, objectFit: "cover" }}
+                              />
+                            ) : (
+                              <span key={index} style={swatchStyle(item.color)} />
+                            )
+                          )}
+                        </div>
+                      )}
+                    </div>
+                  )),
+                `/project/${projectId}/moodboards?room=${roomId}`
+              )}
+
+              {renderSection(
+                "Conversations",
+                data.threads,
+                "No conversations about this room yet.",
+                () =>
+                  data.threads.map((t) => (
+                    <div key={t._id} style={itemStyle}>
+                      <Link to={`/project/${projectId}/messages?thread=${t._id}`}>
+                        {t.subject}
+                      </Link>
+                      <span style={smallLabelStyle}> · {formatDate(t.lastMessageAt)}</span>
+                    </div>
+                  )),
+                `/project/${projectId}/messages`
+              )}
+            </>
+          )
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,550 @@
+// client/src/pages/StudioPage.js
+
+import React, { useEffect, useState } from "react";
+import DesignerNav from "../components/DesignerNav";
+import {
+  fetchStudio,
+  updateStudio,
+  addStudioMember,
+  updateStudioMember,
+  removeStudioMember,
+  fetchExchangeRates,
+  updateExchangeRates,
+  fetchEmailTemplates,
+  updateEmailTemplate,
+  resetEmailTemplate,
+} from "../api";
+import { notificationTypeLabel } from "../utils/notificationTypes";
+
+/**
+ * StudioPage
+ *
+ * Manage the designer's studio (organization).
+ * - Everyone in the studio shares projects, questionnaire templates
+ *   and the design options library.
+ * - Studio owners can rename the studio, add designers by username,
+ *   change member roles (owner / designer / viewer) and remove members.
+ * - Other members see the member list read-only.
+ * - Owners and designers maintain the exchange-rate table used to convert
+ *   worker / supplier costs into each project's currency.
+ * - Owners and designers can reword the notification emails sent from
+ *   the studio's projects ({{placeholders}} are filled in when sending).
+ */
+
+const ROLE_LABELS = {
+  owner: "Owner",
+  designer: "Designer",
+  viewer: "Viewer (read-only)",
+};
+
+export default function StudioPage() {
+  const [studio, setStudio] = useState(null);
+  const [myRole, setMyRole] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+
+  const [studioName, setStudioName] = useState("");
+  const [memberForm, setMemberForm] = useState({ username: "", role: "designer" });
+
+  // Exchange rates: { USD: "3.7", ... } as typed + last update per currency
+  const [baseCurrency, setBaseCurrency] = useState("ILS");
+  const [rateForm, setRateForm] = useState({});
+  const [rateUpdatedAt, setRateUpdatedAt] = useState({});
+
+  // Email templates: list from the server + the one being edited
+  const [emailTemplates, setEmailTemplates] = useState([]);
+  const [templateType, setTemplateType] = useState("");
+  const [templateForm, setTemplateForm] = useState({ subject: "", text: "" });
+
+  const isOwner = myRole === "owner";
+  const canEditRates = myRole === "owner" || myRole === "designer";
+  const canEditTemplates = canEditRates;
+  const currentTemplate = emailTemplates.find((t) => t.type === templateType);
+
+  /* ---------- Load studio ---------- */
+
+  function applyResponse(data) {
+    setStudio(data.studio || null);
+    setMyRole(data.myRole || null);
+    setStudioName(data.studio?.name || "");
+  }
+
+  function applyRates(data) {
+    const form = {};
+    const updated = {};
+    for (const currency of data.currencies || []) {
+      if (currency !== data.baseCurrency) form[currency] = "";
+    }
+    for (const r of data.rates || []) {
+      form[r.currency] = String(r.rate);
+      updated[r.currency] = r.updatedAt;
+    }
+    setBaseCurrency(data.baseCurrency || "ILS");
+    setRateForm(form);
+    setRateUpdatedAt(updated);
+  }
+
+  function applyTemplates(data, type = templateType) {
+    const templates = data.templates || [];
+    const selected = templates.find((t) => t.type === type) || templates[0];
+    setEmailTemplates(templates);
+    setTemplateType(selected?.type || "");
+    setTemplateForm({ subject: selected?.subject || "", text: selected?.text || "" });
+  }
+
+  async function loadStudio() {
+    setLoading(true);
+    setError("");
+
+    try {
+      const [studioData, rateData, templateData] = await Promise.all([
+        fetchStudio(),
+        fetchExchangeRates(),
+        fetchEmailTemplates(),
+      ]);
+      applyResponse(studioData);
+      applyRates(rateData);
+      applyTemplates(templateData);
+    } catch (err) {
+      console.error("Failed to load studio:", err);
+      setError(err.message || "Failed to load studio");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    loadStudio();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  /* ---------- Owner actions ---------- */
+
+  async function runAction(action, successMessage) {
+    setError("");
+    setMessage("");
+
+    try {
+      const data = await action();
+      if (data?.studio) applyResponse(data);
+      setMessage(successMessage);
+    } catch (err) {
+      console.error("Studio action failed:", err);
+      setError(err.message || "Action failed");
+    }
+  }
+
+  function handleRename(e) {
+    e.preventDefault();
+    runAction(() => updateStudio({ name: studioName }), "Studio name saved.");
+  }
+
+  async function handleAddMember(e) {
+    e.preventDefault();
+    await runAction(
+      () => addStudioMember(memberForm.username, memberForm.role),
+      `${memberForm.username} was added to the studio.`
+    );
+    setMemberForm({ username: "", role: "designer" });
+  }
+
+  async function handleSaveRates(e) {
+    e.preventDefault();
+    setError("");
+    setMessage("");
+
+    try {
+      const rates = Object.entries(rateForm)
+        .filter(([, rate]) => rate !== "")
+        .map(([currency, rate]) => ({ currency, rate: Number(rate) }));
+      applyRates(await updateExchangeRates(rates));
+      setMessage("Exchange rates saved.");
+    } catch (err) {
+      console.error("Failed to save exchange rates:", err);
+      setError(err.message || "Failed to save exchange rates");
+    }
+  }
+
+  function handleSelectTemplate(type) {
+    const template = emailTemplates.find((t) => t.type === type);
+    setTemplateType(type);
+    setTemplateForm({ subject: template?.subject || "", text: template?.text || "" });
+  }
+
+  async function handleSaveTemplate(e) {
+    e.preventDefault();
+    setError("");
+    setMessage("");
+
+    try {
+      applyTemplates(await updateEmailTemplate(templateType, templateForm));
+      setMessage("Email template saved.");
+    } catch (err) {
+      console.error("Failed to save email template:", err);
+      setError(err.message || "Failed to save email template");
+    }
+  }
+
+  async function handleResetTemplate() {
+    if (!window.confirm("Go back to the default wording of this email?")) return;
+    setError("");
+    setMessage("");
+
+    try {
+      applyTemplates(await resetEmailTemplate(templateType));
+      setMessage("Email template reset to the default.");
+    } catch (err) {
+      console.error("Failed to reset email template:", err);
+      setError(err.message || "Failed to reset email template");
+    }
+  }
+
+  function handleRoleChange(userId, role) {
+    runAction(() => updateStudioMember(userId, role), "Role updated.");
+  }
+
+  async function handleRemove(member) {
+    if (!window.confirm(`Remove ${member.user?.username} from the studio?`)) return;
+
+    await runAction(() => removeStudioMember(member.user?._id), "Member removed.");
+    await loadStudio();
+  }
+
+  /* ---------- Styles (simple inline for now) ---------- */
+
+  const pageStyle = {
+    minHeight: "100vh",
+    padding: "40px 16px 60px",
+    display: "flex",
+    justifyContent: "center",
+  };
+
+  const layoutStyle = {
+    width: "100%",
+    maxWidth: 1150,
+    display: "grid",
+    gridTemplateColumns: "260px auto",
+    gap: 24,
+  };
+
+  const cardStyle = {
+    background: "rgba(255, 255, 255, 0.95)",
+    borderRadius: 18,
+    padding: "24px 28px 30px",
+    boxShadow: "0 18px 45px rgba(0,0,0,0.18)",
+    border: "1px solid rgba(255,192,203,0.7)",
+    width: "100%",
+  };
+
+  const titleStyle = { fontSize: 30, fontWeight: 700, marginBottom: 6 };
+  const subStyle = { fontSize: 14, color: "#555", marginBottom: 22 };
+  const smallLabelStyle = { fontSize: 12, color: "#777" };
+
+  const inputStyle = {
+    fontSize: 13,
+    padding: "4px 6px",
+    boxSizing: "border-box",
+  };
+
+  const primaryButtonStyle = {
+    padding: "6px 10px",
+    borderRadius: 10,
+    border: "none",
+    cursor: "pointer",
+    fontSize: 12,
+    fontWeight: 600,
+    background: "#ff9eb5",
+  };
+
+  const secondaryButtonStyle = {
+    ...primaryButtonStyle,
+    background: "#eee",
+  };
+
+  const tableStyle = { width: "100%", borderCollapse: "collapse", fontSize: 13 };
+
+  const thStyle = {
+    textAlign: "left",
+    padding: "8px 10px",
+    borderBottom: "2px solid #f0b6c4",
+    background: "rgba(255,240,244,0.8)",
+  };
+
+  const tdStyle = { padding: "7px 10px", borderBottom: "1px solid #f2f2f2" };
+
+  return (
+    <div style={pageStyle}>
+      <div style={layoutStyle}>
+        <DesignerNav active="studio" />
+
+        <main style={cardStyle}>
+          <h1 style={titleStyle}>Studio</h1>
+          <p style={subStyle}>
+            Everyone in your studio shares its projects, questionnaire
+            templates and design options.
+          </p>
+
+          {error && (
+            <div
+              style={{
+                marginBottom: 14,
+                padding: "8px 10px",
+                borderRadius: 10,
+                background: "#ffe5e5",
+                color: "#b00020",
+                fontSize: 13,
+              }}
+            >
+              {error}
+            </div>
+          )}
+
+          {message && (
+            <div
+              style={{
+                marginBottom: 14,
+                padding: "6px 10px",
+                borderRadius: 10,
+                background: "#e5ffe8",
+                color: "#1b5e20",
+                fontSize: 13,
+              }}
+            >
+              {message}
+            </div>
+          )}
+
+          {loading || !studio ? (
+            <p>Loading studio...</p>
+          ) : (
+            <>
+              {/* Studio name */}
+              <section style={{ marginBottom: 20 }}>
+                <div style={{ ...smallLabelStyle, marginBottom: 6 }}>Studio Name</div>
+                {isOwner ? (
+                  <form onSubmit={handleRename} style={{ display: "flex", gap: 8 }}>
+                    <input
+                      type="text"
+                      value={studioName}
+                      onChange={(e) => setStudioName(e.target.value)}
+                      required
+                      style={{ ...inputStyle, flex: 1 }}
+                    />
+                    <button type="submit" style={primaryButtonStyle}>
+                      Save
+                    </button>
+                  </form>
+                ) : (
+                  <strong>{studio.name}</strong>
+                )}
+              </section>
+
+              {/* Add member (owner only) */}
+              {isOwner && (
+                <section style={{ marginBottom: 20 }}>
+                  <div style={{ ...smallLabelStyle, marginBottom: 6 }}>Add Designer</div>
+                  <form onSubmit={handleAddMember} style={{ display: "flex", gap: 8 }}>
+                    <input
+                      type="text"
+                      placeholder="Designer username"
+                      value={memberForm.username}
+                      onChange={(e) =>
+                        setMemberForm((prev) => ({ ...prev, username: e.target.value }))
+                      }
+                      required
+                      style={{ ...inputStyle, flex: 1 }}
+                    />
+                    <select
+                      value={memberForm.role}
+                      onChange={(e) =>
+                        setMemberForm((prev) => ({ ...prev, role: e.target.value }))
+                      }
+                      style={inputStyle}
+                    >
+                      {Object.entries(ROLE_LABELS).map(([value, label]) => (
+                        <option key={value} value={value}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                    <button type="submit" style={primaryButtonStyle}>
+                      Add
+                    </button>
+                  </form>
+                </section>
+              )}
+
+              {/* Members list */}
+              <section>
+                <div style={{ ...smallLabelStyle, marginBottom: 6 }}>Members</div>
+                <table style={tableStyle}>
+                  <thead>
+                    <tr>
+                      <th style={thStyle}>Username</th>
+                      <th style={thStyle}>Role</th>
+                      <th style={thStyle}>Joined</th>
+                      {isOwner && <th style={thStyle}>Actions</th>}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {(studio.members || []).map((m) => (
+                      <tr key={m.user?._id}>
+                        <td style={tdStyle}>{m.user?.username}</td>
+                        <td style={tdStyle}>
+                          {isOwner ? (
+                            <select
+                              value={m.role}
+                              onChange={(e) => handleRoleChange(m.user?._id, e.target.value)}
+                              style={inputStyle}
+                            >
+                              {Object.entries(ROLE_LABELS).map(([value, label]) => (
+                                <option key={value} value={value}>
+                                  {label}
+                                </option>
+                              ))}
+                            </select>
+                          ) : (
+                            ROLE_LABELS[m.role] || m.role
+                          )}
+                        </td>
+                        <td style={tdStyle}>
+                          {m.joinedAt ? m.joinedAt.slice(0, 10) : "-"}
+                        </td>
+                        {isOwner && (
+                          <td style={tdStyle}>
+                            <button
+                              type="button"
+                              style={secondaryButtonStyle}
+                              onClick={() => handleRemove(m)}
+                            >
+                              Remove
+                            </button>
+                          </td>
+                        )}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </section>
+
+              {/* Exchange rates (manual) */}
+              <section style={{ marginTop: 24 }}>
+                <div style={{ ...smallLabelStyle, marginBottom: 6 }}>
+                  Exchange Rates (value of 1 unit in {baseCurrency})
+                </div>
+                <form onSubmit={handleSaveRates}>
+                  <table style={tableStyle}>
+                    <thead>
+                      <tr>
+                        <th style={thStyle}>Currency</th>
+                        <th style={thStyle}>Rate</th>
+                        <th style={thStyle}>Last Updated</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {Object.entries(rateForm).map(([currency, rate]) => (
+                        <tr key={currency}>
+                          <td style={tdStyle}>{currency}</td>
+                          <td style={tdStyle}>
+                            {canEditRates ? (
+                              <input
+                                type="number"
+                                min="0"
+                                step="0.0001"
+                                placeholder="not set"
+                                value={rate}
+                                onChange={(e) =>
+                                  setRateForm((prev) => ({ ...prev, [currency]: e.target.value }))
+                                }
+                                style={{ ...inputStyle, width: 110 }}
+                              />
+                            ) : (
+                              rate || "-"
+                            )}
+                          </td>
+                          <td style={tdStyle}>
+                            {rateUpdatedAt[currency] ? rateUpdatedAt[currency].slice(0, 10) : "-"}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  {canEditRates && (
+                    <button type="submit" style={{ ...primaryButtonStyle, marginTop: 10 }}>
+                      Save Rates
+                    </button>
+                  )}
+                </form>
+              </section>
+
+              {/* Notification email templates */}
+              {currentTemplate && (
+                <section style={{ marginTop: 24 }}>
+                  <div style={{ ...smallLabelStyle, marginBottom: 6 }}>Notification Emails</div>
+                  <form onSubmit={handleSaveTemplate}>
+                    <div style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 8 }}>
+                      <select
+                        value={templateType}
+                        onChange={(e) => handleSelectTemplate(e.target.value)}
+                        style={inputStyle}
+                      >
+                        {emailTemplates.map((t) => (
+                          <option key={t.type} value={t.type}>
+                            {notificationTypeLabel(t.type)}
+                            {t.custom ? " (customized)" : ""}
+                          </option>
+                        ))}
+                      </select>
+                      <span style={smallLabelStyle}>
+                        Placeholders:{" "}
+                        {currentTemplate.placeholders.map((name) => `{{${name}}}`).join(" ")}
+                      </span>
+                    </div>
+                    <input
+                      type="text"
+                      placeholder="Subject"
+                      value={templateForm.subject}
+                      onChange={(e) =>
+                        setTemplateForm((prev) => ({ ...prev, subject: e.target.value }))
+                      }
+                      readOnly={!canEditTemplates}
+                      required
+                      style={{ ...inputStyle, width: "100%", marginBottom: 8 }}
+                    />
+                    <textarea
+                      value={templateForm.text}
+                      onChange={(e) =>
+                        setTemplateForm((prev) => ({ ...prev, text: e.target.value }))
+                      }
+                      readOnly={!canEditTemplates}
+                      required
+                      rows={7}
+                      style={{ ...inputStyle, width: "100%", fontFamily: "inherit" }}
+                    />
+                    {canEditTemplates && (
+                      <div style={{ display: "flex", gap: 8, marginTop: 10 }}>
+                        <button type="submit" style={primaryButtonStyle}>
+                          Save Template
+                        </button>
+                        {currentTemplate.custom && (
+                          <button
+                            type="button"
+                            style={secondaryButtonStyle}
+                            onClick={handleResetTemplate}
+                          >
+                            Reset to Default
+                          </button>
+                        )}
+                      </div>
+                    )}
+                  </form>
+                </section>
+              )}
+            </>
+          )}
+        </main>
+      </div>
+    </div>
+  );
+}
@@ -1,12 +1,25 @@
 // client/src/pages/SuppliersPage.js
-import React, { useEffect, useState } from "react";
+import React, { Fragment, useEffect, useState } from "react";
 import { useParams, Link } from "react-router-dom";
 import {
   fetchProjectSuppliers,
   createProjectSupplier,
   updateProjectSupplier,
   deleteProjectSupplier,
+  fetchProjectPayments,
+  fetchProjectApprovals,
+  submitApproval,
+  fetchProjectRooms,
 } from "../api";
+import PaymentsPanel from "../components/PaymentsPanel";
+import RoomSelect from "../components/RoomSelect";
+import { CURRENCIES, formatMoney } from "../utils/currency";
+import {
+  latestApproval,
+  approvalStatusText,
+  APPROVAL_STATUS_COLORS,
+} from "../utils/approvals";
+import { useProjectEvents } from "../utils/useProjectEvents";
 
 export default function SuppliersPage() {
   const { projectId } = useParams();
@@ -15,6 +28,10 @@ export default function SuppliersPage() {
      State
      ========================= */
   const [suppliers, setSuppliers] = useState([]);
+  const [payments, setPayments] = useState(null); // null = no access to payments
+  const [approvals, setApprovals] = useState(null); // null = no access to approvals
+  const [rooms, setRooms] = useState(null); // null = no access to rooms
+  const [openPayee, setOpenPayee] = useState(null);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState("");
@@ -24,8 +41,11 @@ export default function SuppliersPage() {
     supplierName: "",
     product: "",
     price: "",
+    currency: "",
+    vatIncluded: true,
     contactName: "",
     phone: "",
+    roomId: "",
   });
   const [editingId, setEditingId] = useState(null);
 
@@ -43,6 +63,9 @@ export default function SuppliersPage() {
     try {
       const data = await fetchProjectSuppliers(projectId);
       setSuppliers(Array.isArray(data) ? data : []);
+      await loadPayments();
+      await loadApprovals();
+      await loadRooms();
     } catch (err) {
       console.error("Failed to load suppliers:", err);
       setError(err.message || "Failed to load suppliers");
@@ -51,17 +74,99 @@ export default function SuppliersPage() {
     }
   }
 
+  /* =========================
+     Load payments (paid / outstanding per supplier)
+     ========================= */
+  async function loadPayments() {
+    try {
+      setPayments(await fetchProjectPayments(projectId, "supplier"));
+    } catch (err) {
+      // 403: this role can't see costs / payments, the list still works
+      if (err.status !== 403) console.error("Failed to load payments:", err);
+      setPayments(null);
+    }
+  }
+
+  /* =========================
+     Load approvals (client sign-off on quotes)
+     ========================= */
+  async function loadApprovals() {
+    try {
+      setApprovals(await fetchProjectApprovals(projectId));
+    } catch (err) {
+      if (err.status !== 403) console.error("Failed to load approvals:", err);
+      setApprovals(null);
+    }
+  }
+
+  /* =========================
+     Load rooms (a supplier can be linked to a room)
+     ========================= */
+  async function loadRooms() {
+    try {
+      const data = await fetchProjectRooms(projectId);
+      setRooms(data.rooms);
+    } catch (err) {
+      if (err.status !== 403) console.error("Failed to load rooms:", err);
+      setRooms(null);
+    }
+  }
+
+  function roomOf(supplier) {
+    return rooms?.find((room) => room._id === supplier.roomId) || null;
+  }
+
+  async function handleRequestApproval(supplierId) {
+    setError("");
+    try {
+      await submitApproval(projectId, { kind: "supplier_quote", supplier: supplierId });
+      await loadApprovals();
+    } catch (err) {
+      console.error("Failed to request approval:", err);
+      setError(err.message || "Failed to request approval");
+    }
+  }
+
+  function quoteApproval(supplierId) {
+    return latestApproval(approvals?.approvals, "supplier_quote", supplierId);
+  }
+
+  // Nothing waiting for the client and no locked approval
+  function canRequestApproval(supplierId) {
+    const approval = quoteApproval(supplierId);
+    return approvals?.canSubmit && approval?.status !== "pending" && !approval?.locked;
+  }
+
+  function payeeSummary(supplierId) {
+    return payments?.payees.find((p) => p.payee === supplierId) || null;
+  }
+
   useEffect(() => {
     loadSuppliers();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [projectId]);
 
+  // Live updates: someone else added / changed / removed a supplier or
+  // decided on a quote. Only the list is refreshed, the form keeps what is
+  // being typed.
+  useProjectEvents(projectId, ["suppliers", "decisions", "rooms"], async () => {
+    try {
+      const data = await fetchProjectSuppliers(projectId);
+      setSuppliers(Array.isArray(data) ? data : []);
+      await loadPayments();
+      await loadApprovals();
+      await loadRooms();
+    } catch (err) {
+      console.error("Failed to refresh suppliers:", err);
+    }
+  });
+
   /* =========================
      Form handlers
      ========================= */
   function handleChange(e) {
-    const { name, value } = e.target;
-    setForm((prev) => ({ ...prev, [name]: value }));
+    const { name, value, type, checked } = e.target;
+    setForm((prev) => ({ ...prev, [name]: type === "checkbox" ? checked : value }));
   }
 
   function resetForm() {
@@ -70,8 +175,11 @@ export default function SuppliersPage() {
       supplierName: "",
       product: "",
       price: "",
+      currency: "",
+      vatIncluded: true,
       contactName: "",
       phone: "",
+      roomId: "",
     });
     setEditingId(null);
   }
@@ -91,8 +199,11 @@ export default function SuppliersPage() {
       supplierName: form.supplierName,
       product: form.product,
       price: form.price ? Number(form.price) : 0,
+      currency: form.currency || null,
+      vatIncluded: form.vatIncluded,
       contactName: form.contactName,
       phone: form.phone,
+      ...(rooms ? { roomId: form.roomId || null } : {}),
     };
 
     try {
@@ -131,6 +242,9 @@ export default function SuppliersPage() {
     }
   }
 
+  const columnCount =
+    6 + (rooms ? 1 : 0) + (payments ? 3 : 0) + (approvals ? 1 : 0) + (isDesigner ? 1 : 0);
+
   /* =========================
      Render
      ========================= */
@@ -154,6 +268,31 @@ export default function SuppliersPage() {
           <div style={{ color: "red", marginBottom: 16 }}>{error}</div>
         )}
 
+        {payments && (
+          <div
+            style={{
+              display: "flex",
+              gap: 20,
+              marginBottom: 16,
+              padding: "8px 12px",
+              borderRadius: 10,
+              background: "rgba(255,240,244,0.8)",
+              fontSize: 14,
+            }}
+          >
+            <span>
+              Paid: <strong>{formatMoney(payments.totals.paid, payments.currency)}</strong>
+            </span>
+            <span>
+              Outstanding:{" "}
+              <strong>{formatMoney(payments.totals.outstanding, payments.currency)}</strong>
+            </span>
+            <span style={{ color: payments.totals.overdue > 0 ? "#b00020" : undefined }}>
+              Overdue: <strong>{formatMoney(payments.totals.overdue, payments.currency)}</strong>
+            </span>
+          </div>
+        )}
+
         {/* Form – only visible for designer role */}
         {isDesigner && (
           <section style={{ marginBottom: 24 }}>
@@ -217,6 +356,32 @@ export default function SuppliersPage() {
                 />
               </div>
 
+              <div>
+                <label className="suppliers-management-label">Currency</label>
+                <select
+                  name="currency"
+                  value={form.currency}
+                  onChange={handleChange}
+                  className="suppliers-management-container input"
+                >
+                  <option value="">Project currency</option>
+                  {CURRENCIES.map((c) => (
+                    <option key={c} value={c}>
+                      {c}
+                    </option>
+                  ))}
+                </select>
+                <label className="suppliers-management-label">
+                  <input
+                    type="checkbox"
+                    name="vatIncluded"
+                    checked={form.vatIncluded}
+                    onChange={handleChange}
+                  />{" "}
+                  Price includes VAT
+                </label>
+              </div>
+
               <div>
                 <label className="suppliers-management-label">Contact Name</label>
                 <input
@@ -239,6 +404,18 @@ export default function SuppliersPage() {
                 />
               </div>
 
+              {rooms && rooms.length > 0 && (
+                <div>
+                  <label className="suppliers-management-label">Room</label>
+                  <RoomSelect
+                    rooms={rooms}
+                    value={form.roomId}
+                    onChange={(roomId) => setForm((prev) => ({ ...prev, roomId }))}
+                    className="suppliers-management-container input"
+                  />
+                </div>
+              )}
+
               <div style={{ gridColumn: "1 / -1", marginTop: 4 }}>
                 <button type="submit" disabled={saving} className="suppliers-management-button-primary">
                   {saving
@@ -281,48 +458,143 @@ export default function SuppliersPage() {
                   <th className="suppliers-management-thtd suppliers-management-thtd-header">Price</th>
                   <th className="suppliers-management-thtd suppliers-management-thtd-header">Contact</th>
                   <th className="suppliers-management-thtd suppliers-management-thtd-header">Phone</th>
+                  {rooms && (
+                    <th className="suppliers-management-thtd suppliers-management-thtd-header">Room</th>
+                  )}
+                  {payments && (
+                    <>
+                      <th className="suppliers-management-thtd suppliers-management-thtd-header">Paid</th>
+                      <th className="suppliers-management-thtd suppliers-management-thtd-header">Outstanding</th>
+                      <th className="suppliers-management-thtd suppliers-management-thtd-header">Payments</th>
+                    </>
+                  )}
+                  {approvals && (
+                    <th className="suppliers-management-thtd suppliers-management-thtd-header">
+                      Client approval
+                    </th>
+                  )}
                   {isDesigner && <th className="suppliers-management-thtd suppliers-management-thtd-header">Actions</th>}
                 </tr>
               </thead>
               <tbody>
                 {suppliers.map((s) => (
-                  <tr key={s._id}>
-                    <td className="suppliers-management-thtd">{s.storeName}</td>
-                    <td className="suppliers-management-thtd">{s.supplierName}</td>
-                    <td className="suppliers-management-thtd">{s.product}</td>
-                    <td className="suppliers-management-thtd">{s.price}</td>
-                    <td className="suppliers-management-thtd">{s.contactName}</td>
-                    <td className="suppliers-management-thtd">{s.phone}</td>
-                    {isDesigner && (
+                  <Fragment key={s._id}>
+                    <tr>
+                      <td className="suppliers-management-thtd">{s.storeName}</td>
+                      <td className="suppliers-management-thtd">{s.supplierName}</td>
+                      <td className="suppliers-management-thtd">{s.product}</td>
                       <td className="suppliers-management-thtd">
-                        <button
-                          type="button"
-                          onClick={() => {
-                            setForm({
-                              storeName: s.storeName || "",
-                              supplierName: s.supplierName || "",
-                              product: s.product || "",
-                              price:
-                                s.price != null ? String(s.price) : "",
-                              contactName: s.contactName || "",
-                              phone: s.phone || "",
-                            });
-                            setEditingId(s._id);
-                          }}
-                          className="suppliers-management-button-secondary"
-                        >
-                          Edit
-                        </button>
-                        <button
-                          type="button"
-                          onClick={() => handleDelete(s._id)}
-                          className="suppliers-management-button-secondary"
-                        >
-                          Delete
-                        </button>
+                        {s.price} {s.currency || ""}
+                        {s.vatIncluded === false && <small> + VAT</small>}
                       </td>
+                      <td className="suppliers-management-thtd">{s.contactName}</td>
+                      <td className="suppliers-management-thtd">{s.phone}</td>
+                      {rooms && (
+                        <td className="suppliers-management-thtd">
+                          {roomOf(s) ? (
+                            <Link to={`/project/${projectId}/rooms/${s.roomId}`}>
+                              {roomOf(s).name}
+                            </Link>
+                          ) : (
+                            "-"
+                          )}
+                        </td>
+                      )}
+                      {payments && (
+                        <>
+                          <td className="suppliers-management-thtd">
+                            {formatMoney(payeeSummary(s._id)?.paid, payments.currency)}
+                          </td>
+                          <td className="suppliers-management-thtd">
+                            {formatMoney(payeeSummary(s._id)?.outstanding, payments.currency)}
+                          </td>
+                          <td className="suppliers-management-thtd">
+                            <button
+                              type="button"
+                              onClick={() => setOpenPayee(openPayee === s._id ? null : s._id)}
+                              className="suppliers-management-button-secondary"
+                            >
+                              {openPayee === s._id ? "Hide" : "Show"}
+                            </button>
+                          </td>
+                        </>
+                      )}
+                      {approvals && (
+                        <td className="suppliers-management-thtd" style={{ fontSize: 12 }}>
+                          <span
+                            style={{
+                              color: APPROVAL_STATUS_COLORS[quoteApproval(s._id)?.status] || "#777",
+                            }}
+                          >
+                            {approvalStatusText(quoteApproval(s._id))}
+                          </span>
+                          {quoteApproval(s._id)?.comment && (
+                            <div>
+                              <em>{quoteApproval(s._id).comment}</em>
+                            </div>
+                          )}
+                          {canRequestApproval(s._id) && (
+                            <div>
+                              <button
+                                type="button"
+                                onClick={() => handleRequestApproval(s._id)}
+                                className="suppliers-management-button-secondary"
+                              >
+                                Request approval
+                              </button>
+                            </div>
+                          )}
+                        </td>
+                      )}
+                      {isDesigner && (
+                        <td className="suppliers-management-thtd">
+                          <button
+                            type="button"
+                            onClick={() => {
+                              setForm({
+                                storeName: s.storeName || "",
+                                supplierName: s.supplierName || "",
+                                product: s.product || "",
+                                price:
+                                  s.price != null ? String(s.price) : "",
+                                currency: s.currency || "",
+                                vatIncluded: s.vatIncluded !== false,
+                                contactName: s.contactName || "",
+                                phone: s.phone || "",
+                                roomId: s.roomId || "",
+                              });
+                              setEditingId(s._id);
+                            }}
+                            className="suppliers-management-button-secondary"
+                          >
+                            Edit
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => handleDelete(s._id)}
+                            className="suppliers-management-button-secondary"
+                          >
+                            Delete
+                          </button>
+                        </td>
+                      )}
+                    </tr>
+                    {payments && openPayee === s._id && payeeSummary(s._id) && (
+                      <tr>
+                        <td colSpan={columnCount} className="suppliers-management-thtd">
+                          <PaymentsPanel
+                            projectId={projectId}
+                            payee={payeeSummary(s._id)}
+                            payments={payments.payments.filter((p) => p.payee === s._id)}
+                            currency={payments.currency}
+                            methods={payments.methods}
+                            canEdit={payments.canEdit}
+                            onChange={setPayments}
+                          />
+                        </td>
+                      </tr>
                     )}
-                  </tr>
+                  </Fragment>
                 ))}
               </tbody>
             </table>
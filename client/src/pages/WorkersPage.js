@@ -1,12 +1,16 @@
 // client/src/pages/WorkersPage.js
-import React, { useEffect, useState } from "react";
+import React, { Fragment, useEffect, useState } from "react";
 import { useParams, Link } from "react-router-dom";
 import {
   fetchProjectWorkers,
   createProjectWorker,
   updateProjectWorker,
   deleteProjectWorker,
+  fetchProjectPayments,
 } from "../api";
+import PaymentsPanel from "../components/PaymentsPanel";
+import { CURRENCIES, formatMoney } from "../utils/currency";
+import { useProjectEvents } from "../utils/useProjectEvents";
 
 export default function WorkersPage() {
   const { projectId } = useParams();
@@ -15,6 +19,8 @@ export default function WorkersPage() {
      State
      ========================= */
   const [workers, setWorkers] = useState([]);
+  const [payments, setPayments] = useState(null); // null = no access to payments
+  const [openPayee, setOpenPayee] = useState(null);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState("");
@@ -26,6 +32,8 @@ export default function WorkersPage() {
     role: "",
     phone: "",
     cost: "",
+    currency: "",
+    vatIncluded: true,
     description: "",
   });
   const [editingId, setEditingId] = useState(null);
@@ -44,6 +52,7 @@ export default function WorkersPage() {
     try {
       const data = await fetchProjectWorkers(projectId);
       setWorkers(Array.isArray(data) ? data : []);
+      await loadPayments();
     } catch (err) {
       console.error("Failed to load workers:", err);
       setError(err.message || "Failed to load workers");
@@ -52,17 +61,46 @@ export default function WorkersPage() {
     }
   }
 
+  /* =========================
+     Load payments (paid / outstanding per worker)
+     ========================= */
+  async function loadPayments() {
+    try {
+      setPayments(await fetchProjectPayments(projectId, "worker"));
+    } catch (err) {
+      // 403: this role can't see costs / payments, the list still works
+      if (err.status !== 403) console.error("Failed to load payments:", err);
+      setPayments(null);
+    }
+  }
+
+  function payeeSummary(workerId) {
+    return payments?.payees.find((p) => p.payee === workerId) || null;
+  }
+
   useEffect(() => {
     loadWorkers();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [projectId]);
 
+  // Live updates: someone else added / changed / removed a worker.
+  // Only the list is refreshed, the form keeps what is being typed.
+  useProjectEvents(projectId, ["workers"], async () => {
+    try {
+      const data = await fetchProjectWorkers(projectId);
+      setWorkers(Array.isArray(data) ? data : []);
+      await loadPayments();
+    } catch (err) {
+      console.error("Failed to refresh workers:", err);
+    }
+  });
+
   /* =========================
      Form handlers
      ========================= */
   function handleChange(e) {
-    const { name, value } = e.target;
-    setForm((prev) => ({ ...prev, [name]: value }));
+    const { name, value, type, checked } = e.target;
+    setForm((prev) => ({ ...prev, [name]: type === "checkbox" ? checked : value }));
   }
 
   function resetForm() {
@@ -71,6 +109,8 @@ export default function WorkersPage() {
       role: "",
       phone: "",
       cost: "",
+      currency: "",
+      vatIncluded: true,
       description: "",
     });
     setEditingId(null);
@@ -93,6 +133,8 @@ export default function WorkersPage() {
     role: form.role,
     phone: form.phone,
     cost: form.cost ? Number(form.cost) : 0,
+    currency: form.currency || null,
+    vatIncluded: form.vatIncluded,
     description: form.description,
   };
 
@@ -120,6 +162,8 @@ export default function WorkersPage() {
       role: worker.role || "",
       phone: worker.phone || "",
       cost: worker.cost != null ? String(worker.cost) : "",
+      currency: worker.currency || "",
+      vatIncluded: worker.vatIncluded !== false,
       description: worker.description || "",
     });
     setEditingId(worker._id);
@@ -145,6 +189,8 @@ export default function WorkersPage() {
 
 
 
+  const columnCount = 5 + (payments ? 3 : 0) + (isDesigner ? 1 : 0);
+
   /* =========================
      Render
      ========================= */
@@ -172,6 +218,31 @@ export default function WorkersPage() {
         )}
 
 
+        {payments && (
+          <div
+            style={{
+              display: "flex",
+              gap: 20,
+              marginBottom: 16,
+              padding: "8px 12px",
+              borderRadius: 10,
+              background: "rgba(255,240,244,0.8)",
+              fontSize: 14,
+            }}
+          >
+            <span>
+              Paid: <strong>{formatMoney(payments.totals.paid, payments.currency)}</strong>
+            </span>
+            <span>
+              Outstanding:{" "}
+              <strong>{formatMoney(payments.totals.outstanding, payments.currency)}</strong>
+            </span>
+            <span style={{ color: payments.totals.overdue > 0 ? "#b00020" : undefined }}>
+              Overdue: <strong>{formatMoney(payments.totals.overdue, payments.currency)}</strong>
+            </span>
+          </div>
+        )}
+
         {/* Form – only visible for designer role */}
         {isDesigner && (
           <section style={{ marginBottom: 24 }}>
@@ -235,6 +306,32 @@ export default function WorkersPage() {
                 />
               </div>
 
+              <div>
+                <label className="workers-management-label">Currency</label>
+                <select
+                  name="currency"
+                  value={form.currency}
+                  onChange={handleChange}
+                  className="workers-management-container input"
+                >
+                  <option value="">Project currency</option>
+                  {CURRENCIES.map((c) => (
+                    <option key={c} value={c}>
+                      {c}
+                    </option>
+                  ))}
+                </select>
+                <label className="workers-management-label">
+                  <input
+                    type="checkbox"
+                    name="vatIncluded"
+                    checked={form.vatIncluded}
+                    onChange={handleChange}
+                  />{" "}
+                  Cost includes VAT
+                </label>
+              </div>
+
               <div style={{ gridColumn: "1 / -1" }}>
                 <label className="workers-management-label">Description</label>
                 <textarea
@@ -287,36 +384,82 @@ export default function WorkersPage() {
                   <th className="workers-management-thtd workers-management-thtd-header">Phone</th>
                   <th className="workers-management-thtd workers-management-thtd-header">Cost</th>
                   <th className="workers-management-thtd workers-management-thtd-header">Description</th>
+                  {payments && (
+                    <>
+                      <th className="workers-management-thtd workers-management-thtd-header">Paid</th>
+                      <th className="workers-management-thtd workers-management-thtd-header">Outstanding</th>
+                      <th className="workers-management-thtd workers-management-thtd-header">Payments</th>
+                    </>
+                  )}
                   {isDesigner && <th className="workers-management-thtd workers-management-thtd-header">Actions</th>}
                 </tr>
               </thead>
               <tbody>
                 {workers.map((w) => (
-                  <tr key={w._id}>
-                    <td className="workers-management-thtd">{w.workerName}</td>
-                    <td className="workers-management-thtd">{w.role}</td>
-                    <td className="workers-management-thtd">{w.phone}</td>
-                    <td className="workers-management-thtd">{w.cost}</td>
-                    <td className="workers-management-thtd">{w.description}</td>
-                    {isDesigner && (
+                  <Fragment key={w._id}>
+                    <tr>
+                      <td className="workers-management-thtd">{w.workerName}</td>
+                      <td className="workers-management-thtd">{w.role}</td>
+                      <td className="workers-management-thtd">{w.phone}</td>
                       <td className="workers-management-thtd">
-                        <button
-                          type="button"
-                          onClick={() => startEdit(w)}
-                          className="workers-management-button-secondary"
-                        >
-                          Edit
-                        </button>
-                        <button
-                          type="button"
-                          onClick={() => handleDelete(w._id)}
-                          className="workers-management-button-secondary"
-                        >
-                          Delete
-                        </button>
+                        {w.cost} {w.currency || ""}
+                        {w.vatIncluded === false && <small> + VAT</small>}
                       </td>
+                      <td className="workers-management-thtd">{w.description}</td>
+                      {payments && (
+                        <>
+                          <td className="workers-management-thtd">
+                            {formatMoney(payeeSummary(w._id)?.paid, payments.currency)}
+                          </td>
+                          <td className="workers-management-thtd">
+                            {formatMoney(payeeSummary(w._id)?.outstanding, payments.currency)}
+                          </td>
+                          <td className="workers-management-thtd">
+                            <button
+                              type="button"
+                              onClick={() => setOpenPayee(openPayee === w._id ? null : w._id)}
+                              className="workers-management-button-secondary"
+                            >
+                              {openPayee === w._id ? "Hide" : "Show"}
+                            </button>
+                          </td>
+                        </>
+                      )}
+                      {isDesigner && (
+                        <td className="workers-management-thtd">
+                          <button
+                            type="button"
+                            onClick={() => startEdit(w)}
+                            className="workers-management-button-secondary"
+                          >
+                            Edit
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => handleDelete(w._id)}
+                            className="workers-management-button-secondary"
+                          >
+                            Delete
+                          </button>
+                        </td>
+                      )}
+                    </tr>
+                    {payments && openPayee === w._id && payeeSummary(w._id) && (
+                      <tr>
+                        <td colSpan={columnCount} className="workers-management-thtd">
+                          <PaymentsPanel
+                            projectId={projectId}
+                            payee={payeeSummary(w._id)}
+                            payments={payments.payments.filter((p) => p.payee === w._id)}
+                            currency={payments.currency}
+                            methods={payments.methods}
+                            canEdit={payments.canEdit}
+                            onChange={setPayments}
+                          />
+                        </td>
+                      </tr>
                     )}
-                  </tr>
+                  </Fragment>
                 ))}
               </tbody>
             </table>
@@ -0,0 +1,58 @@
+// client/src/utils/approvals.js
+
+// Approval kinds / statuses of the server (server/models/Approval.js)
+export const APPROVAL_KIND_LABELS = {
+  colors: "Colors & materials",
+  plan: "Design plan",
+  supplier_quote: "Supplier quote",
+};
+
+export const APPROVAL_STATUS_LABELS = {
+  pending: "Waiting for approval",
+  approved: "Approved",
+  rejected: "Rejected",
+  withdrawn: "Withdrawn",
+};
+
+export const APPROVAL_STATUS_COLORS = {
+  pending: "#f57c00",
+  approved: "#2e7d32",
+  rejected: "#b00020",
+  withdrawn: "#777",
+};
+
+/**
+ * Newest approval of an item (withdrawn ones skipped), or null.
+ * approvals come newest first from the server; itemId is only used for
+ * supplier quotes (colors / plan are approved as a whole).
+ */
+export function latestApproval(approvals, kind, itemId = null) {
+  return (
+    (approvals || []).find(
+      (a) =>
+        a.kind === kind &&
+        a.status !== "withdrawn" &&
+        (kind !== "supplier_quote" || String(a.itemId) === String(itemId))
+    ) || null
+  );
+}
+
+/**
+ * One-line status, e.g. "Approved by dana on 18/10/2026 (locked)".
+ */
+export function approvalStatusText(approval) {
+  if (!approval) return "Not submitted for approval";
+
+  const date = (value) => (value ? new Date(value).toLocaleDateString() : "");
+
+  if (approval.status === "pending") {
+    return `Waiting for approval since ${date(approval.createdAt)}`;
+  }
+
+  const by = approval.decidedBy?.username ? ` by ${approval.decidedBy.username}` : "";
+  const text = `${APPROVAL_STATUS_LABELS[approval.status]}${by} on ${date(approval.decidedAt)}`;
+
+  if (approval.status !== "approved") return text;
+  if (approval.unlockedAt) return `${text} (reopened ${date(approval.unlockedAt)})`;
+  return `${text} (locked)`;
+}
@@ -0,0 +1,16 @@
+// client/src/utils/currency.js
+
+// Same list as the server (server/utils/currency.js)
+export const CURRENCIES = ["ILS", "USD", "EUR", "GBP"];
+
+const SYMBOLS = { ILS: "₪", USD: "$", EUR: "€", GBP: "£" };
+
+/**
+ * "1,250.5 ₪" style amount for display.
+ * currency defaults to ILS (projects created before currencies existed).
+ */
+export function formatMoney(amount, currency = "ILS") {
+  const value = Number(amount) || 0;
+  const symbol = SYMBOLS[currency] || currency;
+  return `${value.toLocaleString(undefined, { maximumFractionDigits: 2 })} ${symbol}`;
+}
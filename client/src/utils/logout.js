@@ -1,8 +1,13 @@
 // client/src/utils/logout.js
+import { revokeSession } from "../api";
 
 export function logout(navigate) {
+  // מבטל את ה־refresh token בשרת (לא מחכים לתשובה)
+  revokeSession().catch((err) => console.error("Failed to revoke session:", err));
+
   // מוחק את פרטי ההתחברות מה־localStorage
   localStorage.removeItem("token");
+  localStorage.removeItem("refreshToken");
   localStorage.removeItem("role");
 
   // מפנה למסך התחברות
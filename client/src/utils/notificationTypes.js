@@ -0,0 +1,25 @@
+// client/src/utils/notificationTypes.js
+
+// Notification types of the server (server/models/Notification.js) + "digest"
+export const NOTIFICATION_TYPE_LABELS = {
+  "invite.received": "Project invitations",
+  "invite.accepted": "Invitation accepted",
+  "invite.rejected": "Invitation declined",
+  "questionnaire.answers": "Questionnaire answers saved",
+  "questionnaire.sync": "Questionnaire updated from template",
+  "plan.update": "Design plan updated",
+  "colors.update": "Colors & materials updated",
+  "message.new": "New messages",
+  "approval.requested": "Approval requested",
+  "approval.approved": "Approval given",
+  "approval.rejected": "Approval rejected",
+  "approval.reopened": "Approved item reopened",
+  "moodboard.shared": "Mood board shared",
+  "moodboard.reaction": "Mood board reactions",
+  "document.shared": "Shared documents",
+  digest: "Digest (summary email)",
+};
+
+export function notificationTypeLabel(type) {
+  return NOTIFICATION_TYPE_LABELS[type] || type;
+}
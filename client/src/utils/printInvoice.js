@@ -0,0 +1,27 @@
+// client/src/utils/printInvoice.js
+import { fetchInvoiceHtml } from "../api";
+
+/**
+ * Open the printable version of an invoice in a new tab and start printing
+ * ("Save as PDF" in the print dialog gives a PDF).
+ *
+ * The HTML endpoint needs the Authorization header, so the page is fetched
+ * here and written into the new tab instead of linking to it.
+ */
+export async function printInvoice(projectId, invoiceId) {
+  // Open the tab first: popup blockers only allow it during the click
+  const win = window.open("", "_blank");
+  if (!win) throw new Error("Please allow pop-ups to print the invoice");
+
+  try {
+    const html = await fetchInvoiceHtml(projectId, invoiceId);
+    win.document.open();
+    win.document.write(html);
+    win.document.close();
+    win.focus();
+    win.print();
+  } catch (err) {
+    win.close();
+    throw err;
+  }
+}
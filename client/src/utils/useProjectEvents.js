@@ -0,0 +1,67 @@
+// client/src/utils/useProjectEvents.js
+
+import { useEffect, useRef } from "react";
+import { streamProjectEvents } from "../api";
+
+const MAX_RETRY_MS = 30 * 1000;
+
+/**
+ * Live updates for a project page.
+ * Calls onChange(event) when someone else changes one of `areas`
+ * ("workers" | "suppliers" | "plan" | "colors" | "questionnaires" | "messages" |
+ * "decisions" | "rooms" | "moodboards" | "documents").
+ * event: { area, action, entityId, actorName, at }
+ *
+ * The stream reconnects by itself (with backoff). After a reconnect
+ * onChange({ resync: true }) is called, since changes may have been missed.
+ */
+export function useProjectEvents(projectId, areas, onChange) {
+  // Always call the latest handler without reconnecting on every render
+  const handlerRef = useRef(onChange);
+  handlerRef.current = onChange;
+
+  const areaKey = areas.join(",");
+
+  useEffect(() => {
+    if (!projectId) return undefined;
+
+    const watched = areaKey.split(",");
+    const controller = new AbortController();
+    let retries = 0;
+    let connections = 0;
+    let timer = null;
+
+    function handleEvent({ type, data }) {
+      if (type === "ready") {
+        retries = 0;
+        connections += 1;
+        if (connections > 1) handlerRef.current({ resync: true });
+        return;
+      }
+      if (type === "change" && !data.self && watched.includes(data.area)) {
+        handlerRef.current(data);
+      }
+    }
+
+    async function connect() {
+      try {
+        await streamProjectEvents(projectId, { onEvent: handleEvent, signal: controller.signal });
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        // No access to the project (any more): stop trying
+        if (err.status === 403 || err.status === 404) return;
+        retries += 1;
+      }
+
+      if (controller.signal.aborted) return;
+      timer = setTimeout(connect, Math.min(1000 * 2 ** retries, MAX_RETRY_MS));
+    }
+
+    connect();
+
+    return () => {
+      controller.abort();
+      clearTimeout(timer);
+    };
+  }, [projectId, areaKey]);
+}
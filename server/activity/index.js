@@ -0,0 +1,79 @@
+// activity/index.js
+// Project activity log helpers: snapshot data, diff it, append a log entry
+
+const { EventEmitter } = require("events");
+const ActivityLog = require("../models/ActivityLog");
+
+// Emits "logged" with every saved entry (live updates listen to it)
+const activityEvents = new EventEmitter();
+
+/**
+ * Plain JSON copy of a value (mongoose docs, ObjectIds and Dates included),
+ * so "before" data is not changed by later edits.
+ */
+function snapshot(value) {
+  if (value === undefined || value === null) return null;
+  const plain = typeof value.toObject === "function" ? value.toObject() : value;
+  return JSON.parse(JSON.stringify(plain));
+}
+
+/**
+ * Field-level diff of two snapshots.
+ * Returns [{ field, before, after }] for every top-level field that changed.
+ * fields: limit the diff to these fields (default: all fields of both sides).
+ */
+function diffFields(before, after, fields = null) {
+  const prev = before || {};
+  const next = after || {};
+  const keys = fields || [...new Set([...Object.keys(prev), ...Object.keys(next)])];
+
+  return keys
+    .filter((key) => key !== "_id" && key !== "__v")
+    .filter((key) => JSON.stringify(prev[key] ?? null) !== JSON.stringify(next[key] ?? null))
+    .map((key) => ({ field: key, before: prev[key] ?? null, after: next[key] ?? null }));
+}
+
+/**
+ * Append one entry to a project's activity log.
+ * entry: { project, action, entityType?, entityId?, before?, after?, changes?, fields? }
+ * - changes defaults to diffFields(before, after, fields)
+ * - entries without changes are skipped (nothing happened)
+ * - saved entries are emitted as activityEvents "logged"
+ *
+ * Logging never fails the request: errors are only written to the console.
+ */
+async function logActivity(req, entry) {
+  try {
+    const {
+      project,
+      action,
+      entityType = "project",
+      entityId = "",
+      before = null,
+      after = null,
+      fields = null,
+    } = entry;
+
+    const changes = entry.changes || diffFields(before, after, fields);
+    if (changes.length === 0) return null;
+
+    const saved = await new ActivityLog({
+      project: project._id,
+      projectName: project.name || "",
+      actor: req.user.id,
+      actorRole: req.projectRole || req.user.role || "",
+      action,
+      entityType,
+      entityId: entityId ? String(entityId) : "",
+      changes,
+    }).save();
+
+    activityEvents.emit("logged", saved);
+    return saved;
+  } catch (err) {
+    console.error("Activity log error:", err);
+    return null;
+  }
+}
+
+module.exports = { snapshot, diffFields, logActivity, activityEvents };
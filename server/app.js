@@ -7,33 +7,103 @@ require("dotenv").config({ path: path.join(__dirname, ".env") });
 const express = require("express");
 const mongoose = require("mongoose");
 const fs = require("fs");
+const crypto = require("crypto");
 const multer = require("multer");
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
-const { v2: cloudinary } = require("cloudinary");
 
 // Models
 const User = require("./models/User");
+const RefreshToken = require("./models/RefreshToken");
+const Studio = require("./models/Studio");
+const PasswordResetToken = require("./models/PasswordResetToken");
 const ProjectModel = require("./models/Project");
 const OptionModel = require("./models/Option");
 const QuestionnaireTemplate = require("./models/QuestionnaireTemplate");
+const ActivityLog = require("./models/ActivityLog");
+const PlanRevision = require("./models/PlanRevision");
+const Invoice = require("./models/Invoice");
+const Appointment = require("./models/Appointment");
+const MessageThread = require("./models/MessageThread");
+const Approval = require("./models/Approval");
+const MoodBoard = require("./models/MoodBoard");
+const ProjectDocument = require("./models/ProjectDocument");
+const Notification = require("./models/Notification");
+
+// Mail (pluggable transport)
+const { sendMail } = require("./mail");
+const { DEFAULT_EMAIL_TEMPLATES, EMAIL_PLACEHOLDERS } = require("./mail/templates");
+
+// Project activity log (audit trail)
+const { snapshot, diffFields, logActivity, activityEvents } = require("./activity");
+
+// Live project updates (Server-Sent Events)
+const realtime = require("./realtime");
+
+// In-app notifications
+const { notify, sendDigests } = require("./notifications");
+
+// File storage (local disk or Cloudinary, see STORAGE_DRIVER)
+const {
+  saveFile,
+  openFile,
+  removeFile,
+  isStoredFileUrl,
+  uploadsDir,
+  IMAGE_TYPES,
+  IMAGE_EXTENSIONS,
+} = require("./storage");
+const { diffLines } = require("./utils/diffLines");
+const { computeBudgetSummary } = require("./utils/budget");
+const { summarizePayments } = require("./utils/payments");
+const { computeInvoiceTotals, renderInvoiceHtml } = require("./utils/invoices");
+const { CURRENCIES, BASE_CURRENCY, rateTable } = require("./utils/currency");
+const { projectCost, computeProjectTotals } = require("./utils/projectTotals");
+const { dependencyError, summarizeTimeline } = require("./utils/timeline");
+const {
+  readColorSelections,
+  quoteOf,
+  approvalContent,
+  approvalOutdated,
+  isApprovalLocked,
+  brokenLock,
+} = require("./utils/approvals");
+const {
+  doneColumn,
+  openColumn,
+  isDoneColumn,
+  placeCard,
+  describeCard,
+  summarizeBoard,
+} = require("./utils/board");
+const { buildCalendar } = require("./utils/ical");
 
 // Auth middlewares
 const { isAuthenticated, isDesigner } = require("./middlewares/auth");
+const {
+  getProjectRole,
+  getRolePermissions,
+  requireProjectPermission,
+  hasProjectPermission,
+  serializeProject,
+  shapeCostItems,
+  findUserProjects,
+} = require("./middlewares/projectAccess");
+const {
+  ensureStudio,
+  claimLegacyContent,
+  moveStudioContent,
+  loadStudio,
+  requireStudioRole,
+} = require("./middlewares/studio");
+
+// Studio guards (designer side): load studio, then check studio role
+const studioEditor = [loadStudio, requireStudioRole(["owner", "designer"])];
+const studioOwner = [loadStudio, requireStudioRole(["owner"])];
 
 const app = express();
 const port = process.env.PORT || 3000;
 
-/* =========================================================
- * Cloudinary
- * ========================================================= */
-
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
-
 /* =========================================================
  * MongoDB connection
  * ========================================================= */
@@ -57,38 +127,65 @@ app.use(express.json());
  * File uploads (images)
  * ========================================================= */
 
-// Local uploads folder (only used for static serving if you ever write files there)
-const uploadsDir = path.join(__dirname, "uploads");
+// Local storage folder for public files (STORAGE_DRIVER=local)
 if (!fs.existsSync(uploadsDir)) {
   fs.mkdirSync(uploadsDir, { recursive: true });
 }
 
-// Serve uploaded files from /uploads/... (optional)
-app.use("/uploads", express.static(uploadsDir));
+// Serve locally stored files from /uploads/... (never sniffed as another type)
+app.use(
+  "/uploads",
+  express.static(uploadsDir, {
+    setHeaders: (res) => res.set("X-Content-Type-Options", "nosniff"),
+  })
+);
 
-// We upload directly to Cloudinary using memory storage
-const upload = multer({ storage: multer.memoryStorage() });
+const MB = 1024 * 1024;
+const IMAGE_MAX_BYTES = (Number(process.env.IMAGE_MAX_MB) || 10) * MB;
+
+// Files are kept in memory and handed to the storage driver (see ./storage)
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMAGE_MAX_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname || "").toLowerCase();
+    if (IMAGE_TYPES[file.mimetype] && IMAGE_EXTENSIONS.includes(extension)) {
+      return cb(null, true);
+    }
+    cb(Object.assign(new Error("Upload a JPEG, PNG, GIF or WebP image"), { status: 400 }));
+  },
+});
 
 /**
- * Upload image to Cloudinary and return a public URL.
- * Expects a multipart form-data with "image".
+ * Receive one multipart "image" field; files that are too large get a 413,
+ * other types than IMAGE_TYPES (by MIME type and extension) a 400.
  */
-app.post("/upload-image", upload.single("image"), async (req, res) => {
-  try {
+function receiveImage(req, res, next) {
+  imageUpload.single("image")(req, res, (err) => {
+    if (err instanceof multer.MulterError && err.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({ message: `Images can be up to ${IMAGE_MAX_BYTES / MB} MB` });
+    }
+    if (err instanceof multer.MulterError || err?.status === 400) {
+      return res.status(400).json({ message: err.message });
+    }
+    if (err) return next(err);
     if (!req.file) return res.status(400).json({ message: "No file uploaded" });
+    next();
+  });
+}
 
-    const result = await new Promise((resolve, reject) => {
-      const stream = cloudinary.uploader.upload_stream(
-        { folder: "designer-client-proj" },
-        (error, uploaded) => {
-          if (error) reject(error);
-          else resolve(uploaded);
-        }
-      );
-      stream.end(req.file.buffer);
-    });
+/**
+ * Upload an image to the configured storage and return its public URL
+ * (Cloudinary URL or /uploads/...).
+ * Expects a multipart form-data with "image"; the stored file gets the
+ * extension of its checked type, not of the uploaded name.
+ */
+app.post("/upload-image", isAuthenticated, receiveImage, async (req, res) => {
+  try {
+    const fileName = `image${IMAGE_TYPES[req.file.mimetype]}`;
+    const stored = await saveFile(req.file.buffer, { fileName });
 
-    res.json({ imageUrl: result.secure_url });
+    res.json({ imageUrl: stored.url });
   } catch (err) {
     console.error("Error uploading image:", err);
     res.status(500).json({ message: "Error uploading image" });
@@ -96,16 +193,69 @@ app.post("/upload-image", upload.single("image"), async (req, res) => {
 });
 
 /* =========================================================
- * Auth routes (register / login)
+ * Auth helpers (access + refresh tokens)
+ * ========================================================= */
+
+// Short-lived JWT for API calls, long-lived refresh token to renew it
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function signAccessToken(user) {
+  return jwt.sign({ id: user._id, role: user.role }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+}
+
+/**
+ * Create a new refresh token for the user.
+ * Returns { raw, doc } - raw goes to the client, only the hash is stored.
+ */
+async function issueRefreshToken(userId) {
+  const raw = crypto.randomBytes(48).toString("hex");
+
+  const doc = await new RefreshToken({
+    user: userId,
+    tokenHash: hashToken(raw),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+  }).save();
+
+  return { raw, doc };
+}
+
+/**
+ * Minimal password policy for new passwords (change / reset).
+ * Returns an error message or null.
+ */
+function validateNewPassword(password) {
+  if (typeof password !== "string" || password.length < 6) {
+    return "Password must be at least 6 characters";
+  }
+  return null;
+}
+
+/**
+ * Issue a full session (access token + refresh token) for a user.
+ */
+async function issueSession(user) {
+  const { raw } = await issueRefreshToken(user._id);
+  return { token: signAccessToken(user), refreshToken: raw };
+}
+
+/* =========================================================
+ * Auth routes (register / login / refresh / logout)
  * ========================================================= */
 
 /**
  * Register a new user.
- * Body: { username, password, role }
+ * Body: { username, password, role, email? }
  */
 app.post("/api/register", async (req, res) => {
   try {
-    const { username, password, role } = req.body;
+    const { username, password, role, email } = req.body;
 
     const existingUser = await User.findOne({ username });
     if (existingUser) {
@@ -113,7 +263,7 @@ app.post("/api/register", async (req, res) => {
     }
 
     const hashedPassword = await bcrypt.hash(password, 10);
-    await new User({ username, password: hashedPassword, role }).save();
+    await new User({ username, password: hashedPassword, role, email: email || "" }).save();
 
     res.json({ message: "User registered successfully" });
   } catch (err) {
@@ -141,587 +291,7423 @@ app.post("/api/login", async (req, res) => {
       return res.status(400).json({ message: "Invalid username or password" });
     }
 
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: "1h" }
-    );
+    const { token, refreshToken } = await issueSession(user);
 
-    res.json({ message: "Login successful", token, role: user.role });
+    res.json({ message: "Login successful", token, refreshToken, role: user.role });
   } catch (err) {
     console.error("Error in login:", err);
     res.status(500).json({ message: "Server error" });
   }
 });
 
-/* =========================================================
- * Projects CRUD (with workers, suppliers, plan/notes, colors)
- * ========================================================= */
-
 /**
- * Create project (designer only).
- * IMPORTANT: client is invited (pending), not automatically linked.
+ * Exchange a refresh token for a new access token.
+ * Body: { refreshToken }
+ * Returns: new token + new refreshToken (the old one is revoked - rotation).
+ *
+ * If an already-revoked token is presented, we assume it was stolen and
+ * revoke every active session of that user.
  */
-app.post("/api/projects", isAuthenticated, isDesigner, async (req, res) => {
+app.post("/api/token/refresh", async (req, res) => {
   try {
-    const {
-      name,
-      startDate,
-      endDate,
-      budget,
-      clientUsername,
-      workers,
-      suppliers,
-      workerList,
-      supplierList,
-      colorSelections,
-    } = req.body;
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ message: "refreshToken is required" });
+    }
 
-    const workersData = Array.isArray(workers)
-      ? workers
-      : Array.isArray(workerList)
-      ? workerList
-      : [];
+    const tokenHash = hashToken(refreshToken);
+    const stored = await RefreshToken.findOne({ tokenHash });
+    if (!stored) return res.status(401).json({ message: "Invalid refresh token" });
 
-    const suppliersData = Array.isArray(suppliers)
-      ? suppliers
-      : Array.isArray(supplierList)
-      ? supplierList
-      : [];
+    const revokeAllSessions = () =>
+      RefreshToken.updateMany(
+        { user: stored.user, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+      );
 
-    const colorSelectionsData = Array.isArray(colorSelections)
-      ? colorSelections
-      : [];
+    if (stored.revokedAt) {
+      await revokeAllSessions();
+      return res.status(401).json({ message: "Refresh token was revoked" });
+    }
 
-    const client = await User.findOne({ username: clientUsername });
-    if (!client) {
-      return res.status(404).json({ message: "Client not found" });
+    if (stored.expiresAt <= new Date()) {
+      return res.status(401).json({ message: "Refresh token expired" });
     }
 
-    const project = await new ProjectModel({
-      name,
-      startDate,
-      endDate,
-      budget,
-      clientUsername,
-      createdBy: req.user.id,
+    const user = await User.findById(stored.user);
+    if (!user) return res.status(401).json({ message: "Invalid refresh token" });
 
-      associatedClients: [],
-      pendingInvites: [
-        {
-          clientId: client._id,
-          invitedBy: req.user.id,
-          status: "pending",
-          createdAt: new Date(),
-        },
-      ],
+    // Revoke atomically: of two concurrent refreshes with the same token only
+    // one gets a new token, the other one counts as reuse
+    const rotated = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+    if (!rotated) {
+      await revokeAllSessions();
+      return res.status(401).json({ message: "Refresh token was revoked" });
+    }
 
-      workers: workersData,
-      suppliers: suppliersData,
-      colorSelections: colorSelectionsData,
-    }).save();
+    const { raw, doc } = await issueRefreshToken(user._id);
+    await RefreshToken.updateOne({ _id: stored._id }, { $set: { replacedBy: doc._id } });
 
-    res.json({ project });
+    res.json({ token: signAccessToken(user), refreshToken: raw, role: user.role });
   } catch (err) {
-    console.error("Error creating project:", err);
+    console.error("Error refreshing token:", err);
     res.status(500).json({ message: "Server error" });
   }
 });
 
 /**
- * Update project (designer only).
- * Supports: workers/suppliers lists, plan, notes, colorSelections.
+ * Logout: revoke the given refresh token (server-side session end).
+ * Body: { refreshToken }
+ * Always answers 200 so the client can clear its local state.
  */
-app.put("/api/projects/:id", isAuthenticated, isDesigner, async (req, res) => {
+app.post("/api/logout", async (req, res) => {
   try {
-    const { id } = req.params;
+    const { refreshToken } = req.body;
 
-    const {
-      name,
-      startDate,
-      endDate,
-      budget,
-      clientUsername,
-      workers,
-      suppliers,
-      workerList,
-      supplierList,
-      designPlan,
-      notes,
-      colorSelections,
-    } = req.body;
+    if (refreshToken) {
+      await RefreshToken.updateOne(
+        { tokenHash: hashToken(refreshToken), revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+      );
+    }
 
-    const workersData = Array.isArray(workers)
-      ? workers
-      : Array.isArray(workerList)
-      ? workerList
-      : [];
+    res.json({ message: "Logged out" });
+  } catch (err) {
+    console.error("Error in logout:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
 
-    const suppliersData = Array.isArray(suppliers)
-      ? suppliers
-      : Array.isArray(supplierList)
-      ? supplierList
-      : [];
+/* =========================================================
+ * Password management (change / forgot / reset)
+ * ========================================================= */
 
-    const project = await ProjectModel.findById(id);
-    if (!project) return res.status(404).json({ message: "Project not found" });
+const RESET_TOKEN_MINUTES = Number(process.env.RESET_TOKEN_MINUTES) || 60;
 
-    if (name !== undefined) project.name = name;
-    if (startDate !== undefined) project.startDate = startDate;
-    if (endDate !== undefined) project.endDate = endDate;
-    if (budget !== undefined) project.budget = budget;
-    if (clientUsername !== undefined) project.clientUsername = clientUsername;
+/**
+ * Change password for the logged-in user.
+ * Body: { currentPassword, newPassword }
+ * All other sessions are revoked (refresh tokens), the caller gets a new one.
+ */
+app.put("/api/password", isAuthenticated, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
 
-    if (workers !== undefined || workerList !== undefined) {
-      project.workers = workersData;
-    }
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
 
-    if (suppliers !== undefined || supplierList !== undefined) {
-      project.suppliers = suppliersData;
-    }
+    const ok = await User.verifyPassword(currentPassword || "", user.password);
+    if (!ok) return res.status(400).json({ message: "Current password is incorrect" });
 
-    if (designPlan !== undefined) project.designPlan = designPlan;
-    if (notes !== undefined) project.notes = notes;
+    const passwordError = validateNewPassword(newPassword);
+    if (passwordError) return res.status(400).json({ message: passwordError });
 
-    if (colorSelections !== undefined) {
-      if (Array.isArray(colorSelections)) {
-        project.colorSelections = colorSelections.map((sel) => ({
-          roomName: sel.roomName || "Room",
-          wallColor: sel.wallColor || "",
-          furnitureColor: sel.furnitureColor || "",
-          floorColor: sel.floorColor || "",
-          materialType: sel.materialType || "",
-          finishType: sel.finishType || "",
-        }));
-      } else {
-        project.colorSelections = [];
-      }
+    user.password = await bcrypt.hash(newPassword, 10);
+    await user.save();
 
-      project.markModified("colorSelections");
-    }
+    await RefreshToken.updateMany(
+      { user: user._id, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
 
-    await project.save();
-    res.json({ project });
+    const { token, refreshToken } = await issueSession(user);
+    res.json({ message: "Password changed", token, refreshToken });
   } catch (err) {
-    console.error("Error updating project:", err);
+    console.error("Error changing password:", err);
     res.status(500).json({ message: "Server error" });
   }
 });
 
 /**
- * Delete project (designer only).
+ * Change the email address of the logged-in user ("" removes it).
+ * Body: { currentPassword, email }
+ * Reset links go to this address, so it needs the current password.
  */
-app.delete("/api/projects/:id", isAuthenticated, isDesigner, async (req, res) => {
+app.put("/api/email", isAuthenticated, async (req, res) => {
   try {
-    const { id } = req.params;
+    const { currentPassword, email } = req.body;
 
-    const project = await ProjectModel.findByIdAndDelete(id);
-    if (!project) return res.status(404).json({ message: "Project not found" });
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const ok = await User.verifyPassword(currentPassword || "", user.password);
+    if (!ok) return res.status(400).json({ message: "Current password is incorrect" });
 
-    res.json({ message: "Project deleted successfully" });
+    const value = String(email || "").trim().toLowerCase();
+    if (value && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+      return res.status(400).json({ message: "Invalid email address" });
+    }
+
+    user.email = value;
+    await user.save();
+
+    res.json({ message: "Email changed", email: user.email });
   } catch (err) {
-    console.error("Error deleting project:", err);
+    console.error("Error changing email:", err);
     res.status(500).json({ message: "Server error" });
   }
 });
 
 /**
- * List projects for current user.
- * - Designer: projects created by them (+ pending invite usernames)
- * - Client: projects where they are linked (associatedClients)
+ * Start the "forgot password" flow.
+ * Body: { username }
+ * Sends a one-time reset link to the user's email.
+ * Always answers the same message so usernames cannot be probed.
  */
-app.get("/api/projects", isAuthenticated, async (req, res) => {
+app.post("/api/password/forgot", async (req, res) => {
+  const genericMessage = "If the account exists, a reset link was sent to its email";
+
   try {
-    const { role, id } = req.user;
-    let projects = [];
+    const { username } = req.body;
+    if (!username) return res.status(400).json({ message: "username is required" });
 
-    if (role === "designer") {
-      projects = await ProjectModel.find({ createdBy: id })
-        .populate("pendingInvites.clientId", "username")
-        .lean();
-    } else if (role === "client") {
-      projects = await ProjectModel.find({ associatedClients: id }).lean();
-    }
+    const user = await User.findOne({ username });
+    if (!user || !user.email) return res.json({ message: genericMessage });
 
-    res.json(projects);
+    // Only one active reset token per user
+    await PasswordResetToken.updateMany(
+      { user: user._id, usedAt: null },
+      { $set: { usedAt: new Date() } }
+    );
+
+    const raw = crypto.randomBytes(32).toString("hex");
+    await new PasswordResetToken({
+      user: user._id,
+      tokenHash: hashToken(raw),
+      expiresAt: new Date(Date.now() + RESET_TOKEN_MINUTES * 60 * 1000),
+    }).save();
+
+    const appUrl = process.env.APP_URL || "http://localhost:3000";
+    const link = `${appUrl}/reset-password?token=${raw}`;
+
+    await sendMail({
+      to: user.email,
+      subject: "Reset your password",
+      text:
+        `Hi ${user.username},\n\n` +
+        `Use the link below to choose a new password (valid for ${RESET_TOKEN_MINUTES} minutes):\n` +
+        `${link}\n\n` +
+        "If you did not ask for this, you can ignore this email.",
+    });
+
+    res.json({ message: genericMessage });
   } catch (err) {
-    console.error("Error fetching projects:", err);
+    console.error("Error in forgot password:", err);
     res.status(500).json({ message: "Server error" });
   }
 });
 
 /**
- * Get a single project (role-based access).
- * Designers can also see pending invite details.
+ * Finish the reset flow with the token from the email.
+ * Body: { token, newPassword }
+ * The token is marked as used and all sessions of the user are revoked.
  */
-app.get("/api/projects/:id", isAuthenticated, async (req, res) => {
+app.post("/api/password/reset", async (req, res) => {
   try {
-    const { id: projId } = req.params;
-    const { role, id: userId } = req.user;
+    const { token, newPassword } = req.body;
+    if (!token) return res.status(400).json({ message: "token is required" });
 
-    const filter = { _id: projId };
-    if (role === "designer") filter.createdBy = userId;
-    if (role === "client") filter.associatedClients = userId;
+    const passwordError = validateNewPassword(newPassword);
+    if (passwordError) return res.status(400).json({ message: passwordError });
 
-    let query = ProjectModel.findOne(filter);
-    if (role === "designer") {
-      query = query.populate("pendingInvites.clientId", "username");
-    }
+    // Use up the token first, so the same link cannot reset twice
+    const now = new Date();
+    const stored = await PasswordResetToken.findOneAndUpdate(
+      { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: now } },
+      { $set: { usedAt: now } }
+    );
+    if (!stored) return res.status(400).json({ message: "Reset link is invalid or expired" });
 
-    const project = await query.lean();
-    if (!project) return res.status(404).json({ message: "Project not found" });
+    const user = await User.findById(stored.user);
+    if (!user) return res.status(400).json({ message: "Reset link is invalid or expired" });
+
+    user.password = await bcrypt.hash(newPassword, 10);
+    await user.save();
+
+    await RefreshToken.updateMany(
+      { user: user._id, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
 
-    res.json(project);
+    res.json({ message: "Password has been reset" });
   } catch (err) {
-    console.error("Error fetching project:", err);
+    console.error("Error resetting password:", err);
     res.status(500).json({ message: "Server error" });
   }
 });
 
 /* =========================================================
- * Project invitations (designer -> client approval)
+ * Studio (shared projects / templates / options for designers)
  * ========================================================= */
 
 /**
- * Designer sends invitation to a client (by username).
- * Only the project owner can invite.
+ * Load the studio with member usernames (response shape for studio routes).
  */
-app.post("/api/projects/:id/invite", isAuthenticated, isDesigner, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { clientUsername } = req.body;
-
-    if (!clientUsername) {
-      return res.status(400).json({ message: "clientUsername is required" });
-    }
-
-    const project = await ProjectModel.findOne({ _id: id, createdBy: req.user.id });
-    if (!project) return res.status(404).json({ message: "Project not found" });
-
-    const client = await User.findOne({ username: clientUsername });
-    if (!client) return res.status(404).json({ message: "Client not found" });
-
-    const alreadyLinked = (project.associatedClients || []).some(
-      (cid) => String(cid) === String(client._id)
-    );
-    if (alreadyLinked) {
-      return res.status(400).json({ message: "Client already linked" });
-    }
-
-    const alreadyPending = (project.pendingInvites || []).some(
-      (inv) => String(inv.clientId) === String(client._id) && inv.status === "pending"
-    );
-    if (alreadyPending) {
-      return res.status(400).json({ message: "Invite already pending" });
-    }
-
-    project.pendingInvites = project.pendingInvites || [];
-    project.pendingInvites.push({
-      clientId: client._id,
-      invitedBy: req.user.id,
-      status: "pending",
-      createdAt: new Date(),
-    });
+async function studioResponse(studioId, userId) {
+  const studio = await Studio.findById(studioId).populate("members.user", "username").lean();
+  const me = (studio?.members || []).find((m) => String(m.user?._id) === String(userId));
+  return { studio, myRole: me ? me.role : null };
+}
 
-    project.markModified("pendingInvites");
-    await project.save();
+/**
+ * True if removing/demoting `userId` would leave the studio without an owner.
+ */
+function isLastOwner(studio, userId) {
+  const owners = (studio.members || []).filter((m) => m.role === "owner");
+  return owners.length === 1 && String(owners[0].user) === String(userId);
+}
 
-    res.json({ message: "Invite sent" });
+/**
+ * Get the current designer's studio (members + my role).
+ */
+app.get("/api/studio", isAuthenticated, isDesigner, loadStudio, async (req, res) => {
+  try {
+    res.json(await studioResponse(req.studio._id, req.user.id));
   } catch (err) {
-    console.error("Invite error:", err);
+    console.error("Error fetching studio:", err);
     res.status(500).json({ message: "Server error" });
   }
 });
 
 /**
- * Client fetches their pending invites.
+ * Rename the studio (studio owner only).
+ * Body: { name }
  */
-app.get("/api/invites", isAuthenticated, async (req, res) => {
+app.put("/api/studio", isAuthenticated, isDesigner, studioOwner, async (req, res) => {
   try {
-    if (req.user.role !== "client") {
-      return res.status(403).json({ message: "Forbidden" });
-    }
+    const { name } = req.body;
+    if (!name || !name.trim()) return res.status(400).json({ message: "name is required" });
 
-    const projects = await ProjectModel.find({
-      pendingInvites: { $elemMatch: { clientId: req.user.id, status: "pending" } },
-    })
-      .select("_id name createdBy clientUsername")
-      .lean();
+    req.studio.name = name.trim();
+    await req.studio.save();
 
-    res.json(projects);
+    res.json(await studioResponse(req.studio._id, req.user.id));
   } catch (err) {
-    console.error("Fetch invites error:", err);
+    console.error("Error updating studio:", err);
     res.status(500).json({ message: "Server error" });
   }
 });
 
 /**
- * Client accepts or rejects an invite.
- * - accept: client is added to associatedClients
- * - reject: only status changes
+ * Add a designer to the studio (studio owner only).
+ * Body: { username, role }
+ *
+ * A designer belongs to one studio. If they are alone in their personal
+ * studio, its content moves into this studio; otherwise we refuse.
  */
-app.post("/api/projects/:id/invite/:action", isAuthenticated, async (req, res) => {
+app.post("/api/studio/members", isAuthenticated, isDesigner, studioOwner, async (req, res) => {
   try {
-    if (req.user.role !== "client") {
-      return res.status(403).json({ message: "Forbidden" });
-    }
+    const { username } = req.body;
+    const role = req.body.role || "designer";
 
-    const { id, action } = req.params;
-    if (!["accept", "reject"].includes(action)) {
-      return res.status(400).json({ message: "Invalid action" });
+    if (!Studio.STUDIO_ROLES.includes(role)) {
+      return res.status(400).json({ message: "Invalid studio role" });
     }
 
-    const project = await ProjectModel.findById(id);
-    if (!project) return res.status(404).json({ message: "Project not found" });
+    const user = await User.findOne({ username });
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (user.role !== "designer") {
+      return res.status(400).json({ message: "Only designers can join a studio" });
+    }
 
-    const invite = (project.pendingInvites || []).find(
-      (inv) => String(inv.clientId) === String(req.user.id) && inv.status === "pending"
-    );
-    if (!invite) {
-      return res.status(400).json({ message: "No pending invite found" });
+    const { studio } = req;
+    if (studio.roleOf(user._id)) {
+      return res.status(400).json({ message: "User is already a member" });
     }
 
-    invite.status = action === "accept" ? "accepted" : "rejected";
+    const otherStudio = await Studio.findOne({ "members.user": user._id });
+    if (otherStudio) {
+      if (otherStudio.members.length > 1) {
+        return res.status(400).json({ message: "User already belongs to another studio" });
+      }
 
-    if (action === "accept") {
-      project.associatedClients = project.associatedClients || [];
-      const alreadyLinked = project.associatedClients.some(
-        (cid) => String(cid) === String(req.user.id)
-      );
-      if (!alreadyLinked) project.associatedClients.push(req.user.id);
+      await moveStudioContent(otherStudio._id, studio._id);
+      await otherStudio.deleteOne();
+    } else {
+      await claimLegacyContent(user._id, studio._id);
     }
 
-    project.markModified("pendingInvites");
-    await project.save();
+    studio.members.push({ user: user._id, role, joinedAt: new Date() });
+    await studio.save();
 
-    res.json({ message: `Invite ${invite.status}` });
+    res.status(201).json(await studioResponse(studio._id, req.user.id));
   } catch (err) {
-    console.error("Accept/reject invite error:", err);
+    console.error("Error adding studio member:", err);
     res.status(500).json({ message: "Server error" });
   }
 });
 
-/* =========================================================
- * Workers API (per project)
- * ========================================================= */
-
 /**
- * List workers for a project.
+ * Change a member's role (studio owner only).
+ * Body: { role }
  */
-app.get("/api/projects/:id/workers", isAuthenticated, async (req, res) => {
-  try {
-    const project = await ProjectModel.findById(req.params.id).lean();
-    if (!project) return res.status(404).json({ message: "Project not found" });
+app.put(
+  "/api/studio/members/:userId",
+  isAuthenticated,
+  isDesigner,
+  studioOwner,
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { role } = req.body;
 
-    res.json(project.workers || []);
-  } catch (err) {
-    console.error("Workers list error:", err);
-    res.status(500).json({ message: "Server error" });
+      if (!Studio.STUDIO_ROLES.includes(role)) {
+        return res.status(400).json({ message: "Invalid studio role" });
+      }
+
+      const { studio } = req;
+      const member = studio.members.find((m) => String(m.user) === String(userId));
+      if (!member) return res.status(404).json({ message: "Member not found" });
+
+      if (role !== "owner" && isLastOwner(studio, userId)) {
+        return res.status(400).json({ message: "A studio needs at least one owner" });
+      }
+
+      member.role = role;
+      await studio.save();
+
+      res.json(await studioResponse(studio._id, req.user.id));
+    } catch (err) {
+      console.error("Error updating studio member:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * Remove a member (studio owner) or leave the studio (any member, own id).
+ * Projects the member created stay with the studio.
+ */
+app.delete(
+  "/api/studio/members/:userId",
+  isAuthenticated,
+  isDesigner,
+  loadStudio,
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { studio } = req;
+
+      const isSelf = String(userId) === String(req.user.id);
+      if (!isSelf && req.studioRole !== "owner") {
+        return res.status(403).json({ message: "Your studio role does not allow this action" });
+      }
+
+      if (!studio.roleOf(userId)) {
+        return res.status(404).json({ message: "Member not found" });
+      }
+
+      if (isLastOwner(studio, userId)) {
+        return res.status(400).json({ message: "A studio needs at least one owner" });
+      }
+
+      studio.members = studio.members.filter((m) => String(m.user) !== String(userId));
+      await studio.save();
+
+      res.json({ message: isSelf ? "You left the studio" : "Member removed" });
+    } catch (err) {
+      console.error("Error removing studio member:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * Exchange-rate table of the studio (manually maintained, no live rates).
+ * Returns { baseCurrency, currencies, rates: [{ currency, rate, updatedAt }] }
+ */
+app.get("/api/studio/exchange-rates", isAuthenticated, isDesigner, loadStudio, async (req, res) => {
+  try {
+    res.json({
+      baseCurrency: BASE_CURRENCY,
+      currencies: CURRENCIES,
+      rates: req.studio.exchangeRates || [],
+    });
+  } catch (err) {
+    console.error("Error fetching exchange rates:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * Replace the studio's exchange-rate table (studio owner / designer).
+ * Body: { rates: [{ currency, rate }] } - rate = value of 1 unit in the base currency
+ */
+app.put(
+  "/api/studio/exchange-rates",
+  isAuthenticated,
+  isDesigner,
+  studioEditor,
+  async (req, res) => {
+    try {
+      const input = Array.isArray(req.body.rates) ? req.body.rates : [];
+      const previous = new Map((req.studio.exchangeRates || []).map((r) => [r.currency, r]));
+
+      const rates = [];
+      for (const entry of input) {
+        const rate = Number(entry.rate);
+        if (!CURRENCIES.includes(entry.currency) || entry.currency === BASE_CURRENCY) {
+          return res.status(400).json({ message: `Unsupported currency "${entry.currency}"` });
+        }
+        if (!Number.isFinite(rate) || rate <= 0) {
+          return res.status(400).json({ message: `Rate for ${entry.currency} must be > 0` });
+        }
+        if (rates.some((r) => r.currency === entry.currency)) {
+          return res.status(400).json({ message: `${entry.currency} is listed twice` });
+        }
+
+        // Keep the old timestamp when the rate did not change
+        const old = previous.get(entry.currency);
+        const updatedAt = old && old.rate === rate ? old.updatedAt : new Date();
+        rates.push({ currency: entry.currency, rate, updatedAt });
+      }
+
+      req.studio.exchangeRates = rates;
+      await req.studio.save();
+
+      res.json({ baseCurrency: BASE_CURRENCY, currencies: CURRENCIES, rates });
+    } catch (err) {
+      console.error("Error updating exchange rates:", err);
+      res.status(500).json({ message: "Server error" });
+    }
   }
+);
+
+/**
+ * Notification email templates of the studio: every type with the text
+ * in use (the studio's own or the default) + the default to reset to.
+ */
+function studioEmailTemplates(studio) {
+  return {
+    templates: Object.entries(DEFAULT_EMAIL_TEMPLATES).map(([type, fallback]) => {
+      const custom = (studio.emailTemplates || []).find((t) => t.type === type);
+      return {
+        type,
+        subject: custom ? custom.subject : fallback.subject,
+        text: custom ? custom.text : fallback.text,
+        custom: Boolean(custom),
+        default: fallback,
+        placeholders: EMAIL_PLACEHOLDERS[type === "digest" ? "digest" : "notification"],
+      };
+    }),
+  };
+}
+
+/**
+ * Email templates of the studio (see mail/templates.js for placeholders).
+ */
+app.get("/api/studio/email-templates", isAuthenticated, isDesigner, loadStudio, (req, res) => {
+  res.json(studioEmailTemplates(req.studio));
 });
 
 /**
- * Add worker to project (designer only).
+ * Replace the studio's template of one notification type (studio owner / designer).
+ * Body: { subject, text } - {{placeholder}} values are filled in when sending.
+ */
+app.put(
+  "/api/studio/email-templates/:type",
+  isAuthenticated,
+  isDesigner,
+  studioEditor,
+  async (req, res) => {
+    try {
+      const { type } = req.params;
+      if (!DEFAULT_EMAIL_TEMPLATES[type]) {
+        return res.status(404).json({ message: "Unknown email template" });
+      }
+
+      const subject = String(req.body.subject || "").trim();
+      const text = String(req.body.text || "");
+      if (!subject || !text.trim()) {
+        return res.status(400).json({ message: "Subject and text are required" });
+      }
+
+      req.studio.emailTemplates = [
+        ...(req.studio.emailTemplates || []).filter((t) => t.type !== type),
+        { type, subject, text, updatedAt: new Date() },
+      ];
+      await req.studio.save();
+
+      res.json(studioEmailTemplates(req.studio));
+    } catch (err) {
+      console.error("Error updating email template:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * Go back to the default template of one notification type.
+ */
+app.delete(
+  "/api/studio/email-templates/:type",
+  isAuthenticated,
+  isDesigner,
+  studioEditor,
+  async (req, res) => {
+    try {
+      req.studio.emailTemplates = (req.studio.emailTemplates || []).filter(
+        (t) => t.type !== req.params.type
+      );
+      await req.studio.save();
+
+      res.json(studioEmailTemplates(req.studio));
+    } catch (err) {
+      console.error("Error resetting email template:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/* =========================================================
+ * Projects CRUD (with workers, suppliers, plan/notes, colors)
+ * ========================================================= */
+
+/**
+ * Permission needed to change each field in PUT /api/projects/:id.
+ */
+const PROJECT_FIELD_PERMISSIONS = {
+  name: "project:edit",
+  startDate: "project:edit",
+  endDate: "project:edit",
+  budget: "project:edit",
+  currency: "project:edit",
+  vatRate: "project:edit",
+  budgetIncludesVat: "project:edit",
+  clientUsername: "project:edit",
+  workers: "workers:edit",
+  workerList: "workers:edit",
+  suppliers: "suppliers:edit",
+  supplierList: "suppliers:edit",
+  designPlan: "plan:edit",
+  notes: "plan:edit",
+  colorSelections: "colors:edit",
+};
+
+/**
+ * Activity action for each field changed through PUT /api/projects/:id
+ * (fields not listed are logged as "project.update").
+ */
+const PROJECT_FIELD_ACTIONS = {
+  workers: "workers.update",
+  suppliers: "suppliers.update",
+  designPlan: "plan.update",
+  notes: "plan.update",
+  colorSelections: "colors.update",
+};
+
+// Project fields tracked in the activity log on create / update / delete
+const PROJECT_LOGGED_FIELDS = [
+  "name",
+  "startDate",
+  "endDate",
+  "budget",
+  "currency",
+  "vatRate",
+  "budgetIncludesVat",
+  "clientUsername",
+  "workers",
+  "suppliers",
+  "designPlan",
+  "notes",
+  "colorSelections",
+];
+
+/**
+ * Validate currency / VAT fields of a project (only fields present in body).
+ * Returns { data } or { error }.
+ */
+function readProjectMoney(body) {
+  const data = {};
+
+  if (body.currency !== undefined) {
+    if (!CURRENCIES.includes(body.currency)) return { error: "Unsupported currency" };
+    data.currency = body.currency;
+  }
+
+  if (body.vatRate !== undefined) {
+    const vatRate = Number(body.vatRate);
+    if (!Number.isFinite(vatRate) || vatRate < 0 || vatRate > 100) {
+      return { error: "VAT rate must be a percentage between 0 and 100" };
+    }
+    data.vatRate = vatRate;
+  }
+
+  if (body.budgetIncludesVat !== undefined) {
+    data.budgetIncludesVat = Boolean(body.budgetIncludesVat);
+  }
+
+  return { data };
+}
+
+/**
+ * Validate currency / VAT fields of a worker or supplier cost.
+ * currency "" / null = the project currency.
+ * Returns { data } or { error }.
+ */
+function readCostMoney(body) {
+  const data = {};
+
+  if (body.currency !== undefined) {
+    const currency = body.currency || null;
+    if (currency && !CURRENCIES.includes(currency)) return { error: "Unsupported currency" };
+    data.currency = currency;
+  }
+
+  if (body.vatIncluded !== undefined) data.vatIncluded = Boolean(body.vatIncluded);
+
+  return { data };
+}
+
+/* ----- Optimistic concurrency (project version = __v) ----- */
+
+/**
+ * Set the project's version as ETag, e.g. ETag: "12".
+ */
+function setProjectVersion(res, project) {
+  res.set("ETag", `"${project.__v}"`);
+}
+
+/**
+ * True if the request may write this project version.
+ * Clients send the version they edited as If-Match ("12", W/"12" or *);
+ * requests without If-Match are not checked.
+ */
+function matchesProjectVersion(req, project) {
+  const header = req.get("If-Match");
+  if (!header || header.trim() === "*") return true;
+
+  return header
+    .split(",")
+    .map((tag) => tag.trim().replace(/^W\//, "").replace(/"/g, ""))
+    .includes(String(project.__v));
+}
+
+/**
+ * 409 with the current server state, so the client can merge or reload.
+ * extra: more data for the client (e.g. the current questionnaire instance).
+ */
+async function sendVersionConflict(req, res, extra = {}) {
+  const current = await ProjectModel.findById(req.project._id).populate("createdBy", "username");
+  if (!current) return res.status(404).json({ message: "Project not found" });
+
+  setProjectVersion(res, current);
+  res.status(409).json({
+    message: "This project was changed by someone else. Reload or overwrite your changes.",
+    version: current.__v,
+    project: serializeProject(current, req.projectRole),
+    ...(typeof extra === "function" ? extra(current) : extra),
+  });
+}
+
+/**
+ * Answer a request that failed with an error: a project that someone else
+ * saved in between (mongoose VersionError, see optimisticConcurrency on
+ * Project) gets the 409 conflict response, anything else a 500.
+ */
+function sendServerError(req, res, err, label) {
+  if (err instanceof mongoose.Error.VersionError) {
+    if (req.project) return sendVersionConflict(req, res);
+    return res
+      .status(409)
+      .json({ message: "This project was changed by someone else. Please try again." });
+  }
+
+  console.error(`${label}:`, err);
+  res.status(500).json({ message: "Server error" });
+}
+
+/**
+ * Create project (studio owner / designer).
+ * The project belongs to the designer's studio.
+ * IMPORTANT: client is invited (pending), not automatically linked.
  */
-app.post("/api/projects/:id/workers", isAuthenticated, isDesigner, async (req, res) => {
+app.post("/api/projects", isAuthenticated, isDesigner, studioEditor, async (req, res) => {
   try {
-    const { workerName, role, phone, cost, description } = req.body;
+    const {
+      name,
+      startDate,
+      endDate,
+      budget,
+      clientUsername,
+      workers,
+      suppliers,
+      workerList,
+      supplierList,
+      colorSelections,
+    } = req.body;
 
-    const project = await ProjectModel.findById(req.params.id);
-    if (!project) return res.status(404).json({ message: "Project not found" });
+    const workersData = Array.isArray(workers)
+      ? workers
+      : Array.isArray(workerList)
+      ? workerList
+      : [];
 
-    project.workers.push({ workerName, role, phone, cost, description });
-    await project.save();
+    const suppliersData = Array.isArray(suppliers)
+      ? suppliers
+      : Array.isArray(supplierList)
+      ? supplierList
+      : [];
+
+    const colorSelectionsData = Array.isArray(colorSelections)
+      ? colorSelections
+      : [];
+
+    const money = readProjectMoney(req.body);
+    if (money.error) return res.status(400).json({ message: money.error });
+
+    const client = await User.findOne({ username: clientUsername });
+    if (!client) {
+      return res.status(404).json({ message: "Client not found" });
+    }
+
+    const project = await new ProjectModel({
+      name,
+      startDate,
+      endDate,
+      budget,
+      ...money.data,
+      clientUsername,
+      studio: req.studio._id,
+      createdBy: req.user.id,
+
+      associatedClients: [],
+      pendingInvites: [
+        {
+          clientId: client._id,
+          invitedBy: req.user.id,
+          status: "pending",
+          createdAt: new Date(),
+        },
+      ],
+
+      workers: workersData,
+      suppliers: suppliersData,
+      colorSelections: colorSelectionsData,
+    }).save();
+
+    await logActivity(req, {
+      project,
+      action: "project.create",
+      after: snapshot(project),
+      fields: PROJECT_LOGGED_FIELDS,
+    });
 
-    res.status(201).json(project.workers[project.workers.length - 1]);
+    await notify(req, {
+      recipients: [client._id],
+      type: "invite.received",
+      project,
+      message: "invited you to a project",
+      link: "/client",
+    });
+
+    await project.populate("createdBy", "username");
+    res.json({ project });
   } catch (err) {
-    console.error("Add worker error:", err);
+    console.error("Error creating project:", err);
     res.status(500).json({ message: "Server error" });
   }
 });
 
 /**
- * Update worker inside project (designer only).
+ * Update project.
+ * Supports: workers/suppliers lists, plan, notes, colorSelections.
+ * Each field is checked against the caller's project role
+ * (see PROJECT_FIELD_PERMISSIONS).
+ * Send If-Match with the project version (__v / ETag) you edited:
+ * if the project changed since, nothing is saved and we answer 409.
+ * Changes to approved (locked) colors, plan or supplier quotes get 423.
  */
 app.put(
-  "/api/projects/:projectId/workers/:workerId",
+  "/api/projects/:id",
   isAuthenticated,
-  isDesigner,
+  requireProjectPermission("project:view"),
   async (req, res) => {
     try {
-      const { projectId, workerId } = req.params;
-      const { workerName, role, phone, cost, description } = req.body;
+      const {
+        name,
+        startDate,
+        endDate,
+        budget,
+        clientUsername,
+        workers,
+        suppliers,
+        workerList,
+        supplierList,
+        designPlan,
+        notes,
+        colorSelections,
+      } = req.body;
+
+      const deniedField = Object.keys(PROJECT_FIELD_PERMISSIONS).find(
+        (field) =>
+          req.body[field] !== undefined &&
+          !hasProjectPermission(req, PROJECT_FIELD_PERMISSIONS[field])
+      );
+      if (deniedField) {
+        return res
+          .status(403)
+          .json({ message: `Your project role cannot change "${deniedField}"` });
+      }
 
-      const project = await ProjectModel.findById(projectId);
-      if (!project) return res.status(404).json({ message: "Project not found" });
+      const workersData = Array.isArray(workers)
+        ? workers
+        : Array.isArray(workerList)
+        ? workerList
+        : [];
+
+      const suppliersData = Array.isArray(suppliers)
+        ? suppliers
+        : Array.isArray(supplierList)
+        ? supplierList
+        : [];
+
+      const money = readProjectMoney(req.body);
+      if (money.error) return res.status(400).json({ message: money.error });
+
+      const { project } = req;
+      if (!matchesProjectVersion(req, project)) return sendVersionConflict(req, res);
+
+      const lock = await findBrokenLock(project, {
+        colorSelections:
+          colorSelections !== undefined
+            ? readColorSelections(colorSelections, project.rooms)
+            : undefined,
+        designPlan,
+        notes,
+        suppliers:
+          suppliers !== undefined || supplierList !== undefined ? suppliersData : undefined,
+      });
+      if (lock) return sendLocked(res, lock);
 
-      const worker = project.workers.id(workerId);
-      if (!worker) return res.status(404).json({ message: "Worker not found" });
+      const before = snapshot(project);
 
-      if (workerName !== undefined) worker.workerName = workerName;
-      if (role !== undefined) worker.role = role;
-      if (phone !== undefined) worker.phone = phone;
-      if (cost !== undefined) worker.cost = cost;
-      if (description !== undefined) worker.description = description;
+      if (name !== undefined) project.name = name;
+      if (startDate !== undefined) project.startDate = startDate;
+      if (endDate !== undefined) project.endDate = endDate;
+      if (budget !== undefined) project.budget = budget;
+      Object.assign(project, money.data);
+      if (clientUsername !== undefined) project.clientUsername = clientUsername;
+
+      if (workers !== undefined || workerList !== undefined) {
+        project.workers = workersData;
+      }
+
+      if (suppliers !== undefined || supplierList !== undefined) {
+        project.suppliers = suppliersData;
+      }
+
+      if (designPlan !== undefined) project.designPlan = designPlan;
+      if (notes !== undefined) project.notes = notes;
+
+      if (colorSelections !== undefined) {
+        project.colorSelections = readColorSelections(colorSelections, project.rooms);
+        project.markModified("colorSelections");
+      }
+
+      await project.save();
+
+      // One log entry per area (project details, workers, plan, colors...)
+      const changesByAction = {};
+      for (const change of diffFields(before, snapshot(project), PROJECT_LOGGED_FIELDS)) {
+        const action = PROJECT_FIELD_ACTIONS[change.field] || "project.update";
+        (changesByAction[action] = changesByAction[action] || []).push(change);
+      }
+      for (const [action, changes] of Object.entries(changesByAction)) {
+        await logActivity(req, { project, action, changes });
+      }
+
+      // Plan / color changes: let everyone who can see them know
+      for (const action of ["plan.update", "colors.update"]) {
+        if (!changesByAction[action]) continue;
+        const area = action === "plan.update" ? "plan" : "colors";
+        await notify(req, {
+          recipients: await projectTeamWith(project, `${area}:view`),
+          type: action,
+          project,
+          message: area === "plan" ? "updated the design plan" : "updated colors & materials",
+          link: `/project/${project._id}/${area}`,
+        });
+      }
+
+      // Every plan / notes save becomes a revision (version history)
+      if (changesByAction["plan.update"]) {
+        await recordPlanRevision(project, req.user.id, before);
+      }
+
+      await project.populate("createdBy", "username");
+      setProjectVersion(res, project);
+      res.json({ project: serializeProject(project, req.projectRole) });
+    } catch (err) {
+      sendServerError(req, res, err, "Error updating project");
+    }
+  }
+);
+
+/**
+ * Delete project (lead designer only).
+ */
+app.delete(
+  "/api/projects/:id",
+  isAuthenticated,
+  requireProjectPermission("project:delete"),
+  async (req, res) => {
+    try {
+      await req.project.deleteOne();
+      await PlanRevision.deleteMany({ project: req.project._id });
+      await Invoice.deleteMany({ project: req.project._id });
+      await Appointment.deleteMany({ project: req.project._id });
+      await MessageThread.deleteMany({ project: req.project._id });
+      await Approval.deleteMany({ project: req.project._id });
+      await MoodBoard.deleteMany({ project: req.project._id });
+      const documents = await ProjectDocument.find({ project: req.project._id }).lean();
+      await ProjectDocument.deleteMany({ project: req.project._id });
+      await removeDocumentFiles(documents.flatMap((doc) => doc.versions));
+
+      await logActivity(req, {
+        project: req.project,
+        action: "project.delete",
+        before: snapshot(req.project),
+        fields: PROJECT_LOGGED_FIELDS,
+      });
+
+      res.json({ message: "Project deleted successfully" });
+    } catch (err) {
+      console.error("Error deleting project:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * List projects for current user (see findUserProjects); clients and
+ * contractors get each project shaped for their role.
+ */
+app.get("/api/projects", isAuthenticated, loadStudio, async (req, res) => {
+  try {
+    res.json(await findUserProjects(req.user, req.studio));
+  } catch (err) {
+    console.error("Error fetching projects:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * Get a single project (any project role).
+ * The response is shaped for the role (see serializeProject).
+ */
+app.get(
+  "/api/projects/:id",
+  isAuthenticated,
+  requireProjectPermission("project:view"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      if (hasProjectPermission(req, "clients:invite")) {
+        await project.populate("pendingInvites.clientId", "username");
+      }
+
+      setProjectVersion(res, project);
+      res.json(serializeProject(project, req.projectRole));
+    } catch (err) {
+      console.error("Error fetching project:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/* =========================================================
+ * Project invitations (designer -> client approval)
+ * ========================================================= */
+
+/**
+ * Designer sends invitation to a client (by username).
+ * Only the lead designer can invite.
+ */
+app.post(
+  "/api/projects/:id/invite",
+  isAuthenticated,
+  requireProjectPermission("clients:invite"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+      const { clientUsername } = req.body;
+
+      if (!clientUsername) {
+        return res.status(400).json({ message: "clientUsername is required" });
+      }
+
+      const client = await User.findOne({ username: clientUsername });
+      if (!client) return res.status(404).json({ message: "Client not found" });
+
+      const alreadyLinked = (project.associatedClients || []).some(
+        (cid) => String(cid) === String(client._id)
+      );
+      if (alreadyLinked) {
+        return res.status(400).json({ message: "Client already linked" });
+      }
+
+      const alreadyPending = (project.pendingInvites || []).some(
+        (inv) => String(inv.clientId) === String(client._id) && inv.status === "pending"
+      );
+      if (alreadyPending) {
+        return res.status(400).json({ message: "Invite already pending" });
+      }
+
+      project.pendingInvites = project.pendingInvites || [];
+      project.pendingInvites.push({
+        clientId: client._id,
+        invitedBy: req.user.id,
+        status: "pending",
+        createdAt: new Date(),
+      });
+
+      project.markModified("pendingInvites");
+      await project.save();
+
+      await logActivity(req, {
+        project,
+        action: "invite.send",
+        entityType: "user",
+        entityId: client._id,
+        changes: [
+          { field: "invite", before: null, after: { client: client.username, status: "pending" } },
+        ],
+      });
+
+      await notify(req, {
+        recipients: [client._id],
+        type: "invite.received",
+        project,
+        message: "invited you to a project",
+        link: "/client",
+      });
+
+      res.json({ message: "Invite sent" });
+    } catch (err) {
+      sendServerError(req, res, err, "Invite error");
+    }
+  }
+);
+
+/**
+ * Client fetches their pending invites.
+ */
+app.get("/api/invites", isAuthenticated, async (req, res) => {
+  try {
+    if (req.user.role !== "client") {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+
+    const projects = await ProjectModel.find({
+      pendingInvites: { $elemMatch: { clientId: req.user.id, status: "pending" } },
+    })
+      .select("_id name createdBy clientUsername")
+      .lean();
+
+    res.json(projects);
+  } catch (err) {
+    console.error("Fetch invites error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * Client accepts or rejects an invite.
+ * - accept: client is added to associatedClients
+ * - reject: only status changes
+ */
+app.post("/api/projects/:id/invite/:action", isAuthenticated, async (req, res) => {
+  try {
+    if (req.user.role !== "client") {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+
+    const { id, action } = req.params;
+    if (!["accept", "reject"].includes(action)) {
+      return res.status(400).json({ message: "Invalid action" });
+    }
+
+    const project = await ProjectModel.findById(id);
+    if (!project) return res.status(404).json({ message: "Project not found" });
+
+    const invite = (project.pendingInvites || []).find(
+      (inv) => String(inv.clientId) === String(req.user.id) && inv.status === "pending"
+    );
+    if (!invite) {
+      return res.status(400).json({ message: "No pending invite found" });
+    }
+
+    invite.status = action === "accept" ? "accepted" : "rejected";
+
+    if (action === "accept") {
+      project.associatedClients = project.associatedClients || [];
+      const alreadyLinked = project.associatedClients.some(
+        (cid) => String(cid) === String(req.user.id)
+      );
+      if (!alreadyLinked) project.associatedClients.push(req.user.id);
+    }
+
+    project.markModified("pendingInvites");
+    await project.save();
+
+    await logActivity(req, {
+      project,
+      action: `invite.${action}`,
+      entityType: "user",
+      entityId: req.user.id,
+      changes: [{ field: "invite", before: "pending", after: invite.status }],
+    });
+
+    await notify(req, {
+      recipients: [invite.invitedBy],
+      type: `invite.${invite.status}`,
+      project,
+      message: action === "accept" ? "accepted your invitation" : "declined your invitation",
+      link: action === "accept" ? `/project/${project._id}/menu` : "/designer",
+    });
+
+    res.json({ message: `Invite ${invite.status}` });
+  } catch (err) {
+    sendServerError(req, res, err, "Accept/reject invite error");
+  }
+});
+
+/* =========================================================
+ * Project team (per-project roles)
+ * ========================================================= */
+
+/**
+ * Everyone with a role on the project, with their effective role:
+ * studio designers, linked clients, contractors and explicit collaborators.
+ */
+async function buildProjectTeam(project) {
+  const studio = project.studio ? await Studio.findById(project.studio) : null;
+
+  const userIds = new Set([
+    String(project.createdBy),
+    ...(project.associatedClients || []).map(String),
+    ...(project.collaborators || []).map((c) => String(c.user)),
+    ...(studio?.members || []).map((m) => String(m.user)),
+  ]);
+
+  const users = await User.find({ _id: { $in: [...userIds] } })
+    .select("username role")
+    .lean();
+
+  return users
+    .map((u) => ({
+      user: { _id: u._id, username: u.username, accountRole: u.role },
+      role: getProjectRole(project, { id: u._id, role: u.role }, studio),
+      explicit: (project.collaborators || []).some((c) => String(c.user) === String(u._id)),
+    }))
+    .filter((member) => member.role);
+}
+
+/**
+ * Ids of the team members whose project role grants `permission`
+ * (who to notify about a change in that part of the project).
+ */
+async function projectTeamWith(project, permission) {
+  const team = await buildProjectTeam(project);
+  return team
+    .filter((member) => getRolePermissions(member.role).includes(permission))
+    .map((member) => member.user._id);
+}
+
+/**
+ * Check that a project role fits the user's account:
+ * - lead_designer / assistant: designer in the project's studio
+ * - contractor: contractor account
+ * - client / client_approver: client already linked to the project (accepted invite)
+ * Returns an error message or null.
+ */
+async function validateTeamRole(project, user, role) {
+  if (!ProjectModel.PROJECT_ROLES.includes(role)) return "Invalid project role";
+
+  if (role === "lead_designer" || role === "assistant") {
+    if (user.role !== "designer") return "Only designers can be lead designer or assistant";
+
+    const studio = project.studio ? await Studio.findById(project.studio) : null;
+    if (!studio || !studio.roleOf(user._id)) return "Designer is not a member of this studio";
+    return null;
+  }
+
+  if (role === "contractor") {
+    return user.role === "contractor" ? null : "Only contractor accounts can be contractors";
+  }
+
+  const isLinkedClient = (project.associatedClients || []).some(
+    (cid) => String(cid) === String(user._id)
+  );
+  if (user.role !== "client" || !isLinkedClient) {
+    return "Client must accept the project invite first";
+  }
+  return null;
+}
+
+/**
+ * Set (add or change) a user's explicit project role, then make sure the
+ * project still has a lead designer. Saves the project.
+ * Returns an error message or null.
+ */
+async function setTeamRole(req, project, user, role) {
+  const error = await validateTeamRole(project, user, role);
+  if (error) return error;
+
+  const entry = project.collaborators.find((c) => String(c.user) === String(user._id));
+  const previousRole = entry ? entry.role : null;
+  if (entry) {
+    entry.role = role;
+  } else {
+    project.collaborators.push({ user: user._id, role, addedBy: req.user.id, addedAt: new Date() });
+  }
+
+  const team = await buildProjectTeam(project);
+  if (!team.some((m) => m.role === "lead_designer")) {
+    return "The project needs at least one lead designer";
+  }
+
+  await project.save();
+
+  await logActivity(req, {
+    project,
+    action: previousRole ? "team.update" : "team.add",
+    entityType: "user",
+    entityId: user._id,
+    changes: [{ field: `role (${user.username})`, before: previousRole, after: role }],
+  });
+  return null;
+}
+
+/**
+ * Get the project team + the caller's role/permissions (any project role).
+ */
+app.get(
+  "/api/projects/:id/team",
+  isAuthenticated,
+  requireProjectPermission("project:view"),
+  async (req, res) => {
+    try {
+      res.json({
+        team: await buildProjectTeam(req.project),
+        myRole: req.projectRole,
+        myPermissions: req.projectPermissions,
+      });
+    } catch (err) {
+      console.error("Team list error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * Add a user to the team, or change their role (team:manage).
+ * Body: { username, role }
+ */
+app.post(
+  "/api/projects/:id/team",
+  isAuthenticated,
+  requireProjectPermission("team:manage"),
+  async (req, res) => {
+    try {
+      const { username, role } = req.body;
+
+      const user = await User.findOne({ username });
+      if (!user) return res.status(404).json({ message: "User not found" });
+
+      const error = await setTeamRole(req, req.project, user, role);
+      if (error) return res.status(400).json({ message: error });
+
+      res.status(201).json({ team: await buildProjectTeam(req.project) });
+    } catch (err) {
+      sendServerError(req, res, err, "Add team member error");
+    }
+  }
+);
+
+/**
+ * Change a team member's role (team:manage).
+ * Body: { role }
+ */
+app.put(
+  "/api/projects/:projectId/team/:userId",
+  isAuthenticated,
+  requireProjectPermission("team:manage"),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.userId);
+      if (!user) return res.status(404).json({ message: "User not found" });
+
+      const error = await setTeamRole(req, req.project, user, req.body.role);
+      if (error) return res.status(400).json({ message: error });
+
+      res.json({ team: await buildProjectTeam(req.project) });
+    } catch (err) {
+      sendServerError(req, res, err, "Update team member error");
+    }
+  }
+);
+
+/**
+ * Remove a user's explicit project role (team:manage).
+ * Designers / clients fall back to their default role,
+ * contractors lose access to the project.
+ */
+app.delete(
+  "/api/projects/:projectId/team/:userId",
+  isAuthenticated,
+  requireProjectPermission("team:manage"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+      const { userId } = req.params;
+
+      const removed = project.collaborators.find((c) => String(c.user) === String(userId));
+      if (!removed) {
+        return res.status(404).json({ message: "Team member not found" });
+      }
+      project.collaborators = project.collaborators.filter(
+        (c) => String(c.user) !== String(userId)
+      );
+
+      const team = await buildProjectTeam(project);
+      if (!team.some((m) => m.role === "lead_designer")) {
+        return res.status(400).json({ message: "The project needs at least one lead designer" });
+      }
+
+      await project.save();
+
+      const removedUser = await User.findById(userId).select("username").lean();
+      await logActivity(req, {
+        project,
+        action: "team.remove",
+        entityType: "user",
+        entityId: userId,
+        changes: [
+          { field: `role (${removedUser?.username || userId})`, before: removed.role, after: null },
+        ],
+      });
+
+      res.json({ team });
+    } catch (err) {
+      sendServerError(req, res, err, "Remove team member error");
+    }
+  }
+);
+
+/* =========================================================
+ * Project activity log (audit trail)
+ * ========================================================= */
+
+// Activity action prefix -> permission needed to see those entries
+// (actions with an unknown prefix are only shown to lead designers)
+const ACTIVITY_VIEW_PERMISSIONS = {
+  project: "project:view",
+  team: "project:view",
+  invite: "project:view",
+  plan: "plan:view",
+  colors: "colors:view",
+  workers: "workers:view",
+  worker: "workers:view",
+  suppliers: "suppliers:view",
+  supplier: "suppliers:view",
+  budget: "budget:view",
+  payment: "budget:view",
+  invoice: "invoices:view",
+  timeline: "timeline:view",
+  board: "board:view",
+  appointment: "appointments:view",
+  questionnaire: "questionnaires:view",
+  message: "messages:view",
+  approval: "decisions:view",
+  room: "rooms:view",
+  moodboard: "moodboards:view",
+  document: "documents:view",
+};
+
+const actionPrefixRegex = (prefixes) => new RegExp(`^(${prefixes.join("|")})\\.`);
+
+/**
+ * Activity log filter for the caller's project role: only areas the role
+ * can view, and inside them only what the role can see elsewhere too
+ * (no draft invoices, unshared mood boards or team-only documents).
+ */
+async function activityVisibilityFilter(req) {
+  if (req.projectRole === "lead_designer") return {};
+
+  const { project } = req;
+  const open = Object.keys(ACTIVITY_VIEW_PERMISSIONS).filter((prefix) =>
+    hasProjectPermission(req, ACTIVITY_VIEW_PERMISSIONS[prefix])
+  );
+  const restricted = [];
+
+  // Areas where some entries are hidden: action prefix -> visible entity ids
+  const limitTo = async (prefix, fullAccess, visibleIds) => {
+    if (!open.includes(prefix) || hasProjectPermission(req, fullAccess)) return;
+    open.splice(open.indexOf(prefix), 1);
+    restricted.push({
+      action: actionPrefixRegex([prefix]),
+      entityId: { $in: await visibleIds() },
+    });
+  };
+
+  await limitTo("invoice", "invoices:edit", () =>
+    Invoice.find({ project: project._id, status: { $ne: "draft" } }).distinct("_id")
+  );
+  await limitTo("moodboard", "moodboards:edit", () =>
+    MoodBoard.find({ project: project._id, shared: true }).distinct("_id")
+  );
+  await limitTo("document", "documents:internal", () =>
+    ProjectDocument.find({ project: project._id, visibility: "client" }).distinct("_id")
+  );
+
+  return { $or: [{ action: actionPrefixRegex(open) }, ...restricted] };
+}
+
+/**
+ * Page through a project's activity log, newest first (activity:view).
+ * Only entries of areas (and items) the caller's role can see are listed.
+ * Query: ?page=1&limit=20&action=worker.update (action is optional;
+ * "worker" matches every worker.* action).
+ */
+app.get(
+  "/api/projects/:id/activity",
+  isAuthenticated,
+  requireProjectPermission("activity:view"),
+  async (req, res) => {
+    try {
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+      const filter = { project: req.project._id, ...(await activityVisibilityFilter(req)) };
+      const action = String(req.query.action || "").trim();
+      if (action) {
+        if (!/^[a-z_]+(\.[a-z_]+)?$/.test(action)) {
+          return res.status(400).json({ message: "Invalid action filter" });
+        }
+        filter.action = action.includes(".") ? action : { $regex: `^${action}\\.` };
+      }
+
+      const [entries, total] = await Promise.all([
+        ActivityLog.find(filter)
+          .sort({ createdAt: -1, _id: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate("actor", "username")
+          .lean(),
+        ActivityLog.countDocuments(filter),
+      ]);
+
+      res.json({ entries, page, limit, total, hasMore: page * limit < total });
+    } catch (err) {
+      console.error("Activity log error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/* =========================================================
+ * Design plan version history
+ * ========================================================= */
+
+/**
+ * Store the project's current plan + notes as a new revision.
+ * previous: plan/notes before this save; on the first save it is kept
+ * as a baseline revision so the old text is not lost.
+ */
+async function recordPlanRevision(project, authorId, previous = null, restoredFrom = null) {
+  const last = await PlanRevision.findOne({ project: project._id }).sort({ number: -1 }).lean();
+  let number = last ? last.number : 0;
+
+  if (!last && previous && (previous.designPlan || previous.notes)) {
+    await new PlanRevision({
+      project: project._id,
+      number: ++number,
+      designPlan: previous.designPlan || "",
+      notes: previous.notes || "",
+      author: null,
+    }).save();
+  }
+
+  return new PlanRevision({
+    project: project._id,
+    number: ++number,
+    designPlan: project.designPlan || "",
+    notes: project.notes || "",
+    author: authorId,
+    restoredFrom,
+  }).save();
+}
+
+/**
+ * Find one revision of a project by its number (null if missing / invalid).
+ */
+function findPlanRevision(projectId, number) {
+  const n = parseInt(number, 10);
+  if (!Number.isInteger(n) || n < 1) return null;
+  return PlanRevision.findOne({ project: projectId, number: n }).populate("author", "username");
+}
+
+/**
+ * List plan revisions, newest first (plan:view).
+ * Texts are not included - fetch a single revision for those.
+ */
+app.get(
+  "/api/projects/:id/plan/revisions",
+  isAuthenticated,
+  requireProjectPermission("plan:view"),
+  async (req, res) => {
+    try {
+      const revisions = await PlanRevision.find({ project: req.project._id })
+        .select("-designPlan -notes")
+        .sort({ number: -1 })
+        .populate("author", "username")
+        .lean();
+
+      res.json(revisions);
+    } catch (err) {
+      console.error("Plan revisions error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * Get one plan revision with its full texts (plan:view).
+ */
+app.get(
+  "/api/projects/:id/plan/revisions/:number",
+  isAuthenticated,
+  requireProjectPermission("plan:view"),
+  async (req, res) => {
+    try {
+      const revision = await findPlanRevision(req.project._id, req.params.number);
+      if (!revision) return res.status(404).json({ message: "Revision not found" });
+
+      res.json(revision);
+    } catch (err) {
+      console.error("Plan revision error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * Line diff between a revision and another one (plan:view).
+ * Query: ?against=<number> (default: the current plan + notes)
+ * Returns { from, to, designPlan: [...], notes: [...] } where each diff
+ * entry is { type: "same" | "removed" | "added", text }.
+ */
+app.get(
+  "/api/projects/:id/plan/revisions/:number/diff",
+  isAuthenticated,
+  requireProjectPermission("plan:view"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const from = await findPlanRevision(project._id, req.params.number);
+      if (!from) return res.status(404).json({ message: "Revision not found" });
+
+      let to = {
+        number: null,
+        current: true,
+        designPlan: project.designPlan || "",
+        notes: project.notes || "",
+      };
+      if (req.query.against && req.query.against !== "current") {
+        to = await findPlanRevision(project._id, req.query.against);
+        if (!to) return res.status(404).json({ message: "Revision not found" });
+      }
+
+      res.json({
+        from,
+        to,
+        designPlan: diffLines(from.designPlan, to.designPlan),
+        notes: diffLines(from.notes, to.notes),
+      });
+    } catch (err) {
+      console.error("Plan diff error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * Restore an older revision (plan:edit).
+ * The restored text is saved as a new revision, so nothing is lost.
+ * Not possible while the plan is approved (locked).
+ */
+app.post(
+  "/api/projects/:id/plan/revisions/:number/restore",
+  isAuthenticated,
+  requireProjectPermission("plan:edit"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const revision = await findPlanRevision(project._id, req.params.number);
+      if (!revision) return res.status(404).json({ message: "Revision not found" });
+
+      const lock = await findBrokenLock(project, {
+        designPlan: revision.designPlan,
+        notes: revision.notes,
+      });
+      if (lock) return sendLocked(res, lock);
+
+      const before = snapshot(project);
+      project.designPlan = revision.designPlan;
+      project.notes = revision.notes;
+      await project.save();
+
+      const restored = await recordPlanRevision(project, req.user.id, before, revision.number);
+
+      await logActivity(req, {
+        project,
+        action: "plan.restore",
+        entityType: "planRevision",
+        entityId: revision.number,
+        before,
+        after: snapshot(project),
+        fields: ["designPlan", "notes"],
+      });
+
+      await notify(req, {
+        recipients: await projectTeamWith(project, "plan:view"),
+        type: "plan.update",
+        project,
+        message: `restored version ${revision.number} of the design plan`,
+        link: `/project/${project._id}/plan`,
+      });
+
+      res.json({ project: serializeProject(project, req.projectRole), revision: restored });
+    } catch (err) {
+      sendServerError(req, res, err, "Plan restore error");
+    }
+  }
+);
+
+/* =========================================================
+ * Budget (lines per category / room + server-side summary)
+ * ========================================================= */
+
+/**
+ * Resolve a budget line reference sent by the client.
+ * Returns the line _id, null for "no line" (empty / null),
+ * or undefined if the project has no such line.
+ */
+function findBudgetLineId(project, value) {
+  if (value === undefined || value === null || value === "") return null;
+  if (!mongoose.isValidObjectId(value)) return undefined;
+
+  const line = project.budgetLines.id(value);
+  return line ? line._id : undefined;
+}
+
+/**
+ * Validate + normalize budget line fields from the request body.
+ * partial: only fields present in the body (for updates).
+ * Returns { data } or { error }.
+ */
+function readBudgetLine(body, partial = false) {
+  const data = {};
+
+  if (!partial || body.category !== undefined) {
+    const category = body.category || "other";
+    if (!ProjectModel.BUDGET_CATEGORIES.includes(category)) {
+      return { error: "Invalid budget category" };
+    }
+    data.category = category;
+  }
+
+  if (!partial || body.planned !== undefined) {
+    const planned = Number(body.planned);
+    if (!Number.isFinite(planned) || planned < 0) {
+      return { error: "Planned amount must be a number >= 0" };
+    }
+    data.planned = planned;
+  }
+
+  if (!partial || body.room !== undefined) data.room = String(body.room || "").trim();
+  if (!partial || body.description !== undefined) {
+    data.description = String(body.description || "").trim();
+  }
+
+  return { data };
+}
+
+/**
+ * Exchange rates of the studio that owns the project ({ currency: rate }).
+ */
+async function projectRates(project) {
+  const studio = project.studio
+    ? await Studio.findById(project.studio).select("exchangeRates").lean()
+    : null;
+  return rateTable(studio ? studio.exchangeRates : []);
+}
+
+/**
+ * Budget summary with every cost converted into the project currency
+ * (VAT-inclusive amounts).
+ */
+async function projectBudgetSummary(project) {
+  const rates = await projectRates(project);
+  return computeBudgetSummary(project, {
+    costOf: (item, amount) => projectCost(project, item, amount, rates).gross,
+  });
+}
+
+/**
+ * Cost totals in the project currency: workers, suppliers, total and
+ * budget as net / VAT / gross, plus the remaining budget (budget:view).
+ * See utils/projectTotals.js.
+ */
+app.get(
+  "/api/projects/:id/totals",
+  isAuthenticated,
+  requireProjectPermission("budget:view"),
+  async (req, res) => {
+    try {
+      const rates = await projectRates(req.project);
+      res.json(computeProjectTotals(req.project, rates));
+    } catch (err) {
+      console.error("Project totals error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * Budget summary: planned vs. actual vs. remaining, per line and category,
+ * with over-budget warnings (budget:view). See utils/budget.js.
+ */
+app.get(
+  "/api/projects/:id/budget",
+  isAuthenticated,
+  requireProjectPermission("budget:view"),
+  async (req, res) => {
+    try {
+      res.json({
+        categories: ProjectModel.BUDGET_CATEGORIES,
+        summary: await projectBudgetSummary(req.project),
+      });
+    } catch (err) {
+      console.error("Budget summary error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * Add a budget line (budget:edit).
+ * Body: { category, room?, roomId?, description?, planned } - with a roomId
+ * the room's name is used as room.
+ */
+app.post(
+  "/api/projects/:id/budget/lines",
+  isAuthenticated,
+  requireProjectPermission("budget:edit"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const { data, error } = readBudgetLine(req.body);
+      if (error) return res.status(400).json({ message: error });
+
+      const roomLink = readRoomLink(project, req.body, "room");
+      if (roomLink.error) return res.status(400).json({ message: roomLink.error });
+
+      project.budgetLines.push({ ...data, ...roomLink.data });
+      await project.save();
+
+      const line = project.budgetLines[project.budgetLines.length - 1];
+      await logActivity(req, {
+        project,
+        action: "budget.create",
+        entityType: "budgetLine",
+        entityId: line._id,
+        after: snapshot(line),
+        fields: ["category", "room", "description", "planned"],
+      });
+
+      res.status(201).json({ line, summary: await projectBudgetSummary(project) });
+    } catch (err) {
+      sendServerError(req, res, err, "Add budget line error");
+    }
+  }
+);
+
+/**
+ * Update a budget line (budget:edit).
+ */
+app.put(
+  "/api/projects/:projectId/budget/lines/:lineId",
+  isAuthenticated,
+  requireProjectPermission("budget:edit"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const line = project.budgetLines.id(req.params.lineId);
+      if (!line) return res.status(404).json({ message: "Budget line not found" });
+
+      const { data, error } = readBudgetLine(req.body, true);
+      if (error) return res.status(400).json({ message: error });
+
+      const roomLink = readRoomLink(project, req.body, "room");
+      if (roomLink.error) return res.status(400).json({ message: roomLink.error });
+
+      const before = snapshot(line);
+      Object.assign(line, data, roomLink.data);
+      await project.save();
+
+      await logActivity(req, {
+        project,
+        action: "budget.update",
+        entityType: "budgetLine",
+        entityId: line._id,
+        before,
+        after: snapshot(line),
+        fields: ["category", "room", "description", "planned"],
+      });
+
+      res.json({ line, summary: await projectBudgetSummary(project) });
+    } catch (err) {
+      sendServerError(req, res, err, "Update budget line error");
+    }
+  }
+);
+
+/**
+ * Delete a budget line (budget:edit).
+ * Workers / suppliers linked to it become unassigned.
+ */
+app.delete(
+  "/api/projects/:projectId/budget/lines/:lineId",
+  isAuthenticated,
+  requireProjectPermission("budget:edit"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+      const { lineId } = req.params;
+
+      const line = project.budgetLines.id(lineId);
+      if (!line) return res.status(404).json({ message: "Budget line not found" });
+
+      const before = snapshot(line);
+      line.deleteOne();
+
+      for (const item of [...project.workers, ...project.suppliers]) {
+        if (item.budgetLine && String(item.budgetLine) === String(lineId)) {
+          item.budgetLine = null;
+        }
+      }
+
+      await project.save();
+
+      await logActivity(req, {
+        project,
+        action: "budget.delete",
+        entityType: "budgetLine",
+        entityId: lineId,
+        before,
+        fields: ["category", "room", "description", "planned"],
+      });
+
+      res.json({ message: "Budget line deleted", summary: await projectBudgetSummary(project) });
+    } catch (err) {
+      sendServerError(req, res, err, "Delete budget line error");
+    }
+  }
+);
+
+/* =========================================================
+ * Payments (records + installment schedule per worker / supplier)
+ * ========================================================= */
+
+/**
+ * Drop the payments of a removed worker / supplier.
+ */
+function removePayeePayments(project, payeeId) {
+  project.payments = project.payments.filter((p) => String(p.payee) !== String(payeeId));
+}
+
+function parseOptionalDate(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Validate + normalize payment fields from the request body.
+ * partial: only fields present in the body (for updates).
+ * Returns { data } or { error }.
+ */
+function readPayment(project, body, partial = false) {
+  const data = {};
+
+  if (!partial || body.payeeType !== undefined || body.payee !== undefined) {
+    if (!ProjectModel.PAYEE_TYPES.includes(body.payeeType)) {
+      return { error: "payeeType must be worker or supplier" };
+    }
+    const list = body.payeeType === "worker" ? project.workers : project.suppliers;
+    if (!mongoose.isValidObjectId(body.payee) || !list.id(body.payee)) {
+      return { error: `${body.payeeType === "worker" ? "Worker" : "Supplier"} not found` };
+    }
+    data.payeeType = body.payeeType;
+    data.payee = body.payee;
+  }
+
+  if (!partial || body.amount !== undefined) {
+    const amount = Number(body.amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return { error: "Amount must be a number > 0" };
+    }
+    data.amount = amount;
+  }
+
+  // Default: the payee's cost currency (or the project currency)
+  if (!partial || body.currency !== undefined) {
+    const list = data.payeeType === "worker" ? project.workers : project.suppliers;
+    const payee = data.payee ? list.id(data.payee) : null;
+    const currency = body.currency || payee?.currency || project.currency;
+    if (!CURRENCIES.includes(currency)) return { error: "Unsupported currency" };
+    data.currency = currency;
+  }
+
+  for (const field of ["dueDate", "paidAt"]) {
+    if (!partial || body[field] !== undefined) {
+      const date = parseOptionalDate(body[field]);
+      if (date === undefined) return { error: `Invalid ${field}` };
+      data[field] = date;
+    }
+  }
+
+  if (!partial || body.status !== undefined) {
+    const status = body.status || "scheduled";
+    if (!ProjectModel.PAYMENT_STATUSES.includes(status)) {
+      return { error: "Invalid payment status" };
+    }
+    data.status = status;
+  }
+
+  if (!partial || body.method !== undefined) {
+    const method = body.method || "other";
+    if (!ProjectModel.PAYMENT_METHODS.includes(method)) {
+      return { error: "Invalid payment method" };
+    }
+    data.method = method;
+  }
+
+  for (const field of ["reference", "attachmentUrl", "note"]) {
+    if (!partial || body[field] !== undefined) data[field] = String(body[field] || "").trim();
+  }
+  // Receipts are images from /upload-image (a scan or photo, no PDFs)
+  if (data.attachmentUrl && !isStoredFileUrl(data.attachmentUrl)) {
+    return { error: "Invalid receipt - upload an image of it" };
+  }
+
+  return { data };
+}
+
+/**
+ * Keep paidAt consistent with the status:
+ * paid without a date -> today, scheduled -> no paidAt.
+ */
+function normalizePaymentDates(payment) {
+  if (payment.status === "paid" && !payment.paidAt) payment.paidAt = new Date();
+  if (payment.status === "scheduled") payment.paidAt = null;
+}
+
+/**
+ * Payments + paid / outstanding totals (budget:view).
+ * Query: ?payeeType=worker|supplier (optional)
+ * Returns { currency, payments, payees, totals, warnings, methods, canEdit }
+ * (see utils/payments.js); totals are in the project currency.
+ */
+app.get(
+  "/api/projects/:id/payments",
+  isAuthenticated,
+  requireProjectPermission("budget:view"),
+  async (req, res) => {
+    try {
+      const payeeType = ProjectModel.PAYEE_TYPES.includes(req.query.payeeType)
+        ? req.query.payeeType
+        : null;
+      const rates = await projectRates(req.project);
+
+      res.json({
+        ...summarizePayments(req.project, payeeType, rates),
+        methods: ProjectModel.PAYMENT_METHODS,
+        canEdit: hasProjectPermission(req, "budget:edit"),
+      });
+    } catch (err) {
+      console.error("Payments list error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * Record a payment or schedule an installment (budget:edit).
+ * Body: { payeeType, payee, amount, currency?, dueDate?, status?, paidAt?,
+ *         method?, reference?, attachmentUrl?, note? }
+ * currency defaults to the payee's cost currency; attachmentUrl is a receipt
+ * image uploaded through /upload-image.
+ */
+app.post(
+  "/api/projects/:id/payments",
+  isAuthenticated,
+  requireProjectPermission("budget:edit"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const { data, error } = readPayment(project, req.body);
+      if (error) return res.status(400).json({ message: error });
+
+      normalizePaymentDates(data);
+      project.payments.push(data);
+      await project.save();
+
+      const payment = project.payments[project.payments.length - 1];
+      await logActivity(req, {
+        project,
+        action: "payment.create",
+        entityType: "payment",
+        entityId: payment._id,
+        after: snapshot(payment),
+        fields: [
+          "payeeType",
+          "payee",
+          "amount",
+          "currency",
+          "dueDate",
+          "status",
+          "paidAt",
+          "method",
+        ],
+      });
+
+      const rates = await projectRates(project);
+      res.status(201).json({ payment, ...summarizePayments(project, payment.payeeType, rates) });
+    } catch (err) {
+      sendServerError(req, res, err, "Add payment error");
+    }
+  }
+);
+
+/**
+ * Update a payment, e.g. mark an installment as paid (budget:edit).
+ */
+app.put(
+  "/api/projects/:projectId/payments/:paymentId",
+  isAuthenticated,
+  requireProjectPermission("budget:edit"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const payment = project.payments.id(req.params.paymentId);
+      if (!payment) return res.status(404).json({ message: "Payment not found" });
+
+      // payee can be changed, but always as a pair with its type
+      const body = { payeeType: payment.payeeType, payee: payment.payee, ...req.body };
+      const { data, error } = readPayment(project, body, true);
+      if (error) return res.status(400).json({ message: error });
+
+      const before = snapshot(payment);
+      Object.assign(payment, data);
+      normalizePaymentDates(payment);
+      await project.save();
+
+      await logActivity(req, {
+        project,
+        action: "payment.update",
+        entityType: "payment",
+        entityId: payment._id,
+        before,
+        after: snapshot(payment),
+      });
+
+      const rates = await projectRates(project);
+      res.json({ payment, ...summarizePayments(project, payment.payeeType, rates) });
+    } catch (err) {
+      sendServerError(req, res, err, "Update payment error");
+    }
+  }
+);
+
+/**
+ * Delete a payment (budget:edit).
+ */
+app.delete(
+  "/api/projects/:projectId/payments/:paymentId",
+  isAuthenticated,
+  requireProjectPermission("budget:edit"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const payment = project.payments.id(req.params.paymentId);
+      if (!payment) return res.status(404).json({ message: "Payment not found" });
+
+      const before = snapshot(payment);
+      const { payeeType } = payment;
+      payment.deleteOne();
+      await project.save();
+
+      await logActivity(req, {
+        project,
+        action: "payment.delete",
+        entityType: "payment",
+        entityId: req.params.paymentId,
+        before,
+        fields: ["payeeType", "payee", "amount", "dueDate", "status", "paidAt", "method"],
+      });
+
+      const rates = await projectRates(project);
+      res.json({ message: "Payment deleted", ...summarizePayments(project, payeeType, rates) });
+    } catch (err) {
+      sendServerError(req, res, err, "Delete payment error");
+    }
+  }
+);
+
+/* =========================================================
+ * Invoices (billing the client from tracked project costs)
+ * ========================================================= */
+
+// Allowed status changes (paid -> sent undoes a payment marked by mistake)
+const INVOICE_TRANSITIONS = {
+  draft: ["sent"],
+  sent: ["paid"],
+  paid: ["sent"],
+};
+
+const { INVOICE_ITEM_TYPES } = Invoice;
+
+const INVOICE_LOGGED_FIELDS = ["number", "status", "items", "taxes", "total", "dueDate", "notes"];
+
+/**
+ * Invoice line items from the request body:
+ * - workerIds / supplierIds: copy cost / price of those project entries,
+ *   converted to the project currency and without VAT (taxes are separate
+ *   invoice lines)
+ * - designerFee: { description?, amount }
+ * - items: extra lines [{ description, quantity, unitPrice }]
+ * rates: studio exchange rates (see projectRates)
+ * Returns { items } or { error }.
+ */
+function readInvoiceItems(project, body, rates) {
+  const items = [];
+
+  const netPrice = (item, amount) => {
+    const cost = projectCost(project, item, amount, rates);
+    return cost.missingRate ? null : cost.net;
+  };
+
+  for (const workerId of body.workerIds || []) {
+    const worker = mongoose.isValidObjectId(workerId) && project.workers.id(workerId);
+    if (!worker) return { error: "Worker not found" };
+    const unitPrice = netPrice(worker, worker.cost);
+    if (unitPrice === null) return { error: `No exchange rate for ${worker.currency}` };
+    items.push({
+      sourceType: "worker",
+      sourceId: worker._id,
+      description: [worker.workerName, worker.role].filter(Boolean).join(" – ") || "Worker",
+      quantity: 1,
+      unitPrice,
+    });
+  }
+
+  for (const supplierId of body.supplierIds || []) {
+    const supplier = mongoose.isValidObjectId(supplierId) && project.suppliers.id(supplierId);
+    if (!supplier) return { error: "Supplier not found" };
+    const unitPrice = netPrice(supplier, supplier.price);
+    if (unitPrice === null) return { error: `No exchange rate for ${supplier.currency}` };
+    const store = supplier.storeName || supplier.supplierName;
+    items.push({
+      sourceType: "supplier",
+      sourceId: supplier._id,
+      description: [supplier.product, store].filter(Boolean).join(" – ") || "Supplier",
+      quantity: 1,
+      unitPrice,
+    });
+  }
+
+  const fee = body.designerFee;
+  if (fee && Number(fee.amount) > 0) {
+    items.push({
+      sourceType: "fee",
+      description: String(fee.description || "Design fee").trim(),
+      quantity: 1,
+      unitPrice: Number(fee.amount),
+    });
+  }
+
+  for (const item of body.items || []) {
+    const quantity = Number(item.quantity ?? 1);
+    const unitPrice = Number(item.unitPrice);
+    const valid =
+      Number.isFinite(quantity) && quantity >= 0 && Number.isFinite(unitPrice) && unitPrice >= 0;
+    if (!valid) {
+      return { error: "Item quantity and price must be numbers >= 0" };
+    }
+    items.push({
+      sourceType: INVOICE_ITEM_TYPES.includes(item.sourceType) ? item.sourceType : "custom",
+      sourceId: mongoose.isValidObjectId(item.sourceId) ? item.sourceId : null,
+      description: String(item.description || "").trim(),
+      quantity,
+      unitPrice,
+    });
+  }
+
+  if (items.length === 0) return { error: "An invoice needs at least one line item" };
+  return { items };
+}
+
+/**
+ * Tax lines from the request body: [{ label, rate }] (rate in percent).
+ * Returns { taxes } or { error }.
+ */
+function readInvoiceTaxes(taxes) {
+  if (!Array.isArray(taxes)) return { taxes: [] };
+
+  const result = [];
+  for (const tax of taxes) {
+    const rate = Number(tax.rate);
+    if (!Number.isFinite(rate) || rate < 0 || rate > 100) {
+      return { error: "Tax rate must be a percentage between 0 and 100" };
+    }
+    result.push({ label: String(tax.label || "Tax").trim(), rate });
+  }
+  return { taxes: result };
+}
+
+/**
+ * Apply items / taxes and store the recomputed totals on the invoice.
+ */
+function applyInvoiceTotals(invoice, items, taxes) {
+  const totals = computeInvoiceTotals(items, taxes);
+  invoice.items = totals.items;
+  invoice.taxes = totals.taxes;
+  invoice.subtotal = totals.subtotal;
+  invoice.taxTotal = totals.taxTotal;
+  invoice.total = totals.total;
+}
+
+/**
+ * Find an invoice of req.project that the current role may see
+ * (clients never see drafts). Returns the invoice or null.
+ */
+async function findProjectInvoice(req, invoiceId) {
+  if (!mongoose.isValidObjectId(invoiceId)) return null;
+
+  const invoice = await Invoice.findOne({ _id: invoiceId, project: req.project._id });
+  if (!invoice) return null;
+  if (invoice.status === "draft" && !hasProjectPermission(req, "invoices:edit")) return null;
+  return invoice;
+}
+
+/**
+ * Save an invoice that is being sent with the studio's next number.
+ * Retries if another invoice took the same number in the meantime.
+ */
+async function saveWithInvoiceNumber(invoice) {
+  for (let attempt = 0; ; attempt++) {
+    invoice.sequence = await Invoice.nextSequence(invoice.studio);
+    invoice.number = Invoice.formatNumber(invoice.sequence, invoice.issuedAt);
+
+    try {
+      return await invoice.save();
+    } catch (err) {
+      if (err.code !== 11000 || attempt >= 2) throw err;
+    }
+  }
+}
+
+/**
+ * Invoices of a project (invoices:view), newest first.
+ * Clients only get sent / paid invoices.
+ * Editors also get { statuses, sources } to build new invoices.
+ */
+app.get(
+  "/api/projects/:id/invoices",
+  isAuthenticated,
+  requireProjectPermission("invoices:view"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+      const canEdit = hasProjectPermission(req, "invoices:edit");
+
+      const filter = { project: project._id };
+      if (!canEdit) filter.status = { $ne: "draft" };
+
+      const invoices = await Invoice.find(filter).sort({ sequence: -1, createdAt: -1 }).lean();
+
+      const response = { invoices, canEdit };
+      if (canEdit) {
+        response.statuses = Invoice.INVOICE_STATUSES;
+        response.sources = {
+          workers: project.workers.map((w) => ({
+            _id: w._id,
+            name: w.workerName,
+            role: w.role,
+            cost: w.cost,
+            currency: w.currency || project.currency,
+          })),
+          suppliers: project.suppliers.map((s) => ({
+            _id: s._id,
+            name: s.product || s.storeName || s.supplierName,
+            store: s.storeName,
+            price: s.price,
+            currency: s.currency || project.currency,
+          })),
+        };
+      }
+
+      res.json(response);
+    } catch (err) {
+      console.error("Invoices list error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * Create a draft invoice (invoices:edit).
+ * Body: { workerIds?, supplierIds?, designerFee?: { description, amount }, items?,
+ *         taxes?: [{ label, rate }], dueDate?, notes? }
+ * The invoice gets its number when it is sent.
+ */
+app.post(
+  "/api/projects/:id/invoices",
+  isAuthenticated,
+  requireProjectPermission("invoices:edit"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const rates = await projectRates(project);
+      const { items, error } = readInvoiceItems(project, req.body, rates);
+      if (error) return res.status(400).json({ message: error });
+
+      const taxResult = readInvoiceTaxes(req.body.taxes);
+      if (taxResult.error) return res.status(400).json({ message: taxResult.error });
+
+      const dueDate = parseOptionalDate(req.body.dueDate);
+      if (dueDate === undefined) return res.status(400).json({ message: "Invalid dueDate" });
+
+      const draft = new Invoice({
+        project: project._id,
+        studio: project.studio || req.studio._id,
+        currency: project.currency,
+        dueDate,
+        notes: String(req.body.notes || "").trim(),
+        createdBy: req.user.id,
+      });
+      applyInvoiceTotals(draft, items, taxResult.taxes);
+      const invoice = await draft.save();
+
+      await logActivity(req, {
+        project,
+        action: "invoice.create",
+        entityType: "invoice",
+        entityId: invoice._id,
+        after: snapshot(invoice),
+        fields: INVOICE_LOGGED_FIELDS,
+      });
+
+      res.status(201).json(invoice);
+    } catch (err) {
+      console.error("Create invoice error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * Update an invoice (invoices:edit).
+ * Body (drafts only): { items?, taxes?, dueDate?, notes? }
+ * Body (any status):  { status } - draft -> sent -> paid (see INVOICE_TRANSITIONS)
+ */
+app.put(
+  "/api/projects/:projectId/invoices/:invoiceId",
+  isAuthenticated,
+  requireProjectPermission("invoices:edit"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const invoice = await findProjectInvoice(req, req.params.invoiceId);
+      if (!invoice) return res.status(404).json({ message: "Invoice not found" });
+
+      const before = snapshot(invoice);
+      const { status } = req.body;
+
+      const editsContent = ["items", "taxes", "dueDate", "notes"].some(
+        (field) => req.body[field] !== undefined
+      );
+      if (editsContent && invoice.status !== "draft") {
+        return res.status(400).json({ message: "Only draft invoices can be edited" });
+      }
+
+      if (editsContent) {
+        let { items } = invoice;
+        if (req.body.items !== undefined) {
+          const result = readInvoiceItems(project, { items: req.body.items }, {});
+          if (result.error) return res.status(400).json({ message: result.error });
+          items = result.items;
+        }
+
+        let { taxes } = invoice;
+        if (req.body.taxes !== undefined) {
+          const result = readInvoiceTaxes(req.body.taxes);
+          if (result.error) return res.status(400).json({ message: result.error });
+          taxes = result.taxes;
+        }
+
+        if (req.body.dueDate !== undefined) {
+          const dueDate = parseOptionalDate(req.body.dueDate);
+          if (dueDate === undefined) return res.status(400).json({ message: "Invalid dueDate" });
+          invoice.dueDate = dueDate;
+        }
+        if (req.body.notes !== undefined) invoice.notes = String(req.body.notes || "").trim();
+
+        applyInvoiceTotals(invoice, items, taxes);
+      }
+
+      if (status !== undefined && status !== invoice.status) {
+        if (!(INVOICE_TRANSITIONS[invoice.status] || []).includes(status)) {
+          return res
+            .status(400)
+            .json({ message: `An invoice cannot go from ${invoice.status} to ${status}` });
+        }
+
+        if (status === "sent" && invoice.status === "draft") {
+          invoice.issuedAt = new Date();
+          invoice.sentAt = new Date();
+        }
+        invoice.paidAt = status === "paid" ? new Date() : null;
+        invoice.status = status;
+      }
+
+      if (invoice.status === "sent" && !invoice.number) {
+        await saveWithInvoiceNumber(invoice);
+      } else {
+        await invoice.save();
+      }
+
+      await logActivity(req, {
+        project,
+        action: before.status !== invoice.status ? "invoice.status" : "invoice.update",
+        entityType: "invoice",
+        entityId: invoice._id,
+        before,
+        after: snapshot(invoice),
+        fields: INVOICE_LOGGED_FIELDS,
+      });
+
+      res.json(invoice);
+    } catch (err) {
+      console.error("Update invoice error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * Delete a draft invoice (invoices:edit).
+ * Sent / paid invoices are kept (their numbers must stay in sequence).
+ */
+app.delete(
+  "/api/projects/:projectId/invoices/:invoiceId",
+  isAuthenticated,
+  requireProjectPermission("invoices:edit"),
+  async (req, res) => {
+    try {
+      const invoice = await findProjectInvoice(req, req.params.invoiceId);
+      if (!invoice) return res.status(404).json({ message: "Invoice not found" });
+
+      if (invoice.status !== "draft") {
+        return res.status(400).json({ message: "Only draft invoices can be deleted" });
+      }
+
+      await invoice.deleteOne();
+
+      await logActivity(req, {
+        project: req.project,
+        action: "invoice.delete",
+        entityType: "invoice",
+        entityId: invoice._id,
+        before: snapshot(invoice),
+        fields: INVOICE_LOGGED_FIELDS,
+      });
+
+      res.json({ message: "Invoice deleted" });
+    } catch (err) {
+      console.error("Delete invoice error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * Printable HTML version of an invoice (invoices:view; drafts for editors only).
+ */
+app.get(
+  "/api/projects/:projectId/invoices/:invoiceId/html",
+  isAuthenticated,
+  requireProjectPermission("invoices:view"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const invoice = await findProjectInvoice(req, req.params.invoiceId);
+      if (!invoice) return res.status(404).json({ message: "Invoice not found" });
+
+      const [studio, clients] = await Promise.all([
+        Studio.findById(invoice.studio).select("name").lean(),
+        User.find({ _id: { $in: project.associatedClients } }).select("username").lean(),
+      ]);
+
+      res.type("html").send(
+        renderInvoiceHtml(invoice, {
+          studioName: studio ? studio.name : "",
+          projectName: project.name,
+          clientNames: clients.map((c) => c.username),
+        })
+      );
+    } catch (err) {
+      console.error("Invoice HTML error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * Client: sent / paid invoices of all projects they are linked to
+ * (for the client dashboard).
+ */
+app.get("/api/invoices", isAuthenticated, async (req, res) => {
+  try {
+    if (req.user.role !== "client") {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+
+    const projects = await ProjectModel.find({ associatedClients: req.user.id })
+      .select("_id")
+      .lean();
+
+    const invoices = await Invoice.find({
+      project: { $in: projects.map((p) => p._id) },
+      status: { $ne: "draft" },
+    })
+      .populate("project", "name")
+      .sort({ issuedAt: -1 })
+      .lean();
+
+    res.json(invoices);
+  } catch (err) {
+    console.error("Client invoices error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/* =========================================================
+ * Rooms (per project)
+ * ========================================================= */
+
+// Room fields tracked in the activity log
+const ROOM_LOGGED_FIELDS = ["name", "roomType", "floor", "dimensions", "notes"];
+const ROOM_DIMENSIONS = ["length", "width", "height"];
+
+/**
+ * Resolve a room reference sent by the client (like findBudgetLineId).
+ * Returns the room, null for "no room" (empty / null),
+ * or undefined if the project has no such room.
+ */
+function findRoom(project, value) {
+  if (value === undefined || value === null || value === "") return null;
+  if (!mongoose.isValidObjectId(value)) return undefined;
+  return project.rooms.id(value) || undefined;
+}
+
+/**
+ * Room link of a budget line / supplier / questionnaire from the body
+ * (only if body.roomId is present). labelField: field the room name is
+ * copied into (e.g. "room" of budget lines), if any.
+ * Returns { data } or { error }.
+ */
+function readRoomLink(project, body, labelField = null) {
+  if (body.roomId === undefined) return { data: {} };
+
+  const room = findRoom(project, body.roomId);
+  if (room === undefined) return { error: "Room not found" };
+
+  const data = { roomId: room ? room._id : null };
+  if (room && labelField) data[labelField] = room.name;
+  return { data };
+}
+
+/**
+ * Validate + normalize room fields from the request body.
+ * partial: only fields present in the body (for updates).
+ * Dimensions are meters; "" / null = not measured.
+ * Returns { data } or { error }.
+ */
+function readRoom(body, partial = false) {
+  const data = {};
+
+  if (!partial || body.name !== undefined) {
+    const name = String(body.name || "").trim();
+    if (!name) return { error: "Room name is required" };
+    data.name = name;
+  }
+
+  for (const field of ["roomType", "floor", "notes"]) {
+    if (!partial || body[field] !== undefined) data[field] = String(body[field] || "").trim();
+  }
+
+  if (!partial || body.dimensions !== undefined) {
+    data.dimensions = {};
+    for (const key of ROOM_DIMENSIONS) {
+      const value = body.dimensions ? body.dimensions[key] : null;
+      if (value === undefined || value === null || value === "") {
+        data.dimensions[key] = null;
+        continue;
+      }
+
+      const n = Number(value);
+      if (!Number.isFinite(n) || n < 0) return { error: `Room ${key} must be a number >= 0` };
+      data.dimensions[key] = n;
+    }
+  }
+
+  return { data };
+}
+
+function isRoomNameTaken(project, name, exceptId = null) {
+  return project.rooms.some(
+    (room) =>
+      room.name.toLowerCase() === name.toLowerCase() && String(room._id) !== String(exceptId)
+  );
+}
+
+function linksRoom(item, roomId) {
+  return Boolean(item.roomId) && String(item.roomId) === String(roomId);
+}
+
+/**
+ * How many colors / questionnaires / budget lines / suppliers use a room.
+ */
+function roomUsage(project, roomId) {
+  const count = (list) => (list || []).filter((item) => linksRoom(item, roomId)).length;
+  return {
+    colorSelections: count(project.colorSelections),
+    questionnaires: count(project.designQuestionnaires),
+    budgetLines: count(project.budgetLines),
+    suppliers: count(project.suppliers),
+  };
+}
+
+/**
+ * Room names used by color selections / budget lines that are not linked
+ * to a room yet (data from before rooms existed).
+ */
+function unlinkedRoomNames(project) {
+  const names = [
+    ...project.colorSelections.filter((sel) => !sel.roomId).map((sel) => sel.roomName),
+    ...project.budgetLines.filter((line) => !line.roomId).map((line) => line.room),
+  ];
+
+  const unique = new Map();
+  for (const name of names) {
+    const trimmed = String(name || "").trim();
+    if (trimmed && !unique.has(trimmed.toLowerCase())) unique.set(trimmed.toLowerCase(), trimmed);
+  }
+  return [...unique.values()];
+}
+
+/**
+ * Copy a renamed room's name into the labels of what links to it.
+ */
+function syncRoomLabels(project, room) {
+  for (const sel of project.colorSelections) {
+    if (linksRoom(sel, room._id)) sel.roomName = room.name;
+  }
+  for (const line of project.budgetLines) {
+    if (linksRoom(line, room._id)) line.room = room.name;
+  }
+}
+
+/**
+ * Move the room / color threads of a renamed room to its new name.
+ * Threads from before anchors had a roomId are matched by the old name
+ * (and get the roomId).
+ */
+async function syncRoomThreads(project, room, previousName) {
+  const filter = {
+    project: project._id,
+    $or: [
+      { "anchor.roomId": room._id },
+      { "anchor.roomId": null, "anchor.roomName": previousName },
+    ],
+  };
+  const anchor = { "anchor.roomId": room._id, "anchor.roomName": room.name };
+
+  await MessageThread.updateMany(
+    { ...filter, "anchor.kind": "room" },
+    { $set: { ...anchor, "anchor.label": room.name } }
+  );
+  await MessageThread.updateMany(
+    { ...filter, "anchor.kind": "color" },
+    { $set: { ...anchor, "anchor.label": `Colors – ${room.name}` } }
+  );
+}
+
+/**
+ * Approved (locked) colors that use the room, or null.
+ * Renaming / deleting the room would change them.
+ */
+function findRoomColorsLock(project, room) {
+  if (!project.colorSelections.some((sel) => linksRoom(sel, room._id))) return null;
+  return Approval.findOne({
+    project: project._id,
+    kind: "colors",
+    status: "approved",
+    unlockedAt: null,
+  }).lean();
+}
+
+/**
+ * Response of the rooms list: { rooms (+ usage), unlinkedNames, canEdit }
+ */
+function serializeRooms(req) {
+  const { project } = req;
+  return {
+    rooms: project.rooms.map((room) => ({
+      ...room.toObject(),
+      usage: roomUsage(project, room._id),
+    })),
+    unlinkedNames: unlinkedRoomNames(project),
+    canEdit: hasProjectPermission(req, "rooms:edit"),
+  };
+}
+
+/**
+ * List the rooms of a project with what uses them (rooms:view).
+ * Returns { rooms, unlinkedNames, canEdit } - unlinkedNames are room names
+ * of colors / budget lines without a room (see POST .../rooms/link).
+ */
+app.get(
+  "/api/projects/:id/rooms",
+  isAuthenticated,
+  requireProjectPermission("rooms:view"),
+  async (req, res) => {
+    try {
+      res.json(serializeRooms(req));
+    } catch (err) {
+      console.error("Rooms list error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * Add a room (rooms:edit).
+ * Body: { name, roomType?, floor?, dimensions?: { length, width, height }, notes? }
+ */
+app.post(
+  "/api/projects/:id/rooms",
+  isAuthenticated,
+  requireProjectPermission("rooms:edit"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const { data, error } = readRoom(req.body);
+      if (error) return res.status(400).json({ message: error });
+      if (isRoomNameTaken(project, data.name)) {
+        return res.status(400).json({ message: `There is already a room called "${data.name}"` });
+      }
+
+      project.rooms.push(data);
+      await project.save();
+
+      const room = project.rooms[project.rooms.length - 1];
+      await logActivity(req, {
+        project,
+        action: "room.create",
+        entityType: "room",
+        entityId: room._id,
+        after: snapshot(room),
+        fields: ROOM_LOGGED_FIELDS,
+      });
+
+      res.status(201).json(room);
+    } catch (err) {
+      sendServerError(req, res, err, "Add room error");
+    }
+  }
+);
+
+/**
+ * Create rooms for the room names used before rooms existed, and link the
+ * color selections / budget lines with those names (rooms:edit).
+ * Names that match an existing room (case-insensitive) are linked to it.
+ * Returns the rooms list (like GET .../rooms).
+ */
+app.post(
+  "/api/projects/:id/rooms/link",
+  isAuthenticated,
+  requireProjectPermission("rooms:edit"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+      const created = [];
+
+      for (const name of unlinkedRoomNames(project)) {
+        if (!isRoomNameTaken(project, name)) {
+          project.rooms.push({ name });
+          created.push(name);
+        }
+      }
+
+      const roomByName = (name) =>
+        project.rooms.find(
+          (room) => room.name.toLowerCase() === String(name || "").trim().toLowerCase()
+        );
+
+      // Linking changes approved (locked) colors - those stay as they are
+      const colorsLock = await Approval.findOne({
+        project: project._id,
+        kind: "colors",
+        status: "approved",
+        unlockedAt: null,
+      }).lean();
+      const items = colorsLock
+        ? project.budgetLines
+        : [...project.colorSelections, ...project.budgetLines];
+
+      let linked = 0;
+      for (const item of items) {
+        const room = !item.roomId && roomByName(item.roomName ?? item.room);
+        if (!room) continue;
+        item.roomId = room._id;
+        linked += 1;
+      }
+
+      if (linked === 0) return res.json(serializeRooms(req));
+
+      await project.save();
+
+      await logActivity(req, {
+        project,
+        action: "room.link",
+        entityType: "room",
+        changes: [
+          { field: "rooms created", before: null, after: created.join(", ") || null },
+          { field: "items linked", before: 0, after: linked },
+        ],
+      });
+
+      res.json(serializeRooms(req));
+    } catch (err) {
+      sendServerError(req, res, err, "Link rooms error");
+    }
+  }
+);
+
+/**
+ * Everything about one room (rooms:view): its colors, questionnaires,
+ * budget lines (planned vs. actual), suppliers, mood boards and conversations - each
+ * only if the caller's project role can view that part (otherwise null).
+ */
+app.get(
+  "/api/projects/:projectId/rooms/:roomId",
+  isAuthenticated,
+  requireProjectPermission("rooms:view"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+      const can = (permission) => hasProjectPermission(req, permission);
+
+      const room = findRoom(project, req.params.roomId);
+      if (!room) return res.status(404).json({ message: "Room not found" });
+
+      const linked = (list) => list.filter((item) => linksRoom(item, room._id));
+
+      let budget = null;
+      if (can("budget:view")) {
+        const summary = await projectBudgetSummary(project);
+        const lines = summary.lines.filter((line) => line.roomId === String(room._id));
+        budget = {
+          lines,
+          planned: lines.reduce((sum, line) => sum + line.planned, 0),
+          actual: lines.reduce((sum, line) => sum + line.actual, 0),
+        };
+      }
+
+      let moodBoards = null;
+      if (can("moodboards:view")) {
+        const filter = { project: project._id, roomId: room._id };
+        if (!can("moodboards:edit")) filter.shared = true;
+        const boards = await MoodBoard.find(filter).sort({ updatedAt: -1 }).lean();
+        moodBoards = boards.map((board) => summarizeMoodBoard(project, board));
+      }
+
+      const threads = can("messages:view")
+        ? await MessageThread.find({
+            project: project._id,
+            "anchor.kind": { $in: ["room", "color"] },
+            $or: [
+              { "anchor.roomId": room._id },
+              // threads from before anchors had a roomId
+              { "anchor.roomId": null, "anchor.roomName": room.name },
+            ],
+          })
+            .select("subject anchor lastMessageAt")
+            .sort({ lastMessageAt: -1 })
+            .lean()
+        : null;
+
+      res.json({
+        room,
+        currency: project.currency,
+        colorSelections: can("colors:view") ? linked(project.colorSelections) : null,
+        questionnaires: can("questionnaires:view")
+          ? linked(project.designQuestionnaires).map((instance) => ({
+              _id: instance._id,
+              title: instance.title,
+              roomType: instance.roomType,
+              questionCount: instance.questions.length,
+              answerCount: instance.answers.length,
+            }))
+          : null,
+        budget,
+        suppliers: can("suppliers:view")
+          ? shapeCostItems(linked(project.suppliers), req.projectPermissions)
+          : null,
+        moodBoards,
+        threads,
+        canEdit: can("rooms:edit"),
+      });
+    } catch (err) {
+      console.error("Room overview error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * Update a room (rooms:edit).
+ * A new name is copied into the linked colors / budget lines and message
+ * threads; not possible
+ * while the room's colors are approved (locked).
+ */
+app.put(
+  "/api/projects/:projectId/rooms/:roomId",
+  isAuthenticated,
+  requireProjectPermission("rooms:edit"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const room = findRoom(project, req.params.roomId);
+      if (!room) return res.status(404).json({ message: "Room not found" });
+
+      const { data, error } = readRoom(req.body, true);
+      if (error) return res.status(400).json({ message: error });
+
+      const renamed = data.name !== undefined && data.name !== room.name;
+      if (renamed) {
+        if (isRoomNameTaken(project, data.name, room._id)) {
+          return res.status(400).json({ message: `There is already a room called "${data.name}"` });
+        }
+        const lock = await findRoomColorsLock(project, room);
+        if (lock) return sendLocked(res, lock);
+      }
+
+      const before = snapshot(room);
+      Object.assign(room, data);
+      if (renamed) syncRoomLabels(project, room);
+      await project.save();
+      if (renamed) await syncRoomThreads(project, room, before.name);
+
+      await logActivity(req, {
+        project,
+        action: "room.update",
+        entityType: "room",
+        entityId: room._id,
+        before,
+        after: snapshot(room),
+        fields: ROOM_LOGGED_FIELDS,
+      });
+
+      res.json(room);
+    } catch (err) {
+      sendServerError(req, res, err, "Update room error");
+    }
+  }
+);
+
+/**
+ * Delete a room (rooms:edit).
+ * Colors, questionnaires, budget lines, suppliers and mood boards of the
+ * room are kept, only unlinked (their room name labels stay).
+ */
+app.delete(
+  "/api/projects/:projectId/rooms/:roomId",
+  isAuthenticated,
+  requireProjectPermission("rooms:edit"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const room = findRoom(project, req.params.roomId);
+      if (!room) return res.status(404).json({ message: "Room not found" });
+
+      const lock = await findRoomColorsLock(project, room);
+      if (lock) return sendLocked(res, lock);
+
+      const before = snapshot(room);
+      for (const list of ["colorSelections", "designQuestionnaires", "budgetLines", "suppliers"]) {
+        for (const item of project[list]) {
+          if (linksRoom(item, room._id)) item.roomId = null;
+        }
+      }
+      room.deleteOne();
+      await project.save();
+      await MoodBoard.updateMany({ project: project._id, roomId: before._id }, { roomId: null });
+
+      await logActivity(req, {
+        project,
+        action: "room.delete",
+        entityType: "room",
+        entityId: before._id,
+        before,
+        fields: ROOM_LOGGED_FIELDS,
+      });
+
+      res.json({ message: "Room deleted" });
+    } catch (err) {
+      sendServerError(req, res, err, "Delete room error");
+    }
+  }
+);
+
+/* =========================================================
+ * Mood boards (per project / per room)
+ * ========================================================= */
+
+const MAX_MOOD_ITEMS = 200;
+const MAX_MOOD_TEXT_LENGTH = 1000;
+const MAX_MOOD_CAPTION_LENGTH = 200;
+const MIN_MOOD_ITEM_SIZE = 40;
+const MOOD_COLOR = /^#[0-9a-f]{6}$/i;
+
+// Board fields tracked in the activity log
+const MOOD_BOARD_LOGGED_FIELDS = ["title", "description", "roomId", "shared"];
+
+// Where new items are put (designers arrange them afterwards)
+const MOOD_ITEM_DEFAULTS = {
+  image: { width: 240, height: 180 },
+  color: { width: 120, height: 120 },
+  note: { width: 220, height: 120 },
+};
+
+/**
+ * Validate + normalize board fields from the request body.
+ * partial: only fields present in the body (for updates).
+ * Returns { data } or { error }.
+ */
+function readMoodBoard(project, body, partial = false) {
+  const data = {};
+
+  if (!partial || body.title !== undefined) {
+    const title = String(body.title || "").trim();
+    if (!title) return { error: "Mood board title is required" };
+    data.title = title;
+  }
+
+  if (!partial || body.description !== undefined) {
+    data.description = String(body.description || "").trim();
+  }
+
+  if (!partial || body.roomId !== undefined) {
+    const room = findRoom(project, body.roomId);
+    if (room === undefined) return { error: "Room not found" };
+    data.roomId = room ? room._id : null;
+  }
+
+  if (!partial || body.shared !== undefined) data.shared = Boolean(body.shared);
+
+  return { data };
+}
+
+/**
+ * Validate the content of a mood board item of the given kind:
+ * image -> imageUrl (from /upload-image), color -> color (#rrggbb),
+ * note -> text; caption for all kinds.
+ * partial: only fields present in the body (for updates).
+ * Returns { data } or { error }.
+ */
+function readMoodItemContent(kind, body, partial = false) {
+  const data = {};
+  const present = (field) => !partial || body[field] !== undefined;
+
+  if (present("caption")) {
+    const caption = String(body.caption || "").trim();
+    if (caption.length > MAX_MOOD_CAPTION_LENGTH) {
+      return { error: `Captions can be up to ${MAX_MOOD_CAPTION_LENGTH} characters` };
+    }
+    data.caption = caption;
+  }
+
+  if (kind === "image" && present("imageUrl")) {
+    const url = String(body.imageUrl || "").trim();
+    if (!isStoredFileUrl(url)) return { error: "Upload an image first" };
+    data.imageUrl = url;
+  }
+
+  if (kind === "color" && present("color")) {
+    const color = String(body.color || "").trim().toLowerCase();
+    if (!MOOD_COLOR.test(color)) return { error: "Color must be a hex value like #a1b2c3" };
+    data.color = color;
+  }
+
+  if (kind === "note" && present("text")) {
+    const text = String(body.text || "").trim();
+    if (!text) return { error: "Write a note" };
+    if (text.length > MAX_MOOD_TEXT_LENGTH) {
+      return { error: `Notes can be up to ${MAX_MOOD_TEXT_LENGTH} characters` };
+    }
+    data.text = text;
+  }
+
+  return { data };
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * Placement of an item (x, y, width, height, z) from the body, on top of
+ * its current placement; the item is kept inside the canvas.
+ * Returns { data } or { error }.
+ */
+function readMoodPlacement(body, current) {
+  const { width: canvasWidth, height: canvasHeight } = MoodBoard.MOOD_BOARD_SIZE;
+  const next = { ...current };
+
+  for (const key of ["x", "y", "width", "height", "z"]) {
+    if (body[key] === undefined) continue;
+    const n = Number(body[key]);
+    if (!Number.isFinite(n)) return { error: `Invalid item ${key}` };
+    next[key] = Math.round(n);
+  }
+
+  next.width = clamp(next.width, MIN_MOOD_ITEM_SIZE, canvasWidth);
+  next.height = clamp(next.height, MIN_MOOD_ITEM_SIZE, canvasHeight);
+  next.x = clamp(next.x, 0, canvasWidth - next.width);
+  next.y = clamp(next.y, 0, canvasHeight - next.height);
+  return { data: next };
+}
+
+function moodItemLabel(item) {
+  if (item.kind === "note") return item.text.slice(0, 60);
+  if (item.kind === "color") return item.caption || item.color;
+  return item.caption || "image";
+}
+
+/**
+ * Mood board of the project by id (null if invalid / not found).
+ * Roles without moodboards:edit only get shared boards.
+ */
+async function findProjectMoodBoard(req, boardId) {
+  if (!mongoose.isValidObjectId(boardId)) return null;
+
+  const filter = { _id: boardId, project: req.project._id };
+  if (!hasProjectPermission(req, "moodboards:edit")) filter.shared = true;
+  return MoodBoard.findOne(filter);
+}
+
+function moodRoomName(project, roomId) {
+  const room = roomId ? project.rooms.id(roomId) : null;
+  return room ? room.name : "";
+}
+
+/**
+ * Board list entry: counts + a few items to preview.
+ */
+function summarizeMoodBoard(project, board) {
+  const reactions = board.items.flatMap((item) => item.reactions);
+  return {
+    _id: board._id,
+    title: board.title,
+    description: board.description,
+    roomId: board.roomId,
+    roomName: moodRoomName(project, board.roomId),
+    shared: board.shared,
+    itemCount: board.items.length,
+    likes: reactions.filter((r) => r.value === "like").length,
+    dislikes: reactions.filter((r) => r.value === "dislike").length,
+    preview: board.items
+      .filter((item) => item.kind !== "note")
+      .slice(0, 4)
+      .map((item) => ({ kind: item.kind, imageUrl: item.imageUrl, color: item.color })),
+    updatedAt: board.updatedAt,
+  };
+}
+
+/**
+ * Color swatches a designer can pin: the hex values of the project's color
+ * selections (the board's room first).
+ */
+function moodSwatches(project, board) {
+  const selections = [...project.colorSelections].sort(
+    (a, b) => Number(linksRoom(b, board.roomId)) - Number(linksRoom(a, board.roomId))
+  );
+
+  const swatches = [];
+  for (const sel of selections) {
+    for (const [field, label] of [
+      ["wallColor", "wall"],
+      ["furnitureColor", "furniture"],
+      ["floorColor", "floor"],
+    ]) {
+      const color = String(sel[field] || "").toLowerCase();
+      if (!MOOD_COLOR.test(color)) continue;
+      const caption = `${sel.roomName} – ${label}`;
+      if (!swatches.some((s) => s.color === color && s.caption === caption)) {
+        swatches.push({ color, caption });
+      }
+    }
+  }
+  return swatches;
+}
+
+/**
+ * Response for one board: items with like / dislike counts and the caller's
+ * own reaction; designers (moodboards:edit) also see who reacted and get
+ * the color swatches of the project.
+ */
+async function moodBoardResponse(req, boardId) {
+  const board = await MoodBoard.findById(boardId)
+    .populate("items.reactions.user", "username")
+    .lean();
+  const canEdit = hasProjectPermission(req, "moodboards:edit");
+  const userId = String(req.user.id);
+
+  return {
+    ...board,
+    roomName: moodRoomName(req.project, board.roomId),
+    items: board.items.map(({ reactions, ...item }) => ({
+      ...item,
+      likes: reactions.filter((r) => r.value === "like").length,
+      dislikes: reactions.filter((r) => r.value === "dislike").length,
+      myReaction:
+        reactions.find((r) => String(r.user?._id || r.user) === userId)?.value || null,
+      reactions: canEdit
+        ? reactions.map((r) => ({ value: r.value, username: r.user?.username || "", at: r.at }))
+        : undefined,
+    })),
+    swatches:
+      canEdit && hasProjectPermission(req, "colors:view") ? moodSwatches(req.project, board) : [],
+    size: MoodBoard.MOOD_BOARD_SIZE,
+    canEdit,
+    canReact: hasProjectPermission(req, "moodboards:react"),
+  };
+}
+
+/**
+ * Tell the clients about a board that was just shared with them.
+ */
+async function notifyMoodBoardShared(req, board) {
+  await notify(req, {
+    recipients: await projectTeamWith(req.project, "moodboards:react"),
+    type: "moodboard.shared",
+    project: req.project,
+    message: `shared the mood board "${board.title}"`,
+    link: `/project/${req.project._id}/moodboards/${board._id}`,
+  });
+}
+
+/**
+ * Mood boards of a project, newest first (moodboards:view).
+ * Query: ?room=<roomId> (only boards of that room). Clients only get
+ * shared boards.
+ * Returns { boards, canEdit, canReact }.
+ */
+app.get(
+  "/api/projects/:id/moodboards",
+  isAuthenticated,
+  requireProjectPermission("moodboards:view"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+      const canEdit = hasProjectPermission(req, "moodboards:edit");
+
+      const filter = { project: project._id };
+      if (!canEdit) filter.shared = true;
+      if (req.query.room) {
+        if (!mongoose.isValidObjectId(req.query.room)) {
+          return res.status(400).json({ message: "Invalid room" });
+        }
+        filter.roomId = req.query.room;
+      }
+
+      const boards = await MoodBoard.find(filter).sort({ updatedAt: -1 }).lean();
+
+      res.json({
+        boards: boards.map((board) => summarizeMoodBoard(project, board)),
+        canEdit,
+        canReact: hasProjectPermission(req, "moodboards:react"),
+      });
+    } catch (err) {
+      console.error("Mood boards list error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * Create a mood board (moodboards:edit).
+ * Body: { title, description?, roomId?, shared? }
+ */
+app.post(
+  "/api/projects/:id/moodboards",
+  isAuthenticated,
+  requireProjectPermission("moodboards:edit"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const { data, error } = readMoodBoard(project, req.body);
+      if (error) return res.status(400).json({ message: error });
+
+      const board = await new MoodBoard({
+        ...data,
+        project: project._id,
+        studio: project.studio,
+        sharedAt: data.shared ? new Date() : null,
+        createdBy: req.user.id,
+      }).save();
+
+      await logActivity(req, {
+        project,
+        action: "moodboard.create",
+        entityType: "moodboard",
+        entityId: board._id,
+        after: snapshot(board),
+        fields: MOOD_BOARD_LOGGED_FIELDS,
+      });
+
+      if (board.shared) await notifyMoodBoardShared(req, board);
+
+      res.status(201).json(await moodBoardResponse(req, board._id));
+    } catch (err) {
+      console.error("Create mood board error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * One mood board with its items (moodboards:view; clients: shared only).
+ */
+app.get(
+  "/api/projects/:projectId/moodboards/:boardId",
+  isAuthenticated,
+  requireProjectPermission("moodboards:view"),
+  async (req, res) => {
+    try {
+      const board = await findProjectMoodBoard(req, req.params.boardId);
+      if (!board) return res.status(404).json({ message: "Mood board not found" });
+
+      res.json(await moodBoardResponse(req, board._id));
+    } catch (err) {
+      console.error("Mood board error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * Update a mood board (moodboards:edit).
+ * Body: { title?, description?, roomId?, shared? } - sharing notifies the clients.
+ */
+app.put(
+  "/api/projects/:projectId/moodboards/:boardId",
+  isAuthenticated,
+  requireProjectPermission("moodboards:edit"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const board = await findProjectMoodBoard(req, req.params.boardId);
+      if (!board) return res.status(404).json({ message: "Mood board not found" });
+
+      const { data, error } = readMoodBoard(project, req.body, true);
+      if (error) return res.status(400).json({ message: error });
+
+      const before = snapshot(board);
+      const newlyShared = data.shared === true && !board.shared;
+
+      board.set(data);
+      if (newlyShared) board.sharedAt = new Date();
+      await board.save();
+
+      await logActivity(req, {
+        project,
+        action: "moodboard.update",
+        entityType: "moodboard",
+        entityId: board._id,
+        before,
+        after: snapshot(board),
+        fields: MOOD_BOARD_LOGGED_FIELDS,
+      });
+
+      if (newlyShared) await notifyMoodBoardShared(req, board);
+
+      res.json(await moodBoardResponse(req, board._id));
+    } catch (err) {
+      console.error("Update mood board error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * Delete a mood board with its items and reactions (moodboards:edit).
+ */
+app.delete(
+  "/api/projects/:projectId/moodboards/:boardId",
+  isAuthenticated,
+  requireProjectPermission("moodboards:edit"),
+  async (req, res) => {
+    try {
+      const board = await findProjectMoodBoard(req, req.params.boardId);
+      if (!board) return res.status(404).json({ message: "Mood board not found" });
+
+      const before = snapshot(board);
+      await board.deleteOne();
+
+      await logActivity(req, {
+        project: req.project,
+        action: "moodboard.delete",
+        entityType: "moodboard",
+        entityId: board._id,
+        before,
+        fields: MOOD_BOARD_LOGGED_FIELDS,
+      });
+
+      res.json({ message: "Mood board deleted" });
+    } catch (err) {
+      console.error("Delete mood board error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * Add an item to a mood board (moodboards:edit).
+ * Body: { kind: "image" | "color" | "note", imageUrl? | color? | text?,
+ *         caption?, x?, y?, width?, height? } - new items go on top.
+ */
+app.post(
+  "/api/projects/:projectId/moodboards/:boardId/items",
+  isAuthenticated,
+  requireProjectPermission("moodboards:edit"),
+  async (req, res) => {
+    try {
+      const board = await findProjectMoodBoard(req, req.params.boardId);
+      if (!board) return res.status(404).json({ message: "Mood board not found" });
+
+      const { kind } = req.body;
+      if (!MoodBoard.MOOD_ITEM_KINDS.includes(kind)) {
+        return res.status(400).json({ message: "Invalid item type" });
+      }
+      if (board.items.length >= MAX_MOOD_ITEMS) {
+        return res.status(400).json({ message: `Up to ${MAX_MOOD_ITEMS} items per board` });
+      }
+
+      const content = readMoodItemContent(kind, req.body);
+      if (content.error) return res.status(400).json({ message: content.error });
+
+      const topZ = board.items.reduce((max, item) => Math.max(max, item.z), 0);
+      const placement = readMoodPlacement(req.body, {
+        x: 20,
+        y: 20,
+        ...MOOD_ITEM_DEFAULTS[kind],
+        z: topZ + 1,
+      });
+      if (placement.error) return res.status(400).json({ message: placement.error });
+
+      board.items.push({ kind, ...content.data, ...placement.data, addedBy: req.user.id });
+      await board.save();
+
+      const item = board.items[board.items.length - 1];
+      await logActivity(req, {
+        project: req.project,
+        action: "moodboard.item_add",
+        entityType: "moodboard",
+        entityId: board._id,
+        changes: [
+          { field: `${kind} on "${board.title}"`, before: null, after: moodItemLabel(item) },
+        ],
+      });
+
+      res.status(201).json(await moodBoardResponse(req, board._id));
+    } catch (err) {
+      console.error("Add mood board item error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * Arrange the items of a mood board (moodboards:edit).
+ * Body: { items: [{ _id, x, y, width, height, z }] } - items not listed keep
+ * their place.
+ */
+app.put(
+  "/api/projects/:projectId/moodboards/:boardId/layout",
+  isAuthenticated,
+  requireProjectPermission("moodboards:edit"),
+  async (req, res) => {
+    try {
+      const board = await findProjectMoodBoard(req, req.params.boardId);
+      if (!board) return res.status(404).json({ message: "Mood board not found" });
+
+      const list = Array.isArray(req.body.items) ? req.body.items : [];
+      let moved = 0;
+
+      for (const entry of list) {
+        const item = mongoose.isValidObjectId(entry?._id) ? board.items.id(entry._id) : null;
+        if (!item) return res.status(400).json({ message: "Mood board item not found" });
+
+        const { x, y, width, height, z } = item;
+        const placement = readMoodPlacement(entry, { x, y, width, height, z });
+        if (placement.error) return res.status(400).json({ message: placement.error });
+
+        if (["x", "y", "width", "height", "z"].some((key) => placement.data[key] !== item[key])) {
+          item.set(placement.data);
+          moved += 1;
+        }
+      }
+
+      if (moved > 0) {
+        await board.save();
+
+        await logActivity(req, {
+          project: req.project,
+          action: "moodboard.arrange",
+          entityType: "moodboard",
+          entityId: board._id,
+          changes: [{ field: `items on "${board.title}"`, before: null, after: `${moved} moved` }],
+        });
+      }
+
+      res.json(await moodBoardResponse(req, board._id));
+    } catch (err) {
+      console.error("Arrange mood board error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * Edit the content of a mood board item (moodboards:edit).
+ * Body: { caption?, imageUrl? | color? | text? } (depending on its kind)
+ */
+app.put(
+  "/api/projects/:projectId/moodboards/:boardId/items/:itemId",
+  isAuthenticated,
+  requireProjectPermission("moodboards:edit"),
+  async (req, res) => {
+    try {
+      const board = await findProjectMoodBoard(req, req.params.boardId);
+      if (!board) return res.status(404).json({ message: "Mood board not found" });
+
+      const item = mongoose.isValidObjectId(req.params.itemId)
+        ? board.items.id(req.params.itemId)
+        : null;
+      if (!item) return res.status(404).json({ message: "Mood board item not found" });
+
+      const { data, error } = readMoodItemContent(item.kind, req.body, true);
+      if (error) return res.status(400).json({ message: error });
+
+      const before = moodItemLabel(item);
+      item.set(data);
+      await board.save();
+
+      await logActivity(req, {
+        project: req.project,
+        action: "moodboard.item_update",
+        entityType: "moodboard",
+        entityId: board._id,
+        changes: [
+          { field: `${item.kind} on "${board.title}"`, before, after: moodItemLabel(item) },
+        ],
+      });
+
+      res.json(await moodBoardResponse(req, board._id));
+    } catch (err) {
+      console.error("Update mood board item error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * Remove an item (and its reactions) from a mood board (moodboards:edit).
+ */
+app.delete(
+  "/api/projects/:projectId/moodboards/:boardId/items/:itemId",
+  isAuthenticated,
+  requireProjectPermission("moodboards:edit"),
+  async (req, res) => {
+    try {
+      const board = await findProjectMoodBoard(req, req.params.boardId);
+      if (!board) return res.status(404).json({ message: "Mood board not found" });
+
+      const item = mongoose.isValidObjectId(req.params.itemId)
+        ? board.items.id(req.params.itemId)
+        : null;
+      if (!item) return res.status(404).json({ message: "Mood board item not found" });
+
+      const label = moodItemLabel(item);
+      item.deleteOne();
+      await board.save();
+
+      await logActivity(req, {
+        project: req.project,
+        action: "moodboard.item_remove",
+        entityType: "moodboard",
+        entityId: board._id,
+        changes: [{ field: `${item.kind} on "${board.title}"`, before: label, after: null }],
+      });
+
+      res.json(await moodBoardResponse(req, board._id));
+    } catch (err) {
+      console.error("Remove mood board item error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * Like / dislike an item of a shared mood board (moodboards:react).
+ * Body: { value: "like" | "dislike" | null } - null takes the reaction back.
+ * The designers are notified of new reactions.
+ */
+app.put(
+  "/api/projects/:projectId/moodboards/:boardId/items/:itemId/reaction",
+  isAuthenticated,
+  requireProjectPermission("moodboards:react"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const board = await findProjectMoodBoard(req, req.params.boardId);
+      if (!board || !board.shared) {
+        return res.status(404).json({ message: "Mood board not found" });
+      }
+
+      const item = mongoose.isValidObjectId(req.params.itemId)
+        ? board.items.id(req.params.itemId)
+        : null;
+      if (!item) return res.status(404).json({ message: "Mood board item not found" });
+
+      const value = req.body.value || null;
+      if (value !== null && !MoodBoard.MOOD_REACTIONS.includes(value)) {
+        return res.status(400).json({ message: "Reaction must be like or dislike" });
+      }
+
+      const userId = String(req.user.id);
+      const previous = item.reactions.find((r) => String(r.user) === userId)?.value || null;
+      if (previous === value) return res.json(await moodBoardResponse(req, board._id));
+
+      item.reactions = item.reactions.filter((r) => String(r.user) !== userId);
+      if (value) item.reactions.push({ user: req.user.id, value });
+      await board.save();
+
+      await logActivity(req, {
+        project,
+        action: "moodboard.react",
+        entityType: "moodboard",
+        entityId: board._id,
+        changes: [
+          {
+            field: `reaction to "${moodItemLabel(item)}" on "${board.title}"`,
+            before: previous,
+            after: value,
+          },
+        ],
+      });
+
+      if (value) {
+        const verb = value === "like" ? "liked" : "disliked";
+        await notify(req, {
+          recipients: await projectTeamWith(project, "moodboards:edit"),
+          type: "moodboard.reaction",
+          project,
+          message: `${verb} "${moodItemLabel(item)}" on the mood board "${board.title}"`,
+          link: `/project/${project._id}/moodboards/${board._id}`,
+        });
+      }
+
+      res.json(await moodBoardResponse(req, board._id));
+    } catch (err) {
+      console.error("Mood board reaction error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/* =========================================================
+ * Project documents (files, folders, versions)
+ * ========================================================= */
+
+// Document files are stored private (no public URL); downloads go through
+// the API, which checks project access.
+const DOCUMENT_MAX_BYTES = (Number(process.env.DOCUMENT_MAX_MB) || 25) * MB;
+const DOCUMENT_QUOTA_BYTES = (Number(process.env.DOCUMENT_QUOTA_MB) || 500) * MB;
+const MAX_FOLDER_DEPTH = 5;
+
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: DOCUMENT_MAX_BYTES, files: 1 },
+});
+
+/**
+ * Receive one multipart "file" field; too large files get a 413
+ * (instead of multer's default error page).
+ */
+function receiveDocument(req, res, next) {
+  documentUpload.single("file")(req, res, (err) => {
+    if (err instanceof multer.MulterError && err.code === "LIMIT_FILE_SIZE") {
+      return res
+        .status(413)
+        .json({ message: `Files can be up to ${DOCUMENT_MAX_BYTES / MB} MB` });
+    }
+    if (err) return next(err);
+    if (!req.file) return res.status(400).json({ message: "No file uploaded" });
+    next();
+  });
+}
+
+/**
+ * Normalize a folder path: trimmed segments joined with "/" ("" = top level).
+ * Returns { data } or { error }.
+ */
+function readFolderPath(value) {
+  const segments = String(value || "")
+    .split("/")
+    .map((segment) => segment.trim())
+    .filter(Boolean);
+
+  if (segments.length > MAX_FOLDER_DEPTH) {
+    return { error: `Folders can be nested up to ${MAX_FOLDER_DEPTH} levels` };
+  }
+  if (segments.some((segment) => segment === "." || segment === "..")) {
+    return { error: "Invalid folder name" };
+  }
+  return { data: segments.join("/") };
+}
+
+// "a/b" is inside "a" (and inside "" = top level)
+function isInFolder(folder, parent) {
+  return !parent || folder === parent || folder.startsWith(`${parent}/`);
+}
+
+// A folder path with all of its parents: "a/b/c" -> ["a", "a/b", "a/b/c"]
+function folderWithParents(folder) {
+  const segments = folder ? folder.split("/") : [];
+  return segments.map((_, index) => segments.slice(0, index + 1).join("/"));
+}
+
+function addDocumentFolder(project, folder) {
+  for (const parent of folderWithParents(folder)) {
+    if (!project.documentFolders.includes(parent)) project.documentFolders.push(parent);
+  }
+}
+
+/**
+ * Store an uploaded file of a project (private); returns { driver, key }.
+ */
+async function storeDocumentFile(project, file) {
+  return saveFile(file.buffer, {
+    folder: String(project._id),
+    fileName: file.originalname,
+    access: "private",
+  });
+}
+
+async function removeDocumentFiles(versions) {
+  for (const version of versions) {
+    try {
+      await removeFile(version.storage, version.storageKey, "private");
+    } catch (err) {
+      console.error("Remove document file error:", err);
+    }
+  }
+}
+
+function newDocumentVersion(req, number, stored, file) {
+  return {
+    number,
+    storage: stored.driver,
+    storageKey: stored.key,
+    originalName: file.originalname || "",
+    mimeType: file.mimetype || "application/octet-stream",
+    size: file.size,
+    note: String(req.body.note || "").trim(),
+    uploadedBy: req.user.id,
+    uploadedAt: new Date(),
+  };
+}
+
+/**
+ * Bytes used by all document versions of a project.
+ */
+async function projectDocumentsSize(project) {
+  const [usage] = await ProjectDocument.aggregate([
+    { $match: { project: project._id } },
+    { $unwind: "$versions" },
+    { $group: { _id: null, size: { $sum: "$versions.size" } } },
+  ]);
+  return usage ? usage.size : 0;
+}
+
+// 413 if the upload would go over the project's storage quota
+async function checkDocumentQuota(project, file, res) {
+  const used = await projectDocumentsSize(project);
+  if (used + file.size <= DOCUMENT_QUOTA_BYTES) return true;
+
+  res.status(413).json({
+    message: `This project's documents are limited to ${DOCUMENT_QUOTA_BYTES / MB} MB`,
+  });
+  return false;
+}
+
+/**
+ * Document of the project by id (null if invalid / not found).
+ * Roles without documents:internal only get shared ("client") documents.
+ */
+async function findProjectDocument(req, documentId) {
+  if (!mongoose.isValidObjectId(documentId)) return null;
+
+  const filter = { _id: documentId, project: req.project._id };
+  if (!hasProjectPermission(req, "documents:internal")) filter.visibility = "client";
+  return ProjectDocument.findOne(filter);
+}
+
+/**
+ * Document for responses: current file info + version history
+ * (storage drivers and keys stay on the server).
+ */
+function serializeDocument(doc) {
+  const versions = [...doc.versions]
+    .sort((a, b) => b.number - a.number)
+    .map(({ storage, storageKey, ...version }) => version);
+  const current = versions.find((v) => v.number === doc.currentVersion) || versions[0] || {};
+
+  return {
+    _id: doc._id,
+    name: doc.name,
+    folder: doc.folder,
+    visibility: doc.visibility,
+    currentVersion: doc.currentVersion,
+    mimeType: current.mimeType,
+    size: current.size,
+    updatedAt: current.uploadedAt || doc.updatedAt,
+    versions,
+  };
+}
+
+/**
+ * Roles that only see shared documents (clients, contractors).
+ */
+async function documentReaders(project) {
+  const team = await buildProjectTeam(project);
+  return team
+    .filter((member) => {
+      const permissions = getRolePermissions(member.role);
+      return permissions.includes("documents:view") && !permissions.includes("documents:internal");
+    })
+    .map((member) => member.user._id);
+}
+
+async function notifyDocumentShared(req, doc, message) {
+  await notify(req, {
+    recipients: await documentReaders(req.project),
+    type: "document.shared",
+    project: req.project,
+    message,
+    link: `/project/${req.project._id}/documents?folder=${encodeURIComponent(doc.folder)}`,
+  });
+}
+
+/**
+ * Documents + folders of a project (documents:view).
+ * Roles without documents:internal only get shared documents and the
+ * folders that lead to them.
+ * Returns { documents, folders, canEdit, limits: { maxFileSize, quota, used? } }.
+ */
+app.get(
+  "/api/projects/:id/documents",
+  isAuthenticated,
+  requireProjectPermission("documents:view"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+      const internal = hasProjectPermission(req, "documents:internal");
+
+      const filter = { project: project._id };
+      if (!internal) filter.visibility = "client";
+      const docs = await ProjectDocument.find(filter)
+        .populate("versions.uploadedBy", "username")
+        .sort({ folder: 1, name: 1 })
+        .lean();
+
+      const folders = internal
+        ? [...project.documentFolders]
+        : [...new Set(docs.flatMap((doc) => folderWithParents(doc.folder)))];
+
+      const canEdit = hasProjectPermission(req, "documents:edit");
+      res.json({
+        documents: docs.map(serializeDocument),
+        folders: folders.sort(),
+        canEdit,
+        limits: {
+          maxFileSize: DOCUMENT_MAX_BYTES,
+          quota: DOCUMENT_QUOTA_BYTES,
+          used: canEdit ? await projectDocumentsSize(project) : undefined,
+        },
+      });
+    } catch (err) {
+      console.error("Documents list error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * Upload a document (documents:edit), multipart form-data:
+ * file + folder?, visibility? ("team" | "client"), note?
+ * A file with the same name in the same folder becomes a new version of
+ * that document (its visibility stays).
+ * Returns { document, versioned }.
+ */
+app.post(
+  "/api/projects/:id/documents",
+  isAuthenticated,
+  requireProjectPermission("documents:edit"),
+  receiveDocument,
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const folder = readFolderPath(req.body.folder);
+      if (folder.error) return res.status(400).json({ message: folder.error });
+
+      const visibility = req.body.visibility || "team";
+      if (!ProjectDocument.DOCUMENT_VISIBILITIES.includes(visibility)) {
+        return res.status(400).json({ message: "Invalid visibility" });
+      }
+
+      const name = String(req.file.originalname || "").trim() || "Document";
+      if (!(await checkDocumentQuota(project, req.file, res))) return;
+
+      const existing = await ProjectDocument.findOne({
+        project: project._id,
+        folder: folder.data,
+        name,
+      });
+
+      const stored = await storeDocumentFile(project, req.file);
+      let doc;
+
+      if (existing) {
+        const number = Math.max(...existing.versions.map((v) => v.number)) + 1;
+        existing.versions.push(newDocumentVersion(req, number, stored, req.file));
+        existing.currentVersion = number;
+        doc = await existing.save();
+      } else {
+        doc = await new ProjectDocument({
+          project: project._id,
+          studio: project.studio,
+          name,
+          folder: folder.data,
+          visibility,
+          versions: [newDocumentVersion(req, 1, stored, req.file)],
+          currentVersion: 1,
+          createdBy: req.user.id,
+        }).save();
+
+        addDocumentFolder(project, folder.data);
+        if (project.isModified("documentFolders")) await project.save();
+      }
+
+      await logActivity(req, {
+        project,
+        action: existing ? "document.version" : "document.upload",
+        entityType: "document",
+        entityId: doc._id,
+        changes: [
+          {
+            field: doc.folder ? `${doc.folder}/${doc.name}` : doc.name,
+            before: existing ? `version ${doc.currentVersion - 1}` : null,
+            after: `version ${doc.currentVersion}`,
+          },
+        ],
+      });
+
+      if (doc.visibility === "client") {
+        await notifyDocumentShared(
+          req,
+          doc,
+          existing
+            ? `uploaded a new version of "${doc.name}"`
+            : `shared the document "${doc.name}"`
+        );
+      }
+
+      const populated = await ProjectDocument.findById(doc._id)
+        .populate("versions.uploadedBy", "username")
+        .lean();
+      res
+        .status(existing ? 200 : 201)
+        .json({ document: serializeDocument(populated), versioned: Boolean(existing) });
+    } catch (err) {
+      sendServerError(req, res, err, "Upload document error");
+    }
+  }
+);
+
+/**
+ * Create a folder (documents:edit). Body: { path } - e.g. "Plans/Kitchen";
+ * missing parent folders are created too.
+ */
+app.post(
+  "/api/projects/:id/documents/folders",
+  isAuthenticated,
+  requireProjectPermission("documents:edit"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const folder = readFolderPath(req.body.path);
+      if (folder.error) return res.status(400).json({ message: folder.error });
+      if (!folder.data) return res.status(400).json({ message: "Folder name is required" });
+      if (project.documentFolders.includes(folder.data)) {
+        return res.status(400).json({ message: "This folder already exists" });
+      }
+
+      addDocumentFolder(project, folder.data);
+      await project.save();
+
+      await logActivity(req, {
+        project,
+        action: "document.folder_create",
+        entityType: "document",
+        changes: [{ field: "folder", before: null, after: folder.data }],
+      });
+
+      res.status(201).json({ folders: [...project.documentFolders].sort() });
+    } catch (err) {
+      sendServerError(req, res, err, "Create folder error");
+    }
+  }
+);
+
+/**
+ * Rename / move a folder with its subfolders and documents (documents:edit).
+ * Body: { from, to }
+ */
+app.put(
+  "/api/projects/:id/documents/folders",
+  isAuthenticated,
+  requireProjectPermission("documents:edit"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const from = readFolderPath(req.body.from);
+      const to = readFolderPath(req.body.to);
+      if (from.error || to.error) {
+        return res.status(400).json({ message: from.error || to.error });
+      }
+      if (!from.data || !project.documentFolders.includes(from.data)) {
+        return res.status(404).json({ message: "Folder not found" });
+      }
+      if (!to.data) return res.status(400).json({ message: "Folder name is required" });
+      if (isInFolder(to.data, from.data)) {
+        return res.status(400).json({ message: "A folder cannot be moved into itself" });
+      }
+      if (project.documentFolders.includes(to.data)) {
+        return res.status(400).json({ message: "This folder already exists" });
+      }
+
+      const moved = (folder) => `${to.data}${folder.slice(from.data.length)}`;
+
+      project.documentFolders = project.documentFolders.map((folder) =>
+        isInFolder(folder, from.data) ? moved(folder) : folder
+      );
+      addDocumentFolder(project, to.data);
+      await project.save();
+
+      const docs = await ProjectDocument.find({ project: project._id }).select("folder");
+      for (const doc of docs) {
+        if (!isInFolder(doc.folder, from.data)) continue;
+        doc.folder = moved(doc.folder);
+        await doc.save();
+      }
+
+      await logActivity(req, {
+        project,
+        action: "document.folder_rename",
+        entityType: "document",
+        changes: [{ field: "folder", before: from.data, after: to.data }],
+      });
+
+      res.json({ folders: [...project.documentFolders].sort() });
+    } catch (err) {
+      sendServerError(req, res, err, "Rename folder error");
+    }
+  }
+);
+
+/**
+ * Delete an empty folder (documents:edit). Query: ?path=<folder>
+ * Folders with documents (also in subfolders) cannot be deleted.
+ */
+app.delete(
+  "/api/projects/:id/documents/folders",
+  isAuthenticated,
+  requireProjectPermission("documents:edit"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const folder = readFolderPath(req.query.path);
+      if (folder.error) return res.status(400).json({ message: folder.error });
+      if (!folder.data || !project.documentFolders.includes(folder.data)) {
+        return res.status(404).json({ message: "Folder not found" });
+      }
+
+      const docs = await ProjectDocument.find({ project: project._id }).select("folder").lean();
+      if (docs.some((doc) => isInFolder(doc.folder, folder.data))) {
+        return res.status(400).json({ message: "Only empty folders can be deleted" });
+      }
+
+      project.documentFolders = project.documentFolders.filter(
+        (existing) => !isInFolder(existing, folder.data)
+      );
+      await project.save();
+
+      await logActivity(req, {
+        project,
+        action: "document.folder_delete",
+        entityType: "document",
+        changes: [{ field: "folder", before: folder.data, after: null }],
+      });
+
+      res.json({ folders: [...project.documentFolders].sort() });
+    } catch (err) {
+      sendServerError(req, res, err, "Delete folder error");
+    }
+  }
+);
+
+/**
+ * Rename a document, move it to another folder or change who sees it
+ * (documents:edit). Body: { name?, folder?, visibility? }
+ */
+app.put(
+  "/api/projects/:projectId/documents/:documentId",
+  isAuthenticated,
+  requireProjectPermission("documents:edit"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const doc = await findProjectDocument(req, req.params.documentId);
+      if (!doc) return res.status(404).json({ message: "Document not found" });
+
+      const before = snapshot(doc);
+
+      if (req.body.name !== undefined) {
+        const name = String(req.body.name || "").trim();
+        if (!name) return res.status(400).json({ message: "Document name is required" });
+        doc.name = name;
+      }
+
+      if (req.body.folder !== undefined) {
+        const folder = readFolderPath(req.body.folder);
+        if (folder.error) return res.status(400).json({ message: folder.error });
+        doc.folder = folder.data;
+      }
+
+      if (req.body.visibility !== undefined) {
+        if (!ProjectDocument.DOCUMENT_VISIBILITIES.includes(req.body.visibility)) {
+          return res.status(400).json({ message: "Invalid visibility" });
+        }
+        doc.visibility = req.body.visibility;
+      }
+
+      const clash = await ProjectDocument.findOne({
+        _id: { $ne: doc._id },
+        project: project._id,
+        folder: doc.folder,
+        name: doc.name,
+      }).lean();
+      if (clash) {
+        return res
+          .status(400)
+          .json({ message: `There is already a document "${doc.name}" in this folder` });
+      }
+
+      await doc.save();
+
+      addDocumentFolder(project, doc.folder);
+      if (project.isModified("documentFolders")) await project.save();
+
+      await logActivity(req, {
+        project,
+        action: "document.update",
+        entityType: "document",
+        entityId: doc._id,
+        before,
+        after: snapshot(doc),
+        fields: ["name", "folder", "visibility"],
+      });
+
+      if (doc.visibility === "client" && before.visibility !== "client") {
+        await notifyDocumentShared(req, doc, `shared the document "${doc.name}"`);
+      }
+
+      const populated = await ProjectDocument.findById(doc._id)
+        .populate("versions.uploadedBy", "username")
+        .lean();
+      res.json(serializeDocument(populated));
+    } catch (err) {
+      sendServerError(req, res, err, "Update document error");
+    }
+  }
+);
+
+/**
+ * Upload a new version of a document (documents:edit), multipart form-data:
+ * file + note? - the file name may differ from the document's name.
+ */
+app.post(
+  "/api/projects/:projectId/documents/:documentId/versions",
+  isAuthenticated,
+  requireProjectPermission("documents:edit"),
+  receiveDocument,
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const doc = await findProjectDocument(req, req.params.documentId);
+      if (!doc) return res.status(404).json({ message: "Document not found" });
+      if (!(await checkDocumentQuota(project, req.file, res))) return;
+
+      const stored = await storeDocumentFile(project, req.file);
+      const number = Math.max(...doc.versions.map((v) => v.number)) + 1;
+      doc.versions.push(newDocumentVersion(req, number, stored, req.file));
+      doc.currentVersion = number;
+      await doc.save();
+
+      await logActivity(req, {
+        project,
+        action: "document.version",
+        entityType: "document",
+        entityId: doc._id,
+        changes: [
+          {
+            field: doc.folder ? `${doc.folder}/${doc.name}` : doc.name,
+            before: `version ${number - 1}`,
+            after: `version ${number}`,
+          },
+        ],
+      });
+
+      if (doc.visibility === "client") {
+        await notifyDocumentShared(req, doc, `uploaded a new version of "${doc.name}"`);
+      }
+
+      const populated = await ProjectDocument.findById(doc._id)
+        .populate("versions.uploadedBy", "username")
+        .lean();
+      res.status(201).json(serializeDocument(populated));
+    } catch (err) {
+      console.error("Upload document version error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * Download a document (documents:view; shared documents only for roles
+ * without documents:internal). Query: ?version=<number> (default: current).
+ * Uses the normal Authorization header - there are no public file links.
+ */
+app.get(
+  "/api/projects/:projectId/documents/:documentId/download",
+  isAuthenticated,
+  requireProjectPermission("documents:view"),
+  async (req, res) => {
+    try {
+      const doc = await findProjectDocument(req, req.params.documentId);
+      if (!doc) return res.status(404).json({ message: "Document not found" });
+
+      const number = req.query.version ? Number(req.query.version) : doc.currentVersion;
+      const version = doc.versions.find((v) => v.number === number);
+      if (!version) return res.status(404).json({ message: "Version not found" });
+
+      const file = await openFile(version.storage, version.storageKey, "private");
+      if (!file) return res.status(404).json({ message: "File not found" });
+
+      res.attachment(version.originalName || doc.name);
+      res.setHeader("Content-Type", version.mimeType);
+      res.setHeader("Cache-Control", "private, no-store");
+
+      file.on("error", (err) => {
+        console.error("Download document error:", err);
+        res.destroy(err);
+      });
+      file.pipe(res);
+    } catch (err) {
+      console.error("Download document error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * Delete a document with all of its versions (documents:edit).
+ */
+app.delete(
+  "/api/projects/:projectId/documents/:documentId",
+  isAuthenticated,
+  requireProjectPermission("documents:edit"),
+  async (req, res) => {
+    try {
+      const doc = await findProjectDocument(req, req.params.documentId);
+      if (!doc) return res.status(404).json({ message: "Document not found" });
+
+      await doc.deleteOne();
+      await removeDocumentFiles(doc.versions);
+
+      await logActivity(req, {
+        project: req.project,
+        action: "document.delete",
+        entityType: "document",
+        entityId: doc._id,
+        changes: [
+          {
+            field: doc.folder ? `${doc.folder}/${doc.name}` : doc.name,
+            before: `${doc.versions.length} version${doc.versions.length === 1 ? "" : "s"}`,
+            after: null,
+          },
+        ],
+      });
+
+      res.json({ message: "Document deleted" });
+    } catch (err) {
+      console.error("Delete document error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/* =========================================================
+ * Workers API (per project)
+ * ========================================================= */
+
+/**
+ * List workers for a project (workers:view); costs only with budget:view.
+ */
+app.get(
+  "/api/projects/:id/workers",
+  isAuthenticated,
+  requireProjectPermission("workers:view"),
+  async (req, res) => {
+    try {
+      res.json(shapeCostItems(req.project.workers, req.projectPermissions));
+    } catch (err) {
+      console.error("Workers list error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * Add worker to project (workers:edit).
+ */
+app.post(
+  "/api/projects/:id/workers",
+  isAuthenticated,
+  requireProjectPermission("workers:edit"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+      const { workerName, role, phone, cost, description } = req.body;
+
+      const budgetLine = findBudgetLineId(project, req.body.budgetLine);
+      if (budgetLine === undefined) {
+        return res.status(400).json({ message: "Budget line not found" });
+      }
+
+      const money = readCostMoney(req.body);
+      if (money.error) return res.status(400).json({ message: money.error });
+
+      project.workers.push({
+        workerName,
+        role,
+        phone,
+        cost,
+        ...money.data,
+        description,
+        budgetLine,
+      });
+      await project.save();
+
+      const worker = project.workers[project.workers.length - 1];
+      await logActivity(req, {
+        project,
+        action: "worker.create",
+        entityType: "worker",
+        entityId: worker._id,
+        after: snapshot(worker),
+      });
+
+      res.status(201).json(worker);
+    } catch (err) {
+      sendServerError(req, res, err, "Add worker error");
+    }
+  }
+);
+
+/**
+ * Update worker inside project (workers:edit).
+ */
+app.put(
+  "/api/projects/:projectId/workers/:workerId",
+  isAuthenticated,
+  requireProjectPermission("workers:edit"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+      const { workerId } = req.params;
+      const { workerName, role, phone, cost, description } = req.body;
+
+      const worker = project.workers.id(workerId);
+      if (!worker) return res.status(404).json({ message: "Worker not found" });
+      const before = snapshot(worker);
+
+      const money = readCostMoney(req.body);
+      if (money.error) return res.status(400).json({ message: money.error });
+      Object.assign(worker, money.data);
+
+      if (workerName !== undefined) worker.workerName = workerName;
+      if (role !== undefined) worker.role = role;
+      if (phone !== undefined) worker.phone = phone;
+      if (cost !== undefined) worker.cost = cost;
+      if (description !== undefined) worker.description = description;
+
+      if (req.body.budgetLine !== undefined) {
+        const budgetLine = findBudgetLineId(project, req.body.budgetLine);
+        if (budgetLine === undefined) {
+          return res.status(400).json({ message: "Budget line not found" });
+        }
+        worker.budgetLine = budgetLine;
+      }
+
+      await project.save();
+
+      await logActivity(req, {
+        project,
+        action: "worker.update",
+        entityType: "worker",
+        entityId: worker._id,
+        before,
+        after: snapshot(worker),
+      });
+
+      res.json(worker);
+    } catch (err) {
+      sendServerError(req, res, err, "Update worker error");
+    }
+  }
+);
+
+/**
+ * Delete worker from project (workers:edit).
+ */
+app.delete(
+  "/api/projects/:projectId/workers/:workerId",
+  isAuthenticated,
+  requireProjectPermission("workers:edit"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+      const { workerId } = req.params;
+
+      const worker = project.workers.id(workerId);
+      if (!worker) return res.status(404).json({ message: "Worker not found" });
+
+      const before = snapshot(worker);
+      worker.deleteOne();
+      removePayeePayments(project, workerId);
+      unassignTimelineTasks(project, workerId);
+      unassignBoardCards(project, workerId);
+      await project.save();
+      await Appointment.updateMany(
+        { project: project._id, workers: workerId },
+        { $pull: { workers: workerId } }
+      );
+
+      await logActivity(req, {
+        project,
+        action: "worker.delete",
+        entityType: "worker",
+        entityId: workerId,
+        before,
+      });
+
+      res.json({ message: "Worker deleted successfully" });
+    } catch (err) {
+      sendServerError(req, res, err, "Delete worker error");
+    }
+  }
+);
+
+/* =========================================================
+ * Suppliers API (per project)
+ * ========================================================= */
+
+/**
+ * List suppliers for a project (suppliers:view); prices only with budget:view.
+ */
+app.get(
+  "/api/projects/:id/suppliers",
+  isAuthenticated,
+  requireProjectPermission("suppliers:view"),
+  async (req, res) => {
+    try {
+      res.json(shapeCostItems(req.project.suppliers, req.projectPermissions));
+    } catch (err) {
+      console.error("Suppliers list error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * Add supplier to project (suppliers:edit).
+ * budgetLine / roomId (optional) link the cost to a budget line / room.
+ */
+app.post(
+  "/api/projects/:id/suppliers",
+  isAuthenticated,
+  requireProjectPermission("suppliers:edit"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      let { storeName, supplierName, product, price, contactName, phone } = req.body;
+      price = isNaN(parseFloat(price)) ? 0 : parseFloat(price);
+
+      const budgetLine = findBudgetLineId(project, req.body.budgetLine);
+      if (budgetLine === undefined) {
+        return res.status(400).json({ message: "Budget line not found" });
+      }
+
+      const money = readCostMoney(req.body);
+      if (money.error) return res.status(400).json({ message: money.error });
+
+      const roomLink = readRoomLink(project, req.body);
+      if (roomLink.error) return res.status(400).json({ message: roomLink.error });
+
+      project.suppliers.push({
+        storeName,
+        supplierName,
+        product,
+        price,
+        ...money.data,
+        contactName,
+        phone,
+        budgetLine,
+        ...roomLink.data,
+      });
+
+      await project.save();
+
+      const supplier = project.suppliers[project.suppliers.length - 1];
+      await logActivity(req, {
+        project,
+        action: "supplier.create",
+        entityType: "supplier",
+        entityId: supplier._id,
+        after: snapshot(supplier),
+      });
+
+      res.status(201).json(supplier);
+    } catch (err) {
+      sendServerError(req, res, err, "Add supplier error");
+    }
+  }
+);
+
+/**
+ * Update supplier inside project (suppliers:edit).
+ * The quote of a supplier with an approved (locked) quote cannot change.
+ */
+app.put(
+  "/api/projects/:projectId/suppliers/:supplierId",
+  isAuthenticated,
+  requireProjectPermission("suppliers:edit"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+      const { supplierId } = req.params;
+      let { storeName, supplierName, product, price, contactName, phone } = req.body;
+
+      const supplier = project.suppliers.id(supplierId);
+      if (!supplier) return res.status(404).json({ message: "Supplier not found" });
+      const before = snapshot(supplier);
+
+      const money = readCostMoney(req.body);
+      if (money.error) return res.status(400).json({ message: money.error });
+      Object.assign(supplier, money.data);
+
+      if (storeName !== undefined) supplier.storeName = storeName;
+      if (supplierName !== undefined) supplier.supplierName = supplierName;
+      if (product !== undefined) supplier.product = product;
+      if (price !== undefined) {
+        supplier.price = isNaN(parseFloat(price)) ? 0 : parseFloat(price);
+      }
+      if (contactName !== undefined) supplier.contactName = contactName;
+      if (phone !== undefined) supplier.phone = phone;
+
+      if (req.body.budgetLine !== undefined) {
+        const budgetLine = findBudgetLineId(project, req.body.budgetLine);
+        if (budgetLine === undefined) {
+          return res.status(400).json({ message: "Budget line not found" });
+        }
+        supplier.budgetLine = budgetLine;
+      }
+
+      const roomLink = readRoomLink(project, req.body);
+      if (roomLink.error) return res.status(400).json({ message: roomLink.error });
+      Object.assign(supplier, roomLink.data);
+
+      if (JSON.stringify(quoteOf(supplier)) !== JSON.stringify(quoteOf(before))) {
+        const lock = await findSupplierLock(project, supplier._id);
+        if (lock) return sendLocked(res, lock);
+      }
+
+      await project.save();
+
+      await logActivity(req, {
+        project,
+        action: "supplier.update",
+        entityType: "supplier",
+        entityId: supplier._id,
+        before,
+        after: snapshot(supplier),
+      });
+
+      res.json(supplier);
+    } catch (err) {
+      sendServerError(req, res, err, "Update supplier error");
+    }
+  }
+);
+
+/**
+ * Delete supplier from project (suppliers:edit).
+ * Suppliers with an approved (locked) quote cannot be deleted.
+ */
+app.delete(
+  "/api/projects/:projectId/suppliers/:supplierId",
+  isAuthenticated,
+  requireProjectPermission("suppliers:edit"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+      const { supplierId } = req.params;
+
+      const supplier = project.suppliers.id(supplierId);
+      if (!supplier) return res.status(404).json({ message: "Supplier not found" });
+
+      const lock = await findSupplierLock(project, supplier._id);
+      if (lock) return sendLocked(res, lock);
+
+      const before = snapshot(supplier);
+      supplier.deleteOne();
+      removePayeePayments(project, supplierId);
+      await project.save();
+
+      await logActivity(req, {
+        project,
+        action: "supplier.delete",
+        entityType: "supplier",
+        entityId: supplierId,
+        before,
+      });
+
+      res.json({ message: "Supplier deleted successfully" });
+    } catch (err) {
+      sendServerError(req, res, err, "Delete supplier error");
+    }
+  }
+);
+
+/* =========================================================
+ * Timeline (phases, tasks, dependencies - Gantt view)
+ * ========================================================= */
+
+const TIMELINE_TASK_FIELDS = [
+  "title",
+  "phase",
+  "startDate",
+  "endDate",
+  "milestone",
+  "dependsOn",
+  "assignee",
+  "status",
+];
+
+/**
+ * Clear the assignee of timeline tasks when their worker is removed.
+ */
+function unassignTimelineTasks(project, workerId) {
+  for (const task of project.timelineTasks) {
+    if (task.assignee && String(task.assignee) === String(workerId)) task.assignee = null;
+  }
+}
+
+/**
+ * Validate + normalize phase fields from the request body.
+ * partial: only fields present in the body (for updates).
+ * Returns { data } or { error }.
+ */
+function readPhase(body, partial = false) {
+  const data = {};
+
+  if (!partial || body.name !== undefined) {
+    const name = String(body.name || "").trim();
+    if (!name) return { error: "Phase name is required" };
+    data.name = name;
+  }
+
+  if (body.color !== undefined) {
+    if (!/^#[0-9a-fA-F]{6}$/.test(String(body.color))) {
+      return { error: "Color must be a hex value like #ff6f91" };
+    }
+    data.color = body.color;
+  }
+
+  if (body.order !== undefined) {
+    const order = Number(body.order);
+    if (!Number.isInteger(order)) return { error: "Order must be a whole number" };
+    data.order = order;
+  }
+
+  return { data };
+}
+
+/**
+ * Validate + normalize timeline task fields from the request body.
+ * current: the task being updated (only fields present in the body are read),
+ * or null for a new task.
+ * Dependencies must be other tasks of the project and may not form a loop.
+ * Returns { data } or { error }.
+ */
+function readTimelineTask(project, body, current = null) {
+  const partial = Boolean(current);
+  const data = {};
+
+  if (!partial || body.title !== undefined) {
+    const title = String(body.title || "").trim();
+    if (!title) return { error: "Task title is required" };
+    data.title = title;
+  }
+
+  if (!partial || body.phase !== undefined) {
+    if (body.phase === undefined || body.phase === null || body.phase === "") {
+      data.phase = null;
+    } else if (!mongoose.isValidObjectId(body.phase) || !project.phases.id(body.phase)) {
+      return { error: "Phase not found" };
+    } else {
+      data.phase = body.phase;
+    }
+  }
+
+  if (!partial || body.assignee !== undefined) {
+    if (body.assignee === undefined || body.assignee === null || body.assignee === "") {
+      data.assignee = null;
+    } else if (!mongoose.isValidObjectId(body.assignee) || !project.workers.id(body.assignee)) {
+      return { error: "Worker not found" };
+    } else {
+      data.assignee = body.assignee;
+    }
+  }
+
+  if (!partial || body.status !== undefined) {
+    const status = body.status || "not_started";
+    if (!ProjectModel.TASK_STATUSES.includes(status)) {
+      return { error: "Invalid task status" };
+    }
+    data.status = status;
+  }
+
+  if (!partial || body.milestone !== undefined) data.milestone = Boolean(body.milestone);
+  if (!partial || body.description !== undefined) {
+    data.description = String(body.description || "").trim();
+  }
+
+  for (const field of ["startDate", "endDate"]) {
+    if (!partial || body[field] !== undefined) {
+      const date = parseOptionalDate(body[field]);
+      if (date === undefined) return { error: `Invalid ${field}` };
+      data[field] = date;
+    }
+  }
+
+  // Dates are checked on the merged task (an update may send only one of them)
+  const merged = { ...(current ? current.toObject() : {}), ...data };
+  if (!merged.startDate) return { error: "startDate is required" };
+  if (merged.milestone || !merged.endDate) {
+    data.endDate = merged.startDate;
+  } else if (merged.endDate < merged.startDate) {
+    return { error: "endDate must be on or after startDate" };
+  }
+
+  if (!partial || body.dependsOn !== undefined) {
+    const ids = Array.isArray(body.dependsOn) ? body.dependsOn.map(String) : [];
+    const unique = [...new Set(ids)];
+
+    const error = dependencyError(project.timelineTasks, current && current._id, unique);
+    if (error) return { error };
+
+    data.dependsOn = unique;
+  }
+
+  return { data };
+}
+
+/**
+ * Timeline response: Gantt summary + what the UI needs to edit it.
+ * Workers are only listed for roles that may view them.
+ */
+function timelineResponse(req, project) {
+  return {
+    ...summarizeTimeline(project),
+    workers: hasProjectPermission(req, "workers:view")
+      ? project.workers.map((w) => ({ _id: w._id, workerName: w.workerName, role: w.role }))
+      : [],
+    statuses: ProjectModel.TASK_STATUSES,
+    canEdit: hasProjectPermission(req, "timeline:edit"),
+  };
+}
+
+/**
+ * Project timeline for the Gantt view (timeline:view).
+ * Returns { range, phases, tasks, workers, statuses, canEdit }
+ * (see utils/timeline.js).
+ */
+app.get(
+  "/api/projects/:id/timeline",
+  isAuthenticated,
+  requireProjectPermission("timeline:view"),
+  async (req, res) => {
+    try {
+      res.json(timelineResponse(req, req.project));
+    } catch (err) {
+      console.error("Timeline error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * Add a phase (timeline:edit).
+ * Body: { name, color?, order? } - new phases go last by default.
+ */
+app.post(
+  "/api/projects/:id/timeline/phases",
+  isAuthenticated,
+  requireProjectPermission("timeline:edit"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const { data, error } = readPhase(req.body);
+      if (error) return res.status(400).json({ message: error });
+
+      if (data.order === undefined) {
+        data.order = project.phases.reduce((max, p) => Math.max(max, p.order + 1), 0);
+      }
+      project.phases.push(data);
+      await project.save();
+
+      const phase = project.phases[project.phases.length - 1];
+      await logActivity(req, {
+        project,
+        action: "timeline.phase_create",
+        entityType: "phase",
+        entityId: phase._id,
+        after: snapshot(phase),
+        fields: ["name", "color", "order"],
+      });
+
+      res.status(201).json({ phase, ...timelineResponse(req, project) });
+    } catch (err) {
+      sendServerError(req, res, err, "Add phase error");
+    }
+  }
+);
+
+/**
+ * Update a phase (timeline:edit).
+ */
+app.put(
+  "/api/projects/:projectId/timeline/phases/:phaseId",
+  isAuthenticated,
+  requireProjectPermission("timeline:edit"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const phase = project.phases.id(req.params.phaseId);
+      if (!phase) return res.status(404).json({ message: "Phase not found" });
+
+      const { data, error } = readPhase(req.body, true);
+      if (error) return res.status(400).json({ message: error });
+
+      const before = snapshot(phase);
+      Object.assign(phase, data);
+      await project.save();
+
+      await logActivity(req, {
+        project,
+        action: "timeline.phase_update",
+        entityType: "phase",
+        entityId: phase._id,
+        before,
+        after: snapshot(phase),
+        fields: ["name", "color", "order"],
+      });
+
+      res.json({ phase, ...timelineResponse(req, project) });
+    } catch (err) {
+      sendServerError(req, res, err, "Update phase error");
+    }
+  }
+);
+
+/**
+ * Delete a phase (timeline:edit).
+ * Its tasks stay on the timeline without a phase.
+ */
+app.delete(
+  "/api/projects/:projectId/timeline/phases/:phaseId",
+  isAuthenticated,
+  requireProjectPermission("timeline:edit"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+      const { phaseId } = req.params;
+
+      const phase = project.phases.id(phaseId);
+      if (!phase) return res.status(404).json({ message: "Phase not found" });
+
+      const before = snapshot(phase);
+      phase.deleteOne();
+
+      for (const task of project.timelineTasks) {
+        if (task.phase && String(task.phase) === String(phaseId)) task.phase = null;
+      }
+
+      await project.save();
+
+      await logActivity(req, {
+        project,
+        action: "timeline.phase_delete",
+        entityType: "phase",
+        entityId: phaseId,
+        before,
+        fields: ["name", "color", "order"],
+      });
+
+      res.json({ message: "Phase deleted", ...timelineResponse(req, project) });
+    } catch (err) {
+      sendServerError(req, res, err, "Delete phase error");
+    }
+  }
+);
+
+/**
+ * Add a task or milestone (timeline:edit).
+ * Body: { title, startDate, endDate?, milestone?, phase?, dependsOn?: [taskId],
+ *         assignee?: workerId, status?, description? }
+ */
+app.post(
+  "/api/projects/:id/timeline/tasks",
+  isAuthenticated,
+  requireProjectPermission("timeline:edit"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const { data, error } = readTimelineTask(project, req.body);
+      if (error) return res.status(400).json({ message: error });
+
+      project.timelineTasks.push(data);
+      await project.save();
+
+      const task = project.timelineTasks[project.timelineTasks.length - 1];
+      await logActivity(req, {
+        project,
+        action: "timeline.task_create",
+        entityType: "timelineTask",
+        entityId: task._id,
+        after: snapshot(task),
+        fields: TIMELINE_TASK_FIELDS,
+      });
+
+      res.status(201).json({ task, ...timelineResponse(req, project) });
+    } catch (err) {
+      sendServerError(req, res, err, "Add timeline task error");
+    }
+  }
+);
+
+/**
+ * Update a task, e.g. move its dates or change its status (timeline:edit).
+ */
+app.put(
+  "/api/projects/:projectId/timeline/tasks/:taskId",
+  isAuthenticated,
+  requireProjectPermission("timeline:edit"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const task = project.timelineTasks.id(req.params.taskId);
+      if (!task) return res.status(404).json({ message: "Task not found" });
+
+      const { data, error } = readTimelineTask(project, req.body, task);
+      if (error) return res.status(400).json({ message: error });
+
+      const before = snapshot(task);
+      Object.assign(task, data);
+      await project.save();
+
+      await logActivity(req, {
+        project,
+        action: "timeline.task_update",
+        entityType: "timelineTask",
+        entityId: task._id,
+        before,
+        after: snapshot(task),
+        fields: TIMELINE_TASK_FIELDS,
+      });
+
+      res.json({ task, ...timelineResponse(req, project) });
+    } catch (err) {
+      sendServerError(req, res, err, "Update timeline task error");
+    }
+  }
+);
+
+/**
+ * Delete a task (timeline:edit).
+ * Tasks that depended on it lose that dependency.
+ */
+app.delete(
+  "/api/projects/:projectId/timeline/tasks/:taskId",
+  isAuthenticated,
+  requireProjectPermission("timeline:edit"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+      const { taskId } = req.params;
+
+      const task = project.timelineTasks.id(taskId);
+      if (!task) return res.status(404).json({ message: "Task not found" });
+
+      const before = snapshot(task);
+      task.deleteOne();
+
+      for (const other of project.timelineTasks) {
+        other.dependsOn = other.dependsOn.filter((id) => String(id) !== String(taskId));
+      }
+
+      await project.save();
+
+      await logActivity(req, {
+        project,
+        action: "timeline.task_delete",
+        entityType: "timelineTask",
+        entityId: taskId,
+        before,
+        fields: TIMELINE_TASK_FIELDS,
+      });
+
+      res.json({ message: "Task deleted", ...timelineResponse(req, project) });
+    } catch (err) {
+      sendServerError(req, res, err, "Delete timeline task error");
+    }
+  }
+);
+
+/* =========================================================
+ * Task board (kanban to-dos for designer / clients / workers)
+ * ========================================================= */
+
+const BOARD_CARD_FIELDS = ["title", "description", "assigneeType", "assignee", "dueDate"];
+
+/**
+ * Give a project the default columns if its board has none.
+ * Returns true if columns were added (the caller saves).
+ */
+function ensureBoardColumns(project) {
+  if (project.boardColumns.length > 0) return false;
+  project.boardColumns = ProjectModel.DEFAULT_BOARD_COLUMNS.map((c) => ({ ...c }));
+  return true;
+}
+
+/**
+ * People a card can be assigned to: the project team (designers, clients,
+ * contractors) and - for roles that may view them - the project's workers.
+ */
+async function boardAssignees(req, project) {
+  const team = await buildProjectTeam(project);
+  return {
+    users: team.map((m) => ({ _id: m.user._id, username: m.user.username, role: m.role })),
+    workers: hasProjectPermission(req, "workers:view")
+      ? project.workers.map((w) => ({ _id: w._id, workerName: w.workerName, role: w.role }))
+      : [],
+  };
+}
+
+/**
+ * Validate + normalize card fields from the request body.
+ * partial: only fields present in the body (for updates).
+ * team: result of buildProjectTeam (to check user assignees).
+ * Returns { data } or { error }.
+ */
+function readBoardCard(project, body, team, partial = false) {
+  const data = {};
+
+  if (!partial || body.title !== undefined) {
+    const title = String(body.title || "").trim();
+    if (!title) return { error: "Card title is required" };
+    data.title = title;
+  }
+
+  if (!partial || body.description !== undefined) {
+    data.description = String(body.description || "").trim();
+  }
+
+  if (!partial || body.dueDate !== undefined) {
+    const date = parseOptionalDate(body.dueDate);
+    if (date === undefined) return { error: "Invalid dueDate" };
+    data.dueDate = date;
+  }
+
+  if (!partial || body.assigneeType !== undefined || body.assignee !== undefined) {
+    const type = body.assigneeType || null;
+    if (!type || !body.assignee) {
+      data.assigneeType = null;
+      data.assignee = null;
+    } else if (!ProjectModel.CARD_ASSIGNEE_TYPES.includes(type)) {
+      return { error: "assigneeType must be user or worker" };
+    } else if (type === "worker") {
+      if (!mongoose.isValidObjectId(body.assignee) || !project.workers.id(body.assignee)) {
+        return { error: "Worker not found" };
+      }
+      data.assigneeType = type;
+      data.assignee = body.assignee;
+    } else {
+      if (!team.some((m) => String(m.user._id) === String(body.assignee))) {
+        return { error: "Assignee is not on the project team" };
+      }
+      data.assigneeType = type;
+      data.assignee = body.assignee;
+    }
+  }
+
+  if (body.checklist !== undefined) {
+    if (!Array.isArray(body.checklist)) return { error: "checklist must be a list" };
+    data.checklist = body.checklist
+      .map((item) => ({
+        ...(mongoose.isValidObjectId(item?._id) ? { _id: item._id } : {}),
+        text: String(item?.text || "").trim(),
+        done: Boolean(item?.done),
+      }))
+      .filter((item) => item.text);
+  }
+
+  return { data };
+}
+
+/**
+ * True if the current user is the card's assignee (they may complete it,
+ * tick its checklist and comment on it without board:edit).
+ */
+function isCardAssignee(req, card) {
+  return card.assigneeType === "user" && String(card.assignee) === String(req.user.id);
+}
+
+/**
+ * Keep completedAt / completedBy in line with the card's column.
+ */
+function syncCardCompletion(req, project, card) {
+  if (isDoneColumn(project, card.column)) {
+    if (!card.completedAt) {
+      card.completedAt = new Date();
+      card.completedBy = req.user.id;
+    }
+  } else {
+    card.completedAt = null;
+    card.completedBy = null;
+  }
+}
+
+/**
+ * Board response: columns with cards (comment authors resolved to
+ * usernames), possible assignees and what the caller may do.
+ */
+async function boardResponse(req, project) {
+  const board = summarizeBoard(project);
+
+  const authorIds = new Set();
+  for (const card of project.boardCards) {
+    for (const comment of card.comments) authorIds.add(String(comment.author));
+  }
+  const authors = await User.find({ _id: { $in: [...authorIds] } })
+    .select("username")
+    .lean();
+  const usernames = new Map(authors.map((u) => [String(u._id), u.username]));
+
+  for (const column of board.columns) {
+    for (const card of column.cards) {
+      card.comments = card.comments.map((c) => ({
+        ...c,
+        authorName: usernames.get(String(c.author)) || "Unknown",
+      }));
+    }
+  }
+
+  return {
+    ...board,
+    assignees: await boardAssignees(req, project),
+    canEdit: hasProjectPermission(req, "board:edit"),
+    canComment: hasProjectPermission(req, "board:comment"),
+    myUserId: req.user.id,
+  };
+}
+
+/**
+ * Unassign the board cards of a removed worker.
+ */
+function unassignBoardCards(project, workerId) {
+  for (const card of project.boardCards) {
+    if (card.assigneeType === "worker" && String(card.assignee) === String(workerId)) {
+      card.assigneeType = null;
+      card.assignee = null;
+    }
+  }
+}
+
+/**
+ * Find a card of req.project, or send 404. Returns the card or null.
+ */
+function findBoardCard(req, res) {
+  const card = req.project.boardCards.id(req.params.cardId);
+  if (!card) res.status(404).json({ message: "Card not found" });
+  return card;
+}
+
+/**
+ * Task board of a project (board:view).
+ * Read-only: a board without columns shows the defaults, which the next
+ * save of the project stores (their ids are fixed, so cards can be added
+ * to them right away).
+ * Returns { columns, assignees, canEdit, canComment, myUserId }.
+ */
+app.get(
+  "/api/projects/:id/board",
+  isAuthenticated,
+  requireProjectPermission("board:view"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+      ensureBoardColumns(project);
+
+      res.json(await boardResponse(req, project));
+    } catch (err) {
+      sendServerError(req, res, err, "Board error");
+    }
+  }
+);
+
+/**
+ * Add a column (board:edit).
+ * Body: { name, done? } - new columns go last.
+ */
+app.post(
+  "/api/projects/:id/board/columns",
+  isAuthenticated,
+  requireProjectPermission("board:edit"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const name = String(req.body.name || "").trim();
+      if (!name) return res.status(400).json({ message: "Column name is required" });
+
+      ensureBoardColumns(project);
+      project.boardColumns.push({
+        name,
+        done: Boolean(req.body.done),
+        order: project.boardColumns.reduce((max, c) => Math.max(max, c.order + 1), 0),
+      });
+      await project.save();
+
+      const column = project.boardColumns[project.boardColumns.length - 1];
+      await logActivity(req, {
+        project,
+        action: "board.column_create",
+        entityType: "boardColumn",
+        entityId: column._id,
+        after: snapshot(column),
+        fields: ["name", "done"],
+      });
+
+      res.status(201).json(await boardResponse(req, project));
+    } catch (err) {
+      sendServerError(req, res, err, "Add board column error");
+    }
+  }
+);
+
+/**
+ * Rename / reorder a column or change its "done" flag (board:edit).
+ * Body: { name?, done?, order? }
+ */
+app.put(
+  "/api/projects/:projectId/board/columns/:columnId",
+  isAuthenticated,
+  requireProjectPermission("board:edit"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const column = project.boardColumns.id(req.params.columnId);
+      if (!column) return res.status(404).json({ message: "Column not found" });
+
+      const before = snapshot(column);
+
+      if (req.body.name !== undefined) {
+        const name = String(req.body.name || "").trim();
+        if (!name) return res.status(400).json({ message: "Column name is required" });
+        column.name = name;
+      }
+      if (req.body.order !== undefined) {
+        const order = Number(req.body.order);
+        if (!Number.isInteger(order)) {
+          return res.status(400).json({ message: "Order must be a whole number" });
+        }
+        column.order = order;
+      }
+      if (req.body.done !== undefined) {
+        column.done = Boolean(req.body.done);
+        project.boardCards
+          .filter((card) => String(card.column) === String(column._id))
+          .forEach((card) => syncCardCompletion(req, project, card));
+      }
+
+      await project.save();
+
+      await logActivity(req, {
+        project,
+        action: "board.column_update",
+        entityType: "boardColumn",
+        entityId: column._id,
+        before,
+        after: snapshot(column),
+        fields: ["name", "done", "order"],
+      });
+
+      res.json(await boardResponse(req, project));
+    } catch (err) {
+      sendServerError(req, res, err, "Update board column error");
+    }
+  }
+);
+
+/**
+ * Delete an empty column (board:edit). The board keeps at least one column.
+ */
+app.delete(
+  "/api/projects/:projectId/board/columns/:columnId",
+  isAuthenticated,
+  requireProjectPermission("board:edit"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+      const { columnId } = req.params;
+
+      const column = project.boardColumns.id(columnId);
+      if (!column) return res.status(404).json({ message: "Column not found" });
+
+      if (project.boardColumns.length === 1) {
+        return res.status(400).json({ message: "The board needs at least one column" });
+      }
+      if (project.boardCards.some((card) => String(card.column) === String(columnId))) {
+        return res.status(400).json({ message: "Move the cards out of this column first" });
+      }
+
+      const before = snapshot(column);
+      column.deleteOne();
+      await project.save();
+
+      await logActivity(req, {
+        project,
+        action: "board.column_delete",
+        entityType: "boardColumn",
+        entityId: columnId,
+        before,
+        fields: ["name", "done"],
+      });
+
+      res.json(await boardResponse(req, project));
+    } catch (err) {
+      sendServerError(req, res, err, "Delete board column error");
+    }
+  }
+);
+
+/**
+ * Add a card (board:edit).
+ * Body: { title, description?, column?, assigneeType?, assignee?, dueDate?,
+ *         checklist?: [{ text, done }] } - column defaults to the first one.
+ */
+app.post(
+  "/api/projects/:id/board/cards",
+  isAuthenticated,
+  requireProjectPermission("board:edit"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+      ensureBoardColumns(project);
+
+      const team = await buildProjectTeam(project);
+      const { data, error } = readBoardCard(project, req.body, team);
+      if (error) return res.status(400).json({ message: error });
+
+      const column = req.body.column
+        ? project.boardColumns.id(req.body.column)
+        : openColumn(project) || project.boardColumns[0];
+      if (!column) return res.status(400).json({ message: "Column not found" });
+
+      project.boardCards.push({ ...data, column: column._id, createdBy: req.user.id });
+      const card = project.boardCards[project.boardCards.length - 1];
+      placeCard(project, card, column._id);
+      syncCardCompletion(req, project, card);
+      await project.save();
+
+      await logActivity(req, {
+        project,
+        action: "board.card_create",
+        entityType: "boardCard",
+        entityId: card._id,
+        after: snapshot(card),
+        fields: BOARD_CARD_FIELDS,
+      });
+
+      res.status(201).json({ card, ...(await boardResponse(req, project)) });
+    } catch (err) {
+      sendServerError(req, res, err, "Add board card error");
+    }
+  }
+);
+
+/**
+ * Update a card or move it (board:edit).
+ * Body: any card field from POST, plus { column?, position? } to move it
+ * (position = index inside the target column, default: bottom).
+ */
+app.put(
+  "/api/projects/:projectId/board/cards/:cardId",
+  isAuthenticated,
+  requireProjectPermission("board:edit"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+      const card = findBoardCard(req, res);
+      if (!card) return;
+
+      const team = await buildProjectTeam(project);
+      const { data, error } = readBoardCard(project, req.body, team, true);
+      if (error) return res.status(400).json({ message: error });
+
+      const before = snapshot(card);
+      Object.assign(card, data);
+
+      if (req.body.column !== undefined || req.body.position !== undefined) {
+        const column = project.boardColumns.id(req.body.column || card.column);
+        if (!column) return res.status(400).json({ message: "Column not found" });
+        placeCard(project, card, column._id, req.body.position);
+        syncCardCompletion(req, project, card);
+      }
+
+      await project.save();
+
+      await logActivity(req, {
+        project,
+        action: "board.card_update",
+        entityType: "boardCard",
+        entityId: card._id,
+        before,
+        after: snapshot(card),
+        fields: [...BOARD_CARD_FIELDS, "column", "checklist"],
+      });
+
+      res.json({ card, ...(await boardResponse(req, project)) });
+    } catch (err) {
+      sendServerError(req, res, err, "Update board card error");
+    }
+  }
+);
+
+/**
+ * Delete a card (board:edit).
+ */
+app.delete(
+  "/api/projects/:projectId/board/cards/:cardId",
+  isAuthenticated,
+  requireProjectPermission("board:edit"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+      const card = findBoardCard(req, res);
+      if (!card) return;
+
+      const before = snapshot(card);
+      card.deleteOne();
+      await project.save();
+
+      await logActivity(req, {
+        project,
+        action: "board.card_delete",
+        entityType: "boardCard",
+        entityId: req.params.cardId,
+        before,
+        fields: BOARD_CARD_FIELDS,
+      });
+
+      res.json({ message: "Card deleted", ...(await boardResponse(req, project)) });
+    } catch (err) {
+      sendServerError(req, res, err, "Delete board card error");
+    }
+  }
+);
+
+/**
+ * Complete or re-open a card (board:edit, or the card's assignee).
+ * Body: { completed: true | false }
+ * Completed cards move to the first "done" column, re-opened cards to the
+ * first open column.
+ */
+app.post(
+  "/api/projects/:projectId/board/cards/:cardId/complete",
+  isAuthenticated,
+  requireProjectPermission("board:view"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+      const card = findBoardCard(req, res);
+      if (!card) return;
+
+      if (!hasProjectPermission(req, "board:edit") && !isCardAssignee(req, card)) {
+        return res.status(403).json({ message: "Only the assignee can complete this card" });
+      }
+
+      const completed = req.body.completed !== false;
+      const column = completed ? doneColumn(project) : openColumn(project);
+      if (!column) {
+        return res.status(400).json({
+          message: completed ? "The board has no done column" : "The board has no open column",
+        });
+      }
+
+      const before = snapshot(card);
+      if (String(card.column) !== String(column._id)) {
+        placeCard(project, card, column._id, completed ? 0 : Infinity);
+      }
+      syncCardCompletion(req, project, card);
+      await project.save();
+
+      await logActivity(req, {
+        project,
+        action: completed ? "board.card_complete" : "board.card_reopen",
+        entityType: "boardCard",
+        entityId: card._id,
+        before,
+        after: snapshot(card),
+        fields: ["column", "completedAt"],
+      });
+
+      res.json({ card: describeCard(project, card) });
+    } catch (err) {
+      sendServerError(req, res, err, "Complete board card error");
+    }
+  }
+);
+
+/**
+ * Tick / untick a checklist item (board:edit, or the card's assignee).
+ * Body: { done }
+ */
+app.put(
+  "/api/projects/:projectId/board/cards/:cardId/checklist/:itemId",
+  isAuthenticated,
+  requireProjectPermission("board:view"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+      const card = findBoardCard(req, res);
+      if (!card) return;
+
+      if (!hasProjectPermission(req, "board:edit") && !isCardAssignee(req, card)) {
+        return res.status(403).json({ message: "Only the assignee can update this checklist" });
+      }
+
+      const item = card.checklist.id(req.params.itemId);
+      if (!item) return res.status(404).json({ message: "Checklist item not found" });
+
+      item.done = Boolean(req.body.done);
+      await project.save();
+
+      res.json({ card: describeCard(project, card) });
+    } catch (err) {
+      sendServerError(req, res, err, "Checklist update error");
+    }
+  }
+);
+
+/**
+ * Comment on a card (board:comment, or the card's assignee).
+ * Body: { text }
+ */
+app.post(
+  "/api/projects/:projectId/board/cards/:cardId/comments",
+  isAuthenticated,
+  requireProjectPermission("board:view"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+      const card = findBoardCard(req, res);
+      if (!card) return;
+
+      if (!hasProjectPermission(req, "board:comment") && !isCardAssignee(req, card)) {
+        return res.status(403).json({ message: "You cannot comment on this card" });
+      }
+
+      const text = String(req.body.text || "").trim();
+      if (!text) return res.status(400).json({ message: "Comment text is required" });
+
+      card.comments.push({ author: req.user.id, text });
+      await project.save();
+
+      await logActivity(req, {
+        project,
+        action: "board.comment",
+        entityType: "boardCard",
+        entityId: card._id,
+        changes: [{ field: `comment (${card.title})`, before: null, after: text }],
+      });
+
+      res.status(201).json(await boardResponse(req, project));
+    } catch (err) {
+      sendServerError(req, res, err, "Card comment error");
+    }
+  }
+);
+
+/**
+ * Delete a comment (its author, or board:edit).
+ */
+app.delete(
+  "/api/projects/:projectId/board/cards/:cardId/comments/:commentId",
+  isAuthenticated,
+  requireProjectPermission("board:view"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+      const card = findBoardCard(req, res);
+      if (!card) return;
+
+      const comment = card.comments.id(req.params.commentId);
+      if (!comment) return res.status(404).json({ message: "Comment not found" });
+
+      const isAuthor = String(comment.author) === String(req.user.id);
+      if (!isAuthor && !hasProjectPermission(req, "board:edit")) {
+        return res.status(403).json({ message: "You can only delete your own comments" });
+      }
+
+      comment.deleteOne();
+      await project.save();
+
+      res.json(await boardResponse(req, project));
+    } catch (err) {
+      sendServerError(req, res, err, "Delete card comment error");
+    }
+  }
+);
+
+/**
+ * Cards assigned to the current user across their projects, open ones
+ * first (for the client / contractor dashboard).
+ * Returns [{ ...card, project: { _id, name } }]
+ */
+app.get("/api/board/my-cards", isAuthenticated, async (req, res) => {
+  try {
+    const projects = await ProjectModel.find({
+      boardCards: { $elemMatch: { assigneeType: "user", assignee: req.user.id } },
+    });
+
+    const cards = projects
+      .filter((project) => getProjectRole(project, req.user))
+      .flatMap((project) =>
+        project.boardCards
+          .filter((card) => isCardAssignee(req, card))
+          .map((card) => ({
+            ...describeCard(project, card),
+            comments: undefined,
+            project: { _id: project._id, name: project.name },
+          }))
+      )
+      .sort((a, b) => {
+        if (a.completed !== b.completed) return a.completed ? 1 : -1;
+        if (!a.dueDate || !b.dueDate) return a.dueDate ? -1 : b.dueDate ? 1 : 0;
+        return new Date(a.dueDate) - new Date(b.dueDate);
+      });
+
+    res.json(cards);
+  } catch (err) {
+    console.error("My cards error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/* =========================================================
+ * Appointments (site visits / meetings + iCalendar feed)
+ * ========================================================= */
+
+const APPOINTMENT_LOGGED_FIELDS = [
+  "type",
+  "title",
+  "start",
+  "end",
+  "location",
+  "clients",
+  "workers",
+  "status",
+];
+
+const APPOINTMENT_TYPE_LABELS = {
+  site_visit: "Site visit",
+  client_meeting: "Client meeting",
+  worker_meeting: "Worker meeting",
+  measurement: "Measurement",
+  delivery: "Delivery",
+  other: "Appointment",
+};
+
+/**
+ * Validate + normalize appointment fields from the request body.
+ * current: the appointment being updated (only fields present in the body
+ * are read), or null for a new one.
+ * Attendees must be clients linked to the project / workers of the project.
+ * Returns { data } or { error }.
+ */
+function readAppointment(project, body, current = null) {
+  const partial = Boolean(current);
+  const data = {};
+
+  if (!partial || body.type !== undefined) {
+    const type = body.type || "site_visit";
+    if (!Appointment.APPOINTMENT_TYPES.includes(type)) {
+      return { error: "Invalid appointment type" };
+    }
+    data.type = type;
+  }
+
+  if (!partial || body.status !== undefined) {
+    const status = body.status || "scheduled";
+    if (!Appointment.APPOINTMENT_STATUSES.includes(status)) {
+      return { error: "Invalid appointment status" };
+    }
+    data.status = status;
+  }
+
+  for (const field of ["title", "location", "notes"]) {
+    if (!partial || body[field] !== undefined) data[field] = String(body[field] || "").trim();
+  }
+
+  for (const field of ["start", "end"]) {
+    if (!partial || body[field] !== undefined) {
+      const date = parseOptionalDate(body[field]);
+      if (date === undefined) return { error: `Invalid ${field}` };
+      data[field] = date;
+    }
+  }
+
+  // An appointment without an end lasts one hour
+  const start = data.start !== undefined ? data.start : current?.start;
+  if (!start) return { error: "start is required" };
+  const end = data.end !== undefined ? data.end : current?.end;
+  if (!end) {
+    data.end = new Date(start.getTime() + 60 * 60 * 1000);
+  } else if (end <= start) {
+    return { error: "end must be after start" };
+  }
+
+  if (!partial || body.clients !== undefined) {
+    const ids = Array.isArray(body.clients) ? [...new Set(body.clients.map(String))] : [];
+    const linked = (project.associatedClients || []).map(String);
+    if (ids.some((id) => !linked.includes(id))) {
+      return { error: "Attendees must be clients linked to the project" };
+    }
+    data.clients = ids;
+  }
+
+  if (!partial || body.workers !== undefined) {
+    const ids = Array.isArray(body.workers) ? [...new Set(body.workers.map(String))] : [];
+    if (ids.some((id) => !mongoose.isValidObjectId(id) || !project.workers.id(id))) {
+      return { error: "Worker not found" };
+    }
+    data.workers = ids;
+  }
+
+  return { data };
+}
+
+/**
+ * Mongo filter for the appointments a user sees in their own calendar:
+ * - designer: every appointment of their studio's projects
+ * - client: appointments of their projects they attend
+ * - contractor: appointments of the projects they were added to
+ */
+async function userAppointmentsFilter(user, studio) {
+  if (user.role === "designer") return { studio: studio._id };
+
+  if (user.role === "client") {
+    const projects = await ProjectModel.find({ associatedClients: user.id }).select("_id").lean();
+    return { project: { $in: projects.map((p) => p._id) }, clients: user.id };
+  }
+
+  const projects = await ProjectModel.find({ "collaborators.user": user.id }).select("_id").lean();
+  return { project: { $in: projects.map((p) => p._id) } };
+}
+
+/**
+ * Date range filter from ?from=&to= (both optional).
+ * Returns { filter } or { error }.
+ */
+function readDateRange(query) {
+  const from = parseOptionalDate(query.from);
+  const to = parseOptionalDate(query.to);
+  if (from === undefined || to === undefined) return { error: "Invalid date range" };
+
+  const filter = {};
+  if (from) filter.end = { $gte: from };
+  if (to) filter.start = { $lte: to };
+  return { filter };
+}
+
+/**
+ * Appointments (lean, project populated with name + workers) shaped for
+ * the calendar: attendee names resolved.
+ */
+async function loadAppointments(filter) {
+  const appointments = await Appointment.find(filter)
+    .sort({ start: 1 })
+    .populate("project", "name workers._id workers.workerName")
+    .populate("clients", "username")
+    .lean();
+
+  return appointments.map((a) => {
+    const workers = a.project?.workers || [];
+    return {
+      ...a,
+      project: a.project ? { _id: a.project._id, name: a.project.name } : null,
+      workerNames: a.workers.map(
+        (id) => workers.find((w) => String(w._id) === String(id))?.workerName || "Worker"
+      ),
+    };
+  });
+}
+
+/**
+ * iCalendar document for a list of appointments (from loadAppointments).
+ */
+function appointmentsCalendar(appointments, name) {
+  const host = new URL(process.env.APP_URL || "http://localhost:3000").hostname;
+
+  return buildCalendar(
+    appointments.map((a) => {
+      const label = APPOINTMENT_TYPE_LABELS[a.type] || "Appointment";
+      const attendees = [...a.clients.map((c) => c.username), ...a.workerNames];
+      return {
+        uid: `appointment-${a._id}@${host}`,
+        start: a.start,
+        end: a.end,
+        updatedAt: a.updatedAt,
+        summary: `${a.title || label} – ${a.project?.name || "Project"}`,
+        location: a.location,
+        description: [
+          label,
+          attendees.length ? `Attendees: ${attendees.join(", ")}` : "",
+          a.notes,
+        ]
+          .filter(Boolean)
+          .join("\n"),
+        cancelled: a.status === "cancelled",
+      };
+    }),
+    { name }
+  );
+}
+
+/**
+ * Appointments of a project (appointments:view).
+ * Query: ?from=&to= (optional date range)
+ * Returns { appointments, types, clients, workers, canEdit } - clients /
+ * workers are the possible attendees.
+ */
+app.get(
+  "/api/projects/:id/appointments",
+  isAuthenticated,
+  requireProjectPermission("appointments:view"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const range = readDateRange(req.query);
+      if (range.error) return res.status(400).json({ message: range.error });
+
+      const clients = await User.find({ _id: { $in: project.associatedClients } })
+        .select("username")
+        .lean();
+
+      res.json({
+        appointments: await loadAppointments({ project: project._id, ...range.filter }),
+        types: Appointment.APPOINTMENT_TYPES,
+        clients,
+        workers: hasProjectPermission(req, "workers:view")
+          ? project.workers.map((w) => ({ _id: w._id, workerName: w.workerName, role: w.role }))
+          : [],
+        canEdit: hasProjectPermission(req, "appointments:edit"),
+      });
+    } catch (err) {
+      console.error("Appointments list error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * Schedule an appointment (appointments:edit).
+ * Body: { type, title?, start, end?, location?, clients?: [userId],
+ *         workers?: [workerId], notes? } - end defaults to start + 1 hour.
+ */
+app.post(
+  "/api/projects/:id/appointments",
+  isAuthenticated,
+  requireProjectPermission("appointments:edit"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const { data, error } = readAppointment(project, req.body);
+      if (error) return res.status(400).json({ message: error });
+
+      const appointment = await new Appointment({
+        ...data,
+        project: project._id,
+        studio: project.studio,
+        createdBy: req.user.id,
+      }).save();
+
+      await logActivity(req, {
+        project,
+        action: "appointment.create",
+        entityType: "appointment",
+        entityId: appointment._id,
+        after: snapshot(appointment),
+        fields: APPOINTMENT_LOGGED_FIELDS,
+      });
+
+      res.status(201).json(appointment);
+    } catch (err) {
+      console.error("Create appointment error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * Update, reschedule or cancel an appointment (appointments:edit).
+ * Cancel with { status: "cancelled" } so subscribed calendars see it.
+ */
+app.put(
+  "/api/projects/:projectId/appointments/:appointmentId",
+  isAuthenticated,
+  requireProjectPermission("appointments:edit"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+      const { appointmentId } = req.params;
+
+      const appointment = mongoose.isValidObjectId(appointmentId)
+        ? await Appointment.findOne({ _id: appointmentId, project: project._id })
+        : null;
+      if (!appointment) return res.status(404).json({ message: "Appointment not found" });
+
+      const { data, error } = readAppointment(project, req.body, appointment);
+      if (error) return res.status(400).json({ message: error });
+
+      const before = snapshot(appointment);
+      Object.assign(appointment, data);
+      await appointment.save();
+
+      await logActivity(req, {
+        project,
+        action: data.status === "cancelled" ? "appointment.cancel" : "appointment.update",
+        entityType: "appointment",
+        entityId: appointment._id,
+        before,
+        after: snapshot(appointment),
+        fields: APPOINTMENT_LOGGED_FIELDS,
+      });
+
+      res.json(appointment);
+    } catch (err) {
+      console.error("Update appointment error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * Delete an appointment (appointments:edit).
+ */
+app.delete(
+  "/api/projects/:projectId/appointments/:appointmentId",
+  isAuthenticated,
+  requireProjectPermission("appointments:edit"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+      const { appointmentId } = req.params;
+
+      const appointment = mongoose.isValidObjectId(appointmentId)
+        ? await Appointment.findOne({ _id: appointmentId, project: project._id })
+        : null;
+      if (!appointment) return res.status(404).json({ message: "Appointment not found" });
+
+      const before = snapshot(appointment);
+      await appointment.deleteOne();
+
+      await logActivity(req, {
+        project,
+        action: "appointment.delete",
+        entityType: "appointment",
+        entityId: appointmentId,
+        before,
+        fields: APPOINTMENT_LOGGED_FIELDS,
+      });
+
+      res.json({ message: "Appointment deleted" });
+    } catch (err) {
+      console.error("Delete appointment error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * The current user's appointments across all their projects (calendar view).
+ * Query: ?from=&to= (optional date range)
+ */
+app.get("/api/appointments", isAuthenticated, loadStudio, async (req, res) => {
+  try {
+    const range = readDateRange(req.query);
+    if (range.error) return res.status(400).json({ message: range.error });
+
+    const filter = await userAppointmentsFilter(req.user, req.studio);
+    res.json(await loadAppointments({ ...filter, ...range.filter }));
+  } catch (err) {
+    console.error("My appointments error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * Download the current user's appointments as an .ics file.
+ */
+app.get("/api/calendar/export.ics", isAuthenticated, loadStudio, async (req, res) => {
+  try {
+    const filter = await userAppointmentsFilter(req.user, req.studio);
+    const appointments = await loadAppointments(filter);
+
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Content-Disposition", 'attachment; filename="appointments.ics"');
+    res.send(appointmentsCalendar(appointments, "Appointments"));
+  } catch (err) {
+    console.error("Calendar export error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * Create (or replace) the personal calendar feed link.
+ * The previous link stops working. Returns { url } - shown only once.
+ */
+app.post("/api/calendar/feed", isAuthenticated, async (req, res) => {
+  try {
+    const raw = crypto.randomBytes(32).toString("hex");
+    await User.updateOne({ _id: req.user.id }, { $set: { calendarFeedTokenHash: hashToken(raw) } });
+
+    const appUrl = process.env.APP_URL || "http://localhost:3000";
+    res.status(201).json({ url: `${appUrl}/api/calendar/feed/${raw}.ics` });
+  } catch (err) {
+    console.error("Calendar feed link error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * Turn the personal calendar feed off.
+ */
+app.delete("/api/calendar/feed", isAuthenticated, async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user.id }, { $unset: { calendarFeedTokenHash: "" } });
+    res.json({ message: "Calendar feed disabled" });
+  } catch (err) {
+    console.error("Disable calendar feed error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * Personal calendar feed for calendar apps (no login - the secret token in
+ * the URL identifies the user). Designers without a studio get an empty feed.
+ */
+app.get("/api/calendar/feed/:token.ics", async (req, res) => {
+  try {
+    const user = await User.findOne({ calendarFeedTokenHash: hashToken(req.params.token) })
+      .select("username role")
+      .lean();
+    if (!user) return res.status(404).json({ message: "Calendar feed not found" });
+
+    // Read-only lookup: a calendar app polling the feed never creates a studio
+    const account = { id: user._id, role: user.role };
+    const studio =
+      user.role === "designer" ? await Studio.findOne({ "members.user": user._id }).lean() : null;
+    const appointments =
+      user.role === "designer" && !studio
+        ? []
+        : await loadAppointments(await userAppointmentsFilter(account, studio));
+
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.send(appointmentsCalendar(appointments, `${user.username} – Appointments`));
+  } catch (err) {
+    console.error("Calendar feed error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/* =========================================================
+ * Messages (project conversation threads)
+ * ========================================================= */
+
+const MAX_MESSAGE_LENGTH = 5000;
+const MAX_MESSAGE_ATTACHMENTS = 10;
+
+function questionLabel(instance, question) {
+  return `${instance.title || "Questionnaire"}: ${question.text || "Question"}`;
+}
+
+/**
+ * What a thread of this project can be about (for the "new thread" form):
+ * - rooms: project rooms + color selection rooms + questionnaire room types
+ * - questions: questionnaire questions (questionnaires:view)
+ * - colors: rooms with a color selection (colors:view)
+ */
+function messageAnchors(req) {
+  const { project } = req;
+  const unique = (names) =>
+    [...new Set(names.map((name) => String(name || "").trim()))].filter(Boolean);
+
+  return {
+    rooms: unique([
+      ...project.rooms.map((room) => room.name),
+      ...project.colorSelections.map((c) => c.roomName),
+      ...project.designQuestionnaires.map((q) => q.roomType),
+    ]),
+    questions: hasProjectPermission(req, "questionnaires:view")
+      ? project.designQuestionnaires.flatMap((instance) =>
+          instance.questions.map((question) => ({
+            questionnaire: instance._id,
+            question: question._id,
+            sourceQuestion: question.sourceQuestionId || null,
+            label: questionLabel(instance, question),
+          }))
+        )
+      : [],
+    colors: hasProjectPermission(req, "colors:view")
+      ? unique(project.colorSelections.map((c) => c.roomName))
+      : [],
+  };
+}
+
+/**
+ * Validate the topic of a new thread against the project.
+ * anchor: { kind: "project" | "room" | "question" | "option" | "color",
+ *           roomName?, questionnaire?, question?, option? }
+ * Returns { data } (with the label + template source ids filled in) or { error }.
+ */
+function readThreadAnchor(req, anchor) {
+  const input = anchor && typeof anchor === "object" ? anchor : {};
+  const kind = input.kind || "project";
+  if (!MessageThread.THREAD_ANCHOR_KINDS.includes(kind)) {
+    return { error: "Invalid thread topic" };
+  }
+  if (kind === "project") return { data: { kind } };
+
+  const options = messageAnchors(req);
+
+  if (kind === "question" || kind === "option") {
+    const match = options.questions.find(
+      (q) =>
+        String(q.questionnaire) === String(input.questionnaire) &&
+        String(q.question) === String(input.question)
+    );
+    if (!match) return { error: "Question not found" };
+    if (kind === "question") return { data: { kind, ...match } };
+
+    const question = req.project.designQuestionnaires
+      .id(match.questionnaire)
+      .questions.id(match.question);
+    const option = mongoose.isValidObjectId(input.option)
+      ? question.options.id(input.option)
+      : null;
+    if (!option) return { error: "Option not found" };
+
+    return {
+      data: {
+        kind,
+        ...match,
+        option: option._id,
+        sourceOption: option.sourceOptionId || null,
+        label: `${match.label} – ${option.text || "Option"}`,
+      },
+    };
+  }
+
+  const roomName = String(input.roomName || "").trim();
+  if (!(kind === "room" ? options.rooms : options.colors).includes(roomName)) {
+    return { error: "Room not found" };
+  }
+  return {
+    data: {
+      kind,
+      roomName,
+      roomId: anchorRoomId(req.project, roomName),
+      label: kind === "room" ? roomName : `Colors – ${roomName}`,
+    },
+  };
+}
+
+/**
+ * Project room a room / color thread is about: the room with this name, or
+ * the room a color selection with this name is linked to. null for names
+ * that are not a room (e.g. a questionnaire room type).
+ */
+function anchorRoomId(project, roomName) {
+  const name = roomName.toLowerCase();
+  const room = project.rooms.find((r) => r.name.toLowerCase() === name);
+  if (room) return room._id;
+  const selection = project.colorSelections.find(
+    (sel) => sel.roomId && String(sel.roomName || "").toLowerCase() === name
+  );
+  return selection ? selection.roomId : null;
+}
+
+/**
+ * Validate + normalize a message from the request body.
+ * Body: { text?, attachments?: [{ url, name? }] } - attachments are image
+ * URLs returned by /upload-image (other links are rejected). A message needs
+ * text or an attachment.
+ * Returns { data } or { error }.
+ */
+function readMessage(body) {
+  const text = String(body.text || "").trim();
+  if (text.length > MAX_MESSAGE_LENGTH) {
+    return { error: `Messages can be up to ${MAX_MESSAGE_LENGTH} characters` };
+  }
+
+  const list = Array.isArray(body.attachments) ? body.attachments : [];
+  if (list.length > MAX_MESSAGE_ATTACHMENTS) {
+    return { error: `Up to ${MAX_MESSAGE_ATTACHMENTS} images per message` };
+  }
+
+  const attachments = [];
+  for (const item of list) {
+    const url = String(item?.url || "").trim();
+    if (!isStoredFileUrl(url)) return { error: "Invalid attachment" };
+    attachments.push({ url, name: String(item.name || "").trim() });
+  }
+
+  if (!text && attachments.length === 0) {
+    return { error: "Write a message or attach an image" };
+  }
+  return { data: { text, attachments } };
+}
+
+function isReadBy(message, userId) {
+  return message.readBy.some((receipt) => String(receipt.user) === String(userId));
+}
+
+/**
+ * Does a thread anchor point at this question / option? Matches the project
+ * _id, or the template id it came from (ids change when a template is
+ * re-applied, the source id does not).
+ */
+function anchorTargets(anchorId, anchorSourceId, item, itemSourceId) {
+  if (String(anchorId) === String(item._id)) return true;
+  return Boolean(anchorSourceId && itemSourceId && String(anchorSourceId) === String(itemSourceId));
+}
+
+/**
+ * Page a thread opens from a notification: question / option comments are
+ * shown on the questionnaire page, everything else under Messages.
+ */
+function threadLink(project, thread) {
+  if (["question", "option"].includes(thread.anchor.kind)) {
+    return `/project/${project._id}/questionnaire`;
+  }
+  return `/project/${project._id}/messages?thread=${thread._id}`;
+}
+
+/**
+ * Thread of the project by id (null if the id is invalid / not found).
+ */
+async function findProjectThread(project, threadId) {
+  if (!mongoose.isValidObjectId(threadId)) return null;
+  return MessageThread.findOne({ _id: threadId, project: project._id });
+}
+
+/**
+ * Thread for the conversation view: author and reader names resolved,
+ * mine: the message was written by userId (the caller), unread: userId
+ * has not read it yet.
+ */
+async function serializeThread(thread, userId) {
+  const plain = typeof thread.toObject === "function" ? thread.toObject() : thread;
+
+  const userIds = new Set();
+  for (const message of plain.messages) {
+    userIds.add(String(message.author));
+    for (const receipt of message.readBy) userIds.add(String(receipt.user));
+  }
+  const users = await User.find({ _id: { $in: [...userIds] } }).select("username").lean();
+  const names = new Map(users.map((u) => [String(u._id), u.username]));
+
+  return {
+    ...plain,
+    messages: plain.messages.map((message) => ({
+      ...message,
+      authorName: names.get(String(message.author)) || "",
+      mine: String(message.author) === String(userId),
+      unread: !isReadBy(message, userId),
+      readBy: message.readBy.map((receipt) => ({
+        ...receipt,
+        username: names.get(String(receipt.user)) || "",
+      })),
+    })),
+  };
+}
+
+/**
+ * Messages of a project: thread list (newest conversation first) with the
+ * caller's unread counts (messages:view).
+ * Returns { threads, unreadCount, anchors, canSend } - anchors are the
+ * possible topics of a new thread (see messageAnchors).
+ */
+app.get(
+  "/api/projects/:id/threads",
+  isAuthenticated,
+  requireProjectPermission("messages:view"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+      const threads = await MessageThread.find({ project: project._id })
+        .sort({ lastMessageAt: -1 })
+        .lean();
+
+      const lastAuthors = threads.map((t) => t.messages[t.messages.length - 1]?.author);
+      const authors = await User.find({ _id: { $in: lastAuthors.filter(Boolean) } })
+        .select("username")
+        .lean();
+      const names = new Map(authors.map((u) => [String(u._id), u.username]));
+
+      const summaries = threads.map((thread) => {
+        const last = thread.messages[thread.messages.length - 1] || null;
+        return {
+          _id: thread._id,
+          subject: thread.subject,
+          anchor: thread.anchor,
+          createdAt: thread.createdAt,
+          lastMessageAt: thread.lastMessageAt,
+          messageCount: thread.messages.length,
+          unreadCount: thread.messages.filter((m) => !isReadBy(m, req.user.id)).length,
+          lastMessage: last && {
+            authorName: names.get(String(last.author)) || "",
+            text: last.text,
+            attachmentCount: last.attachments.length,
+            createdAt: last.createdAt,
+          },
+        };
+      });
+
+      res.json({
+        threads: summaries,
+        unreadCount: summaries.reduce((sum, t) => sum + t.unreadCount, 0),
+        anchors: messageAnchors(req),
+        canSend: hasProjectPermission(req, "messages:send"),
+      });
+    } catch (err) {
+      console.error("Message threads error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * Start a thread with its first message (messages:send).
+ * Body: { subject?, anchor?: { kind, roomName?, questionnaire?, question? },
+ *         text?, attachments? } - subject defaults to the anchor label.
+ */
+app.post(
+  "/api/projects/:id/threads",
+  isAuthenticated,
+  requireProjectPermission("messages:send"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const anchor = readThreadAnchor(req, req.body.anchor);
+      if (anchor.error) return res.status(400).json({ message: anchor.error });
+
+      const subject = String(req.body.subject || "").trim() || anchor.data.label || "";
+      if (!subject) return res.status(400).json({ message: "Subject is required" });
+
+      const { data, error } = readMessage(req.body);
+      if (error) return res.status(400).json({ message: error });
+
+      const thread = await new MessageThread({
+        project: project._id,
+        studio: project.studio,
+        subject,
+        anchor: anchor.data,
+        messages: [{ ...data, author: req.user.id, readBy: [{ user: req.user.id }] }],
+        createdBy: req.user.id,
+      }).save();
+
+      await logActivity(req, {
+        project,
+        action: "message.thread_create",
+        entityType: "thread",
+        entityId: thread._id,
+        changes: [{ field: "thread", before: null, after: subject }],
+      });
+
+      await notify(req, {
+        recipients: await projectTeamWith(project, "messages:view"),
+        type: "message.new",
+        project,
+        message: `started the conversation "${subject}"`,
+        link: threadLink(project, thread),
+      });
+
+      res.status(201).json(await serializeThread(thread, req.user.id));
+    } catch (err) {
+      console.error("Create message thread error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * One thread with all its messages and read receipts (messages:view).
+ * Reading it does not mark it read - see POST .../read.
+ */
+app.get(
+  "/api/projects/:projectId/threads/:threadId",
+  isAuthenticated,
+  requireProjectPermission("messages:view"),
+  async (req, res) => {
+    try {
+      const thread = await findProjectThread(req.project, req.params.threadId);
+      if (!thread) return res.status(404).json({ message: "Thread not found" });
+
+      res.json(await serializeThread(thread, req.user.id));
+    } catch (err) {
+      console.error("Message thread error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * Reply in a thread (messages:send).
+ * Body: { text?, attachments?: [{ url, name? }] }
+ */
+app.post(
+  "/api/projects/:projectId/threads/:threadId/messages",
+  isAuthenticated,
+  requireProjectPermission("messages:send"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const thread = await findProjectThread(project, req.params.threadId);
+      if (!thread) return res.status(404).json({ message: "Thread not found" });
+
+      const { data, error } = readMessage(req.body);
+      if (error) return res.status(400).json({ message: error });
+
+      const now = new Date();
+      thread.messages.push({
+        ...data,
+        author: req.user.id,
+        readBy: [{ user: req.user.id, readAt: now }],
+        createdAt: now,
+      });
+      thread.lastMessageAt = now;
+      await thread.save();
+
+      const images = data.attachments.length;
+      await logActivity(req, {
+        project,
+        action: "message.send",
+        entityType: "thread",
+        entityId: thread._id,
+        changes: [
+          {
+            field: `message (${thread.subject})`,
+            before: null,
+            after: data.text || `${images} image${images === 1 ? "" : "s"}`,
+          },
+        ],
+      });
+
+      await notify(req, {
+        recipients: await projectTeamWith(project, "messages:view"),
+        type: "message.new",
+        project,
+        message: `wrote in "${thread.subject}"`,
+        link: threadLink(project, thread),
+      });
+
+      res.status(201).json(await serializeThread(thread, req.user.id));
+    } catch (err) {
+      console.error("Send message error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * Comments of a questionnaire (messages:view): the threads about one of its
+ * questions or options, oldest first, shown next to each question.
+ * Each thread gets questionKey / optionKey - the stable keys the
+ * questionnaire page uses (sourceQuestionId / sourceOptionId, else _id).
+ * Returns { comments, canComment }.
+ */
+app.get(
+  "/api/projects/:projectId/questionnaires/:instanceId/comments",
+  isAuthenticated,
+  requireProjectPermission("messages:view"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+      const { instanceId } = req.params;
+
+      const instance = mongoose.isValidObjectId(instanceId)
+        ? project.designQuestionnaires.id(instanceId)
+        : null;
+      if (!instance) return res.status(404).json({ message: "Questionnaire not found" });
+
+      const threads = await MessageThread.find({
+        project: project._id,
+        "anchor.kind": { $in: ["question", "option"] },
+      }).sort({ createdAt: 1 });
+
+      const matched = [];
+      for (const thread of threads) {
+        const { anchor } = thread;
+        const question = instance.questions.find((q) =>
+          anchorTargets(anchor.question, anchor.sourceQuestion, q, q.sourceQuestionId)
+        );
+        if (!question) continue;
+
+        // Comments on an option that was removed stay with the question
+        const option =
+          anchor.kind === "option"
+            ? question.options.find((o) =>
+                anchorTargets(anchor.option, anchor.sourceOption, o, o.sourceOptionId)
+              )
+            : null;
+
+        matched.push({
+          thread,
+          questionKey: String(question.sourceQuestionId || question._id),
+          optionKey: option ? String(option.sourceOptionId || option._id) : "",
+        });
+      }
+
+      const comments = await Promise.all(
+        matched.map(async ({ thread, questionKey, optionKey }) => ({
+          ...(await serializeThread(thread, req.user.id)),
+          questionKey,
+          optionKey,
+        }))
+      );
+
+      res.json({ comments, canComment: hasProjectPermission(req, "messages:send") });
+    } catch (err) {
+      console.error("Questionnaire comments error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * Mark every message of a thread read by the caller (read receipts).
+ * People viewing the thread see the receipt live (area "messages").
+ */
+app.post(
+  "/api/projects/:projectId/threads/:threadId/read",
+  isAuthenticated,
+  requireProjectPermission("messages:view"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+      const { threadId } = req.params;
+
+      if (!mongoose.isValidObjectId(threadId)) {
+        return res.status(404).json({ message: "Thread not found" });
+      }
+
+      // Atomic, so a reply saved at the same moment is not overwritten
+      const now = new Date();
+      const reader = new mongoose.Types.ObjectId(String(req.user.id));
+      const result = await MessageThread.updateOne(
+        { _id: threadId, project: project._id },
+        { $push: { "messages.$[unread].readBy": { user: reader, readAt: now } } },
+        { arrayFilters: [{ "unread.readBy.user": { $ne: reader } }] }
+      );
+      if (result.matchedCount === 0) return res.status(404).json({ message: "Thread not found" });
+
+      if (result.modifiedCount > 0) {
+        const user = await User.findById(req.user.id).select("username").lean();
+        realtime.publish(
+          project._id,
+          {
+            area: "messages",
+            action: "message.read",
+            entityId: threadId,
+            actor: String(req.user.id),
+            actorName: user?.username || "",
+            at: now,
+          },
+          "messages:view"
+        );
+      }
+
+      res.json({ message: "Thread marked read" });
+    } catch (err) {
+      console.error("Mark thread read error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/* =========================================================
+ * Approvals (client sign-off on design decisions)
+ * ========================================================= */
+
+const QUOTE_FIELDS = ["storeName", "supplierName", "product", "price", "currency", "vatIncluded"];
+
+function supplierLabel(supplier) {
+  return [supplier.storeName || supplier.supplierName, supplier.product]
+    .filter(Boolean)
+    .join(" – ");
+}
+
+/**
+ * Colors / plan are approved as a whole, supplier quotes per supplier.
+ */
+function approvalItemFilter(kind, itemId) {
+  return kind === "supplier_quote" ? { kind, itemId } : { kind };
+}
+
+/**
+ * Build a new approval for the current state of an item.
+ * Plan approvals point at a plan revision (recorded if the current text has
+ * none yet). Returns { itemId, title, snapshot } or { error }.
+ */
+async function readApprovalItem(req, kind, supplierId) {
+  const { project } = req;
+  const content = approvalContent(project, kind, supplierId);
+
+  if (kind === "colors") {
+    if (content.colorSelections.length === 0) {
+      return { error: "Add color selections before submitting them" };
+    }
+    return { itemId: "", title: "Colors & materials", snapshot: content };
+  }
+
+  if (kind === "plan") {
+    if (!content.designPlan && !content.notes) return { error: "The design plan is empty" };
+
+    let revision = await PlanRevision.findOne({ project: project._id }).sort({ number: -1 }).lean();
+    const changed =
+      !revision || revision.designPlan !== content.designPlan || revision.notes !== content.notes;
+    if (changed) {
+      revision = await recordPlanRevision(project, req.user.id);
+    }
+    return {
+      itemId: String(revision.number),
+      title: `Design plan – version ${revision.number}`,
+      snapshot: { ...content, revision: revision.number },
+    };
+  }
+
+  if (!content) return { error: "Supplier not found" };
+  const supplier = project.suppliers.id(supplierId);
+  return {
+    itemId: String(supplier._id),
+    title: `Quote – ${supplierLabel(supplier) || "Supplier"}`,
+    snapshot: content,
+  };
+}
+
+/**
+ * The approved (locked) item an edit would change, or null
+ * (see utils/approvals.brokenLock for `next`).
+ */
+async function findBrokenLock(project, next) {
+  const locks = await Approval.find({
+    project: project._id,
+    status: "approved",
+    unlockedAt: null,
+  }).lean();
+  return brokenLock(project, locks, next);
+}
+
+/**
+ * Locked supplier quote of a supplier (or null).
+ */
+function findSupplierLock(project, supplierId) {
+  return Approval.findOne({
+    project: project._id,
+    kind: "supplier_quote",
+    itemId: String(supplierId),
+    status: "approved",
+    unlockedAt: null,
+  }).lean();
+}
+
+/**
+ * 423 answer for an edit of an approved (locked) item.
+ */
+function sendLocked(res, lock) {
+  const date = new Date(lock.decidedAt).toISOString().slice(0, 10);
+  return res.status(423).json({
+    message:
+      `"${lock.title}" was approved by the client on ${date} and is locked. ` +
+      "Reopen it under Approvals to change it.",
+    approval: lock._id,
+  });
+}
+
+/**
+ * Approval with submitter / decider names (for responses).
+ */
+function populateApproval(query) {
+  return query.populate("submittedBy decidedBy unlockedBy", "username");
+}
+
+/**
+ * Approval of the project by id (null if the id is invalid / not found).
+ */
+async function findProjectApproval(project, approvalId) {
+  if (!mongoose.isValidObjectId(approvalId)) return null;
+  return Approval.findOne({ _id: approvalId, project: project._id });
+}
+
+/**
+ * Approvals of a project, newest first (decisions:view).
+ * Each approval gets outdated (pending, but the item changed since it was
+ * submitted) and locked (approved, not reopened).
+ * Returns { approvals, suppliers, approvers, canSubmit, canDecide } -
+ * suppliers are the quotes that can be submitted, approvers the names of
+ * the team members who decide.
+ */
+app.get(
+  "/api/projects/:id/approvals",
+  isAuthenticated,
+  requireProjectPermission("decisions:view"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const approvals = await populateApproval(
+        Approval.find({ project: project._id }).sort({ createdAt: -1 })
+      ).lean();
+      const team = await buildProjectTeam(project);
+
+      res.json({
+        approvals: approvals.map((approval) => ({
+          ...approval,
+          outdated: approval.status === "pending" && approvalOutdated(project, approval),
+          locked: isApprovalLocked(approval),
+        })),
+        suppliers: hasProjectPermission(req, "suppliers:view")
+          ? project.suppliers.map((s) => ({ _id: s._id, label: supplierLabel(s) || "Supplier" }))
+          : [],
+        approvers: team
+          .filter((member) => getRolePermissions(member.role).includes("decisions:approve"))
+          .map((member) => member.user.username),
+        canSubmit: hasProjectPermission(req, "decisions:submit"),
+        canDecide: hasProjectPermission(req, "decisions:approve"),
+      });
+    } catch (err) {
+      console.error("Approvals list error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * Submit a design decision for the client's approval (decisions:submit).
+ * Body: { kind: "colors" | "plan" | "supplier_quote", supplier?: supplierId,
+ *         note? } - the current colors / plan / quote are copied.
+ * One open (pending or approved + locked) approval per item.
+ */
+app.post(
+  "/api/projects/:id/approvals",
+  isAuthenticated,
+  requireProjectPermission("decisions:submit"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+      const { kind } = req.body;
+
+      if (!Approval.APPROVAL_KINDS.includes(kind)) {
+        return res.status(400).json({ message: "Invalid approval type" });
+      }
+
+      const item = await readApprovalItem(req, kind, req.body.supplier);
+      if (item.error) return res.status(400).json({ message: item.error });
+
+      const open = await Approval.findOne({
+        project: project._id,
+        ...approvalItemFilter(kind, item.itemId),
+        $or: [{ status: "pending" }, { status: "approved", unlockedAt: null }],
+      }).lean();
+      if (open) {
+        return res.status(409).json({
+          message:
+            open.status === "pending"
+              ? `"${open.title}" is already waiting for approval`
+              : `"${open.title}" is already approved - reopen it first`,
+        });
+      }
+
+      const approval = await new Approval({
+        project: project._id,
+        studio: project.studio,
+        kind,
+        itemId: item.itemId,
+        title: item.title,
+        snapshot: item.snapshot,
+        note: String(req.body.note || "").trim(),
+        submittedBy: req.user.id,
+      }).save();
+
+      await logActivity(req, {
+        project,
+        action: "approval.submit",
+        entityType: "approval",
+        entityId: approval._id,
+        changes: [{ field: "approval", before: null, after: approval.title }],
+      });
+
+      await notify(req, {
+        recipients: await projectTeamWith(project, "decisions:approve"),
+        type: "approval.requested",
+        project,
+        message: `asked you to approve "${approval.title}"`,
+        link: `/project/${project._id}/approvals`,
+      });
+
+      res.status(201).json(await populateApproval(Approval.findById(approval._id)));
+    } catch (err) {
+      console.error("Submit approval error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * Approve or reject a pending approval (decisions:approve).
+ * Body: { decision: "approved" | "rejected", comment? } - rejecting needs a
+ * comment. Items changed since they were submitted cannot be approved.
+ * Approved items are locked until a designer reopens them.
+ */
+app.post(
+  "/api/projects/:projectId/approvals/:approvalId/decision",
+  isAuthenticated,
+  requireProjectPermission("decisions:approve"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+      const { decision } = req.body;
+      const comment = String(req.body.comment || "").trim();
+
+      const approval = await findProjectApproval(project, req.params.approvalId);
+      if (!approval) return res.status(404).json({ message: "Approval not found" });
+
+      if (!["approved", "rejected"].includes(decision)) {
+        return res.status(400).json({ message: "Invalid decision" });
+      }
+      if (approval.status !== "pending") {
+        return res.status(409).json({ message: `This approval is already ${approval.status}` });
+      }
+      if (decision === "rejected" && !comment) {
+        return res.status(400).json({ message: "Please add a comment explaining the rejection" });
+      }
+      if (decision === "approved" && approvalOutdated(project, approval)) {
+        return res.status(409).json({
+          message: `"${approval.title}" changed after it was submitted - ask for a new submission`,
+        });
+      }
+
+      approval.status = decision;
+      approval.decidedBy = req.user.id;
+      approval.decidedAt = new Date();
+      approval.comment = comment;
+      await approval.save();
+
+      await logActivity(req, {
+        project,
+        action: decision === "approved" ? "approval.approve" : "approval.reject",
+        entityType: "approval",
+        entityId: approval._id,
+        changes: [
+          { field: approval.title, before: "pending", after: decision },
+          ...(comment ? [{ field: "comment", before: null, after: comment }] : []),
+        ],
+      });
+
+      await notify(req, {
+        recipients: await projectTeamWith(project, "decisions:submit"),
+        type: `approval.${decision}`,
+        project,
+        message: `${decision === "approved" ? "approved" : "rejected"} "${approval.title}"`,
+        link: `/project/${project._id}/approvals`,
+      });
+
+      res.json(await populateApproval(Approval.findById(approval._id)));
+    } catch (err) {
+      console.error("Approval decision error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * Withdraw a pending approval (decisions:submit).
+ */
+app.post(
+  "/api/projects/:projectId/approvals/:approvalId/withdraw",
+  isAuthenticated,
+  requireProjectPermission("decisions:submit"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const approval = await findProjectApproval(project, req.params.approvalId);
+      if (!approval) return res.status(404).json({ message: "Approval not found" });
+      if (approval.status !== "pending") {
+        return res.status(409).json({ message: `This approval is already ${approval.status}` });
+      }
+
+      approval.status = "withdrawn";
+      approval.decidedBy = req.user.id;
+      approval.decidedAt = new Date();
+      await approval.save();
+
+      await logActivity(req, {
+        project,
+        action: "approval.withdraw",
+        entityType: "approval",
+        entityId: approval._id,
+        changes: [{ field: approval.title, before: "pending", after: "withdrawn" }],
+      });
 
-      await project.save();
-      res.json(worker);
+      res.json(await populateApproval(Approval.findById(approval._id)));
     } catch (err) {
-      console.error("Update worker error:", err);
+      console.error("Withdraw approval error:", err);
       res.status(500).json({ message: "Server error" });
     }
   }
 );
 
 /**
- * Delete worker from project (designer only).
+ * Reopen an approved item for changes (decisions:submit).
+ * Body: { reason? }. The approval stays approved (with its date); only the
+ * lock is lifted - changes need a new approval.
  */
-app.delete(
-  "/api/projects/:projectId/workers/:workerId",
+app.post(
+  "/api/projects/:projectId/approvals/:approvalId/reopen",
   isAuthenticated,
-  isDesigner,
+  requireProjectPermission("decisions:submit"),
   async (req, res) => {
     try {
-      const { projectId, workerId } = req.params;
+      const { project } = req;
 
-      const project = await ProjectModel.findById(projectId);
-      if (!project) return res.status(404).json({ message: "Project not found" });
+      const approval = await findProjectApproval(project, req.params.approvalId);
+      if (!approval) return res.status(404).json({ message: "Approval not found" });
+      if (!isApprovalLocked(approval)) {
+        return res.status(409).json({ message: "Only approved, locked items can be reopened" });
+      }
 
-      const worker = project.workers.id(workerId);
-      if (!worker) return res.status(404).json({ message: "Worker not found" });
+      approval.unlockedBy = req.user.id;
+      approval.unlockedAt = new Date();
+      approval.unlockReason = String(req.body.reason || "").trim();
+      await approval.save();
+
+      await logActivity(req, {
+        project,
+        action: "approval.reopen",
+        entityType: "approval",
+        entityId: approval._id,
+        changes: [
+          { field: approval.title, before: "locked", after: "reopened" },
+          ...(approval.unlockReason
+            ? [{ field: "reason", before: null, after: approval.unlockReason }]
+            : []),
+        ],
+      });
 
-      worker.deleteOne();
-      await project.save();
+      await notify(req, {
+        recipients: await projectTeamWith(project, "decisions:approve"),
+        type: "approval.reopened",
+        project,
+        message: `reopened "${approval.title}" for changes`,
+        link: `/project/${project._id}/approvals`,
+      });
 
-      res.json({ message: "Worker deleted successfully" });
+      res.json(await populateApproval(Approval.findById(approval._id)));
     } catch (err) {
-      console.error("Delete worker error:", err);
+      console.error("Reopen approval error:", err);
       res.status(500).json({ message: "Server error" });
     }
   }
 );
 
-/* =========================================================
- * Suppliers API (per project)
- * ========================================================= */
-
 /**
- * List suppliers for a project.
+ * Pending approvals across the caller's projects (client dashboard).
+ * Returns [{ ...approval, project: { _id, name }, outdated, canDecide }]
  */
-app.get("/api/projects/:id/suppliers", isAuthenticated, async (req, res) => {
+app.get("/api/approvals/pending", isAuthenticated, loadStudio, async (req, res) => {
   try {
-    const project = await ProjectModel.findById(req.params.id).lean();
-    if (!project) return res.status(404).json({ message: "Project not found" });
+    const { id, role } = req.user;
+    const projects = await ProjectModel.find(
+      role === "designer"
+        ? { $or: [{ studio: req.studio._id }, { createdBy: id }] }
+        : { $or: [{ associatedClients: id }, { "collaborators.user": id }] }
+    )
+      .select(
+        "name studio createdBy associatedClients collaborators colorSelections designPlan " +
+          "notes suppliers"
+      )
+      .lean();
+
+    const byId = new Map();
+    for (const project of projects) {
+      const permissions = getRolePermissions(getProjectRole(project, req.user, req.studio));
+      if (permissions.includes("decisions:view")) {
+        byId.set(String(project._id), { project, permissions });
+      }
+    }
 
-    res.json(project.suppliers || []);
+    const approvals = await populateApproval(
+      Approval.find({ project: { $in: [...byId.keys()] }, status: "pending" }).sort({
+        createdAt: -1,
+      })
+    ).lean();
+
+    res.json(
+      approvals.map((approval) => {
+        const { project, permissions } = byId.get(String(approval.project));
+        return {
+          ...approval,
+          project: { _id: project._id, name: project.name },
+          outdated: approvalOutdated(project, approval),
+          canDecide: permissions.includes("decisions:approve"),
+        };
+      })
+    );
   } catch (err) {
-    console.error("Suppliers list error:", err);
+    console.error("Pending approvals error:", err);
     res.status(500).json({ message: "Server error" });
   }
 });
 
+/* =========================================================
+ * Live updates (project pages refresh when someone else saves)
+ * ========================================================= */
+
+// Activity action prefix -> area broadcast to viewers with "<area>:view"
+const LIVE_AREAS = {
+  worker: "workers",
+  workers: "workers",
+  supplier: "suppliers",
+  suppliers: "suppliers",
+  plan: "plan",
+  colors: "colors",
+  questionnaire: "questionnaires",
+  message: "messages",
+  approval: "decisions",
+  room: "rooms",
+  moodboard: "moodboards",
+  document: "documents",
+};
+
+activityEvents.on("logged", async (entry) => {
+  try {
+    const area = LIVE_AREAS[entry.action.split(".")[0]];
+    if (!area) return;
+
+    const actor = await User.findById(entry.actor).select("username").lean();
+    realtime.publish(
+      entry.project,
+      {
+        area,
+        action: entry.action,
+        entityId: entry.entityId,
+        actor: String(entry.actor),
+        actorName: actor?.username || "",
+        at: entry.createdAt,
+      },
+      `${area}:view`
+    );
+  } catch (err) {
+    console.error("Live update error:", err);
+  }
+});
+
+/**
+ * Event stream of a project (text/event-stream).
+ * Sends "change" events { area, action, entityId, actor, actorName, at, self }
+ * for rooms, workers, suppliers, plan, colors, questionnaires, messages,
+ * decisions (approvals), mood boards and documents - only the areas the caller's
+ * project role can view. Uses the normal Authorization header.
+ */
+app.get(
+  "/api/projects/:id/events",
+  isAuthenticated,
+  requireProjectPermission("project:view"),
+  (req, res) => {
+    realtime.subscribe(req, res, {
+      projectId: req.project._id,
+      userId: req.user.id,
+      permissions: req.projectPermissions,
+    });
+  }
+);
+
+/* =========================================================
+ * Notifications (in-app notifications center)
+ * ========================================================= */
+
 /**
- * Add supplier to project (designer only).
+ * Current user's notifications, newest first, plus the unread count
+ * (for the badge).
+ * Query: ?unread=true (only unread), ?limit=N (default 30, max 100)
  */
-app.post("/api/projects/:id/suppliers", isAuthenticated, isDesigner, async (req, res) => {
+app.get("/api/notifications", isAuthenticated, async (req, res) => {
   try {
-    const project = await ProjectModel.findById(req.params.id);
-    if (!project) return res.status(404).json({ message: "Project not found" });
+    const filter = { recipient: req.user.id };
+    if (req.query.unread === "true") filter.readAt = null;
 
-    let { storeName, supplierName, product, price, contactName, phone } = req.body;
-    price = isNaN(parseFloat(price)) ? 0 : parseFloat(price);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 30, 1), 100);
 
-    project.suppliers.push({
-      storeName,
-      supplierName,
-      product,
-      price,
-      contactName,
-      phone,
-    });
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(filter).sort({ createdAt: -1 }).limit(limit).lean(),
+      Notification.countDocuments({ recipient: req.user.id, readAt: null }),
+    ]);
 
-    await project.save();
-    res.status(201).json(project.suppliers[project.suppliers.length - 1]);
+    res.json({ notifications, unreadCount });
   } catch (err) {
-    console.error("Add supplier error:", err);
+    console.error("Notifications list error:", err);
     res.status(500).json({ message: "Server error" });
   }
 });
 
+function emailPreferences(user) {
+  return {
+    email: user.email || "",
+    mode: user.emailNotifications?.mode || "instant",
+    mutedTypes: user.emailNotifications?.mutedTypes || [],
+    modes: User.EMAIL_MODES,
+    types: Notification.NOTIFICATION_TYPES,
+  };
+}
+
 /**
- * Update supplier inside project (designer only).
+ * Email settings of the current user:
+ * { email, mode, mutedTypes, modes, types }
  */
-app.put(
-  "/api/projects/:projectId/suppliers/:supplierId",
-  isAuthenticated,
-  isDesigner,
-  async (req, res) => {
-    try {
-      const { projectId, supplierId } = req.params;
-      let { storeName, supplierName, product, price, contactName, phone } = req.body;
+app.get("/api/notifications/preferences", isAuthenticated, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("email emailNotifications").lean();
+    if (!user) return res.status(404).json({ message: "User not found" });
 
-      const project = await ProjectModel.findById(projectId);
-      if (!project) return res.status(404).json({ message: "Project not found" });
+    res.json(emailPreferences(user));
+  } catch (err) {
+    console.error("Notification preferences error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
 
-      const supplier = project.suppliers.id(supplierId);
-      if (!supplier) return res.status(404).json({ message: "Supplier not found" });
+/**
+ * Update email settings.
+ * Body: { mode?: instant | digest | off, mutedTypes?: [type] }
+ * The address itself is changed with PUT /api/email (needs the password).
+ */
+app.put("/api/notifications/preferences", isAuthenticated, async (req, res) => {
+  try {
+    const { email, mode, mutedTypes } = req.body;
+    const update = {};
 
-      if (storeName !== undefined) supplier.storeName = storeName;
-      if (supplierName !== undefined) supplier.supplierName = supplierName;
-      if (product !== undefined) supplier.product = product;
-      if (price !== undefined) {
-        supplier.price = isNaN(parseFloat(price)) ? 0 : parseFloat(price);
+    if (email !== undefined) {
+      return res.status(400).json({ message: "Change your email address with PUT /api/email" });
+    }
+    if (mode !== undefined) {
+      if (!User.EMAIL_MODES.includes(mode)) {
+        return res.status(400).json({ message: "Invalid email mode" });
       }
-      if (contactName !== undefined) supplier.contactName = contactName;
-      if (phone !== undefined) supplier.phone = phone;
-
-      await project.save();
-      res.json(supplier);
-    } catch (err) {
-      console.error("Update supplier error:", err);
-      res.status(500).json({ message: "Server error" });
+      update["emailNotifications.mode"] = mode;
     }
+    if (mutedTypes !== undefined) {
+      const list = Array.isArray(mutedTypes) ? mutedTypes : [];
+      const unknown = list.find((t) => !Notification.NOTIFICATION_TYPES.includes(t));
+      if (unknown) {
+        return res.status(400).json({ message: `Unknown notification type "${unknown}"` });
+      }
+      update["emailNotifications.mutedTypes"] = [...new Set(list)];
+    }
+
+    const user = await User.findByIdAndUpdate(req.user.id, { $set: update }, { new: true })
+      .select("email emailNotifications")
+      .lean();
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    res.json(emailPreferences(user));
+  } catch (err) {
+    console.error("Update notification preferences error:", err);
+    res.status(500).json({ message: "Server error" });
   }
-);
+});
 
 /**
- * Delete supplier from project (designer only).
+ * Mark one notification as read.
  */
-app.delete(
-  "/api/projects/:projectId/suppliers/:supplierId",
-  isAuthenticated,
-  isDesigner,
-  async (req, res) => {
-    try {
-      const { projectId, supplierId } = req.params;
-
-      const project = await ProjectModel.findById(projectId);
-      if (!project) return res.status(404).json({ message: "Project not found" });
+app.post("/api/notifications/:id/read", isAuthenticated, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: "Notification not found" });
+    }
 
-      const supplier = project.suppliers.id(supplierId);
-      if (!supplier) return res.status(404).json({ message: "Supplier not found" });
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, recipient: req.user.id },
+      [{ $set: { readAt: { $ifNull: ["$readAt", "$$NOW"] } } }],
+      { new: true }
+    ).lean();
+    if (!notification) return res.status(404).json({ message: "Notification not found" });
 
-      supplier.deleteOne();
-      await project.save();
+    res.json(notification);
+  } catch (err) {
+    console.error("Mark notification read error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
 
-      res.json({ message: "Supplier deleted successfully" });
-    } catch (err) {
-      console.error("Delete supplier error:", err);
-      res.status(500).json({ message: "Server error" });
-    }
+/**
+ * Mark all of the current user's notifications as read.
+ */
+app.post("/api/notifications/read-all", isAuthenticated, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user.id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+    res.json({ message: "All notifications read", updated: result.modifiedCount });
+  } catch (err) {
+    console.error("Mark all notifications read error:", err);
+    res.status(500).json({ message: "Server error" });
   }
-);
+});
 
 /* =========================================================
- * Global design options (designer only)
+ * Global design options (shared per studio)
  * ========================================================= */
 
 /**
- * Get all saved design preferences for the current designer.
+ * Get all saved design preferences of the designer's studio.
  */
-app.get("/api/options", isAuthenticated, isDesigner, async (req, res) => {
+app.get("/api/options", isAuthenticated, isDesigner, loadStudio, async (req, res) => {
   try {
-    const doc = await OptionModel.findOne({ createdBy: req.user.id }).lean();
+    const doc = await OptionModel.findOne({ studio: req.studio._id }).lean();
     if (!doc) return res.json({ designPreferences: [] });
 
     res.json({ designPreferences: doc.designPreferences || [] });
@@ -732,10 +7718,10 @@ app.get("/api/options", isAuthenticated, isDesigner, async (req, res) => {
 });
 
 /**
- * Save all design preferences for the current designer.
+ * Save all design preferences of the studio (studio owner / designer).
  * Normalizes string options into { name, imageUrl } objects.
  */
-app.post("/api/options", isAuthenticated, isDesigner, async (req, res) => {
+app.post("/api/options", isAuthenticated, isDesigner, studioEditor, async (req, res) => {
   try {
     const { designPreferences } = req.body;
     const rawPrefs = Array.isArray(designPreferences) ? designPreferences : [];
@@ -754,10 +7740,11 @@ app.post("/api/options", isAuthenticated, isDesigner, async (req, res) => {
       return { topicName, options: normalizedOptions };
     });
 
-    let doc = await OptionModel.findOne({ createdBy: req.user.id });
+    let doc = await OptionModel.findOne({ studio: req.studio._id });
 
     if (!doc) {
       doc = await new OptionModel({
+        studio: req.studio._id,
         createdBy: req.user.id,
         designPreferences: normalizedPrefs,
       }).save();
@@ -919,29 +7906,37 @@ function mergeTemplateIntoInstanceKeepProjectOnly(existingQuestions = [], templa
  * Assign a questionnaire template to a project.
  * - If instance doesn't exist: create it (answers start empty)
  * - If instance exists: update instance questions WITHOUT clearing answers
+ * - roomId (optional): the room of the project the questionnaire is about
  */
 app.post(
   "/api/projects/:id/questionnaire/assign",
   isAuthenticated,
-  isDesigner,
+  requireProjectPermission("questionnaires:edit"),
   async (req, res) => {
     try {
-      const { id } = req.params;
+      const { project } = req;
       const { templateId } = req.body;
 
-      const project = await ProjectModel.findOne({ _id: id, createdBy: req.user.id });
-      if (!project) return res.status(404).json({ message: "Project not found" });
+      const roomLink = readRoomLink(project, req.body);
+      if (roomLink.error) return res.status(400).json({ message: roomLink.error });
 
       // Clear all questionnaires
       if (!templateId) {
+        const before = snapshot(project.designQuestionnaires);
         project.designQuestionnaires = [];
         await project.save();
-        return res.json({ project });
+
+        await logActivity(req, {
+          project,
+          action: "questionnaire.clear",
+          changes: before.length ? [{ field: "designQuestionnaires", before, after: [] }] : [],
+        });
+        return res.json({ project: serializeProject(project, req.projectRole) });
       }
 
       const template = await QuestionnaireTemplate.findOne({
         _id: templateId,
-        createdBy: req.user.id,
+        studio: project.studio,
       }).lean();
       if (!template) return res.status(404).json({ message: "Template not found" });
 
@@ -956,6 +7951,7 @@ app.post(
           title: template.title,
           description: template.description || "",
           roomType: template.roomType || "",
+          ...roomLink.data,
           questions: (template.questions || []).map((q) => ({
             text: q.text,
             multiple: q.multiple,
@@ -972,13 +7968,25 @@ app.post(
         });
 
         await project.save();
-        return res.json({ project });
+
+        const instance = project.designQuestionnaires[project.designQuestionnaires.length - 1];
+        await logActivity(req, {
+          project,
+          action: "questionnaire.assign",
+          entityType: "questionnaire",
+          entityId: instance._id,
+          after: snapshot(instance),
+          fields: ["title", "description", "roomType", "questions"],
+        });
+        return res.json({ project: serializeProject(project, req.projectRole) });
       }
 
       // Update existing instance WITHOUT resetting answers
+      const before = snapshot(existing);
       existing.title = template.title;
       existing.description = template.description || "";
       existing.roomType = template.roomType || "";
+      Object.assign(existing, roomLink.data);
 
       existing.questions = mergeInstanceQuestionsKeepingIds(
         existing.questions || [],
@@ -989,91 +7997,108 @@ app.post(
       project.markModified("designQuestionnaires");
 
       await project.save();
-      return res.json({ project });
+
+      await logActivity(req, {
+        project,
+        action: "questionnaire.reassign",
+        entityType: "questionnaire",
+        entityId: existing._id,
+        before,
+        after: snapshot(existing),
+        fields: ["title", "description", "roomType", "questions"],
+      });
+      return res.json({ project: serializeProject(project, req.projectRole) });
     } catch (err) {
-      console.error("Error assigning questionnaire:", err);
-      res.status(500).json({ message: "Server error" });
+      sendServerError(req, res, err, "Error assigning questionnaire");
     }
   }
 );
 
 /**
  * Save answers for a questionnaire instance inside a project.
- * Supports both designer and client (role-based project access).
+ * Any role with questionnaires:answer (designers and clients).
  */
-app.post("/api/projects/:id/questionnaire/answers", isAuthenticated, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { answers, templateId } = req.body;
-
-    const { role, id: userId } = req.user;
-
-    const filter =
-      role === "designer"
-        ? { _id: id, createdBy: userId }
-        : { _id: id, associatedClients: userId };
+app.post(
+  "/api/projects/:id/questionnaire/answers",
+  isAuthenticated,
+  requireProjectPermission("questionnaires:answer"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+      const { answers, templateId } = req.body;
 
-    const project = await ProjectModel.findOne(filter);
-    if (!project) return res.status(404).json({ message: "Project not found" });
+      if (!project.designQuestionnaires || project.designQuestionnaires.length === 0) {
+        return res.status(400).json({ message: "No questionnaire assigned to this project" });
+      }
 
-    if (!project.designQuestionnaires || project.designQuestionnaires.length === 0) {
-      return res.status(400).json({ message: "No questionnaire assigned to this project" });
-    }
+      const instance =
+        project.designQuestionnaires.find((q) => String(q.templateId) === String(templateId)) ||
+        project.designQuestionnaires[0];
+
+      const safeAnswers = Array.isArray(answers) ? answers : [];
+      const before = snapshot(instance);
+
+      instance.answers = safeAnswers
+        .filter(
+          (a) =>
+            a &&
+            (a.freeText ||
+              (Array.isArray(a.selectedOptions) && a.selectedOptions.length > 0))
+        )
+        .map((a) => ({
+          questionId: a.questionId ? String(a.questionId) : "",
+          questionText: a.questionText || "",
+          selectedOptions: Array.isArray(a.selectedOptions)
+            ? a.selectedOptions.map((opt) => ({
+                optionId: String(opt.optionId || ""),
+                name: opt.name || opt.optionText || "",
+                imageUrl: opt.imageUrl || "",
+              }))
+            : [],
+          freeText: a.freeText || "",
+        }));
 
-    const instance =
-      project.designQuestionnaires.find((q) => String(q.templateId) === String(templateId)) ||
-      project.designQuestionnaires[0];
+      instance.markModified("answers");
+      project.markModified("designQuestionnaires");
 
-    const safeAnswers = Array.isArray(answers) ? answers : [];
+      await project.save();
 
-    instance.answers = safeAnswers
-      .filter(
-        (a) =>
-          a &&
-          (a.freeText ||
-            (Array.isArray(a.selectedOptions) && a.selectedOptions.length > 0))
-      )
-      .map((a) => ({
-        questionId: a.questionId ? String(a.questionId) : "",
-        questionText: a.questionText || "",
-        selectedOptions: Array.isArray(a.selectedOptions)
-          ? a.selectedOptions.map((opt) => ({
-              optionId: String(opt.optionId || ""),
-              name: opt.name || opt.optionText || "",
-              imageUrl: opt.imageUrl || "",
-            }))
-          : [],
-        freeText: a.freeText || "",
-      }));
+      await logActivity(req, {
+        project,
+        action: "questionnaire.answers",
+        entityType: "questionnaire",
+        entityId: instance._id,
+        before,
+        after: snapshot(instance),
+        fields: ["answers"],
+      });
 
-    instance.markModified("answers");
-    project.markModified("designQuestionnaires");
+      await notify(req, {
+        recipients: await projectTeamWith(project, "questionnaires:edit"),
+        type: "questionnaire.answers",
+        project,
+        message: `saved answers to "${instance.title || "the questionnaire"}"`,
+        link: `/project/${project._id}/questionnaire`,
+      });
 
-    await project.save();
-    res.json({ project });
-  } catch (err) {
-    console.error("Error saving questionnaire answers:", err);
-    res.status(500).json({ message: "Server error" });
+      res.json({ project: serializeProject(project, req.projectRole) });
+    } catch (err) {
+      sendServerError(req, res, err, "Error saving questionnaire answers");
+    }
   }
-});
+);
 
 /**
- * Remove a questionnaire instance from a project (designer only).
+ * Remove a questionnaire instance from a project (questionnaires:edit).
  */
 app.delete(
   "/api/projects/:projectId/questionnaires/:instanceId",
   isAuthenticated,
-  isDesigner,
+  requireProjectPermission("questionnaires:edit"),
   async (req, res) => {
     try {
-      const { projectId, instanceId } = req.params;
-
-      const project = await ProjectModel.findOne({
-        _id: projectId,
-        createdBy: req.user.id,
-      });
-
-      if (!project) return res.status(404).json({ message: "Project not found" });
+      const { project } = req;
+      const { instanceId } = req.params;
       if (!Array.isArray(project.designQuestionnaires)) {
         return res.status(404).json({ message: "No questionnaires on this project" });
       }
@@ -1093,41 +8118,63 @@ app.delete(
         return res.status(404).json({ message: "Questionnaire instance not found" });
       }
 
-      project.designQuestionnaires.splice(idx, 1);
+      const [removed] = project.designQuestionnaires.splice(idx, 1);
       await project.save();
 
-      res.json({ project });
+      await logActivity(req, {
+        project,
+        action: "questionnaire.remove",
+        entityType: "questionnaire",
+        entityId: removed._id,
+        before: snapshot(removed),
+        fields: ["title", "questions", "answers"],
+      });
+
+      res.json({ project: serializeProject(project, req.projectRole) });
     } catch (err) {
-      console.error("Error removing questionnaire instance:", err);
-      res.status(500).json({ message: "Server error" });
+      sendServerError(req, res, err, "Error removing questionnaire instance");
     }
   }
 );
 
+/**
+ * Extra 409 data for questionnaire edits: the instance as it is now.
+ */
+function conflictInstance(instanceId) {
+  return (current) => ({ instance: current.designQuestionnaires.id(instanceId) || null });
+}
+
 /**
  * Update a questionnaire instance INSIDE a project (project-only edit).
  * This does not change the original template.
+ * Body: { title?, description?, roomType?, roomId?, questions? }
+ * Uses the same If-Match project version check as PUT /api/projects/:id
+ * (409 includes the current instance).
  */
 app.put(
   "/api/projects/:projectId/questionnaires/:instanceId",
   isAuthenticated,
-  isDesigner,
+  requireProjectPermission("questionnaires:edit"),
   async (req, res) => {
     try {
-      const { projectId, instanceId } = req.params;
-
-      const project = await ProjectModel.findOne({
-        _id: projectId,
-        createdBy: req.user.id,
-      });
-
-      if (!project) return res.status(404).json({ message: "Project not found" });
+      const { project } = req;
+      const { instanceId } = req.params;
 
       const instance = project.designQuestionnaires.id(instanceId);
       if (!instance) return res.status(404).json({ message: "Questionnaire instance not found" });
 
+      if (!matchesProjectVersion(req, project)) {
+        return sendVersionConflict(req, res, conflictInstance(instanceId));
+      }
+
       const { title, description, roomType, questions } = req.body;
 
+      const roomLink = readRoomLink(project, req.body);
+      if (roomLink.error) return res.status(400).json({ message: roomLink.error });
+
+      const before = snapshot(instance);
+
+      Object.assign(instance, roomLink.data);
       if (title !== undefined) instance.title = title;
       if (description !== undefined) instance.description = description;
       if (roomType !== undefined) instance.roomType = roomType;
@@ -1136,8 +8183,24 @@ app.put(
       instance.isCustomized = true;
 
       await project.save();
-      res.json({ project });
+
+      await logActivity(req, {
+        project,
+        action: "questionnaire.update",
+        entityType: "questionnaire",
+        entityId: instance._id,
+        before,
+        after: snapshot(instance),
+        fields: ["title", "description", "roomType", "roomId", "questions"],
+      });
+
+      setProjectVersion(res, project);
+      res.json({ project: serializeProject(project, req.projectRole) });
     } catch (err) {
+      if (err instanceof mongoose.Error.VersionError) {
+        return sendVersionConflict(req, res, conflictInstance(req.params.instanceId));
+      }
+
       console.error("Error updating questionnaire instance:", err);
       res.status(500).json({ message: "Server error" });
     }
@@ -1149,87 +8212,114 @@ app.put(
  * ========================================================= */
 
 /**
- * List templates for current designer.
+ * List templates of the designer's studio.
  */
-app.get("/api/questionnaires/templates", isAuthenticated, isDesigner, async (req, res) => {
-  try {
-    const templates = await QuestionnaireTemplate.find({ createdBy: req.user.id }).lean();
-    res.json(templates);
-  } catch (err) {
-    console.error("Error fetching questionnaire templates:", err);
-    res.status(500).json({ message: "Server error" });
+app.get(
+  "/api/questionnaires/templates",
+  isAuthenticated,
+  isDesigner,
+  loadStudio,
+  async (req, res) => {
+    try {
+      const templates = await QuestionnaireTemplate.find({ studio: req.studio._id })
+        .populate("createdBy", "username")
+        .lean();
+      res.json(templates);
+    } catch (err) {
+      console.error("Error fetching questionnaire templates:", err);
+      res.status(500).json({ message: "Server error" });
+    }
   }
-});
+);
 
 /**
- * Create new template (designer only).
+ * Create new template (studio owner / designer).
  */
-app.post("/api/questionnaires/templates", isAuthenticated, isDesigner, async (req, res) => {
-  try {
-    const { title, description, roomType, questions } = req.body;
+app.post(
+  "/api/questionnaires/templates",
+  isAuthenticated,
+  isDesigner,
+  studioEditor,
+  async (req, res) => {
+    try {
+      const { title, description, roomType, questions } = req.body;
 
-    const tmpl = await new QuestionnaireTemplate({
-      title: title || "Untitled questionnaire",
-      description: description || "",
-      roomType: roomType || "",
-      questions: Array.isArray(questions) ? questions : [],
-      createdBy: req.user.id,
-    }).save();
+      const tmpl = await new QuestionnaireTemplate({
+        title: title || "Untitled questionnaire",
+        description: description || "",
+        roomType: roomType || "",
+        questions: Array.isArray(questions) ? questions : [],
+        studio: req.studio._id,
+        createdBy: req.user.id,
+      }).save();
 
-    res.status(201).json(tmpl);
-  } catch (err) {
-    console.error("Error creating questionnaire template:", err);
-    res.status(500).json({ message: "Server error" });
+      res.status(201).json(tmpl);
+    } catch (err) {
+      console.error("Error creating questionnaire template:", err);
+      res.status(500).json({ message: "Server error" });
+    }
   }
-});
+);
 
 /**
- * Update existing template (designer only).
+ * Update existing template (studio owner / designer).
  */
-app.put("/api/questionnaires/templates/:id", isAuthenticated, isDesigner, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { title, description, roomType, questions } = req.body;
+app.put(
+  "/api/questionnaires/templates/:id",
+  isAuthenticated,
+  isDesigner,
+  studioEditor,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { title, description, roomType, questions } = req.body;
 
-    const tmpl = await QuestionnaireTemplate.findOne({ _id: id, createdBy: req.user.id });
-    if (!tmpl) return res.status(404).json({ message: "Template not found" });
+      const tmpl = await QuestionnaireTemplate.findOne({ _id: id, studio: req.studio._id });
+      if (!tmpl) return res.status(404).json({ message: "Template not found" });
 
-    if (title !== undefined) tmpl.title = title;
-    if (description !== undefined) tmpl.description = description;
-    if (roomType !== undefined) tmpl.roomType = roomType;
-    if (questions !== undefined && Array.isArray(questions)) tmpl.questions = questions;
+      if (title !== undefined) tmpl.title = title;
+      if (description !== undefined) tmpl.description = description;
+      if (roomType !== undefined) tmpl.roomType = roomType;
+      if (questions !== undefined && Array.isArray(questions)) tmpl.questions = questions;
 
-    await tmpl.save();
-    res.json(tmpl);
-  } catch (err) {
-    console.error("Error updating questionnaire template:", err);
-    res.status(500).json({ message: "Server error" });
+      await tmpl.save();
+      res.json(tmpl);
+    } catch (err) {
+      console.error("Error updating questionnaire template:", err);
+      res.status(500).json({ message: "Server error" });
+    }
   }
-});
+);
 
 /**
- * Delete template (designer only).
+ * Delete template (studio owner / designer).
  */
-app.delete("/api/questionnaires/templates/:id", isAuthenticated, isDesigner, async (req, res) => {
-  try {
-    const { id } = req.params;
+app.delete(
+  "/api/questionnaires/templates/:id",
+  isAuthenticated,
+  isDesigner,
+  studioEditor,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
 
-    const tmpl = await QuestionnaireTemplate.findOneAndDelete({
-      _id: id,
-      createdBy: req.user.id,
-    });
+      const tmpl = await QuestionnaireTemplate.findOneAndDelete({
+        _id: id,
+        studio: req.studio._id,
+      });
 
-    if (!tmpl) return res.status(404).json({ message: "Template not found" });
+      if (!tmpl) return res.status(404).json({ message: "Template not found" });
 
-    res.json({ message: "Template deleted successfully" });
-  } catch (err) {
-    console.error("Error deleting questionnaire template:", err);
-    res.status(500).json({ message: "Server error" });
+      res.json({ message: "Template deleted successfully" });
+    } catch (err) {
+      console.error("Error deleting questionnaire template:", err);
+      res.status(500).json({ message: "Server error" });
+    }
   }
-});
+);
 
 /**
- * Sync a template into all projects that use it.
+ * Sync a template into all studio projects that use it.
  * mode:
  *  - safe: skip customized instances
  *  - force: update all instances and reset isCustomized=false
@@ -1238,6 +8328,7 @@ app.post(
   "/api/questionnaires/templates/:templateId/sync-projects",
   isAuthenticated,
   isDesigner,
+  studioEditor,
   async (req, res) => {
     try {
       const { templateId } = req.params;
@@ -1245,13 +8336,13 @@ app.post(
 
       const template = await QuestionnaireTemplate.findOne({
         _id: templateId,
-        createdBy: req.user.id,
+        studio: req.studio._id,
       }).lean();
 
       if (!template) return res.status(404).json({ message: "Template not found" });
 
       const projects = await ProjectModel.find({
-        createdBy: req.user.id,
+        studio: req.studio._id,
         "designQuestionnaires.templateId": template._id,
       });
 
@@ -1260,6 +8351,7 @@ app.post(
 
       for (const project of projects) {
         let changed = false;
+        const synced = [];
 
         for (const inst of project.designQuestionnaires) {
           if (String(inst.templateId) !== String(template._id)) continue;
@@ -1269,6 +8361,7 @@ app.post(
             continue;
           }
 
+          const before = snapshot(inst);
           inst.title = template.title;
           inst.description = template.description || "";
           inst.roomType = template.roomType || "";
@@ -1286,12 +8379,33 @@ app.post(
           }
 
           project.markModified("designQuestionnaires");
+          synced.push({ inst, before });
           changed = true;
         }
 
         if (changed) {
           await project.save();
           updatedCount++;
+
+          for (const { inst, before } of synced) {
+            await logActivity(req, {
+              project,
+              action: "questionnaire.sync",
+              entityType: "questionnaire",
+              entityId: inst._id,
+              before,
+              after: snapshot(inst),
+              fields: ["title", "description", "roomType", "questions", "isCustomized"],
+            });
+          }
+
+          await notify(req, {
+            recipients: await projectTeamWith(project, "questionnaires:view"),
+            type: "questionnaire.sync",
+            project,
+            message: `updated the questionnaire "${template.title}"`,
+            link: `/project/${project._id}/questionnaire`,
+          });
         }
       }
 
@@ -1327,3 +8441,9 @@ if (process.env.NODE_ENV === "production") {
 app.listen(port, () => {
   console.log(`Server is running on port ${port}`);
 });
+
+// Notification email digests: every hour, send the ones that are due
+const DIGEST_CHECK_MS = 60 * 60 * 1000;
+setInterval(() => {
+  sendDigests().catch((err) => console.error("Email digest error:", err));
+}, DIGEST_CHECK_MS).unref();
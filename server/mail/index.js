@@ -0,0 +1,35 @@
+// mail/index.js
+// Pluggable mail sending: pick a transport by MAIL_TRANSPORT (console | file | smtp)
+
+const consoleTransport = require("./transports/console");
+const fileTransport = require("./transports/file");
+const smtpTransport = require("./transports/smtp");
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+  smtp: smtpTransport,
+};
+
+/**
+ * Return the configured transport (defaults to console for local dev).
+ */
+function getTransport() {
+  const name = process.env.MAIL_TRANSPORT || "console";
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+  }
+  return transport;
+}
+
+/**
+ * Send one email through the configured transport.
+ * message: { to, subject, text, html? }
+ */
+async function sendMail(message) {
+  const from = process.env.MAIL_FROM || "no-reply@interior-design.local";
+  return getTransport().send({ from, ...message });
+}
+
+module.exports = { sendMail, getTransport };
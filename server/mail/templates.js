@@ -0,0 +1,129 @@
+// mail/templates.js
+// Notification email templates: defaults + per-studio overrides ({{placeholder}} syntax)
+
+/**
+ * Default subject / text per notification type (+ "digest").
+ * Studios can replace any of them (Studio.emailTemplates).
+ */
+const DEFAULT_EMAIL_TEMPLATES = {
+  "invite.received": {
+    subject: "{{actorName}} invited you to {{projectName}}",
+    text:
+      "Hi {{recipientName}},\n\n" +
+      '{{actorName}} invited you to the project "{{projectName}}".\n' +
+      "Open your dashboard to accept or decline:\n{{link}}",
+  },
+  "invite.accepted": {
+    subject: "{{actorName}} accepted your invitation",
+    text:
+      "Hi {{recipientName}},\n\n" +
+      '{{actorName}} accepted your invitation to "{{projectName}}".\n{{link}}',
+  },
+  "invite.rejected": {
+    subject: "{{actorName}} declined your invitation",
+    text:
+      "Hi {{recipientName}},\n\n" +
+      '{{actorName}} declined your invitation to "{{projectName}}".',
+  },
+  "questionnaire.answers": {
+    subject: "New questionnaire answers in {{projectName}}",
+    text: "Hi {{recipientName}},\n\n{{actorName}} {{message}} in \"{{projectName}}\".\n{{link}}",
+  },
+  "questionnaire.sync": {
+    subject: "Questionnaire updated in {{projectName}}",
+    text: "Hi {{recipientName}},\n\n{{actorName}} {{message}} in \"{{projectName}}\".\n{{link}}",
+  },
+  "plan.update": {
+    subject: "Design plan updated in {{projectName}}",
+    text: "Hi {{recipientName}},\n\n{{actorName}} {{message}} of \"{{projectName}}\".\n{{link}}",
+  },
+  "colors.update": {
+    subject: "Colors & materials updated in {{projectName}}",
+    text: "Hi {{recipientName}},\n\n{{actorName}} {{message}} of \"{{projectName}}\".\n{{link}}",
+  },
+  "message.new": {
+    subject: "New message in {{projectName}}",
+    text: "Hi {{recipientName}},\n\n{{actorName}} {{message}} in \"{{projectName}}\".\n{{link}}",
+  },
+  "approval.requested": {
+    subject: "Your approval is needed in {{projectName}}",
+    text:
+      "Hi {{recipientName}},\n\n{{actorName}} {{message}} in \"{{projectName}}\".\n" +
+      "Approve or reject it here:\n{{link}}",
+  },
+  "approval.approved": {
+    subject: "Approved in {{projectName}}",
+    text: "Hi {{recipientName}},\n\n{{actorName}} {{message}} in \"{{projectName}}\".\n{{link}}",
+  },
+  "approval.rejected": {
+    subject: "Rejected in {{projectName}}",
+    text: "Hi {{recipientName}},\n\n{{actorName}} {{message}} in \"{{projectName}}\".\n{{link}}",
+  },
+  "approval.reopened": {
+    subject: "An approved item was reopened in {{projectName}}",
+    text: "Hi {{recipientName}},\n\n{{actorName}} {{message}} in \"{{projectName}}\".\n{{link}}",
+  },
+  "moodboard.shared": {
+    subject: "New mood board in {{projectName}}",
+    text:
+      "Hi {{recipientName}},\n\n{{actorName}} {{message}} in \"{{projectName}}\".\n" +
+      "Have a look and tell us what you like:\n{{link}}",
+  },
+  "moodboard.reaction": {
+    subject: "Mood board feedback in {{projectName}}",
+    text: "Hi {{recipientName}},\n\n{{actorName}} {{message}} in \"{{projectName}}\".\n{{link}}",
+  },
+  "document.shared": {
+    subject: "New document in {{projectName}}",
+    text: "Hi {{recipientName}},\n\n{{actorName}} {{message}} in \"{{projectName}}\".\n{{link}}",
+  },
+  digest: {
+    subject: "You have {{count}} new notifications",
+    text: "Hi {{recipientName}},\n\nHere is what happened since your last summary:\n\n{{items}}",
+  },
+};
+
+// Placeholders each template can use (shown in the template editor)
+const EMAIL_PLACEHOLDERS = {
+  notification: ["recipientName", "actorName", "projectName", "message", "link"],
+  digest: ["recipientName", "count", "items"],
+};
+
+/**
+ * Replace {{name}} with vars.name (unknown placeholders become "").
+ */
+function renderTemplate(text, vars) {
+  return String(text || "").replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) =>
+    vars[name] === undefined || vars[name] === null ? "" : String(vars[name])
+  );
+}
+
+/**
+ * Template for a type: the studio's override when it has one, else the default.
+ */
+function templateFor(studio, type) {
+  const custom = (studio?.emailTemplates || []).find((t) => t.type === type);
+  return custom
+    ? { subject: custom.subject, text: custom.text }
+    : DEFAULT_EMAIL_TEMPLATES[type] || null;
+}
+
+/**
+ * Render the email of a template type: { subject, text } or null (no template).
+ */
+function renderEmail(studio, type, vars) {
+  const template = templateFor(studio, type);
+  if (!template) return null;
+  return {
+    subject: renderTemplate(template.subject, vars),
+    text: renderTemplate(template.text, vars),
+  };
+}
+
+module.exports = {
+  DEFAULT_EMAIL_TEMPLATES,
+  EMAIL_PLACEHOLDERS,
+  renderTemplate,
+  templateFor,
+  renderEmail,
+};
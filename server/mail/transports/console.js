@@ -0,0 +1,17 @@
+// mail/transports/console.js
+// Dev transport: prints the email to the server log instead of sending it
+
+module.exports = {
+  name: "console",
+
+  async send(message) {
+    console.log("---------- Outgoing email ----------");
+    console.log(`From:    ${message.from}`);
+    console.log(`To:      ${message.to}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log("");
+    console.log(message.text || message.html || "");
+    console.log("------------------------------------");
+    return { delivered: true };
+  },
+};
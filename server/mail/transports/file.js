@@ -0,0 +1,24 @@
+// mail/transports/file.js
+// Dev/test transport: writes every email as a JSON file into MAIL_FILE_DIR
+
+const path = require("path");
+const fs = require("fs/promises");
+
+module.exports = {
+  name: "file",
+
+  async send(message) {
+    const dir = process.env.MAIL_FILE_DIR || path.join(__dirname, "..", "..", "mail-outbox");
+    await fs.mkdir(dir, { recursive: true });
+
+    const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+    const filePath = path.join(dir, fileName);
+
+    await fs.writeFile(
+      filePath,
+      JSON.stringify({ ...message, createdAt: new Date().toISOString() }, null, 2)
+    );
+
+    return { delivered: true, filePath };
+  },
+};
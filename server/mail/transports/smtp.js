@@ -0,0 +1,40 @@
+// mail/transports/smtp.js
+// Real delivery through an SMTP server (SMTP_HOST, SMTP_PORT, SMTP_USER...)
+
+const nodemailer = require("nodemailer");
+
+let transporter = null;
+
+/**
+ * Create the nodemailer transporter on first use, so the other transports
+ * work without any SMTP settings.
+ */
+function getTransporter() {
+  if (transporter) return transporter;
+
+  if (!process.env.SMTP_HOST) {
+    throw new Error("Missing SMTP_HOST for MAIL_TRANSPORT=smtp");
+  }
+
+  const port = Number(process.env.SMTP_PORT) || 587;
+  transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    // true = TLS from the start (port 465); otherwise STARTTLS when offered
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === "true" : port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || "" }
+      : undefined,
+  });
+
+  return transporter;
+}
+
+module.exports = {
+  name: "smtp",
+
+  async send(message) {
+    const info = await getTransporter().sendMail(message);
+    return { delivered: info.rejected.length === 0, messageId: info.messageId };
+  },
+};
@@ -13,6 +13,10 @@ function isAuthenticated(req, res, next) {
     req.user = jwt.verify(token, process.env.JWT_SECRET); // { id, role }
     next();
   } catch (e) {
+    // Expired tokens get 401 so the client knows to refresh and retry
+    if (e.name === 'TokenExpiredError') {
+      return res.status(401).json({ message: 'Token expired' });
+    }
     return res.status(403).json({ message: 'Invalid token' });
   }
 }
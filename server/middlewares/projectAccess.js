@@ -0,0 +1,385 @@
+const mongoose = require('mongoose');
+const ProjectModel = require('../models/Project');
+const { ensureStudio } = require('./studio');
+
+/**
+ * Shared project-access layer.
+ *
+ * Every project-scoped route goes through requireProjectPermission() so the
+ * access rules live in one place.
+ *
+ * Project roles (see Project.collaborators):
+ * - lead_designer:   full control, manages the project team
+ * - assistant:       edits project content, cannot delete / manage team
+ * - contractor:      read-only, rooms + workers + suppliers + timeline + board
+ *                    + shared documents (no budget); can still complete board
+ *                    cards assigned to them
+ * - client:          linked client, views project + answers questionnaires,
+ *                    messages the design team, reacts to shared mood boards
+ * - client_approver: client that can also approve design decisions (approved
+ *                    colors / plan / supplier quotes are locked, see Approval)
+ * - studio_viewer:   studio member with the "viewer" studio role (read-only)
+ *
+ * Default roles (no explicit collaborator entry):
+ * - studio owner / designer -> lead_designer
+ * - studio viewer           -> studio_viewer
+ * - linked client           -> client
+ *
+ * Status codes:
+ * - 404: invalid id, project does not exist, or user has no role at all
+ *        (we do not reveal that another studio's project exists)
+ * - 403: user has a role on the project, but not the needed permission
+ */
+
+const PROJECT_PERMISSIONS = {
+  lead_designer: [
+    'project:view',
+    'project:edit',
+    'project:delete',
+    'team:manage',
+    'rooms:view',
+    'rooms:edit',
+    'budget:view',
+    'budget:edit',
+    'invoices:view',
+    'invoices:edit',
+    'workers:view',
+    'workers:edit',
+    'suppliers:view',
+    'suppliers:edit',
+    'plan:view',
+    'plan:edit',
+    'timeline:view',
+    'timeline:edit',
+    'board:view',
+    'board:edit',
+    'board:comment',
+    'appointments:view',
+    'appointments:edit',
+    'messages:view',
+    'messages:send',
+    'colors:view',
+    'colors:edit',
+    'moodboards:view',
+    'moodboards:edit',
+    'documents:view',
+    'documents:internal',
+    'documents:edit',
+    'questionnaires:view',
+    'questionnaires:edit',
+    'questionnaires:answer',
+    'decisions:view',
+    'decisions:submit',
+    'clients:invite',
+    'activity:view',
+  ],
+  assistant: [
+    'project:view',
+    'project:edit',
+    'rooms:view',
+    'rooms:edit',
+    'budget:view',
+    'budget:edit',
+    'invoices:view',
+    'invoices:edit',
+    'workers:view',
+    'workers:edit',
+    'suppliers:view',
+    'suppliers:edit',
+    'plan:view',
+    'plan:edit',
+    'timeline:view',
+    'timeline:edit',
+    'board:view',
+    'board:edit',
+    'board:comment',
+    'appointments:view',
+    'appointments:edit',
+    'messages:view',
+    'messages:send',
+    'colors:view',
+    'colors:edit',
+    'moodboards:view',
+    'moodboards:edit',
+    'documents:view',
+    'documents:internal',
+    'documents:edit',
+    'questionnaires:view',
+    'questionnaires:edit',
+    'questionnaires:answer',
+    'decisions:view',
+    'decisions:submit',
+    'activity:view',
+  ],
+  contractor: [
+    'project:view',
+    'rooms:view',
+    'documents:view',
+    'workers:view',
+    'suppliers:view',
+    'timeline:view',
+    'board:view',
+    'appointments:view',
+  ],
+  client: [
+    'project:view',
+    'rooms:view',
+    'budget:view',
+    'invoices:view',
+    'workers:view',
+    'suppliers:view',
+    'plan:view',
+    'timeline:view',
+    'board:view',
+    'board:comment',
+    'appointments:view',
+    'messages:view',
+    'messages:send',
+    'colors:view',
+    'moodboards:view',
+    'moodboards:react',
+    'documents:view',
+    'questionnaires:view',
+    'questionnaires:answer',
+    'decisions:view',
+    'activity:view',
+  ],
+  client_approver: [
+    'project:view',
+    'rooms:view',
+    'budget:view',
+    'invoices:view',
+    'workers:view',
+    'suppliers:view',
+    'plan:view',
+    'timeline:view',
+    'board:view',
+    'board:comment',
+    'appointments:view',
+    'messages:view',
+    'messages:send',
+    'colors:view',
+    'moodboards:view',
+    'moodboards:react',
+    'documents:view',
+    'questionnaires:view',
+    'questionnaires:answer',
+    'decisions:view',
+    'decisions:approve',
+    'activity:view',
+  ],
+  studio_viewer: [
+    'project:view',
+    'rooms:view',
+    'budget:view',
+    'invoices:view',
+    'workers:view',
+    'suppliers:view',
+    'plan:view',
+    'timeline:view',
+    'board:view',
+    'appointments:view',
+    'messages:view',
+    'colors:view',
+    'moodboards:view',
+    'documents:view',
+    'documents:internal',
+    'questionnaires:view',
+    'decisions:view',
+    'activity:view',
+  ],
+};
+
+/**
+ * Resolve the role of a user on a project (or null if none).
+ * studio: the designer's studio (from ensureStudio), if any.
+ */
+function getProjectRole(project, user, studio = null) {
+  if (!project || !user) return null;
+
+  const entry = (project.collaborators || []).find(
+    (c) => String(c.user?._id || c.user) === String(user.id)
+  );
+
+  if (user.role === 'designer') {
+    const inStudio =
+      studio && project.studio && String(project.studio) === String(studio._id);
+
+    // Projects that were never assigned to a studio: creator only
+    const legacyCreator = !project.studio && String(project.createdBy) === String(user.id);
+
+    if (!inStudio && !legacyCreator) return null;
+    if (entry) return entry.role;
+
+    return inStudio && studio.roleOf(user.id) === 'viewer' ? 'studio_viewer' : 'lead_designer';
+  }
+
+  if (user.role === 'client') {
+    const isLinkedClient = (project.associatedClients || []).some(
+      (cid) => String(cid) === String(user.id)
+    );
+    if (!isLinkedClient) return null;
+
+    return entry && entry.role === 'client_approver' ? 'client_approver' : 'client';
+  }
+
+  // Contractors only see projects they were explicitly added to
+  return entry ? entry.role : null;
+}
+
+function getRolePermissions(role) {
+  return PROJECT_PERMISSIONS[role] || [];
+}
+
+// Money fields of workers / suppliers, only for roles with budget:view
+const COST_FIELDS = ['cost', 'price', 'currency', 'vatIncluded', 'budgetLine'];
+
+/**
+ * Plain workers / suppliers for the caller's permissions: without their
+ * costs unless the role has budget:view.
+ */
+function shapeCostItems(items, permissions) {
+  return (items || []).map((item) => {
+    const data = typeof item.toObject === 'function' ? item.toObject() : { ...item };
+    if (!permissions.includes('budget:view')) {
+      for (const field of COST_FIELDS) delete data[field];
+    }
+    return data;
+  });
+}
+
+/**
+ * Plain project object shaped for the caller's project role.
+ * - Hides parts the role cannot view (rooms, budget + worker / supplier
+ *   costs, plan, timeline, board, colors, questionnaires, document folders,
+ *   invites, the team list)
+ * - Adds myRole + myPermissions so the UI can show/hide actions
+ */
+function serializeProject(project, role) {
+  const permissions = getRolePermissions(role);
+  const data = typeof project.toObject === 'function' ? project.toObject() : { ...project };
+
+  if (!permissions.includes('rooms:view')) delete data.rooms;
+  if (!permissions.includes('budget:view')) {
+    delete data.budget;
+    delete data.budgetLines;
+    delete data.payments;
+  }
+  if (data.workers) data.workers = shapeCostItems(data.workers, permissions);
+  if (data.suppliers) data.suppliers = shapeCostItems(data.suppliers, permissions);
+  if (!permissions.includes('plan:view')) {
+    delete data.designPlan;
+    delete data.notes;
+  }
+  if (!permissions.includes('timeline:view')) {
+    delete data.phases;
+    delete data.timelineTasks;
+  }
+  if (!permissions.includes('board:view')) {
+    delete data.boardColumns;
+    delete data.boardCards;
+  }
+  if (!permissions.includes('colors:view')) delete data.colorSelections;
+  if (!permissions.includes('questionnaires:view')) delete data.designQuestionnaires;
+  if (!permissions.includes('documents:internal')) delete data.documentFolders;
+  if (!permissions.includes('clients:invite')) delete data.pendingInvites;
+  if (!permissions.includes('team:manage')) delete data.collaborators;
+
+  data.myRole = role;
+  data.myPermissions = permissions;
+  return data;
+}
+
+/**
+ * Projects the user sees in their project list.
+ * - Designer: all projects of their studio (+ creator + pending invite usernames)
+ * - Client: projects where they are linked (associatedClients)
+ * - Contractor: projects they were added to
+ * Client and contractor projects are shaped for their role (serializeProject).
+ */
+async function findUserProjects(user, studio = null) {
+  if (user.role === 'designer') {
+    return ProjectModel.find({ studio: studio._id })
+      .populate('createdBy', 'username')
+      .populate('pendingInvites.clientId', 'username')
+      .lean();
+  }
+
+  const filter =
+    user.role === 'client'
+      ? { associatedClients: user.id }
+      : user.role === 'contractor'
+        ? { 'collaborators.user': user.id }
+        : null;
+  if (!filter) return [];
+
+  const projects = await ProjectModel.find(filter).lean();
+  return projects.map((p) => serializeProject(p, getProjectRole(p, user)));
+}
+
+/**
+ * Route middleware: load the project from :projectId (or :id) and check
+ * that the user's project role grants `permission`.
+ *
+ * On success sets req.project (mongoose document), req.projectRole and
+ * req.projectPermissions (and req.studio / req.studioRole for designers).
+ *
+ * Usage:
+ *   app.put('/api/projects/:id/workers', isAuthenticated, requireProjectPermission('workers:edit'), handler)
+ */
+function requireProjectPermission(permission = 'project:view') {
+  return async function projectAccess(req, res, next) {
+    try {
+      const projectId = req.params.projectId || req.params.id;
+      if (!mongoose.isValidObjectId(projectId)) {
+        return res.status(404).json({ message: 'Project not found' });
+      }
+
+      // Designers: make sure their studio exists (claims legacy projects first)
+      if (req.user.role === 'designer' && !req.studio) {
+        req.studio = await ensureStudio(req.user.id);
+        req.studioRole = req.studio.roleOf(req.user.id);
+      }
+
+      const project = await ProjectModel.findById(projectId);
+      if (!project) return res.status(404).json({ message: 'Project not found' });
+
+      const role = getProjectRole(project, req.user, req.studio);
+      if (!role) {
+        return res.status(404).json({ message: 'Project not found' });
+      }
+
+      const permissions = getRolePermissions(role);
+      if (!permissions.includes(permission)) {
+        return res.status(403).json({ message: 'Your project role does not allow this action' });
+      }
+
+      req.project = project;
+      req.projectRole = role;
+      req.projectPermissions = permissions;
+      next();
+    } catch (err) {
+      console.error('Project access error:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  };
+}
+
+/**
+ * True if the request's project role has the given permission.
+ * Use inside handlers for field-level checks.
+ */
+function hasProjectPermission(req, permission) {
+  return (req.projectPermissions || []).includes(permission);
+}
+
+module.exports = {
+  PROJECT_PERMISSIONS,
+  getProjectRole,
+  getRolePermissions,
+  requireProjectPermission,
+  hasProjectPermission,
+  serializeProject,
+  shapeCostItems,
+  findUserProjects,
+};
@@ -0,0 +1,129 @@
+const Studio = require('../models/Studio');
+const User = require('../models/User');
+const ProjectModel = require('../models/Project');
+const OptionModel = require('../models/Option');
+const QuestionnaireTemplate = require('../models/QuestionnaireTemplate');
+
+/**
+ * Studio membership helpers + middlewares.
+ *
+ * Designers always work inside a studio:
+ * - loadStudio sets req.studio + req.studioRole for designers
+ * - requireStudioRole(['owner', 'designer']) guards studio-level writes
+ */
+
+/**
+ * Move the option topics of `filter` docs into the studio's single
+ * options document (one options library per studio).
+ */
+async function mergeOptionsIntoStudio(filter, studioId) {
+  const sources = await OptionModel.find(filter);
+  if (sources.length === 0) return;
+
+  let target = await OptionModel.findOne({ studio: studioId });
+
+  for (const src of sources) {
+    if (!target) {
+      src.studio = studioId;
+      target = await src.save();
+      continue;
+    }
+    if (String(src._id) === String(target._id)) continue;
+
+    target.designPreferences.push(...(src.designPreferences || []));
+    await src.deleteOne();
+  }
+
+  await target.save();
+}
+
+/**
+ * Content created before studios existed has no studio yet.
+ * Assign everything the user created to the given studio.
+ */
+async function claimLegacyContent(userId, studioId) {
+  await ProjectModel.updateMany({ createdBy: userId, studio: null }, { $set: { studio: studioId } });
+  await QuestionnaireTemplate.updateMany(
+    { createdBy: userId, studio: null },
+    { $set: { studio: studioId } }
+  );
+  await mergeOptionsIntoStudio({ createdBy: userId, studio: null }, studioId);
+}
+
+/**
+ * Move all content of one studio into another (used when the only member
+ * of a personal studio joins a shared studio).
+ */
+async function moveStudioContent(fromStudioId, toStudioId) {
+  await ProjectModel.updateMany({ studio: fromStudioId }, { $set: { studio: toStudioId } });
+  await QuestionnaireTemplate.updateMany(
+    { studio: fromStudioId },
+    { $set: { studio: toStudioId } }
+  );
+  await mergeOptionsIntoStudio({ studio: fromStudioId }, toStudioId);
+}
+
+/**
+ * Return the studio of a designer, creating a personal one if needed.
+ */
+async function ensureStudio(userId) {
+  const existing = await Studio.findOne({ 'members.user': userId });
+  if (existing) return existing;
+
+  const user = await User.findById(userId).select('username');
+  let studio;
+  try {
+    studio = await new Studio({
+      name: `${user?.username || 'My'} Studio`,
+      createdBy: userId,
+      members: [{ user: userId, role: 'owner' }],
+    }).save();
+  } catch (err) {
+    // A concurrent request created the studio first (unique members.user)
+    if (err.code === 11000) return Studio.findOne({ 'members.user': userId });
+    throw err;
+  }
+
+  await claimLegacyContent(userId, studio._id);
+  return studio;
+}
+
+/**
+ * Middleware: for designers, load their studio into req.studio / req.studioRole.
+ * Other roles pass through untouched.
+ */
+async function loadStudio(req, res, next) {
+  try {
+    if (!req.user || req.user.role !== 'designer') return next();
+
+    const studio = await ensureStudio(req.user.id);
+    req.studio = studio;
+    req.studioRole = studio.roleOf(req.user.id);
+    next();
+  } catch (err) {
+    console.error('Load studio error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * Middleware factory: require one of the given studio roles.
+ * Must run after loadStudio.
+ */
+function requireStudioRole(roles) {
+  return function studioRole(req, res, next) {
+    if (!req.studio) return res.status(403).json({ message: 'Studio membership required' });
+    if (!roles.includes(req.studioRole)) {
+      return res.status(403).json({ message: 'Your studio role does not allow this action' });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  ensureStudio,
+  claimLegacyContent,
+  moveStudioContent,
+  loadStudio,
+  requireStudioRole,
+};
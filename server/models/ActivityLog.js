@@ -0,0 +1,80 @@
+// models/ActivityLog.js
+const mongoose = require("mongoose");
+
+/**
+ * ActivityLog model
+ *
+ * Append-only audit trail of changes made to a project:
+ * who (actor) did what (action) and how the data changed (changes).
+ * - action is "<entity>.<verb>", e.g. "worker.update", "questionnaire.answers"
+ * - changes holds one { field, before, after } entry per changed field
+ * - entries are never updated or deleted (also kept after the project is deleted)
+ */
+
+const ActivityChangeSchema = new mongoose.Schema(
+  {
+    field: { type: String, required: true },
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null },
+  },
+  { _id: false }
+);
+
+const ActivityLogSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+
+    // Kept so the entry still makes sense after the project is deleted
+    projectName: { type: String, default: "" },
+
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    actorRole: { type: String, default: "" },
+
+    action: { type: String, required: true },
+
+    // What the action was applied to (worker, supplier, questionnaire instance...)
+    entityType: { type: String, default: "project" },
+    entityId: { type: String, default: "" },
+
+    changes: { type: [ActivityChangeSchema], default: [] },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+ActivityLogSchema.index({ project: 1, createdAt: -1 });
+
+/* ----- Append-only: block every update / delete ----- */
+
+function rejectWrite(next) {
+  next(new Error("Activity log entries cannot be changed or deleted"));
+}
+
+ActivityLogSchema.pre("save", function (next) {
+  if (!this.isNew) return rejectWrite(next);
+  next();
+});
+
+ActivityLogSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "replaceOne",
+    "findOneAndUpdate",
+    "findOneAndReplace",
+    "findOneAndDelete",
+    "deleteMany",
+  ],
+  rejectWrite
+);
+
+ActivityLogSchema.pre("deleteOne", { document: true, query: true }, rejectWrite);
+
+module.exports = mongoose.model("ActivityLog", ActivityLogSchema);
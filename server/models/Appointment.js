@@ -0,0 +1,70 @@
+// models/Appointment.js
+const mongoose = require("mongoose");
+
+/**
+ * Appointment model
+ *
+ * A site visit, meeting or delivery scheduled for a project.
+ * - attendees are the project's linked clients (users) and workers
+ *   (_id of a project.workers entry)
+ * - studio is copied from the project so a designer's calendar can be
+ *   loaded without going through every project
+ * - cancelled appointments are kept (calendar apps get STATUS:CANCELLED
+ *   through the .ics feed instead of the event silently disappearing)
+ */
+
+const APPOINTMENT_TYPES = [
+  "site_visit",
+  "client_meeting",
+  "worker_meeting",
+  "measurement",
+  "delivery",
+  "other",
+];
+const APPOINTMENT_STATUSES = ["scheduled", "cancelled"];
+
+const AppointmentSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+
+    studio: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Studio",
+      default: null,
+    },
+
+    type: { type: String, enum: APPOINTMENT_TYPES, default: "site_visit" },
+    title: { type: String, default: "", trim: true },
+
+    start: { type: Date, required: true },
+    end: { type: Date, required: true },
+    location: { type: String, default: "", trim: true },
+
+    clients: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    workers: [{ type: mongoose.Schema.Types.ObjectId }],
+
+    notes: { type: String, default: "" },
+    status: { type: String, enum: APPOINTMENT_STATUSES, default: "scheduled" },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+AppointmentSchema.index({ project: 1, start: 1 });
+AppointmentSchema.index({ studio: 1, start: 1 });
+AppointmentSchema.index({ clients: 1, start: 1 });
+
+const Appointment = mongoose.model("Appointment", AppointmentSchema);
+Appointment.APPOINTMENT_TYPES = APPOINTMENT_TYPES;
+Appointment.APPOINTMENT_STATUSES = APPOINTMENT_STATUSES;
+
+module.exports = Appointment;
@@ -0,0 +1,79 @@
+// models/Approval.js
+const mongoose = require("mongoose");
+
+/**
+ * Approval model
+ *
+ * A design decision the designer submitted for the client's sign-off.
+ * - kind: the color selections of the project, a design plan revision or
+ *   a supplier quote; itemId is the plan revision number / supplier _id
+ *   ("" for colors)
+ * - snapshot is a copy of what was submitted, so it is always clear what
+ *   the client agreed to (even after later edits)
+ * - status: pending -> approved / rejected (decided by a client with
+ *   decisions:approve) or withdrawn (by the designer)
+ * - an approved item is locked (no edits) until a designer reopens it;
+ *   reopening keeps the approval, only unlockedAt / unlockedBy are set
+ */
+
+const APPROVAL_KINDS = ["colors", "plan", "supplier_quote"];
+const APPROVAL_STATUSES = ["pending", "approved", "rejected", "withdrawn"];
+
+const ApprovalSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+
+    studio: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Studio",
+      default: null,
+    },
+
+    kind: { type: String, enum: APPROVAL_KINDS, required: true },
+    itemId: { type: String, default: "" },
+    title: { type: String, default: "" },
+
+    snapshot: { type: mongoose.Schema.Types.Mixed, default: null },
+    note: { type: String, default: "" },
+
+    status: { type: String, enum: APPROVAL_STATUSES, default: "pending" },
+
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    // Client decision (approve / reject) or designer withdrawal
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    decidedAt: { type: Date, default: null },
+    comment: { type: String, default: "" },
+
+    // Approved items stay locked until reopened
+    unlockedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    unlockedAt: { type: Date, default: null },
+    unlockReason: { type: String, default: "" },
+  },
+  { timestamps: true }
+);
+
+ApprovalSchema.index({ project: 1, createdAt: -1 });
+ApprovalSchema.index({ project: 1, kind: 1, status: 1 });
+
+const Approval = mongoose.model("Approval", ApprovalSchema);
+Approval.APPROVAL_KINDS = APPROVAL_KINDS;
+Approval.APPROVAL_STATUSES = APPROVAL_STATUSES;
+
+module.exports = Approval;
@@ -0,0 +1,118 @@
+// models/Invoice.js
+const mongoose = require("mongoose");
+const { CURRENCIES } = require("../utils/currency");
+
+/**
+ * Invoice model
+ *
+ * A bill to the project's client, built from tracked costs
+ * (project.workers / project.suppliers) plus the designer's fee.
+ * - number is "INV-<year>-<sequence>", sequence counts up per studio; both
+ *   are given when the invoice is sent (drafts have none), so deleted
+ *   drafts leave no gaps and the year is the year the invoice was issued
+ * - items are copied from the project when the invoice is created, so
+ *   later changes to a worker / supplier do not change issued invoices
+ * - status: draft -> sent -> paid; only drafts can be edited or deleted,
+ *   and clients only see sent / paid invoices
+ * - subtotal / taxTotal / total are stored (computed on every save), in
+ *   the project currency at the time the invoice was created
+ */
+
+const INVOICE_STATUSES = ["draft", "sent", "paid"];
+const INVOICE_ITEM_TYPES = ["worker", "supplier", "fee", "custom"];
+
+const InvoiceItemSchema = new mongoose.Schema(
+  {
+    sourceType: { type: String, enum: INVOICE_ITEM_TYPES, default: "custom" },
+
+    // worker / supplier _id inside the project (null for fee / custom)
+    sourceId: { type: mongoose.Schema.Types.ObjectId, default: null },
+
+    description: { type: String, default: "" },
+    quantity: { type: Number, default: 1, min: 0 },
+    unitPrice: { type: Number, default: 0, min: 0 },
+    amount: { type: Number, default: 0 },
+  },
+  { _id: true }
+);
+
+// Tax line, e.g. { label: "VAT", rate: 17 } (rate in percent)
+const InvoiceTaxSchema = new mongoose.Schema(
+  {
+    label: { type: String, default: "Tax", trim: true },
+    rate: { type: Number, default: 0, min: 0, max: 100 },
+    amount: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+const InvoiceSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+
+    studio: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Studio",
+      required: true,
+    },
+
+    sequence: { type: Number, default: null },
+    number: { type: String, default: "" },
+
+    status: { type: String, enum: INVOICE_STATUSES, default: "draft" },
+
+    items: { type: [InvoiceItemSchema], default: [] },
+    taxes: { type: [InvoiceTaxSchema], default: [] },
+
+    currency: { type: String, enum: CURRENCIES, default: "ILS" },
+    subtotal: { type: Number, default: 0 },
+    taxTotal: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+
+    issuedAt: { type: Date, default: Date.now },
+    dueDate: { type: Date, default: null },
+    sentAt: { type: Date, default: null },
+    paidAt: { type: Date, default: null },
+
+    notes: { type: String, default: "" },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+InvoiceSchema.index(
+  { studio: 1, sequence: 1 },
+  { unique: true, partialFilterExpression: { sequence: { $type: "number" } } }
+);
+InvoiceSchema.index({ project: 1, createdAt: -1 });
+
+/**
+ * Next free sequence number of a studio (1, 2, 3...).
+ * Two invoices sent at the same moment can get the same number; the
+ * unique index rejects the second one and the caller retries.
+ */
+InvoiceSchema.statics.nextSequence = async function nextSequence(studioId) {
+  const last = await this.findOne({ studio: studioId, sequence: { $type: "number" } })
+    .sort({ sequence: -1 })
+    .select("sequence");
+  return last ? last.sequence + 1 : 1;
+};
+
+InvoiceSchema.statics.formatNumber = function formatNumber(sequence, date = new Date()) {
+  return `INV-${date.getFullYear()}-${String(sequence).padStart(4, "0")}`;
+};
+
+const Invoice = mongoose.model("Invoice", InvoiceSchema);
+Invoice.INVOICE_STATUSES = INVOICE_STATUSES;
+Invoice.INVOICE_ITEM_TYPES = INVOICE_ITEM_TYPES;
+
+module.exports = Invoice;
@@ -0,0 +1,115 @@
+// models/MessageThread.js
+const mongoose = require("mongoose");
+
+/**
+ * MessageThread model
+ *
+ * A conversation between the designer side and the client side of a project.
+ * - anchor says what the thread is about: the whole project, a room, a
+ *   questionnaire question or one of its options (the comments shown next
+ *   to the question) or the color selection of a room; its label is
+ *   stored so the thread still makes sense after the anchor is renamed or
+ *   removed from the project
+ * - attachments are image URLs from the normal /upload-image pipeline
+ * - readBy holds the read receipts of a message (its author included)
+ * - lastMessageAt orders the thread list (newest conversation first)
+ */
+
+const THREAD_ANCHOR_KINDS = ["project", "room", "question", "option", "color"];
+
+const MessageAttachmentSchema = new mongoose.Schema(
+  {
+    url: { type: String, required: true },
+    name: { type: String, default: "" },
+  },
+  { _id: false }
+);
+
+const MessageReceiptSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    readAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const MessageSchema = new mongoose.Schema(
+  {
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    text: { type: String, default: "" },
+    attachments: { type: [MessageAttachmentSchema], default: [] },
+    readBy: { type: [MessageReceiptSchema], default: [] },
+
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: true }
+);
+
+const ThreadAnchorSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: THREAD_ANCHOR_KINDS, default: "project" },
+
+    // room / color: the room name (as used by project.colorSelections) and
+    // the project room it belongs to, if any (renames follow the room)
+    roomName: { type: String, default: "" },
+    roomId: { type: mongoose.Schema.Types.ObjectId, default: null },
+
+    // question / option: the questionnaire instance + question (+ option)
+    // _id inside the project, and the template ids they came from
+    // (sourceQuestionId / sourceOptionId) so the thread still finds its
+    // question after the template is re-applied
+    questionnaire: { type: mongoose.Schema.Types.ObjectId, default: null },
+    question: { type: mongoose.Schema.Types.ObjectId, default: null },
+    sourceQuestion: { type: mongoose.Schema.Types.ObjectId, default: null },
+    option: { type: mongoose.Schema.Types.ObjectId, default: null },
+    sourceOption: { type: mongoose.Schema.Types.ObjectId, default: null },
+
+    label: { type: String, default: "" },
+  },
+  { _id: false }
+);
+
+const MessageThreadSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+
+    studio: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Studio",
+      default: null,
+    },
+
+    subject: { type: String, required: true, trim: true },
+    anchor: { type: ThreadAnchorSchema, default: () => ({}) },
+
+    messages: { type: [MessageSchema], default: [] },
+    lastMessageAt: { type: Date, default: Date.now },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+MessageThreadSchema.index({ project: 1, lastMessageAt: -1 });
+
+const MessageThread = mongoose.model("MessageThread", MessageThreadSchema);
+MessageThread.THREAD_ANCHOR_KINDS = THREAD_ANCHOR_KINDS;
+
+module.exports = MessageThread;
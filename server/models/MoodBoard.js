@@ -0,0 +1,102 @@
+// models/MoodBoard.js
+const mongoose = require("mongoose");
+
+/**
+ * MoodBoard model
+ *
+ * A canvas of inspiration for a project or one of its rooms (roomId).
+ * - items are images (URLs from /upload-image), color swatches (hex values,
+ *   usually taken from the project's colorSelections) and notes
+ * - x / y / width / height place an item on the board (pixels of a fixed
+ *   size canvas, see MOOD_BOARD_SIZE); z orders overlapping items
+ * - shared boards are visible (read-only) to the clients of the project,
+ *   who can like / dislike single items (reactions, one per user)
+ */
+
+const MOOD_ITEM_KINDS = ["image", "color", "note"];
+const MOOD_REACTIONS = ["like", "dislike"];
+const MOOD_BOARD_SIZE = { width: 1000, height: 700 };
+
+const MoodReactionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    value: { type: String, enum: MOOD_REACTIONS, required: true },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const MoodItemSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: MOOD_ITEM_KINDS, required: true },
+
+    // image: imageUrl (+ caption); color: color hex + caption as its label;
+    // note: text
+    imageUrl: { type: String, default: "" },
+    color: { type: String, default: "" },
+    text: { type: String, default: "" },
+    caption: { type: String, default: "" },
+
+    x: { type: Number, default: 0 },
+    y: { type: Number, default: 0 },
+    width: { type: Number, default: 200 },
+    height: { type: Number, default: 160 },
+    z: { type: Number, default: 0 },
+
+    reactions: { type: [MoodReactionSchema], default: [] },
+
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { _id: true, timestamps: true }
+);
+
+const MoodBoardSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+
+    studio: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Studio",
+      default: null,
+    },
+
+    title: { type: String, required: true, trim: true },
+    description: { type: String, default: "" },
+
+    // Room of the project (project.rooms), null = the whole project
+    roomId: { type: mongoose.Schema.Types.ObjectId, default: null },
+
+    shared: { type: Boolean, default: false },
+    sharedAt: { type: Date, default: null },
+
+    items: { type: [MoodItemSchema], default: [] },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+MoodBoardSchema.index({ project: 1, updatedAt: -1 });
+
+const MoodBoard = mongoose.model("MoodBoard", MoodBoardSchema);
+MoodBoard.MOOD_ITEM_KINDS = MOOD_ITEM_KINDS;
+MoodBoard.MOOD_REACTIONS = MOOD_REACTIONS;
+MoodBoard.MOOD_BOARD_SIZE = MOOD_BOARD_SIZE;
+
+module.exports = MoodBoard;
@@ -0,0 +1,84 @@
+// models/Notification.js
+const mongoose = require("mongoose");
+
+/**
+ * Notification model
+ *
+ * One in-app notification for one recipient (the notifications center).
+ * - type says what happened, e.g. "invite.received", "plan.update"
+ * - message is the text shown to the recipient, link the page it opens
+ * - readAt is null until the recipient reads it (or marks all read)
+ * - project / actor are kept as names too, so old notifications still
+ *   make sense after the project or user is gone
+ * - emailStatus tracks the email copy (see notifications/email.js):
+ *   none (not wanted), pending (waits for the digest), sent, failed
+ */
+
+const NOTIFICATION_TYPES = [
+  "invite.received",
+  "invite.accepted",
+  "invite.rejected",
+  "questionnaire.answers",
+  "questionnaire.sync",
+  "plan.update",
+  "colors.update",
+  "message.new",
+  "approval.requested",
+  "approval.approved",
+  "approval.rejected",
+  "approval.reopened",
+  "moodboard.shared",
+  "moodboard.reaction",
+  "document.shared",
+];
+const EMAIL_STATUSES = ["none", "pending", "sent", "failed"];
+
+const NotificationSchema = new mongoose.Schema(
+  {
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    type: { type: String, enum: NOTIFICATION_TYPES, required: true },
+    message: { type: String, required: true },
+    link: { type: String, default: "" },
+
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      default: null,
+    },
+    projectName: { type: String, default: "" },
+
+    // Studio of the project (its email templates are used)
+    studio: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Studio",
+      default: null,
+    },
+
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    actorName: { type: String, default: "" },
+
+    readAt: { type: Date, default: null },
+
+    emailStatus: { type: String, enum: EMAIL_STATUSES, default: "none" },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+NotificationSchema.index({ recipient: 1, createdAt: -1 });
+NotificationSchema.index({ recipient: 1, readAt: 1 });
+NotificationSchema.index({ emailStatus: 1, recipient: 1 });
+
+const Notification = mongoose.model("Notification", NotificationSchema);
+Notification.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+Notification.EMAIL_STATUSES = EMAIL_STATUSES;
+
+module.exports = Notification;
@@ -33,12 +33,21 @@ const DesignPreferenceSchema = new mongoose.Schema(
 );
 
 /**
- * Options document per designer.
- * One document per designer that stores all their topics + options.
+ * Options document per studio.
+ * One document per studio that stores all its topics + options
+ * (shared by every designer in the studio).
  */
 const OptionSchema = new mongoose.Schema(
   {
-    // Designer that owns these options
+    // Studio that owns these options
+    studio: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Studio",
+      default: null,
+      index: true,
+    },
+
+    // Designer that created the document
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
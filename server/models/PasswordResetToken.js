@@ -0,0 +1,30 @@
+// models/PasswordResetToken.js
+const mongoose = require("mongoose");
+
+/**
+ * PasswordResetToken model
+ *
+ * One-time token used by the "forgot password" flow.
+ * - Only the SHA-256 hash is stored; the raw token is sent by email.
+ * - usedAt is set once the password was reset, so it cannot be reused.
+ */
+const PasswordResetTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+// Let MongoDB clean up expired tokens automatically
+PasswordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("PasswordResetToken", PasswordResetTokenSchema);
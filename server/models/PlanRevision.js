@@ -0,0 +1,41 @@
+// models/PlanRevision.js
+const mongoose = require("mongoose");
+
+/**
+ * PlanRevision model
+ *
+ * Version history of a project's design plan + notes.
+ * - A new revision is stored every time the plan or notes are saved
+ * - number counts up per project (1, 2, 3...)
+ * - restoredFrom is set when the revision was created by restoring an
+ *   older one
+ * - author is null for the "baseline" revision: the text that existed
+ *   before version history was recorded for the project
+ */
+const PlanRevisionSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+
+    number: { type: Number, required: true },
+
+    designPlan: { type: String, default: "" },
+    notes: { type: String, default: "" },
+
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    restoredFrom: { type: Number, default: null },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+PlanRevisionSchema.index({ project: 1, number: -1 }, { unique: true });
+
+module.exports = mongoose.model("PlanRevision", PlanRevisionSchema);
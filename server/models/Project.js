@@ -1,12 +1,49 @@
 // models/Project.js
 const mongoose = require("mongoose");
+const { CURRENCIES, DEFAULT_VAT_RATE } = require("../utils/currency");
 
 /**
  * Project model
  *
- * Holds all project data: workers, suppliers, plan/notes, color selections,
- * client linking (invites), and project-level questionnaire instances + answers.
+ * Holds all project data: rooms, workers, suppliers, plan/notes, color
+ * selections, budget lines, payments, timeline (phases + tasks), task board
+ * (kanban), client linking (invites), and project-level questionnaire
+ * instances + answers.
+ *
+ * Rooms: color selections, questionnaire instances, budget lines and
+ * suppliers can point at a room (roomId = _id of a rooms entry). Their room
+ * name fields (roomName / room) are kept as labels, so data that is not
+ * linked to a room (yet) still shows where it belongs.
+ *
+ * Money: budget is in the project currency; each worker / supplier cost
+ * has its own currency (null = project currency) and says whether it
+ * includes VAT. Totals are converted with the studio's exchange rates
+ * (see utils/projectTotals.js).
+ */
+
+/* =========================================================
+ * Sub-docs: Rooms
+ * ========================================================= */
+
+/**
+ * Room / area of the project. roomType uses the same free-text types as
+ * questionnaire templates ("Kitchen", "Bedroom"...); dimensions are in
+ * meters (null = not measured yet).
  */
+const RoomSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    roomType: { type: String, default: "" },
+    floor: { type: String, default: "" },
+    dimensions: {
+      length: { type: Number, default: null, min: 0 },
+      width: { type: Number, default: null, min: 0 },
+      height: { type: Number, default: null, min: 0 },
+    },
+    notes: { type: String, default: "" },
+  },
+  { _id: true, timestamps: true }
+);
 
 /* =========================================================
  * Sub-docs: Workers & Suppliers
@@ -18,7 +55,12 @@ const WorkerSchema = new mongoose.Schema(
     role: { type: String, default: "" },
     phone: { type: String, default: "" },
     cost: { type: Number, default: 0 },
+    currency: { type: String, enum: CURRENCIES, default: null },
+    vatIncluded: { type: Boolean, default: true },
     description: { type: String, default: "" },
+
+    // Budget line this cost is booked on (_id of a budgetLines entry)
+    budgetLine: { type: mongoose.Schema.Types.ObjectId, default: null },
   },
   { _id: true }
 );
@@ -29,12 +71,203 @@ const SupplierSchema = new mongoose.Schema(
     supplierName: { type: String, default: "" },
     product: { type: String, default: "" },
     price: { type: Number, default: 0 },
+    currency: { type: String, enum: CURRENCIES, default: null },
+    vatIncluded: { type: Boolean, default: true },
     contactName: { type: String, default: "" },
     phone: { type: String, default: "" },
+
+    // Budget line this cost is booked on (_id of a budgetLines entry)
+    budgetLine: { type: mongoose.Schema.Types.ObjectId, default: null },
+
+    // Room the product is for (_id of a rooms entry)
+    roomId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  },
+  { _id: true }
+);
+
+/* =========================================================
+ * Sub-docs: Budget lines
+ * ========================================================= */
+
+/**
+ * Planned amount for a category (optionally per room).
+ * Actual costs come from the workers / suppliers linked to the line.
+ */
+const BUDGET_CATEGORIES = [
+  "construction",
+  "electrical",
+  "plumbing",
+  "flooring",
+  "painting",
+  "carpentry",
+  "furniture",
+  "lighting",
+  "textiles",
+  "decor",
+  "appliances",
+  "labor",
+  "other",
+];
+
+const BudgetLineSchema = new mongoose.Schema(
+  {
+    category: { type: String, enum: BUDGET_CATEGORIES, default: "other" },
+
+    // room: label; roomId: the linked room (its name is copied into room)
+    room: { type: String, default: "" },
+    roomId: { type: mongoose.Schema.Types.ObjectId, default: null },
+
+    description: { type: String, default: "" },
+    planned: { type: Number, default: 0, min: 0 },
+  },
+  { _id: true, timestamps: true }
+);
+
+/* =========================================================
+ * Sub-docs: Payments (installments per worker / supplier)
+ * ========================================================= */
+
+/**
+ * One payment to a worker or supplier of the project.
+ * - scheduled: planned installment (dueDate); shown as "overdue" once the
+ *   due date has passed (computed, see utils/payments.js)
+ * - paid: money was paid (paidAt, method, reference, receipt attachment)
+ */
+const PAYEE_TYPES = ["worker", "supplier"];
+const PAYMENT_STATUSES = ["scheduled", "paid"];
+const PAYMENT_METHODS = ["cash", "bank_transfer", "credit_card", "check", "other"];
+
+const PaymentSchema = new mongoose.Schema(
+  {
+    payeeType: { type: String, enum: PAYEE_TYPES, required: true },
+    payee: { type: mongoose.Schema.Types.ObjectId, required: true }, // worker / supplier _id
+
+    amount: { type: Number, required: true, min: 0 },
+    // null = the payee's cost currency (payments recorded before currencies)
+    currency: { type: String, enum: CURRENCIES, default: null },
+    dueDate: { type: Date, default: null },
+
+    status: { type: String, enum: PAYMENT_STATUSES, default: "scheduled" },
+    paidAt: { type: Date, default: null },
+    method: { type: String, enum: PAYMENT_METHODS, default: "other" },
+    reference: { type: String, default: "" },
+    attachmentUrl: { type: String, default: "" }, // receipt image from /upload-image
+    note: { type: String, default: "" },
+  },
+  { _id: true, timestamps: true }
+);
+
+/* =========================================================
+ * Sub-docs: Timeline (phases, tasks, milestones)
+ * ========================================================= */
+
+/**
+ * Work phase of the project (demolition, electrical, carpentry...).
+ * Phase dates are not stored - they span the phase's tasks.
+ */
+const PhaseSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    color: { type: String, default: "#ff6f91" },
+    order: { type: Number, default: 0 },
+  },
+  { _id: true }
+);
+
+/**
+ * Scheduled task on the timeline.
+ * - milestone: a single date (endDate = startDate), e.g. "kitchen delivered"
+ * - dependsOn: tasks (_id) that must finish before this one starts
+ * - assignee: a worker of the project (_id of a workers entry) or null
+ */
+const TASK_STATUSES = ["not_started", "in_progress", "done", "blocked"];
+
+const TimelineTaskSchema = new mongoose.Schema(
+  {
+    title: { type: String, required: true, trim: true },
+    phase: { type: mongoose.Schema.Types.ObjectId, default: null },
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, required: true },
+    milestone: { type: Boolean, default: false },
+    dependsOn: { type: [mongoose.Schema.Types.ObjectId], default: [] },
+    assignee: { type: mongoose.Schema.Types.ObjectId, default: null },
+    status: { type: String, enum: TASK_STATUSES, default: "not_started" },
+    description: { type: String, default: "" },
+  },
+  { _id: true, timestamps: true }
+);
+
+/* =========================================================
+ * Sub-docs: Task board (kanban columns + cards)
+ * ========================================================= */
+
+/**
+ * Board column. Cards in a "done" column count as completed.
+ * New projects start with DEFAULT_BOARD_COLUMNS. Their ids are fixed (column
+ * ids only have to be unique inside a project), so the defaults a project
+ * shows before they are saved keep their ids.
+ */
+const DEFAULT_BOARD_COLUMNS = [
+  { _id: "64b000000000000000000001", name: "To do", order: 0, done: false },
+  { _id: "64b000000000000000000002", name: "In progress", order: 1, done: false },
+  { _id: "64b000000000000000000003", name: "Done", order: 2, done: true },
+];
+
+const BoardColumnSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    order: { type: Number, default: 0 },
+    done: { type: Boolean, default: false },
+  },
+  { _id: true }
+);
+
+const ChecklistItemSchema = new mongoose.Schema(
+  {
+    text: { type: String, required: true, trim: true },
+    done: { type: Boolean, default: false },
+  },
+  { _id: true }
+);
+
+const CardCommentSchema = new mongoose.Schema(
+  {
+    author: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    text: { type: String, required: true, trim: true },
+    createdAt: { type: Date, default: Date.now },
   },
   { _id: true }
 );
 
+/**
+ * To-do card on the board.
+ * - column: _id of a boardColumns entry; order = position inside the column
+ * - assignee: a user on the project team (designer / client / contractor)
+ *   or a worker of the project (assigneeType says which)
+ */
+const CARD_ASSIGNEE_TYPES = ["user", "worker"];
+
+const BoardCardSchema = new mongoose.Schema(
+  {
+    title: { type: String, required: true, trim: true },
+    description: { type: String, default: "" },
+    column: { type: mongoose.Schema.Types.ObjectId, required: true },
+    order: { type: Number, default: 0 },
+
+    assigneeType: { type: String, enum: CARD_ASSIGNEE_TYPES, default: null },
+    assignee: { type: mongoose.Schema.Types.ObjectId, default: null },
+
+    dueDate: { type: Date, default: null },
+    checklist: { type: [ChecklistItemSchema], default: [] },
+    comments: { type: [CardCommentSchema], default: [] },
+
+    completedAt: { type: Date, default: null },
+    completedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { _id: true, timestamps: true }
+);
+
 /* =========================================================
  * Sub-docs: Questionnaire Answers (saved per project instance)
  * ========================================================= */
@@ -85,6 +318,9 @@ const ProjectQuestionnaireSchema = new mongoose.Schema(
     description: { type: String, default: "" },
     roomType: { type: String, default: "" },
 
+    // Room this questionnaire is about (_id of a rooms entry), if any
+    roomId: { type: mongoose.Schema.Types.ObjectId, default: null },
+
     syncedAt: { type: Date, default: null },
     isCustomized: { type: Boolean, default: false },
 
@@ -125,7 +361,9 @@ const ProjectQuestionnaireSchema = new mongoose.Schema(
 
 const ColorSelectionSchema = new mongoose.Schema(
   {
+    // roomName: label; roomId: the linked room (its name is copied into roomName)
     roomName: { type: String, required: true },
+    roomId: { type: mongoose.Schema.Types.ObjectId, default: null },
     wallColor: { type: String, default: "" },
     furnitureColor: { type: String, default: "" },
     floorColor: { type: String, default: "" },
@@ -135,6 +373,33 @@ const ColorSelectionSchema = new mongoose.Schema(
   { _id: false }
 );
 
+/* =========================================================
+ * Sub-docs: Project team (per-project roles)
+ * ========================================================= */
+
+/**
+ * Explicit per-project role of a user.
+ * Users without an entry get a default role (see middlewares/projectAccess.js).
+ */
+const PROJECT_ROLES = ["lead_designer", "assistant", "contractor", "client", "client_approver"];
+
+const CollaboratorSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    role: { type: String, enum: PROJECT_ROLES, required: true },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    addedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
 /* =========================================================
  * Project Schema
  * ========================================================= */
@@ -146,8 +411,22 @@ const ProjectSchema = new mongoose.Schema(
     endDate: { type: Date, default: null },
     budget: { type: Number, default: 0 },
 
+    // Currency of the budget and of all totals; VAT rate in percent
+    currency: { type: String, enum: CURRENCIES, default: "ILS" },
+    vatRate: { type: Number, default: DEFAULT_VAT_RATE, min: 0, max: 100 },
+    budgetIncludesVat: { type: Boolean, default: true },
+
     clientUsername: { type: String, required: true },
 
+    // Studio that owns the project (all its designers share it)
+    studio: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Studio",
+      default: null,
+      index: true,
+    },
+
+    // Designer that created the project
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -187,9 +466,32 @@ const ProjectSchema = new mongoose.Schema(
       },
     ],
 
+    // Per-project roles (lead designer, assistant, contractor, client approver...)
+    collaborators: { type: [CollaboratorSchema], default: [] },
+
+    // Rooms / areas (see the Rooms sub-doc above)
+    rooms: { type: [RoomSchema], default: [] },
+
     workers: { type: [WorkerSchema], default: [] },
     suppliers: { type: [SupplierSchema], default: [] },
 
+    // Planned budget split by category / room (see utils/budget.js for the summary)
+    budgetLines: { type: [BudgetLineSchema], default: [] },
+
+    // Payment records + installment schedule for workers / suppliers
+    payments: { type: [PaymentSchema], default: [] },
+
+    // Schedule: phases + tasks with dependencies (see utils/timeline.js)
+    phases: { type: [PhaseSchema], default: [] },
+    timelineTasks: { type: [TimelineTaskSchema], default: [] },
+
+    // Kanban to-do board (see utils/board.js)
+    boardColumns: {
+      type: [BoardColumnSchema],
+      default: () => DEFAULT_BOARD_COLUMNS.map((c) => ({ ...c })),
+    },
+    boardCards: { type: [BoardCardSchema], default: [] },
+
     designPlan: { type: String, default: "" },
     notes: { type: String, default: "" },
 
@@ -198,8 +500,28 @@ const ProjectSchema = new mongoose.Schema(
 
     // Color/material preferences per room
     colorSelections: { type: [ColorSelectionSchema], default: [] },
+
+    // Folders of the document area ("/" separated paths, see ProjectDocument)
+    documentFolders: { type: [String], default: [] },
   },
-  { timestamps: true }
+  {
+    timestamps: true,
+
+    // Every save bumps __v and fails if someone else saved in between.
+    // __v is also the version token clients send back (If-Match).
+    optimisticConcurrency: true,
+  }
 );
 
-module.exports = mongoose.model("Project", ProjectSchema);
+const Project = mongoose.model("Project", ProjectSchema);
+Project.PROJECT_ROLES = PROJECT_ROLES;
+Project.BUDGET_CATEGORIES = BUDGET_CATEGORIES;
+Project.PAYEE_TYPES = PAYEE_TYPES;
+Project.PAYMENT_STATUSES = PAYMENT_STATUSES;
+Project.PAYMENT_METHODS = PAYMENT_METHODS;
+Project.TASK_STATUSES = TASK_STATUSES;
+Project.DEFAULT_BOARD_COLUMNS = DEFAULT_BOARD_COLUMNS;
+Project.CARD_ASSIGNEE_TYPES = CARD_ASSIGNEE_TYPES;
+Project.CURRENCIES = CURRENCIES;
+
+module.exports = Project;
@@ -0,0 +1,76 @@
+// models/ProjectDocument.js
+const mongoose = require("mongoose");
+
+/**
+ * ProjectDocument model
+ *
+ * A file of a project's document area (contracts, floor plans, quotes,
+ * permits, ...). Any file type; see the upload limits in app.js.
+ * - folder is a "/" separated path ("" = top level), the folders of a
+ *   project are listed in project.documentFolders
+ * - visibility: "team" (design team only) or "client" (shared with the
+ *   client and the other read-only roles of the project)
+ * - every upload of the same document is a new version; storage (driver
+ *   name, see storage/) + storageKey is where the file is stored and is
+ *   never sent to the browser (downloads go through the API, which checks
+ *   project access)
+ */
+
+const DOCUMENT_VISIBILITIES = ["team", "client"];
+
+const DocumentVersionSchema = new mongoose.Schema(
+  {
+    number: { type: Number, required: true },
+    storage: { type: String, default: "local" },
+    storageKey: { type: String, required: true },
+    originalName: { type: String, default: "" },
+    mimeType: { type: String, default: "application/octet-stream" },
+    size: { type: Number, default: 0 },
+    note: { type: String, default: "" },
+
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    uploadedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const ProjectDocumentSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+
+    studio: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Studio",
+      default: null,
+    },
+
+    name: { type: String, required: true, trim: true },
+    folder: { type: String, default: "" },
+    visibility: { type: String, enum: DOCUMENT_VISIBILITIES, default: "team" },
+
+    versions: { type: [DocumentVersionSchema], default: [] },
+    currentVersion: { type: Number, default: 1 },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+ProjectDocumentSchema.index({ project: 1, folder: 1, name: 1 });
+
+const ProjectDocument = mongoose.model("ProjectDocument", ProjectDocumentSchema);
+ProjectDocument.DOCUMENT_VISIBILITIES = DOCUMENT_VISIBILITIES;
+
+module.exports = ProjectDocument;
@@ -36,6 +36,8 @@ const QuestionnaireTemplateSchema = new mongoose.Schema(
     description: { type: String, default: "" },
     roomType: { type: String, default: "" },
 
+    // Studio that owns the template + designer that created it
+    studio: { type: mongoose.Schema.Types.ObjectId, ref: "Studio", default: null, index: true },
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
 
     questions: { type: [QuestionSchema], default: [] },
@@ -0,0 +1,38 @@
+// models/RefreshToken.js
+const mongoose = require("mongoose");
+
+/**
+ * RefreshToken model
+ *
+ * Server-side record of every refresh token we issued.
+ * - Only a SHA-256 hash of the token is stored (never the raw value).
+ * - Tokens are single use: refreshing revokes the old one and points
+ *   replacedBy at the new one (rotation).
+ * - Logout revokes the token, so it can never be used again.
+ */
+const RefreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+
+    revokedAt: { type: Date, default: null },
+    replacedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RefreshToken",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Let MongoDB clean up expired tokens automatically
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RefreshToken", RefreshTokenSchema);
@@ -0,0 +1,99 @@
+// models/Studio.js
+const mongoose = require("mongoose");
+const { CURRENCIES } = require("../utils/currency");
+
+/**
+ * Studio model
+ *
+ * A design studio (organization) that owns projects, questionnaire
+ * templates and the design options library. Designers work inside a
+ * studio and share everything it owns.
+ *
+ * Member roles:
+ * - owner:    manage members + full edit
+ * - designer: full edit of studio content
+ * - viewer:   read-only access to studio content
+ *
+ * A designer belongs to exactly one studio. Designers without a studio
+ * get a personal one (they are its owner) the first time they need it.
+ *
+ * exchangeRates: manually maintained table used to convert costs into a
+ * project's currency (1 unit of currency = rate ILS).
+ *
+ * emailTemplates: the studio's own wording of notification emails, one per
+ * notification type (+ "digest"); types without one use the defaults in
+ * mail/templates.js.
+ */
+
+const STUDIO_ROLES = ["owner", "designer", "viewer"];
+
+const StudioMemberSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    role: { type: String, enum: STUDIO_ROLES, default: "designer" },
+    joinedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const ExchangeRateSchema = new mongoose.Schema(
+  {
+    currency: { type: String, enum: CURRENCIES, required: true },
+    rate: { type: Number, required: true, min: 0 },
+    updatedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const EmailTemplateSchema = new mongoose.Schema(
+  {
+    type: { type: String, required: true },
+    subject: { type: String, required: true, trim: true },
+    text: { type: String, required: true },
+    updatedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const StudioSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    members: { type: [StudioMemberSchema], default: [] },
+
+    exchangeRates: { type: [ExchangeRateSchema], default: [] },
+
+    emailTemplates: { type: [EmailTemplateSchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+// A designer belongs to exactly one studio; also stops two concurrent first
+// requests from creating two personal studios (see ensureStudio)
+StudioSchema.index(
+  { "members.user": 1 },
+  { unique: true, partialFilterExpression: { "members.user": { $exists: true } } }
+);
+
+/**
+ * Return the role of a user inside this studio (or null if not a member).
+ */
+StudioSchema.methods.roleOf = function roleOf(userId) {
+  const member = (this.members || []).find((m) => String(m.user?._id || m.user) === String(userId));
+  return member ? member.role : null;
+};
+
+const Studio = mongoose.model("Studio", StudioSchema);
+Studio.STUDIO_ROLES = STUDIO_ROLES;
+
+module.exports = Studio;
@@ -5,14 +5,34 @@ const bcrypt = require("bcryptjs");
 /**
  * User model
  *
- * Stores basic credentials + role.
+ * Stores basic credentials + role (+ optional email for password reset and
+ * notification emails, calendar feed token hash).
+ *
+ * emailNotifications: how in-app notifications are also emailed
+ * - instant: one email per notification
+ * - digest:  one summary email every EMAIL_DIGEST_HOURS (default 24)
+ * - off:     no notification emails
+ * mutedTypes lists notification types the user never wants by email.
  * Password should be saved hashed (currently hashed in the register route).
  */
+const EMAIL_MODES = ["instant", "digest", "off"];
+
 const UserSchema = new mongoose.Schema(
   {
     username: { type: String, required: true, unique: true, trim: true },
     password: { type: String, required: true }, // hashed password
-    role: { type: String, enum: ["client", "designer"], required: true },
+    email: { type: String, trim: true, lowercase: true, default: "" }, // used for password reset
+    role: { type: String, enum: ["client", "designer", "contractor"], required: true },
+
+    // Secret of the personal calendar feed (.ics subscription URL).
+    // Only the SHA-256 hash is stored; the raw token is shown once.
+    calendarFeedTokenHash: { type: String, default: undefined, unique: true, sparse: true },
+
+    emailNotifications: {
+      mode: { type: String, enum: EMAIL_MODES, default: "instant" },
+      mutedTypes: { type: [String], default: [] },
+      lastDigestAt: { type: Date, default: null },
+    },
   },
   { timestamps: true }
 );
@@ -32,4 +52,7 @@ UserSchema.statics.verifyPassword = function verifyPassword(inputPassword, store
 //   next();
 // });
 
-module.exports = mongoose.model("User", UserSchema);
+const User = mongoose.model("User", UserSchema);
+User.EMAIL_MODES = EMAIL_MODES;
+
+module.exports = User;
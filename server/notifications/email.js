@@ -0,0 +1,147 @@
+// notifications/email.js
+// Email copies of notifications: instant emails + periodic digests
+
+const Notification = require("../models/Notification");
+const User = require("../models/User");
+const Studio = require("../models/Studio");
+const { sendMail } = require("../mail");
+const { renderEmail } = require("../mail/templates");
+
+const appUrl = () => process.env.APP_URL || "http://localhost:3000";
+
+function digestHours() {
+  return Number(process.env.EMAIL_DIGEST_HOURS) || 24;
+}
+
+/**
+ * Does this user want an email about this notification type?
+ */
+function wantsEmail(user, type) {
+  const prefs = user.emailNotifications || {};
+  return Boolean(user.email) && prefs.mode !== "off" && !(prefs.mutedTypes || []).includes(type);
+}
+
+function notificationVars(user, notification) {
+  return {
+    recipientName: user.username,
+    actorName: notification.actorName || "Someone",
+    projectName: notification.projectName,
+    message: notification.message,
+    link: notification.link ? `${appUrl()}${notification.link}` : appUrl(),
+  };
+}
+
+async function loadStudios(ids) {
+  const unique = [...new Set(ids.filter(Boolean).map(String))];
+  const studios = await Studio.find({ _id: { $in: unique } }).select("emailTemplates").lean();
+  return new Map(studios.map((s) => [String(s._id), s]));
+}
+
+/**
+ * Handle the email side of freshly created notifications:
+ * - instant: send one email each (emailStatus sent / failed)
+ * - digest:  emailStatus pending (sendDigests picks them up)
+ * - not wanted (off, muted type, no email address): emailStatus stays none
+ */
+async function emailNotifications(notifications) {
+  if (notifications.length === 0) return;
+
+  const users = await User.find({ _id: { $in: notifications.map((n) => n.recipient) } })
+    .select("username email emailNotifications")
+    .lean();
+  const usersById = new Map(users.map((u) => [String(u._id), u]));
+  const studios = await loadStudios(notifications.map((n) => n.studio));
+
+  for (const notification of notifications) {
+    const user = usersById.get(String(notification.recipient));
+    if (!user || !wantsEmail(user, notification.type)) continue;
+
+    if (user.emailNotifications?.mode === "digest") {
+      await Notification.updateOne({ _id: notification._id }, { emailStatus: "pending" });
+      continue;
+    }
+
+    const studio = studios.get(String(notification.studio));
+    const email = renderEmail(studio, notification.type, notificationVars(user, notification));
+    if (!email) continue;
+
+    let emailStatus = "sent";
+    try {
+      await sendMail({ to: user.email, ...email });
+    } catch (err) {
+      console.error("Notification email error:", err);
+      emailStatus = "failed";
+    }
+    await Notification.updateOne({ _id: notification._id }, { emailStatus });
+  }
+}
+
+/**
+ * Send the digest email to every user whose pending notifications waited
+ * long enough: EMAIL_DIGEST_HOURS since their last digest (or, before the
+ * first digest, since their oldest pending notification).
+ * Users who switched digest off meanwhile get nothing; their pending
+ * notifications go back to emailStatus none.
+ */
+async function sendDigests(now = new Date()) {
+  const recipients = await Notification.distinct("recipient", { emailStatus: "pending" });
+  const since = new Date(now.getTime() - digestHours() * 60 * 60 * 1000);
+  let sent = 0;
+
+  for (const recipientId of recipients) {
+    const user = await User.findById(recipientId)
+      .select("username email emailNotifications")
+      .lean();
+    const pendingFilter = { recipient: recipientId, emailStatus: "pending" };
+
+    if (!user || !user.email || user.emailNotifications?.mode !== "digest") {
+      await Notification.updateMany(pendingFilter, { emailStatus: "none" });
+      continue;
+    }
+
+    const pending = await Notification.find(pendingFilter).sort({ createdAt: 1 }).lean();
+    const windowStart = user.emailNotifications.lastDigestAt || pending[0]?.createdAt;
+    if (!windowStart || windowStart > since) continue;
+
+    const mutedTypes = user.emailNotifications.mutedTypes || [];
+    const items = pending.filter((n) => !mutedTypes.includes(n.type));
+    const muted = pending.filter((n) => mutedTypes.includes(n.type));
+
+    // The newest notification's studio decides the digest wording
+    const newest = pending[pending.length - 1];
+    const studio = newest.studio
+      ? await Studio.findById(newest.studio).select("emailTemplates").lean()
+      : null;
+
+    let emailStatus = "sent";
+    if (items.length > 0) {
+      const email = renderEmail(studio, "digest", {
+        recipientName: user.username,
+        count: items.length,
+        items: items
+          .map((n) => {
+            const { actorName, projectName, message, link } = notificationVars(user, n);
+            return `- ${actorName} ${message}${projectName ? ` (${projectName})` : ""}\n  ${link}`;
+          })
+          .join("\n"),
+      });
+
+      try {
+        await sendMail({ to: user.email, ...email });
+        sent++;
+      } catch (err) {
+        console.error("Digest email error:", err);
+        emailStatus = "failed";
+      }
+    }
+
+    const ids = (list) => ({ _id: { $in: list.map((n) => n._id) } });
+    await Notification.updateMany(ids(items), { emailStatus });
+    await Notification.updateMany(ids(muted), { emailStatus: "none" });
+    await User.updateOne({ _id: user._id }, { "emailNotifications.lastDigestAt": now });
+  }
+
+  return sent;
+}
+
+module.exports = { emailNotifications, sendDigests };
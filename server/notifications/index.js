@@ -0,0 +1,55 @@
+// notifications/index.js
+// In-app notifications: create one notification per recipient of an event
+
+const Notification = require("../models/Notification");
+const User = require("../models/User");
+const { emailNotifications, sendDigests } = require("./email");
+
+/**
+ * Notify users about something req.user did.
+ * event: { recipients: [userId], type, message, link?, project? }
+ * - the actor never gets a notification about their own change
+ * - duplicate recipients get one notification
+ * - recipients who want emails get them in the background
+ *   (see notifications/email.js); the request does not wait for delivery
+ *
+ * Like the activity log, notifying never fails the request:
+ * errors are only written to the console.
+ */
+async function notify(req, event) {
+  try {
+    const { recipients = [], type, message, link = "", project = null } = event;
+
+    const ids = [...new Set(recipients.filter(Boolean).map(String))].filter(
+      (id) => id !== String(req.user.id)
+    );
+    if (ids.length === 0) return [];
+
+    const actor = await User.findById(req.user.id).select("username").lean();
+
+    const notifications = await Notification.insertMany(
+      ids.map((recipient) => ({
+        recipient,
+        type,
+        message,
+        link,
+        project: project?._id || null,
+        projectName: project?.name || "",
+        studio: project?.studio || null,
+        actor: req.user.id,
+        actorName: actor?.username || "",
+      }))
+    );
+
+    emailNotifications(notifications).catch((err) =>
+      console.error("Notification email error:", err)
+    );
+
+    return notifications;
+  } catch (err) {
+    console.error("Notification error:", err);
+    return [];
+  }
+}
+
+module.exports = { notify, sendDigests };
@@ -0,0 +1,75 @@
+// realtime/index.js
+// Live project updates over Server-Sent Events (one stream per open project page)
+
+const HEARTBEAT_MS = 25 * 1000;
+
+// Streams are closed after a while so the client reconnects with a fresh
+// access token and the project permissions are checked again
+const STREAM_MAX_MS = 10 * 60 * 1000;
+
+// projectId -> Set of { res, userId, permissions }
+const channels = new Map();
+
+function write(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Turn the response into an event stream for one project.
+ * viewer: { projectId, userId, permissions } - permissions decide which
+ * events this viewer receives (see publish).
+ */
+function subscribe(req, res, viewer) {
+  const key = String(viewer.projectId);
+  const subscriber = {
+    res,
+    userId: String(viewer.userId),
+    permissions: viewer.permissions || [],
+  };
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  write(res, "ready", { projectId: key });
+
+  if (!channels.has(key)) channels.set(key, new Set());
+  channels.get(key).add(subscriber);
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+  const expiry = setTimeout(() => res.end(), STREAM_MAX_MS);
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    const channel = channels.get(key);
+    if (!channel) return;
+    channel.delete(subscriber);
+    if (channel.size === 0) channels.delete(key);
+  };
+  req.on("close", cleanup);
+  res.on("finish", cleanup);
+}
+
+/**
+ * Send a "change" event to everyone viewing the project whose project role
+ * grants `permission`. Each viewer also gets self: true/false (did they
+ * make the change themselves).
+ */
+function publish(projectId, data, permission) {
+  const channel = channels.get(String(projectId));
+  if (!channel) return 0;
+
+  let sent = 0;
+  for (const subscriber of channel) {
+    if (permission && !subscriber.permissions.includes(permission)) continue;
+    write(subscriber.res, "change", { ...data, self: subscriber.userId === String(data.actor) });
+    sent++;
+  }
+  return sent;
+}
+
+module.exports = { subscribe, publish };
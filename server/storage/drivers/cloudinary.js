@@ -0,0 +1,100 @@
+// storage/drivers/cloudinary.js
+// Files on Cloudinary (CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY,
+// CLOUDINARY_API_SECRET): public files are images with a CDN url, private
+// files are stored as-is ("raw") and only downloaded by the server with a
+// short-lived signed link
+
+const { Readable } = require("stream");
+const { v2: cloudinary } = require("cloudinary");
+
+const ROOT_FOLDER = "designer-client-proj";
+const SIGNED_LINK_SECONDS = 60;
+
+let configured = false;
+
+/**
+ * Configure the SDK on first use, so the local driver works without any
+ * Cloudinary settings.
+ */
+function configure() {
+  if (configured) return;
+
+  if (!process.env.CLOUDINARY_CLOUD_NAME) {
+    throw new Error("Missing CLOUDINARY_CLOUD_NAME for STORAGE_DRIVER=cloudinary");
+  }
+
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET,
+  });
+  configured = true;
+}
+
+function assetType(access) {
+  return access === "private"
+    ? { resource_type: "raw", type: "private" }
+    : { resource_type: "image", type: "upload" };
+}
+
+function uploadBuffer(buffer, options) {
+  return new Promise((resolve, reject) => {
+    const stream = cloudinary.uploader.upload_stream(options, (error, uploaded) => {
+      if (error) reject(error);
+      else resolve(uploaded);
+    });
+    stream.end(buffer);
+  });
+}
+
+module.exports = {
+  name: "cloudinary",
+
+  async save(buffer, { folder, name, access }) {
+    configure();
+
+    const options = {
+      ...assetType(access),
+      folder: [ROOT_FOLDER, folder].filter(Boolean).join("/"),
+    };
+    // Raw files keep their extension in the public id; images get a
+    // generated id (their format is added to the url)
+    if (access === "private") options.public_id = name;
+
+    const uploaded = await uploadBuffer(buffer, options);
+    return {
+      key: uploaded.public_id,
+      url: access === "private" ? null : uploaded.secure_url,
+    };
+  },
+
+  // Public (image) url of a file saved by this driver on the configured cloud
+  isStoredUrl(url) {
+    const cloud = process.env.CLOUDINARY_CLOUD_NAME;
+    if (!cloud) return false;
+    const base = `https://res.cloudinary.com/${cloud}/image/upload/`;
+    return url.startsWith(base) && url.includes(`/${ROOT_FOLDER}/`) && !url.includes("..");
+  },
+
+  async open(key, { access }) {
+    configure();
+
+    const url =
+      access === "private"
+        ? cloudinary.utils.private_download_url(key, "", {
+            ...assetType(access),
+            expires_at: Math.floor(Date.now() / 1000) + SIGNED_LINK_SECONDS,
+          })
+        : cloudinary.url(key, { ...assetType(access), secure: true });
+
+    const res = await fetch(url);
+    if (res.status === 404) return null;
+    if (!res.ok) throw new Error(`Cloudinary download failed (${res.status})`);
+    return Readable.fromWeb(res.body);
+  },
+
+  async remove(key, { access }) {
+    configure();
+    await cloudinary.uploader.destroy(key, { ...assetType(access), invalidate: true });
+  },
+};
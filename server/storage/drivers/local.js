@@ -0,0 +1,60 @@
+// storage/drivers/local.js
+// Files on the server's disk: public files in server/uploads (served at
+// /uploads), private files in server/documents (not served, only read
+// through the API)
+
+const path = require("path");
+const fs = require("fs");
+
+const ROOTS = {
+  public: path.join(__dirname, "..", "..", "uploads"),
+  private: path.join(__dirname, "..", "..", "documents"),
+};
+
+// Absolute path of a key; keys never point outside their root
+function filePath(key, access) {
+  const root = access === "private" ? ROOTS.private : ROOTS.public;
+  const file = path.resolve(root, key);
+  if (!file.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+  return file;
+}
+
+module.exports = {
+  name: "local",
+  uploadsDir: ROOTS.public,
+
+  async save(buffer, { folder, name, access }) {
+    const key = path.posix.join(folder, name);
+    const file = filePath(key, access);
+
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, buffer);
+
+    return { key, url: access === "private" ? null : `/uploads/${key}` };
+  },
+
+  // Public url of a file saved by this driver
+  isStoredUrl(url) {
+    return /^\/uploads\/[\w-]/.test(url) && !url.includes("..");
+  },
+
+  async open(key, { access }) {
+    const file = filePath(key, access);
+    try {
+      await fs.promises.access(file);
+    } catch {
+      return null;
+    }
+    return fs.createReadStream(file);
+  },
+
+  async remove(key, { access }) {
+    try {
+      await fs.promises.unlink(filePath(key, access));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+  },
+};
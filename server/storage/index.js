@@ -0,0 +1,100 @@
+// storage/index.js
+// Pluggable file storage: pick a driver by STORAGE_DRIVER (local | cloudinary).
+// Without STORAGE_DRIVER, Cloudinary is used when CLOUDINARY_CLOUD_NAME is set
+// and the local disk otherwise (offline development, tests).
+
+const path = require("path");
+const crypto = require("crypto");
+
+const localDriver = require("./drivers/local");
+const cloudinaryDriver = require("./drivers/cloudinary");
+
+const drivers = {
+  local: localDriver,
+  cloudinary: cloudinaryDriver,
+};
+
+/**
+ * Return a driver by name (defaults to the configured one).
+ */
+function getDriver(name) {
+  const fallback = process.env.CLOUDINARY_CLOUD_NAME ? "cloudinary" : "local";
+  const driverName = name || process.env.STORAGE_DRIVER || fallback;
+  const driver = drivers[driverName];
+  if (!driver) {
+    throw new Error(`Unknown STORAGE_DRIVER "${driverName}"`);
+  }
+  return driver;
+}
+
+// Image types public files may have, with the extension they are saved with
+const IMAGE_TYPES = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/gif": ".gif",
+  "image/webp": ".webp",
+};
+const IMAGE_EXTENSIONS = [...Object.values(IMAGE_TYPES), ".jpeg"];
+
+// ".PDF" -> ".pdf"; nothing that could break a path or a public id
+function safeExtension(fileName) {
+  return path
+    .extname(fileName || "")
+    .toLowerCase()
+    .replace(/[^.a-z0-9]/g, "")
+    .slice(0, 12);
+}
+
+/**
+ * Store a file with the configured driver.
+ * options: { folder, fileName (original name, for the extension),
+ *            access: "public" | "private" }
+ * Public files get a url browsers can load directly, so they must be images
+ * (see IMAGE_TYPES); private files have no url and are only read back
+ * through openFile (from an access-checked route).
+ * Returns { driver, key, url } - keep driver + key to open / remove the file.
+ */
+async function saveFile(buffer, { folder = "", fileName = "", access = "public" } = {}) {
+  const extension = safeExtension(fileName);
+  if (access !== "private" && !IMAGE_EXTENSIONS.includes(extension)) {
+    throw new Error(`Public files must be images (got "${extension}")`);
+  }
+
+  const driver = getDriver();
+  const name = `${crypto.randomUUID()}${extension}`;
+  const stored = await driver.save(buffer, { folder, name, access });
+  return { driver: driver.name, ...stored };
+}
+
+/**
+ * Readable stream of a stored file, or null if it does not exist.
+ * driverName is the driver the file was saved with, so files stay readable
+ * after STORAGE_DRIVER changes.
+ */
+async function openFile(driverName, key, access = "public") {
+  return getDriver(driverName).open(key, { access });
+}
+
+async function removeFile(driverName, key, access = "public") {
+  return getDriver(driverName).remove(key, { access });
+}
+
+/**
+ * Is this the url of a public file saved here (by any driver, so older
+ * uploads stay valid after STORAGE_DRIVER changes)? Used to keep links
+ * that users send back, e.g. message attachments, to our own uploads.
+ */
+function isStoredFileUrl(url) {
+  return Object.values(drivers).some((driver) => driver.isStoredUrl(String(url || "")));
+}
+
+module.exports = {
+  saveFile,
+  openFile,
+  removeFile,
+  isStoredFileUrl,
+  getDriver,
+  IMAGE_TYPES,
+  IMAGE_EXTENSIONS,
+  uploadsDir: localDriver.uploadsDir,
+};
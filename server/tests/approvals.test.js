@@ -0,0 +1,99 @@
+// tests/approvals.test.js
+// Approval locks: an approved item blocks edits that change it, until the
+// approval is reopened.
+// Run with: npm test
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  readColorSelections,
+  approvalContent,
+  approvalOutdated,
+  brokenLock,
+} = require("../utils/approvals");
+
+const project = {
+  colorSelections: [{ roomName: "Kitchen", wallColor: "White" }],
+  designPlan: "Open kitchen",
+  notes: "",
+  suppliers: [
+    { _id: "s1", supplierName: "Tiles", product: "Floor tiles", price: 500 },
+    { _id: "s2", supplierName: "Paint", product: "Wall paint", price: 80 },
+  ],
+};
+
+// An approval of the item as it is now
+function approved(kind, itemId = null, extra = {}) {
+  return {
+    kind,
+    itemId,
+    status: "approved",
+    unlockedAt: null,
+    snapshot: approvalContent(project, kind, itemId),
+    ...extra,
+  };
+}
+
+const colorsLock = approved("colors");
+const planLock = approved("plan");
+const quoteLock = approved("supplier_quote", "s1");
+
+describe("brokenLock", () => {
+  it("blocks changed approved colors", () => {
+    const colorSelections = readColorSelections([{ roomName: "Kitchen", wallColor: "Blue" }]);
+    assert.equal(brokenLock(project, [colorsLock], { colorSelections }), colorsLock);
+  });
+
+  it("blocks a changed approved plan", () => {
+    assert.equal(brokenLock(project, [planLock], { designPlan: "Closed kitchen" }), planLock);
+    assert.equal(brokenLock(project, [planLock], { notes: "Add an island" }), planLock);
+  });
+
+  it("blocks a changed approved supplier quote", () => {
+    const suppliers = [{ ...project.suppliers[0], price: 650 }, project.suppliers[1]];
+    assert.equal(brokenLock(project, [quoteLock], { suppliers }), quoteLock);
+  });
+
+  it("blocks removing a supplier with an approved quote", () => {
+    assert.equal(
+      brokenLock(project, [quoteLock], { suppliers: [project.suppliers[1]] }),
+      quoteLock
+    );
+  });
+
+  it("does not block after the approval is reopened", () => {
+    const reopened = { ...planLock, unlockedAt: new Date() };
+    assert.equal(brokenLock(project, [reopened], { designPlan: "Closed kitchen" }), null);
+    assert.equal(brokenLock(project, [{ ...planLock, status: "pending" }], { notes: "x" }), null);
+  });
+
+  it("does not block resubmitting the approved values", () => {
+    const locks = [colorsLock, planLock, quoteLock];
+    const next = {
+      colorSelections: readColorSelections(project.colorSelections),
+      designPlan: project.designPlan,
+      notes: project.notes,
+      suppliers: project.suppliers.map((s) => ({ ...s })),
+    };
+    assert.equal(brokenLock(project, locks, next), null);
+  });
+
+  it("ignores fields the edit does not send", () => {
+    const suppliers = [project.suppliers[0], { ...project.suppliers[1], price: 90 }];
+    assert.equal(brokenLock(project, [colorsLock, planLock, quoteLock], { suppliers }), null);
+  });
+});
+
+describe("approvalOutdated", () => {
+  it("is false while the item matches the approval", () => {
+    assert.equal(approvalOutdated(project, quoteLock), false);
+    assert.equal(approvalOutdated(project, colorsLock), false);
+  });
+
+  it("is true once the item changed or was removed", () => {
+    const changed = { ...project, suppliers: [{ ...project.suppliers[0], price: 1 }] };
+    assert.equal(approvalOutdated(changed, quoteLock), true);
+    assert.equal(approvalOutdated({ ...project, suppliers: [] }, quoteLock), true);
+  });
+});
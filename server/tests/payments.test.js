@@ -0,0 +1,68 @@
+// tests/payments.test.js
+// Payment summaries: costs and payments in different currencies are totalled
+// in the project currency.
+// Run with: npm test
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { summarizePayments } = require("../utils/payments");
+const { rateTable } = require("../utils/currency");
+
+const rates = rateTable([{ currency: "USD", rate: 3.5 }]);
+
+function project(payments) {
+  return {
+    currency: "ILS",
+    workers: [{ _id: "w1", workerName: "Electrician", cost: 100, currency: "USD" }],
+    suppliers: [{ _id: "s1", supplierName: "Tiles", price: 500 }],
+    payments,
+  };
+}
+
+describe("summarizePayments", () => {
+  it("converts costs and payments into the project currency", () => {
+    const summary = summarizePayments(
+      project([
+        { payeeType: "worker", payee: "w1", amount: 40, status: "paid" },
+        { payeeType: "supplier", payee: "s1", amount: 35, currency: "USD", status: "paid" },
+      ]),
+      null,
+      rates
+    );
+
+    assert.equal(summary.currency, "ILS");
+    const [worker, supplier] = summary.payees;
+    assert.deepEqual([worker.cost, worker.paid, worker.outstanding], [350, 140, 210]);
+    assert.deepEqual([supplier.cost, supplier.paid, supplier.outstanding], [500, 122.5, 377.5]);
+    assert.equal(summary.totals.cost, 850);
+    assert.equal(summary.totals.paid, 262.5);
+    assert.deepEqual(summary.warnings, []);
+  });
+
+  it("gives payments without a currency the payee's cost currency", () => {
+    const summary = summarizePayments(
+      project([{ payeeType: "worker", payee: "w1", amount: 10, status: "paid" }]),
+      "worker",
+      rates
+    );
+
+    assert.equal(summary.payments[0].currency, "USD");
+    assert.equal(summary.payments[0].amount, 10);
+    assert.equal(summary.totals.paid, 35);
+  });
+
+  it("counts amounts without an exchange rate as 0 and warns", () => {
+    const summary = summarizePayments(
+      project([
+        { payeeType: "supplier", payee: "s1", amount: 10, currency: "EUR", status: "paid" },
+      ]),
+      "supplier",
+      rates
+    );
+
+    assert.equal(summary.totals.paid, 0);
+    assert.equal(summary.warnings.length, 1);
+    assert.match(summary.warnings[0], /EUR/);
+  });
+});
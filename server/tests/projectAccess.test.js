@@ -0,0 +1,191 @@
+// tests/projectAccess.test.js
+// Project access layer: project roles and the requireProjectPermission
+// middleware (cross-tenant requests must not see other studios' projects).
+// Run with: npm test
+
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const ProjectModel = require("../models/Project");
+const Studio = require("../models/Studio");
+const {
+  getProjectRole,
+  requireProjectPermission,
+  serializeProject,
+  shapeCostItems,
+  findUserProjects,
+} = require("../middlewares/projectAccess");
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Two studios, each with an owner; a project of studio A with a linked client
+const ownerA = id();
+const ownerB = id();
+const linkedClient = id();
+const otherClient = id();
+
+const studioA = new Studio({
+  name: "Studio A",
+  createdBy: ownerA,
+  members: [{ user: ownerA, role: "owner" }],
+});
+const studioB = new Studio({
+  name: "Studio B",
+  createdBy: ownerB,
+  members: [{ user: ownerB, role: "owner" }],
+});
+
+const project = new ProjectModel({
+  name: "Kitchen renovation",
+  studio: studioA._id,
+  createdBy: ownerA,
+  associatedClients: [linkedClient],
+});
+
+/**
+ * Run the middleware for a user; resolves to { status, body } when it
+ * answers, or { next: true } when it lets the request through.
+ */
+function runAccess(permission, user, studio, projectId = String(project._id)) {
+  return new Promise((resolve) => {
+    const req = {
+      params: { id: projectId },
+      user,
+      studio,
+      studioRole: studio ? studio.roleOf(user.id) : undefined,
+    };
+    const res = {
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body, req });
+      },
+    };
+    requireProjectPermission(permission)(req, res, () => resolve({ next: true, req }));
+  });
+}
+
+describe("getProjectRole", () => {
+  it("gives the studio owner the lead designer role", () => {
+    const owner = { id: ownerA, role: "designer" };
+    assert.equal(getProjectRole(project, owner, studioA), "lead_designer");
+  });
+
+  it("gives designers of another studio no role", () => {
+    assert.equal(getProjectRole(project, { id: ownerB, role: "designer" }, studioB), null);
+  });
+
+  it("gives only linked clients the client role", () => {
+    assert.equal(getProjectRole(project, { id: linkedClient, role: "client" }), "client");
+    assert.equal(getProjectRole(project, { id: otherClient, role: "client" }), null);
+  });
+});
+
+describe("requireProjectPermission", () => {
+  beforeEach(() => {
+    mock.method(ProjectModel, "findById", async (projectId) =>
+      String(projectId) === String(project._id) ? project : null
+    );
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("lets the studio owner in", async () => {
+    const result = await runAccess("project:edit", { id: ownerA, role: "designer" }, studioA);
+    assert.equal(result.next, true);
+    assert.equal(result.req.projectRole, "lead_designer");
+    assert.equal(result.req.project, project);
+  });
+
+  it("answers 404 to a designer of another studio", async () => {
+    const result = await runAccess("project:view", { id: ownerB, role: "designer" }, studioB);
+    assert.equal(result.status, 404);
+  });
+
+  it("answers 404 to a client who is not linked to the project", async () => {
+    const result = await runAccess("project:view", { id: otherClient, role: "client" });
+    assert.equal(result.status, 404);
+  });
+
+  it("answers 403 to a linked client without the permission", async () => {
+    const result = await runAccess("project:edit", { id: linkedClient, role: "client" });
+    assert.equal(result.status, 403);
+  });
+
+  it("lets a linked client view the project", async () => {
+    const result = await runAccess("project:view", { id: linkedClient, role: "client" });
+    assert.equal(result.next, true);
+    assert.equal(result.req.projectRole, "client");
+  });
+
+  it("answers 404 for invalid and unknown project ids", async () => {
+    const designer = { id: ownerA, role: "designer" };
+
+    const invalid = await runAccess("project:view", designer, studioA, "not-an-id");
+    assert.equal(invalid.status, 404);
+
+    const unknown = await runAccess("project:view", designer, studioA, String(id()));
+    assert.equal(unknown.status, 404);
+  });
+});
+
+describe("findUserProjects", () => {
+  const invitedClient = id();
+
+  // The list query returns plain objects (lean), like the real one
+  const stored = {
+    ...project.toObject(),
+    pendingInvites: [{ clientId: invitedClient, invitedAt: new Date() }],
+    documentFolders: ["Contracts"],
+    collaborators: [{ user: id(), role: "contractor" }],
+  };
+
+  beforeEach(() => {
+    mock.method(ProjectModel, "find", () => ({ lean: async () => [stored] }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("hides invites, internal folders and the team from a client's list", async () => {
+    const [listed] = await findUserProjects({ id: linkedClient, role: "client" });
+
+    assert.equal(listed.myRole, "client");
+    assert.equal(listed.pendingInvites, undefined);
+    assert.equal(listed.documentFolders, undefined);
+    assert.equal(listed.collaborators, undefined);
+  });
+});
+
+describe("worker / supplier costs", () => {
+  const costed = new ProjectModel({
+    name: "Bathroom",
+    createdBy: ownerA,
+    workers: [{ workerName: "Plumber", cost: 1200, currency: "USD" }],
+    suppliers: [{ supplierName: "Tiles", price: 800 }],
+  });
+
+  it("are hidden from roles without budget:view", () => {
+    const data = serializeProject(costed, "contractor");
+    assert.equal(data.workers[0].workerName, "Plumber");
+    assert.equal(data.workers[0].cost, undefined);
+    assert.equal(data.workers[0].currency, undefined);
+    assert.equal(data.suppliers[0].price, undefined);
+
+    const [supplier] = shapeCostItems(costed.suppliers, ["suppliers:view"]);
+    assert.equal(supplier.supplierName, "Tiles");
+    assert.equal(supplier.price, undefined);
+  });
+
+  it("are kept for roles with budget:view", () => {
+    const data = serializeProject(costed, "lead_designer");
+    assert.equal(data.workers[0].cost, 1200);
+    assert.equal(data.suppliers[0].price, 800);
+  });
+});
@@ -0,0 +1,59 @@
+// tests/timeline.test.js
+// Timeline dependencies: loops and dependencies on tasks that do not exist
+// are rejected.
+// Run with: npm test
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { hasDependencyCycle, dependencyError } = require("../utils/timeline");
+
+// a <- b <- c (c depends on b, b depends on a)
+const tasks = [
+  { _id: "a", dependsOn: [] },
+  { _id: "b", dependsOn: ["a"] },
+  { _id: "c", dependsOn: ["b"] },
+];
+
+describe("hasDependencyCycle", () => {
+  it("accepts a chain without loops", () => {
+    assert.equal(hasDependencyCycle(tasks), false);
+  });
+
+  it("finds a direct cycle", () => {
+    assert.equal(
+      hasDependencyCycle([
+        { _id: "a", dependsOn: ["b"] },
+        { _id: "b", dependsOn: ["a"] },
+      ]),
+      true
+    );
+  });
+
+  it("finds an indirect cycle", () => {
+    assert.equal(hasDependencyCycle([{ _id: "a", dependsOn: ["c"] }, ...tasks.slice(1)]), true);
+  });
+});
+
+describe("dependencyError", () => {
+  it("accepts dependencies on other tasks", () => {
+    assert.equal(dependencyError(tasks, null, ["a", "c"]), null);
+    assert.equal(dependencyError(tasks, "a", []), null);
+  });
+
+  it("rejects a task that depends on itself", () => {
+    assert.equal(dependencyError(tasks, "b", ["b"]), "A task cannot depend on itself");
+  });
+
+  it("rejects a dependency on a missing task", () => {
+    assert.equal(dependencyError(tasks, null, ["missing"]), "Dependency task not found");
+  });
+
+  it("rejects a direct cycle", () => {
+    assert.equal(dependencyError(tasks, "a", ["b"]), "These dependencies would create a loop");
+  });
+
+  it("rejects an indirect cycle", () => {
+    assert.equal(dependencyError(tasks, "a", ["c"]), "These dependencies would create a loop");
+  });
+});
@@ -0,0 +1,120 @@
+// utils/approvals.js
+// Approval helpers: the approvable content of colors / plan / supplier
+// quotes, and which approved (locked) item an edit would change
+
+const { snapshot } = require("../activity");
+
+/**
+ * Color selections from a request body, normalized for storage
+ * (also used to compare them with approved colors).
+ * rooms: the project's rooms - a roomId must be one of them and the room
+ * name becomes roomName; without rooms the stored roomId is kept.
+ */
+function readColorSelections(value, rooms = null) {
+  if (!Array.isArray(value)) return [];
+  return value.map((sel) => {
+    const room =
+      rooms && sel.roomId ? rooms.find((r) => String(r._id) === String(sel.roomId)) : null;
+    const roomId = rooms ? room && room._id : sel.roomId;
+
+    return {
+      roomName: room ? room.name : sel.roomName || "Room",
+      roomId: roomId ? String(roomId) : null,
+      wallColor: sel.wallColor || "",
+      furnitureColor: sel.furnitureColor || "",
+      floorColor: sel.floorColor || "",
+      materialType: sel.materialType || "",
+      finishType: sel.finishType || "",
+    };
+  });
+}
+
+/**
+ * Quote fields of a supplier (project entry or request body), normalized
+ * so they can be compared with an approval snapshot.
+ */
+function quoteOf(supplier) {
+  return {
+    storeName: String(supplier.storeName || ""),
+    supplierName: String(supplier.supplierName || ""),
+    product: String(supplier.product || ""),
+    price: Number(supplier.price) || 0,
+    currency: supplier.currency || null,
+    vatIncluded: supplier.vatIncluded !== false,
+  };
+}
+
+/**
+ * The approvable content of an item as it is in the project right now
+ * (what approval.snapshot is compared with), or null if it no longer exists.
+ * Works on project documents and lean projects.
+ */
+function approvalContent(project, kind, itemId) {
+  if (kind === "colors") {
+    return { colorSelections: readColorSelections(snapshot(project.colorSelections) || []) };
+  }
+  if (kind === "plan") return { designPlan: project.designPlan || "", notes: project.notes || "" };
+
+  const supplier = (project.suppliers || []).find((s) => String(s._id) === String(itemId));
+  return supplier ? quoteOf(supplier) : null;
+}
+
+/**
+ * True if the item changed (or was removed) since it was submitted.
+ */
+function approvalOutdated(project, approval) {
+  const current = approvalContent(project, approval.kind, approval.itemId);
+  if (!current) return true;
+
+  const submitted = approval.snapshot || {};
+  return Object.keys(current).some(
+    (key) => JSON.stringify(current[key]) !== JSON.stringify(submitted[key] ?? null)
+  );
+}
+
+function isApprovalLocked(approval) {
+  return approval.status === "approved" && !approval.unlockedAt;
+}
+
+/**
+ * The approved (locked) item an edit would change, or null.
+ * locks: the project's approvals - pending and reopened (unlockedAt) ones
+ * never block. next: new values of the edit - { colorSelections?,
+ * designPlan?, notes?, suppliers? } (colorSelections normalized, suppliers
+ * the full new list).
+ */
+function brokenLock(project, locks, next) {
+  return (
+    locks.find((lock) => {
+      if (!isApprovalLocked(lock)) return false;
+      const current = approvalContent(project, lock.kind, lock.itemId);
+      if (!current) return false;
+
+      if (lock.kind === "colors") {
+        return (
+          next.colorSelections !== undefined &&
+          JSON.stringify(next.colorSelections) !== JSON.stringify(current.colorSelections)
+        );
+      }
+      if (lock.kind === "plan") {
+        return ["designPlan", "notes"].some(
+          (field) => next[field] !== undefined && String(next[field] || "") !== current[field]
+        );
+      }
+
+      // Supplier quote: the supplier has to stay, with the same quote
+      if (next.suppliers === undefined) return false;
+      const entry = next.suppliers.find((s) => s && String(s._id) === lock.itemId);
+      return !entry || JSON.stringify(quoteOf(entry)) !== JSON.stringify(current);
+    }) || null
+  );
+}
+
+module.exports = {
+  readColorSelections,
+  quoteOf,
+  approvalContent,
+  approvalOutdated,
+  isApprovalLocked,
+  brokenLock,
+};
@@ -0,0 +1,98 @@
+// utils/board.js
+// Task board helpers: card placement inside columns + the board summary
+
+function startOfDay(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+function byOrder(a, b) {
+  return a.order - b.order;
+}
+
+function sortedColumns(project) {
+  return [...(project.boardColumns || [])].sort(byOrder);
+}
+
+/**
+ * Column a completed card moves to (first "done" column), or null.
+ */
+function doneColumn(project) {
+  return sortedColumns(project).find((c) => c.done) || null;
+}
+
+/**
+ * Column a re-opened card moves back to (first column that is not "done").
+ */
+function openColumn(project) {
+  return sortedColumns(project).find((c) => !c.done) || null;
+}
+
+function isDoneColumn(project, columnId) {
+  const column = (project.boardColumns || []).find((c) => String(c._id) === String(columnId));
+  return Boolean(column && column.done);
+}
+
+/**
+ * Move a card into a column at a position (0 = top; past the end = bottom)
+ * and renumber the cards of that column.
+ */
+function placeCard(project, card, columnId, position = Infinity) {
+  const others = project.boardCards
+    .filter((c) => String(c.column) === String(columnId) && String(c._id) !== String(card._id))
+    .sort(byOrder);
+
+  const index = Math.min(Math.max(Number(position) || 0, 0), others.length);
+  others.splice(index, 0, card);
+
+  card.column = columnId;
+  others.forEach((c, i) => {
+    c.order = i;
+  });
+}
+
+/**
+ * A card with the flags the board UI shows:
+ * overdue (open and the due date is before today), completed, checklist progress.
+ */
+function describeCard(project, card, now = new Date()) {
+  const plain = typeof card.toObject === "function" ? card.toObject() : { ...card };
+  const completed = isDoneColumn(project, card.column);
+
+  return {
+    ...plain,
+    completed,
+    overdue: !completed && Boolean(card.dueDate) && new Date(card.dueDate) < startOfDay(now),
+    checklistDone: (card.checklist || []).filter((item) => item.done).length,
+    checklistTotal: (card.checklist || []).length,
+  };
+}
+
+/**
+ * Board of a project: columns in order, each with its cards in order.
+ * Returns { columns: [{ _id, name, order, done, cards: [...] }] }
+ */
+function summarizeBoard(project, now = new Date()) {
+  const columns = sortedColumns(project).map((column) => {
+    const plain = typeof column.toObject === "function" ? column.toObject() : { ...column };
+    return {
+      ...plain,
+      cards: (project.boardCards || [])
+        .filter((card) => String(card.column) === String(column._id))
+        .sort(byOrder)
+        .map((card) => describeCard(project, card, now)),
+    };
+  });
+
+  return { columns };
+}
+
+module.exports = {
+  doneColumn,
+  openColumn,
+  isDoneColumn,
+  placeCard,
+  describeCard,
+  summarizeBoard,
+};
@@ -0,0 +1,169 @@
+// utils/budget.js
+// Server-side budget summary: planned vs. actual vs. remaining (+ warnings)
+
+// Share of a planned amount that triggers a "nearly used up" warning
+const NEAR_LIMIT_RATIO = 0.9;
+
+function toAmount(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : 0;
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function sumAmounts(items) {
+  return round(items.reduce((sum, item) => sum + item.amount, 0));
+}
+
+/**
+ * Warning for one planned amount, or null if everything is fine.
+ * level: "over" (spent more than planned) | "near" (>= 90% used)
+ */
+function usageWarning(label, planned, actual) {
+  if (planned <= 0) {
+    return actual > 0
+      ? { level: "over", message: `${label}: ${actual} spent without a planned amount` }
+      : null;
+  }
+  if (actual > planned) {
+    return { level: "over", message: `${label} is over budget by ${round(actual - planned)}` };
+  }
+  if (actual >= planned * NEAR_LIMIT_RATIO) {
+    return {
+      level: "near",
+      message: `${label} has used ${Math.round((actual / planned) * 100)}% of its budget`,
+    };
+  }
+  return null;
+}
+
+/**
+ * Budget summary of a project (project doc or plain object).
+ *
+ * Actual costs are worker.cost and supplier.price; each cost counts for the
+ * budget line it is linked to (budgetLine), otherwise it is "unassigned".
+ * options.costOf(item, amount): amount in the project currency (default:
+ * the raw amount, see utils/projectTotals.js for currency + VAT).
+ *
+ * Returns:
+ * {
+ *   totals:     { budget, planned, actual, remaining, unplanned },
+ *   lines:      [{ _id, category, room, roomId, description, planned, actual,
+ *                  remaining, overBudget, items }],
+ *   categories: [{ category, planned, actual, remaining, overBudget }],
+ *   unassigned: { actual, items },
+ *   warnings:   [{ level: "over" | "near" | "info", message }]
+ * }
+ */
+function computeBudgetSummary(project, options = {}) {
+  const costOf = options.costOf || ((item, amount) => toAmount(amount));
+  const budgetLines = project.budgetLines || [];
+  const lineIds = new Set(budgetLines.map((line) => String(line._id)));
+
+  const costs = [
+    ...(project.workers || []).map((w) => ({
+      type: "worker",
+      _id: w._id,
+      name: w.workerName || w.role || "Worker",
+      amount: round(costOf(w, w.cost)),
+      budgetLine: w.budgetLine ? String(w.budgetLine) : null,
+    })),
+    ...(project.suppliers || []).map((s) => ({
+      type: "supplier",
+      _id: s._id,
+      name: s.product || s.storeName || s.supplierName || "Supplier",
+      amount: round(costOf(s, s.price)),
+      budgetLine: s.budgetLine ? String(s.budgetLine) : null,
+    })),
+  ];
+
+  const isLinked = (cost) => cost.budgetLine && lineIds.has(cost.budgetLine);
+
+  const lines = budgetLines.map((line) => {
+    const items = costs.filter((cost) => isLinked(cost) && cost.budgetLine === String(line._id));
+    const planned = round(toAmount(line.planned));
+    const actual = sumAmounts(items);
+
+    return {
+      _id: line._id,
+      category: line.category,
+      room: line.room || "",
+      roomId: line.roomId ? String(line.roomId) : null,
+      description: line.description || "",
+      planned,
+      actual,
+      remaining: round(planned - actual),
+      overBudget: actual > planned,
+      items,
+    };
+  });
+
+  // Totals per category (only costs linked to a line have a category)
+  const byCategory = {};
+  for (const line of lines) {
+    const entry = (byCategory[line.category] = byCategory[line.category] || {
+      planned: 0,
+      actual: 0,
+    });
+    entry.planned += line.planned;
+    entry.actual += line.actual;
+  }
+  const categories = Object.entries(byCategory).map(([category, entry]) => ({
+    category,
+    planned: round(entry.planned),
+    actual: round(entry.actual),
+    remaining: round(entry.planned - entry.actual),
+    overBudget: entry.actual > entry.planned,
+  }));
+
+  const unassignedItems = costs.filter((cost) => !isLinked(cost));
+  const unassigned = { actual: sumAmounts(unassignedItems), items: unassignedItems };
+
+  const budget = round(toAmount(project.budget));
+  const planned = round(lines.reduce((sum, line) => sum + line.planned, 0));
+  const actual = sumAmounts(costs);
+
+  const totals = {
+    budget,
+    planned,
+    actual,
+    remaining: round(budget - actual),
+    unplanned: round(budget - planned),
+  };
+
+  /* ----- Warnings ----- */
+
+  const warnings = [];
+
+  if (budget > 0) {
+    const projectWarning = usageWarning("The project", budget, actual);
+    if (projectWarning) warnings.push(projectWarning);
+
+    if (planned > budget) {
+      warnings.push({
+        level: "over",
+        message: `Planned budget lines exceed the project budget by ${round(planned - budget)}`,
+      });
+    }
+  }
+
+  for (const line of lines) {
+    const label = line.room ? `${line.category} (${line.room})` : line.category;
+    const lineWarning = usageWarning(label, line.planned, line.actual);
+    if (lineWarning) warnings.push(lineWarning);
+  }
+
+  if (unassignedItems.length > 0) {
+    const count = unassignedItems.length;
+    warnings.push({
+      level: "info",
+      message: `${count} cost(s) totalling ${unassigned.actual} are not linked to a budget line`,
+    });
+  }
+
+  return { totals, lines, categories, unassigned, warnings };
+}
+
+module.exports = { computeBudgetSummary };
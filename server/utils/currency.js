@@ -0,0 +1,55 @@
+// utils/currency.js
+// Currencies, exchange-rate conversion and VAT (net / gross) helpers
+
+// Currencies a project / cost can use. Rates are kept per studio, relative
+// to the base currency (1 unit of currency = rate units of BASE_CURRENCY).
+const CURRENCIES = ["ILS", "USD", "EUR", "GBP"];
+const BASE_CURRENCY = "ILS";
+const DEFAULT_VAT_RATE = 18;
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * { currency: rate } lookup from a studio's exchangeRates list.
+ * The base currency is always 1.
+ */
+function rateTable(exchangeRates = []) {
+  const rates = { [BASE_CURRENCY]: 1 };
+  for (const entry of exchangeRates) {
+    if (entry.rate > 0) rates[entry.currency] = entry.rate;
+  }
+  return rates;
+}
+
+/**
+ * Convert an amount between currencies.
+ * Returns null if a rate is missing (the caller decides how to report it).
+ */
+function convert(amount, from, to, rates) {
+  if (from === to) return amount;
+  if (!rates[from] || !rates[to]) return null;
+  return (amount * rates[from]) / rates[to];
+}
+
+/**
+ * Split an amount into { net, vat, gross }.
+ * vatIncluded: the amount already contains VAT (gross) or not (net).
+ */
+function splitVat(amount, vatIncluded, vatRate) {
+  const factor = 1 + (Number(vatRate) || 0) / 100;
+  const net = vatIncluded ? amount / factor : amount;
+  const gross = vatIncluded ? amount : amount * factor;
+  return { net: round(net), vat: round(gross - net), gross: round(gross) };
+}
+
+module.exports = {
+  CURRENCIES,
+  BASE_CURRENCY,
+  DEFAULT_VAT_RATE,
+  round,
+  rateTable,
+  convert,
+  splitVat,
+};
@@ -0,0 +1,51 @@
+// utils/diffLines.js
+// Line-based text diff (longest common subsequence), no dependencies
+
+// Above this many line pairs we skip the LCS table and show a full replace
+const MAX_CELLS = 4000000;
+
+/**
+ * Diff two texts line by line.
+ * Returns [{ type: "same" | "removed" | "added", text }] in reading order:
+ * "removed" lines only exist in `before`, "added" lines only in `after`.
+ */
+function diffLines(before, after) {
+  const a = String(before || "").split("\n");
+  const b = String(after || "").split("\n");
+
+  if (a.length * b.length > MAX_CELLS) {
+    return [
+      ...a.map((text) => ({ type: "removed", text })),
+      ...b.map((text) => ({ type: "added", text })),
+    ];
+  }
+
+  // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push({ type: "same", text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      result.push({ type: "removed", text: a[i++] });
+    } else {
+      result.push({ type: "added", text: b[j++] });
+    }
+  }
+  while (i < a.length) result.push({ type: "removed", text: a[i++] });
+  while (j < b.length) result.push({ type: "added", text: b[j++] });
+
+  return result;
+}
+
+module.exports = { diffLines };
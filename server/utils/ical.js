@@ -0,0 +1,76 @@
+// utils/ical.js
+// Minimal iCalendar (RFC 5545) writer for the appointments feed / export
+
+/**
+ * Escape a TEXT value (backslash, comma, semicolon, new lines).
+ */
+function escapeText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * UTC date-time, e.g. 20260314T083000Z
+ */
+function formatDateTime(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * Fold a content line to 75 octets (continuation lines start with a space).
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = "";
+
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char, "utf8") > limit) {
+      parts.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join("\r\n ");
+}
+
+/**
+ * Build a VCALENDAR document.
+ * events: [{ uid, start, end, summary, location?, description?, cancelled?, updatedAt? }]
+ * options: { name } - calendar name shown by calendar apps
+ */
+function buildCalendar(events, options = {}) {
+  const now = formatDateTime(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Interior Design App//Appointments//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+  ];
+  if (options.name) lines.push(`X-WR-CALNAME:${escapeText(options.name)}`);
+
+  for (const event of events) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event.uid}`,
+      `DTSTAMP:${event.updatedAt ? formatDateTime(event.updatedAt) : now}`,
+      `DTSTART:${formatDateTime(event.start)}`,
+      `DTEND:${formatDateTime(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    lines.push(`STATUS:${event.cancelled ? "CANCELLED" : "CONFIRMED"}`, "END:VEVENT");
+  }
+
+  lines.push("END:VCALENDAR");
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+}
+
+module.exports = { buildCalendar };
@@ -0,0 +1,154 @@
+// utils/invoices.js
+// Invoice totals (line items + tax lines) and the printable HTML rendering
+
+function toAmount(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : 0;
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Recompute item amounts, tax amounts and the invoice totals.
+ * items: [{ quantity, unitPrice, ... }], taxes: [{ label, rate }]
+ * Tax lines are applied to the subtotal (not compounded).
+ *
+ * Returns { items, taxes, subtotal, taxTotal, total } (new arrays).
+ */
+function computeInvoiceTotals(items = [], taxes = []) {
+  const pricedItems = items.map((item) => {
+    const plain = typeof item.toObject === "function" ? item.toObject() : item;
+    return { ...plain, amount: round(toAmount(item.quantity) * toAmount(item.unitPrice)) };
+  });
+  const subtotal = round(pricedItems.reduce((sum, item) => sum + item.amount, 0));
+
+  const pricedTaxes = taxes.map((tax) => ({
+    label: tax.label || "Tax",
+    rate: toAmount(tax.rate),
+    amount: round((subtotal * toAmount(tax.rate)) / 100),
+  }));
+  const taxTotal = round(pricedTaxes.reduce((sum, tax) => sum + tax.amount, 0));
+
+  return {
+    items: pricedItems,
+    taxes: pricedTaxes,
+    subtotal,
+    taxTotal,
+    total: round(subtotal + taxTotal),
+  };
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function formatMoney(n, currency = "") {
+  return `${toAmount(n).toFixed(2)}${currency ? ` ${currency}` : ""}`;
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toISOString().slice(0, 10) : "—";
+}
+
+/**
+ * Stand-alone HTML page for an invoice, styled for printing
+ * (the browser's "Save as PDF" gives the PDF version).
+ * context: { studioName, projectName, clientNames: [] }
+ */
+function renderInvoiceHtml(invoice, context = {}) {
+  const { studioName = "", projectName = "", clientNames = [] } = context;
+
+  const itemRows = invoice.items
+    .map(
+      (item) => `
+        <tr>
+          <td>${escapeHtml(item.description)}</td>
+          <td class="num">${escapeHtml(item.quantity)}</td>
+          <td class="num">${formatMoney(item.unitPrice)}</td>
+          <td class="num">${formatMoney(item.amount)}</td>
+        </tr>`
+    )
+    .join("");
+
+  const taxRows = invoice.taxes
+    .map(
+      (tax) => `
+        <tr>
+          <td colspan="3" class="num">${escapeHtml(tax.label)} (${escapeHtml(tax.rate)}%)</td>
+          <td class="num">${formatMoney(tax.amount)}</td>
+        </tr>`
+    )
+    .join("");
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <title>Invoice ${escapeHtml(invoice.number || "draft")}</title>
+  <style>
+    body { font-family: Arial, sans-serif; color: #222; margin: 40px; }
+    h1 { margin: 0 0 4px; font-size: 26px; }
+    .muted { color: #777; font-size: 13px; }
+    .header { display: flex; justify-content: space-between; margin-bottom: 28px; }
+    table { width: 100%; border-collapse: collapse; font-size: 14px; }
+    th, td { padding: 8px 10px; border-bottom: 1px solid #eee; text-align: left; }
+    th { border-bottom: 2px solid #f0b6c4; }
+    .num { text-align: right; }
+    .total td { font-weight: 700; border-bottom: none; font-size: 16px; }
+    .status { text-transform: uppercase; font-weight: 700; color: #ff6f91; }
+    .notes { margin-top: 24px; white-space: pre-wrap; font-size: 13px; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <div>
+      <h1>Invoice ${escapeHtml(invoice.number || "draft")}</h1>
+      <div class="muted">${escapeHtml(studioName)}</div>
+      <div class="status">${escapeHtml(invoice.status)}</div>
+    </div>
+    <div class="muted">
+      <div>Project: ${escapeHtml(projectName)}</div>
+      <div>Bill to: ${escapeHtml(clientNames.join(", ") || "—")}</div>
+      <div>Issued: ${formatDate(invoice.issuedAt)}</div>
+      <div>Due: ${formatDate(invoice.dueDate)}</div>
+      ${invoice.paidAt ? `<div>Paid: ${formatDate(invoice.paidAt)}</div>` : ""}
+    </div>
+  </div>
+
+  <table>
+    <thead>
+      <tr>
+        <th>Description</th>
+        <th class="num">Qty</th>
+        <th class="num">Unit price</th>
+        <th class="num">Amount</th>
+      </tr>
+    </thead>
+    <tbody>
+      ${itemRows}
+      <tr>
+        <td colspan="3" class="num">Subtotal</td>
+        <td class="num">${formatMoney(invoice.subtotal)}</td>
+      </tr>
+      ${taxRows}
+      <tr class="total">
+        <td colspan="3" class="num">Total</td>
+        <td class="num">${formatMoney(invoice.total, invoice.currency)}</td>
+      </tr>
+    </tbody>
+  </table>
+
+  ${invoice.notes ? `<div class="notes">${escapeHtml(invoice.notes)}</div>` : ""}
+</body>
+</html>`;
+}
+
+module.exports = { computeInvoiceTotals, renderInvoiceHtml };
@@ -0,0 +1,152 @@
+// utils/payments.js
+// Payment schedule helpers: effective status + paid / outstanding totals
+
+const { BASE_CURRENCY, convert } = require("./currency");
+
+function toAmount(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : 0;
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function startOfDay(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+/**
+ * Effective status of a payment: "paid", "overdue" (scheduled and the due
+ * date is before today) or "scheduled".
+ */
+function paymentStatus(payment, now = new Date()) {
+  if (payment.status === "paid") return "paid";
+  if (payment.dueDate && new Date(payment.dueDate) < startOfDay(now)) return "overdue";
+  return "scheduled";
+}
+
+function emptyTotals() {
+  return { cost: 0, paid: 0, scheduled: 0, overdue: 0, outstanding: 0 };
+}
+
+function addTotals(target, source) {
+  for (const key of Object.keys(target)) target[key] = round(target[key] + source[key]);
+}
+
+/**
+ * Payments of a project with effective status + totals per payee.
+ * Costs and payments can each have their own currency; all totals are
+ * converted into the project currency with `rates` (see
+ * utils/currency.rateTable). Amounts without a rate count as 0 and are
+ * listed in warnings.
+ * payeeType: optional "worker" | "supplier" filter.
+ *
+ * Returns:
+ * {
+ *   currency: project currency of the totals,
+ *   payments: [{ ...payment, currency, status, payeeName }],
+ *   payees:   [{ payeeType, payee, name, costCurrency, cost, paid, scheduled,
+ *                overdue, outstanding }],
+ *   totals:   { cost, paid, scheduled, overdue, outstanding },
+ *   warnings: [string]
+ * }
+ * outstanding = cost - paid (never below 0); scheduled / overdue are the
+ * open installments.
+ */
+function summarizePayments(project, payeeType = null, rates = {}, now = new Date()) {
+  const currency = project.currency || BASE_CURRENCY;
+  const warnings = [];
+
+  const inProjectCurrency = (amount, from, what) => {
+    const converted = convert(toAmount(amount), from, currency, rates);
+    if (converted !== null) return converted;
+    warnings.push(`${what}: no exchange rate for ${from}`);
+    return 0;
+  };
+
+  const payees = [
+    ...(project.workers || []).map((w) => ({
+      payeeType: "worker",
+      payee: String(w._id),
+      name: w.workerName || "Worker",
+      costCurrency: w.currency || currency,
+      amount: w.cost,
+    })),
+    ...(project.suppliers || []).map((s) => ({
+      payeeType: "supplier",
+      payee: String(s._id),
+      name: s.supplierName || s.storeName || "Supplier",
+      costCurrency: s.currency || currency,
+      amount: s.price,
+    })),
+  ]
+    .filter((p) => !payeeType || p.payeeType === payeeType)
+    .map(({ amount, ...p }) => ({
+      ...p,
+      cost: inProjectCurrency(amount, p.costCurrency, p.name),
+    }));
+
+  const payments = (project.payments || [])
+    .filter((p) => !payeeType || p.payeeType === payeeType)
+    .map((p) => {
+      const plain = typeof p.toObject === "function" ? p.toObject() : { ...p };
+      const owner = payees.find((x) => x.payee === String(p.payee));
+      // Payments recorded before they had a currency: the payee's cost currency
+      const paymentCurrency = p.currency || owner?.costCurrency || currency;
+      return {
+        ...plain,
+        currency: paymentCurrency,
+        converted: inProjectCurrency(
+          p.amount,
+          paymentCurrency,
+          `Payment to ${owner ? owner.name : "a removed payee"}`
+        ),
+        status: paymentStatus(p, now),
+        payeeName: owner ? owner.name : "Removed",
+      };
+    })
+    .sort((a, b) => new Date(a.dueDate || a.paidAt || 0) - new Date(b.dueDate || b.paidAt || 0));
+
+  const totals = emptyTotals();
+
+  const payeeSummaries = payees.map((p) => {
+    const own = payments.filter((pay) => String(pay.payee) === p.payee);
+    const sumOf = (statuses) =>
+      round(
+        own
+          .filter((pay) => statuses.includes(pay.status))
+          .reduce((sum, pay) => sum + pay.converted, 0)
+      );
+
+    const summary = {
+      ...emptyTotals(),
+      cost: round(p.cost),
+      paid: sumOf(["paid"]),
+      scheduled: sumOf(["scheduled", "overdue"]),
+      overdue: sumOf(["overdue"]),
+    };
+    summary.outstanding = round(Math.max(summary.cost - summary.paid, 0));
+
+    addTotals(totals, summary);
+    return {
+      payeeType: p.payeeType,
+      payee: p.payee,
+      name: p.name,
+      costCurrency: p.costCurrency,
+      ...summary,
+    };
+  });
+
+  return {
+    currency,
+    payments: payments.map(({ converted, ...payment }) => payment),
+    payees: payeeSummaries,
+    totals,
+    warnings: [...new Set(warnings)],
+  };
+}
+
+module.exports = { paymentStatus, summarizePayments };
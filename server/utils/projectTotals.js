@@ -0,0 +1,99 @@
+// utils/projectTotals.js
+// Project cost totals in the project currency (net / VAT / gross)
+
+const { BASE_CURRENCY, round, convert, splitVat } = require("./currency");
+
+function toAmount(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : 0;
+}
+
+/**
+ * One worker / supplier cost in the project currency.
+ * item.currency null = same currency as the project.
+ * Returns { amount, currency, vatIncluded, net, vat, gross, missingRate }.
+ */
+function projectCost(project, item, amount, rates) {
+  const projectCurrency = project.currency || BASE_CURRENCY;
+  const currency = item.currency || projectCurrency;
+  const vatIncluded = item.vatIncluded !== false;
+
+  const converted = convert(toAmount(amount), currency, projectCurrency, rates);
+  const missingRate = converted === null;
+
+  return {
+    amount: toAmount(amount),
+    currency,
+    vatIncluded,
+    ...splitVat(missingRate ? 0 : converted, vatIncluded, project.vatRate),
+    missingRate,
+  };
+}
+
+function sumSplit(items) {
+  return {
+    net: round(items.reduce((sum, item) => sum + item.net, 0)),
+    vat: round(items.reduce((sum, item) => sum + item.vat, 0)),
+    gross: round(items.reduce((sum, item) => sum + item.gross, 0)),
+  };
+}
+
+/**
+ * Cost totals of a project, all in project.currency.
+ * rates: { currency: rate } (see utils/currency.rateTable)
+ *
+ * Returns:
+ * {
+ *   currency, vatRate,
+ *   workers:   { net, vat, gross, items: [{ _id, name, amount, currency, net, vat, gross }] },
+ *   suppliers: { ...same },
+ *   total:     { net, vat, gross },
+ *   budget:    { amount, includesVat, net, vat, gross },
+ *   remaining: budget.gross - total.gross,
+ *   warnings:  [string]  (costs that could not be converted)
+ * }
+ */
+function computeProjectTotals(project, rates) {
+  const warnings = [];
+
+  const priced = (items, type, amountField, nameOf) =>
+    (items || []).map((item) => {
+      const cost = projectCost(project, item, item[amountField], rates);
+      if (cost.missingRate) {
+        warnings.push(`${type} "${nameOf(item)}": no exchange rate for ${cost.currency}`);
+      }
+      return { _id: item._id, name: nameOf(item), ...cost };
+    });
+
+  const workerItems = priced(project.workers, "Worker", "cost", (w) => w.workerName || "Worker");
+  const supplierItems = priced(
+    project.suppliers,
+    "Supplier",
+    "price",
+    (s) => s.product || s.storeName || s.supplierName || "Supplier"
+  );
+
+  const workers = { ...sumSplit(workerItems), items: workerItems };
+  const suppliers = { ...sumSplit(supplierItems), items: supplierItems };
+  const total = sumSplit([workers, suppliers]);
+
+  const includesVat = project.budgetIncludesVat !== false;
+  const budget = {
+    amount: toAmount(project.budget),
+    includesVat,
+    ...splitVat(toAmount(project.budget), includesVat, project.vatRate),
+  };
+
+  return {
+    currency: project.currency || BASE_CURRENCY,
+    vatRate: toAmount(project.vatRate),
+    workers,
+    suppliers,
+    total,
+    budget,
+    remaining: round(budget.gross - total.gross),
+    warnings,
+  };
+}
+
+module.exports = { projectCost, computeProjectTotals };
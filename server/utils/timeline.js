@@ -0,0 +1,113 @@
+// utils/timeline.js
+// Timeline helpers: dependency checks, schedule conflicts and the Gantt summary
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function startOfDay(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+/**
+ * True if following dependsOn links from any task leads back to it.
+ * tasks: [{ _id, dependsOn: [id] }]
+ */
+function hasDependencyCycle(tasks) {
+  const deps = new Map(tasks.map((t) => [String(t._id), (t.dependsOn || []).map(String)]));
+  const state = new Map(); // id -> "visiting" | "done"
+
+  const visit = (id) => {
+    if (state.get(id) === "done") return false;
+    if (state.get(id) === "visiting") return true;
+
+    state.set(id, "visiting");
+    for (const dep of deps.get(id) || []) {
+      if (visit(dep)) return true;
+    }
+    state.set(id, "done");
+    return false;
+  };
+
+  return [...deps.keys()].some(visit);
+}
+
+/**
+ * Check the dependencies of a task: other tasks of the project, no loop.
+ * tasks: the project's timeline tasks; taskId: the task (null for a new one);
+ * dependsOn: the ids it should depend on (strings, no duplicates).
+ * Returns an error message or null.
+ */
+function dependencyError(tasks, taskId, dependsOn) {
+  const self = taskId ? String(taskId) : "new";
+
+  for (const id of dependsOn) {
+    if (id === self) return "A task cannot depend on itself";
+    if (!tasks.some((t) => String(t._id) === id)) return "Dependency task not found";
+  }
+
+  const graph = tasks.filter((t) => String(t._id) !== self).concat({ _id: self, dependsOn });
+  return hasDependencyCycle(graph) ? "These dependencies would create a loop" : null;
+}
+
+/**
+ * Timeline of a project, shaped for the Gantt view.
+ *
+ * Returns:
+ * {
+ *   range:  { start, end }  (earliest start / latest end, or the project dates),
+ *   phases: [{ _id, name, color, order, start, end, taskCount, done }],
+ *   tasks:  [{ ...task, late, conflicts: [taskId], waitingOn: [taskId] }],
+ * }
+ * - late: not done and the end date is before today
+ * - conflicts: dependencies that end after this task starts
+ * - waitingOn: dependencies that are not done yet
+ */
+function summarizeTimeline(project, now = new Date()) {
+  const today = startOfDay(now);
+  const plain = (doc) => (typeof doc.toObject === "function" ? doc.toObject() : { ...doc });
+  const byId = new Map((project.timelineTasks || []).map((t) => [String(t._id), t]));
+
+  const tasks = (project.timelineTasks || [])
+    .map((task) => {
+      const deps = (task.dependsOn || []).map((id) => byId.get(String(id))).filter(Boolean);
+      return {
+        ...plain(task),
+        late: task.status !== "done" && new Date(task.endDate) < today,
+        conflicts: deps
+          .filter((dep) => new Date(dep.endDate) > new Date(task.startDate))
+          .map((dep) => dep._id),
+        waitingOn: deps.filter((dep) => dep.status !== "done").map((dep) => dep._id),
+      };
+    })
+    .sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+
+  const phases = (project.phases || [])
+    .map((phase) => {
+      const own = tasks.filter((t) => t.phase && String(t.phase) === String(phase._id));
+      const starts = own.map((t) => new Date(t.startDate).getTime());
+      const ends = own.map((t) => new Date(t.endDate).getTime());
+      return {
+        ...plain(phase),
+        start: own.length ? new Date(Math.min(...starts)) : null,
+        end: own.length ? new Date(Math.max(...ends)) : null,
+        taskCount: own.length,
+        done: own.filter((t) => t.status === "done").length,
+      };
+    })
+    .sort((a, b) => a.order - b.order);
+
+  const starts = tasks.map((t) => new Date(t.startDate).getTime());
+  const ends = tasks.map((t) => new Date(t.endDate).getTime());
+  if (project.startDate) starts.push(new Date(project.startDate).getTime());
+  if (project.endDate) ends.push(new Date(project.endDate).getTime());
+
+  const range = {
+    start: starts.length ? new Date(Math.min(...starts)) : today,
+    end: ends.length ? new Date(Math.max(...ends)) : new Date(today.getTime() + 30 * DAY_MS),
+  };
+
+  return { range, phases, tasks };
+}
+
+module.exports = { hasDependencyCycle, dependencyError, summarizeTimeline };